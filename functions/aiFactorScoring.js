@@ -0,0 +1,285 @@
+/**
+ * FitMyGolfClubs Pro - AI Factor Scoring
+ *
+ * The engine-mode step of gradeUserBag: turns the JS factor scores into the
+ * scoreOverrides gradeBag applies.
+ * - javascript: no AI, JS scores stand
+ * - hybrid: the AI reviews the JS scores and may move each by ±15 points
+ * - claude: the AI scores every factor from the raw club data
+ *
+ * Runs against whichever AI provider is configured (aiProvider.js), so all
+ * three modes can be exercised offline with AI_PROVIDER=fixture.
+ *
+ * Date: January 2026
+ */
+
+const logger = require("firebase-functions/logger");
+const { AI_STEPS, getAIProvider, parseAIJson } = require("./aiProvider");
+const { normalizeFlexValue, FACTOR_KEYS } = require("./gradingEngine");
+
+const ADJUSTMENT_CAP = 15;
+
+/**
+ * Club list for the factor prompts
+ */
+function summarizeClubsForPrompt(clubs) {
+  return clubs.map(club => {
+    const rawFlex = club.shaft?.flex || club.shaft_flex;
+    const normalizedFlex = rawFlex ? normalizeFlexValue(rawFlex) : '?';
+    return `- ${club.clubType || club.club_type}: ${club.brand} ${club.model} (${club.year || 'Year unknown'})
+  Shaft: ${normalizedFlex} flex, ${club.shaft?.weight || club.shaft_weight || '?'}g, ${club.shaft?.kickpoint || club.shaft_kickpoint || '?'} kickpoint, ${club.shaft?.torque || club.shaft_torque || '?'} torque
+  Loft: ${club.loft || '?'}°, Length: ${club.length || '?'}", Lie: ${club.lie_angle || club.lie || '?'}°, Swing weight: ${club.swing_weight || '?'}`;
+  }).join('\n');
+}
+
+/**
+ * Claude Factor Review Function
+ *
+ * Takes JS-calculated factor scores and raw data, asks Claude to review and adjust.
+ * Adjustments are capped at ±15 points per factor.
+ */
+async function claudeReviewFactorScores(clubs, jsScores, aiProvider = getAIProvider()) {
+  try {
+    const clubsSummary = summarizeClubsForPrompt(clubs);
+
+    const prompt = `You are an expert golf club fitter reviewing algorithm-generated factor scores for a golf bag.
+
+GOLF BAG (${clubs.length} clubs):
+${clubsSummary}
+
+JAVASCRIPT ALGORITHM SCORES (0-100 scale):
+1. Age Score: ${jsScores.age.score}/100
+   Issues: ${jsScores.age.issues.join('; ') || 'None'}
+
+2. Weight Progression: ${jsScores.weight.score}/100
+   Issues: ${jsScores.weight.issues.join('; ') || 'None'}
+
+3. Loft Gapping: ${jsScores.loft.score}/100
+   Issues: ${jsScores.loft.issues.join('; ') || 'None'}
+
+4. Flex Consistency: ${jsScores.flex.score}/100
+   Issues: ${jsScores.flex.issues.join('; ') || 'None'}
+
+5. Kickpoint Consistency: ${jsScores.kickpoint.score}/100
+   Issues: ${jsScores.kickpoint.issues.join('; ') || 'None'}
+
+6. Torque Consistency: ${jsScores.torque.score}/100
+   Issues: ${jsScores.torque.issues.join('; ') || 'None'}
+
+7. Length Progression: ${jsScores.length.score}/100
+   Issues: ${jsScores.length.issues.join('; ') || 'None'}
+
+8. Lie Angle Progression: ${jsScores.lie.score}/100
+   Issues: ${jsScores.lie.issues.join('; ') || 'None'}
+
+9. Swing Weight Progression: ${jsScores.swingweight.scorable === false ? 'Not scored (missing swing weight data)' : `${jsScores.swingweight.score}/100`}
+   Issues: ${jsScores.swingweight.issues.join('; ') || 'None'}
+
+TASK:
+Review each factor score. If you believe the algorithm made an error or missed important context, provide an adjusted score. You may adjust UP or DOWN by a maximum of ${ADJUSTMENT_CAP} points per factor.
+
+Consider:
+- A 10-year-old putter is fine; a 10-year-old driver needs upgrading
+- Mixed flex woods/irons is common and acceptable
+- Brand variety doesn't necessarily indicate a problem
+- Missing data should lower confidence, not harshly penalize
+- WEIGHT: Woods use GRAPHITE shafts (55-70g), irons use STEEL shafts (90-130g). This 40-60g jump between graphite woods and steel irons is NORMAL - do NOT penalize cross-material weight differences
+- SWING WEIGHT: Irons and wedges usually sit within 1-2 points of each other (e.g. D1-D3); woods often run a point or two heavier
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "age": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
+  "weight": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
+  "loft": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
+  "flex": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
+  "kickpoint": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
+  "torque": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
+  "length": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
+  "lie": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
+  "swingweight": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"}
+}`;
+
+    const responseText = await aiProvider.complete({
+      step: AI_STEPS.FACTOR_REVIEW,
+      prompt,
+      maxTokens: 1000
+    });
+
+    // Parse JSON from response
+    let claudeReview;
+    try {
+      claudeReview = parseAIJson(responseText);
+    } catch (parseError) {
+      logger.warn('Failed to parse Claude review response:', parseError.message);
+      return null;
+    }
+
+    // Apply adjustment caps and build result
+    const result = {};
+
+    FACTOR_KEYS.forEach(factor => {
+      const jsScore = jsScores[factor].score;
+      const review = claudeReview[factor];
+
+      if (review && review.adjusted) {
+        // Cap adjustment
+        let adjustedScore = review.score;
+        const diff = adjustedScore - jsScore;
+
+        if (Math.abs(diff) > ADJUSTMENT_CAP) {
+          adjustedScore = jsScore + (diff > 0 ? ADJUSTMENT_CAP : -ADJUSTMENT_CAP);
+          logger.info(`Capped ${factor} adjustment: ${review.score} -> ${adjustedScore}`);
+        }
+
+        result[factor] = {
+          jsScore: jsScore,
+          claudeScore: adjustedScore,
+          finalScore: adjustedScore,
+          adjusted: true,
+          reason: review.reason || 'No reason provided'
+        };
+      } else {
+        result[factor] = {
+          jsScore: jsScore,
+          claudeScore: jsScore,
+          finalScore: jsScore,
+          adjusted: false,
+          reason: null
+        };
+      }
+    });
+
+    return result;
+
+  } catch (error) {
+    logger.error('Claude factor review failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Claude Full Factor Scoring Function
+ *
+ * For 'claude' engine mode - Claude scores all factors from raw data.
+ */
+async function claudeScoreFactors(clubs, aiProvider = getAIProvider()) {
+  try {
+    const clubsSummary = summarizeClubsForPrompt(clubs);
+
+    const prompt = `You are an expert golf club fitter scoring a golf bag on 9 factors.
+
+GOLF BAG (${clubs.length} clubs):
+${clubsSummary}
+
+Score each factor from 0-100 and identify issues:
+
+1. AGE: Are the clubs modern or outdated? Consider that putters age well, drivers don't.
+2. WEIGHT PROGRESSION: Woods use GRAPHITE shafts (55-70g), irons use STEEL shafts (90-130g). This 40-60g material jump is NORMAL. Only penalize inconsistencies WITHIN same material type (e.g., one steel iron at 80g when others are 100g).
+3. LOFT GAPPING: Are there ~4° gaps between clubs? Any large gaps or redundant lofts?
+4. FLEX CONSISTENCY: Are shaft flex LABELS consistent? NOTE: Flex ratings have NO industry standard - a "Stiff" from one brand may differ from another. Only check for label consistency, not "correct" flex for swing speed.
+5. KICKPOINT CONSISTENCY: Are kickpoints aligned? (High = lower flight, Low = higher flight)
+6. TORQUE CONSISTENCY: Is torque similar across clubs? Lower torque = more control.
+7. LENGTH PROGRESSION: Do lengths decrease ~0.5" per club?
+8. LIE ANGLE: Are lie angles appropriate and progressing correctly?
+9. SWING WEIGHT: Do irons and wedges stay within 1-2 swing weight points of each other? Any outliers?
+
+Respond ONLY with valid JSON:
+{
+  "age": {"score": <0-100>, "issues": ["issue1", "issue2"]},
+  "weight": {"score": <0-100>, "issues": []},
+  "loft": {"score": <0-100>, "issues": []},
+  "flex": {"score": <0-100>, "issues": []},
+  "kickpoint": {"score": <0-100>, "issues": []},
+  "torque": {"score": <0-100>, "issues": []},
+  "length": {"score": <0-100>, "issues": []},
+  "lie": {"score": <0-100>, "issues": []},
+  "swingweight": {"score": <0-100>, "issues": []}
+}`;
+
+    const responseText = await aiProvider.complete({
+      step: AI_STEPS.FACTOR_SCORING,
+      prompt,
+      maxTokens: 1000
+    });
+
+    return parseAIJson(responseText);
+
+  } catch (error) {
+    logger.error('Claude full scoring failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Run the engine mode's AI step over the JS factor scores
+ *
+ * @param {string} engine - javascript, hybrid or claude
+ * @param {Array} clubs - Prepared clubs (prepareBag().clubs)
+ * @param {Object} jsScores - prepareBag().factorScores
+ * @param {Object} aiProvider - From getAIProvider()
+ * @returns {Object} { scoreOverrides, claudeReview, skippedSteps } - scoreOverrides goes to gradeBag;
+ *                   skippedSteps lists AI steps that fell back to the JS scores
+ */
+async function scoreFactorsForEngine(engine, clubs, jsScores, aiProvider = getAIProvider()) {
+  const scoreOverrides = {};
+  const skippedSteps = [];
+  let claudeReview = null;
+
+  if (engine !== 'javascript' && !aiProvider.isAvailable()) {
+    logger.warn(`${engine.toUpperCase()} mode requested but AI is unavailable (${aiProvider.unavailableReason()}), using JS scores only`);
+    skippedSteps.push(engine === 'hybrid' ? AI_STEPS.FACTOR_REVIEW : AI_STEPS.FACTOR_SCORING);
+
+  } else if (engine === 'hybrid') {
+    logger.info(`Running HYBRID mode: JS + Claude review (provider: ${aiProvider.name})`);
+
+    const review = await claudeReviewFactorScores(clubs, jsScores, aiProvider);
+
+    if (review) {
+      claudeReview = review;
+
+      // Apply Claude's adjusted scores
+      Object.keys(review).forEach(factor => {
+        if (review[factor].adjusted) {
+          scoreOverrides[factor] = { score: review[factor].finalScore };
+          logger.info(`${factor}: JS=${review[factor].jsScore} -> Claude=${review[factor].finalScore} (${review[factor].reason})`);
+        }
+      });
+    } else {
+      logger.warn('Claude review failed, using JS scores only');
+      skippedSteps.push(AI_STEPS.FACTOR_REVIEW);
+    }
+
+  } else if (engine === 'claude') {
+    logger.info(`Running CLAUDE mode: Full Claude scoring (provider: ${aiProvider.name})`);
+
+    const claudeScores = await claudeScoreFactors(clubs, aiProvider);
+
+    if (claudeScores) {
+      claudeReview = { fullClaude: true, scores: claudeScores };
+
+      // Replace all scores with Claude's
+      Object.keys(claudeScores).forEach(factor => {
+        if (jsScores[factor] && claudeScores[factor]) {
+          scoreOverrides[factor] = {
+            score: claudeScores[factor].score,
+            issues: claudeScores[factor].issues || []
+          };
+        }
+      });
+    } else {
+      logger.warn('Claude scoring failed, falling back to JS scores');
+      skippedSteps.push(AI_STEPS.FACTOR_SCORING);
+    }
+
+  } else {
+    logger.info('Running JAVASCRIPT mode: Pure algorithmic scoring');
+  }
+
+  return { scoreOverrides, claudeReview, skippedSteps };
+}
+
+module.exports = {
+  claudeReviewFactorScores,
+  claudeScoreFactors,
+  scoreFactorsForEngine
+};
@@ -0,0 +1,68 @@
+/**
+ * FitMyGolfClubs Pro - Built-in AI Fixtures
+ *
+ * Stub responses for the fixture AI provider (AI_PROVIDER=fixture), one per
+ * grading AI step, in the same JSON shape the prompts ask Claude for.
+ * They are deliberately mild so fixture runs stay close to the algorithm:
+ * - factor_review: one weight adjustment, everything else unchanged
+ * - factor_scoring: fixed scores for all 9 factors
+ * - bag_analysis: small weight/age adjustments plus canned narrative
+ *
+ * Date: January 2026
+ */
+
+const DEFAULT_AI_FIXTURES = {
+  factor_review: {
+    age: { adjusted: false, score: 0, reason: "" },
+    weight: { adjusted: true, score: 85, reason: "Graphite woods to steel irons weight jump is normal" },
+    loft: { adjusted: false, score: 0, reason: "" },
+    flex: { adjusted: false, score: 0, reason: "" },
+    kickpoint: { adjusted: false, score: 0, reason: "" },
+    torque: { adjusted: false, score: 0, reason: "" },
+    length: { adjusted: false, score: 0, reason: "" },
+    lie: { adjusted: false, score: 0, reason: "" },
+    swingweight: { adjusted: false, score: 0, reason: "" }
+  },
+
+  factor_scoring: {
+    age: { score: 75, issues: ["Some clubs are more than 5 years old"] },
+    weight: { score: 85, issues: [] },
+    loft: { score: 80, issues: ["One loft gap wider than 5°"] },
+    flex: { score: 90, issues: [] },
+    kickpoint: { score: 85, issues: [] },
+    torque: { score: 85, issues: [] },
+    length: { score: 85, issues: [] },
+    lie: { score: 85, issues: [] },
+    swingweight: { score: 80, issues: ["Swing weights vary by more than 2 points through the irons"] }
+  },
+
+  bag_analysis: {
+    factorAdjustments: {
+      age: -3,
+      weight: 5,
+      loft: 0,
+      flex: 0,
+      kickpoint: 0,
+      torque: 0,
+      length: 0,
+      lie: 0,
+      swingweight: 0
+    },
+    adjustmentSummary: "Weight progression raised for normal graphite-to-steel transition; age lowered slightly for older woods.",
+    overallAssessment: "A playable, reasonably consistent bag with room to modernize the oldest clubs.",
+    keyStrengths: ["Consistent flex labels", "Sensible weight progression", "Complete set makeup"],
+    keyWeaknesses: ["Older woods", "One wide loft gap", "Mixed shaft models"],
+    priorityRecommendations: ["Update the oldest wood", "Close the widest loft gap", "Schedule a fitting session"],
+    bagPersonality: "Steady mid-handicap setup built for consistency",
+    salesOpportunities: {
+      age: "Discuss replacing the oldest wood with a current model",
+      loft: "Add a club to close the widest loft gap",
+      flex: "Offer a shaft fitting session to confirm feel consistency",
+      kickpoint: "Suggest matching kickpoints through the irons",
+      weight: "Review shaft weights in the hybrids",
+      topPriority: "Fitting session and new fairway wood ($300-$450)"
+    }
+  }
+};
+
+module.exports = { DEFAULT_AI_FIXTURES };
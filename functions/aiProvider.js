@@ -0,0 +1,173 @@
+/**
+ * FitMyGolfClubs Pro - AI Provider
+ *
+ * The AI steps in gradeUserBag (hybrid factor review, claude factor scoring,
+ * bag analysis) go through a provider instead of calling the Anthropic API
+ * directly, so every engine mode can run on a machine with no network.
+ *
+ * Select with AI_PROVIDER:
+ * - anthropic (default): Claude Messages API; unavailable without ANTHROPIC_API_KEY
+ * - fixture: recorded responses (AI_FIXTURES_FILE) or the built-in stubs in aiFixtures.js
+ * - none: always unavailable - AI steps are skipped and the algorithm scores stand
+ *
+ * Providers share one shape:
+ *   { name, isAvailable(), unavailableReason(), complete({ step, prompt, maxTokens, timeout }) → text }
+ *
+ * Date: January 2026
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const fs = require("fs");
+const logger = require("firebase-functions/logger");
+const { DEFAULT_AI_FIXTURES } = require("./aiFixtures");
+
+const CLAUDE_API_URL = "https://api.anthropic.com/v1/messages";
+const CLAUDE_MODEL = "claude-sonnet-4-20250514";
+
+// AI steps used by grading (fixture keys)
+const AI_STEPS = {
+  FACTOR_REVIEW: 'factor_review',
+  FACTOR_SCORING: 'factor_scoring',
+  BAG_ANALYSIS: 'bag_analysis'
+};
+
+// ==========================================
+// ANTHROPIC PROVIDER
+// ==========================================
+
+function createAnthropicProvider() {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+
+  return {
+    name: 'anthropic',
+    isAvailable: () => !!apiKey,
+    unavailableReason: () => (apiKey ? null : 'ANTHROPIC_API_KEY is not set'),
+
+    async complete({ prompt, maxTokens = 1000, timeout }) {
+      const response = await axios.post(
+        CLAUDE_API_URL,
+        {
+          model: CLAUDE_MODEL,
+          max_tokens: maxTokens,
+          messages: [{ role: "user", content: prompt }],
+        },
+        {
+          headers: {
+            "x-api-key": apiKey,
+            "anthropic-version": "2023-06-01",
+            "content-type": "application/json",
+          },
+          ...(timeout ? { timeout } : {})
+        }
+      );
+      return response.data.content[0].text;
+    }
+  };
+}
+
+// ==========================================
+// FIXTURE PROVIDER
+// ==========================================
+
+let recordedFixtures = null;
+
+/**
+ * Recorded responses file: { "<step>": "<text>", "<step>:<promptHash>": "<text>" }
+ * A prompt-specific entry wins over the step-wide one
+ */
+function loadRecordedFixtures() {
+  const fixturePath = process.env.AI_FIXTURES_FILE;
+  if (!fixturePath) return {};
+  if (recordedFixtures && recordedFixtures.path === fixturePath) return recordedFixtures.responses;
+
+  let responses = {};
+  try {
+    responses = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+  } catch (error) {
+    logger.warn(`Could not read AI fixtures from ${fixturePath}:`, error.message);
+  }
+  recordedFixtures = { path: fixturePath, responses };
+  return responses;
+}
+
+/**
+ * Short stable hash used to key a recorded response to its exact prompt
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash("sha256").update(prompt).digest("hex").slice(0, 16);
+}
+
+function createFixtureProvider() {
+  return {
+    name: 'fixture',
+    isAvailable: () => true,
+    unavailableReason: () => null,
+
+    async complete({ step, prompt }) {
+      const recorded = loadRecordedFixtures();
+      const response = recorded[`${step}:${hashPrompt(prompt)}`] ?? recorded[step] ?? DEFAULT_AI_FIXTURES[step];
+      if (response === undefined) {
+        throw new Error(`No AI fixture recorded for step "${step}"`);
+      }
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+  };
+}
+
+// ==========================================
+// NO-OP PROVIDER
+// ==========================================
+
+function createNoneProvider() {
+  return {
+    name: 'none',
+    isAvailable: () => false,
+    unavailableReason: () => 'AI disabled (AI_PROVIDER=none)',
+    async complete() {
+      throw new Error('AI provider is disabled');
+    }
+  };
+}
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+const PROVIDER_FACTORIES = {
+  anthropic: createAnthropicProvider,
+  fixture: createFixtureProvider,
+  none: createNoneProvider
+};
+
+/**
+ * Provider for the current environment (AI_PROVIDER, default anthropic)
+ */
+function getAIProvider() {
+  const name = (process.env.AI_PROVIDER || 'anthropic').toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    logger.warn(`Unknown AI_PROVIDER "${name}", AI steps will be skipped`);
+    return createNoneProvider();
+  }
+  return factory();
+}
+
+/**
+ * Pull the JSON object out of a model response
+ * Sanitizes "+5" style numbers, which the model sometimes returns
+ */
+function parseAIJson(text) {
+  const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in response');
+  }
+  return JSON.parse(jsonMatch[0].replace(/:\s*\+(\d)/g, ': $1'));
+}
+
+module.exports = {
+  AI_STEPS,
+  getAIProvider,
+  parseAIJson,
+  hashPrompt
+};
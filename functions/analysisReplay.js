@@ -0,0 +1,404 @@
+/**
+ * FitMyGolfClubs Pro - Analysis Replay
+ *
+ * Re-grades stored bag_analysis snapshots (inputDataSnapshot +
+ * inputContextSnapshot) under a different algorithm version or weight set
+ * and diffs the result against the original - so a weight change can be
+ * tested against a whole client base before it is activated.
+ *
+ * Replays are deterministic and never write analyses:
+ * - club ages are measured from the year of the original analysis
+ * - specs that were filled from defaults are re-derived, not treated as measured
+ * - hybrid / claude: only the factors the AI scored (ai_score_overrides) are
+ *   replayed from the stored results, the rest are recomputed - Claude is not
+ *   called again. Older AI analyses without ai_score_overrides replay every
+ *   stored factor score and are flagged factorsRecomputed: false
+ *
+ * Analyses saved before inputContextSnapshot existed are replayed with
+ * baselines rebuilt from favorite_club_baseline / body_fit_baseline and
+ * are flagged approximate.
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const {
+  DEFAULT_GRADING_WEIGHTS,
+  FACTOR_KEYS,
+  FACTOR_WEIGHT_KEYS,
+  prepareBag,
+  gradeBag,
+  normalizeGradingWeights
+} = require("./gradingEngine");
+
+const MAX_REPLAY_CLIENTS = 200;
+
+// ==========================================
+// REPLAY TARGET (weights to grade with)
+// ==========================================
+
+/**
+ * Resolve the weights a replay should use
+ * Exactly one of weights / weightProfileId / algorithmVersion, or none to
+ * replay each analysis under the weights it was originally graded with
+ *
+ * @returns {Object|null} { source, name, gradingWeights } or null for original weights
+ */
+async function resolveReplayTarget(db, callerId, data = {}) {
+  const options = ['weights', 'weightProfileId', 'algorithmVersion'].filter(key => data[key]);
+  if (options.length > 1) {
+    throw new HttpsError('invalid-argument', 'Pass only one of weights, weightProfileId or algorithmVersion');
+  }
+
+  if (data.weights) {
+    try {
+      return { source: 'custom', name: 'Custom weights', gradingWeights: normalizeGradingWeights(data.weights) };
+    } catch (weightError) {
+      throw new HttpsError('invalid-argument', weightError.message);
+    }
+  }
+
+  if (data.weightProfileId) {
+    const profileId = sanitizeText(data.weightProfileId, 128);
+    const profileDoc = await db.collection("users").doc(callerId)
+      .collection("weightProfiles").doc(profileId).get();
+    if (!profileDoc.exists) {
+      throw new HttpsError('not-found', 'Weight profile not found');
+    }
+    return {
+      source: 'weight_profile',
+      name: profileDoc.data().name,
+      gradingWeights: normalizeGradingWeights(profileDoc.data().weights)
+    };
+  }
+
+  if (data.algorithmVersion) {
+    // algorithmVersions docs are keyed v{versionNumber} (initializeAlgorithmVersioning)
+    const versionNumber = sanitizeText(String(data.algorithmVersion), 32).replace(/^v/, '');
+    const versionDoc = await db.collection("algorithmVersions").doc(`v${versionNumber}`).get();
+    if (!versionDoc.exists) {
+      throw new HttpsError('not-found', `Algorithm version ${versionNumber} not found`);
+    }
+    return {
+      source: 'algorithm_version',
+      name: `Algorithm v${versionNumber}`,
+      gradingWeights: normalizeGradingWeights(versionDoc.data().config?.gradingWeights || DEFAULT_GRADING_WEIGHTS)
+    };
+  }
+
+  return null;
+}
+
+// ==========================================
+// SNAPSHOT → GRADING INPUT
+// ==========================================
+
+/**
+ * Stored snapshot → raw clubs for prepareBag
+ * Defaulted specs are cleared so enrichment re-derives the value and its flag
+ */
+function snapshotToClubs(inputDataSnapshot) {
+  return inputDataSnapshot.map(club => {
+    const raw = { ...club };
+    if (club.loftIsDefault) raw.loft = null;
+    if (club.weightIsDefault) raw.shaft_weight = null;
+    if (club.lieIsDefault) raw.lie_angle = null;
+    if (club.lengthIsDefault) raw.length = null;
+    if (club.swingWeightIsDefault) raw.swing_weight = null;
+    if (club.totalWeightIsDefault) raw.total_weight = null;
+    delete raw.loftIsDefault;
+    delete raw.weightIsDefault;
+    delete raw.lieIsDefault;
+    delete raw.lengthIsDefault;
+    delete raw.swingWeightIsDefault;
+    delete raw.totalWeightIsDefault;
+    return raw;
+  });
+}
+
+/**
+ * Parse a heightDisplay like 5'10" back to inches
+ */
+function parseHeightDisplay(heightDisplay) {
+  const match = String(heightDisplay || '').match(/(\d+)'\s*(\d+)/);
+  return match ? parseInt(match[1], 10) * 12 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Golfer context the analysis was graded with
+ * Older analyses only stored display baselines, so rebuild what we can
+ */
+function buildReplayContext(analysis) {
+  if (analysis.inputContextSnapshot) {
+    return { ...analysis.inputContextSnapshot, approximate: false };
+  }
+
+  const analyzedAt = analysis.analyzed_at?.toDate ? analysis.analyzed_at.toDate() : null;
+  const favorite = analysis.favorite_club_baseline;
+  const bodyFit = analysis.body_fit_baseline;
+  const heightInches = parseHeightDisplay(bodyFit?.heightDisplay);
+
+  return {
+    asOfYear: analyzedAt ? analyzedAt.getFullYear() : null,
+    favoriteClubSpecs: favorite?.weight ? { clubType: favorite.clubType, shaft_weight: favorite.weight } : null,
+    bodyFitSpecs: heightInches && bodyFit?.wristToFloor ? {
+      heightInches: heightInches,
+      heightDisplay: bodyFit.heightDisplay,
+      wristToFloor: bodyFit.wristToFloor
+    } : null,
+    approximate: true
+  };
+}
+
+/**
+ * Factor scores as stored on the analysis (final scores from the engine used)
+ */
+function getStoredFactorScores(analysis) {
+  const factors = {};
+  FACTOR_KEYS.forEach(factor => {
+    const field = FACTOR_WEIGHT_KEYS[factor];
+    factors[field] = analysis[`${field}_scorable`] === false ? null : (analysis[`${field}_score`] ?? null);
+  });
+  return factors;
+}
+
+/**
+ * Hybrid / claude analyses: replay the recorded AI factor scores as overrides
+ *
+ * @returns {Object} { overrides, factorsRecomputed } - factorsRecomputed is false when the
+ *          analysis predates ai_score_overrides and every stored factor score is reused
+ */
+function getStoredScoreOverrides(analysis) {
+  if (!analysis.engineUsed || analysis.engineUsed === 'javascript') {
+    return { overrides: {}, factorsRecomputed: true };
+  }
+
+  const overrides = {};
+  if (analysis.ai_score_overrides) {
+    Object.entries(analysis.ai_score_overrides).forEach(([factor, score]) => {
+      if (FACTOR_KEYS.includes(factor) && typeof score === 'number') overrides[factor] = { score: score };
+    });
+    return { overrides, factorsRecomputed: true };
+  }
+
+  // Which factors the AI adjusted wasn't recorded - keep all stored scores
+  FACTOR_KEYS.forEach(factor => {
+    const score = analysis[`${FACTOR_WEIGHT_KEYS[factor]}_score`];
+    if (typeof score === 'number') overrides[factor] = { score: score };
+  });
+  return { overrides, factorsRecomputed: false };
+}
+
+// ==========================================
+// REPLAY
+// ==========================================
+
+/**
+ * Re-grade one stored analysis and diff it against the original
+ *
+ * @param {FirebaseFirestore.DocumentSnapshot} analysisDoc - bag_analysis doc
+ * @param {Object|null} target - resolveReplayTarget() result, null for original weights
+ * @returns {Object} { analysisId, userId, original, replay, diff, approximate, factorsRecomputed }
+ */
+function replayAnalysis(analysisDoc, target) {
+  const analysis = analysisDoc.data();
+  const snapshot = analysis.inputDataSnapshot;
+
+  if (!Array.isArray(snapshot) || snapshot.length === 0) {
+    return { analysisId: analysisDoc.id, userId: analysis.user_id, skipped: 'No input snapshot stored' };
+  }
+
+  const context = buildReplayContext(analysis);
+  const originalWeights = analysis.algorithmVersion?.weightsUsed || DEFAULT_GRADING_WEIGHTS;
+  const gradingWeights = target ? target.gradingWeights : originalWeights;
+
+  const preparedBag = prepareBag(snapshotToClubs(snapshot), {
+    favoriteClubSpecs: context.favoriteClubSpecs,
+    bodyFitSpecs: context.bodyFitSpecs,
+    asOfYear: context.asOfYear,
+    swingSpeed: context.swingSpeed ?? null,
+    handicap: context.handicap ?? null,
+    loftGapSets: context.loftGapSets || null,
+    loftGapSetId: context.loftGapSetId || null,
+    gripFit: context.gripFit || null,
+    roundsPerYear: context.roundsPerYear ?? null
+  });
+  const storedOverrides = getStoredScoreOverrides(analysis);
+  const bagGrade = gradeBag(preparedBag, gradingWeights, {
+    scoreOverrides: storedOverrides.overrides
+  });
+
+  const replayFactors = {};
+  FACTOR_KEYS.forEach(factor => {
+    const final = bagGrade.finalScores[factor];
+    replayFactors[FACTOR_WEIGHT_KEYS[factor]] = final.scorable === false ? null : final.score;
+  });
+
+  // algorithm_score is the pre-AI-adjustment score - the part a replay can reproduce
+  const original = {
+    overallScore: analysis.algorithm_score ?? analysis.overall_score ?? null,
+    overallGrade: analysis.algorithm_grade || analysis.overall_grade || null,
+    algorithmVersion: analysis.algorithm_version || analysis.algorithmVersion?.versionNumber || null,
+    weightProfile: analysis.weight_profile?.name || null,
+    gradingWeights: originalWeights,
+    factors: getStoredFactorScores(analysis)
+  };
+
+  const replay = {
+    overallScore: bagGrade.overallScore,
+    overallGrade: bagGrade.overallGrade,
+    gradingWeights: gradingWeights,
+    factors: replayFactors
+  };
+
+  const factorChanges = {};
+  Object.keys(replayFactors).forEach(field => {
+    const before = original.factors[field];
+    const after = replayFactors[field];
+    if (before !== after) {
+      factorChanges[field] = { before, after, change: before != null && after != null ? after - before : null };
+    }
+  });
+
+  return {
+    analysisId: analysisDoc.id,
+    userId: analysis.user_id,
+    analyzedAt: analysis.analyzed_at?.toDate ? analysis.analyzed_at.toDate().toISOString() : null,
+    engineUsed: analysis.engineUsed || 'javascript',
+    approximate: context.approximate,
+    factorsRecomputed: storedOverrides.factorsRecomputed,
+    aiScoredFactors: Object.keys(storedOverrides.overrides),
+    original,
+    replay,
+    diff: {
+      scoreChange: original.overallScore != null ? replay.overallScore - original.overallScore : null,
+      gradeChanged: original.overallGrade !== replay.overallGrade,
+      factorChanges
+    }
+  };
+}
+
+/**
+ * Latest stored analysis for a user (null if never graded)
+ */
+async function getLatestAnalysisDoc(db, userId) {
+  const snapshot = await db.collection("bag_analysis")
+    .where("user_id", "==", userId)
+    .orderBy("analyzed_at", "desc")
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Caller may replay their own analyses or those of clients they manage
+ */
+async function assertCanReplay(db, callerId, userId) {
+  if (userId === callerId) return;
+  const clientDoc = await db.collection("users").doc(userId).get();
+  const clientData = clientDoc.data();
+  const proId = clientData?.pro_id || clientData?.proManagedInfo?.proUserId;
+  if (!clientDoc.exists || proId !== callerId) {
+    throw new HttpsError('permission-denied', 'You do not manage this client');
+  }
+}
+
+function summarizeReplays(results) {
+  const replayed = results.filter(r => !r.skipped);
+  const changes = replayed.map(r => r.diff.scoreChange).filter(change => change != null);
+
+  return {
+    replayed: replayed.length,
+    skipped: results.length - replayed.length,
+    approximate: replayed.filter(r => r.approximate).length,
+    factorsNotRecomputed: replayed.filter(r => r.factorsRecomputed === false).length,
+    improved: changes.filter(change => change > 0).length,
+    declined: changes.filter(change => change < 0).length,
+    unchanged: changes.filter(change => change === 0).length,
+    gradeChanges: replayed.filter(r => r.diff.gradeChanged).length,
+    averageChange: changes.length > 0
+      ? Math.round((changes.reduce((sum, change) => sum + change, 0) / changes.length) * 10) / 10
+      : 0,
+    largestDrop: changes.length > 0 ? Math.min(0, ...changes) : 0,
+    largestGain: changes.length > 0 ? Math.max(0, ...changes) : 0
+  };
+}
+
+// ==========================================
+// CLOUD FUNCTION: replayAnalyses
+// ==========================================
+
+/**
+ * request.data:
+ * {
+ *   analysisId: "abc",            // one stored analysis, or
+ *   userId: "client_uid",         // that user's latest analysis, or
+ *                                 // neither: latest analysis of every client the pro manages
+ *   weights: { loft: 20, ... },   // at most one of weights / weightProfileId /
+ *   weightProfileId: "xyz",       // algorithmVersion; none replays with the
+ *   algorithmVersion: "2.1"       // original weights (reproducibility check)
+ * }
+ */
+exports.replayAnalyses = onCall({ timeoutSeconds: 300 }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const callerId = request.auth.uid;
+  const data = request.data || {};
+  const target = await resolveReplayTarget(db, callerId, data);
+
+  let analysisDocs = [];
+
+  if (data.analysisId) {
+    const analysisDoc = await db.collection("bag_analysis").doc(sanitizeText(data.analysisId, 128)).get();
+    if (!analysisDoc.exists) {
+      throw new HttpsError('not-found', 'Analysis not found');
+    }
+    await assertCanReplay(db, callerId, analysisDoc.data().user_id);
+    analysisDocs = [analysisDoc];
+  } else if (data.userId) {
+    const userId = sanitizeText(data.userId, 128);
+    await assertCanReplay(db, callerId, userId);
+    const analysisDoc = await getLatestAnalysisDoc(db, userId);
+    if (!analysisDoc) {
+      throw new HttpsError('not-found', 'No bag analysis found for this user');
+    }
+    analysisDocs = [analysisDoc];
+  } else {
+    const clientsSnapshot = await db.collection("users")
+      .where("pro_id", "==", callerId)
+      .limit(MAX_REPLAY_CLIENTS)
+      .get();
+    for (const clientDoc of clientsSnapshot.docs) {
+      const analysisDoc = await getLatestAnalysisDoc(db, clientDoc.id);
+      if (analysisDoc) analysisDocs.push(analysisDoc);
+    }
+  }
+
+  const results = analysisDocs.map(analysisDoc => {
+    try {
+      return replayAnalysis(analysisDoc, target);
+    } catch (replayError) {
+      logger.error(`Replay failed for analysis ${analysisDoc.id}:`, replayError.message);
+      return { analysisId: analysisDoc.id, userId: analysisDoc.data().user_id, skipped: replayError.message };
+    }
+  });
+
+  const summary = summarizeReplays(results);
+  logger.info(`Replayed ${summary.replayed} analyses for ${callerId} (${target ? target.name : 'original weights'}): ` +
+    `${summary.improved} up, ${summary.declined} down, ${summary.gradeChanges} grade changes`);
+
+  return {
+    target: target ? { source: target.source, name: target.name, gradingWeights: target.gradingWeights } : null,
+    summary,
+    results
+  };
+});
+
+exports.replayAnalysis = replayAnalysis;
+exports.resolveReplayTarget = resolveReplayTarget;
@@ -0,0 +1,46 @@
+/**
+ * FitMyGolfClubs Pro - In-process Bag Grading
+ *
+ * The full grading pipeline (grading engine, AI steps, club and analysis
+ * writes, credit debit) is runGradeUserBag in index.js; gradeUserBag serves it
+ * over HTTP. Functions that regrade as part of other work (applyScenario,
+ * undoBagChange, updateBagAfterTest, batch regrades) call gradeBagInProcess
+ * here instead of POSTing to the public endpoint. index.js registers the
+ * pipeline when it loads.
+ *
+ * Date: January 2026
+ */
+
+let bagGrader = null;
+
+/**
+ * Called once by index.js with runGradeUserBag
+ */
+function registerBagGrader(grader) {
+  bagGrader = grader;
+}
+
+/**
+ * Grade a user's bag in-process
+ *
+ * @param {string} userId - User whose bag to grade
+ * @param {Object} options - { engine, actorId: account billed, chargeCredits: false when the
+ *                             regrade is part of work already paid for }
+ * @returns {Object} gradeUserBag response body ({ success, analysisId, analysis, ... })
+ * @throws {Error} error.status is the HTTP status gradeUserBag would send (402 no credits, 404 no clubs)
+ */
+async function gradeBagInProcess(userId, { engine = 'javascript', actorId = null, chargeCredits = true } = {}) {
+  if (!bagGrader) {
+    throw new Error('Bag grader not registered (index.js not loaded)');
+  }
+
+  const { status, body } = await bagGrader({ userId, engine }, { actorId, chargeCredits });
+  if (status !== 200) {
+    const error = new Error(body?.details || body?.error || `Grading failed (${status})`);
+    error.status = status;
+    throw error;
+  }
+  return body;
+}
+
+module.exports = { registerBagGrader, gradeBagInProcess };
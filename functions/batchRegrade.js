@@ -0,0 +1,414 @@
+/**
+ * FitMyGolfClubs Pro - Batch Regrade
+ *
+ * Regrades every client of a pro in the background, e.g. after the pro
+ * changes weights or a new algorithm version goes live.
+ *
+ * Storage:
+ * - regradeJobs/{jobId}                    - job status, counters and final summary
+ * - regradeJobs/{jobId}/clients/{clientId} - per-client status (client list listens live)
+ * - regradeJobs/{jobId}/runs/{runId}       - each doc created here starts a processing run
+ *
+ * A run grades clients in-process (bagGradeRunner) with bounded concurrency and
+ * stops taking new clients before the function timeout; if clients remain it
+ * creates the next run doc. Each client is billed to the pro like a normal
+ * regrade, and the job stops early when the pro runs out of credits.
+ *
+ * Runs heartbeat on the job doc. A job that stops heartbeating (its run
+ * crashed or was killed) is closed out as 'stalled' the next time the pro
+ * starts a batch, and clients a dead run left 'running' are re-queued.
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { gradeBagInProcess } = require("./bagGradeRunner");
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 5;
+const MAX_JOB_CLIENTS = 500;
+const RUN_TIMEOUT_MS = 540 * 1000;
+const RUN_BUDGET_MS = 420 * 1000;   // stop claiming clients well before the 540s timeout
+const FINISH_MARGIN_MS = 60 * 1000; // grades still in flight must settle by timeout - margin
+const STALE_JOB_MS = 15 * 60 * 1000; // no heartbeat for this long = the run died
+const VALID_ENGINES = ['javascript', 'hybrid', 'claude'];
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+const FAILED_STATUSES = ['failed', 'no_credits'];
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+function jobsCollection(db) {
+  return db.collection("regradeJobs");
+}
+
+/**
+ * Run worker over items with at most `limit` in flight
+ * Workers stop taking new items once shouldStop() returns true
+ */
+async function runWithConcurrency(items, limit, worker, shouldStop = () => false) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !shouldStop()) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+/**
+ * Reject if the grade hasn't settled within ms
+ * The grade itself keeps going in the background; the run just stops waiting
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Grading timed out after ${Math.round(ms / 1000)}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function millisOf(timestamp) {
+  return timestamp?.toMillis ? timestamp.toMillis() : 0;
+}
+
+/**
+ * A job is stale when its runs stopped heartbeating (never-started jobs count from createdAt)
+ */
+function isStaleJob(job) {
+  return Date.now() - millisOf(job.heartbeatAt || job.createdAt) > STALE_JOB_MS;
+}
+
+/**
+ * Put clients a dead run claimed back in the queue
+ * A grade can't outlive its run, so anything running longer than the run timeout is orphaned
+ * @returns {number} Clients re-queued
+ */
+async function requeueStaleClients(db, jobRef) {
+  const runningSnapshot = await jobRef.collection("clients")
+    .where("status", "==", "running")
+    .get();
+  const stale = runningSnapshot.docs.filter(doc => Date.now() - millisOf(doc.data().startedAt) > RUN_TIMEOUT_MS);
+  if (stale.length === 0) return 0;
+
+  const batch = db.batch();
+  stale.forEach(doc => batch.update(doc.ref, { status: 'queued', startedAt: null }));
+  await batch.commit();
+
+  logger.warn(`Batch regrade ${jobRef.id}: re-queued ${stale.length} client(s) left running by a dead run`);
+  return stale.length;
+}
+
+/**
+ * Claim a queued client so a redelivered trigger can't grade it twice
+ */
+async function claimClient(db, clientRef) {
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(clientRef);
+    if (!doc.exists || doc.data().status !== 'queued') return false;
+    tx.update(clientRef, {
+      status: 'running',
+      startedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+}
+
+/**
+ * Grade one client and record the before → after movement
+ * @param {number} gradeDeadline - Epoch ms the grade must settle by
+ * @returns {string} Final client status (done, failed, no_clubs, no_credits)
+ */
+async function regradeClient(db, jobRef, clientDoc, engine, proId, gradeDeadline) {
+  const clientRef = clientDoc.ref;
+  const { clientId, beforeScore } = clientDoc.data();
+
+  if (!await claimClient(db, clientRef)) return null;
+
+  let update;
+  try {
+    const result = await withTimeout(
+      gradeBagInProcess(clientId, { engine: engine, actorId: proId }),
+      Math.max(gradeDeadline - Date.now(), 0)
+    );
+    const analysis = result.analysis || {};
+    const afterScore = analysis.overall_score ?? null;
+    update = {
+      status: 'done',
+      afterScore: afterScore,
+      afterGrade: analysis.overall_grade || null,
+      analysisId: result.analysisId || null,
+      scoreChange: beforeScore != null && afterScore != null ? afterScore - beforeScore : null
+    };
+  } catch (gradeError) {
+    if (gradeError.status === 402) {
+      update = { status: 'no_credits', error: 'Not enough credits' };
+    } else if (gradeError.status === 404) {
+      update = { status: 'no_clubs', error: 'No clubs in bag' };
+    } else {
+      update = { status: 'failed', error: gradeError.message };
+    }
+    logger.warn(`Batch regrade ${jobRef.id}: ${clientId} ${update.status} (${update.error})`);
+  }
+
+  await clientRef.update({ ...update, finishedAt: admin.firestore.FieldValue.serverTimestamp() });
+  await jobRef.update({
+    completed: admin.firestore.FieldValue.increment(1),
+    failed: admin.firestore.FieldValue.increment(FAILED_STATUSES.includes(update.status) ? 1 : 0),
+    heartbeatAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return update.status;
+}
+
+/**
+ * Whose grade moved and by how much
+ */
+function buildJobSummary(clientDocs) {
+  const clients = clientDocs.map(doc => doc.data());
+  const done = clients.filter(c => c.status === 'done');
+  const movers = done
+    .filter(c => c.scoreChange)
+    .sort((a, b) => Math.abs(b.scoreChange) - Math.abs(a.scoreChange))
+    .map(c => ({
+      clientId: c.clientId,
+      name: c.name,
+      beforeGrade: c.beforeGrade,
+      afterGrade: c.afterGrade,
+      beforeScore: c.beforeScore,
+      afterScore: c.afterScore,
+      scoreChange: c.scoreChange
+    }));
+
+  return {
+    regraded: done.length,
+    improved: movers.filter(c => c.scoreChange > 0).length,
+    declined: movers.filter(c => c.scoreChange < 0).length,
+    unchanged: done.length - movers.length,
+    gradeChanges: done.filter(c => c.beforeGrade && c.afterGrade !== c.beforeGrade).length,
+    failed: clients.filter(c => FAILED_STATUSES.includes(c.status)).length,
+    noClubs: clients.filter(c => c.status === 'no_clubs').length,
+    skipped: clients.filter(c => c.status === 'skipped').length,
+    movers: movers
+  };
+}
+
+async function finishJob(db, jobRef, status) {
+  const clientsSnapshot = await jobRef.collection("clients").get();
+  const batch = db.batch();
+
+  // Anything still queued (cancelled or out of credits) is skipped
+  clientsSnapshot.docs
+    .filter(doc => doc.data().status === 'queued')
+    .forEach(doc => batch.update(doc.ref, { status: 'skipped' }));
+  await batch.commit();
+
+  const summary = buildJobSummary((await jobRef.collection("clients").get()).docs);
+  const jobDoc = await jobRef.get();
+
+  await jobRef.update({
+    status: status,
+    summary: summary,
+    finishedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await db.collection("users").doc(jobDoc.data().proId).update({ active_regrade_job_id: null });
+
+  logger.info(`Batch regrade ${jobRef.id} ${status}: ${summary.regraded} regraded, ` +
+    `${summary.improved} up, ${summary.declined} down, ${summary.failed} failed`);
+}
+
+// ==========================================
+// CLOUD FUNCTION: startBatchRegrade
+// ==========================================
+
+/**
+ * request.data: { engine?: "javascript", concurrency?: 3 }
+ * Queues every client of the calling pro and starts the first run
+ */
+exports.startBatchRegrade = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const proId = request.auth.uid;
+  const engine = request.data?.engine || 'javascript';
+  const concurrency = Math.min(Math.max(parseInt(request.data?.concurrency, 10) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+
+  if (!VALID_ENGINES.includes(engine)) {
+    throw new HttpsError('invalid-argument', 'Invalid engine mode. Use: javascript, hybrid, or claude');
+  }
+
+  const proDoc = await db.collection("users").doc(proId).get();
+  if (!proDoc.exists || proDoc.data().account_type !== 'professional') {
+    throw new HttpsError('permission-denied', 'Only pros can batch regrade clients');
+  }
+
+  // One batch at a time per pro
+  const activeJobId = proDoc.data().active_regrade_job_id;
+  if (activeJobId) {
+    const activeJob = await jobsCollection(db).doc(activeJobId).get();
+    if (activeJob.exists && ACTIVE_JOB_STATUSES.includes(activeJob.data().status)) {
+      if (!isStaleJob(activeJob.data())) {
+        throw new HttpsError('already-exists', 'A batch regrade is already running');
+      }
+      // Its run died - release the clients it had claimed and close it out
+      logger.warn(`Batch regrade ${activeJobId} stalled, closing it before starting a new one`);
+      await requeueStaleClients(db, activeJob.ref);
+      await finishJob(db, activeJob.ref, 'stalled');
+    }
+  }
+
+  const clientsSnapshot = await db.collection("users")
+    .where("pro_id", "==", proId)
+    .limit(MAX_JOB_CLIENTS)
+    .get();
+
+  if (clientsSnapshot.empty) {
+    throw new HttpsError('failed-precondition', 'No clients to regrade');
+  }
+
+  const jobRef = jobsCollection(db).doc();
+  const batch = db.batch();
+
+  batch.set(jobRef, {
+    proId: proId,
+    status: 'queued',
+    engine: engine,
+    concurrency: concurrency,
+    total: clientsSnapshot.size,
+    completed: 0,
+    failed: 0,
+    runs: 1,
+    summary: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+    finishedAt: null
+  });
+
+  clientsSnapshot.docs.forEach(clientDoc => {
+    const client = clientDoc.data();
+    batch.set(jobRef.collection("clients").doc(clientDoc.id), {
+      clientId: clientDoc.id,
+      name: client.display_name || client.name || null,
+      status: 'queued',
+      beforeScore: client.bag_score ?? null,
+      beforeGrade: client.bag_grade || null,
+      afterScore: null,
+      afterGrade: null,
+      scoreChange: null,
+      error: null
+    });
+  });
+
+  batch.update(proDoc.ref, { active_regrade_job_id: jobRef.id });
+  batch.set(jobRef.collection("runs").doc("run_1"), {
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await batch.commit();
+
+  logger.info(`Batch regrade ${jobRef.id} queued for pro ${proId}: ${clientsSnapshot.size} clients (${engine}, x${concurrency})`);
+
+  return { success: true, jobId: jobRef.id, total: clientsSnapshot.size };
+});
+
+// ==========================================
+// CLOUD FUNCTION: cancelBatchRegrade
+// ==========================================
+
+/**
+ * request.data: { jobId }
+ * Clients already being graded finish; the rest are skipped
+ */
+exports.cancelBatchRegrade = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const jobId = sanitizeText(request.data?.jobId || '', 128);
+  if (!jobId) {
+    throw new HttpsError('invalid-argument', 'jobId required');
+  }
+
+  const jobRef = jobsCollection(db).doc(jobId);
+  const jobDoc = await jobRef.get();
+  if (!jobDoc.exists || jobDoc.data().proId !== request.auth.uid) {
+    throw new HttpsError('not-found', 'Batch regrade not found');
+  }
+  if (!ACTIVE_JOB_STATUSES.includes(jobDoc.data().status)) {
+    return { success: true, status: jobDoc.data().status };
+  }
+
+  await jobRef.update({ cancelRequested: true });
+  return { success: true, status: 'cancelling' };
+});
+
+// ==========================================
+// BACKGROUND: processRegradeRun
+// ==========================================
+
+exports.processRegradeRun = onDocumentCreated({
+  document: "regradeJobs/{jobId}/runs/{runId}",
+  timeoutSeconds: 540,
+  memory: "512MiB"
+}, async (event) => {
+  const db = admin.firestore();
+  const jobRef = jobsCollection(db).doc(event.params.jobId);
+  const jobDoc = await jobRef.get();
+
+  if (!jobDoc.exists || !ACTIVE_JOB_STATUSES.includes(jobDoc.data().status)) {
+    return;
+  }
+
+  const job = jobDoc.data();
+  const runStartedAt = Date.now();
+  const deadline = runStartedAt + RUN_BUDGET_MS;
+  const gradeDeadline = runStartedAt + RUN_TIMEOUT_MS - FINISH_MARGIN_MS;
+  let outOfCredits = false;
+  let cancelled = false;
+
+  await jobRef.update({ status: 'running', heartbeatAt: admin.firestore.FieldValue.serverTimestamp() });
+  await requeueStaleClients(db, jobRef);
+
+  const queuedSnapshot = await jobRef.collection("clients")
+    .where("status", "==", "queued")
+    .get();
+
+  logger.info(`Batch regrade ${jobRef.id} ${event.params.runId}: ${queuedSnapshot.size} clients queued`);
+
+  const shouldStop = () => outOfCredits || cancelled || Date.now() > deadline;
+
+  await runWithConcurrency(queuedSnapshot.docs, job.concurrency || DEFAULT_CONCURRENCY, async (clientDoc) => {
+    cancelled = cancelled || (await jobRef.get()).data().cancelRequested === true;
+    if (cancelled) return;
+    const status = await regradeClient(db, jobRef, clientDoc, job.engine, job.proId, gradeDeadline);
+    if (status === 'no_credits') outOfCredits = true;
+  }, shouldStop);
+
+  if (!cancelled) {
+    cancelled = (await jobRef.get()).data().cancelRequested === true;
+  }
+
+  const remaining = await jobRef.collection("clients").where("status", "==", "queued").get();
+
+  if (remaining.empty || outOfCredits || cancelled) {
+    await finishJob(db, jobRef, cancelled ? 'cancelled' : (outOfCredits ? 'out_of_credits' : 'complete'));
+    return;
+  }
+
+  // Out of time - hand the rest to a fresh run
+  const nextRun = (job.runs || 1) + 1;
+  await jobRef.update({ runs: nextRun });
+  await jobRef.collection("runs").doc(`run_${nextRun}`).set({
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  logger.info(`Batch regrade ${jobRef.id}: ${remaining.size} clients left, continuing in run_${nextRun}`);
+});
+
+exports.runWithConcurrency = runWithConcurrency;
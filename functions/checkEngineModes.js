@@ -0,0 +1,129 @@
+/**
+ * FitMyGolfClubs Pro - Engine Mode Check
+ *
+ * Runs the javascript, hybrid and claude engine modes against the fixture AI
+ * provider (AI_PROVIDER=fixture, built-in aiFixtures.js responses) and checks
+ * which factor scores each mode overrides before gradeBag. Also checks the
+ * fallback to JS scores when AI is disabled. Run with `npm test` from functions/.
+ *
+ * Date: January 2026
+ */
+
+process.env.AI_PROVIDER = 'fixture';
+delete process.env.AI_FIXTURES_FILE;
+
+const assert = require('node:assert/strict');
+const engine = require('./gradingEngine');
+const { AI_STEPS, getAIProvider, parseAIJson } = require('./aiProvider');
+const { scoreFactorsForEngine } = require('./aiFactorScoring');
+const { DEFAULT_AI_FIXTURES } = require('./aiFixtures');
+
+const ADJUSTMENT_CAP = 15;
+
+const BAG = [
+  { id: 'd', clubType: 'Driver', brand: 'TaylorMade', model: 'Qi10', loft: 10.5, shaft_weight: 60, shaft_flex: 'S', year: 2024, swing_weight: 'D4' },
+  { id: '3w', clubType: '3-Wood', brand: 'TaylorMade', model: 'Qi10', loft: 15, shaft_weight: 70, shaft_flex: 'S', year: 2024, swing_weight: 'D3' },
+  { id: '5i', clubType: '5-Iron', brand: 'Titleist', model: 'T150', loft: 24, shaft_weight: 110, shaft_flex: 'S', year: 2022, swing_weight: 'D2' },
+  { id: '7i', clubType: '7-Iron', brand: 'Titleist', model: 'T150', loft: 32, shaft_weight: 114, shaft_flex: 'S', year: 2022, swing_weight: 'D2' },
+  { id: '9i', clubType: '9-Iron', brand: 'Titleist', model: 'T150', loft: 40, shaft_weight: 118, shaft_flex: 'S', year: 2022, swing_weight: 'D3' },
+  { id: 'pw', clubType: 'PW', brand: 'Titleist', model: 'T150', loft: 45, shaft_weight: 120, shaft_flex: 'S', year: 2022, swing_weight: 'D3' }
+];
+
+async function runMode(mode, aiProvider = getAIProvider()) {
+  const prepared = engine.prepareBag(BAG, { asOfYear: 2026 });
+  const scoring = await scoreFactorsForEngine(mode, prepared.clubs, prepared.factorScores, aiProvider);
+  const result = engine.gradeBag(prepared, engine.DEFAULT_GRADING_WEIGHTS, { scoreOverrides: scoring.scoreOverrides });
+  return { prepared, scoring, result };
+}
+
+const CHECKS = {
+  'fixture provider answers every AI step with parseable JSON': async () => {
+    const provider = getAIProvider();
+    assert.equal(provider.name, 'fixture');
+    for (const step of Object.values(AI_STEPS)) {
+      const parsed = parseAIJson(await provider.complete({ step, prompt: 'check' }));
+      assert.ok(parsed && typeof parsed === 'object', step);
+    }
+  },
+
+  'fixtures cover every grading factor': () => {
+    engine.FACTOR_KEYS.forEach(factor => {
+      assert.ok(DEFAULT_AI_FIXTURES.factor_review[factor], `factor_review.${factor}`);
+      assert.ok(DEFAULT_AI_FIXTURES.factor_scoring[factor], `factor_scoring.${factor}`);
+      assert.ok(factor in DEFAULT_AI_FIXTURES.bag_analysis.factorAdjustments, `bag_analysis.${factor}`);
+    });
+  },
+
+  'javascript mode keeps the JS scores': async () => {
+    const { prepared, scoring, result } = await runMode('javascript');
+    assert.deepEqual(scoring.scoreOverrides, {});
+    assert.deepEqual(scoring.skippedSteps, []);
+    assert.equal(scoring.claudeReview, null);
+    engine.FACTOR_KEYS.forEach(factor => {
+      assert.equal(result.finalScores[factor].score, prepared.factorScores[factor].score, factor);
+    });
+  },
+
+  'hybrid mode applies only the reviewed adjustments, capped at ±15': async () => {
+    const { prepared, scoring, result } = await runMode('hybrid');
+    const jsWeight = prepared.factorScores.weight.score;
+    const fixtureWeight = DEFAULT_AI_FIXTURES.factor_review.weight.score;
+    const expectedWeight = Math.min(Math.max(fixtureWeight, jsWeight - ADJUSTMENT_CAP), jsWeight + ADJUSTMENT_CAP);
+
+    assert.deepEqual(Object.keys(scoring.scoreOverrides), ['weight']);
+    assert.equal(result.finalScores.weight.score, expectedWeight);
+    assert.deepEqual(Object.keys(scoring.claudeReview).sort(), [...engine.FACTOR_KEYS].sort());
+    assert.equal(scoring.claudeReview.swingweight.adjusted, false);
+    engine.FACTOR_KEYS.filter(factor => factor !== 'weight').forEach(factor => {
+      assert.equal(result.finalScores[factor].score, prepared.factorScores[factor].score, factor);
+    });
+  },
+
+  'claude mode replaces every factor score with the AI scores': async () => {
+    const { scoring, result } = await runMode('claude');
+    assert.equal(scoring.claudeReview.fullClaude, true);
+    assert.deepEqual(scoring.skippedSteps, []);
+    engine.FACTOR_KEYS.forEach(factor => {
+      const fixture = DEFAULT_AI_FIXTURES.factor_scoring[factor];
+      assert.equal(result.finalScores[factor].score, fixture.score, factor);
+      assert.deepEqual(result.finalScores[factor].issues, fixture.issues, `${factor} issues`);
+    });
+  },
+
+  'AI modes fall back to JS scores when AI is disabled': async () => {
+    const disabled = { name: 'none', isAvailable: () => false, unavailableReason: () => 'disabled', complete: async () => { throw new Error('disabled'); } };
+    const hybrid = await runMode('hybrid', disabled);
+    assert.deepEqual(hybrid.scoring.scoreOverrides, {});
+    assert.deepEqual(hybrid.scoring.skippedSteps, [AI_STEPS.FACTOR_REVIEW]);
+
+    const claude = await runMode('claude', disabled);
+    assert.deepEqual(claude.scoring.skippedSteps, [AI_STEPS.FACTOR_SCORING]);
+    assert.equal(claude.result.overallScore, (await runMode('javascript')).result.overallScore);
+  },
+
+  'unparseable AI responses are reported as skipped steps': async () => {
+    const garbled = { name: 'garbled', isAvailable: () => true, unavailableReason: () => null, complete: async () => 'not json' };
+    const hybrid = await runMode('hybrid', garbled);
+    assert.deepEqual(hybrid.scoring.skippedSteps, [AI_STEPS.FACTOR_REVIEW]);
+    const claude = await runMode('claude', garbled);
+    assert.deepEqual(claude.scoring.skippedSteps, [AI_STEPS.FACTOR_SCORING]);
+  }
+};
+
+(async () => {
+  let failures = 0;
+
+  for (const [name, check] of Object.entries(CHECKS)) {
+    try {
+      await check();
+      console.log(`ok   ${name}`);
+    } catch (error) {
+      failures++;
+      console.error(`FAIL ${name}: ${error.message}`);
+    }
+  }
+
+  const total = Object.keys(CHECKS).length;
+  console.log(`${total - failures}/${total} engine mode checks passed`);
+  if (failures > 0) process.exit(1);
+})();
@@ -0,0 +1,145 @@
+/**
+ * FitMyGolfClubs Pro - Grading Engine Check
+ *
+ * Unit checks for the pure grading pipeline: letter grade boundaries, weight
+ * normalization, individual factor scores and how the weighted factors roll
+ * up into the overall score. Run with `npm test` from functions/.
+ *
+ * Date: January 2026
+ */
+
+const assert = require('node:assert/strict');
+const engine = require('./gradingEngine');
+
+engine.setLogger(null);
+
+// Matched, current 8-club bag (no putter) - asOfYear pins club age
+const AS_OF = { asOfYear: 2026 };
+const BASE_BAG = [
+  { id: 'd', clubType: 'Driver', loft: 10.5, shaft_weight: 60, shaft_flex: 'S', year: 2024 },
+  { id: '3w', clubType: '3-Wood', loft: 15, shaft_weight: 70, shaft_flex: 'S', year: 2024 },
+  { id: '5i', clubType: '5-Iron', loft: 24, shaft_weight: 110, shaft_flex: 'S', year: 2024 },
+  { id: '6i', clubType: '6-Iron', loft: 28, shaft_weight: 112, shaft_flex: 'S', year: 2024 },
+  { id: '7i', clubType: '7-Iron', loft: 32, shaft_weight: 114, shaft_flex: 'S', year: 2024 },
+  { id: '8i', clubType: '8-Iron', loft: 36, shaft_weight: 116, shaft_flex: 'S', year: 2024 },
+  { id: '9i', clubType: '9-Iron', loft: 40, shaft_weight: 118, shaft_flex: 'S', year: 2024 },
+  { id: 'pw', clubType: 'PW', loft: 45, shaft_weight: 120, shaft_flex: 'S', year: 2024 }
+];
+
+function bagWith(changes = {}) {
+  return BASE_BAG.map(club => ({ ...club, ...(changes[club.id] || {}) }));
+}
+
+// Consistency score the engine should produce from its own factor scores
+function expectedConsistency(prepared, weights) {
+  const scorable = engine.FACTOR_KEYS.filter(factor => prepared.factorScores[factor].scorable !== false);
+  const totalWeight = scorable.reduce((sum, factor) => sum + weights[engine.FACTOR_WEIGHT_KEYS[factor]], 0);
+  return Math.round(scorable.reduce((sum, factor) =>
+    sum + prepared.factorScores[factor].score * (weights[engine.FACTOR_WEIGHT_KEYS[factor]] / totalWeight), 0));
+}
+
+const CHECKS = {
+  'scoreToGrade boundaries': () => {
+    [[100, 'A'], [90, 'A'], [89, 'B'], [80, 'B'], [79, 'C'], [70, 'C'], [69, 'D'], [60, 'D'], [59, 'F'], [0, 'F']]
+      .forEach(([score, grade]) => assert.equal(engine.scoreToGrade(score), grade, `score ${score}`));
+  },
+
+  'default weights total 100%': () => {
+    const total = Object.values(engine.DEFAULT_GRADING_WEIGHTS).reduce((sum, w) => sum + w, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9, `total ${total}`);
+    assert.deepEqual(Object.keys(engine.DEFAULT_GRADING_WEIGHTS).sort(), Object.values(engine.FACTOR_WEIGHT_KEYS).sort());
+  },
+
+  'normalizeGradingWeights accepts percents and missing factors': () => {
+    const percents = Object.fromEntries(Object.entries(engine.DEFAULT_GRADING_WEIGHTS).map(([k, w]) => [k, w * 100]));
+    assert.deepEqual(engine.normalizeGradingWeights(percents), engine.normalizeGradingWeights(engine.DEFAULT_GRADING_WEIGHTS));
+
+    const { swing_weight_progression: omitted, ...legacy } = engine.DEFAULT_GRADING_WEIGHTS;
+    legacy.age += omitted;
+    assert.equal(engine.normalizeGradingWeights(legacy).swing_weight_progression, 0);
+
+    assert.throws(() => engine.normalizeGradingWeights({ age: 0.5 }), /must total 100%/);
+    assert.throws(() => engine.normalizeGradingWeights({ ...engine.DEFAULT_GRADING_WEIGHTS, age: -0.2 }), /Invalid weight for age/);
+  },
+
+  'matched bag scores high on consistency factors': () => {
+    const { factorScores } = engine.prepareBag(bagWith(), AS_OF);
+    assert.equal(factorScores.flex.score, 100, 'flex');
+    assert.ok(factorScores.loft.score >= 90, `loft ${factorScores.loft.score}`);
+    assert.ok(factorScores.weight.score >= 90, `weight ${factorScores.weight.score}`);
+    assert.ok(factorScores.age.score >= 90, `age ${factorScores.age.score}`);
+  },
+
+  'mixed flexes and a compressed loft gap cost points': () => {
+    const matched = engine.prepareBag(bagWith(), AS_OF).factorScores;
+    const mixed = engine.prepareBag(bagWith({ '7i': { shaft_flex: 'R' }, '8i': { shaft_flex: 'X' }, '6i': { loft: 25 } }), AS_OF).factorScores;
+    assert.ok(mixed.flex.score < matched.flex.score, `flex ${mixed.flex.score} vs ${matched.flex.score}`);
+    assert.ok(mixed.loft.score < matched.loft.score, `loft ${mixed.loft.score} vs ${matched.loft.score}`);
+    assert.ok(mixed.flex.issues.length > 0, 'flex issues reported');
+  },
+
+  'older clubs lower the age score': () => {
+    const current = engine.calculateAgeScore(bagWith(), 2026).score;
+    const old = engine.calculateAgeScore(bagWith(Object.fromEntries(BASE_BAG.map(c => [c.id, { year: 2012 }]))), 2026).score;
+    assert.ok(old < current, `age ${old} vs ${current}`);
+  },
+
+  'swing weight outlier penalty grows with the deviation': () => {
+    const ironSet = (oddOne) => ['5-Iron', '6-Iron', '7-Iron', '8-Iron', '9-Iron'].map((clubType, i) => ({
+      id: `sw${i}`, clubType, loft: 24 + i * 4, swing_weight: clubType === '7-Iron' ? oddOne : 'D2'
+    }));
+    const score = (oddOne) => engine.calculateSwingWeightProgression(engine.prepareBag(ironSet(oddOne)).clubs).score;
+    assert.equal(score('D4'), 100, 'within tolerance');
+    assert.ok(score('D5') > score('D6') && score('D6') > score('D9'), `D5 ${score('D5')}, D6 ${score('D6')}, D9 ${score('D9')}`);
+    assert.ok(score('C0') >= 80, 'per-club penalty is capped');
+  },
+
+  'consistency score is the weighted mean of scorable factors': () => {
+    const prepared = engine.prepareBag(bagWith({ '6i': { loft: 25 } }), AS_OF);
+    const result = engine.gradeBag(prepared, engine.DEFAULT_GRADING_WEIGHTS);
+    assert.equal(result.consistencyScore, expectedConsistency(prepared, engine.DEFAULT_GRADING_WEIGHTS));
+    assert.deepEqual(result.unscoredFactors, engine.FACTOR_KEYS
+      .filter(factor => prepared.factorScores[factor].scorable === false)
+      .map(factor => engine.FACTOR_WEIGHT_KEYS[factor]));
+  },
+
+  'weights change the outcome': () => {
+    const prepared = engine.prepareBag(bagWith({ '6i': { loft: 25 } }), AS_OF);
+    const loftOnly = Object.fromEntries(Object.keys(engine.DEFAULT_GRADING_WEIGHTS).map(key => [key, key === 'loft_gapping' ? 1 : 0]));
+    const result = engine.gradeBag(prepared, loftOnly);
+    assert.equal(result.consistencyScore, prepared.factorScores.loft.score);
+  },
+
+  'overall score blends club quality and consistency, minus bag penalties': () => {
+    const result = engine.gradeClubs(bagWith(), engine.DEFAULT_GRADING_WEIGHTS, AS_OF);
+    const expected = Math.max(0, Math.round(result.averageClubQualityScore * 0.5 + result.consistencyScore * 0.5) - result.totalBagPenalty);
+    assert.equal(result.overallScore, expected);
+    assert.equal(result.overallGrade, engine.scoreToGrade(result.overallScore));
+  },
+
+  'score overrides replace factor scores in the final scores': () => {
+    const prepared = engine.prepareBag(bagWith(), AS_OF);
+    const result = engine.gradeBag(prepared, engine.DEFAULT_GRADING_WEIGHTS, {
+      scoreOverrides: { loft: { score: 42, issues: ['Override issue'] } }
+    });
+    assert.equal(result.finalScores.loft.score, 42);
+    assert.deepEqual(result.finalScores.loft.issues, ['Override issue']);
+    assert.equal(result.finalScores.flex.score, prepared.factorScores.flex.score);
+  }
+};
+
+let failures = 0;
+
+Object.entries(CHECKS).forEach(([name, check]) => {
+  try {
+    check();
+    console.log(`ok   ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`FAIL ${name}: ${error.message}`);
+  }
+});
+
+const total = Object.keys(CHECKS).length;
+console.log(`${total - failures}/${total} grading engine checks passed`);
+if (failures > 0) process.exit(1);
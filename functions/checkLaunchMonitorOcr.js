@@ -0,0 +1,33 @@
+/**
+ * FitMyGolfClubs Pro - Launch Monitor OCR Fixture Check
+ *
+ * Replays every LAUNCH_MONITOR_OCR_SAMPLES screen through
+ * parseLaunchMonitorText and asserts the labelled detectedDevice, layout,
+ * shot count and metrics. Run with `npm test` from functions/.
+ *
+ * Date: January 2026
+ */
+
+const assert = require('node:assert/strict');
+const { parseLaunchMonitorText } = require('./extractLaunchMonitorData');
+const { LAUNCH_MONITOR_OCR_SAMPLES } = require('./launchMonitorOcrFixtures');
+
+let failures = 0;
+
+LAUNCH_MONITOR_OCR_SAMPLES.forEach(sample => {
+  const { expected } = sample;
+  try {
+    const result = parseLaunchMonitorText(sample.text, []);
+    assert.equal(result.detectedDevice, expected.detectedDevice, 'detectedDevice');
+    assert.equal(result.layout, expected.layout, 'layout');
+    assert.equal((result.shots || []).length, expected.shotCount, 'shot count');
+    assert.deepEqual(result.metrics, expected.metrics, 'metrics');
+    console.log(`ok   ${sample.id}`);
+  } catch (error) {
+    failures++;
+    console.error(`FAIL ${sample.id}: ${error.message}`);
+  }
+});
+
+console.log(`${LAUNCH_MONITOR_OCR_SAMPLES.length - failures}/${LAUNCH_MONITOR_OCR_SAMPLES.length} OCR samples passed`);
+if (failures > 0) process.exit(1);
@@ -0,0 +1,528 @@
+/**
+ * FitMyGolfClubs Pro - Club Repository
+ *
+ * Single read/write path for a user's clubs. Every Cloud Function goes
+ * through here instead of querying Firestore club collections directly.
+ *
+ * Storage:
+ * - users/{userId}/clubs/{clubId}          - active bag (canonical schema)
+ * - users/{userId}/archivedClubs/{clubId}  - clubs taken out of the bag
+ * - clubs/{clubId}                         - LEGACY top-level collection keyed by
+ *                                            userId / user_id (string or reference)
+ *
+ * Legacy clubs are folded into the user's subcollection the first time a
+ * user's bag is touched (ensureClubsMigrated), keeping the same document id
+ * so bagChangeHistory and archivedClubs references still resolve.
+ * migrateClubStorage runs the same migration on demand. The migration is
+ * resumable: each club is copied and marked migratedTo in one commit, and
+ * users/{userId}.clubs_migration records the run's progress.
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+
+// ==========================================
+// CANONICAL SCHEMA
+// ==========================================
+
+// Canonical field → aliases found in older documents (first non-empty wins)
+const CLUB_FIELD_ALIASES = {
+  clubType: ['clubType', 'club_type', 'identification.clubType'],
+  brand: ['brand', 'make', 'identification.brand'],
+  model: ['model', 'identification.model'],
+  year: ['year', 'identification.year', 'year_purchased'],
+  loft: ['loft'],
+  lie: ['lie', 'lie_angle'],
+  length: ['length'],
+  shaft_brand: ['shaft_brand', 'shaftBrand', 'shaft.brand'],
+  shaft_model: ['shaft_model', 'shaftModel', 'shaft.model'],
+  shaft_weight: ['shaft_weight', 'shaftWeight', 'shaft.weight'],
+  shaft_flex: ['shaft_flex', 'shaftFlex', 'shaft.flex'],
+  shaft_kickpoint: ['shaft_kickpoint', 'shaftKickpoint', 'shaft.kickpoint', 'shaft.kickPoint'],
+  shaft_torque: ['shaft_torque', 'shaftTorque', 'shaft.torque'],
+  shaft_material: ['shaft_material', 'shaftMaterial', 'shaft.material'],
+  is_favorite: ['is_favorite', 'isFavorite'],
+  created_at: ['created_at', 'createdAt'],
+  updated_at: ['updated_at', 'updatedAt']
+};
+
+// Legacy-only fields that are not carried over from stored documents
+// (ownership is the parent path; active/archived is the collection)
+const LEGACY_ONLY_FIELDS = ['userId', 'user_id', 'status', 'archivedAt'];
+
+// Fields added when a club is archived - dropped again on restore
+const ARCHIVE_FIELDS = ['archivedAt', 'archivedReason', 'changeHistoryId', 'replacedBy', 'finalGrade', 'timeInBag', 'canRestore'];
+
+// Firestore allows 500 writes per batch
+const MAX_BATCH_WRITES = 450;
+
+// Users already migrated in this instance (skips the users/{id} read)
+const migratedUsers = new Set();
+
+// ==========================================
+// SCHEMA HELPERS
+// ==========================================
+
+function readPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Map any stored club shape to the canonical schema
+ * Unknown fields are kept; alias fields and nested identification/shaft objects are flattened away.
+ *
+ * @param {Object} data - Raw Firestore club data (or partial update)
+ * @param {Object} options - { stripLegacyFields: false keeps userId / status fields the caller set }
+ * @returns {Object} Canonical club data (only fields that have a value)
+ */
+function canonicalizeClub(data = {}, { stripLegacyFields = true } = {}) {
+  const canonical = { ...data };
+
+  Object.entries(CLUB_FIELD_ALIASES).forEach(([field, aliases]) => {
+    const alias = aliases.find(path => {
+      const value = readPath(data, path);
+      return value !== undefined && value !== null && value !== '';
+    });
+    aliases.forEach(path => {
+      if (path !== field && !path.includes('.')) delete canonical[path];
+    });
+    if (alias) {
+      canonical[field] = readPath(data, alias);
+    }
+  });
+
+  if (canonical.identification && typeof canonical.identification === 'object') {
+    delete canonical.identification;
+  }
+  if (canonical.shaft && typeof canonical.shaft === 'object') {
+    delete canonical.shaft;
+  }
+  if (stripLegacyFields) {
+    LEGACY_ONLY_FIELDS.forEach(field => delete canonical[field]);
+  }
+
+  return canonical;
+}
+
+function toClub(doc) {
+  return { id: doc.id, ...canonicalizeClub(doc.data()) };
+}
+
+function clubsCollection(db, userId) {
+  return db.collection("users").doc(userId).collection("clubs");
+}
+
+function archivedClubsCollection(db, userId) {
+  return db.collection("users").doc(userId).collection("archivedClubs");
+}
+
+/**
+ * Calculate time a club has been in the bag
+ */
+function calculateTimeInBag(addedDate) {
+  if (!addedDate) return 'Unknown';
+
+  const now = new Date();
+  const added = addedDate.toDate ? addedDate.toDate() : new Date(addedDate);
+  const diffTime = Math.abs(now - added);
+  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+
+  const months = Math.floor(diffDays / 30);
+  const days = diffDays % 30;
+
+  if (months === 0) {
+    return `${days} days`;
+  }
+  return `${months} months ${days} days`;
+}
+
+/**
+ * Runs writes in chunks below the Firestore batch limit
+ * Chunks commit in order; commit() rejects at the first failed chunk and
+ * later chunks are not written. reserve(count) starts a new chunk unless
+ * count more writes fit, so related writes land in the same commit.
+ */
+function createChunkedBatch(db) {
+  let batch = db.batch();
+  let writes = 0;
+  let committed = Promise.resolve();
+
+  const flush = () => {
+    const chunk = batch;
+    committed = committed.then(() => chunk.commit());
+    // Failures surface from commit(), not as unhandled rejections in between
+    committed.catch(() => {});
+    batch = db.batch();
+    writes = 0;
+  };
+
+  const track = () => {
+    writes++;
+    if (writes >= MAX_BATCH_WRITES) flush();
+  };
+
+  return {
+    reserve: (count) => { if (writes > 0 && writes + count > MAX_BATCH_WRITES) flush(); },
+    set: (ref, data, options) => { batch.set(ref, data, options || {}); track(); },
+    update: (ref, data) => { batch.update(ref, data); track(); },
+    delete: (ref) => { batch.delete(ref); track(); },
+    commit: async () => {
+      if (writes > 0) flush();
+      await committed;
+    }
+  };
+}
+
+// ==========================================
+// LEGACY MIGRATION
+// ==========================================
+
+/**
+ * Find a user's documents in the legacy top-level clubs collection
+ * userId was stored as a string or a users/{id} reference; user_id by older screens
+ */
+async function findLegacyClubDocs(db, userId) {
+  const legacyRef = db.collection("clubs");
+  const userRef = db.collection("users").doc(userId);
+  const snapshots = await Promise.all([
+    legacyRef.where("userId", "==", userId).get(),
+    legacyRef.where("userId", "==", userRef).get(),
+    legacyRef.where("user_id", "==", userId).get()
+  ]);
+
+  const docs = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => docs.set(doc.id, doc)));
+  return Array.from(docs.values()).filter(doc => !doc.data().migratedTo);
+}
+
+/**
+ * Fold a user's legacy top-level clubs into users/{userId}/clubs
+ * Active clubs keep their id; archived clubs go to archivedClubs if not already there.
+ * performanceData recorded under the legacy document is copied along.
+ *
+ * Each club's copy and its legacy migratedTo mark commit together, so a rerun
+ * after a failure only picks up the clubs that were not migrated yet.
+ * clubs_migrated_at is set only once every club has been committed.
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner of the clubs
+ * @returns {Object} { migrated, archived, skipped }
+ */
+async function migrateLegacyClubs(db, userId) {
+  const userRef = db.collection("users").doc(userId);
+  const legacyDocs = await findLegacyClubDocs(db, userId);
+  const batch = createChunkedBatch(db);
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+  const result = { migrated: 0, archived: 0, skipped: 0 };
+
+  if (legacyDocs.length > 0) {
+    await userRef.set({
+      clubs_migration: { status: 'running', remaining: legacyDocs.length, started_at: timestamp }
+    }, { mergeFields: ['clubs_migration'] });
+  }
+
+  for (const legacyDoc of legacyDocs) {
+    const data = legacyDoc.data();
+    const isArchived = data.status === 'archived';
+    const targetRef = isArchived
+      ? archivedClubsCollection(db, userId).doc(legacyDoc.id)
+      : clubsCollection(db, userId).doc(legacyDoc.id);
+
+    // Already copied (e.g. by a run that failed before marking the legacy doc) - only mark it
+    const existing = await targetRef.get();
+    if (existing.exists) {
+      batch.reserve(1);
+      batch.update(legacyDoc.ref, { migratedTo: targetRef.path, migratedAt: timestamp });
+      result.skipped++;
+      continue;
+    }
+
+    const performanceSnapshot = await legacyDoc.ref.collection("performanceData").get();
+    batch.reserve(performanceSnapshot.size + 2);
+
+    if (isArchived) {
+      batch.set(targetRef, {
+        ...canonicalizeClub(data),
+        archivedAt: data.archivedAt || timestamp,
+        archivedReason: 'legacy_migration',
+        canRestore: false,
+        migratedFrom: legacyDoc.ref.path
+      });
+      result.archived++;
+    } else {
+      batch.set(targetRef, {
+        ...canonicalizeClub(data),
+        migratedFrom: legacyDoc.ref.path
+      });
+      result.migrated++;
+    }
+
+    performanceSnapshot.forEach(perfDoc => {
+      batch.set(targetRef.collection("performanceData").doc(perfDoc.id), perfDoc.data());
+    });
+
+    batch.update(legacyDoc.ref, { migratedTo: targetRef.path, migratedAt: timestamp });
+  }
+
+  try {
+    await batch.commit();
+  } catch (commitError) {
+    await userRef.set({
+      clubs_migration: { status: 'failed', error: commitError.message, failed_at: timestamp }
+    }, { mergeFields: ['clubs_migration'] });
+    throw commitError;
+  }
+
+  await userRef.set({
+    clubs_migrated_at: timestamp,
+    clubs_migration: { status: 'complete', ...result, remaining: 0, completed_at: timestamp }
+  }, { mergeFields: ['clubs_migrated_at', 'clubs_migration'] });
+
+  migratedUsers.add(userId);
+  if (legacyDocs.length > 0) {
+    logger.info(`Migrated legacy clubs for ${userId}: ${result.migrated} active, ${result.archived} archived, ${result.skipped} already present`);
+  }
+  return result;
+}
+
+/**
+ * Migrate a user's legacy clubs once; later calls are a users/{id} read (or nothing)
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner of the clubs
+ * @param {Object} userData - users/{userId} data if already loaded
+ */
+async function ensureClubsMigrated(db, userId, userData = null) {
+  if (migratedUsers.has(userId)) return;
+
+  const profile = userData || (await db.collection("users").doc(userId).get()).data();
+  if (profile?.clubs_migrated_at) {
+    migratedUsers.add(userId);
+    return;
+  }
+
+  try {
+    await migrateLegacyClubs(db, userId);
+  } catch (migrationError) {
+    // Reads still work from the subcollection - retry on the next request
+    logger.error(`Legacy club migration failed for ${userId}:`, migrationError.message);
+  }
+}
+
+// ==========================================
+// READS
+// ==========================================
+
+/**
+ * All clubs in a user's bag, in canonical schema
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner of the clubs
+ * @param {Object} options - { userData } to skip the migration check read
+ * @returns {Array} [{ id, clubType, brand, model, ... }]
+ */
+async function listClubs(db, userId, options = {}) {
+  await ensureClubsMigrated(db, userId, options.userData);
+  const snapshot = await clubsCollection(db, userId).get();
+  return snapshot.docs.map(toClub);
+}
+
+/**
+ * Fill shaft_material on clubs that have a catalog shaft (shaftId) but no material,
+ * from shaftSpecDatabase, and save it back to the club documents
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner of the clubs
+ * @param {Array} clubs - Clubs from listClubs
+ * @returns {Array} Same clubs, with shaft_material where the catalog has one
+ */
+async function fillShaftMaterials(db, userId, clubs) {
+  const shaftIds = [...new Set(clubs.filter(club => club.shaftId && !club.shaft_material).map(club => club.shaftId))];
+  if (shaftIds.length === 0) return clubs;
+
+  const materials = {};
+  try {
+    const shaftDocs = await db.getAll(...shaftIds.map(id => db.collection('shaftSpecDatabase').doc(id)));
+    shaftDocs.forEach(doc => {
+      const material = doc.exists ? (doc.data().material || doc.data().shaft_material || null) : null;
+      if (material) materials[doc.id] = String(material).toLowerCase();
+    });
+  } catch (error) {
+    logger.warn(`Could not load shaft materials for ${userId}:`, error.message);
+    return clubs;
+  }
+
+  const batch = createChunkedBatch(db);
+  const filled = clubs.map(club => {
+    const material = !club.shaft_material && materials[club.shaftId];
+    if (!material) return club;
+    batch.update(clubsCollection(db, userId).doc(club.id), { shaft_material: material });
+    return { ...club, shaft_material: material };
+  });
+  await batch.commit();
+
+  return filled;
+}
+
+/**
+ * One club from a user's bag, or null
+ * With includeLegacy, falls back to an unowned legacy club (e.g. a demo club
+ * won in a performance test) so it can be copied into the bag.
+ */
+async function getClub(db, userId, clubId, options = {}) {
+  await ensureClubsMigrated(db, userId, options.userData);
+
+  const clubDoc = await clubsCollection(db, userId).doc(clubId).get();
+  if (clubDoc.exists) {
+    return toClub(clubDoc);
+  }
+
+  if (options.includeLegacy) {
+    const legacyDoc = await db.collection("clubs").doc(clubId).get();
+    if (legacyDoc.exists && !legacyDoc.data().migratedTo) {
+      return toClub(legacyDoc);
+    }
+  }
+  return null;
+}
+
+/**
+ * Firestore reference for a club in a user's bag (for subcollections like performanceData)
+ */
+function getClubRef(db, userId, clubId) {
+  return clubsCollection(db, userId).doc(clubId);
+}
+
+// ==========================================
+// WRITES
+// ==========================================
+
+/**
+ * Add a club to a user's bag
+ *
+ * @param {FirebaseFirestore.WriteBatch} batch - Batch to queue the write on
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner of the club
+ * @param {Object} data - Club data in any supported shape
+ * @param {string} clubId - Optional id (generated if omitted)
+ * @returns {string} Club id
+ */
+function addClub(batch, db, userId, data, clubId = null) {
+  const clubRef = clubId ? clubsCollection(db, userId).doc(clubId) : clubsCollection(db, userId).doc();
+  const clubData = canonicalizeClub(data, { stripLegacyFields: false });
+  delete clubData.id;
+  batch.set(clubRef, {
+    ...clubData,
+    created_at: clubData.created_at || admin.firestore.FieldValue.serverTimestamp()
+  });
+  return clubRef.id;
+}
+
+/**
+ * Update fields on a club in a user's bag (aliases are mapped to canonical names,
+ * every field the caller passed is written)
+ */
+async function updateClub(db, userId, clubId, updates) {
+  await ensureClubsMigrated(db, userId);
+  await clubsCollection(db, userId).doc(clubId).update({
+    ...canonicalizeClub(updates, { stripLegacyFields: false }),
+    updated_at: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Move a club out of the bag into archivedClubs
+ *
+ * @param {FirebaseFirestore.WriteBatch} batch - Batch to queue the writes on
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner of the club
+ * @param {Object} club - Club from listClubs/getClub
+ * @param {Object} archiveInfo - { archivedReason, changeHistoryId, replacedBy, canRestore }
+ * @returns {Object} The archived club data
+ */
+function archiveClub(batch, db, userId, club, archiveInfo = {}) {
+  const { id: clubId, ...clubData } = club;
+  const archived = {
+    ...clubData,
+    archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    archivedReason: archiveInfo.archivedReason || 'removed',
+    changeHistoryId: archiveInfo.changeHistoryId || null,
+    replacedBy: archiveInfo.replacedBy || null,
+    finalGrade: clubData.finalGrade || clubData.grading?.grade || null,
+    timeInBag: calculateTimeInBag(clubData.addedToBagAt || clubData.created_at),
+    canRestore: archiveInfo.canRestore !== false
+  };
+
+  batch.set(archivedClubsCollection(db, userId).doc(clubId), archived);
+  batch.delete(clubsCollection(db, userId).doc(clubId));
+  return archived;
+}
+
+/**
+ * Move an archived club back into the bag
+ * @returns {boolean} false if the club is not in archivedClubs
+ */
+async function restoreClub(batch, db, userId, clubId) {
+  const archivedDoc = await archivedClubsCollection(db, userId).doc(clubId).get();
+  if (!archivedDoc.exists) return false;
+
+  const clubData = canonicalizeClub(archivedDoc.data());
+  ARCHIVE_FIELDS.forEach(field => delete clubData[field]);
+
+  batch.set(clubsCollection(db, userId).doc(clubId), {
+    ...clubData,
+    updated_at: admin.firestore.FieldValue.serverTimestamp()
+  });
+  batch.delete(archivedDoc.ref);
+  return true;
+}
+
+// ==========================================
+// CLOUD FUNCTION: migrateClubStorage
+// ==========================================
+
+/**
+ * request.data: { clientId?: "client_uid" }
+ * Migrates the caller's clubs; pros may pass a clientId they manage
+ */
+exports.migrateClubStorage = onCall({ timeoutSeconds: 300 }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const callerId = request.auth.uid;
+  const clientId = request.data?.clientId ? sanitizeText(request.data.clientId, 128) : null;
+  let userId = callerId;
+
+  if (clientId && clientId !== callerId) {
+    const clientDoc = await db.collection("users").doc(clientId).get();
+    const clientData = clientDoc.data();
+    const proId = clientData?.pro_id || clientData?.proManagedInfo?.proUserId;
+    if (!clientDoc.exists || proId !== callerId) {
+      throw new HttpsError('permission-denied', 'You do not manage this client');
+    }
+    userId = clientId;
+  }
+
+  const result = await migrateLegacyClubs(db, userId);
+  return { success: true, userId, ...result };
+});
+
+exports.CLUB_FIELD_ALIASES = CLUB_FIELD_ALIASES;
+exports.canonicalizeClub = canonicalizeClub;
+exports.calculateTimeInBag = calculateTimeInBag;
+exports.ensureClubsMigrated = ensureClubsMigrated;
+exports.migrateLegacyClubs = migrateLegacyClubs;
+exports.listClubs = listClubs;
+exports.fillShaftMaterials = fillShaftMaterials;
+exports.getClub = getClub;
+exports.getClubRef = getClubRef;
+exports.addClub = addClub;
+exports.updateClub = updateClub;
+exports.archiveClub = archiveClub;
+exports.restoreClub = restoreClub;
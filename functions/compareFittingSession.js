@@ -1,6 +1,9 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const {sanitizeUserId, sanitizeText, sanitizeClubType} = require("./sanitization");
+const { getClub, getClubRef } = require("./clubRepository");
+const { compareClubShots, OBJECTIVES } = require("./shotComparison");
+const { evaluateLaunchWindows } = require("./launchWindows");
 
 // Initialize Firebase Admin if not already initialized
 if (!admin.apps.length) {
@@ -10,6 +13,12 @@ if (!admin.apps.length) {
 /**
  * Compare Fitting Session Cloud Function - FINAL DEBUG VERSION
  * Exhaustive logging to identify Firestore issue
+ *
+ * Body: { userId, sessionId, clubType, clubIds: [], objective?, spinWindow? }
+ * - objective: distance (default) | consistency | spin_window
+ * - spinWindow: { min, max } rpm, overrides the club type default
+ * The winner comes from shotComparison.js (Welch / bootstrap); Claude only
+ * writes up that result.
  */
 exports.compareFittingSession = functions.https.onRequest(async (req, res) => {
   // CORS headers
@@ -31,7 +40,7 @@ exports.compareFittingSession = functions.https.onRequest(async (req, res) => {
 
   try {
     // SECURITY: Sanitize input
-let userId, sessionId, clubType, clubIds;
+let userId, sessionId, clubType, clubIds, objective, spinWindow;
 try {
   const rawUserId = req.body.userId;
   const rawSessionId = req.body.sessionId;
@@ -70,6 +79,28 @@ try {
   // Sanitize array of club IDs
   clubIds = rawClubIds.map(id => sanitizeText(id, 50)).filter(id => id !== '');
   
+  // Ranking objective (default: distance)
+  objective = req.body.objective || 'distance';
+  if (!OBJECTIVES[objective]) {
+    return res.status(400).json({
+      error: 'Invalid objective',
+      details: `Must be one of: ${Object.keys(OBJECTIVES).join(', ')}`
+    });
+  }
+  
+  spinWindow = null;
+  if (req.body.spinWindow) {
+    const min = Number(req.body.spinWindow.min);
+    const max = Number(req.body.spinWindow.max);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min <= 0 || max <= min) {
+      return res.status(400).json({
+        error: 'Invalid spinWindow',
+        details: 'spinWindow needs numeric min < max (rpm)'
+      });
+    }
+    spinWindow = { min, max };
+  }
+  
   // Validate minimum clubs
   if (clubIds.length < 2) {
     console.error('Insufficient clubs for comparison');
@@ -100,51 +131,12 @@ try {
       console.log(`========================================`);
       
       try {
-        // Get reference
-        const clubRef = db.collection('clubs').doc(clubId);
-        console.log(`✓ Created reference: clubs/${clubId}`);
-        
-        // Attempt to fetch
-        console.log(`⟳ Calling .get() on reference...`);
-        const clubDoc = await clubRef.get();
-        console.log(`✓ .get() call completed`);
-        
-        // Log EVERYTHING about the response
-        console.log(`\n--- FIRESTORE RESPONSE DETAILS ---`);
-        console.log(`typeof clubDoc: ${typeof clubDoc}`);
-        console.log(`clubDoc constructor: ${clubDoc.constructor.name}`);
-        console.log(`clubDoc.exists: ${clubDoc.exists}`);
-        console.log(`clubDoc.id: ${clubDoc.id}`);
-        console.log(`clubDoc.ref: ${clubDoc.ref.path}`);
-        console.log(`clubDoc.createTime: ${clubDoc.createTime}`);
-        console.log(`clubDoc.updateTime: ${clubDoc.updateTime}`);
-        console.log(`clubDoc.readTime: ${clubDoc.readTime}`);
-        
-        // Try to get data
-        try {
-          const data = clubDoc.data();
-          console.log(`clubDoc.data() type: ${typeof data}`);
-          if (data) {
-            console.log(`clubDoc.data() keys: ${Object.keys(data).join(', ')}`);
-            console.log(`clubDoc.data() full: ${JSON.stringify(data, null, 2)}`);
-          } else {
-            console.log(`clubDoc.data() returned: ${data}`);
-          }
-        } catch (dataError) {
-          console.error(`ERROR calling clubDoc.data():`, dataError.message);
-        }
-        
-        console.log(`--- END FIRESTORE RESPONSE ---\n`);
+        // Fetch from the user's bag (club repository folds in legacy top-level clubs)
+        console.log(`⟳ Fetching club ${clubId} for user ${userId}...`);
+        const clubData = await getClub(db, userId, clubId);
         
-        if (!clubDoc.exists) {
-          console.error(`❌ CLUB DOES NOT EXIST despite successful .get() call`);
-          console.error(`This suggests the document is not in Firestore`);
-          continue;
-        }
-        
-        const clubData = clubDoc.data();
         if (!clubData) {
-          console.error(`❌ clubData is null/undefined even though .exists = true`);
+          console.error(`❌ CLUB NOT FOUND in users/${userId}/clubs`);
           continue;
         }
         
@@ -152,8 +144,7 @@ try {
         
         // Query performance data
         console.log(`\n⟳ Querying performance data...`);
-        const perfQuery = db.collection('clubs')
-          .doc(clubId)
+        const perfQuery = getClubRef(db, userId, clubId)
           .collection('performanceData')
           .where('sessionId', '==', sessionId);
         
@@ -218,56 +209,67 @@ try {
 
     console.log(`✓ SUCCESS: Proceeding with comparison of ${clubsWithData.length} clubs`);
 
-    // Calculate statistics for each club
+    // Rank the clubs and test whether the leader actually separates
+    const comparison = compareClubShots(
+      clubsWithData.map(club => ({
+        clubId: club.clubId,
+        label: `${club.clubData.brand || 'Unknown'} ${club.clubData.model || 'Unknown'}`,
+        shots: club.shots
+      })),
+      { objective, clubType, spinWindow }
+    );
+    console.log(`✓ Comparison verdict: ${comparison.verdict} - ${comparison.message}`);
+
+    const rankOf = clubId => comparison.ranking.find(r => r.clubId === clubId)?.rank || null;
+    const round = (value, places = 0) => value === null || value === undefined
+      ? 0
+      : Math.round(value * 10 ** places) / 10 ** places;
+
+    // Statistics for each club, leader first
     const clubStats = clubsWithData.map(club => {
-      const { clubData, shots, clubId } = club;
-      
-      const calcAvg = (field) => {
-        const values = shots
-          .map(s => s[field])
-          .filter(v => typeof v === 'number' && !isNaN(v));
-        return values.length > 0 
-          ? values.reduce((sum, v) => sum + v, 0) / values.length 
-          : 0;
-      };
-
-      const avgCarry = calcAvg('carryDistance');
-      const avgTotal = calcAvg('totalDistance');
-      const avgBallSpeed = calcAvg('ballSpeed');
-      const avgClubSpeed = calcAvg('clubHeadSpeed');
-      const avgLaunch = calcAvg('launchAngle');
-      const avgSpin = calcAvg('spinRate');
-
-      const carryValues = shots
-        .map(s => s.carryDistance)
-        .filter(v => typeof v === 'number' && !isNaN(v));
-      
-      let stdDev = 0;
-      if (carryValues.length > 1) {
-        const variance = carryValues.reduce((sum, d) => {
-          return sum + Math.pow(d - avgCarry, 2);
-        }, 0) / carryValues.length;
-        stdDev = Math.sqrt(variance);
-      }
+      const { clubData, clubId } = club;
+      const summary = comparison.summaries[clubId];
 
       return {
         clubId,
+        rank: rankOf(clubId),
         brand: clubData.brand || 'Unknown',
         model: clubData.model || 'Unknown',
         clubType: clubData.clubType || clubType,
-        shotCount: shots.length,
-        avgCarryDistance: Math.round(avgCarry),
-        avgTotalDistance: Math.round(avgTotal),
-        avgBallSpeed: Math.round(avgBallSpeed),
-        avgClubSpeed: Math.round(avgClubSpeed),
-        avgLaunchAngle: Math.round(avgLaunch * 10) / 10,
-        avgSpinRate: Math.round(avgSpin),
-        consistency: Math.round(stdDev * 10) / 10,
-        shaftWeight: clubData.shaft?.weight || null,
-        shaftFlex: clubData.shaft?.flex || null,
-        shaftKickPoint: clubData.shaft?.kickPoint || null
+        shotCount: summary.shotCount,
+        avgCarryDistance: round(summary.carry?.mean),
+        avgTotalDistance: round(summary.total?.mean),
+        avgBallSpeed: round(summary.ballSpeed?.mean),
+        avgClubSpeed: round(summary.clubSpeed?.mean),
+        avgLaunchAngle: round(summary.launch?.mean, 1),
+        avgSpinRate: round(summary.spin?.mean),
+        avgDescentAngle: summary.descent ? round(summary.descent.mean, 1) : null,
+        avgPeakHeight: summary.height ? round(summary.height.mean) : null,
+        launchWindows: evaluateLaunchWindows(clubData.clubType || clubType, {
+          clubSpeed: summary.clubSpeed?.mean,
+          launchAngle: summary.launch?.mean,
+          spinRate: summary.spin?.mean,
+          landingAngle: summary.descent?.mean,
+          height: summary.height?.mean
+        }),
+        consistency: round(summary.carry?.sd, 1),
+        offlineDispersion: summary.offline ? round(summary.offline.sd, 1) : null,
+        shaftWeight: clubData.shaft_weight || null,
+        shaftFlex: clubData.shaft_flex || null,
+        shaftKickPoint: clubData.shaft_kickpoint || null
       };
-    });
+    }).sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+
+    const statistics = {
+      objective: comparison.objective,
+      verdict: comparison.verdict,
+      message: comparison.message,
+      ranking: comparison.ranking,
+      tests: comparison.tests,
+      shotsNeeded: comparison.shotsNeeded,
+      dispersionBasis: comparison.dispersionBasis,
+      spinWindow: comparison.spinWindow
+    };
 
     // API key
     const anthropicKey = process.env.CLAUDE_API_KEY || functions.config().claude?.api_key || "";
@@ -281,11 +283,11 @@ try {
     }
 
     console.log('⟳ Calling Claude API...');
-    const prompt = buildComparisonPrompt(clubStats, clubType);
+    const prompt = buildComparisonPrompt(clubStats, clubType, comparison);
     const analysis = await callClaudeAPI(prompt, anthropicKey);
     console.log('✓ Claude analysis received');
 
-    const winnerClub = clubStats[0];
+    const winnerClub = clubStats.find(club => club.clubId === comparison.winnerClubId) || null;
 
     // Save results
     try {
@@ -297,7 +299,9 @@ try {
           [`comparisons.${clubType}`]: {
             comparedAt: admin.firestore.FieldValue.serverTimestamp(),
             clubIds: clubIds,
-            winner: winnerClub.clubId,
+            winner: winnerClub ? winnerClub.clubId : null,
+            verdict: comparison.verdict,
+            statistics: statistics,
             analysis: analysis,
             clubStats: clubStats
           }
@@ -313,12 +317,14 @@ try {
       data: {
         clubType,
         comparedClubs: clubsWithData.length,
-        winner: `${winnerClub.brand} ${winnerClub.model}`,
-        verdict: 'clear_winner',
+        winner: winnerClub ? `${winnerClub.brand} ${winnerClub.model}` : null,
+        verdict: comparison.verdict,
+        message: comparison.message,
         fullAnalysis: {
-          winner: `${winnerClub.brand} ${winnerClub.model}`,
+          winner: winnerClub ? `${winnerClub.brand} ${winnerClub.model}` : null,
           reasoning: analysis,
-          clubStats: clubStats
+          clubStats: clubStats,
+          statistics: statistics
         }
       }
     };
@@ -339,7 +345,7 @@ try {
   }
 });
 
-function buildComparisonPrompt(clubStats, clubType) {
+function buildComparisonPrompt(clubStats, clubType, comparison) {
   let prompt = `You are a professional golf club fitter analyzing performance data from a testing session.\n\n`;
   prompt += `The golfer tested ${clubStats.length} different ${clubType}s. Here's the data:\n\n`;
 
@@ -352,19 +358,44 @@ function buildComparisonPrompt(clubStats, clubType) {
     prompt += `- Club speed: ${club.avgClubSpeed} mph\n`;
     prompt += `- Launch angle: ${club.avgLaunchAngle}°\n`;
     prompt += `- Spin rate: ${club.avgSpinRate} rpm\n`;
+    if (club.avgDescentAngle !== null) prompt += `- Descent angle: ${club.avgDescentAngle}°\n`;
+    if (club.avgPeakHeight !== null) prompt += `- Peak height: ${club.avgPeakHeight} ft\n`;
+    if (club.launchWindows) {
+      prompt += `- Launch windows (${club.launchWindows.speedBand} speed): ${club.launchWindows.inWindow ? 'all in window' : 'OUT of window'} - ${club.launchWindows.summary}\n`;
+    }
     prompt += `- Consistency (std dev): ${club.consistency} yards\n`;
+    if (club.offlineDispersion !== null) prompt += `- Offline dispersion (std dev): ${club.offlineDispersion} yards\n`;
     if (club.shaftWeight) prompt += `- Shaft weight: ${club.shaftWeight}g\n`;
     if (club.shaftFlex) prompt += `- Shaft flex: ${club.shaftFlex}\n`;
     if (club.shaftKickPoint) prompt += `- Kick point: ${club.shaftKickPoint}\n`;
     prompt += `\n`;
   });
 
-  prompt += `Based on this data, which club performs best? Provide a detailed but conversational analysis (200-300 words) that:\n`;
-  prompt += `1. Identifies the winner and why\n`;
-  prompt += `2. Explains the key performance differences\n`;
-  prompt += `3. Mentions specific metrics that matter\n`;
-  prompt += `4. Gives actionable recommendation\n\n`;
-  prompt += `Write in a friendly, encouraging tone. Focus on what the golfer will gain by switching clubs.`;
+  // The verdict is computed - Claude only explains it
+  prompt += `**Statistical result (objective: ${comparison.objective})**\n`;
+  prompt += `- Verdict: ${comparison.verdict}\n`;
+  prompt += `- ${comparison.message}\n`;
+  Object.entries(comparison.tests).forEach(([metric, tests]) => {
+    tests.forEach(test => {
+      const other = clubStats.find(club => club.clubId === test.versus);
+      prompt += `- ${metric}: leader vs ${other ? `${other.brand} ${other.model}` : test.versus} ` +
+        `differs by ${test.diff.toFixed(1)} (95% interval ${test.ci[0].toFixed(1)} to ${test.ci[1].toFixed(1)}, ` +
+        `p = ${test.pValue.toFixed(3)}, ${test.significant ? 'significant' : 'not significant'})\n`;
+    });
+  });
+  prompt += `\n`;
+
+  prompt += `Write a conversational analysis (200-300 words) of this computed result. Rules:\n`;
+  prompt += `1. Do not pick a different winner than the verdict above\n`;
+  if (comparison.verdict === 'clear_winner') {
+    prompt += `2. Explain why the winner came out ahead, using the metrics above\n`;
+  } else {
+    prompt += `2. Say plainly that there are not enough shots to separate these clubs - do not name a winner\n`;
+  }
+  prompt += `3. Only call a difference real if it is marked significant; treat the rest as noise\n`;
+  prompt += `4. When a club is out of its launch window, cite the window numbers above\n`;
+  prompt += `5. Give an actionable next step${comparison.shotsNeeded ? ` (about ${comparison.shotsNeeded} shots per club would settle it)` : ''}\n\n`;
+  prompt += `Write in a friendly, encouraging tone.`;
 
   return prompt;
 }
@@ -0,0 +1,394 @@
+/**
+ * FitMyGolfClubs Pro - Credit Ledger
+ *
+ * Server-side credit balances for pros and clients.
+ * - creditAccounts/{accountId}: balance (monthly allotment + purchased credits)
+ * - creditAccounts/{accountId}/transactions: debits, refunds, allotments, purchases
+ *
+ * Monthly credits reset lazily on the first debit/read of a new month.
+ * Debits use monthly credits first, then purchased credits (which never expire).
+ * Client work done by a pro (or an unauthenticated grading call for a
+ * pro-managed client) is billed to the pro's account.
+ *
+ * Cloud Functions:
+ * - getCreditBalance: Balance + recent transactions (Pro Credits modal)
+ * - useCredit: Debit for client-side actions (performance tests)
+ *
+ * Refunds stay server-side: a function that debits and then fails calls
+ * safeRefundCredits in its catch.
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+// Monthly credits by subscription tier
+const PRO_TIER_ALLOTMENTS = {
+  elite: 2000,
+  growth: 1000,
+  starter: 500,
+  free: 50
+};
+
+const CLIENT_TIER_ALLOTMENTS = {
+  paid: 30,
+  free: 0
+};
+
+// Credits charged per action
+const CREDIT_COSTS = {
+  grade: 1,
+  scenario: 1,
+  recommendation: 1,
+  performance_test: 1
+};
+
+const MAX_TRANSACTIONS_RETURNED = 50;
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+/**
+ * Billing period key ("2026-01")
+ */
+function getPeriodKey(date = new Date()) {
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Days until monthly credits reset (1st of next month, UTC)
+ */
+function getDaysUntilReset(date = new Date()) {
+  const nextPeriod = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return Math.ceil((nextPeriod - date.getTime()) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Account type, tier and monthly allotment for a user document
+ */
+function getAccountPlan(userData = {}) {
+  if (userData.account_type === 'professional') {
+    const tier = PRO_TIER_ALLOTMENTS[userData.subscription_tier] !== undefined ? userData.subscription_tier : 'starter';
+    return { accountType: 'pro', tier, monthlyAllotment: PRO_TIER_ALLOTMENTS[tier] };
+  }
+  const tier = CLIENT_TIER_ALLOTMENTS[userData.client_tier] !== undefined ? userData.client_tier : 'paid';
+  return { accountType: 'client', tier, monthlyAllotment: CLIENT_TIER_ALLOTMENTS[tier] };
+}
+
+/**
+ * Find the account that pays for work on a user's bag
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - User whose bag the work is for
+ * @param {string|null} actorId - Authenticated caller, if known
+ * @returns {string} Account id to debit
+ */
+async function resolveCreditPayer(db, userId, actorId = null) {
+  if (actorId) return actorId;
+
+  const userDoc = await db.collection("users").doc(userId).get();
+  const userData = userDoc.exists ? userDoc.data() : {};
+  return userData.pro_id || userData.proManagedInfo?.proUserId || userId;
+}
+
+/**
+ * Read an account inside a transaction, applying the monthly reset if due
+ * @returns {Object} { account, accountRef, allotment } - allotment is set when a reset happened
+ */
+async function readAccount(db, transaction, accountId) {
+  const accountRef = db.collection("creditAccounts").doc(accountId);
+  const [accountDoc, userDoc] = await Promise.all([
+    transaction.get(accountRef),
+    transaction.get(db.collection("users").doc(accountId))
+  ]);
+
+  const plan = getAccountPlan(userDoc.exists ? userDoc.data() : {});
+  const periodKey = getPeriodKey();
+  const existing = accountDoc.exists ? accountDoc.data() : null;
+
+  const account = {
+    accountId: accountId,
+    accountType: plan.accountType,
+    tier: plan.tier,
+    monthlyAllotment: plan.monthlyAllotment,
+    monthlyRemaining: existing?.monthlyRemaining ?? plan.monthlyAllotment,
+    purchasedBalance: existing?.purchasedBalance ?? 0,
+    usedThisPeriod: existing?.usedThisPeriod ?? 0,
+    periodKey: existing?.periodKey ?? periodKey
+  };
+
+  let allotment = null;
+  if (!existing || account.periodKey !== periodKey) {
+    account.monthlyRemaining = plan.monthlyAllotment;
+    account.usedThisPeriod = 0;
+    account.periodKey = periodKey;
+    allotment = plan.monthlyAllotment;
+  }
+
+  return { account, accountRef, allotment };
+}
+
+/**
+ * Queue an allotment transaction record
+ */
+function recordAllotment(transaction, accountRef, account, allotment) {
+  transaction.set(accountRef.collection("transactions").doc(), {
+    type: 'allotment',
+    amount: allotment,
+    periodKey: account.periodKey,
+    tier: account.tier,
+    balanceAfter: account.monthlyRemaining + account.purchasedBalance,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Shape an account for API responses
+ */
+function formatBalance(account) {
+  return {
+    accountType: account.accountType,
+    tier: account.tier,
+    monthlyAllotment: account.monthlyAllotment,
+    monthlyRemaining: account.monthlyRemaining,
+    purchasedBalance: account.purchasedBalance,
+    usedThisPeriod: account.usedThisPeriod,
+    available: account.monthlyRemaining + account.purchasedBalance,
+    periodKey: account.periodKey,
+    resetsInDays: getDaysUntilReset()
+  };
+}
+
+// ==========================================
+// LEDGER OPERATIONS
+// ==========================================
+
+/**
+ * Atomically debit credits for an action
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.userId - User whose bag the work is for
+ * @param {string} params.action - Key of CREDIT_COSTS
+ * @param {string|null} params.actorId - Authenticated caller (pays if set)
+ * @param {Object} params.metadata - Extra fields stored on the transaction
+ * @returns {Object} { transactionId, accountId, amount, balance }
+ * @throws {HttpsError} resource-exhausted when the balance is too low
+ */
+async function debitCredits(db, { userId, action, actorId = null, metadata = {} }) {
+  const amount = CREDIT_COSTS[action];
+  if (!amount) {
+    throw new HttpsError('invalid-argument', `Unknown credit action: ${action}`);
+  }
+
+  const accountId = await resolveCreditPayer(db, userId, actorId);
+
+  return db.runTransaction(async (transaction) => {
+    const { account, accountRef, allotment } = await readAccount(db, transaction, accountId);
+    const available = account.monthlyRemaining + account.purchasedBalance;
+
+    if (available < amount) {
+      throw new HttpsError('resource-exhausted',
+        `Not enough credits: ${available} available, ${amount} needed`,
+        { available, needed: amount });
+    }
+
+    if (allotment !== null) {
+      recordAllotment(transaction, accountRef, account, allotment);
+    }
+
+    const fromMonthly = Math.min(account.monthlyRemaining, amount);
+    const fromPurchased = amount - fromMonthly;
+    account.monthlyRemaining -= fromMonthly;
+    account.purchasedBalance -= fromPurchased;
+    account.usedThisPeriod += amount;
+
+    const transactionRef = accountRef.collection("transactions").doc();
+    transaction.set(transactionRef, {
+      type: 'debit',
+      action: action,
+      amount: -amount,
+      fromMonthly: fromMonthly,
+      fromPurchased: fromPurchased,
+      periodKey: account.periodKey,
+      userId: userId,
+      actorId: actorId,
+      refunded: false,
+      balanceAfter: account.monthlyRemaining + account.purchasedBalance,
+      metadata: metadata,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.set(accountRef, {
+      ...account,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`💳 Debited ${amount} credit(s) from ${accountId} for ${action} (${account.monthlyRemaining + account.purchasedBalance} left)`);
+
+    return {
+      transactionId: transactionRef.id,
+      accountId: accountId,
+      amount: amount,
+      balance: formatBalance(account)
+    };
+  });
+}
+
+/**
+ * Refund a debit (idempotent - a debit is only refunded once)
+ * Credits go back to the bucket they came from; monthly credits from an
+ * earlier period go to purchased credits since that period has reset.
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} debit - Result of debitCredits()
+ * @param {string} reason - Why the action failed
+ * @returns {Object|null} Updated balance, or null if already refunded
+ */
+async function refundCredits(db, debit, reason) {
+  return db.runTransaction(async (transaction) => {
+    const { account, accountRef, allotment } = await readAccount(db, transaction, debit.accountId);
+    const debitRef = accountRef.collection("transactions").doc(debit.transactionId);
+    const debitDoc = await transaction.get(debitRef);
+
+    if (!debitDoc.exists || debitDoc.data().type !== 'debit' || debitDoc.data().refunded) {
+      return null;
+    }
+
+    const debitData = debitDoc.data();
+    const samePeriod = debitData.periodKey === account.periodKey;
+    const toMonthly = samePeriod ? debitData.fromMonthly : 0;
+    const toPurchased = debitData.fromPurchased + (samePeriod ? 0 : debitData.fromMonthly);
+
+    if (allotment !== null) {
+      recordAllotment(transaction, accountRef, account, allotment);
+    }
+
+    account.monthlyRemaining += toMonthly;
+    account.purchasedBalance += toPurchased;
+    if (samePeriod) {
+      account.usedThisPeriod = Math.max(0, account.usedThisPeriod - (debitData.fromMonthly + debitData.fromPurchased));
+    }
+
+    transaction.set(accountRef.collection("transactions").doc(), {
+      type: 'refund',
+      action: debitData.action,
+      amount: toMonthly + toPurchased,
+      refundOf: debit.transactionId,
+      reason: String(reason || 'Action failed').slice(0, 200),
+      periodKey: account.periodKey,
+      userId: debitData.userId,
+      balanceAfter: account.monthlyRemaining + account.purchasedBalance,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(debitRef, { refunded: true });
+    transaction.set(accountRef, {
+      ...account,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`💳 Refunded ${toMonthly + toPurchased} credit(s) to ${debit.accountId}: ${reason}`);
+    return formatBalance(account);
+  });
+}
+
+/**
+ * refundCredits() that never throws - for catch blocks where the original error matters more
+ */
+async function safeRefundCredits(db, debit, reason) {
+  if (!debit) return null;
+  try {
+    return await refundCredits(db, debit, reason);
+  } catch (refundError) {
+    logger.error(`Credit refund failed for ${debit.transactionId}:`, refundError.message);
+    return null;
+  }
+}
+
+// ==========================================
+// CLOUD FUNCTION: getCreditBalance
+// ==========================================
+
+exports.getCreditBalance = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const accountId = request.auth.uid;
+
+  // Run through a transaction so the monthly reset is applied and persisted
+  const balance = await db.runTransaction(async (transaction) => {
+    const { account, accountRef, allotment } = await readAccount(db, transaction, accountId);
+    if (allotment !== null) {
+      recordAllotment(transaction, accountRef, account, allotment);
+      transaction.set(accountRef, { ...account, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    return formatBalance(account);
+  });
+
+  const limit = Math.min(Number(request.data?.limit) || 20, MAX_TRANSACTIONS_RETURNED);
+  const snapshot = await db.collection("creditAccounts").doc(accountId)
+    .collection("transactions")
+    .orderBy("createdAt", "desc")
+    .limit(limit)
+    .get();
+
+  const transactions = snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      type: data.type,
+      action: data.action || null,
+      amount: data.amount,
+      userId: data.userId || null,
+      reason: data.reason || null,
+      refunded: data.refunded || false,
+      balanceAfter: data.balanceAfter,
+      createdAt: data.createdAt?.toDate?.()?.toISOString() || null
+    };
+  });
+
+  return { success: true, balance, transactions, costs: CREDIT_COSTS };
+});
+
+// ==========================================
+// CLOUD FUNCTION: useCredit
+// ==========================================
+
+/**
+ * Debit for actions that run client-side (performance tests)
+ * request.data: { userId: "client_uid", action: "performance_test", metadata?: {} }
+ */
+exports.useCredit = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { userId, action } = request.data || {};
+  if (action !== 'performance_test') {
+    throw new HttpsError('invalid-argument', 'Only performance_test can be debited directly');
+  }
+
+  const db = admin.firestore();
+  const debit = await debitCredits(db, {
+    userId: userId || request.auth.uid,
+    action: action,
+    actorId: request.auth.uid,
+    metadata: { sessionId: request.data?.metadata?.sessionId || null }
+  });
+
+  return { success: true, ...debit };
+});
+
+exports.CREDIT_COSTS = CREDIT_COSTS;
+exports.debitCredits = debitCredits;
+exports.refundCredits = refundCredits;
+exports.safeRefundCredits = safeRefundCredits;
@@ -0,0 +1,190 @@
+/**
+ * FitMyGolfClubs Pro - Dynamic Lie Fitting
+ *
+ * calculateLieAngleProgression only checks that lies step evenly through the
+ * set. This checks whether each iron's lie fits the golfer, from:
+ * - Saved performance tests (users/{id}/tests): face angle, club path and
+ *   launch direction recorded for the golfer's own club (club_a)
+ * - An optional lie board / impact tape strike pattern per club:
+ *
+ *   users/{id}/clubs/{clubId}.lie_strike_pattern = { pattern, source, recorded_at }
+ *
+ * recommendDynamicLie (gradingEngine.js) turns both into "2° upright" advice
+ * that the lie edit mode offers to apply.
+ * - getDynamicLieRecommendations: Per-iron advice for yourself or a client
+ * - recordLieStrikePattern: Save/clear a club's strike pattern
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { listClubs, getClub, updateClub } = require("./clubRepository");
+const { normalizeClubData, recommendDynamicLie, LIE_STRIKE_PATTERNS } = require("./gradingEngine");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const TESTS_TO_SCAN = 30;
+const STRIKE_PATTERN_SOURCES = ['lie_board', 'impact_tape'];
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Resolve the golfer being fitted, checking the caller manages them
+ *
+ * @returns {Object} { clientId, clientData }
+ */
+async function resolveClient(db, callerId, requestedClientId) {
+  const clientId = requestedClientId ? sanitizeText(requestedClientId, 128) : callerId;
+  const clientDoc = await db.collection("users").doc(clientId).get();
+  if (!clientDoc.exists) {
+    throw new HttpsError('not-found', 'User not found');
+  }
+
+  const clientData = clientDoc.data();
+  if (clientId !== callerId && (clientData.pro_id || clientData.proManagedInfo?.proUserId) !== callerId) {
+    throw new HttpsError('permission-denied', 'You do not manage this client');
+  }
+  return { clientId, clientData };
+}
+
+/**
+ * Group launch data from saved tests by the bag club tested (club_a)
+ * Tests without a club id are matched on club type. Multi-shot tests
+ * contribute every shot (club_a_shots); older tests their single club_a_data.
+ *
+ * @param {Array} tests - users/{id}/tests documents data
+ * @param {Array} clubs - Clubs in the bag
+ * @returns {Object} { [clubId]: [{ faceAngle, clubPath, launchDirection, dynamicLoft }] }
+ */
+function collectLieShots(tests, clubs) {
+  const shotsByClub = {};
+
+  tests.forEach(test => {
+    const data = test.club_a_data;
+    if (!data) return;
+
+    const club = clubs.find(c => c.id === test.club_a?.id) ||
+      clubs.find(c => test.club_a?.clubType && (c.clubType || '').toLowerCase() === test.club_a.clubType.toLowerCase());
+    if (!club) return;
+
+    const shots = Array.isArray(test.club_a_shots) && test.club_a_shots.length > 0 ? test.club_a_shots : [data];
+    shots.forEach(shot => {
+      (shotsByClub[club.id] = shotsByClub[club.id] || []).push({
+        faceAngle: shot.faceAngle ?? null,
+        clubPath: shot.clubPath ?? null,
+        launchDirection: shot.launchDirection ?? null,
+        dynamicLoft: shot.dynamicLoft ?? null
+      });
+    });
+  });
+
+  return shotsByClub;
+}
+
+// ==========================================
+// CLOUD FUNCTION: getDynamicLieRecommendations
+// ==========================================
+
+/**
+ * request.data: { clientId: "client_uid" }   // optional - omit for your own bag
+ */
+exports.getDynamicLieRecommendations = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const { clientId, clientData } = await resolveClient(db, request.auth.uid, request.data?.clientId);
+
+  const [clubs, testsSnapshot] = await Promise.all([
+    listClubs(db, clientId, { userData: clientData }),
+    db.collection("users").doc(clientId).collection("tests")
+      .orderBy("created_at", "desc")
+      .limit(TESTS_TO_SCAN)
+      .get()
+  ]);
+
+  const shotsByClub = collectLieShots(testsSnapshot.docs.map(doc => doc.data()), clubs);
+
+  const recommendations = clubs
+    .map(club => recommendDynamicLie(normalizeClubData(club), {
+      shots: shotsByClub[club.id] || [],
+      strikePattern: club.lie_strike_pattern || null,
+      handedness: clientData.handedness || 'right'
+    }))
+    .filter(Boolean);
+
+  logger.info(`Dynamic lie for ${clientId}: ${recommendations.filter(r => r.direction !== 'ok').length} of ${recommendations.length} clubs need adjusting`);
+
+  return {
+    success: true,
+    clientId,
+    recommendations,
+    testsScanned: testsSnapshot.size,
+    strikePatterns: Object.keys(LIE_STRIKE_PATTERNS)
+  };
+});
+
+// ==========================================
+// CLOUD FUNCTION: recordLieStrikePattern
+// ==========================================
+
+/**
+ * request.data:
+ * {
+ *   clientId: "client_uid",   // optional - omit for your own bag
+ *   clubId: "club_doc_id",
+ *   pattern: "slight_toe",    // heel | slight_heel | center | slight_toe | toe, null clears
+ *   source: "lie_board"       // lie_board | impact_tape
+ * }
+ */
+exports.recordLieStrikePattern = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const clubId = sanitizeText(request.data?.clubId || '', 128);
+  const pattern = request.data?.pattern || null;
+  const source = request.data?.source || 'lie_board';
+
+  if (!clubId) {
+    throw new HttpsError('invalid-argument', 'clubId required');
+  }
+  if (pattern !== null && LIE_STRIKE_PATTERNS[pattern] === undefined) {
+    throw new HttpsError('invalid-argument', `Invalid pattern (must be one of ${Object.keys(LIE_STRIKE_PATTERNS).join(', ')})`);
+  }
+  if (!STRIKE_PATTERN_SOURCES.includes(source)) {
+    throw new HttpsError('invalid-argument', `Invalid source (must be one of ${STRIKE_PATTERN_SOURCES.join(', ')})`);
+  }
+
+  const db = admin.firestore();
+  const { clientId, clientData } = await resolveClient(db, request.auth.uid, request.data?.clientId);
+
+  const club = await getClub(db, clientId, clubId, { userData: clientData });
+  if (!club) {
+    throw new HttpsError('not-found', 'Club not found');
+  }
+
+  const strikePattern = pattern ? {
+    pattern,
+    source,
+    recorded_at: new Date().toISOString()
+  } : null;
+
+  await updateClub(db, clientId, clubId, { lie_strike_pattern: strikePattern });
+
+  logger.info(strikePattern
+    ? `Lie strike pattern for ${clientId}/${clubId}: ${pattern} (${source})`
+    : `Cleared lie strike pattern for ${clientId}/${clubId}`);
+
+  return { success: true, clientId, clubId, strikePattern };
+});
+
+exports.collectLieShots = collectLieShots;
@@ -2,17 +2,20 @@
  * extractLaunchMonitorData.js
  * 
  * Cloud Function for extracting performance metrics from launch monitor photos
- * Uses Google Cloud Vision API for OCR
+ * OCR runs as the launch_monitor_ocr vision task (visionProviders.js):
+ * Google Cloud Vision, falling back to Gemini transcription
  * 
- * Supports: TrackMan, FlightScope, Garmin R10, SkyTrak, Foresight, Rapsodo
+ * Supports: TrackMan, FlightScope, Garmin R10, SkyTrak, Foresight (GCQuad/GC3),
+ * Rapsodo MLM2PRO, and multi-shot table screenshots from any of them
+ * (per-shot rows plus the AVG row, or an average of the rows).
+ *
+ * Labelled screen text for each layout: launchMonitorOcrFixtures.js
+ * (replay through parseLaunchMonitorText).
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const vision = require('@google-cloud/vision');
-
-// Initialize Vision client
-const visionClient = new vision.ImageAnnotatorClient();
+const { VISION_TASKS, runVisionTask } = require('./visionProviders');
 
 // Validation ranges for sanity checking
 const VALIDATION_RANGES = {
@@ -27,6 +30,7 @@ const VALIDATION_RANGES = {
   landingAngle: { min: 20, max: 70, unit: '°' },
   hangTime: { min: 2, max: 10, unit: 's' },
   curve: { min: -100, max: 100, unit: 'yds' },
+  side: { min: -100, max: 100, unit: 'yds' },
   clubSpeed: { min: 40, max: 150, unit: 'mph' },
   attackAngle: { min: -15, max: 15, unit: '°' },
   clubPath: { min: -15, max: 15, unit: '°' },
@@ -50,7 +54,8 @@ const METRIC_LABELS = {
   height: ['height', 'apex', 'max height', 'peak height'],
   landingAngle: ['land', 'landing', 'land angle', 'descent'],
   hangTime: ['hang', 'hang time', 'flight time', 'air time'],
-  curve: ['curve', 'side', 'offline'],
+  curve: ['curve'],
+  side: ['offline', 'side carry', 'side'],
   clubSpeed: ['club speed', 'club spd', 'clubspeed', 'swing speed'],
   attackAngle: ['attack', 'attack angle', 'aoa', 'angle of attack'],
   clubPath: ['path', 'club path', 'swing path'],
@@ -62,6 +67,74 @@ const METRIC_LABELS = {
   lowPoint: ['low point', 'low pt']
 };
 
+// L/R markers: left is negative (matches the testing tab's L-/R+ inputs)
+const DIRECTIONAL_METRICS = ['side', 'curve', 'launchDirection', 'clubPath', 'faceAngle', 'faceToPath', 'spinAxis'];
+
+// Distances to yds, apex to ft, speeds to mph
+const METRIC_KINDS = {
+  carry: 'distance',
+  totalDistance: 'distance',
+  side: 'distance',
+  curve: 'distance',
+  height: 'height',
+  ballSpeed: 'speed',
+  clubSpeed: 'speed'
+};
+const UNIT_CONVERSIONS = {
+  'm': { distance: 1.09361, height: 3.28084 },
+  'meters': { distance: 1.09361, height: 3.28084 },
+  'yds': { distance: 1, height: 3 },
+  'yd': { distance: 1, height: 3 },
+  'yards': { distance: 1, height: 3 },
+  'ft': { distance: 1 / 3, height: 1 },
+  'feet': { distance: 1 / 3, height: 1 },
+  'm/s': { speed: 2.23694 },
+  'km/h': { speed: 0.621371 },
+  'kph': { speed: 0.621371 },
+  'mph': { speed: 1 }
+};
+
+// Units a device shows when the screen doesn't print them (FSX peak height is in yards)
+const DEVICE_DEFAULT_UNITS = {
+  foresight: { height: 'yds' }
+};
+
+// Multi-shot tables: header phrase -> metric. Headers are split into as few
+// columns as possible, so "side spin" is not read as "side" (offline) + "spin".
+const SHOT_TABLE_COLUMNS = {
+  ballSpeed: ['ball speed', 'ball spd'],
+  carry: ['carry', 'carry distance', 'carry dist'],
+  totalDistance: ['total', 'total distance', 'total dist'],
+  launchAngle: ['launch angle', 'launch ang', 'launch', 'vla'],
+  launchDirection: ['launch direction', 'launch dir', 'side angle', 'hla'],
+  spinRate: ['spin rate', 'back spin', 'backspin', 'total spin', 'spin'],
+  spinAxis: ['spin axis', 'axis'],
+  height: ['height', 'peak height', 'max height', 'apex'],
+  landingAngle: ['land angle', 'landing angle', 'descent angle', 'descent'],
+  hangTime: ['hang time', 'flight time'],
+  side: ['side', 'offline', 'side carry', 'carry side'],
+  curve: ['curve'],
+  clubSpeed: ['club speed', 'club spd', 'swing speed'],
+  attackAngle: ['attack angle', 'attack ang', 'angle of attack', 'aoa'],
+  clubPath: ['club path', 'path'],
+  faceAngle: ['face angle', 'face ang', 'face to target'],
+  faceToPath: ['face to path'],
+  dynamicLoft: ['dynamic loft', 'dyn loft'],
+  spinLoft: ['spin loft'],
+  smashFactor: ['smash factor', 'smash fac', 'smash']
+};
+
+// Table columns that are read (so rows line up) but not stored
+const SHOT_TABLE_SKIPPED_COLUMNS = ['side spin', 'side tot', 'side total'];
+
+// Columns before the metrics: shot number and club
+const SHOT_TABLE_LEAD_COLUMNS = ['order', 'shot', 'shot no', 'no', '#', 'club', 'club type'];
+
+const SHOT_TABLE_UNITS = ['yds', 'yd', 'yards', 'm', 'ft', 'mph', 'm/s', 'km/h', 'kph', 'rpm', 'deg', '°'];
+
+// A table needs at least this many shot rows; fewer falls back to the device parser
+const MIN_TABLE_SHOTS = 2;
+
 /**
  * Main Cloud Function - Extract launch monitor data from photo
  */
@@ -86,8 +159,8 @@ exports.extractLaunchMonitorData = functions
     }
     
     try {
-      // Prepare image for Vision API
-      let request;
+      // Prepare image for OCR
+      let image;
       if (imageBase64) {
         // Strip data URL prefix if present (handles various image types)
         let base64Data = imageBase64;
@@ -101,24 +174,17 @@ exports.extractLaunchMonitorData = functions
           throw new Error('Base64 data is empty or too short after stripping prefix');
         }
         
-        // Convert to Buffer for Vision API
-        const imageBuffer = Buffer.from(base64Data, 'base64');
-        console.log('Image buffer size:', imageBuffer.length, 'bytes');
-        
-        request = {
-          image: { content: imageBuffer }
-        };
+        image = { base64: base64Data };
       } else {
-        request = {
-          image: { source: { imageUri: imageUrl } }
-        };
+        image = { uri: imageUrl };
       }
       
-      // Call Vision API for text detection
-      console.log('Calling Vision API for text detection...');
-      const [result] = await visionClient.textDetection(request);
+      // Text detection
+      console.log('Running launch monitor OCR...');
+      const ocr = await runVisionTask(VISION_TASKS.LAUNCH_MONITOR_OCR, { image });
+      console.log(`OCR by ${ocr.provider} in ${ocr.latencyMs}ms`);
       
-      if (!result.textAnnotations || result.textAnnotations.length === 0) {
+      if (!ocr.result.fullText) {
         return {
           success: false,
           error: 'No text detected in image',
@@ -126,56 +192,29 @@ exports.extractLaunchMonitorData = functions
         };
       }
       
-      const fullText = result.textAnnotations[0].description;
-      const textBlocks = result.textAnnotations.slice(1);
+      const fullText = ocr.result.fullText;
+      const textBlocks = ocr.result.blocks || [];
       
       console.log('Raw OCR text:', fullText.substring(0, 500) + '...');
       
-      // Detect device type if not provided
-      const detectedDevice = deviceType || detectDeviceType(fullText);
-      console.log('Detected device:', detectedDevice);
-      
-      // Parse metrics based on device type
-      let metrics, confidence, warnings;
-      
-      switch (detectedDevice) {
-        case 'trackman':
-          ({ metrics, confidence, warnings } = parseTrackMan(fullText, textBlocks));
-          break;
-        case 'flightscope':
-        case 'mevo':
-          ({ metrics, confidence, warnings } = parseFlightScope(fullText, textBlocks));
-          break;
-        case 'garmin':
-          ({ metrics, confidence, warnings } = parseGarmin(fullText, textBlocks));
-          break;
-        case 'skytrak':
-          ({ metrics, confidence, warnings } = parseSkyTrak(fullText, textBlocks));
-          break;
-        default:
-          ({ metrics, confidence, warnings } = parseGeneric(fullText, textBlocks));
-      }
-      
-      // Validate extracted values
-      const { validatedMetrics, validationWarnings } = validateMetrics(metrics, expectedClubType);
-      warnings = [...warnings, ...validationWarnings];
-      
-      // Calculate field-level confidence
-      const fieldConfidence = calculateFieldConfidence(validatedMetrics, fullText);
+      const parsed = parseLaunchMonitorText(fullText, textBlocks, { deviceType, expectedClubType });
       
       // Log for analytics
       if (userId) {
-        await logExtraction(userId, detectedDevice, Object.keys(validatedMetrics).length, confidence);
+        await logExtraction(userId, parsed.detectedDevice, Object.keys(parsed.metrics).length, parsed.confidence);
       }
       
       return {
         success: true,
-        metrics: validatedMetrics,
-        confidence,
-        detectedDevice,
+        metrics: parsed.metrics,
+        confidence: parsed.confidence,
+        detectedDevice: parsed.detectedDevice,
+        layout: parsed.layout,
+        shots: parsed.shots,
         rawText: fullText,
-        warnings,
-        fieldConfidence
+        warnings: parsed.warnings,
+        fieldConfidence: parsed.fieldConfidence,
+        ocrProvider: ocr.provider
       };
       
     } catch (error) {
@@ -187,17 +226,84 @@ exports.extractLaunchMonitorData = functions
     }
   });
 
+/**
+ * Parse OCR text from a launch monitor screen (no I/O - the fixtures in
+ * launchMonitorOcrFixtures.js replay through this)
+ *
+ * @param {string} fullText - OCR text, one screen line per line
+ * @param {Array} textBlocks - OCR blocks (unused by the current parsers)
+ * @param {Object} options - { deviceType, expectedClubType }
+ * @returns {Object} { metrics, confidence, detectedDevice, layout: 'single' | 'table',
+ *                     shots: [{ shot, club, metrics }] | null, warnings, fieldConfidence }
+ */
+function parseLaunchMonitorText(fullText, textBlocks = [], { deviceType = null, expectedClubType = null } = {}) {
+  // Detect device type if not provided
+  const detectedDevice = deviceType || detectDeviceType(fullText);
+  console.log('Detected device:', detectedDevice);
+  
+  let metrics, confidence, warnings;
+  let layout = 'single';
+  let shots = null;
+  
+  // Session screens list one row per shot - read those before the single-shot layouts
+  const table = parseShotTable(fullText, detectedDevice);
+  
+  if (table) {
+    ({ metrics, confidence, warnings, shots } = table);
+    layout = 'table';
+  } else {
+    // Parse metrics based on device type
+    switch (detectedDevice) {
+      case 'trackman':
+        ({ metrics, confidence, warnings } = parseTrackMan(fullText, textBlocks));
+        break;
+      case 'flightscope':
+      case 'mevo':
+        ({ metrics, confidence, warnings } = parseFlightScope(fullText, textBlocks));
+        break;
+      case 'garmin':
+        ({ metrics, confidence, warnings } = parseGarmin(fullText, textBlocks));
+        break;
+      case 'skytrak':
+        ({ metrics, confidence, warnings } = parseSkyTrak(fullText, textBlocks));
+        break;
+      case 'foresight':
+        ({ metrics, confidence, warnings } = parseForesight(fullText, textBlocks));
+        break;
+      case 'rapsodo':
+        ({ metrics, confidence, warnings } = parseRapsodo(fullText, textBlocks));
+        break;
+      default:
+        ({ metrics, confidence, warnings } = parseGeneric(fullText, textBlocks));
+    }
+  }
+  
+  // Validate extracted values
+  const { validatedMetrics, validationWarnings } = validateMetrics(metrics, expectedClubType);
+  warnings = [...warnings, ...validationWarnings];
+  
+  // Calculate field-level confidence
+  const fieldConfidence = calculateFieldConfidence(validatedMetrics, fullText);
+  
+  return {
+    metrics: validatedMetrics,
+    confidence,
+    detectedDevice,
+    layout,
+    shots,
+    warnings,
+    fieldConfidence
+  };
+}
+
 /**
  * Detect which launch monitor produced the image
+ * Brand names first, then screen labels only one device uses
  */
 function detectDeviceType(text) {
   const textLower = text.toLowerCase();
   
-  // TrackMan detection - look for distinctive elements
-  if (textLower.includes('trackman') || 
-      textLower.includes('shot analysis') ||
-      (textLower.includes('smash fac') && textLower.includes('club path')) ||
-      (textLower.includes('attack ang') && textLower.includes('face ang'))) {
+  if (textLower.includes('trackman')) {
     return 'trackman';
   }
   if (textLower.includes('flightscope') || textLower.includes('mevo')) {
@@ -209,13 +315,31 @@ function detectDeviceType(text) {
   if (textLower.includes('skytrak') || textLower.includes('sky trak')) {
     return 'skytrak';
   }
-  if (textLower.includes('foresight') || textLower.includes('gcquad') || textLower.includes('gc3')) {
+  if (textLower.includes('foresight') || textLower.includes('gcquad') || textLower.includes('gc3') ||
+      textLower.includes('fsx')) {
     return 'foresight';
   }
   if (textLower.includes('rapsodo') || textLower.includes('mlm')) {
     return 'rapsodo';
   }
   
+  // Foresight: "FACE TO TARGET", BACK SPIN + SIDE SPIN tiles
+  if (textLower.includes('face to target') ||
+      (textLower.includes('back spin') && textLower.includes('side spin'))) {
+    return 'foresight';
+  }
+  // Rapsodo: "Side Carry"
+  if (textLower.includes('side carry')) {
+    return 'rapsodo';
+  }
+  
+  // TrackMan detection - look for distinctive elements
+  if (textLower.includes('shot analysis') ||
+      (textLower.includes('smash fac') && textLower.includes('club path')) ||
+      (textLower.includes('attack ang') && textLower.includes('face ang'))) {
+    return 'trackman';
+  }
+  
   return 'unknown';
 }
 
@@ -398,6 +522,328 @@ function parseSkyTrak(fullText, textBlocks) {
   return { metrics, confidence, warnings };
 }
 
+/**
+ * Number from a screen value: "132.4", "-1.2", "L1.3", "2.1 R", "14.2°"
+ * L/R sets the sign of directional metrics (left negative)
+ */
+function parseScreenValue(text, metric) {
+  const match = String(text || '').trim().match(/^([LR])?\s*(-?\d+(?:\.\d+)?)\s*°?\s*([LR])?$/i);
+  if (!match) return null;
+  
+  let value = parseFloat(match[2]);
+  const side = (match[1] || match[3] || '').toUpperCase();
+  if (side && DIRECTIONAL_METRICS.includes(metric)) {
+    value = side === 'L' ? -Math.abs(value) : Math.abs(value);
+  }
+  return value;
+}
+
+function convertUnit(value, metric, unit) {
+  const kind = METRIC_KINDS[metric];
+  const factor = kind && unit ? UNIT_CONVERSIONS[unit]?.[kind] : null;
+  return factor ? Math.round(value * factor * 10) / 10 : value;
+}
+
+/**
+ * Read tile layouts - each value follows its label at the start of a line,
+ * on the same line or the next ("BALL SPEED 132.4 mph" / "Carry Distance\n165.3\nyds")
+ *
+ * @param {Object} labels - { metric: 'label regex source' }
+ * @param {Object} defaultUnits - { height: 'yds' } when the screen omits units
+ * @returns {Object} { metrics, fieldsFound }
+ */
+function readTiles(fullText, labels, defaultUnits = {}) {
+  const metrics = {};
+  let fieldsFound = 0;
+  
+  for (const [metric, label] of Object.entries(labels)) {
+    const pattern = new RegExp(
+      `^[ \\t]*(?:${label})[ \\t]*:?\\s*([LR][ \\t]*)?(-?\\d+(?:\\.\\d+)?)[ \\t]*°?[ \\t]*([LR](?![a-z]))?` +
+      `[ \\t]*(?:\\n[ \\t]*)?(yds|yd|yards|mph|m\\/s|km\\/h|kph|ft|feet|m|rpm)?(?![a-z])`,
+      'im'
+    );
+    const match = fullText.match(pattern);
+    if (!match) continue;
+    
+    const value = parseScreenValue(`${match[1] || ''}${match[2]}${match[3] || ''}`, metric);
+    if (value === null) continue;
+    
+    const unit = match[4] ? match[4].toLowerCase() : defaultUnits[METRIC_KINDS[metric]];
+    metrics[metric] = convertUnit(value, metric, unit);
+    fieldsFound++;
+  }
+  
+  return { metrics, fieldsFound };
+}
+
+/**
+ * Parse Foresight GCQuad / GC3 display format (FSX tiles)
+ * Directional values carry L/R prefixes ("L1.3°"); peak height is in yards.
+ * GC3 shows club data only with the HMT / Club Data add-on.
+ */
+function parseForesight(fullText, textBlocks) {
+  const warnings = [];
+  
+  const ballLabels = {
+    ballSpeed: 'ball\\s*speed',
+    launchAngle: 'launch\\s*angle|vla',
+    launchDirection: 'side\\s*angle|hla',
+    spinRate: 'back\\s*spin|total\\s*spin',
+    spinAxis: 'spin\\s*axis',
+    carry: 'carry(?:\\s*distance)?',
+    totalDistance: 'total(?:\\s*distance)?',
+    side: 'offline',
+    height: 'peak\\s*height|max\\s*height',
+    landingAngle: 'descent\\s*angle|land(?:ing)?\\s*angle'
+  };
+  const clubLabels = {
+    clubSpeed: 'club\\s*speed',
+    smashFactor: 'smash\\s*factor|smash',
+    attackAngle: 'angle\\s*of\\s*attack|aoa',
+    clubPath: 'club\\s*path',
+    faceToPath: 'face\\s*to\\s*path',
+    faceAngle: 'face\\s*to\\s*target|face\\s*angle',
+    dynamicLoft: 'dynamic\\s*loft|loft',
+    lowPoint: 'low\\s*point'
+  };
+  
+  const ball = readTiles(fullText, ballLabels, DEVICE_DEFAULT_UNITS.foresight);
+  const club = readTiles(fullText, clubLabels, DEVICE_DEFAULT_UNITS.foresight);
+  const fieldsFound = ball.fieldsFound + club.fieldsFound;
+  
+  if (fieldsFound < 4) {
+    warnings.push('Foresight format not fully recognized - using generic parser');
+    return parseGeneric(fullText, textBlocks);
+  }
+  
+  if (club.fieldsFound === 0) {
+    warnings.push('No club data on screen - GC3 needs the HMT or Club Data for club delivery');
+  }
+  
+  const expectedFields = Object.keys(ballLabels).length + (club.fieldsFound > 0 ? Object.keys(clubLabels).length - 1 : 0);
+  const confidence = Math.min(fieldsFound / expectedFields, 1.0);
+  
+  return { metrics: { ...ball.metrics, ...club.metrics }, confidence, warnings };
+}
+
+/**
+ * Parse Rapsodo MLM2PRO display format
+ * Label above value with the unit below ("Carry Distance / 165.3 / yds");
+ * directions as "2.1 R". Side Carry is the offline distance.
+ */
+function parseRapsodo(fullText, textBlocks) {
+  const warnings = [];
+  
+  const labels = {
+    carry: 'carry(?:\\s*distance)?',
+    totalDistance: 'total(?:\\s*distance)?',
+    ballSpeed: 'ball\\s*speed',
+    clubSpeed: 'club\\s*speed',
+    smashFactor: 'smash(?:\\s*factor)?',
+    launchAngle: 'launch\\s*angle',
+    launchDirection: 'launch\\s*direction',
+    spinRate: 'spin\\s*rate',
+    spinAxis: 'spin\\s*axis',
+    height: 'apex',
+    side: 'side\\s*carry',
+    landingAngle: 'descent\\s*angle'
+  };
+  
+  const { metrics, fieldsFound } = readTiles(fullText, labels);
+  
+  if (fieldsFound < 4) {
+    warnings.push('Rapsodo format not fully recognized - using generic parser');
+    return parseGeneric(fullText, textBlocks);
+  }
+  
+  warnings.push('Rapsodo MLM2PRO does not measure club path or face angle');
+  const confidence = Math.min(fieldsFound / Object.keys(labels).length, 1.0);
+  
+  return { metrics, confidence, warnings };
+}
+
+/**
+ * Split a table header into columns: fewest unknown words, then fewest
+ * columns ("TOTAL SPIN RATE" is total + spin rate, not total spin + rate).
+ * "(yds)" / "[mph]" after a column sets its unit
+ *
+ * @returns {Array} [{ metric, lead, skipped, unit, name }]
+ */
+function tableColumnFor(text) {
+  const metric = Object.keys(SHOT_TABLE_COLUMNS).find(key => SHOT_TABLE_COLUMNS[key].includes(text));
+  if (metric) return { metric, name: text };
+  if (SHOT_TABLE_SKIPPED_COLUMNS.includes(text)) return { metric: null, skipped: true, name: text };
+  if (SHOT_TABLE_LEAD_COLUMNS.includes(text)) return { metric: null, lead: true, name: text };
+  return null;
+}
+
+function readTableHeader(line) {
+  const tokens = line.match(/\([^)]*\)|\[[^\]]*\]|[^\s()[\]]+/g) || [];
+  const words = [];
+  
+  tokens.forEach(token => {
+    if (/^[([]/.test(token)) {
+      words.push({ unit: token.slice(1, -1).trim().toLowerCase() });
+    } else {
+      const word = token.toLowerCase().replace(/[.:]/g, '');
+      if (word) words.push({ word });
+    }
+  });
+  
+  // best[i]: cheapest split of words[i..] as { unknown, items: [column | unit] }
+  const best = new Array(words.length + 1);
+  best[words.length] = { unknown: 0, items: [] };
+  const cheaper = (a, b) => !b || a.unknown < b.unknown ||
+    (a.unknown === b.unknown && a.items.length < b.items.length);
+  
+  for (let i = words.length - 1; i >= 0; i--) {
+    if (words[i].unit !== undefined) {
+      best[i] = { unknown: best[i + 1].unknown, items: [{ unit: words[i].unit }, ...best[i + 1].items] };
+      continue;
+    }
+    
+    // Unknown word - keep a column for it so the rows still line up
+    const rest = best[i + 1];
+    best[i] = { unknown: rest.unknown + 1, items: [{ metric: null, skipped: true, name: words[i].word }, ...rest.items] };
+    
+    for (let length = 1; length <= 4 && i + length <= words.length; length++) {
+      const phrase = words.slice(i, i + length);
+      if (phrase.some(w => w.word === undefined)) break;
+      const column = tableColumnFor(phrase.map(w => w.word).join(' '));
+      if (!column) continue;
+      
+      const candidate = { unknown: best[i + length].unknown, items: [column, ...best[i + length].items] };
+      if (cheaper(candidate, best[i])) best[i] = candidate;
+    }
+  }
+  
+  const columns = [];
+  best[0].items.forEach(item => {
+    if (item.unit === undefined) columns.push({ lead: false, skipped: false, unit: null, ...item });
+    else if (columns.length) columns[columns.length - 1].unit = item.unit;
+  });
+  return columns;
+}
+
+/**
+ * Row cells: a lone L/R belongs to the number before it ("1.4 R"), or after it
+ * when it starts the row
+ */
+function splitTableRow(line) {
+  const cells = [];
+  line.trim().split(/\s+/).forEach(token => {
+    const previous = cells[cells.length - 1];
+    if (/^[LR]$/i.test(token) && previous !== undefined && /\d$/.test(previous)) {
+      cells[cells.length - 1] = `${previous}${token}`;
+    } else if (previous !== undefined && /^[LR]$/i.test(previous) && /^-?\d/.test(token)) {
+      cells[cells.length - 1] = `${previous}${token}`;
+    } else {
+      cells.push(token);
+    }
+  });
+  return cells;
+}
+
+/**
+ * Parse a multi-shot table screenshot: a header row of metric columns, one
+ * row per shot, and optionally an AVG row (used as the metrics). Without an
+ * AVG row the shots are averaged.
+ *
+ * @returns {Object|null} { metrics, confidence, warnings, shots } - null when
+ *          the text has no header with at least MIN_TABLE_SHOTS shot rows under it
+ */
+function parseShotTable(fullText, deviceType) {
+  const lines = fullText.split(/\r?\n/);
+  const defaultUnits = DEVICE_DEFAULT_UNITS[deviceType] || {};
+  
+  for (let h = 0; h < lines.length; h++) {
+    const columns = readTableHeader(lines[h]);
+    const firstData = columns.findIndex(c => !c.lead);
+    const dataColumns = firstData === -1 ? [] : columns.slice(firstData);
+    const metricColumns = dataColumns.filter(c => c.metric);
+    if (metricColumns.length < 3) continue;
+    
+    // Without a shot/order column, "7 Iron" is the club, not shot 7
+    const numbered = columns.some(c => c.lead && !c.name.startsWith('club'));
+    
+    // Optional units row under the header ("yds yds rpm mph ...")
+    let start = h + 1;
+    const unitCells = (lines[start] || '').trim().toLowerCase().split(/\s+/);
+    if (unitCells.length === dataColumns.length && unitCells.every(u => SHOT_TABLE_UNITS.includes(u))) {
+      unitCells.forEach((unit, i) => { dataColumns[i].unit = dataColumns[i].unit || unit; });
+      start++;
+    }
+    
+    const shots = [];
+    let averageRow = null;
+    let skippedRows = 0;
+    
+    for (const line of lines.slice(start)) {
+      if (!line.trim()) continue;
+      const cells = splitTableRow(line);
+      if (cells.length < dataColumns.length) continue;
+      
+      const leading = cells.slice(0, cells.length - dataColumns.length);
+      const values = cells.slice(cells.length - dataColumns.length);
+      
+      const metrics = {};
+      let readable = true;
+      values.forEach((cell, i) => {
+        const column = dataColumns[i];
+        if (column.skipped || !readable) return;
+        const value = parseScreenValue(cell, column.metric);
+        if (value === null) {
+          readable = false;
+          return;
+        }
+        metrics[column.metric] = convertUnit(value, column.metric, column.unit || defaultUnits[METRIC_KINDS[column.metric]]);
+      });
+      
+      if (!readable) {
+        // Stray text between rows is fine; a row of mostly numbers that didn't parse is worth a warning
+        if (values.filter(v => /\d/.test(v)).length > dataColumns.length / 2) skippedRows++;
+        continue;
+      }
+      
+      const label = (leading[0] || '').toLowerCase();
+      if (/^(avg|average|mean)$/.test(label)) {
+        averageRow = metrics;
+      } else if (!/^(std|stdev|dev|deviation|min|max|consistency|median)$/.test(label)) {
+        const hasNumber = numbered && /^\d+$/.test(leading[0] || '');
+        const shotNumber = hasNumber ? parseInt(leading[0], 10) : shots.length + 1;
+        const clubLabel = leading.slice(hasNumber ? 1 : 0).join(' ');
+        shots.push({ shot: shotNumber, club: clubLabel || null, metrics });
+      }
+    }
+    
+    if (shots.length < MIN_TABLE_SHOTS) continue;
+    
+    console.log(`Found shot table: ${shots.length} shots, ${metricColumns.length} metrics${averageRow ? ' + AVG row' : ''}`);
+    
+    const warnings = [];
+    let metrics = averageRow;
+    if (!metrics) {
+      metrics = {};
+      metricColumns.forEach(({ metric }) => {
+        const values = shots.map(s => s.metrics[metric]).filter(v => typeof v === 'number');
+        if (values.length) {
+          metrics[metric] = Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 100) / 100;
+        }
+      });
+      warnings.push(`No AVG row - averaged ${shots.length} shots`);
+    }
+    if (skippedRows) {
+      warnings.push(`${skippedRows} table row(s) could not be read`);
+    }
+    
+    const confidence = Math.min(metricColumns.length / 8, 1.0) * (skippedRows ? 0.9 : 1);
+    
+    return { metrics, confidence, warnings, shots };
+  }
+  
+  return null;
+}
+
 /**
  * Generic parser for unknown devices
  */
@@ -517,3 +963,10 @@ async function logExtraction(userId, deviceType, fieldsExtracted, confidence) {
 exports.getValidationRanges = functions.https.onCall(async (data, context) => {
   return VALIDATION_RANGES;
 });
+
+exports.VALIDATION_RANGES = VALIDATION_RANGES;
+exports.validateMetrics = validateMetrics;
+exports.DIRECTIONAL_METRICS = DIRECTIONAL_METRICS;
+exports.METRIC_KINDS = METRIC_KINDS;
+exports.convertUnit = convertUnit;
+exports.parseLaunchMonitorText = parseLaunchMonitorText;
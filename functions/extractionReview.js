@@ -0,0 +1,358 @@
+/**
+ * FitMyGolfClubs Pro - Photo Extraction Review Queue
+ *
+ * processClubPhotos saves whatever the vision models return. When the overall
+ * confidence is low, or Claude was needed as backup and also failed, the
+ * extraction goes on a review queue for the golfer's pro (or the golfer when
+ * self-managed):
+ *
+ *   users/{reviewerId}/extractionReviews/{reviewId}
+ *
+ * The reviewer sees the photos next to each field and its confidence, and
+ * accepts, corrects or rejects fields. Reviewed specs go back on the club
+ * (and are re-matched to the catalog), and every field decision is stored as
+ * a labelled example for measuring extraction accuracy over time:
+ *
+ *   extractionLabels/{labelId}
+ *
+ * - getExtractionReviews: Open reviews for the reviewer
+ * - resolveExtractionReview: Accept / correct / reject each field
+ * - getExtractionAccuracy: Accuracy by field, source, confidence band and month
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { updateClub } = require("./clubRepository");
+const { matchExtractedSpecs } = require("./specCatalogMatch");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+// Extractions below this overall confidence are queued
+const REVIEW_CONFIDENCE_THRESHOLD = 0.7;
+
+// Fields below this are highlighted for the reviewer
+const LOW_FIELD_CONFIDENCE = 0.7;
+
+const REVIEW_ACTIONS = ['accept', 'correct', 'reject'];
+const MAX_LABELS_SCANNED = 5000;
+
+// Confidence bands for calibration (does 0.9 confidence mean 90% right?)
+const CONFIDENCE_BANDS = [
+  { label: '0.9-1.0', min: 0.9 },
+  { label: '0.7-0.9', min: 0.7 },
+  { label: '0.5-0.7', min: 0.5 },
+  { label: '0-0.5', min: 0 }
+];
+
+// ==========================================
+// QUEUEING (called from processClubPhotos)
+// ==========================================
+
+function needsExtractionReview(overallConfidence, backupFailed) {
+  return backupFailed || overallConfidence < REVIEW_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Put an extraction on the reviewer's queue
+ *
+ * @param {Object} extraction - { userId, clubId, clubType, photos, specs, confidence,
+ *                                overallConfidence, source, backupFailed }
+ * @returns {Object} { reviewId, reviewerId }
+ */
+async function queueExtractionReview(db, extraction) {
+  const userDoc = await db.collection("users").doc(extraction.userId).get();
+  const userData = userDoc.exists ? userDoc.data() : {};
+  const reviewerId = userData.pro_id || userData.proManagedInfo?.proUserId || extraction.userId;
+
+  const reasons = [];
+  if (extraction.overallConfidence < REVIEW_CONFIDENCE_THRESHOLD) reasons.push('low_confidence');
+  if (extraction.backupFailed) reasons.push('backup_failed');
+
+  const confidence = extraction.confidence || {};
+  const fields = Object.entries(extraction.specs || {}).map(([field, value]) => {
+    const fieldConfidence = typeof confidence[field] === 'number' ? confidence[field] : null;
+    return {
+      field,
+      value: value ?? null,
+      confidence: fieldConfidence,
+      low: fieldConfidence === null || fieldConfidence < LOW_FIELD_CONFIDENCE
+    };
+  });
+
+  // Photos are shown as links/images to the reviewer - only keep https URLs
+  const photos = {};
+  Object.entries(extraction.photos || {}).forEach(([angle, url]) => {
+    if (typeof url === 'string' && url.startsWith('https://')) {
+      photos[angle] = url;
+    } else if (url) {
+      logger.warn(`Dropped non-https ${angle} photo URL from extraction review`);
+    }
+  });
+
+  const reviewRef = db.collection("users").doc(reviewerId).collection("extractionReviews").doc();
+  await reviewRef.set({
+    review_id: reviewRef.id,
+    status: 'open',
+    client_id: extraction.userId,
+    client_name: userData.display_name || userData.name || null,
+    club_id: extraction.clubId || null,
+    club_type: extraction.clubType || null,
+    photos,
+    fields,
+    low_fields: fields.filter(f => f.low).length,
+    overall_confidence: Math.round(extraction.overallConfidence * 100) / 100,
+    source: extraction.source || null,
+    reasons,
+    created_at: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  logger.info(`Queued extraction review ${reviewRef.id} for ${reviewerId} (${reasons.join(', ')})`);
+  return { reviewId: reviewRef.id, reviewerId };
+}
+
+/**
+ * Corrections arrive as text from the review form; keep numeric fields numeric
+ */
+function correctedValue(extracted, corrected) {
+  const text = sanitizeText(String(corrected), 100);
+  const number = Number(text);
+  return typeof extracted === 'number' && text !== '' && !isNaN(number) ? number : text;
+}
+
+// ==========================================
+// CLOUD FUNCTION: getExtractionReviews
+// ==========================================
+
+exports.getExtractionReviews = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const snapshot = await db.collection("users").doc(request.auth.uid)
+    .collection("extractionReviews")
+    .where("status", "==", "open")
+    .get();
+
+  const reviews = snapshot.docs
+    .map(doc => {
+      const data = doc.data();
+      return {
+        ...data,
+        created_at: data.created_at?.toDate ? data.created_at.toDate().toISOString() : null
+      };
+    })
+    .sort((a, b) => a.overall_confidence - b.overall_confidence);
+
+  return { reviews, lowFieldConfidence: LOW_FIELD_CONFIDENCE };
+});
+
+// ==========================================
+// CLOUD FUNCTION: resolveExtractionReview
+// ==========================================
+
+/**
+ * request.data:
+ * {
+ *   reviewId: "review_doc_id",
+ *   decisions: {
+ *     model: { action: "correct", value: "T200" },
+ *     loft: { action: "reject" }
+ *   }                          // fields not listed are accepted
+ * }
+ */
+exports.resolveExtractionReview = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const reviewerId = request.auth.uid;
+  const reviewId = sanitizeText(request.data?.reviewId || '', 128);
+  const decisions = request.data?.decisions || {};
+  if (!reviewId) {
+    throw new HttpsError('invalid-argument', 'reviewId required');
+  }
+  if (typeof decisions !== 'object' || Array.isArray(decisions)) {
+    throw new HttpsError('invalid-argument', 'decisions must be an object keyed by field');
+  }
+
+  const db = admin.firestore();
+  const reviewRef = db.collection("users").doc(reviewerId).collection("extractionReviews").doc(reviewId);
+  const reviewedAt = new Date().toISOString();
+
+  // Status check and writes in one transaction so a double submit can't label the fields twice
+  const { review, reviewedSpecs, counts } = await db.runTransaction(async (transaction) => {
+    const reviewDoc = await transaction.get(reviewRef);
+    if (!reviewDoc.exists) {
+      throw new HttpsError('not-found', 'Review not found');
+    }
+    const review = reviewDoc.data();
+    if (review.status !== 'open') {
+      throw new HttpsError('failed-precondition', 'Review already resolved');
+    }
+
+    // Validate every decision before writing anything
+    for (const [field, decision] of Object.entries(decisions)) {
+      if (!review.fields.some(f => f.field === field)) {
+        throw new HttpsError('invalid-argument', `Unknown field: ${field}`);
+      }
+      if (!REVIEW_ACTIONS.includes(decision?.action)) {
+        throw new HttpsError('invalid-argument', `Invalid action for ${field} (must be one of ${REVIEW_ACTIONS.join(', ')})`);
+      }
+      if (decision.action === 'correct' && (decision.value === undefined || decision.value === null || String(decision.value).trim() === '')) {
+        throw new HttpsError('invalid-argument', `Corrected value required for ${field}`);
+      }
+    }
+
+    const reviewedSpecs = {};
+    const counts = { accept: 0, correct: 0, reject: 0 };
+
+    review.fields.forEach(({ field, value, confidence }) => {
+      const decision = decisions[field] || { action: 'accept' };
+      const correctValue = decision.action === 'accept' ? value
+        : decision.action === 'correct' ? correctedValue(value, decision.value)
+        : null;
+      reviewedSpecs[field] = correctValue;
+      counts[decision.action]++;
+
+      // Labelled example: what was read vs what it should have been
+      transaction.set(db.collection("extractionLabels").doc(), {
+        review_id: reviewId,
+        reviewed_by: reviewerId,
+        client_id: review.client_id,
+        club_id: review.club_id,
+        club_type: review.club_type,
+        source: review.source,
+        field,
+        extracted_value: value,
+        confidence,
+        action: decision.action,
+        correct_value: correctValue,
+        reviewed_at: reviewedAt
+      });
+    });
+
+    transaction.update(reviewRef, {
+      status: 'resolved',
+      decisions: counts,
+      reviewed_specs: reviewedSpecs,
+      resolved_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { review, reviewedSpecs, counts };
+  });
+
+  // Reviewed specs replace the raw extraction on the club
+  let catalogMatch = null;
+  if (review.club_id) {
+    try {
+      catalogMatch = await matchExtractedSpecs(db, reviewedSpecs, { clubType: review.club_type });
+    } catch (error) {
+      logger.warn(`Catalog re-match failed for review ${reviewId}:`, error.message);
+    }
+    await updateClub(db, review.client_id, review.club_id, {
+      extractedSpecs: reviewedSpecs,
+      extractionReview: {
+        status: 'reviewed',
+        review_id: reviewId,
+        reviewed_by: reviewerId,
+        reviewed_at: reviewedAt,
+        corrections: counts.correct,
+        rejections: counts.reject
+      },
+      ...(catalogMatch ? { catalogMatch: { ...catalogMatch, matchedAt: reviewedAt } } : {})
+    });
+  }
+
+  logger.info(`Resolved extraction review ${reviewId}: ${counts.accept} accepted, ${counts.correct} corrected, ${counts.reject} rejected`);
+
+  return {
+    success: true,
+    reviewId,
+    clientId: review.client_id,
+    clubId: review.club_id,
+    decisions: counts,
+    specs: reviewedSpecs,
+    catalogMatches: catalogMatch
+  };
+});
+
+// ==========================================
+// CLOUD FUNCTION: getExtractionAccuracy
+// ==========================================
+
+function emptyTally() {
+  return { reviewed: 0, accepted: 0, corrected: 0, rejected: 0, accuracy: null };
+}
+
+function tally(bucket, action) {
+  bucket.reviewed++;
+  if (action === 'accept') bucket.accepted++;
+  else if (action === 'correct') bucket.corrected++;
+  else bucket.rejected++;
+  bucket.accuracy = Math.round(bucket.accepted / bucket.reviewed * 1000) / 1000;
+}
+
+/**
+ * Accuracy = share of reviewed fields accepted unchanged (corrected and
+ * rejected fields both count as misreads).
+ *
+ * request.data: { days: 90 }   // optional - default all labels from your reviews
+ */
+exports.getExtractionAccuracy = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const days = parseInt(request.data?.days, 10);
+  const since = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+  const db = admin.firestore();
+  let query = db.collection("extractionLabels").where("reviewed_by", "==", request.auth.uid);
+  if (since) query = query.where("reviewed_at", ">=", since);
+  // Newest first so the scan cap drops the oldest labels, not the recent window
+  const snapshot = await query
+    .orderBy("reviewed_at", "desc")
+    .limit(MAX_LABELS_SCANNED)
+    .get();
+
+  const overall = emptyTally();
+  const byField = {};
+  const bySource = {};
+  const byConfidence = {};
+  const byMonth = {};
+
+  snapshot.docs.forEach(doc => {
+    const label = doc.data();
+    const band = label.confidence === null || label.confidence === undefined
+      ? 'unscored'
+      : CONFIDENCE_BANDS.find(b => label.confidence >= b.min).label;
+    const month = (label.reviewed_at || '').slice(0, 7) || 'unknown';
+
+    tally(overall, label.action);
+    tally(byField[label.field] = byField[label.field] || emptyTally(), label.action);
+    tally(bySource[label.source || 'unknown'] = bySource[label.source || 'unknown'] || emptyTally(), label.action);
+    tally(byConfidence[band] = byConfidence[band] || emptyTally(), label.action);
+    tally(byMonth[month] = byMonth[month] || emptyTally(), label.action);
+  });
+
+  return {
+    success: true,
+    since,
+    overall,
+    byField,
+    bySource,
+    byConfidence,
+    byMonth: Object.keys(byMonth).sort().map(month => ({ month, ...byMonth[month] }))
+  };
+});
+
+exports.REVIEW_CONFIDENCE_THRESHOLD = REVIEW_CONFIDENCE_THRESHOLD;
+exports.needsExtractionReview = needsExtractionReview;
+exports.queueExtractionReview = queueExtractionReview;
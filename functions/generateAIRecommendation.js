@@ -1,5 +1,6 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { getClub, updateClub } = require('./clubRepository');
 
 /**
  * Fetch AI recommendation rules from Firestore
@@ -59,20 +60,20 @@ USER PROFILE:
 
 FAVORITE CLUB SPECS (User's Baseline):
 - Year: ${favoriteClub.year}
-- Shaft: ${favoriteClub.shaft.brand} ${favoriteClub.shaft.model}
-- Weight: ${favoriteClub.shaft.weight}g
-- Flex: ${favoriteClub.shaft.flex}
-- Kick Point: ${favoriteClub.shaft.kickPoint}
+- Shaft: ${favoriteClub.shaft_brand} ${favoriteClub.shaft_model}
+- Weight: ${favoriteClub.shaft_weight}g
+- Flex: ${favoriteClub.shaft_flex}
+- Kick Point: ${favoriteClub.shaft_kickpoint}
 - Grade: ${favoriteClub.letterGrade} (${favoriteClub.grade}/100)
 
 CLUB BEING ANALYZED:
 - Type: ${club.clubType}
 - Brand: ${club.brand} ${club.model}
 - Year: ${club.year}
-- Shaft: ${club.shaft.brand} ${club.shaft.model}
-- Weight: ${club.shaft.weight}g
-- Flex: ${club.shaft.flex}
-- Kick Point: ${club.shaft.kickPoint}
+- Shaft: ${club.shaft_brand} ${club.shaft_model}
+- Weight: ${club.shaft_weight}g
+- Flex: ${club.shaft_flex}
+- Kick Point: ${club.shaft_kickpoint}
 - Overall Grade: ${club.letterGrade} (${club.grade}/100)
 
 COMPONENT SCORES:
@@ -164,18 +165,12 @@ exports.generateAIRecommendation = functions.https.onCall(async (data, context)
       throw new functions.https.HttpsError('failed-precondition', 'API key not configured');
     }
 
-    // 1. Fetch club data
-    const clubDoc = await admin.firestore().collection('clubs').doc(clubId).get();
+    // 1. Fetch club data (only clubs in the caller's own bag)
+    const club = await getClub(admin.firestore(), userId, clubId);
     
-    if (!clubDoc.exists) {
+    if (!club) {
       throw new functions.https.HttpsError('not-found', 'Club not found');
     }
-    
-    const club = clubDoc.data();
-
-    if (club.userId !== userId) {
-      throw new functions.https.HttpsError('permission-denied', 'Not your club');
-    }
 
     // 2. Fetch user profile
     const userDoc = await admin.firestore().collection('users').doc(userId).get();
@@ -191,13 +186,11 @@ exports.generateAIRecommendation = functions.https.onCall(async (data, context)
       throw new functions.https.HttpsError('failed-precondition', 'No favorite club set');
     }
     
-    const favoriteDoc = await admin.firestore().collection('clubs').doc(user.favoriteClubId).get();
+    const favoriteClub = await getClub(admin.firestore(), userId, user.favoriteClubId, { userData: user });
     
-    if (!favoriteDoc.exists) {
+    if (!favoriteClub) {
       throw new functions.https.HttpsError('not-found', 'Favorite club not found');
     }
-    
-    const favoriteClub = favoriteDoc.data();
 
     // 4. Fetch AI recommendation rules
     console.log('Fetching AI recommendation rules...');
@@ -212,7 +205,7 @@ exports.generateAIRecommendation = functions.https.onCall(async (data, context)
     const recommendation = await callClaudeAPI(prompt, apiKey);
 
     // 7. Save recommendation
-    await admin.firestore().collection('clubs').doc(clubId).update({
+    await updateClub(admin.firestore(), userId, clubId, {
       aiRecommendation: {
         summary: recommendation,
         reasoning: recommendation,
@@ -27,6 +27,7 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { listClubs, getClub } = require('./clubRepository');
 
 // Note: admin.initializeApp() is called in index.js already
 
@@ -72,11 +73,10 @@ exports.getReplacementSuggestion = functions.https.onCall(async (data, context)
     }
 
     // Get winning club details for additional context
-    const winningClubDoc = await db.collection('clubs').doc(winningClubId).get();
-    if (winningClubDoc.exists) {
-      const clubData = winningClubDoc.data();
-      recommendation.winningClubBrand = clubData.identification?.brand || 'Unknown';
-      recommendation.winningClubModel = clubData.identification?.model || 'Unknown';
+    const winningClub = await getClub(db, userId, winningClubId, { includeLegacy: true });
+    if (winningClub) {
+      recommendation.winningClubBrand = winningClub.brand || 'Unknown';
+      recommendation.winningClubModel = winningClub.model || 'Unknown';
     }
 
     return recommendation;
@@ -192,13 +192,10 @@ function determineReplacementStrategy(clubType) {
  */
 async function analyzeCurrentSet(db, userId, clubType) {
   try {
-    // Get all active clubs of the same category
-    const clubsSnapshot = await db.collection('clubs')
-      .where('userId', '==', userId)
-      .where('status', '==', 'active')
-      .get();
+    // Get all clubs in the user's bag
+    const bagClubs = await listClubs(db, userId);
 
-    if (clubsSnapshot.empty) {
+    if (bagClubs.length === 0) {
       return {
         currentRange: 'Unknown',
         suggestedRange: 'Unknown',
@@ -206,16 +203,10 @@ async function analyzeCurrentSet(db, userId, clubType) {
       };
     }
 
-    const clubs = [];
-    clubsSnapshot.forEach(doc => {
-      const data = doc.data();
-      const type = data.identification?.clubType?.toLowerCase() || '';
-      clubs.push({
-        id: doc.id,
-        type: type,
-        ...data
-      });
-    });
+    const clubs = bagClubs.map(club => ({
+      ...club,
+      type: club.clubType?.toLowerCase() || ''
+    }));
 
     // Determine category and analyze
     if (isIron(clubType)) {
@@ -15,6 +15,7 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const fetch = require('node-fetch');
+const { canonicalizeClub, listClubs } = require('./clubRepository');
 
 // Initialize if not already done
 if (!admin.apps.length) {
@@ -288,6 +289,7 @@ async function lookupGhinNumberInternal(ghinNumber) {
 
 // Export for internal use by other functions
 exports.lookupGhinNumberInternal = lookupGhinNumberInternal;
+exports.getRecentScores = getRecentScores;
 
 // =============================================================================
 // CLOUD FUNCTIONS
@@ -606,22 +608,21 @@ exports.scheduledGhinSync = functions.pubsub
  * Calculates handicap correlation after settling period
  */
 exports.calculateBagChangeImpact = functions.firestore
-  .document('clubs/{clubId}')
+  .document('users/{userId}/clubs/{clubId}')
   .onWrite(async (change, context) => {
     if (!change.after.exists) return null;
     
-    const club = change.after.data();
-    const previousClub = change.before.exists ? change.before.data() : null;
+    const club = canonicalizeClub(change.after.data());
+    const previousClub = change.before.exists ? canonicalizeClub(change.before.data()) : null;
     
     // Skip if not a new/changed club
     if (previousClub && 
-        previousClub.make === club.make && 
+        previousClub.brand === club.brand && 
         previousClub.model === club.model) {
       return null;
     }
     
-    const userId = club.user_id;
-    if (!userId) return null;
+    const userId = context.params.userId;
     
     // Get GHIN data
     const ghinDoc = await db.doc(`ghinData/${userId}`).get();
@@ -669,10 +670,10 @@ exports.calculateBagChangeImpact = functions.firestore
     
     const impactRecord = {
       change_date: changeDate.toISOString().split('T')[0],
-      club_type: club.club_type,
+      club_type: club.clubType,
       club_id: context.params.clubId,
-      old_club: previousClub ? `${previousClub.make} ${previousClub.model}` : null,
-      new_club: `${club.make} ${club.model}`,
+      old_club: previousClub ? `${previousClub.brand} ${previousClub.model}` : null,
+      new_club: `${club.brand} ${club.model}`,
       before_index: Math.round(beforeIndex * 10) / 10,
       peak_index: Math.round(peakIndex * 10) / 10,
       settled_index: Math.round(settledIndex * 10) / 10,
@@ -721,19 +722,19 @@ exports.getHandicapTimeline = functions.https.onCall(async (data, context) => {
   
   const ghinData = ghinDoc.data();
   
-  // Get bag changes
-  const clubsSnapshot = await db.collection('clubs')
-    .where('user_id', '==', userId)
-    .orderBy('created_at', 'desc')
-    .limit(20)
-    .get();
-  
-  const bagChanges = clubsSnapshot.docs.map(doc => ({
-    type: 'equipment',
-    date: doc.data().created_at?.toDate()?.toISOString()?.split('T')[0],
-    clubType: doc.data().club_type,
-    description: `New ${doc.data().club_type}: ${doc.data().make} ${doc.data().model}`,
-  }));
+  // Get bag changes (20 most recently added clubs)
+  const clubs = await listClubs(db, userId);
+  
+  const bagChanges = clubs
+    .filter(club => club.created_at?.toDate)
+    .sort((a, b) => b.created_at.toMillis() - a.created_at.toMillis())
+    .slice(0, 20)
+    .map(club => ({
+      type: 'equipment',
+      date: club.created_at.toDate().toISOString().split('T')[0],
+      clubType: club.clubType,
+      description: `New ${club.clubType}: ${club.brand} ${club.model}`,
+    }));
   
   // Get lessons (Phase 3)
   const lessonsSnapshot = await db.collection('lessons')
@@ -0,0 +1,225 @@
+/**
+ * FitMyGolfClubs Pro - Grade History
+ *
+ * Every gradeUserBag run stores a bag_analysis doc. getGradeHistory turns a
+ * client's analyses into per-factor time series for the Progress tab, along
+ * with the events that explain the movement:
+ * - bag changes from users/{userId}/bagChangeHistory
+ * - lessons from the lessons collection
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { FACTOR_KEYS, FACTOR_WEIGHT_KEYS, FACTOR_LABELS } = require("./gradingEngine");
+
+const DEFAULT_HISTORY_LIMIT = 24;
+const MAX_HISTORY_LIMIT = 100;
+const MAX_ANNOTATIONS = 50;
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Firestore Timestamp / Date / string → ISO string (null if unreadable)
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * One chart point from a stored bag_analysis doc
+ */
+function toHistoryPoint(doc) {
+  const data = doc.data();
+  const factors = {};
+
+  FACTOR_KEYS.forEach(factor => {
+    const field = FACTOR_WEIGHT_KEYS[factor];
+    const scorable = data[`${field}_scorable`] !== false;
+    factors[field] = {
+      score: scorable ? (data[`${field}_score`] ?? null) : null,
+      grade: data[`${field}_grade`] || null
+    };
+  });
+
+  return {
+    analysisId: doc.id,
+    analyzedAt: toIsoDate(data.analyzed_at),
+    overallScore: data.overall_score ?? null,
+    overallGrade: data.overall_grade || null,
+    algorithmVersion: data.algorithm_version || data.algorithmVersion?.versionNumber || null,
+    weightProfile: data.weight_profile?.name || null,
+    clubsAnalyzed: data.clubs_analyzed ?? null,
+    factors
+  };
+}
+
+/**
+ * Bag change annotation; undone changes are skipped
+ */
+function toBagChangeAnnotation(doc) {
+  const data = doc.data();
+  if (data.undone === true) return null;
+
+  const added = (data.clubsAdded || []).map(c => [c.brand, c.model].filter(Boolean).join(' ') || c.clubType);
+  const removed = (data.clubsRemoved || []).map(c => [c.brand, c.model].filter(Boolean).join(' ') || c.clubType);
+  const impact = data.gradeImpact || {};
+
+  let description;
+  if (data.changeType === 'scenario_applied') {
+    description = `Applied scenario${data.scenarioName ? `: ${data.scenarioName}` : ''}`;
+  } else if (removed.length && added.length) {
+    description = `${removed.join(', ')} → ${added.join(', ')}`;
+  } else if (added.length) {
+    description = `Added ${added.join(', ')}`;
+  } else {
+    description = `Removed ${removed.join(', ')}`;
+  }
+
+  return {
+    type: 'bag_change',
+    id: doc.id,
+    date: toIsoDate(data.timestamp),
+    changeType: data.changeType || null,
+    description,
+    gradeBefore: impact.beforeLetterGrade || null,
+    gradeAfter: impact.afterLetterGrade || null,
+    scoreChange: impact.improvement ?? null
+  };
+}
+
+function toLessonAnnotation(doc) {
+  const data = doc.data();
+  return {
+    type: 'lesson',
+    id: doc.id,
+    date: toIsoDate(data.lesson_date),
+    lessonType: data.lesson_type || null,
+    description: data.instructor_name
+      ? `${data.lesson_type || 'Lesson'} with ${data.instructor_name}`
+      : (data.lesson_type || 'Lesson'),
+    notes: data.notes || null
+  };
+}
+
+/**
+ * Annotation sources are optional - a missing index or collection
+ * shouldn't take the whole chart down
+ */
+async function loadAnnotations(db, userId, since) {
+  const annotations = [];
+
+  try {
+    let changeQuery = db.collection("users").doc(userId).collection("bagChangeHistory");
+    if (since) changeQuery = changeQuery.where("timestamp", ">=", since);
+    const changeSnapshot = await changeQuery.orderBy("timestamp", "desc").limit(MAX_ANNOTATIONS).get();
+    changeSnapshot.docs.forEach(doc => {
+      const annotation = toBagChangeAnnotation(doc);
+      if (annotation) annotations.push(annotation);
+    });
+  } catch (error) {
+    logger.warn(`Could not load bag changes for ${userId}:`, error.message);
+  }
+
+  try {
+    let lessonQuery = db.collection("lessons").where("client_user_id", "==", userId);
+    if (since) lessonQuery = lessonQuery.where("lesson_date", ">=", since);
+    const lessonSnapshot = await lessonQuery.orderBy("lesson_date", "desc").limit(MAX_ANNOTATIONS).get();
+    lessonSnapshot.docs.forEach(doc => annotations.push(toLessonAnnotation(doc)));
+  } catch (error) {
+    logger.warn(`Could not load lessons for ${userId}:`, error.message);
+  }
+
+  return annotations
+    .filter(a => a.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// ==========================================
+// CLOUD FUNCTION: getGradeHistory
+// ==========================================
+
+/**
+ * request.data: { userId?: "client_uid", limit?: 24 }
+ * Returns the most recent analyses oldest → newest, one series per factor,
+ * and bag change / lesson annotations inside the same window
+ */
+exports.getGradeHistory = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const callerId = request.auth.uid;
+  const userId = request.data?.userId ? sanitizeText(request.data.userId, 128) : callerId;
+  const limit = Math.min(Math.max(parseInt(request.data?.limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+
+  // Security: own history, or a pro viewing a client they manage
+  if (userId !== callerId) {
+    const clientDoc = await db.collection("users").doc(userId).get();
+    const clientData = clientDoc.data();
+    const proId = clientData?.pro_id || clientData?.proManagedInfo?.proUserId;
+    if (!clientDoc.exists || proId !== callerId) {
+      throw new HttpsError('permission-denied', 'You do not manage this client');
+    }
+  }
+
+  // Over-fetch: what-if scenario runs (is_scenario) share the collection but aren't history
+  const analysisSnapshot = await db.collection("bag_analysis")
+    .where("user_id", "==", userId)
+    .orderBy("analyzed_at", "desc")
+    .limit(limit * 2)
+    .get();
+
+  const points = analysisSnapshot.docs
+    .filter(doc => doc.data().is_scenario !== true)
+    .slice(0, limit)
+    .map(toHistoryPoint)
+    .filter(point => point.analyzedAt)
+    .sort((a, b) => new Date(a.analyzedAt) - new Date(b.analyzedAt));
+
+  const series = { overall: points.map(p => ({ date: p.analyzedAt, score: p.overallScore, grade: p.overallGrade })) };
+  FACTOR_KEYS.forEach(factor => {
+    const field = FACTOR_WEIGHT_KEYS[factor];
+    series[field] = points.map(p => ({ date: p.analyzedAt, score: p.factors[field].score, grade: p.factors[field].grade }));
+  });
+
+  const factorLabels = {};
+  FACTOR_KEYS.forEach(factor => {
+    factorLabels[FACTOR_WEIGHT_KEYS[factor]] = FACTOR_LABELS[factor];
+  });
+
+  // Only annotate events inside the charted window (all events if there is one point or none)
+  const since = points.length > 1
+    ? admin.firestore.Timestamp.fromDate(new Date(points[0].analyzedAt))
+    : null;
+  const annotations = await loadAnnotations(db, userId, since);
+
+  const first = points[0] || null;
+  const latest = points[points.length - 1] || null;
+
+  logger.info(`Grade history for ${userId}: ${points.length} analyses, ${annotations.length} annotations`);
+
+  return {
+    userId,
+    points,
+    series,
+    factorLabels,
+    annotations,
+    summary: {
+      analyses: points.length,
+      firstGrade: first?.overallGrade || null,
+      latestGrade: latest?.overallGrade || null,
+      scoreChange: first && latest && first.overallScore != null && latest.overallScore != null
+        ? latest.overallScore - first.overallScore
+        : null
+    }
+  };
+});
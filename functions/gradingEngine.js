@@ -0,0 +1,4718 @@
+/**
+ * FitMyGolfClubs Pro - Grading Engine
+ * 
+ * Pure bag grading pipeline shared by gradeUserBag and the scenario functions.
+ * No Firestore access - callers load clubs/weights and persist the results.
+ * 
+ * Pipeline:
+ * 1. prepareBag(): normalize club data, fill defaults, sort, score the factors
+ * 2. (optional) caller reviews factor scores (Claude hybrid/full modes)
+ * 3. gradeBag(): final factor scores, issues, club quality, overall grade, explainer
+ * 
+ * Date: January 2026
+ */
+
+const NOOP_LOGGER = { debug() {}, info() {}, warn() {}, error() {} };
+
+// firebase-functions/logger when available; setLogger() swaps it (tests, scripts)
+let logger = loadDefaultLogger();
+
+function loadDefaultLogger() {
+  try {
+    return require("firebase-functions/logger");
+  } catch (error) {
+    return NOOP_LOGGER;
+  }
+}
+
+/**
+ * Replace the engine's logger (null restores the no-op logger)
+ * @param {Object|null} customLogger - { debug, info, warn, error }
+ */
+function setLogger(customLogger) {
+  logger = customLogger || NOOP_LOGGER;
+}
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+// Scoring code + default weights version, stamped on every analysis and seeded
+// into algorithmVersions by initializeAlgorithmVersioning. Bump on scoring changes.
+const ALGORITHM_VERSION = {
+  versionNumber: "2.1",
+  changelog: "Swing weight progression factor (5%; weight progression 20% -> 15%). " +
+    "Swing weight outliers cost 4 points per swing weight point outside the allowed range (2-20 per club) instead of a flat 8."
+};
+
+// Fallback weights when no active algorithmVersions document is found
+const DEFAULT_GRADING_WEIGHTS = {
+  age: 0.20,
+  weight_progression: 0.15,
+  loft_gapping: 0.20,
+  flex_consistency: 0.05,
+  kickpoint_consistency: 0.10,
+  torque_consistency: 0.05,
+  length_progression: 0.10,
+  lie_angle_progression: 0.10,
+  swing_weight_progression: 0.05
+};
+
+// Factor keys used internally (finalScores, Claude review) -> gradingWeights keys
+const FACTOR_WEIGHT_KEYS = {
+  age: 'age',
+  weight: 'weight_progression',
+  loft: 'loft_gapping',
+  flex: 'flex_consistency',
+  kickpoint: 'kickpoint_consistency',
+  torque: 'torque_consistency',
+  length: 'length_progression',
+  lie: 'lie_angle_progression',
+  swingweight: 'swing_weight_progression'
+};
+
+const FACTOR_KEYS = Object.keys(FACTOR_WEIGHT_KEYS);
+
+// Display names used for top priority fix / AI bag analysis
+const FACTOR_LABELS = {
+  age: 'club age',
+  weight: 'weight progression',
+  loft: 'loft gapping',
+  flex: 'flex consistency',
+  kickpoint: 'kickpoint consistency',
+  torque: 'torque consistency',
+  length: 'length progression',
+  lie: 'lie angle progression',
+  swingweight: 'swing weight progression'
+};
+
+// ==========================================
+// PUTTER FILTERING & CLUB CATEGORIZATION
+// ==========================================
+
+/**
+ * Check if a club is a putter
+ */
+function isPutter(club) {
+  if (!club || !club.clubType) return false;
+  const type = club.clubType.toLowerCase();
+  return type === 'putter' || type.includes('putter');
+}
+
+/**
+ * Get default/standard loft for a club type when actual data is missing
+ * Returns: { loft: number, isDefault: true } or null if unknown
+ * 
+ * Standard lofts based on modern club manufacturing (2020+)
+ */
+function getDefaultLoft(clubType) {
+  if (!clubType) return null;
+  
+  const type = clubType.toLowerCase().trim();
+  
+  // Default lofts lookup table
+  const DEFAULT_LOFTS = {
+    // Driver
+    'driver': 10.5,
+    '1w': 10.5,
+    '1-wood': 10.5,
+    
+    // Fairway Woods
+    '2-wood': 12,
+    '2w': 12,
+    '3-wood': 15,
+    '3w': 15,
+    '4-wood': 17,
+    '4w': 17,
+    '5-wood': 18,
+    '5w': 18,
+    '7-wood': 21,
+    '7w': 21,
+    '9-wood': 24,
+    '9w': 24,
+    '11-wood': 27,
+    '11w': 27,
+    
+    // Hybrids
+    '1-hybrid': 14,
+    '1h': 14,
+    '2-hybrid': 17,
+    '2h': 17,
+    '3-hybrid': 19,
+    '3h': 19,
+    '4-hybrid': 22,
+    '4h': 22,
+    '5-hybrid': 25,
+    '5h': 25,
+    '6-hybrid': 28,
+    '6h': 28,
+    '7-hybrid': 31,
+    '7h': 31,
+    
+    // Irons (modern game-improvement lofts)
+    '1-iron': 16,
+    '1i': 16,
+    '2-iron': 18,
+    '2i': 18,
+    '3-iron': 21,
+    '3i': 21,
+    '4-iron': 24,
+    '4i': 24,
+    '5-iron': 27,
+    '5i': 27,
+    '6-iron': 30,
+    '6i': 30,
+    '7-iron': 33,
+    '7i': 33,
+    '8-iron': 37,
+    '8i': 37,
+    '9-iron': 41,
+    '9i': 41,
+    
+    // Wedges
+    'pw': 45,
+    'pitching wedge': 45,
+    'pitching': 45,
+    'gw': 50,
+    'gap wedge': 50,
+    'gap': 50,
+    'aw': 50,
+    'approach wedge': 50,
+    'approach': 50,
+    'sw': 56,
+    'sand wedge': 56,
+    'sand': 56,
+    'lw': 60,
+    'lob wedge': 60,
+    'lob': 60,
+    
+    // Degree notation wedges
+    '46°': 46,
+    '48°': 48,
+    '50°': 50,
+    '52°': 52,
+    '54°': 54,
+    '56°': 56,
+    '58°': 58,
+    '60°': 60,
+    '62°': 62,
+    '64°': 64
+  };
+  
+  // Direct match
+  if (DEFAULT_LOFTS[type]) {
+    return { loft: DEFAULT_LOFTS[type], isDefault: true };
+  }
+  
+  // Try variations
+  // Handle "X-iron" format
+  const ironMatch = type.match(/^(\d+)-?iron$/);
+  if (ironMatch) {
+    const ironNum = parseInt(ironMatch[1]);
+    const key = `${ironNum}-iron`;
+    if (DEFAULT_LOFTS[key]) {
+      return { loft: DEFAULT_LOFTS[key], isDefault: true };
+    }
+  }
+  
+  // Handle "Xi" format
+  const ironShortMatch = type.match(/^(\d+)i$/);
+  if (ironShortMatch) {
+    const ironNum = parseInt(ironShortMatch[1]);
+    const key = `${ironNum}i`;
+    if (DEFAULT_LOFTS[key]) {
+      return { loft: DEFAULT_LOFTS[key], isDefault: true };
+    }
+  }
+  
+  // Handle "X-wood" format
+  const woodMatch = type.match(/^(\d+)-?wood$/);
+  if (woodMatch) {
+    const woodNum = parseInt(woodMatch[1]);
+    const key = `${woodNum}-wood`;
+    if (DEFAULT_LOFTS[key]) {
+      return { loft: DEFAULT_LOFTS[key], isDefault: true };
+    }
+  }
+  
+  // Handle "Xw" format for woods
+  const woodShortMatch = type.match(/^(\d+)w$/);
+  if (woodShortMatch) {
+    const woodNum = parseInt(woodShortMatch[1]);
+    const key = `${woodNum}w`;
+    if (DEFAULT_LOFTS[key]) {
+      return { loft: DEFAULT_LOFTS[key], isDefault: true };
+    }
+  }
+  
+  // Handle "X-hybrid" or "Xh" format
+  const hybridMatch = type.match(/^(\d+)-?hybrid$/) || type.match(/^(\d+)h$/);
+  if (hybridMatch) {
+    const hybridNum = parseInt(hybridMatch[1]);
+    const key = `${hybridNum}h`;
+    if (DEFAULT_LOFTS[key]) {
+      return { loft: DEFAULT_LOFTS[key], isDefault: true };
+    }
+  }
+  
+  // Handle degree notation without ° symbol
+  const degreeMatch = type.match(/^(\d+)°?$/);
+  if (degreeMatch) {
+    const degrees = parseInt(degreeMatch[1]);
+    if (degrees >= 42 && degrees <= 72) {
+      return { loft: degrees, isDefault: false }; // Not a default, it's the actual value
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Enrich clubs with default lofts where missing
+ * Returns clubs array with loft data filled in and tracking of defaults used
+ */
+function enrichClubsWithDefaultLofts(clubs) {
+  const defaultsUsed = [];
+  
+  const enrichedClubs = clubs.map(club => {
+    // If club already has loft, keep it
+    if (club.loft) {
+      return { ...club, loftIsDefault: false };
+    }
+    
+    // Try to get default loft
+    const defaultLoft = getDefaultLoft(club.clubType);
+    if (defaultLoft) {
+      defaultsUsed.push({
+        clubType: club.clubType,
+        defaultLoft: defaultLoft.loft,
+        brand: club.brand,
+        model: club.model
+      });
+      return { 
+        ...club, 
+        loft: defaultLoft.loft, 
+        loftIsDefault: defaultLoft.isDefault 
+      };
+    }
+    
+    // No loft data available
+    return { ...club, loftIsDefault: false };
+  });
+  
+  return {
+    clubs: enrichedClubs,
+    defaultsUsed: defaultsUsed
+  };
+}
+
+/**
+ * Get default/standard shaft weight for a club type when actual data is missing
+ * Returns: { weight: number, isDefault: true } or null if unknown
+ * 
+ * Standard shaft weights based on typical stock shaft configurations
+ */
+function getDefaultShaftWeight(clubType) {
+  if (!clubType) return null;
+  
+  const type = clubType.toLowerCase().trim();
+  
+  const DEFAULT_WEIGHTS = {
+    // Driver - lighter graphite shafts
+    'driver': 55,
+    '1w': 55,
+    '1-wood': 55,
+    
+    // Fairway Woods - slightly heavier than driver
+    '2-wood': 60,
+    '2w': 60,
+    '3-wood': 65,
+    '3w': 65,
+    '4-wood': 65,
+    '4w': 65,
+    '5-wood': 67,
+    '5w': 67,
+    '7-wood': 70,
+    '7w': 70,
+    '9-wood': 72,
+    '9w': 72,
+    '11-wood': 75,
+    '11w': 75,
+    
+    // Hybrids
+    '1-hybrid': 70,
+    '1h': 70,
+    '2-hybrid': 72,
+    '2h': 72,
+    '3-hybrid': 75,
+    '3h': 75,
+    '4-hybrid': 78,
+    '4h': 78,
+    '5-hybrid': 80,
+    '5h': 80,
+    '6-hybrid': 82,
+    '6h': 82,
+    '7-hybrid': 85,
+    '7h': 85,
+    
+    // Irons (steel shaft weights)
+    '1-iron': 110,
+    '1i': 110,
+    '2-iron': 112,
+    '2i': 112,
+    '3-iron': 115,
+    '3i': 115,
+    '4-iron': 118,
+    '4i': 118,
+    '5-iron': 120,
+    '5i': 120,
+    '6-iron': 122,
+    '6i': 122,
+    '7-iron': 125,
+    '7i': 125,
+    '8-iron': 127,
+    '8i': 127,
+    '9-iron': 130,
+    '9i': 130,
+    
+    // Wedges (steel shafts, slightly heavier)
+    'pw': 132,
+    'pitching wedge': 132,
+    'pitching': 132,
+    'gw': 130,
+    'gap wedge': 130,
+    'gap': 130,
+    'aw': 130,
+    'approach wedge': 130,
+    'approach': 130,
+    'sw': 130,
+    'sand wedge': 130,
+    'sand': 130,
+    'lw': 130,
+    'lob wedge': 130,
+    'lob': 130,
+    
+    // Degree notation wedges
+    '46°': 130,
+    '48°': 130,
+    '50°': 130,
+    '52°': 130,
+    '54°': 130,
+    '56°': 130,
+    '58°': 130,
+    '60°': 130,
+    '62°': 130,
+    '64°': 130
+  };
+  
+  // Direct match
+  if (DEFAULT_WEIGHTS[type]) {
+    return { weight: DEFAULT_WEIGHTS[type], isDefault: true };
+  }
+  
+  // Try variations for irons
+  const ironMatch = type.match(/^(\d+)-?iron$/);
+  if (ironMatch) {
+    const key = `${ironMatch[1]}-iron`;
+    if (DEFAULT_WEIGHTS[key]) {
+      return { weight: DEFAULT_WEIGHTS[key], isDefault: true };
+    }
+  }
+  
+  // Try variations for hybrids
+  const hybridMatch = type.match(/^(\d+)-?hybrid$/) || type.match(/^(\d+)h$/);
+  if (hybridMatch) {
+    const key = `${hybridMatch[1]}h`;
+    if (DEFAULT_WEIGHTS[key]) {
+      return { weight: DEFAULT_WEIGHTS[key], isDefault: true };
+    }
+  }
+  
+  // Try variations for woods
+  const woodMatch = type.match(/^(\d+)-?wood$/) || type.match(/^(\d+)w$/);
+  if (woodMatch) {
+    const key = `${woodMatch[1]}w`;
+    if (DEFAULT_WEIGHTS[key]) {
+      return { weight: DEFAULT_WEIGHTS[key], isDefault: true };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get default/standard lie angle for a club type when actual data is missing
+ * Returns: { lie: number, isDefault: true } or null if unknown
+ * 
+ * Standard lie angles based on typical club manufacturing specs
+ */
+function getDefaultLieAngle(clubType) {
+  if (!clubType) return null;
+  
+  const type = clubType.toLowerCase().trim();
+  
+  const DEFAULT_LIE_ANGLES = {
+    // Driver
+    'driver': 56,
+    '1w': 56,
+    '1-wood': 56,
+    
+    // Fairway Woods
+    '2-wood': 56.5,
+    '2w': 56.5,
+    '3-wood': 57,
+    '3w': 57,
+    '4-wood': 57.5,
+    '4w': 57.5,
+    '5-wood': 58,
+    '5w': 58,
+    '7-wood': 59,
+    '7w': 59,
+    '9-wood': 60,
+    '9w': 60,
+    '11-wood': 61,
+    '11w': 61,
+    
+    // Hybrids
+    '1-hybrid': 57,
+    '1h': 57,
+    '2-hybrid': 58,
+    '2h': 58,
+    '3-hybrid': 59,
+    '3h': 59,
+    '4-hybrid': 60,
+    '4h': 60,
+    '5-hybrid': 61,
+    '5h': 61,
+    '6-hybrid': 62,
+    '6h': 62,
+    '7-hybrid': 63,
+    '7h': 63,
+    
+    // Irons
+    '1-iron': 56,
+    '1i': 56,
+    '2-iron': 57,
+    '2i': 57,
+    '3-iron': 59,
+    '3i': 59,
+    '4-iron': 60,
+    '4i': 60,
+    '5-iron': 61,
+    '5i': 61,
+    '6-iron': 62,
+    '6i': 62,
+    '7-iron': 63,
+    '7i': 63,
+    '8-iron': 64,
+    '8i': 64,
+    '9-iron': 65,
+    '9i': 65,
+    
+    // Wedges
+    'pw': 65.5,
+    'pitching wedge': 65.5,
+    'pitching': 65.5,
+    'gw': 64,
+    'gap wedge': 64,
+    'gap': 64,
+    'aw': 64,
+    'approach wedge': 64,
+    'approach': 64,
+    'sw': 64,
+    'sand wedge': 64,
+    'sand': 64,
+    'lw': 64,
+    'lob wedge': 64,
+    'lob': 64,
+    
+    // Degree notation wedges
+    '46°': 64,
+    '48°': 64,
+    '50°': 64,
+    '52°': 64,
+    '54°': 64,
+    '56°': 64,
+    '58°': 64,
+    '60°': 64,
+    '62°': 64,
+    '64°': 64
+  };
+  
+  // Direct match
+  if (DEFAULT_LIE_ANGLES[type]) {
+    return { lie: DEFAULT_LIE_ANGLES[type], isDefault: true };
+  }
+  
+  // Try variations for irons
+  const ironMatch = type.match(/^(\d+)-?iron$/);
+  if (ironMatch) {
+    const key = `${ironMatch[1]}-iron`;
+    if (DEFAULT_LIE_ANGLES[key]) {
+      return { lie: DEFAULT_LIE_ANGLES[key], isDefault: true };
+    }
+  }
+  
+  // Try variations for hybrids
+  const hybridMatch = type.match(/^(\d+)-?hybrid$/) || type.match(/^(\d+)h$/);
+  if (hybridMatch) {
+    const key = `${hybridMatch[1]}h`;
+    if (DEFAULT_LIE_ANGLES[key]) {
+      return { lie: DEFAULT_LIE_ANGLES[key], isDefault: true };
+    }
+  }
+  
+  // Try variations for woods
+  const woodMatch = type.match(/^(\d+)-?wood$/) || type.match(/^(\d+)w$/);
+  if (woodMatch) {
+    const key = `${woodMatch[1]}w`;
+    if (DEFAULT_LIE_ANGLES[key]) {
+      return { lie: DEFAULT_LIE_ANGLES[key], isDefault: true };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get default/standard length for a club type when actual data is missing
+ * Returns: { length: number, isDefault: true } or null if unknown
+ * 
+ * Standard lengths in inches based on typical club manufacturing specs
+ */
+function getDefaultLength(clubType) {
+  if (!clubType) return null;
+  
+  const type = clubType.toLowerCase().trim();
+  
+  const DEFAULT_LENGTHS = {
+    // Driver
+    'driver': 45.5,
+    '1w': 45.5,
+    '1-wood': 45.5,
+    
+    // Fairway Woods
+    '2-wood': 43.5,
+    '2w': 43.5,
+    '3-wood': 43,
+    '3w': 43,
+    '4-wood': 42.5,
+    '4w': 42.5,
+    '5-wood': 42,
+    '5w': 42,
+    '7-wood': 41.5,
+    '7w': 41.5,
+    '9-wood': 41,
+    '9w': 41,
+    '11-wood': 40.5,
+    '11w': 40.5,
+    
+    // Hybrids
+    '1-hybrid': 41,
+    '1h': 41,
+    '2-hybrid': 40.5,
+    '2h': 40.5,
+    '3-hybrid': 40,
+    '3h': 40,
+    '4-hybrid': 39.5,
+    '4h': 39.5,
+    '5-hybrid': 39,
+    '5h': 39,
+    '6-hybrid': 38.5,
+    '6h': 38.5,
+    '7-hybrid': 38,
+    '7h': 38,
+    
+    // Irons
+    '1-iron': 40,
+    '1i': 40,
+    '2-iron': 39.5,
+    '2i': 39.5,
+    '3-iron': 39,
+    '3i': 39,
+    '4-iron': 38.5,
+    '4i': 38.5,
+    '5-iron': 38,
+    '5i': 38,
+    '6-iron': 37.5,
+    '6i': 37.5,
+    '7-iron': 37,
+    '7i': 37,
+    '8-iron': 36.5,
+    '8i': 36.5,
+    '9-iron': 36,
+    '9i': 36,
+    
+    // Wedges
+    'pw': 35.5,
+    'pitching wedge': 35.5,
+    'pitching': 35.5,
+    'gw': 35.5,
+    'gap wedge': 35.5,
+    'gap': 35.5,
+    'aw': 35.5,
+    'approach wedge': 35.5,
+    'approach': 35.5,
+    'sw': 35.25,
+    'sand wedge': 35.25,
+    'sand': 35.25,
+    'lw': 35,
+    'lob wedge': 35,
+    'lob': 35,
+    
+    // Degree notation wedges
+    '46°': 35.5,
+    '48°': 35.5,
+    '50°': 35.5,
+    '52°': 35.25,
+    '54°': 35.25,
+    '56°': 35.25,
+    '58°': 35,
+    '60°': 35,
+    '62°': 35,
+    '64°': 35
+  };
+  
+  // Direct match
+  if (DEFAULT_LENGTHS[type]) {
+    return { length: DEFAULT_LENGTHS[type], isDefault: true };
+  }
+  
+  // Try variations for irons
+  const ironMatch = type.match(/^(\d+)-?iron$/);
+  if (ironMatch) {
+    const key = `${ironMatch[1]}-iron`;
+    if (DEFAULT_LENGTHS[key]) {
+      return { length: DEFAULT_LENGTHS[key], isDefault: true };
+    }
+  }
+  
+  // Try variations for hybrids
+  const hybridMatch = type.match(/^(\d+)-?hybrid$/) || type.match(/^(\d+)h$/);
+  if (hybridMatch) {
+    const key = `${hybridMatch[1]}h`;
+    if (DEFAULT_LENGTHS[key]) {
+      return { length: DEFAULT_LENGTHS[key], isDefault: true };
+    }
+  }
+  
+  // Try variations for woods
+  const woodMatch = type.match(/^(\d+)-?wood$/) || type.match(/^(\d+)w$/);
+  if (woodMatch) {
+    const key = `${woodMatch[1]}w`;
+    if (DEFAULT_LENGTHS[key]) {
+      return { length: DEFAULT_LENGTHS[key], isDefault: true };
+    }
+  }
+  
+  return null;
+}
+
+// Swing weight scale letters: A0 (lightest) ... G9, 10 points per letter
+const SWING_WEIGHT_LETTERS = 'ABCDEFG';
+
+/**
+ * Convert a swing weight label to points on a continuous scale
+ * "D2" → 32, "C9.5" → 29.5, "d-1" → 31
+ * Returns null if the label can't be parsed
+ */
+function swingWeightToPoints(label) {
+  if (label === null || label === undefined) return null;
+  const match = String(label).trim().toUpperCase().match(/^([A-G])\s*-?\s*(\d(?:\.\d)?)$/);
+  if (!match) return null;
+  return SWING_WEIGHT_LETTERS.indexOf(match[1]) * 10 + parseFloat(match[2]);
+}
+
+/**
+ * Convert swing weight points back to a label (32 → "D2", 29.5 → "C9.5")
+ */
+function pointsToSwingWeight(points) {
+  if (!Number.isFinite(points)) return null;
+  const rounded = Math.round(Math.min(Math.max(points, 0), 69.5) * 2) / 2;
+  const letter = SWING_WEIGHT_LETTERS[Math.floor(rounded / 10)];
+  const value = Math.round((rounded % 10) * 10) / 10;
+  return `${letter}${value}`;
+}
+
+/**
+ * Normalize a swing weight label ("d2", "D-2", "D 2.5") to standard form ("D2", "D2.5")
+ */
+function normalizeSwingWeight(label) {
+  return pointsToSwingWeight(swingWeightToPoints(label));
+}
+
+/**
+ * Get default swing weight for a club type
+ * Based on typical off-the-rack specs: D2 through the set,
+ * a little heavier in the driver and scoring wedges
+ */
+function getDefaultSwingWeight(clubType) {
+  if (!clubType) return null;
+
+  const type = clubType.toLowerCase().trim();
+  if (type === 'putter') return null;
+
+  const category = getClubCategory({ clubType });
+  if (category === 'unknown') return null;
+
+  let swingWeight = 'D2';
+  if (category === 'driver') {
+    swingWeight = 'D3';
+  } else if (category === 'wedge') {
+    const degrees = type.match(/^(\d+)°$/);
+    if (type === 'gw' || type === 'aw' || (degrees && parseInt(degrees[1]) < 54)) {
+      swingWeight = 'D3';
+    } else if (type !== 'pw') {
+      swingWeight = 'D4';
+    }
+  }
+
+  return { swingWeight, isDefault: true };
+}
+
+/**
+ * Get default total club weight (grams) for a club type
+ * Based on typical steel irons / graphite woods: weight rises ~6-7g per iron
+ */
+function getDefaultTotalWeight(clubType) {
+  if (!clubType) return null;
+
+  const type = clubType.toLowerCase().trim();
+  const DEFAULT_TOTAL_WEIGHTS = {
+    'driver': 310, '1w': 310, '1-wood': 310,
+    '2w': 320, '3w': 325, '4w': 328, '5w': 330, '7w': 335, '9w': 340,
+    '2h': 335, '3h': 340, '4h': 345, '5h': 350, '6h': 355, '7h': 360,
+    '2i': 395, '3i': 400, '4i': 407, '5i': 414, '6i': 421,
+    '7i': 428, '8i': 435, '9i': 442,
+    'pw': 448, 'gw': 452, 'aw': 452, 'sw': 458, 'lw': 460
+  };
+
+  if (DEFAULT_TOTAL_WEIGHTS[type]) {
+    return { weight: DEFAULT_TOTAL_WEIGHTS[type], isDefault: true };
+  }
+
+  const numberMatch = type.match(/^(\d+)[\s-]?(iron|wood|hybrid|i|w|h)$/);
+  if (numberMatch) {
+    const key = `${numberMatch[1]}${numberMatch[2][0]}`;
+    if (DEFAULT_TOTAL_WEIGHTS[key]) {
+      return { weight: DEFAULT_TOTAL_WEIGHTS[key], isDefault: true };
+    }
+  }
+
+  // Degree wedges (50°, 56°, ...)
+  const degreeMatch = type.match(/^(\d+)°$/);
+  if (degreeMatch) {
+    return { weight: parseInt(degreeMatch[1]) >= 54 ? 458 : 452, isDefault: true };
+  }
+
+  return null;
+}
+
+// ==========================================
+// SHAFT MATERIAL
+// ==========================================
+
+// Typical shaft weight (g) per material and weight zone - the expected curve
+// weight progression is checked against. Graphite irons follow the graphite
+// curve instead of reading as light steel irons.
+const SHAFT_WEIGHT_CURVE = {
+  graphite: { WOODS: 60, HYBRIDS: 75, IRONS: 80, WEDGES: 90 },
+  steel: { WOODS: 95, HYBRIDS: 100, IRONS: 115, WEDGES: 125 }
+};
+
+// Material stock shafts use in each zone (default weights assume these)
+const ZONE_TYPICAL_MATERIALS = {
+  WOODS: 'graphite',
+  HYBRIDS: 'graphite',
+  IRONS: 'steel',
+  WEDGES: 'steel'
+};
+
+// Shaft lines by brand/model text, for clubs without a catalog material
+// (graphite first - "Steelfiber" is graphite)
+const GRAPHITE_SHAFT_PATTERNS = [
+  /graphite/i, /steelfiber/i, /recoil/i, /hzrdus|cypher|riptide|denali|evenflow/i,
+  /ventus|tensei|diamana|speeder|atmos|tour ad|mmt|kuro kage/i, /\bkbs\s*(tgi|pgi|td)\b/i
+];
+const STEEL_SHAFT_PATTERNS = [
+  /\bsteel\b/i, /dynamic gold|\bdg\s?(s|x|r)?\d{3}\b/i, /\bkbs\b/i, /n\.?\s?s\.?\s?pro|modus/i,
+  /project x\s*(lz|io|\d\.\d)?$/i, /elevate|xp\s?\d{2,3}|true temper/i
+];
+
+/**
+ * Normalize a shaft material to 'graphite' | 'steel' (null if unknown)
+ */
+function normalizeShaftMaterial(value) {
+  const material = String(value || '').toLowerCase().trim();
+  if (!material) return null;
+  if (material.includes('graph') || material === 'carbon' || material === 'composite') return 'graphite';
+  if (material.includes('steel')) return 'steel';
+  return null;
+}
+
+/**
+ * Weight zone of a club for shaft weight progression
+ * PW stays with the irons; 46°+ and named wedges are WEDGES
+ */
+function getShaftWeightZone(clubType) {
+  const type = (clubType || '').toLowerCase();
+
+  if (type === 'driver') return 'WOODS';
+  if (type.includes('wood') || /^\d+w$/i.test(type)) return 'WOODS';
+  if (type.includes('hybrid') || /^\d+h$/i.test(type)) return 'HYBRIDS';
+
+  // PW stays with IRONS
+  if (type === 'pw' || type === 'pitching' || type === 'pitching wedge') return 'IRONS';
+
+  // Irons
+  if (type.includes('iron') || /^\d+-iron$/i.test(type)) return 'IRONS';
+
+  // Degree wedges (46°+)
+  const degMatch = type.match(/^(\d+)/);
+  if (degMatch) {
+    const num = parseInt(degMatch[1], 10);
+    if (num >= 46 && num <= 64) return 'WEDGES';
+  }
+
+  // Named wedges
+  if (['gw', 'aw', 'sw', 'lw', 'gap', 'sand', 'lob'].some(w => type === w || type.includes(w))) {
+    return 'WEDGES';
+  }
+
+  return 'IRONS';
+}
+
+/**
+ * Shaft material of a club: the stored shaft_material (from shaftSpecDatabase),
+ * else the shaft brand/model, else a guess from weight and club type
+ *
+ * @returns {Object} { material: 'graphite' | 'steel', inferred: boolean }
+ */
+function getShaftMaterial(club) {
+  const stored = normalizeShaftMaterial(club.shaft_material);
+  if (stored) return { material: stored, inferred: false };
+
+  const shaftName = `${club.shaft_brand || ''} ${club.shaft_model || ''}`.trim();
+  if (shaftName) {
+    if (GRAPHITE_SHAFT_PATTERNS.some(pattern => pattern.test(shaftName))) return { material: 'graphite', inferred: true };
+    if (STEEL_SHAFT_PATTERNS.some(pattern => pattern.test(shaftName))) return { material: 'steel', inferred: true };
+  }
+
+  // Woods are almost always graphite; hybrid/iron graphite shafts are typically <85g
+  const zone = getShaftWeightZone(club.clubType);
+  if (zone === 'WOODS') return { material: 'graphite', inferred: true };
+  if ((zone === 'HYBRIDS' || zone === 'IRONS') && club.shaft_weight) {
+    return { material: club.shaft_weight < 85 ? 'graphite' : 'steel', inferred: true };
+  }
+  return { material: ZONE_TYPICAL_MATERIALS[zone], inferred: true };
+}
+
+// Penalty per club whose shaft material breaks up an otherwise matched run
+const MIXED_MATERIAL_PENALTY = 5;
+
+/**
+ * How shaft materials run through the bag (clubs sorted long → short)
+ * A single switch - graphite long clubs into steel, or a graphite iron set -
+ * is a deliberate setup. A material that flips back and forth usually means
+ * a replacement shaft that doesn't match the set.
+ *
+ * @param {Array} clubMaterials - [{ name, zone, material, inferred }] in loft order
+ * @returns {Object} { mixed, intentional, switches, zoneMaterials, oddClubs, note }
+ */
+function analyzeShaftMaterials(clubMaterials) {
+  // Main material per zone (ties go to the zone's typical material)
+  const zoneMaterials = {};
+  Object.keys(ZONE_TYPICAL_MATERIALS).forEach(zone => {
+    const counts = {};
+    clubMaterials.filter(c => c.zone === zone).forEach(c => {
+      counts[c.material] = (counts[c.material] || 0) + 1;
+    });
+    const ranked = Object.entries(counts)
+      .sort((a, b) => (b[1] - a[1]) || (a[0] === ZONE_TYPICAL_MATERIALS[zone] ? -1 : 1));
+    if (ranked.length > 0) zoneMaterials[zone] = ranked[0][0];
+  });
+
+  const switchPoints = [];
+  for (let i = 1; i < clubMaterials.length; i++) {
+    if (clubMaterials[i].material !== clubMaterials[i - 1].material) {
+      switchPoints.push(i);
+    }
+  }
+
+  if (switchPoints.length === 0) {
+    return { mixed: false, intentional: true, switches: 0, zoneMaterials, oddClubs: [], note: null };
+  }
+
+  if (switchPoints.length === 1) {
+    const longer = clubMaterials[switchPoints[0] - 1];
+    const shorter = clubMaterials[switchPoints[0]];
+    return {
+      mixed: true,
+      intentional: true,
+      switches: 1,
+      zoneMaterials,
+      oddClubs: [],
+      note: `Mixed shaft materials look intentional (${longer.material} through ${longer.name}, ${shorter.material} from ${shorter.name}) - weights are compared within each material`
+    };
+  }
+
+  // Clubs off their zone's main material; if every zone is uniform the
+  // zones themselves alternate, so flag the clubs on the bag's minority material
+  let oddClubs = clubMaterials.filter(c => c.material !== zoneMaterials[c.zone]);
+  if (oddClubs.length === 0) {
+    const graphiteCount = clubMaterials.filter(c => c.material === 'graphite').length;
+    const minority = graphiteCount * 2 <= clubMaterials.length ? 'graphite' : 'steel';
+    oddClubs = clubMaterials.filter(c => c.material === minority);
+  }
+
+  return {
+    mixed: true,
+    intentional: false,
+    switches: switchPoints.length,
+    zoneMaterials,
+    oddClubs: oddClubs.map(c => ({ clubType: c.name, material: c.material, inferred: c.inferred })),
+    note: `Shaft material switches ${switchPoints.length} times through the bag (${oddClubs.map(c => `${c.name} ${c.material}`).join(', ')}) - check these shafts are intended`
+  };
+}
+
+/**
+ * Get club sort order for sorting from driver down to wedge
+ * Lower number = appears first (driver)
+ * Higher number = appears later (wedges)
+ */
+function getClubSortOrder(club) {
+  if (!club || !club.clubType) return 999;
+  
+  const type = club.clubType.toLowerCase().trim();
+  
+  // If we have loft, use it for precise ordering
+  if (club.loft) {
+    return club.loft;
+  }
+  
+  // Fallback sort order by club type
+  const SORT_ORDER = {
+    'driver': 10,
+    '1w': 10,
+    '1-wood': 10,
+    '2-wood': 12,
+    '2w': 12,
+    '3-wood': 15,
+    '3w': 15,
+    '4-wood': 17,
+    '4w': 17,
+    '5-wood': 18,
+    '5w': 18,
+    '7-wood': 21,
+    '7w': 21,
+    '9-wood': 24,
+    '9w': 24,
+    '11-wood': 27,
+    '11w': 27,
+    '1-hybrid': 14,
+    '1h': 14,
+    '2-hybrid': 17,
+    '2h': 17,
+    '3-hybrid': 19,
+    '3h': 19,
+    '4-hybrid': 22,
+    '4h': 22,
+    '5-hybrid': 25,
+    '5h': 25,
+    '6-hybrid': 28,
+    '6h': 28,
+    '7-hybrid': 31,
+    '7h': 31,
+    '1-iron': 16,
+    '1i': 16,
+    '2-iron': 18,
+    '2i': 18,
+    '3-iron': 21,
+    '3i': 21,
+    '4-iron': 24,
+    '4i': 24,
+    '5-iron': 27,
+    '5i': 27,
+    '6-iron': 30,
+    '6i': 30,
+    '7-iron': 33,
+    '7i': 33,
+    '8-iron': 37,
+    '8i': 37,
+    '9-iron': 41,
+    '9i': 41,
+    'pw': 45,
+    'pitching wedge': 45,
+    'gw': 50,
+    'gap wedge': 50,
+    'aw': 50,
+    'approach wedge': 50,
+    'sw': 56,
+    'sand wedge': 56,
+    'lw': 60,
+    'lob wedge': 60,
+    'putter': 999
+  };
+  
+  if (SORT_ORDER[type]) {
+    return SORT_ORDER[type];
+  }
+  
+  // Handle degree notation
+  const degreeMatch = type.match(/^(\d+)°?$/);
+  if (degreeMatch) {
+    return parseInt(degreeMatch[1]);
+  }
+  
+  // Handle iron variations
+  const ironMatch = type.match(/^(\d+)-?iron$/);
+  if (ironMatch) {
+    const key = `${ironMatch[1]}-iron`;
+    if (SORT_ORDER[key]) return SORT_ORDER[key];
+  }
+  
+  return 999;
+}
+
+/**
+ * Sort clubs from driver to wedge (by loft/sort order)
+ */
+function sortClubsByLoft(clubs) {
+  return [...clubs].sort((a, b) => getClubSortOrder(a) - getClubSortOrder(b));
+}
+
+/**
+ * Enrich clubs with all default values where missing
+ * Returns clubs array with loft, weight, lie, length, swing weight and total weight filled in
+ */
+function enrichClubsWithAllDefaults(clubs) {
+  const defaultsUsed = {
+    loft: [],
+    weight: [],
+    lie: [],
+    length: [],
+    swingWeight: [],
+    totalWeight: []
+  };
+  
+  const enrichedClubs = clubs.map(club => {
+    const enriched = { ...club };
+    
+    // Loft defaults
+    if (!club.loft) {
+      const defaultLoft = getDefaultLoft(club.clubType);
+      if (defaultLoft) {
+        enriched.loft = defaultLoft.loft;
+        enriched.loftIsDefault = defaultLoft.isDefault;
+        if (defaultLoft.isDefault) {
+          defaultsUsed.loft.push({ clubType: club.clubType, value: defaultLoft.loft });
+        }
+      } else {
+        enriched.loftIsDefault = false;
+      }
+    } else {
+      enriched.loftIsDefault = false;
+    }
+    
+    // Shaft weight defaults (stock weights assume graphite woods/hybrids, steel irons/wedges)
+    if (!club.shaft_weight) {
+      const defaultWeight = getDefaultShaftWeight(club.clubType);
+      if (defaultWeight) {
+        const zone = getShaftWeightZone(club.clubType);
+        const material = normalizeShaftMaterial(club.shaft_material);
+        enriched.shaft_weight = material && material !== ZONE_TYPICAL_MATERIALS[zone]
+          ? defaultWeight.weight + SHAFT_WEIGHT_CURVE[material][zone] - SHAFT_WEIGHT_CURVE[ZONE_TYPICAL_MATERIALS[zone]][zone]
+          : defaultWeight.weight;
+        enriched.weightIsDefault = defaultWeight.isDefault;
+        if (defaultWeight.isDefault) {
+          defaultsUsed.weight.push({ clubType: club.clubType, value: enriched.shaft_weight });
+        }
+      } else {
+        enriched.weightIsDefault = false;
+      }
+    } else {
+      enriched.weightIsDefault = false;
+    }
+    
+    // Lie angle defaults
+    if (!club.lie) {
+      const defaultLie = getDefaultLieAngle(club.clubType);
+      if (defaultLie) {
+        enriched.lie = defaultLie.lie;
+        enriched.lieIsDefault = defaultLie.isDefault;
+        if (defaultLie.isDefault) {
+          defaultsUsed.lie.push({ clubType: club.clubType, value: defaultLie.lie });
+        }
+      } else {
+        enriched.lieIsDefault = false;
+      }
+    } else {
+      enriched.lieIsDefault = false;
+    }
+    
+    // Length defaults
+    if (!club.length) {
+      const defaultLength = getDefaultLength(club.clubType);
+      if (defaultLength) {
+        enriched.length = defaultLength.length;
+        enriched.lengthIsDefault = defaultLength.isDefault;
+        if (defaultLength.isDefault) {
+          defaultsUsed.length.push({ clubType: club.clubType, value: defaultLength.length });
+        }
+      } else {
+        enriched.lengthIsDefault = false;
+      }
+    } else {
+      enriched.lengthIsDefault = false;
+    }
+    
+    // Swing weight defaults
+    if (!club.swing_weight) {
+      const defaultSwingWeight = getDefaultSwingWeight(club.clubType);
+      if (defaultSwingWeight) {
+        enriched.swing_weight = defaultSwingWeight.swingWeight;
+        enriched.swingWeightIsDefault = defaultSwingWeight.isDefault;
+        if (defaultSwingWeight.isDefault) {
+          defaultsUsed.swingWeight.push({ clubType: club.clubType, value: defaultSwingWeight.swingWeight });
+        }
+      } else {
+        enriched.swingWeightIsDefault = false;
+      }
+    } else {
+      enriched.swingWeightIsDefault = false;
+    }
+    
+    // Total weight defaults
+    if (!club.total_weight) {
+      const defaultTotalWeight = getDefaultTotalWeight(club.clubType);
+      if (defaultTotalWeight) {
+        enriched.total_weight = defaultTotalWeight.weight;
+        enriched.totalWeightIsDefault = defaultTotalWeight.isDefault;
+        if (defaultTotalWeight.isDefault) {
+          defaultsUsed.totalWeight.push({ clubType: club.clubType, value: defaultTotalWeight.weight });
+        }
+      } else {
+        enriched.totalWeightIsDefault = false;
+      }
+    } else {
+      enriched.totalWeightIsDefault = false;
+    }
+    
+    return enriched;
+  });
+  
+  // Sort by loft order (driver to wedge)
+  const sortedClubs = sortClubsByLoft(enrichedClubs);
+  
+  return {
+    clubs: sortedClubs,
+    defaultsUsed: defaultsUsed,
+    totalDefaultsUsed: defaultsUsed.loft.length + defaultsUsed.weight.length + 
+                        defaultsUsed.lie.length + defaultsUsed.length.length +
+                        defaultsUsed.swingWeight.length + defaultsUsed.totalWeight.length
+  };
+}
+
+/**
+ * Filter out putters from club array for factor grading
+ * Putter is excluded from all factor grades - only tracked for "has putter" check
+ */
+function filterOutPutters(clubs) {
+  return clubs.filter(club => !isPutter(club));
+}
+
+/**
+ * Check if bag has a putter
+ */
+function hasPutter(clubs) {
+  return clubs.some(club => isPutter(club));
+}
+
+/**
+ * Get club category for loft gap zone detection
+ * Returns: 'driver', 'wood', 'hybrid', 'iron', 'wedge'
+ */
+function getClubCategory(club) {
+  if (!club || !club.clubType) return 'unknown';
+  const type = club.clubType.toLowerCase();
+  
+  // Driver
+  if (type === 'driver' || type === '1w' || type === '1-wood') {
+    return 'driver';
+  }
+  
+  // Woods (3W, 5W, 7W, etc.)
+  if (type.match(/^\d+-?wood$/) || type.match(/^\d+w$/) || 
+      ['3-wood', '5-wood', '7-wood', '9-wood', '3w', '5w', '7w', '9w'].includes(type)) {
+    return 'wood';
+  }
+  
+  // Hybrids
+  if (type.includes('hybrid') || type.match(/^\d+h$/) || type.match(/^\d+-hybrid$/)) {
+    return 'hybrid';
+  }
+  
+  // Wedges (PW, GW, AW, SW, LW, or degree notation like 52°, 56°)
+  if (['pw', 'gw', 'aw', 'sw', 'lw'].includes(type) || type.match(/^\d+°$/)) {
+    // Check loft - wedges are typically 42°+
+    if (club.loft && club.loft >= 42) {
+      return 'wedge';
+    }
+    return 'wedge'; // Named wedges are wedges regardless of loft data
+  }
+  
+  // Irons (5i, 6-iron, etc.)
+  if (type.match(/^\d+i$/) || type.match(/^\d+-iron$/) || type.match(/^\d+ iron$/)) {
+    return 'iron';
+  }
+  
+  // Fallback based on loft if available
+  if (club.loft) {
+    if (club.loft < 14) return 'driver';
+    if (club.loft < 22) return 'wood';
+    if (club.loft < 28) return 'hybrid';
+    if (club.loft >= 42) return 'wedge';
+    return 'iron';
+  }
+  
+  return 'unknown';
+}
+
+// ==========================================
+// TIERED LOFT GAP THRESHOLDS (Per Spec)
+// ==========================================
+
+const LOFT_GAP_THRESHOLDS = {
+  WOODS_TOP: {      // Driver → 3W
+    overlap: 3,     // < 3° = overlap (too close)
+    optimalMin: 4,  // 4-6° = optimal
+    optimalMax: 6,
+    wide: 8,        // 6-8° = wide
+    majorVoid: 8    // > 8° = major void
+  },
+  WOODS_MID: {      // 3W → 5W
+    overlap: 2,
+    optimalMin: 3,
+    optimalMax: 5,
+    wide: 6,
+    majorVoid: 6
+  },
+  WOODS_LOW: {      // 5W/7W → Hybrid
+    overlap: 2,
+    optimalMin: 3,
+    optimalMax: 4,
+    wide: 6,
+    majorVoid: 6
+  },
+  HYBRID_IRON: {    // Hybrid → Long Iron
+    overlap: 2,
+    optimalMin: 3,
+    optimalMax: 5,
+    wide: 6,
+    majorVoid: 6
+  },
+  IRONS: {          // All iron-to-iron transitions
+    overlap: 2,
+    optimalMin: 3,
+    optimalMax: 4,
+    wide: 5,
+    majorVoid: 5
+  },
+  WEDGES: {         // PW → GW → SW → LW
+    overlap: 2,
+    optimalMin: 4,
+    optimalMax: 6,
+    wide: 8,
+    majorVoid: 8
+  }
+};
+
+const GAP_PENALTIES = {
+  overlap: -5,      // Redundant club (reduced from -10)
+  tight: -2,        // Minimal separation (reduced from -5)
+  optimal: 0,       // Perfect gapping
+  wide: -5,         // Distance void (reduced from -8)
+  majorVoid: -5     // Significant gap (reduced from -15, now same as wide)
+};
+
+// ==========================================
+// LOFT GAP THRESHOLD SETS (by golfer profile)
+// ==========================================
+
+const LOFT_GAP_ZONES = Object.keys(LOFT_GAP_THRESHOLDS);
+const LOFT_GAP_THRESHOLD_FIELDS = ['overlap', 'optimalMin', 'optimalMax', 'wide', 'majorVoid'];
+
+/**
+ * Built-in threshold sets, checked in order - the first set whose criteria
+ * all match the golfer is used ('standard' has none, so it always matches).
+ * Pros can add their own sets (checked before these) or replace one by id.
+ *
+ * criteria: { swingSpeedMin, swingSpeedMax, handicapMin, handicapMax }
+ * (driver swing speed in mph; max bounds are exclusive for speed, inclusive for handicap)
+ */
+const DEFAULT_LOFT_GAP_THRESHOLD_SETS = [
+  {
+    id: 'tour',
+    name: 'Tour / Low Handicap',
+    criteria: { handicapMax: 4 },
+    thresholds: {
+      ...LOFT_GAP_THRESHOLDS,
+      // Tighter wedge spacing for partial-shot coverage
+      WEDGES: { overlap: 2, optimalMin: 3, optimalMax: 5, wide: 6, majorVoid: 6 }
+    }
+  },
+  {
+    id: 'slow_swing',
+    name: 'Slow Swing (under 85 mph)',
+    criteria: { swingSpeedMax: 85 },
+    thresholds: {
+      ...LOFT_GAP_THRESHOLDS,
+      // Less ball speed per degree of loft - long-club gaps can be wider
+      WOODS_TOP: { overlap: 3, optimalMin: 5, optimalMax: 8, wide: 10, majorVoid: 10 },
+      WOODS_MID: { overlap: 2, optimalMin: 3, optimalMax: 6, wide: 8, majorVoid: 8 },
+      WOODS_LOW: { overlap: 2, optimalMin: 3, optimalMax: 6, wide: 8, majorVoid: 8 },
+      HYBRID_IRON: { overlap: 2, optimalMin: 4, optimalMax: 6, wide: 8, majorVoid: 8 }
+    }
+  },
+  {
+    id: 'standard',
+    name: 'Standard',
+    criteria: {},
+    thresholds: LOFT_GAP_THRESHOLDS
+  }
+];
+
+/**
+ * Validate a (possibly partial) thresholds map and fill missing zones
+ * from the standard thresholds
+ * @throws {Error} when a zone is out of order (overlap ≤ optimalMin ≤ optimalMax ≤ wide)
+ */
+function normalizeLoftGapThresholds(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Thresholds must be an object');
+  }
+
+  const thresholds = {};
+  LOFT_GAP_ZONES.forEach(zone => {
+    const base = LOFT_GAP_THRESHOLDS[zone];
+    const zoneInput = input[zone] || {};
+    const values = {};
+    LOFT_GAP_THRESHOLD_FIELDS.forEach(field => {
+      const value = zoneInput[field] === undefined || zoneInput[field] === null || zoneInput[field] === ''
+        ? base[field]
+        : Number(zoneInput[field]);
+      if (!Number.isFinite(value) || value < 0 || value > 20) {
+        throw new Error(`Invalid ${field} for ${zone}`);
+      }
+      values[field] = value;
+    });
+    // majorVoid always starts where wide ends
+    values.majorVoid = values.wide;
+
+    if (!(values.overlap <= values.optimalMin && values.optimalMin <= values.optimalMax && values.optimalMax <= values.wide)) {
+      throw new Error(`${zone} thresholds must satisfy overlap ≤ optimal min ≤ optimal max ≤ wide`);
+    }
+    thresholds[zone] = values;
+  });
+  return thresholds;
+}
+
+function matchesLoftGapCriteria(criteria = {}, golfer = {}) {
+  const speed = golfer.swingSpeed ?? null;
+  const handicap = golfer.handicap ?? null;
+
+  if (criteria.swingSpeedMin != null && (speed === null || speed < criteria.swingSpeedMin)) return false;
+  if (criteria.swingSpeedMax != null && (speed === null || speed >= criteria.swingSpeedMax)) return false;
+  if (criteria.handicapMin != null && (handicap === null || handicap < criteria.handicapMin)) return false;
+  if (criteria.handicapMax != null && (handicap === null || handicap > criteria.handicapMax)) return false;
+  return true;
+}
+
+/**
+ * Pick the loft gap threshold set for a golfer
+ *
+ * @param {Object} options - { swingSpeed, handicap, loftGapSets, loftGapSetId }
+ *   loftGapSets: pro custom sets (checked first, a matching id replaces the built-in)
+ *   loftGapSetId: client override - used regardless of criteria
+ * @returns {Object} { id, name, source: 'client_override'|'auto', custom, criteria, thresholds }
+ */
+function selectLoftGapThresholdSet(options = {}) {
+  const customSets = Array.isArray(options.loftGapSets) ? options.loftGapSets : [];
+  const customIds = new Set(customSets.map(set => set.id));
+  const sets = [
+    ...customSets.map(set => ({ ...set, custom: true })),
+    ...DEFAULT_LOFT_GAP_THRESHOLD_SETS.filter(set => !customIds.has(set.id)).map(set => ({ ...set, custom: false }))
+  ];
+
+  const golfer = { swingSpeed: options.swingSpeed ?? null, handicap: options.handicap ?? null };
+  let selected = null;
+  let source = 'auto';
+
+  if (options.loftGapSetId) {
+    selected = sets.find(set => set.id === options.loftGapSetId) || null;
+    if (selected) {
+      source = 'client_override';
+    } else {
+      logger.warn(`Loft gap threshold set ${options.loftGapSetId} not found - selecting automatically`);
+    }
+  }
+  if (!selected) {
+    selected = sets.find(set => matchesLoftGapCriteria(set.criteria, golfer));
+  }
+  if (!selected) {
+    // A custom set replaced 'standard' with criteria this golfer misses - keep the built-in fallback
+    logger.warn('No loft gap threshold set matches this golfer - using built-in standard');
+    selected = { ...DEFAULT_LOFT_GAP_THRESHOLD_SETS.find(set => set.id === 'standard'), custom: false };
+  }
+
+  return {
+    id: selected.id,
+    name: selected.name,
+    source: source,
+    custom: selected.custom,
+    criteria: selected.criteria || {},
+    thresholds: selected.custom ? normalizeLoftGapThresholds(selected.thresholds || {}) : selected.thresholds
+  };
+}
+
+/**
+ * Determine which gap zone applies between two clubs
+ * @param {Object} lowerLoftClub - Club with lower loft (e.g., Driver)
+ * @param {Object} higherLoftClub - Club with higher loft (e.g., 3W)
+ */
+function getGapZone(lowerLoftClub, higherLoftClub) {
+  const lowerCat = getClubCategory(lowerLoftClub);
+  const higherCat = getClubCategory(higherLoftClub);
+  
+  // Driver to any wood
+  if (lowerCat === 'driver' && higherCat === 'wood') {
+    return 'WOODS_TOP';
+  }
+  
+  // Driver to hybrid (skipped woods)
+  if (lowerCat === 'driver' && higherCat === 'hybrid') {
+    return 'WOODS_TOP'; // Use woods_top thresholds but will likely flag as void
+  }
+  
+  // Driver to iron (skipped woods and hybrids)
+  if (lowerCat === 'driver' && higherCat === 'iron') {
+    return 'WOODS_TOP'; // Will definitely flag as major void
+  }
+  
+  // Wood to wood (3W to 5W, 5W to 7W)
+  if (lowerCat === 'wood' && higherCat === 'wood') {
+    return 'WOODS_MID';
+  }
+  
+  // Wood to hybrid
+  if (lowerCat === 'wood' && higherCat === 'hybrid') {
+    return 'WOODS_LOW';
+  }
+  
+  // Wood to iron (skipped hybrids)
+  if (lowerCat === 'wood' && higherCat === 'iron') {
+    return 'HYBRID_IRON';
+  }
+  
+  // Hybrid to hybrid
+  if (lowerCat === 'hybrid' && higherCat === 'hybrid') {
+    return 'HYBRID_IRON';
+  }
+  
+  // Hybrid to iron
+  if (lowerCat === 'hybrid' && higherCat === 'iron') {
+    return 'HYBRID_IRON';
+  }
+  
+  // Iron to iron
+  if (lowerCat === 'iron' && higherCat === 'iron') {
+    return 'IRONS';
+  }
+  
+  // Iron to wedge (including PW)
+  if (lowerCat === 'iron' && higherCat === 'wedge') {
+    return 'WEDGES';
+  }
+  
+  // Wedge to wedge
+  if (lowerCat === 'wedge' && higherCat === 'wedge') {
+    return 'WEDGES';
+  }
+  
+  // Hybrid to wedge (unusual but possible)
+  if (lowerCat === 'hybrid' && higherCat === 'wedge') {
+    return 'WEDGES';
+  }
+  
+  // Default fallback
+  return 'IRONS';
+}
+
+/**
+ * Score a gap based on its zone-specific thresholds
+ * @param {Object} thresholdSet - Zone thresholds map (defaults to the standard set)
+ */
+function scoreGap(gapDegrees, zone, thresholdSet = LOFT_GAP_THRESHOLDS) {
+  const thresholds = thresholdSet[zone];
+  
+  if (!thresholds) {
+    // Fallback to IRONS thresholds
+    return scoreGap(gapDegrees, 'IRONS', thresholdSet);
+  }
+  
+  if (gapDegrees < thresholds.overlap) {
+    return { quality: 'overlap', penalty: GAP_PENALTIES.overlap };
+  }
+  if (gapDegrees < thresholds.optimalMin) {
+    return { quality: 'tight', penalty: GAP_PENALTIES.tight };
+  }
+  if (gapDegrees <= thresholds.optimalMax) {
+    return { quality: 'optimal', penalty: GAP_PENALTIES.optimal };
+  }
+  if (gapDegrees <= thresholds.wide) {
+    return { quality: 'wide', penalty: GAP_PENALTIES.wide };
+  }
+  return { quality: 'majorVoid', penalty: GAP_PENALTIES.majorVoid };
+}
+
+// ==========================================
+// BAG COMPOSITION ANALYZER
+// ==========================================
+
+/**
+ * Analyze bag composition and identify missing clubs
+ * Returns penalties for incomplete bags and recommendations
+ * 
+ * Expected 14-club bag:
+ * - Driver (1)
+ * - Fairway woods (1-2): 3W, 5W, 7W
+ * - Hybrids (0-2): 3H, 4H, 5H
+ * - Irons (5-8): typically 4i/5i through 9i
+ * - Wedges (3-4): PW, GW, SW, LW
+ * - Putter (1)
+ */
+function analyzeBagComposition(clubs) {
+  const composition = {
+    driver: [],
+    woods: [],
+    hybrids: [],
+    irons: [],
+    wedges: [],
+    putter: []
+  };
+  
+  // Categorize each club
+  clubs.forEach(club => {
+    const category = getClubCategory(club);
+    const clubInfo = {
+      clubType: club.clubType,
+      loft: club.loft || null,
+      brand: club.brand,
+      model: club.model
+    };
+    
+    if (isPutter(club)) {
+      composition.putter.push(clubInfo);
+    } else if (category === 'driver') {
+      composition.driver.push(clubInfo);
+    } else if (category === 'wood') {
+      composition.woods.push(clubInfo);
+    } else if (category === 'hybrid') {
+      composition.hybrids.push(clubInfo);
+    } else if (category === 'iron') {
+      composition.irons.push(clubInfo);
+    } else if (category === 'wedge') {
+      composition.wedges.push(clubInfo);
+    }
+  });
+  
+  // Sort by loft where available
+  Object.keys(composition).forEach(key => {
+    composition[key].sort((a, b) => (a.loft || 0) - (b.loft || 0));
+  });
+  
+  // Analyze gaps and missing clubs
+  const gaps = [];
+  const recommendations = [];
+  let totalPenalty = 0;
+  const issues = [];
+  
+  // Check for driver
+  if (composition.driver.length === 0) {
+    gaps.push('No driver');
+    recommendations.push('Add a driver (9-12°) for tee shots');
+    totalPenalty += 10;
+    issues.push('Missing driver - 10 point penalty');
+  }
+  
+  // Check for putter (for informational purposes only - no penalty)
+  // We assume all golfers have a putter, so no penalty is applied
+  const hasPutterClub = composition.putter.length > 0;
+  // REMOVED: Gap and recommendation for missing putter
+  // if (!hasPutterClub) {
+  //   gaps.push('No putter');
+  //   recommendations.push('Add a putter to complete the bag');
+  // }
+  
+  // Check for long game coverage (woods OR hybrids)
+  const hasWoods = composition.woods.length > 0;
+  const hasHybrids = composition.hybrids.length > 0;
+  
+  if (!hasWoods && !hasHybrids) {
+    gaps.push('No fairway woods or hybrids');
+    recommendations.push('Add a 3-wood (15°) or 3-hybrid (19-21°) for long approach shots');
+    totalPenalty += 8;
+    issues.push('Missing fairway woods AND hybrids - 8 point penalty');
+  } else if (!hasWoods && hasHybrids) {
+    // Has hybrids but no woods - check if there's a big gap from driver
+    const lowestHybridLoft = composition.hybrids[0]?.loft;
+    const driverLoft = composition.driver[0]?.loft || 10.5;
+    
+    if (lowestHybridLoft && (lowestHybridLoft - driverLoft) > 10) {
+      gaps.push(`Large gap between driver (${driverLoft}°) and first hybrid (${lowestHybridLoft}°)`);
+      recommendations.push(`Consider adding a 3-wood or 5-wood (15-18°) to bridge the ${Math.round(lowestHybridLoft - driverLoft)}° gap`);
+      totalPenalty += 5;
+      issues.push(`${Math.round(lowestHybridLoft - driverLoft)}° gap from driver to hybrid - 5 point penalty`);
+    }
+  } else if (hasWoods && !hasHybrids) {
+    // Has woods but no hybrids - check gap from woods to irons
+    const highestWoodLoft = composition.woods[composition.woods.length - 1]?.loft;
+    const lowestIronLoft = composition.irons[0]?.loft;
+    
+    if (highestWoodLoft && lowestIronLoft && (lowestIronLoft - highestWoodLoft) > 6) {
+      gaps.push(`Large gap between ${composition.woods[composition.woods.length - 1].clubType} (${highestWoodLoft}°) and ${composition.irons[0].clubType} (${lowestIronLoft}°)`);
+      recommendations.push(`Consider adding a hybrid (${Math.round(highestWoodLoft + 3)}-${Math.round(lowestIronLoft - 2)}°) to bridge the gap`);
+      totalPenalty += 3;
+      issues.push(`${Math.round(lowestIronLoft - highestWoodLoft)}° gap from woods to irons - 3 point penalty`);
+    }
+  }
+  
+  // Check iron coverage
+  if (composition.irons.length < 4) {
+    gaps.push(`Only ${composition.irons.length} irons in bag`);
+    recommendations.push('Consider adding more irons for better distance coverage');
+    totalPenalty += 3;
+    issues.push(`Only ${composition.irons.length} irons - 3 point penalty`);
+  }
+  
+  // Check wedge coverage
+  if (composition.wedges.length < 2) {
+    gaps.push(`Only ${composition.wedges.length} wedge(s) in bag`);
+    recommendations.push('Add wedges (GW, SW, LW) for better short game coverage');
+    totalPenalty += 3;
+    issues.push(`Only ${composition.wedges.length} wedge(s) - 3 point penalty`);
+  }
+  
+  // Check for PW specifically (most important wedge)
+  const hasPW = composition.wedges.some(w => 
+    w.clubType?.toUpperCase() === 'PW' || 
+    (w.loft && w.loft >= 42 && w.loft <= 48)
+  );
+  if (!hasPW && composition.wedges.length > 0) {
+    gaps.push('No pitching wedge detected');
+    recommendations.push('Ensure you have a pitching wedge (42-48°) for approach shots');
+    // No additional penalty - covered by wedge count
+  }
+  
+  // Check total club count
+  const totalClubs = clubs.length;
+  if (totalClubs < 8) {
+    gaps.push(`Only ${totalClubs} clubs total`);
+    recommendations.push('Build out your bag to at least 10-12 clubs for better course coverage');
+    totalPenalty += 5;
+    issues.push(`Only ${totalClubs} clubs in bag - 5 point penalty`);
+  } else if (totalClubs < 10) {
+    gaps.push(`Only ${totalClubs} clubs total`);
+    recommendations.push('Consider adding more clubs to reach 12-14 for optimal coverage');
+    totalPenalty += 2;
+    issues.push(`Only ${totalClubs} clubs in bag - 2 point penalty`);
+  } else if (totalClubs > 14) {
+    gaps.push(`${totalClubs} clubs exceeds 14-club limit`);
+    recommendations.push('Remove clubs to comply with Rules of Golf 14-club limit');
+    // No score penalty - just a rules reminder
+  }
+  
+  return {
+    clubCount: totalClubs,
+    fullBag: totalClubs >= 12 && gaps.length === 0,
+    composition: {
+      driver: composition.driver.length,
+      woods: composition.woods.length,
+      hybrids: composition.hybrids.length,
+      irons: composition.irons.length,
+      wedges: composition.wedges.length,
+      putter: composition.putter.length
+    },
+    clubDetails: composition,
+    gaps: gaps,
+    recommendations: recommendations,
+    penalty: totalPenalty,
+    issues: issues,
+    hasPutter: hasPutterClub
+  };
+}
+
+// ==========================================
+// GRIP CONDITION ASSESSMENT
+// ==========================================
+
+// Grip sizes as build-up over a standard grip, in 64ths of an inch
+// (one extra wrap of build-up tape adds roughly 1/64")
+const GRIP_SIZE_BUILDUP = {
+  undersized: -1,
+  standard: 0,
+  midsize: 4,
+  oversize: 6,
+  jumbo: 8
+};
+
+// Hand length (wrist crease to tip of middle finger, inches) → target build-up
+const HAND_LENGTH_BUILDUP = [
+  { maxLength: 6.75, buildup: -1 },
+  { maxLength: 7.75, buildup: 0 },
+  { maxLength: 8.25, buildup: 1 },
+  { maxLength: 8.75, buildup: 2 },
+  { maxLength: 9.25, buildup: 4 },
+  { maxLength: 9.75, buildup: 6 },
+  { maxLength: Infinity, buildup: 8 }
+];
+
+// Glove size → target build-up, used when hand length wasn't measured
+const GLOVE_SIZE_BUILDUP = {
+  S: -1,
+  M: 0,
+  ML: 1,
+  L: 2,
+  XL: 4,
+  XXL: 6
+};
+
+// Longest finger (inches) outside this range moves the target one wrap
+const FINGER_LENGTH_RANGE = [2.75, 3.25];
+const MAX_EXTRA_WRAPS = 4;
+
+/**
+ * Recommend a grip size from hand measurements
+ *
+ * @param {Object} measurements - { handLength, fingerLength, gloveSize } (inches / 'S'-'XXL')
+ * @returns {Object|null} { size, extraWraps, tapeLayers, buildup, source } or null without
+ *   a hand length or glove size
+ */
+function recommendGripSize({ handLength, fingerLength, gloveSize } = {}) {
+  const hand = Number(handLength);
+  const finger = Number(fingerLength);
+  const glove = gloveSize ? String(gloveSize).toUpperCase().replace(/[^A-Z]/g, '') : null;
+
+  let buildup;
+  let source;
+  if (Number.isFinite(hand) && hand > 0) {
+    buildup = HAND_LENGTH_BUILDUP.find(band => hand < band.maxLength).buildup;
+    source = 'hand_length';
+  } else if (glove && GLOVE_SIZE_BUILDUP[glove] !== undefined) {
+    buildup = GLOVE_SIZE_BUILDUP[glove];
+    source = 'glove_size';
+  } else {
+    return null;
+  }
+
+  if (Number.isFinite(finger) && finger > 0) {
+    if (finger < FINGER_LENGTH_RANGE[0]) buildup -= 1;
+    else if (finger > FINGER_LENGTH_RANGE[1]) buildup += 1;
+  }
+
+  // Largest grip that doesn't overshoot, the rest made up with tape
+  const [size, sizeBuildup] = Object.entries(GRIP_SIZE_BUILDUP)
+    .filter(([, value]) => value <= buildup)
+    .sort((a, b) => b[1] - a[1])[0] || ['undersized', GRIP_SIZE_BUILDUP.undersized];
+  const extraWraps = Math.min(MAX_EXTRA_WRAPS, Math.max(0, buildup - sizeBuildup));
+
+  return {
+    size,
+    extraWraps,
+    tapeLayers: 1 + extraWraps, // base layer + build-up wraps
+    buildup,
+    source
+  };
+}
+
+// Grips are worn out after ~40 rounds or 2 years, whichever comes first
+// (the rubber hardens with age even when the club isn't played)
+const GRIP_LIFESPAN_ROUNDS = 40;
+const GRIP_LIFESPAN_MONTHS = 24;
+const DEFAULT_ROUNDS_PER_YEAR = 25;
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Share of grip life used → projected condition
+const GRIP_WEAR_CONDITIONS = [
+  { maxWear: 0.25, condition: 'new' },
+  { maxWear: 0.75, condition: 'good' },
+  { maxWear: 1, condition: 'worn' },
+  { maxWear: Infinity, condition: 'replace' }
+];
+const GRIP_CONDITION_ORDER = ['new', 'good', 'worn', 'replace'];
+
+/**
+ * Date from a 'YYYY-MM-DD' string, Date or Firestore Timestamp (null if unparseable)
+ */
+function parseGripDate(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function'
+    ? value.toDate()
+    : new Date(value._seconds !== undefined ? value._seconds * 1000 : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Project grip wear from its install date and how much the golfer plays
+ *
+ * @param {string|Date|Object} installedAt - club.grip_installed_at
+ * @param {Object} options - { roundsPerYear?, asOfDate? } (defaults: 25 rounds/year, now)
+ * @returns {Object|null} { installedAt, monthsSinceInstall, roundsSinceInstall, roundsPerYear,
+ *   wearPct, condition, dueDate } or null without a valid install date
+ */
+function projectGripWear(installedAt, options = {}) {
+  const installDate = parseGripDate(installedAt);
+  if (!installDate) return null;
+
+  const asOf = parseGripDate(options.asOfDate) || new Date();
+  const roundsPerYear = options.roundsPerYear > 0 ? options.roundsPerYear : DEFAULT_ROUNDS_PER_YEAR;
+  const years = Math.max(0, (asOf - installDate) / MS_PER_YEAR);
+
+  const wear = Math.max((years * roundsPerYear) / GRIP_LIFESPAN_ROUNDS, (years * 12) / GRIP_LIFESPAN_MONTHS);
+  const yearsToWornOut = Math.min(GRIP_LIFESPAN_ROUNDS / roundsPerYear, GRIP_LIFESPAN_MONTHS / 12);
+
+  return {
+    installedAt: installDate.toISOString().slice(0, 10),
+    monthsSinceInstall: Math.round(years * 12),
+    roundsSinceInstall: Math.round(years * roundsPerYear),
+    roundsPerYear: roundsPerYear,
+    wearPct: Math.round(wear * 100),
+    condition: GRIP_WEAR_CONDITIONS.find(band => wear < band.maxWear).condition,
+    dueDate: new Date(installDate.getTime() + yearsToWornOut * MS_PER_YEAR).toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Analyze grip condition across the bag
+ * This is a SEPARATE assessment - does not affect overall bag grade
+ * Helps pros identify regripping opportunities
+ * 
+ * Grip data fields on club documents:
+ * - grip_condition: 'new' | 'good' | 'worn' | 'replace'
+ * - grip_size: 'undersized' | 'standard' | 'midsize' | 'oversize' | 'jumbo'
+ * - grip_brand: string (e.g., 'Golf Pride', 'SuperStroke', 'Lamkin')
+ * - grip_model: string (e.g., 'MCC Plus4', 'Z-Grip')
+ * - grip_installed_at: 'YYYY-MM-DD' of the last regrip
+ *
+ * Clubs with an install date also get a projected condition from rounds
+ * played (projectGripWear); the worse of set and projected condition is used.
+ *
+ * With a grip fit on the profile (users/{id}.grip_fit), sizes are checked
+ * against the fitted size; otherwise against the bag's dominant size.
+ *
+ * @param {Array} clubs - Clubs being graded
+ * @param {Object|null} gripFit - Profile grip fit ({ recommended_size, tape_layers, ... })
+ * @param {Object} wearOptions - { roundsPerYear?, asOfDate? } for projectGripWear
+ */
+function analyzeGripCondition(clubs, gripFit = null, wearOptions = {}) {
+  const REGRIP_COST_PER_CLUB = 12; // Average cost including grip + labor
+  const PREMIUM_REGRIP_COST = 18;  // Premium grips
+  
+  // Grip brand recommendations by category
+  const GRIP_RECOMMENDATIONS = {
+    standard: [
+      { brand: 'Golf Pride', model: 'Tour Velvet', price: 6 },
+      { brand: 'Golf Pride', model: 'MCC Plus4', price: 9 },
+      { brand: 'Lamkin', model: 'Crossline', price: 5 }
+    ],
+    premium: [
+      { brand: 'Golf Pride', model: 'Z-Grip', price: 10 },
+      { brand: 'SuperStroke', model: 'S-Tech', price: 8 },
+      { brand: 'Lamkin', model: 'Sonar', price: 9 }
+    ],
+    oversize: [
+      { brand: 'Golf Pride', model: 'CP2 Wrap Jumbo', price: 8 },
+      { brand: 'SuperStroke', model: 'S-Tech Midsize', price: 9 },
+      { brand: 'Winn', model: 'Dri-Tac Oversize', price: 7 }
+    ],
+    putter: [
+      { brand: 'SuperStroke', model: 'Pistol GT Tour', price: 25 },
+      { brand: 'Golf Pride', model: 'Pro Only', price: 15 },
+      { brand: 'Lamkin', model: 'Sink Fit', price: 20 }
+    ]
+  };
+  
+  const clubsNeedingRegrip = [];
+  const clubsWithMismatchedSize = [];
+  const clubsWithMismatchedBrand = [];
+  const allGripData = [];
+  
+  // Track grip sizes and brands for consistency check
+  const gripSizes = {};
+  const gripBrands = {};
+  let clubsWithGripData = 0;
+  let clubsWithConditionData = 0;
+  let clubsWithInstallDate = 0;
+  
+  clubs.forEach(club => {
+    const wear = projectGripWear(club.grip_installed_at, wearOptions);
+    const setCondition = GRIP_CONDITION_ORDER.includes(club.grip_condition) ? club.grip_condition : null;
+    const isProjected = !!wear && GRIP_CONDITION_ORDER.indexOf(wear.condition) > GRIP_CONDITION_ORDER.indexOf(setCondition);
+    
+    const gripInfo = {
+      clubType: club.clubType,
+      clubId: club.id,
+      condition: isProjected ? wear.condition : (club.grip_condition || null),
+      conditionSource: isProjected ? 'projected' : (club.grip_condition ? 'set' : null),
+      installedAt: wear ? wear.installedAt : null,
+      wear: wear,
+      size: club.grip_size || null,
+      brand: club.grip_brand || null,
+      model: club.grip_model || null,
+      needsRegrip: false,
+      mismatchReason: null
+    };
+    
+    if (wear) {
+      clubsWithInstallDate++;
+    }
+    
+    // Track what data we have
+    if (gripInfo.condition || gripInfo.size || gripInfo.brand) {
+      clubsWithGripData++;
+    }
+    if (gripInfo.condition) {
+      clubsWithConditionData++;
+    }
+    
+    // Check condition - flag worn or replace
+    if (gripInfo.condition === 'worn' || gripInfo.condition === 'replace') {
+      gripInfo.needsRegrip = true;
+      gripInfo.mismatchReason = gripInfo.condition === 'replace' 
+        ? 'Needs immediate replacement' 
+        : 'Showing wear - recommend replacement soon';
+      if (isProjected) {
+        gripInfo.mismatchReason += ` (~${wear.roundsSinceInstall} rounds in ${wear.monthsSinceInstall} months since regrip)`;
+      }
+      clubsNeedingRegrip.push(gripInfo);
+    }
+    
+    // Track sizes for consistency (excluding putter)
+    if (gripInfo.size && !isPutter(club)) {
+      gripSizes[gripInfo.size] = (gripSizes[gripInfo.size] || 0) + 1;
+    }
+    
+    // Track brands for consistency (excluding putter)
+    if (gripInfo.brand && !isPutter(club)) {
+      gripBrands[gripInfo.brand] = (gripBrands[gripInfo.brand] || 0) + 1;
+    }
+    
+    allGripData.push(gripInfo);
+  });
+  
+  // Determine dominant size and brand (excluding putter)
+  const dominantSize = Object.entries(gripSizes).sort((a, b) => b[1] - a[1])[0];
+  const dominantBrand = Object.entries(gripBrands).sort((a, b) => b[1] - a[1])[0];
+  
+  // Check for size mismatches - against the fitted size when there is one
+  const fittedSize = GRIP_SIZE_BUILDUP[gripFit?.recommended_size] !== undefined ? gripFit.recommended_size : null;
+  const referenceSize = fittedSize || (dominantSize ? dominantSize[0] : null);
+  const referenceLabel = fittedSize ? 'fitted' : 'standard';
+  
+  if (referenceSize) {
+    allGripData.forEach(grip => {
+      const club = clubs.find(c => c.clubType === grip.clubType);
+      if (grip.size && grip.size !== referenceSize && !isPutter(club)) {
+        const sizeReason = `Size mismatch (${grip.size} vs ${referenceSize} ${referenceLabel})`;
+        grip.needsRegrip = true;
+        grip.mismatchReason = grip.mismatchReason 
+          ? `${grip.mismatchReason}; ${sizeReason}`
+          : sizeReason;
+        if (!clubsNeedingRegrip.find(c => c.clubType === grip.clubType)) {
+          clubsNeedingRegrip.push(grip);
+        }
+        clubsWithMismatchedSize.push(grip);
+      }
+    });
+  }
+  
+  // Check for brand inconsistencies (informational only, not automatic regrip flag)
+  if (dominantBrand) {
+    allGripData.forEach(grip => {
+      const club = clubs.find(c => c.clubType === grip.clubType);
+      if (grip.brand && grip.brand !== dominantBrand[0] && !isPutter(club)) {
+        clubsWithMismatchedBrand.push(grip);
+      }
+    });
+  }
+  
+  // Calculate costs
+  const standardRegrip = clubsNeedingRegrip.length * REGRIP_COST_PER_CLUB;
+  const premiumRegrip = clubsNeedingRegrip.length * PREMIUM_REGRIP_COST;
+  const fullBagRegrip = clubs.length * REGRIP_COST_PER_CLUB;
+  const fullBagPremium = clubs.length * PREMIUM_REGRIP_COST;
+  
+  // Determine if bulk replace is recommended
+  const bulkReplaceRecommended = clubsNeedingRegrip.length >= Math.ceil(clubs.length * 0.5);
+  
+  // Build recommendations
+  const recommendations = [];
+  
+  if (clubsNeedingRegrip.length === 0 && clubsWithConditionData > 0) {
+    recommendations.push('All grips in good condition - no immediate action needed');
+  } else if (clubsNeedingRegrip.length > 0) {
+    if (bulkReplaceRecommended) {
+      recommendations.push(`Consider regripping entire bag for consistency ($${fullBagRegrip}-$${fullBagPremium})`);
+    } else {
+      recommendations.push(`${clubsNeedingRegrip.length} club(s) need regripping ($${standardRegrip}-$${premiumRegrip})`);
+    }
+  }
+  
+  if (clubsWithMismatchedSize.length > 0) {
+    recommendations.push(fittedSize
+      ? `${clubsWithMismatchedSize.length} club(s) don't match the fitted ${fittedSize} grip size - regrip to fit`
+      : `${clubsWithMismatchedSize.length} club(s) have inconsistent grip sizes - standardize for better feel`);
+  }
+  
+  if (fittedSize && gripFit.extra_wraps > 0) {
+    recommendations.push(`Fitted grip: ${fittedSize} with ${gripFit.extra_wraps} extra wrap(s) of tape (${gripFit.tape_layers} layers)`);
+  }
+  
+  if (clubsWithMismatchedBrand.length > 2) {
+    recommendations.push(`Multiple grip brands detected - consider standardizing for consistent feel`);
+  }
+  
+  if (clubsWithGripData === 0) {
+    recommendations.push('No grip data available - add grip details for assessment');
+  }
+  
+  // Next projected regrip among grips not already flagged
+  const nextRegripDue = allGripData
+    .filter(grip => grip.wear && !grip.needsRegrip && !isPutter(clubs.find(c => c.clubType === grip.clubType)))
+    .map(grip => grip.wear.dueDate)
+    .sort()[0] || null;
+  
+  if (nextRegripDue) {
+    recommendations.push(`Next regrip projected around ${nextRegripDue}`);
+  }
+  
+  // Sales opportunity summary
+  let salesOpportunity = null;
+  if (clubsNeedingRegrip.length > 0 || bulkReplaceRecommended) {
+    salesOpportunity = {
+      priority: bulkReplaceRecommended ? 'high' : 'medium',
+      clubsAffected: bulkReplaceRecommended ? clubs.length : clubsNeedingRegrip.length,
+      estimatedRevenue: bulkReplaceRecommended ? fullBagRegrip : standardRegrip,
+      pitch: bulkReplaceRecommended 
+        ? `Full bag regrip opportunity - ${clubs.length} clubs @ $${REGRIP_COST_PER_CLUB}/club = $${fullBagRegrip}`
+        : `Partial regrip - ${clubsNeedingRegrip.length} clubs @ $${REGRIP_COST_PER_CLUB}/club = $${standardRegrip}`
+    };
+  }
+  
+  return {
+    // Summary stats
+    totalClubs: clubs.length,
+    clubsWithGripData: clubsWithGripData,
+    clubsNeedingRegrip: clubsNeedingRegrip.length,
+    
+    // Wear projection from install dates
+    clubsWithInstallDate: clubsWithInstallDate,
+    roundsPerYear: wearOptions.roundsPerYear > 0 ? wearOptions.roundsPerYear : DEFAULT_ROUNDS_PER_YEAR,
+    nextRegripDue: nextRegripDue,
+    
+    // Consistency analysis
+    dominantSize: dominantSize ? dominantSize[0] : null,
+    dominantBrand: dominantBrand ? dominantBrand[0] : null,
+    fittedSize: fittedSize,
+    sizeReference: fittedSize ? 'fitted' : (dominantSize ? 'dominant' : null),
+    gripFit: fittedSize ? gripFit : null,
+    sizeMismatches: clubsWithMismatchedSize.length,
+    brandVariety: Object.keys(gripBrands).length,
+    
+    // Detailed club data
+    clubs: allGripData,
+    clubsToRegrip: clubsNeedingRegrip,
+    clubsWithSizeMismatch: clubsWithMismatchedSize,
+    clubsWithBrandMismatch: clubsWithMismatchedBrand,
+    
+    // Cost estimates
+    costEstimate: {
+      perClub: REGRIP_COST_PER_CLUB,
+      premiumPerClub: PREMIUM_REGRIP_COST,
+      neededClubsStandard: standardRegrip,
+      neededClubsPremium: premiumRegrip,
+      fullBagStandard: fullBagRegrip,
+      fullBagPremium: fullBagPremium
+    },
+    
+    // Recommendations
+    bulkReplaceRecommended: bulkReplaceRecommended,
+    recommendations: recommendations,
+    gripRecommendations: GRIP_RECOMMENDATIONS,
+    
+    // Pro sales opportunity
+    salesOpportunity: salesOpportunity
+  };
+}
+
+// ==========================================
+// GRADE EXPLAINER - WHY THIS GRADE?
+// ==========================================
+
+/**
+ * Generate clear explanations for why a bag received its grade
+ * Highlights the biggest factors impacting the score
+ * 
+ * @param {Object} params - All scoring data
+ * @returns {Object} Grade explanation with ranked impacts
+ */
+function generateGradeExplainer(params) {
+  const {
+    overallScore,
+    overallGrade,
+    componentScores,
+    bagComposition,
+    loftGapAnalysis,
+    swingWeightAnalysis,
+    allIssues
+  } = params;
+  
+  const impacts = [];
+  
+  // 1. Check bag composition penalties (EXCLUDING putter - we assume everyone has one)
+  if (bagComposition.penalty > 0) {
+    // REMOVED: Putter penalty from grade explainer
+    // We assume all golfers have a putter, no penalty needed
+    
+    // Other composition issues are in bagComposition.issues
+    bagComposition.issues.forEach(issue => {
+      if (!issue.includes('putter')) {
+        const penaltyMatch = issue.match(/(\d+) point penalty/);
+        const penalty = penaltyMatch ? parseInt(penaltyMatch[1]) : 0;
+        if (penalty > 0) {
+          impacts.push({
+            category: 'Bag Composition',
+            issue: issue.replace(/ - \d+ point penalty/, ''),
+            impact: -penalty,
+            explanation: issue,
+            fix: bagComposition.recommendations[0] || 'Complete your bag setup'
+          });
+        }
+      }
+    });
+  }
+  
+  // 2. Check loft gapping issues (biggest impact for F grades)
+  if (loftGapAnalysis && loftGapAnalysis.length > 0) {
+    loftGapAnalysis.forEach(gap => {
+      if (gap.quality === 'overlap') {
+        impacts.push({
+          category: 'Loft Gapping',
+          issue: `Duplicate lofts: ${gap.from} and ${gap.to} are both ${gap.fromLoft}°`,
+          impact: gap.penalty,
+          explanation: `Having two clubs at the same loft wastes a slot in your bag. The ${gap.from} and ${gap.to} have ${gap.gap}° difference - essentially the same club.`,
+          fix: `Replace one with a different loft (e.g., change to ${gap.fromLoft + 4}° or ${gap.fromLoft - 4}°)`
+        });
+      } else if (gap.quality === 'majorVoid') {
+        impacts.push({
+          category: 'Loft Gapping',
+          issue: `${gap.gap}° gap between ${gap.from} and ${gap.to}`,
+          impact: gap.penalty,
+          explanation: `A ${gap.gap}° gap creates a significant distance void. You'll have trouble covering distances between these clubs.`,
+          fix: `Add a club between ${gap.from} (${gap.fromLoft}°) and ${gap.to} (${gap.toLoft}°)`
+        });
+      } else if (gap.quality === 'wide') {
+        impacts.push({
+          category: 'Loft Gapping',
+          issue: `${gap.gap}° gap between ${gap.from} and ${gap.to}`,
+          impact: gap.penalty,
+          explanation: `A ${gap.gap}° gap is wider than optimal and may create distance coverage issues.`,
+          fix: `Consider adding a club to fill this gap`
+        });
+      }
+    });
+  }
+  
+  // 3. Check swing weight outliers
+  if (swingWeightAnalysis && swingWeightAnalysis.length > 0) {
+    swingWeightAnalysis.filter(club => club.outlier).forEach(club => {
+      const points = Math.abs(club.difference);
+      impacts.push({
+        category: 'Swing Weight',
+        issue: `${club.clubType} swing weight ${club.swingWeight} vs. ${club.baseline} for the set`,
+        impact: club.penalty,
+        explanation: `The ${club.clubType} is ${points} swing weight point${points === 1 ? '' : 's'} ${club.direction === 'heavy' ? 'heavier' : 'lighter'} than the rest of the set, so it will feel ${club.direction === 'heavy' ? 'head-heavy and harder to release' : 'light and harder to control'}.`,
+        fix: `Have the ${club.clubType} swing-weighted to ${club.target} (lead tape or a tip weight to add, a lighter grip or head weight change to reduce)`
+      });
+    });
+  }
+  
+  // 4. Check low-scoring factors
+  const factorNames = {
+    age: 'Club Age',
+    weight: 'Weight Progression',
+    loft: 'Loft Gapping',
+    flex: 'Flex Consistency',
+    kickpoint: 'Kickpoint Consistency',
+    torque: 'Torque Consistency',
+    length: 'Length Progression',
+    lie: 'Lie Angle Progression',
+    swingweight: 'Swing Weight'
+  };
+  
+  Object.entries(componentScores).forEach(([key, data]) => {
+    if (data.score < 70 && data.scorable !== false) {
+      // This is a major problem factor
+      const factorName = factorNames[key] || key;
+      const impact = Math.round((data.score - 100) * 0.125); // Approximate impact based on weight
+      
+      // Find related issues
+      const relatedIssues = allIssues.filter(issue => {
+        const keywords = {
+          age: ['year old', 'years old', 'outdated'],
+          weight: ['weight', 'gram'],
+          loft: ['gap', 'overlap', 'gapping'],
+          flex: ['flex', 'stiff', 'regular'],
+          kickpoint: ['kickpoint'],
+          torque: ['torque'],
+          length: ['length', 'inch', '"'],
+          lie: ['lie'],
+          swingweight: ['swing weight', 'total weight']
+        };
+        return (keywords[key] || []).some(kw => issue.toLowerCase().includes(kw));
+      });
+      
+      if (!impacts.find(i => i.category === factorName)) {
+        impacts.push({
+          category: factorName,
+          issue: `Factor scored ${data.score}/100 (${data.grade || scoreToGrade(data.score)})`,
+          impact: impact,
+          explanation: relatedIssues[0] || `This factor is bringing down your overall grade`,
+          fix: relatedIssues.length > 0 ? 'Address the issues listed above' : 'Review club specifications'
+        });
+      }
+    }
+  });
+  
+  // Sort by impact (most negative first)
+  impacts.sort((a, b) => a.impact - b.impact);
+  
+  // Calculate what grade would be without biggest issues
+  const totalNegativeImpact = impacts.reduce((sum, i) => sum + Math.abs(i.impact), 0);
+  const potentialScore = Math.min(100, overallScore + totalNegativeImpact);
+  
+  // Generate summary
+  let summary = '';
+  if (impacts.length === 0) {
+    summary = 'Great job! No major issues detected in your bag.';
+  } else if (impacts.length === 1) {
+    summary = `Your grade is primarily affected by: ${impacts[0].issue}`;
+  } else {
+    summary = `Your grade is affected by ${impacts.length} major issues. The biggest impact is: ${impacts[0].issue}`;
+  }
+  
+  // Top 3 impacts for quick view
+  const topImpacts = impacts.slice(0, 3).map(i => ({
+    issue: i.issue,
+    impact: `${i.impact} points`,
+    fix: i.fix
+  }));
+  
+  return {
+    summary: summary,
+    current_score: overallScore,
+    current_grade: overallGrade,
+    potential_score: potentialScore,
+    potential_grade: scoreToGrade(potentialScore),
+    total_penalty_points: totalNegativeImpact,
+    top_impacts: topImpacts,
+    all_impacts: impacts,
+    fixable_issues: impacts.filter(i => i.fix).length
+  };
+}
+
+// ==========================================
+// FACTOR CALCULATION FUNCTIONS
+// ==========================================
+
+/**
+ * Calculate age score based on club years
+ * NOTE: Putters are excluded from age scoring
+ * 
+ * @param {Array} clubs - Prepared clubs
+ * @param {number} asOfYear - Year ages are measured from (replays pass the original year)
+ */
+function calculateAgeScore(clubs, asOfYear = null) {
+  // Filter out putters - they age differently and don't affect swing consistency
+  const gradableClubs = filterOutPutters(clubs);
+  
+  const currentYear = asOfYear || new Date().getFullYear();
+  const issues = [];
+
+  let totalAgeScore = 0;
+  let clubsWithYearData = 0;
+
+  /**
+   * Age scoring tiers:
+   * - A (90-100): All clubs 1-2 years old
+   * - B+ (87-89): Mostly new (1-3 years with maybe one older)
+   * - B (83-86): Mix of modern equipment
+   * - C (70-79): Some dated equipment
+   * - D (60-69): Average over 10 years old
+   * - F (<60): Severely outdated bag
+   */
+  function getAgeScore(age) {
+    if (age <= 1) return 100;      // Brand new
+    if (age === 2) return 95;      // Nearly new
+    if (age === 3) return 88;      // Still modern
+    if (age === 4) return 78;      // Getting dated
+    if (age === 5) return 68;      // Dated
+    if (age === 6) return 55;      // Older
+    if (age === 7) return 42;      // Old
+    if (age === 8) return 30;      // Very old
+    if (age === 9) return 18;      // Should replace
+    return 8;                       // 10+ years - strongly recommend replacing
+  }
+
+  gradableClubs.forEach((club) => {
+    if (club.year) {
+      const age = currentYear - club.year;
+      clubsWithYearData++;
+
+      const clubScore = getAgeScore(age);
+      totalAgeScore += clubScore;
+
+      // Flag issues for clubs older than 5 years
+      if (age > 5) {
+        issues.push(`${club.clubType} (${club.brand} ${club.model}) is ${age} years old - consider updating`);
+      }
+    }
+  });
+
+  if (clubsWithYearData === 0) {
+    return {score: 0, scorable: false, issues: ["Unable to determine club ages - add year information"]};
+  }
+
+  const averageScore = Math.round(totalAgeScore / clubsWithYearData);
+
+  return {
+    score: averageScore,
+    scorable: true,
+    issues: issues,
+  };
+}
+
+/**
+ * Calculate weight progression score
+ * NOTE: Putters are excluded from weight progression scoring
+ */
+function calculateWeightProgression(clubs, favoriteClubSpecs = null) {
+  const issues = [];
+  const suggestions = []; // Structured weight suggestions for frontend
+
+  // Filter out putters first, then filter for clubs with weight data
+  const clubsWithWeight = filterOutPutters(clubs)
+      .filter((c) => c.shaft_weight && c.loft)
+      .sort((a, b) => a.loft - b.loft);
+  
+  // Track clubs using defaults
+  const clubsUsingDefaults = clubsWithWeight.filter(c => c.weightIsDefault === true);
+
+  if (clubsWithWeight.length < 2) {
+    return {
+      score: 0,
+      scorable: false,
+      issues: ["Not enough clubs with weight data to assess progression"],
+      defaultsNote: null,
+      clubsUsingDefaults: 0
+    };
+  }
+  
+  // Add note about default weights if any were used
+  let defaultsNote = null;
+  if (clubsUsingDefaults.length > 0) {
+    const clubList = clubsUsingDefaults.map(c => `${c.clubType} (${c.shaft_weight}g)`).join(', ');
+    defaultsNote = `Standard weights used for ${clubsUsingDefaults.length} club(s): ${clubList}. For accurate analysis, enter actual shaft weights.`;
+  }
+
+  // ==========================================
+  // FAVORITE CLUB BASELINE INTERPOLATION (Patent Pending)
+  // ==========================================
+  
+  // Expected weight per zone follows the favorite club's shaft material curve
+  // (SHAFT_WEIGHT_CURVE), shifted by how far the favorite sits from that curve.
+  // Clubs on the other material use their own zone average instead, so graphite
+  // woods are never compared against a steel iron baseline.
+  let expectedWeights = null;
+  let favoriteZone = null;
+  let favoriteMaterial = null;
+  
+  if (favoriteClubSpecs && favoriteClubSpecs.shaft_weight) {
+    const favoriteWeight = favoriteClubSpecs.shaft_weight;
+    favoriteZone = getShaftWeightZone(favoriteClubSpecs.clubType);
+    favoriteMaterial = getShaftMaterial(favoriteClubSpecs).material;
+    const curveShift = favoriteWeight - SHAFT_WEIGHT_CURVE[favoriteMaterial][favoriteZone];
+    
+    expectedWeights = {};
+    ['WOODS', 'HYBRIDS', 'IRONS', 'WEDGES'].forEach(zone => {
+      expectedWeights[zone] = Math.round(SHAFT_WEIGHT_CURVE[favoriteMaterial][zone] + curveShift);
+    });
+    
+    logger.info(`BASELINE-MATERIAL: Favorite ${favoriteClubSpecs.clubType} (${favoriteWeight}g) is ${favoriteMaterial}. Expected ${favoriteMaterial} weights: ${Object.entries(expectedWeights).map(([k, v]) => `${k}=${v}g`).join(', ')}`);
+  }
+
+  // ==========================================
+  // SHAFT MATERIALS
+  // ==========================================
+  const clubMaterials = clubsWithWeight.map(club => ({
+    name: club.clubType,
+    zone: getShaftWeightZone(club.clubType),
+    ...getShaftMaterial(club)
+  }));
+  const materialProfile = analyzeShaftMaterials(clubMaterials);
+
+  // ==========================================
+  // ZONE-BASED WEIGHT SCORING WITH OUTLIER EXCLUSION
+  // ==========================================
+  
+  // Tiered thresholds per zone (deviation from average in grams)
+  const WEIGHT_THRESHOLDS = {
+    WOODS:   { A: 5, B: 10, C: 15 },
+    HYBRIDS: { A: 5, B: 8, C: 12 },
+    IRONS:   { A: 3, B: 6, C: 10 },
+    WEDGES:  { A: 8, B: 12, C: 18 }
+  };
+  
+  // Group clubs by zone
+  const zones = { WOODS: [], HYBRIDS: [], IRONS: [], WEDGES: [] };
+  clubsWithWeight.forEach((club, index) => {
+    const { zone, material, inferred } = clubMaterials[index];
+    zones[zone].push({
+      name: club.clubType,
+      weight: club.shaft_weight,
+      isDefault: club.weightIsDefault || false,
+      material: material,
+      materialInferred: inferred
+    });
+  });
+  
+  // Score each zone with OUTLIER EXCLUSION
+  let totalPenalty = 0;
+  const zoneResults = {};
+  
+  function scoreZone(zoneClubs, zoneName, material, zoneLabel) {
+    const thresholds = WEIGHT_THRESHOLDS[zoneName];
+    // The favorite club baseline only carries over to clubs on the same material curve
+    const baselineWeight = expectedWeights && material === favoriteMaterial ? expectedWeights[zoneName] : null;
+    
+    // Single club zone
+    if (zoneClubs.length === 1) {
+      // If using favorite baseline, check single club against expected
+      if (baselineWeight) {
+        const club = zoneClubs[0];
+        const expected = baselineWeight;
+        const deviation = Math.abs(club.weight - expected);
+        const zoneIssues = [];
+        const zoneSuggestions = [];
+        let penalty = 0;
+        let grade = 'A';
+        
+        if (deviation > thresholds.A && !club.isDefault) {
+          const diff = club.weight - expected;
+          const diffStr = diff > 0 ? `+${diff}g` : `${diff}g`;
+          zoneIssues.push(`${club.name} (${club.weight}g) is ${diffStr} vs expected ${expected}g based on ★ ${favoriteClubSpecs.clubType}`);
+          
+          // Add structured suggestion
+          zoneSuggestions.push({
+            clubType: club.name,
+            currentWeight: club.weight,
+            idealWeight: expected,
+            isBaselineBased: true,
+            material: club.material
+          });
+          
+          if (deviation > thresholds.C) {
+            penalty = 15;
+            grade = 'C';
+          } else if (deviation > thresholds.B) {
+            penalty = 8;
+            grade = 'B';
+          } else {
+            penalty = 3;
+            grade = 'B';
+          }
+        }
+        
+        return { 
+          penalty, 
+          issues: zoneIssues,
+          suggestions: zoneSuggestions,
+          grade, 
+          avgWeight: club.weight, 
+          expectedWeight: expected,
+          maxDeviation: Math.round(deviation),
+          outlierCount: deviation > thresholds.C ? 1 : 0
+        };
+      }
+      
+      return { 
+        penalty: 0, 
+        issues: [],
+        suggestions: [],
+        grade: 'A', 
+        avgWeight: zoneClubs[0].weight, 
+        maxDeviation: 0,
+        outlierCount: 0
+      };
+    }
+    
+    if (zoneClubs.length < 2) return { penalty: 0, issues: [], suggestions: [], grade: 'A', avgWeight: 0, maxDeviation: 0, outlierCount: 0 };
+    
+    const outlierThreshold = thresholds.C * 2;
+    
+    // Determine target weight: use expected (favorite baseline) or calculate from zone
+    let targetWeight;
+    let usingBaseline = false;
+    
+    if (baselineWeight) {
+      targetWeight = baselineWeight;
+      usingBaseline = true;
+    } else {
+      // Calculate from zone average (original logic)
+      const weights = zoneClubs.map(c => c.weight);
+      const initialAvg = weights.reduce((a, b) => a + b, 0) / weights.length;
+      
+      const normalClubs = zoneClubs.filter(club => {
+        const deviation = Math.abs(club.weight - initialAvg);
+        return deviation <= outlierThreshold;
+      });
+      
+      if (normalClubs.length >= 2) {
+        targetWeight = Math.round(normalClubs.reduce((sum, c) => sum + c.weight, 0) / normalClubs.length);
+      } else {
+        targetWeight = Math.round(initialAvg);
+      }
+    }
+    
+    // Score ALL clubs against target weight
+    const zoneIssues = [];
+    const zoneSuggestions = [];
+    let maxDeviation = 0;
+    let outlierCount = 0;
+    
+    zoneClubs.forEach(club => {
+      if (club.isDefault) return;
+      
+      // Skip the favorite club itself - it shouldn't have a suggestion
+      if (favoriteClubSpecs && club.name === favoriteClubSpecs.clubType) return;
+      
+      const deviation = Math.abs(club.weight - targetWeight);
+      maxDeviation = Math.max(maxDeviation, deviation);
+      
+      if (deviation > thresholds.A) {
+        if (usingBaseline) {
+          const diff = club.weight - targetWeight;
+          const diffStr = diff > 0 ? `+${diff}g` : `${diff}g`;
+          zoneIssues.push(`${club.name} (${club.weight}g) is ${diffStr} vs expected ${targetWeight}g based on ★ ${favoriteClubSpecs.clubType}`);
+          
+          // Add structured suggestion (baseline-based)
+          zoneSuggestions.push({
+            clubType: club.name,
+            currentWeight: club.weight,
+            idealWeight: targetWeight,
+            isBaselineBased: true,
+            material: club.material
+          });
+        } else {
+          zoneIssues.push(`${club.name} weight (${club.weight}g) varies from ${zoneLabel} average (${targetWeight}g)`);
+          
+          // Add structured suggestion (zone average-based)
+          zoneSuggestions.push({
+            clubType: club.name,
+            currentWeight: club.weight,
+            idealWeight: targetWeight,
+            isBaselineBased: false,
+            material: club.material
+          });
+        }
+        
+        if (deviation > thresholds.C) {
+          outlierCount++;
+        }
+      }
+    });
+    
+    // Calculate penalty
+    let penalty = 0;
+    let grade = 'A';
+    
+    if (outlierCount > 0) {
+      penalty += outlierCount * 15;
+      grade = outlierCount >= 2 ? 'D' : 'C';
+    }
+    
+    if (maxDeviation > thresholds.C) {
+      penalty += 20;
+      grade = 'D';
+    } else if (maxDeviation > thresholds.B) {
+      penalty += 12;
+      if (grade === 'A') grade = 'C';
+    } else if (maxDeviation > thresholds.A) {
+      penalty += 5;
+      if (grade === 'A') grade = 'B';
+    }
+    
+    if (zoneName === 'IRONS' && penalty > 0) {
+      penalty = Math.round(penalty * 1.2);
+    }
+    
+    return { 
+      penalty, 
+      issues: zoneIssues,
+      suggestions: zoneSuggestions,
+      grade, 
+      avgWeight: targetWeight,
+      expectedWeight: usingBaseline ? targetWeight : null,
+      maxDeviation: Math.round(maxDeviation),
+      outlierCount 
+    };
+  }
+  
+  // Score each zone - each shaft material against its own curve/average.
+  // The zone's main material keeps the zone key (e.g. IRONS), others get IRONS_GRAPHITE
+  Object.entries(zones).forEach(([zoneName, zoneClubs]) => {
+    const mainMaterial = materialProfile.zoneMaterials[zoneName] || ZONE_TYPICAL_MATERIALS[zoneName];
+    const otherMaterials = [...new Set(zoneClubs.map(c => c.material))].filter(m => m !== mainMaterial);
+    
+    [mainMaterial, ...otherMaterials].forEach(material => {
+      const groupClubs = zoneClubs.filter(c => c.material === material);
+      const zoneLabel = otherMaterials.length > 0 ? `${material} ${zoneName.toLowerCase()}` : zoneName.toLowerCase();
+      const result = scoreZone(groupClubs, zoneName, material, zoneLabel);
+      const resultKey = material === mainMaterial ? zoneName : `${zoneName}_${material.toUpperCase()}`;
+      zoneResults[resultKey] = { ...result, material: groupClubs.length > 0 ? material : null };
+      totalPenalty += result.penalty;
+      issues.push(...result.issues);
+      if (result.suggestions) {
+        suggestions.push(...result.suggestions);
+      }
+    });
+  });
+  
+  // Mixed materials: say whether the split looks deliberate; shafts that flip
+  // material mid-set are penalized
+  if (materialProfile.mixed) {
+    if (!materialProfile.intentional) {
+      totalPenalty += materialProfile.oddClubs.length * MIXED_MATERIAL_PENALTY;
+      issues.push(materialProfile.note);
+    }
+    suggestions.push({
+      clubType: null,
+      type: 'shaft_material',
+      intentional: materialProfile.intentional,
+      message: materialProfile.note
+    });
+  }
+  
+  // ==========================================
+  // CROSS-ZONE PROGRESSION CHECKS
+  // ==========================================
+  // Only between zones on the same material - graphite irons after steel
+  // hybrids are lighter by design
+  const zoneOrder = ['WOODS', 'HYBRIDS', 'IRONS', 'WEDGES'];
+  const zoneAvg = {};
+  const sameMaterial = (zoneA, zoneB) => materialProfile.zoneMaterials[zoneA] === materialProfile.zoneMaterials[zoneB];
+  
+  zoneOrder.forEach(zone => {
+    if (zoneResults[zone] && zoneResults[zone].avgWeight > 0) {
+      zoneAvg[zone] = zoneResults[zone].avgWeight;
+    }
+  });
+  
+  // Check 1: Hybrids should be heavier than woods (soft warning)
+  if (zoneAvg.WOODS && zoneAvg.HYBRIDS && sameMaterial('WOODS', 'HYBRIDS')) {
+    if (zoneAvg.HYBRIDS <= zoneAvg.WOODS) {
+      // Soft warning - no penalty, just note
+      issues.push(`Hybrids (${zoneAvg.HYBRIDS}g avg) should typically be 5-15g heavier than woods (${zoneAvg.WOODS}g avg) for optimal tempo transition`);
+    }
+  }
+  
+  // Check 2: Major reversals (weight DECREASES going to shorter clubs)
+  for (let i = 0; i < zoneOrder.length - 1; i++) {
+    const currentZone = zoneOrder[i];
+    const nextZone = zoneOrder[i + 1];
+    const currentAvg = zoneAvg[currentZone];
+    const nextAvg = zoneAvg[nextZone];
+    
+    if (currentAvg && nextAvg && sameMaterial(currentZone, nextZone)) {
+      // Penalize if weight DECREASES significantly
+      if (currentAvg > nextAvg + 20) {
+        totalPenalty += 8;
+        issues.push(`${currentZone} average (${currentAvg}g) is heavier than ${nextZone} (${nextAvg}g) - weight should increase toward shorter clubs`);
+      }
+    }
+  }
+  
+  const score = Math.max(0, 100 - totalPenalty);
+
+  return {
+    score: score,
+    scorable: true,
+    issues: issues,
+    suggestions: suggestions, // Structured weight suggestions for frontend
+    defaultsNote: defaultsNote,
+    clubsUsingDefaults: clubsUsingDefaults.length,
+    zoneAverages: zoneAvg,
+    zoneResults: zoneResults,
+    materialProfile: materialProfile,
+    favoriteClubBaseline: favoriteClubSpecs ? {
+      enabled: true,
+      clubType: favoriteClubSpecs.clubType,
+      weight: favoriteClubSpecs.shaft_weight,
+      material: favoriteMaterial,
+      expectedWeights: expectedWeights
+    } : { enabled: false }
+  };
+}
+
+/**
+ * Calculate loft gapping score - FULL BAG COVERAGE with tiered thresholds
+ * Analyzes gaps from driver through wedges (excludes putter)
+ * Uses zone-specific thresholds: woods gaps are naturally larger than iron gaps
+ * 
+ * @param {Array} clubs - Prepared clubs
+ * @param {Object} gapOptions - Golfer profile for threshold set selection
+ *   { swingSpeed, handicap, loftGapSets, loftGapSetId } (see selectLoftGapThresholdSet)
+ */
+function calculateLoftGapping(clubs, gapOptions = {}) {
+  const issues = [];
+  const thresholdSet = selectLoftGapThresholdSet(gapOptions);
+  const thresholdSetInfo = {
+    id: thresholdSet.id,
+    name: thresholdSet.name,
+    source: thresholdSet.source,
+    custom: thresholdSet.custom
+  };
+
+  // Filter out putters, then get all clubs with loft data sorted by loft
+  const clubsWithLoft = filterOutPutters(clubs)
+      .filter((c) => c.loft && c.clubType)
+      .sort((a, b) => a.loft - b.loft);
+  
+  // Track which clubs are using default lofts
+  const clubsUsingDefaults = clubsWithLoft.filter(c => c.loftIsDefault === true);
+  
+  if (clubsWithLoft.length < 2) {
+    return {
+      score: 0,
+      scorable: false,
+      issues: ["Not enough clubs with loft data to assess gapping"],
+      defaultLoftsNote: null,
+      thresholdSet: thresholdSetInfo
+    };
+  }
+  
+  // Add note about default lofts if any were used
+  let defaultLoftsNote = null;
+  if (clubsUsingDefaults.length > 0) {
+    const clubList = clubsUsingDefaults.map(c => `${c.clubType} (${c.loft}°)`).join(', ');
+    defaultLoftsNote = `Standard lofts used for ${clubsUsingDefaults.length} club(s): ${clubList}. For accurate analysis, enter actual club lofts.`;
+  }
+
+  let totalPenalty = 0;
+  const gapAnalysis = [];
+
+  for (let i = 1; i < clubsWithLoft.length; i++) {
+    const lowerLoftClub = clubsWithLoft[i - 1]; // e.g., Driver (10.5°)
+    const higherLoftClub = clubsWithLoft[i];     // e.g., 3-Wood (15°)
+
+    const gap = higherLoftClub.loft - lowerLoftClub.loft;
+    
+    // Determine the gap zone based on club categories
+    const zone = getGapZone(lowerLoftClub, higherLoftClub);
+    
+    // Score this gap using zone-specific thresholds
+    const gapResult = scoreGap(gap, zone, thresholdSet.thresholds);
+    
+    // Track if either club used default loft
+    const fromIsDefault = lowerLoftClub.loftIsDefault === true;
+    const toIsDefault = higherLoftClub.loftIsDefault === true;
+    
+    gapAnalysis.push({
+      from: lowerLoftClub.clubType,
+      fromLoft: lowerLoftClub.loft,
+      fromIsDefault: fromIsDefault,
+      to: higherLoftClub.clubType,
+      toLoft: higherLoftClub.loft,
+      toIsDefault: toIsDefault,
+      gap: gap,
+      zone: zone,
+      quality: gapResult.quality,
+      penalty: gapResult.penalty
+    });
+    
+    totalPenalty += gapResult.penalty;
+    
+    // Build issue string with default notation if applicable
+    const fromNote = fromIsDefault ? ' [std]' : '';
+    const toNote = toIsDefault ? ' [std]' : '';
+    
+    // Log issues for non-optimal gaps
+    if (gapResult.quality === 'overlap') {
+      issues.push(
+        `${gap}° overlap between ${lowerLoftClub.clubType}${fromNote} (${lowerLoftClub.loft}°) ` +
+        `and ${higherLoftClub.clubType}${toNote} (${higherLoftClub.loft}°) - clubs too similar`
+      );
+    } else if (gapResult.quality === 'majorVoid') {
+      issues.push(
+        `${gap}° gap between ${lowerLoftClub.clubType}${fromNote} (${lowerLoftClub.loft}°) ` +
+        `and ${higherLoftClub.clubType}${toNote} (${higherLoftClub.loft}°) - major distance void`
+      );
+    } else if (gapResult.quality === 'wide') {
+      issues.push(
+        `${gap}° gap between ${lowerLoftClub.clubType}${fromNote} (${lowerLoftClub.loft}°) ` +
+        `and ${higherLoftClub.clubType}${toNote} (${higherLoftClub.loft}°) - consider adding a club`
+      );
+    } else if (gapResult.quality === 'tight') {
+      issues.push(
+        `${gap}° gap between ${lowerLoftClub.clubType}${fromNote} (${lowerLoftClub.loft}°) ` +
+        `and ${higherLoftClub.clubType}${toNote} (${higherLoftClub.loft}°) - tight gapping`
+      );
+    }
+  }
+
+  // Calculate final score (start at 100, apply penalties)
+  const score = Math.max(0, Math.min(100, 100 + totalPenalty));
+
+  return {
+    score: score,
+    scorable: true,
+    issues: issues,
+    gapAnalysis: gapAnalysis,
+    defaultLoftsNote: defaultLoftsNote,
+    clubsUsingDefaults: clubsUsingDefaults.length,
+    thresholdSet: thresholdSetInfo
+  };
+}
+
+/**
+ * Normalize flex value to standard format
+ * Maps various flex notations to: Ladies, Senior, Regular, Stiff, X-Stiff
+ */
+function normalizeFlexValue(flex) {
+  if (!flex) return null;
+  const f = flex.toLowerCase().trim();
+  // Filter out invalid flex values (e.g., "wedge" stored by mistake)
+  if (f === 'wedge' || f === 'putter' || f === 'n/a' || f === 'unknown' || f === 'none') return null;
+  if (f === 'l' || f === 'ladies' || f === 'lady') return 'Ladies';
+  if (f === 'a' || f === 'sr' || f === 'senior' || f === 'am') return 'Senior';
+  if (f === 'r' || f === 'regular' || f === 'reg' || f === 'm' || f === 'med' || f === 'medium') return 'Regular';
+  if (f === 's' || f === 'stiff' || f === 'firm') return 'Stiff';
+  if (f === 'x' || f === 'xs' || f === 'x-stiff' || f === 'xstiff' || f === 'extra stiff' || f === 'tour') return 'X-Stiff';
+  // Check for flex embedded in shaft code (e.g., "6S" = Stiff, "5R" = Regular)
+  if (/\d+s$/i.test(f) || /s\d*$/i.test(f)) return 'Stiff';
+  if (/\d+r$/i.test(f) || /r\d*$/i.test(f)) return 'Regular';
+  if (/\d+x$/i.test(f) || /x\d*$/i.test(f)) return 'X-Stiff';
+  if (/\d+a$/i.test(f) || /a\d*$/i.test(f)) return 'Senior';
+  if (/\d+l$/i.test(f) || /l\d*$/i.test(f)) return 'Ladies';
+  return flex; // Return original if no match
+}
+
+/**
+ * Calculate flex consistency score
+ * NOTE: Putters are excluded from flex consistency scoring
+ * NOTE: Flex labels have NO industry standard - we only check for label consistency within the bag
+ */
+function calculateFlexConsistency(clubs) {
+  const issues = [];
+  
+  // Filter out putters - they don't have meaningful flex data
+  const gradableClubs = filterOutPutters(clubs);
+
+  const flexCounts = {};
+  let totalWithFlex = 0;
+
+  // Data is normalized - use standard flat field names
+  // Also normalize flex values to group similar flexes (S, Stiff, 6S → Stiff)
+  gradableClubs.forEach((club) => {
+    if (club.shaft_flex) {
+      const normalizedFlex = normalizeFlexValue(club.shaft_flex);
+      flexCounts[normalizedFlex] = (flexCounts[normalizedFlex] || 0) + 1;
+      totalWithFlex++;
+    }
+  });
+
+  if (totalWithFlex === 0) {
+    return {
+      score: 0,
+      scorable: false,
+      issues: ["No flex data available - add shaft flex information"],
+    };
+  }
+
+  // Find dominant flex
+  const sorted = Object.entries(flexCounts).sort((a, b) => b[1] - a[1]);
+  const dominant = sorted[0];
+  
+  if (!dominant) {
+    return { score: 100, scorable: true, issues: [] };
+  }
+  
+  const matchCount = dominant[1];
+  const matchPercent = matchCount / totalWithFlex;
+  const mismatchCount = totalWithFlex - matchCount;
+  
+  // Percentage-based scoring matrix (flex labels are unreliable, so be lenient)
+  // 100% match → 100, 75-99% → 90, 50-74% → 75, <50% → 60
+  let score = 100;
+  let severity = 'none';
+  
+  if (matchPercent >= 1.0) {
+    score = 100;
+    severity = 'none';
+  } else if (matchPercent >= 0.75) {
+    score = 90;
+    severity = 'minor';
+  } else if (matchPercent >= 0.50) {
+    score = 75;
+    severity = 'moderate';
+  } else {
+    score = 60;
+    severity = 'significant';
+  }
+  
+  // Build issues list
+  if (mismatchCount > 0) {
+    const mismatchedFlexes = sorted.slice(1).map(([flex, count]) => `${count} ${flex}`);
+    issues.push(`Mixed flex labels: ${matchCount} ${dominant[0]}, ${mismatchedFlexes.join(', ')} - consider standardizing`);
+  }
+
+  return {
+    score, 
+    scorable: true, 
+    dominantFlex: dominant[0],
+    matchPercent,
+    matchCount,
+    total: totalWithFlex,
+    issues 
+  };
+}
+
+/**
+ * Calculate kickpoint consistency score
+ * NOTE: Putters are excluded from kickpoint consistency scoring
+ */
+function calculateKickpointConsistency(clubs) {
+  const issues = [];
+  
+  // Filter out putters - they don't have meaningful kickpoint data
+  const gradableClubs = filterOutPutters(clubs);
+
+  // Zone-based kickpoint evaluation
+  // Kickpoint should be consistent WITHIN each club category, but can differ BETWEEN categories
+  const zones = {
+    WOODS: [],
+    HYBRIDS: [],
+    IRONS: [],
+    WEDGES: []
+  };
+  
+  // Helper to determine zone
+  function getKickpointZone(club) {
+    const clubType = (club.clubType || club.club_type || '').toLowerCase();
+    const loft = club.loft || 0;
+    
+    // Woods
+    if (clubType === 'driver' || clubType.includes('wood')) {
+      return 'WOODS';
+    }
+    
+    // Hybrids (including numbered format like "2h", "3h", etc.)
+    if (clubType.includes('hybrid') || /^\d+h$/i.test(clubType)) {
+      return 'HYBRIDS';
+    }
+    
+    // PW stays with IRONS (check before wedges!)
+    if (clubType === 'pw' || clubType === 'pitching' || clubType === 'pitching wedge') {
+      return 'IRONS';
+    }
+    
+    // Irons (3i-9i)
+    if (clubType.includes('iron') || /^\d+-iron$/i.test(clubType)) {
+      return 'IRONS';
+    }
+    
+    // Degree wedges - check if starts with 2 digits (46-64) regardless of suffix
+    const degMatch = clubType.match(/^(\d+)/);
+    if (degMatch) {
+      const num = parseInt(degMatch[1], 10);
+      if (num >= 46 && num <= 64) return 'WEDGES';  // 46° through 64° are wedges
+    }
+    
+    // Named wedges: GW/AW/SW/LW
+    if (['gw', 'aw', 'sw', 'lw', 'gap', 'sand', 'lob'].some(w => clubType === w || clubType.includes(w))) {
+      return 'WEDGES';
+    }
+    
+    // Fallback to loft check
+    if (loft >= 48) {
+      return 'WEDGES';
+    }
+    
+    // Default to irons
+    return 'IRONS';
+  }
+  
+  // Normalize kickpoint value
+  function normalizeKickpoint(kickpoint) {
+    if (!kickpoint) return null;
+    const kp = kickpoint.toLowerCase().trim();
+    if (kp.includes('low')) return 'low';
+    if (kp.includes('high')) return 'high';
+    return 'mid'; // Default to mid
+  }
+  
+  // Group clubs by zone
+  let totalWithKickpoint = 0;
+  gradableClubs.forEach(club => {
+    if (club.shaft_kickpoint) {
+      const zone = getKickpointZone(club);
+      const normalized = normalizeKickpoint(club.shaft_kickpoint);
+      if (normalized) {
+        zones[zone].push({
+          name: club.clubType || club.club_type,
+          kickpoint: normalized,
+          original: club.shaft_kickpoint
+        });
+        totalWithKickpoint++;
+      }
+    }
+  });
+  
+  if (totalWithKickpoint === 0) {
+    return {
+      score: 0,
+      scorable: false,
+      issues: ["No kickpoint data available"],
+    };
+  }
+  
+  // Score each zone independently
+  let totalPenalty = 0;
+  
+  function scoreZone(zoneClubs, zoneName) {
+    if (zoneClubs.length < 2) return { penalty: 0, issues: [] }; // Need 2+ clubs to evaluate
+    
+    const kickpoints = zoneClubs.map(c => c.kickpoint);
+    const counts = {};
+    
+    kickpoints.forEach(kp => {
+      counts[kp] = (counts[kp] || 0) + 1;
+    });
+    
+    const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    const dominantKickpoint = sorted[0][0];
+    const dominantCount = sorted[0][1];
+    const deviations = zoneClubs.length - dominantCount;
+    
+    const zoneIssues = [];
+    let penalty = 0;
+    
+    // Find which clubs deviate
+    zoneClubs.forEach(club => {
+      if (club.kickpoint !== dominantKickpoint) {
+        const zoneLabel = zoneName === 'IRONS' ? 'other irons' : 
+                          zoneName === 'WOODS' ? 'other woods' :
+                          zoneName === 'HYBRIDS' ? 'other hybrids' : 'other wedges';
+        zoneIssues.push(`${club.name} kickpoint (${club.kickpoint}) doesn't match ${zoneLabel} (${dominantKickpoint}) - may cause inconsistent ball flight`);
+      }
+    });
+    
+    // Apply penalties based on deviation count
+    if (deviations === 0) {
+      penalty = 0;
+    } else if (deviations === 1) {
+      penalty = 5;
+    } else if (deviations === 2) {
+      penalty = 10;
+    } else {
+      penalty = 15;
+    }
+    
+    // Extra penalty for woods (tempo setters)
+    if (zoneName === 'WOODS' && deviations > 0) {
+      penalty = Math.round(penalty * 1.25);
+    }
+    
+    return { penalty, issues: zoneIssues };
+  }
+  
+  // Score each zone
+  Object.entries(zones).forEach(([zoneName, zoneClubs]) => {
+    const result = scoreZone(zoneClubs, zoneName);
+    totalPenalty += result.penalty;
+    issues.push(...result.issues);
+  });
+  
+  // If no issues within zones but multiple kickpoints across bag, don't penalize
+  // This is the key change - different kickpoints between zones is NORMAL
+  
+  const score = Math.max(0, 100 - totalPenalty);
+  
+  // Add summary issue if there are problems
+  if (issues.length > 0 && issues.length <= 2) {
+    // Don't add extra summary for small issues
+  } else if (issues.length > 2) {
+    issues.unshift(`Mixed kickpoint profiles within club categories`);
+  }
+  
+  return { score, scorable: true, issues };
+}
+
+/**
+ * Calculate torque consistency score
+ * NOTE: Putters are excluded from torque consistency scoring
+ */
+function calculateTorqueConsistency(clubs) {
+  const issues = [];
+
+  // Filter out putters, then get torque values
+  // Data is normalized - use standard flat field names
+  const torqueValues = filterOutPutters(clubs)
+      .filter((c) => c.shaft_torque !== null && c.shaft_torque !== undefined)
+      .map((c) => c.shaft_torque);
+
+  if (torqueValues.length === 0) {
+    return {
+      score: 0,
+      scorable: false,
+      issues: ["No torque data available"],
+    };
+  }
+
+  const avgTorque = torqueValues.reduce((a, b) => a + b, 0) / torqueValues.length;
+  const maxDeviation = Math.max(...torqueValues.map((t) => Math.abs(t - avgTorque)));
+
+  let score = 100;
+
+  if (maxDeviation > 4.5) {  // Extremely lenient
+    score -= 8;              // Extremely lenient
+    issues.push(`Torque varies by ${maxDeviation.toFixed(1)}° - consider more consistency`);
+  } else if (maxDeviation > 3.8) {  // Extremely lenient
+    score -= 4;              // Extremely lenient
+  }
+
+  return {score: Math.max(0, score), scorable: true, issues: issues};
+}
+
+// ==========================================
+// BODY FIT BASELINE
+// ==========================================
+
+// WTF-based length adjustments from standard
+const WTF_ADJUSTMENTS = {
+  'UNDER_29': -1.5,
+  '29_30': -1.0,
+  '30_31': -0.75,
+  '31_32': -0.5,
+  '32_33': -0.25,
+  '33_35': 0,        // Standard range
+  '35_36': 0.25,
+  '36_37': 0.5,
+  '37_38': 0.75,
+  '38_39': 1.0,
+  'OVER_39': 1.5
+};
+
+// Height modifiers (added to WTF adjustment)
+const HEIGHT_MODIFIERS = {
+  'UNDER_64': -0.25,   // Under 5'4"
+  '64_67': 0,          // 5'4" to 5'7"
+  '67_72': 0,          // 5'7" to 6'0" - standard
+  '72_75': 0.25,       // 6'0" to 6'3"
+  'OVER_75': 0.5       // Over 6'3"
+};
+
+// Standard club lengths (baseline)
+const BODY_FIT_STANDARD_LENGTHS = {
+  'driver': 45.0,
+  '3-wood': 43.0, '3w': 43.0,
+  '5-wood': 42.0, '5w': 42.0,
+  '7-wood': 41.0, '7w': 41.0,
+  '2h': 40.5, '2-hybrid': 40.5,
+  '3h': 40.5, '3-hybrid': 40.5,
+  '4h': 40.0, '4-hybrid': 40.0,
+  '5h': 39.5, '5-hybrid': 39.5,
+  '6h': 39.0, '6-hybrid': 39.0,
+  '3-iron': 39.0,
+  '4-iron': 38.5,
+  '5-iron': 38.0,
+  '6-iron': 37.5,
+  '7-iron': 37.0,
+  '8-iron': 36.5,
+  '9-iron': 36.0,
+  'pw': 35.5, 'pitching wedge': 35.5,
+  'gw': 35.25, 'gap wedge': 35.25, 'aw': 35.25,
+  'sw': 35.25, 'sand wedge': 35.25,
+  'lw': 35.0, 'lob wedge': 35.0,
+  // Degree wedges
+  '46°': 35.5, '48°': 35.5,   // PW range
+  '50°': 35.25, '52°': 35.25, // GW range
+  '54°': 35.25, '56°': 35.25, // SW range  
+  '58°': 35.0, '60°': 35.0, '64°': 35.0  // LW range
+};
+
+// Body fit thresholds - more lenient since body fit is a suggestion, not requirement
+const BODY_FIT_THRESHOLDS = {
+  A: 0.5,    // Perfect - within tolerance
+  B: 0.75,   // Minor issue
+  C: 1.0,    // Moderate issue  
+  D: 1.5     // Severe issue
+};
+
+/**
+ * Length adjustment from wrist-to-floor (inches)
+ */
+function getWTFAdjustment(wtf) {
+  if (wtf < 29) return WTF_ADJUSTMENTS['UNDER_29'];
+  if (wtf < 30) return WTF_ADJUSTMENTS['29_30'];
+  if (wtf < 31) return WTF_ADJUSTMENTS['30_31'];
+  if (wtf < 32) return WTF_ADJUSTMENTS['31_32'];
+  if (wtf < 33) return WTF_ADJUSTMENTS['32_33'];
+  if (wtf < 35) return WTF_ADJUSTMENTS['33_35'];
+  if (wtf < 36) return WTF_ADJUSTMENTS['35_36'];
+  if (wtf < 37) return WTF_ADJUSTMENTS['36_37'];
+  if (wtf < 38) return WTF_ADJUSTMENTS['37_38'];
+  if (wtf < 39) return WTF_ADJUSTMENTS['38_39'];
+  return WTF_ADJUSTMENTS['OVER_39'];
+}
+
+/**
+ * Height modifier added to the WTF adjustment
+ */
+function getHeightModifier(heightInches) {
+  if (heightInches < 64) return HEIGHT_MODIFIERS['UNDER_64'];
+  if (heightInches < 67) return HEIGHT_MODIFIERS['64_67'];
+  if (heightInches < 72) return HEIGHT_MODIFIERS['67_72'];
+  if (heightInches < 75) return HEIGHT_MODIFIERS['72_75'];
+  return HEIGHT_MODIFIERS['OVER_75'];
+}
+
+/**
+ * Body fit length adjustment from standard, rounded to 1/4"
+ */
+function calculateBodyFitAdjustment(heightInches, wristToFloor) {
+  const wtfAdjustment = getWTFAdjustment(wristToFloor);
+  const heightModifier = getHeightModifier(heightInches);
+  const rawAdjustment = wtfAdjustment + heightModifier;
+  // Round to nearest 0.25"
+  return Math.round(rawAdjustment * 4) / 4;
+}
+
+/**
+ * Body-fit length for a club type, or null for club types off the chart
+ */
+function getBodyFitLength(clubType, adjustment) {
+  const normalizedType = (clubType || '').toLowerCase().replace(/\s+/g, '-');
+  const standardLength = BODY_FIT_STANDARD_LENGTHS[normalizedType];
+  if (!standardLength) return null;
+  return standardLength + adjustment;
+}
+
+// Static lie starting point for irons and wedges: ~1° upright per 1/2" of
+// body-fit length adjustment (woods and hybrids stay at standard)
+const STATIC_LIE_PER_INCH = 2;
+const MAX_STATIC_LIE_ADJUSTMENT = 4;
+const STATIC_LIE_TOLERANCE = 1;   // degrees off the starting point before a club is flagged
+
+/**
+ * Static fitting spec sheet from height and wrist-to-floor
+ * Recommended length, lie starting point and grip size per club, with the
+ * clubs' current specs and where they deviate. Lie is only a starting point
+ * for the irons and wedges - confirm it with a dynamic lie test.
+ *
+ * @param {Array} clubs - Normalized clubs (normalizeClubData), putters are skipped
+ * @param {Object} bodyFit - { heightInches, wristToFloor, gripFit? } (gripFit = users/{id}.grip_fit)
+ * @returns {Object} { lengthAdjustment, lieAdjustment, grip, clubs, deviations, notes }
+ */
+function buildStaticFitSpecSheet(clubs, { heightInches, wristToFloor, gripFit = null } = {}) {
+  const lengthAdjustment = calculateBodyFitAdjustment(heightInches, wristToFloor);
+  const rawLieAdjustment = Math.round(lengthAdjustment * STATIC_LIE_PER_INCH * 2) / 2;
+  const lieAdjustment = Math.min(MAX_STATIC_LIE_ADJUSTMENT, Math.max(-MAX_STATIC_LIE_ADJUSTMENT, rawLieAdjustment));
+  const fittedGripSize = GRIP_SIZE_BUILDUP[gripFit?.recommended_size] !== undefined ? gripFit.recommended_size : null;
+
+  const sheet = filterOutPutters(clubs)
+    .sort((a, b) => getClubSortOrder(a) - getClubSortOrder(b))
+    .map(club => {
+      const standardLength = BODY_FIT_STANDARD_LENGTHS[(club.clubType || '').toLowerCase().replace(/\s+/g, '-')] ||
+        getDefaultLength(club.clubType)?.length || null;
+      const standardLie = getDefaultLieAngle(club.clubType)?.lie || null;
+      const recommendedLength = standardLength ? Math.round((standardLength + lengthAdjustment) * 4) / 4 : null;
+      const adjustsLie = ['iron', 'wedge'].includes(getClubCategory(club));
+      const recommendedLie = standardLie ? standardLie + (adjustsLie ? lieAdjustment : 0) : null;
+      const currentLength = Number(club.length) || null;
+      const currentLie = Number(club.lie || club.lie_angle) || null;
+
+      const lengthDiff = recommendedLength && currentLength ? Math.round((currentLength - recommendedLength) * 100) / 100 : null;
+      const lieDiff = recommendedLie && currentLie ? Math.round((currentLie - recommendedLie) * 10) / 10 : null;
+
+      const entry = {
+        clubId: club.id || null,
+        clubType: club.clubType,
+        length: {
+          recommended: recommendedLength,
+          current: currentLength,
+          difference: lengthDiff,
+          deviates: lengthDiff !== null && Math.abs(lengthDiff) > BODY_FIT_THRESHOLDS.A
+        },
+        lie: {
+          recommended: recommendedLie,
+          current: currentLie,
+          difference: lieDiff,
+          deviates: lieDiff !== null && Math.abs(lieDiff) > STATIC_LIE_TOLERANCE
+        },
+        grip: {
+          recommended: fittedGripSize,
+          extraWraps: fittedGripSize ? gripFit.extra_wraps || 0 : null,
+          current: club.grip_size || null,
+          deviates: !!(fittedGripSize && club.grip_size && club.grip_size !== fittedGripSize)
+        }
+      };
+      entry.deviates = entry.length.deviates || entry.lie.deviates || entry.grip.deviates;
+      return entry;
+    });
+
+  const notes = [];
+  if (lieAdjustment !== rawLieAdjustment) {
+    notes.push(`Lie capped at ${MAX_STATIC_LIE_ADJUSTMENT}° ${lieAdjustment > 0 ? 'upright' : 'flat'} - confirm with a dynamic lie test`);
+  }
+  if (!fittedGripSize) {
+    notes.push('No grip fit on file - measure hand length for a grip size recommendation');
+  }
+  const missingSpecs = sheet.filter(c => c.length.current === null || c.lie.current === null).map(c => c.clubType);
+  if (missingSpecs.length > 0) {
+    notes.push(`Current length or lie not entered for ${missingSpecs.join(', ')}`);
+  }
+
+  return {
+    heightInches,
+    heightDisplay: `${Math.floor(heightInches / 12)}'${heightInches % 12}"`,
+    wristToFloor,
+    lengthAdjustment,
+    lieAdjustment,
+    lieDirection: lieAdjustment > 0 ? 'upright' : (lieAdjustment < 0 ? 'flat' : 'standard'),
+    grip: fittedGripSize ? {
+      size: fittedGripSize,
+      extraWraps: gripFit.extra_wraps || 0,
+      tapeLayers: gripFit.tape_layers || 1,
+      source: gripFit.source || null
+    } : null,
+    clubs: sheet,
+    deviations: sheet.filter(c => c.deviates).length,
+    notes
+  };
+}
+
+/**
+ * Calculate length progression score
+ * NOTE: Putters are excluded from length progression scoring
+ */
+function calculateLengthProgression(clubs, bodyFitSpecs = null) {
+  const issues = [];
+  const suggestions = []; // Structured length suggestions for frontend
+
+  // Calculate body fit adjustment if enabled
+  let bodyFitAdjustment = null;
+  if (bodyFitSpecs && bodyFitSpecs.heightInches && bodyFitSpecs.wristToFloor) {
+    bodyFitAdjustment = calculateBodyFitAdjustment(
+      bodyFitSpecs.heightInches,
+      bodyFitSpecs.wristToFloor
+    );
+    logger.info(`BODY-FIT: Height ${bodyFitSpecs.heightDisplay}, WTF ${bodyFitSpecs.wristToFloor}" → Adjustment: ${bodyFitAdjustment > 0 ? '+' : ''}${bodyFitAdjustment}"`);
+  }
+
+  // Filter out putters, then filter for clubs with length data (including defaults)
+  const clubsWithLength = filterOutPutters(clubs)
+      .filter((c) => c.length && c.loft)
+      .sort((a, b) => a.loft - b.loft);
+  
+  // Track clubs using defaults
+  const clubsUsingDefaults = clubsWithLength.filter(c => c.lengthIsDefault === true);
+
+  if (clubsWithLength.length < 2) {
+    return {
+      score: 0,
+      scorable: false,
+      issues: ["Not enough clubs with length data"],
+      defaultsNote: null,
+      clubsUsingDefaults: 0
+    };
+  }
+  
+  // Add note about default lengths if any were used
+  let defaultsNote = null;
+  if (clubsUsingDefaults.length > 0) {
+    const clubList = clubsUsingDefaults.map(c => `${c.clubType} (${c.length}")`).join(', ');
+    defaultsNote = `Standard lengths used for ${clubsUsingDefaults.length} club(s): ${clubList}. For accurate analysis, enter actual club lengths.`;
+  }
+
+  // Length gap thresholds by zone
+  const LENGTH_GAP_THRESHOLDS = {
+    DRIVER_TO_WOOD: { idealGap: 2.25, tolerance: 0.5, wideGap: 3.0 },
+    DRIVER_TO_HYBRID: { idealGap: 4.5, tolerance: 1.0, wideGap: 6.0 }, // No fairway wood in bag
+    WOODS: { idealGap: 0.5, tolerance: 0.25, wideGap: 1.0 },
+    HYBRIDS: { idealGap: 0.5, tolerance: 0.25, wideGap: 1.0 },
+    WOOD_TO_HYBRID: { idealGap: 1.0, tolerance: 0.5, wideGap: 1.5 },
+    HYBRID_TO_IRON: { idealGap: 0.75, tolerance: 0.5, wideGap: 1.5 },
+    IRONS: { idealGap: 0.5, tolerance: 0.25, wideGap: 0.75 },
+    IRON_TO_WEDGE: { idealGap: 0.25, tolerance: 0.25, wideGap: 0.5 },
+    WEDGES: { idealGap: 0.0, tolerance: 0.25, wideGap: 0.5 }
+  };
+
+  // Penalty values
+  const LENGTH_PENALTIES = {
+    perfect: 0,
+    acceptable: 3,
+    wide: 8,
+    reverse: 15
+  };
+
+  // Helper to determine club type
+  function getClubCategory(club) {
+    const type = (club.clubType || '').toLowerCase();
+    if (type === 'driver') return 'driver';
+    if (type.includes('wood')) return 'wood';
+    if (type.includes('hybrid') || /^\d+h$/i.test(type)) return 'hybrid';
+    if (club.loft >= 46) return 'wedge';
+    if (type.includes('iron') || /^\d+-iron$/i.test(type)) return 'iron';
+    // Check for wedge by name
+    if (['pw', 'gw', 'aw', 'sw', 'lw'].includes(type) || type.includes('°')) return 'wedge';
+    return 'iron'; // default
+  }
+
+  // Get zone for transition
+  function getLengthZone(prevClub, currClub) {
+    const prevCat = getClubCategory(prevClub);
+    const currCat = getClubCategory(currClub);
+    
+    // Driver transitions
+    if (prevCat === 'driver' && currCat === 'wood') return 'DRIVER_TO_WOOD';
+    if (prevCat === 'driver' && currCat === 'hybrid') return 'DRIVER_TO_HYBRID';
+    if (prevCat === 'driver' && currCat === 'iron') return 'DRIVER_TO_HYBRID'; // Treat same as hybrid
+    
+    // Wood transitions
+    if (prevCat === 'wood' && currCat === 'wood') return 'WOODS';
+    if (prevCat === 'wood' && currCat === 'hybrid') return 'WOOD_TO_HYBRID';
+    if (prevCat === 'wood' && currCat === 'iron') return 'WOOD_TO_HYBRID';
+    
+    // Hybrid transitions
+    if (prevCat === 'hybrid' && currCat === 'hybrid') return 'HYBRIDS';
+    if (prevCat === 'hybrid' && currCat === 'iron') return 'HYBRID_TO_IRON';
+    
+    // Iron transitions
+    if (prevCat === 'iron' && currCat === 'iron') return 'IRONS';
+    if (prevCat === 'iron' && currCat === 'wedge') return 'IRON_TO_WEDGE';
+    
+    // Wedge transitions
+    if (prevCat === 'wedge' && currCat === 'wedge') return 'WEDGES';
+    
+    return 'IRONS'; // default
+  }
+
+  // Standard lengths for comparison (Men's Steel)
+  const STANDARD_LENGTHS = {
+    'driver': 45.0, '3-wood': 42.5, '4-wood': 42.0, '5-wood': 41.5,
+    '7-wood': 41.0, '9-wood': 40.5, '2h': 40.5, '3h': 40.0, '4h': 39.5,
+    '5h': 39.0, '6h': 38.5, '2-hybrid': 40.5, '3-hybrid': 40.0, 
+    '4-hybrid': 39.5, '5-hybrid': 39.0, '6-hybrid': 38.5,
+    '3-iron': 38.5, '4-iron': 38.0, '5-iron': 37.5, '6-iron': 37.0,
+    '7-iron': 36.5, '8-iron': 36.0, '9-iron': 35.5, 
+    'pw': 35.5, 'aw': 35.25, 'gw': 35.25, 'sw': 35.0, 'lw': 35.0
+  };
+
+  // Check if a club's length is standard (within 0.25" tolerance)
+  function isStandardLength(club) {
+    if (club.lengthIsDefault === true) return true;
+    if (!club.length) return true; // No data = assume standard
+    
+    const clubType = (club.clubType || '').toLowerCase().replace(/\s+/g, '-');
+    const standardLength = STANDARD_LENGTHS[clubType];
+    
+    if (!standardLength) return false; // Unknown club type
+    
+    // If within 0.5" of standard, treat as standard
+    return Math.abs(club.length - standardLength) <= 0.5;
+  }
+
+  let totalPenalty = 0;
+  let scoredTransitions = 0;
+
+  for (let i = 1; i < clubsWithLength.length; i++) {
+    const prevClub = clubsWithLength[i - 1]; // Lower loft (should be longer)
+    const currClub = clubsWithLength[i];     // Higher loft (should be shorter)
+
+    // Skip scoring if BOTH clubs are using standard lengths
+    // Standard lengths are assumed correct - only score user-customized data
+    if (isStandardLength(prevClub) && isStandardLength(currClub)) {
+      continue;
+    }
+    
+    scoredTransitions++;
+
+    // Note: prevClub has LOWER loft, so should be LONGER
+    // lengthDiff = prevClub.length - currClub.length (should be positive)
+    const lengthDiff = prevClub.length - currClub.length;
+    
+    // Build note with default notation if applicable
+    const prevNote = prevClub.lengthIsDefault ? ' [std]' : '';
+    const currNote = currClub.lengthIsDefault ? ' [std]' : '';
+
+    const zone = getLengthZone(prevClub, currClub);
+    const thresholds = LENGTH_GAP_THRESHOLDS[zone];
+
+    // CRITICAL: Check for reverse progression (shorter-lofted club is shorter)
+    if (lengthDiff < -0.25) {
+      totalPenalty += LENGTH_PENALTIES.reverse;
+      issues.push(
+        `${currClub.clubType}${currNote} (${currClub.length}") is longer than ${prevClub.clubType}${prevNote} (${prevClub.length}") - reverse progression`
+      );
+      continue;
+    }
+
+    // Calculate deviation from ideal
+    const deviation = Math.abs(lengthDiff - thresholds.idealGap);
+
+    if (deviation <= thresholds.tolerance) {
+      // Perfect - no penalty
+      continue;
+    }
+
+    if (lengthDiff > thresholds.wideGap) {
+      // Wide gap
+      totalPenalty += LENGTH_PENALTIES.wide;
+      issues.push(
+        `${lengthDiff.toFixed(2)}" gap between ${prevClub.clubType}${prevNote} and ${currClub.clubType}${currNote} (expected ~${thresholds.idealGap}")`
+      );
+    } else {
+      // Acceptable but not perfect
+      totalPenalty += LENGTH_PENALTIES.acceptable;
+      issues.push(
+        `${lengthDiff.toFixed(2)}" gap between ${prevClub.clubType}${prevNote} and ${currClub.clubType}${currNote} (expected ~${thresholds.idealGap}")`
+      );
+    }
+  }
+
+  let score = 100 - totalPenalty;
+  
+  // If no transitions were scored (all defaults), give perfect score
+  if (scoredTransitions === 0 && clubsWithLength.length >= 2) {
+    score = 100;
+  }
+
+  // ==========================================
+  // BODY FIT BASELINE COMPARISON
+  // ==========================================
+  let bodyFitPenalty = 0;
+  
+  if (bodyFitAdjustment !== null) {
+    clubsWithLength.forEach(club => {
+      // Skip clubs using default lengths
+      if (club.lengthIsDefault === true) return;
+      
+      const idealLength = getBodyFitLength(club.clubType, bodyFitAdjustment);
+      if (!idealLength) return; // Unknown club type
+      
+      const deviation = Math.abs(club.length - idealLength);
+      
+      if (deviation > BODY_FIT_THRESHOLDS.A) {
+        const diff = club.length - idealLength;
+        const direction = diff > 0 ? 'longer' : 'shorter';
+        const absDiff = Math.abs(diff).toFixed(2);
+        
+        // Add structured suggestion
+        suggestions.push({
+          clubType: club.clubType,
+          currentLength: club.length,
+          idealLength: Math.round(idealLength * 4) / 4, // Round to 0.25
+          adjustment: Math.round(diff * 4) / 4,
+          isBodyFitBased: true
+        });
+        
+        // Add to issues
+        issues.push(`${club.clubType} (${club.length}") is ${absDiff}" ${direction} than ideal ${idealLength.toFixed(2)}" for your body`);
+        
+        // Apply penalty based on deviation - lower penalties since body fit is advisory
+        if (deviation >= BODY_FIT_THRESHOLDS.D) {
+          bodyFitPenalty += 4;
+        } else if (deviation >= BODY_FIT_THRESHOLDS.C) {
+          bodyFitPenalty += 2;
+        } else if (deviation >= BODY_FIT_THRESHOLDS.B) {
+          bodyFitPenalty += 1;
+        }
+      }
+    });
+    
+    // Cap body fit penalty at 15 points - it's advisory, shouldn't tank the grade
+    bodyFitPenalty = Math.min(bodyFitPenalty, 15);
+    
+    score = Math.max(0, score - bodyFitPenalty);
+    
+    if (suggestions.length > 0) {
+      logger.info(`BODY-FIT: Found ${suggestions.length} length issues, penalty: ${bodyFitPenalty}`);
+    }
+  }
+
+  return {
+    score: Math.max(0, score),
+    scorable: true,
+    issues: issues,
+    suggestions: suggestions,
+    defaultsNote: defaultsNote,
+    clubsUsingDefaults: clubsUsingDefaults.length,
+    bodyFitBaseline: bodyFitSpecs ? {
+      enabled: true,
+      heightDisplay: bodyFitSpecs.heightDisplay,
+      wristToFloor: bodyFitSpecs.wristToFloor,
+      adjustment: bodyFitAdjustment
+    } : { enabled: false }
+  };
+}
+
+/**
+ * Calculate lie angle progression score
+ * NOTE: Putters are excluded from lie angle progression scoring
+ */
+function calculateLieAngleProgression(clubs) {
+  const issues = [];
+
+  // Filter out putters, then filter for clubs with lie angle data (including defaults)
+  // Note: 'lie' is the normalized field name per Master Field Reference
+  const clubsWithLie = filterOutPutters(clubs)
+      .filter((c) => (c.lie || c.lie_angle) && c.loft)
+      .map(c => ({
+        ...c,
+        lie: c.lie || c.lie_angle  // Normalize to 'lie' field
+      }))
+      .sort((a, b) => a.loft - b.loft);
+  
+  // Track clubs using defaults
+  const clubsUsingDefaults = clubsWithLie.filter(c => c.lieIsDefault === true);
+
+  if (clubsWithLie.length < 2) {
+    return {
+      score: 0,
+      scorable: false,
+      issues: ["Not enough clubs with lie angle data"],
+      defaultsNote: null,
+      clubsUsingDefaults: 0
+    };
+  }
+  
+  // Add note about default lie angles if any were used
+  let defaultsNote = null;
+  if (clubsUsingDefaults.length > 0) {
+    const clubList = clubsUsingDefaults.map(c => `${c.clubType} (${c.lie}°)`).join(', ');
+    defaultsNote = `Standard lie angles used for ${clubsUsingDefaults.length} club(s): ${clubList}. For accurate analysis, enter actual lie angles.`;
+  }
+
+  let progressionIssues = 0;
+
+  for (let i = 1; i < clubsWithLie.length; i++) {
+    const prevClub = clubsWithLie[i - 1];
+    const currClub = clubsWithLie[i];
+
+    const lieDiff = currClub.lie - prevClub.lie;
+    
+    // Build note with default notation if applicable
+    const prevNote = prevClub.lieIsDefault ? ' [std]' : '';
+    const currNote = currClub.lieIsDefault ? ' [std]' : '';
+
+    // Expect ~1° increments between clubs (extremely lenient tolerance)
+    if (Math.abs(lieDiff - 1) > 1.5) {  // Extremely lenient
+      progressionIssues++;
+      issues.push(
+          `${lieDiff.toFixed(1)}° lie difference between ${prevClub.clubType}${prevNote} and ${currClub.clubType}${currNote}`
+      );
+    }
+  }
+
+  let score = 100 - (progressionIssues * 5);  // Extremely lenient
+
+  return {
+    score: Math.max(0, score),
+    scorable: true,
+    issues: issues,
+    defaultsNote: defaultsNote,
+    clubsUsingDefaults: clubsUsingDefaults.length
+  };
+}
+
+// ==========================================
+// DYNAMIC LIE FITTING
+// ==========================================
+
+// Lie board sole mark / impact tape pattern → degrees to bend (+ upright, - flat).
+// A heel mark means the toe is up at impact (too upright), a toe mark the opposite.
+const LIE_STRIKE_PATTERNS = {
+  heel: -2,
+  slight_heel: -1,
+  center: 0,
+  slight_toe: 1,
+  toe: 2
+};
+
+const START_LINE_FACE_WEIGHT = 0.75;   // Iron start direction ≈ 75% face, 25% path
+const MIN_LIE_SHOTS = 3;               // Launch-only advice below this is low confidence
+const STRIKE_PATTERN_WEIGHT = 2;       // Lie board counts double against launch data
+const MAX_DYNAMIC_LIE_ADJUSTMENT = 4;
+const LIE_ADVICE_THRESHOLD = 0.5;      // Smaller adjustments are reported as "lie OK"
+
+/**
+ * Recommend a lie adjustment for one iron/wedge from impact and launch data
+ *
+ * Launch: a toe-up (too upright) club points the face left of where face
+ * angle and path would start the ball, by about lie error × sin(loft). The
+ * unexplained start direction (launch direction - 75% face - 25% path) is
+ * averaged over the shots and converted back to degrees of lie.
+ * Strike pattern: lie board or impact tape mark (LIE_STRIKE_PATTERNS).
+ *
+ * @param {Object} club - Normalized club (clubType, loft, lie)
+ * @param {Object} data - { shots: [{ faceAngle, clubPath, launchDirection, dynamicLoft? }],
+ *   strikePattern?: { pattern, source }, handedness?: 'right' | 'left' }
+ * @returns {Object|null} Recommendation, or null for woods/hybrids/putters or without data
+ */
+function recommendDynamicLie(club, { shots = [], strikePattern = null, handedness = 'right' } = {}) {
+  if (!['iron', 'wedge'].includes(getClubCategory(club))) return null;
+
+  // Mirror left-handed start directions so left of target always means "too upright"
+  const side = String(handedness).toLowerCase() === 'left' ? -1 : 1;
+  const isNumber = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+  const residuals = shots
+    .filter(shot => isNumber(shot.faceAngle) && isNumber(shot.clubPath) && isNumber(shot.launchDirection))
+    .map(shot => {
+      const loft = Number(shot.dynamicLoft) || Number(club.loft) || 30;
+      const predicted = START_LINE_FACE_WEIGHT * Number(shot.faceAngle) + (1 - START_LINE_FACE_WEIGHT) * Number(shot.clubPath);
+      return side * (Number(shot.launchDirection) - predicted) / Math.sin(loft * Math.PI / 180);
+    });
+
+  const launchEstimate = residuals.length > 0
+    ? residuals.reduce((sum, value) => sum + value, 0) / residuals.length
+    : null;
+  const strikeEstimate = LIE_STRIKE_PATTERNS[strikePattern?.pattern] !== undefined
+    ? LIE_STRIKE_PATTERNS[strikePattern.pattern]
+    : null;
+
+  if (launchEstimate === null && strikeEstimate === null) return null;
+
+  let rawAdjustment;
+  if (strikeEstimate !== null && launchEstimate !== null) {
+    rawAdjustment = (strikeEstimate * STRIKE_PATTERN_WEIGHT + launchEstimate) / (STRIKE_PATTERN_WEIGHT + 1);
+  } else {
+    rawAdjustment = strikeEstimate !== null ? strikeEstimate : launchEstimate;
+  }
+  const rounded = Math.round(rawAdjustment * 2) / 2;
+  const adjustment = Math.min(MAX_DYNAMIC_LIE_ADJUSTMENT, Math.max(-MAX_DYNAMIC_LIE_ADJUSTMENT, rounded)) || 0;
+
+  let confidence = 'low';
+  if (strikeEstimate !== null && residuals.length >= MIN_LIE_SHOTS &&
+      Math.sign(strikeEstimate) === Math.sign(Math.round(launchEstimate * 2) / 2)) {
+    confidence = 'high';
+  } else if (strikeEstimate !== null || residuals.length >= MIN_LIE_SHOTS) {
+    confidence = 'medium';
+  }
+
+  const direction = Math.abs(adjustment) < LIE_ADVICE_THRESHOLD ? 'ok' : (adjustment > 0 ? 'upright' : 'flat');
+  const currentLie = Number(club.lie || club.lie_angle) || null;
+
+  return {
+    clubId: club.id || null,
+    clubType: club.clubType,
+    currentLie,
+    adjustment: direction === 'ok' ? 0 : adjustment,
+    recommendedLie: currentLie !== null && direction !== 'ok' ? currentLie + adjustment : currentLie,
+    direction,
+    advice: direction === 'ok' ? 'Lie OK' : `${Math.abs(adjustment)}° ${direction}`,
+    confidence,
+    sources: {
+      launch: launchEstimate !== null ? {
+        shots: residuals.length,
+        estimate: Math.round(launchEstimate * 10) / 10
+      } : null,
+      strike: strikeEstimate !== null ? {
+        pattern: strikePattern.pattern,
+        source: strikePattern.source || null,
+        estimate: strikeEstimate
+      } : null
+    }
+  };
+}
+
+// Swing weight progression tolerances (swing weight points, 1 point = 1 letter step e.g. D2 → D3)
+const SWING_WEIGHT_TOLERANCE = 2;         // Woods, hybrids, irons vs. the set baseline
+const WEDGE_SWING_WEIGHT_RANGE = [0, 4];  // Wedges may run up to 4 points heavier than the irons
+const SWING_WEIGHT_PENALTY_PER_POINT = 4; // Per swing weight point outside the allowed range
+const SWING_WEIGHT_MIN_OUTLIER_PENALTY = 2;
+const SWING_WEIGHT_MAX_OUTLIER_PENALTY = 20;
+const TOTAL_WEIGHT_INVERSION_GRAMS = 10;  // Longer club heavier than the next shorter one
+const TOTAL_WEIGHT_INVERSION_PENALTY = 3;
+
+/**
+ * Calculate swing weight progression score
+ * Swing weight should be matched through the set (typically D1-D3), with
+ * wedges allowed to run slightly heavier. Clubs outside the tolerance of the
+ * set baseline (median of the irons, or of the whole set if fewer than 2
+ * irons) are outliers - they'll feel noticeably heavier or lighter.
+ * Total weight should rise from driver to wedge; inversions are flagged too.
+ *
+ * Needs measured swing weights for at least 3 clubs - standard swing
+ * weights are all D2-ish, so scoring them would hide real problems.
+ */
+function calculateSwingWeightProgression(clubs) {
+  const issues = [];
+
+  const clubsWithSwingWeight = filterOutPutters(clubs)
+      .map(c => ({ ...c, swingWeightPoints: swingWeightToPoints(c.swing_weight) }))
+      .filter(c => c.swingWeightPoints !== null);
+  const measuredClubs = clubsWithSwingWeight.filter(c => c.swingWeightIsDefault !== true);
+  const clubsUsingDefaults = clubsWithSwingWeight.filter(c => c.swingWeightIsDefault === true);
+
+  // Most bags have no measured swing weights - not an issue worth listing
+  if (measuredClubs.length < 3) {
+    return {
+      score: 0,
+      scorable: false,
+      issues: [],
+      swingWeightAnalysis: [],
+      defaultsNote: null,
+      clubsUsingDefaults: clubsUsingDefaults.length
+    };
+  }
+
+  let defaultsNote = null;
+  if (clubsUsingDefaults.length > 0) {
+    const clubList = clubsUsingDefaults.map(c => `${c.clubType} (${c.swing_weight})`).join(', ');
+    defaultsNote = `Standard swing weights used for ${clubsUsingDefaults.length} club(s): ${clubList}. For accurate analysis, enter measured swing weights.`;
+  }
+
+  // Baseline from measured irons if possible, otherwise the whole measured set (minus wedges)
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const measuredIrons = measuredClubs.filter(c => getClubCategory(c) === 'iron');
+  const nonWedges = measuredClubs.filter(c => getClubCategory(c) !== 'wedge');
+  const baselineClubs = measuredIrons.length >= 2 ? measuredIrons :
+    (nonWedges.length >= 2 ? nonWedges : measuredClubs);
+  const baseline = median(baselineClubs.map(c => c.swingWeightPoints));
+  const baselineLabel = pointsToSwingWeight(baseline);
+
+  let penalty = 0;
+  const swingWeightAnalysis = [];
+
+  // Only measured clubs can be outliers - defaults just track the baseline
+  measuredClubs.forEach(club => {
+    const isWedge = getClubCategory(club) === 'wedge';
+    const [minOffset, maxOffset] = isWedge ?
+      WEDGE_SWING_WEIGHT_RANGE : [-SWING_WEIGHT_TOLERANCE, SWING_WEIGHT_TOLERANCE];
+    const difference = Math.round((club.swingWeightPoints - baseline) * 10) / 10;
+    const isOutlier = difference < minOffset || difference > maxOffset;
+    const target = baseline + Math.min(Math.max(difference, minOffset), maxOffset);
+    // Penalty grows with how far past the allowed range the club sits (D6 in a D2 set costs more than D5)
+    const excess = Math.abs(club.swingWeightPoints - target);
+    const outlierPenalty = isOutlier ? Math.min(Math.max(Math.round(excess * SWING_WEIGHT_PENALTY_PER_POINT),
+      SWING_WEIGHT_MIN_OUTLIER_PENALTY), SWING_WEIGHT_MAX_OUTLIER_PENALTY) : 0;
+
+    swingWeightAnalysis.push({
+      clubType: club.clubType,
+      swingWeight: club.swing_weight,
+      baseline: baselineLabel,
+      target: pointsToSwingWeight(target),
+      difference: difference,
+      outlier: isOutlier,
+      direction: difference > 0 ? 'heavy' : (difference < 0 ? 'light' : 'matched'),
+      penalty: isOutlier ? -outlierPenalty : 0
+    });
+
+    if (isOutlier) {
+      penalty += outlierPenalty;
+      const points = Math.abs(difference);
+      issues.push(
+          `${club.clubType} swing weight ${club.swing_weight} is ${points} point${points === 1 ? '' : 's'} ` +
+          `${difference > 0 ? 'heavier' : 'lighter'} than the set (${baselineLabel})`
+      );
+    }
+  });
+
+  // Total weight should increase driver → wedge (clubs are already sorted)
+  const clubsWithTotalWeight = filterOutPutters(clubs).filter(c => c.total_weight);
+  for (let i = 1; i < clubsWithTotalWeight.length; i++) {
+    const prevClub = clubsWithTotalWeight[i - 1];
+    const currClub = clubsWithTotalWeight[i];
+    if (prevClub.totalWeightIsDefault && currClub.totalWeightIsDefault) continue;
+
+    const drop = prevClub.total_weight - currClub.total_weight;
+    if (drop >= TOTAL_WEIGHT_INVERSION_GRAMS) {
+      penalty += TOTAL_WEIGHT_INVERSION_PENALTY;
+      issues.push(
+          `${currClub.clubType} total weight ${currClub.total_weight}g is ${drop}g lighter than ${prevClub.clubType} (${prevClub.total_weight}g)`
+      );
+    }
+  }
+
+  return {
+    score: Math.max(0, 100 - penalty),
+    scorable: true,
+    issues: issues,
+    baseline: baselineLabel,
+    swingWeightAnalysis: swingWeightAnalysis,
+    defaultsNote: defaultsNote,
+    clubsUsingDefaults: clubsUsingDefaults.length
+  };
+}
+
+/**
+ * Convert numerical score to letter grade
+ */
+/**
+ * Normalize club data to standard format per Master Field Reference
+ * Handles both nested (shaft.weight) and flat (shaft_weight) structures
+ * Ensures consistent field names for all scoring functions
+ * 
+ * STANDARD FIELDS (per FitMyGolfClubs_Master_Field_Reference.md):
+ * - clubType (not club_type)
+ * - shaft_weight, shaft_flex, shaft_kickpoint, shaft_torque (flat)
+ * - lie (not lie_angle)
+ * - brand, model, year, loft, length
+ * - swing_weight ("D2"), total_weight (grams)
+ */
+function normalizeClubData(club) {
+  // Get lie value from any possible source
+  const lieValue = club.lie || club.lie_angle || null;
+  
+  return {
+    // Preserve original data
+    ...club,
+    
+    // Club identification - normalize to standard
+    clubType: club.clubType || club.club_type || null,
+    brand: club.brand || club.identification?.brand || null,
+    model: club.model || club.identification?.model || null,
+    year: club.year || club.identification?.year || null,
+    
+    // Club specs
+    loft: club.loft || null,
+    length: club.length || null,
+    lie: lieValue,          // Standard name per Master Field Reference
+    lie_angle: lieValue,    // Alternate name (for backward compatibility)
+    
+    // Shaft data - normalize nested to flat (standard format)
+    shaft_weight: club.shaft?.weight || club.shaft_weight || null,
+    shaft_flex: club.shaft?.flex || club.shaft_flex || null,
+    shaft_kickpoint: club.shaft?.kickpoint || club.shaft_kickpoint || null,
+    shaft_torque: club.shaft?.torque || club.shaft_torque || null,
+    shaft_brand: club.shaft?.brand || club.shaft_brand || null,
+    shaft_model: club.shaft?.model || club.shaft_model || null,
+    shaft_material: normalizeShaftMaterial(club.shaft?.material || club.shaft_material || club.shaftMaterial),
+    
+    // Club weight - swing weight as standard label ("D2"), total weight in grams
+    swing_weight: normalizeSwingWeight(club.swing_weight || club.swingWeight || club.specs?.swing_weight),
+    total_weight: Number(club.total_weight || club.totalWeight || club.specs?.total_weight) || null,
+    
+    // Flags
+    is_favorite: club.is_favorite || false,
+    status: club.status || 'active'
+  };
+}
+
+/**
+ * Convert numerical score to letter grade
+ */
+function scoreToGrade(score) {
+  if (score >= 90) return "A";
+  if (score >= 80) return "B";
+  if (score >= 70) return "C";
+  if (score >= 60) return "D";
+  return "F";
+}
+
+// ==========================================
+// INDIVIDUAL CLUB GRADING
+// ==========================================
+
+/**
+ * Grade individual club independently (not based on overall bag score)
+ * Returns a score from 0-100 based on the club's own merits
+ * (asOfYear pins club age for replays; defaults to the current year)
+ */
+function gradeIndividualClubIndependently(club, dominantFlex, asOfYear = null) {
+  let score = 100; // Start with perfect score
+  const issues = [];
+  const strengths = [];
+  const currentYear = asOfYear || new Date().getFullYear();
+
+  // 1. AGE ASSESSMENT (30% weight for individual club) - MUCH MORE LENIENT
+  if (club.year) {
+    const age = currentYear - club.year;
+    if (age <= 3) {
+      strengths.push(`Latest technology (${club.year})`);
+      // No penalty
+    } else if (age <= 6) {
+      score -= 3;
+      strengths.push(`Recent model (${age} years old)`);
+    } else if (age <= 9) {
+      score -= 8;
+      issues.push(`${age} years old - approaching replacement age`);
+    } else if (age <= 12) {
+      score -= 13;
+      issues.push(`${age} years old - outdated technology`);
+    } else {
+      score -= 18;
+      issues.push(`${age} years old - significantly outdated, replacement needed`);
+    }
+  } else {
+    score -= 5;
+    issues.push("Year unknown - cannot assess technology level");
+  }
+
+  // 2. SHAFT FLEX ASSESSMENT (20% weight) - MORE LENIENT
+  const isPutter = club.clubType && club.clubType.toLowerCase().includes('putter');
+  if (!isPutter) {
+    if (club.shaft?.flex || club.shaft_flex) {
+      const clubFlex = club.shaft?.flex || club.shaft_flex;
+      if (clubFlex === dominantFlex) {
+        strengths.push(`Proper flex (${clubFlex})`);
+      } else {
+        score -= 10;  // Reduced from -20
+        issues.push(`Flex mismatch: ${clubFlex} (bag standard: ${dominantFlex})`);
+      }
+    } else {
+      score -= 8;  // Reduced from -15
+      issues.push("Shaft flex data missing");
+    }
+  }
+
+  // 3. SHAFT WEIGHT ASSESSMENT (15% weight) - MORE LENIENT
+  if (club.shaft?.weight || club.shaft_weight) {
+    const weight = club.shaft?.weight || club.shaft_weight;
+    strengths.push(`Shaft weight: ${weight}g`);
+    // Weight appropriateness is relative to bag, but we note it
+  } else {
+    score -= 5;  // Reduced from -10
+    issues.push("Shaft weight data missing");
+  }
+
+  // 4. SHAFT SPECS COMPLETENESS (10% weight) - MORE LENIENT
+  const hasKickpoint = club.shaft?.kickpoint || club.shaft_kickpoint;
+  const hasTorque = club.shaft?.torque || club.shaft_torque;
+  
+  if (!hasKickpoint) {
+    score -= 3;  // Reduced from -5
+    issues.push("Kickpoint data missing");
+  } else {
+    strengths.push(`Kickpoint: ${hasKickpoint}`);
+  }
+  
+  if (!hasTorque) {
+    score -= 3;  // Reduced from -5
+    issues.push("Torque data missing");
+  } else {
+    strengths.push(`Torque: ${hasTorque}°`);
+  }
+
+  // 5. CLUB SPECS COMPLETENESS (15% weight) - MORE LENIENT
+  if (!club.loft) {
+    score -= 4;  // Reduced from -7
+    issues.push("Loft data missing");
+  } else {
+    strengths.push(`Loft: ${club.loft}°`);
+  }
+  
+  if (!club.length) {
+    score -= 3;  // Reduced from -5
+    issues.push("Length data missing");
+  } else {
+    strengths.push(`Length: ${club.length}"`);
+  }
+  
+  if (!club.lie_angle && !club.lie) {
+    score -= 2;  // Reduced from -3
+    issues.push("Lie angle data missing");
+  } else {
+    strengths.push(`Lie: ${club.lie_angle || club.lie}°`);
+  }
+
+  // 6. BRAND AND MODEL COMPLETENESS (10% weight) - MORE LENIENT
+  if (!club.brand || !club.model) {
+    score -= 5;  // Reduced from -10
+    issues.push("Brand or model information incomplete");
+  }
+
+  // Ensure score stays within 0-100
+  score = Math.max(0, Math.min(100, Math.round(score)));
+
+  return {
+    score,
+    issues,
+    strengths,
+    dataCompleteness: calculateDataCompleteness(club)
+  };
+}
+
+/**
+ * Calculate data completeness percentage for a club
+ */
+function calculateDataCompleteness(club) {
+  const fields = [
+    club.year,
+    club.brand,
+    club.model,
+    club.loft,
+    club.length,
+    club.lie_angle || club.lie,
+    club.shaft?.flex || club.shaft_flex,
+    club.shaft?.weight || club.shaft_weight,
+    club.shaft?.kickpoint || club.shaft_kickpoint,
+    club.shaft?.torque || club.shaft_torque
+  ];
+  
+  const completedFields = fields.filter(f => f !== null && f !== undefined && f !== '').length;
+  return Math.round((completedFields / fields.length) * 100);
+}
+
+// ==========================================
+// GRADING PIPELINE
+// ==========================================
+
+/**
+ * Score the consistency factors (FACTOR_KEYS) for a normalized, enriched bag
+ * 
+ * @param {Array} clubs - Output of prepareBag (normalized, defaults filled, sorted)
+ * @param {Object} context - { favoriteClubSpecs, bodyFitSpecs, asOfYear,
+ *   swingSpeed, handicap, loftGapSets, loftGapSetId }
+ * @returns {Object} Raw factor results keyed by factor (age, weight, loft, ...)
+ */
+function scoreFactors(clubs, context = {}) {
+  return {
+    age: calculateAgeScore(clubs, context.asOfYear || null),
+    weight: calculateWeightProgression(clubs, context.favoriteClubSpecs || null),
+    loft: calculateLoftGapping(clubs, {
+      swingSpeed: context.swingSpeed ?? null,
+      handicap: context.handicap ?? null,
+      loftGapSets: context.loftGapSets || null,
+      loftGapSetId: context.loftGapSetId || null
+    }),
+    flex: calculateFlexConsistency(clubs),
+    kickpoint: calculateKickpointConsistency(clubs),
+    torque: calculateTorqueConsistency(clubs),
+    length: calculateLengthProgression(clubs, context.bodyFitSpecs || null),
+    lie: calculateLieAngleProgression(clubs),
+    swingweight: calculateSwingWeightProgression(clubs)
+  };
+}
+
+/**
+ * Normalize raw club documents, fill missing specs with defaults and score factors
+ * 
+ * @param {Array} rawClubs - Club documents in any supported schema
+ * @param {Object} context - Golfer context: { favoriteClubSpecs, bodyFitSpecs, asOfYear?,
+ *   swingSpeed?, handicap?, loftGapSets?, loftGapSetId?, gripFit?, roundsPerYear?, asOfDate? }
+ * @returns {Object} { clubs, defaultsUsed, totalDefaultsUsed, factorScores, context }
+ */
+function prepareBag(rawClubs, context = {}) {
+  // Per FitMyGolfClubs_Master_Field_Reference.md:
+  // - clubType (not club_type)
+  // - shaft_weight, shaft_flex, shaft_kickpoint, shaft_torque (flat, not nested)
+  // - lie (not lie_angle)
+  const normalizedClubs = rawClubs.map(club => normalizeClubData(club));
+  
+  const enrichmentResult = enrichClubsWithAllDefaults(normalizedClubs);
+  const clubs = enrichmentResult.clubs;  // Already sorted driver → wedge
+  
+  return {
+    clubs: clubs,
+    defaultsUsed: enrichmentResult.defaultsUsed,
+    totalDefaultsUsed: enrichmentResult.totalDefaultsUsed,
+    factorScores: scoreFactors(clubs, context),
+    context: context
+  };
+}
+
+/**
+ * Most common shaft flex label in the bag (used for per-club flex checks)
+ */
+function getDominantFlex(clubs) {
+  const flexCounts = {};
+  clubs.forEach(c => {
+    const flex = c.shaft?.flex || c.shaft_flex;
+    if (flex) flexCounts[flex] = (flexCounts[flex] || 0) + 1;
+  });
+  return Object.keys(flexCounts).length > 0 ?
+    Object.keys(flexCounts).reduce((a, b) => flexCounts[a] >= flexCounts[b] ? a : b) :
+    'R';
+}
+
+/**
+ * Rule-based grading for every club in the bag (no per-club AI)
+ * Returns [{ club, grading }] or [{ club, error }] when a club cannot be graded
+ */
+function gradeEachClub(clubs, dominantFlex, asOfYear = null) {
+  return clubs.map(club => {
+    try {
+      const independentGrading = gradeIndividualClubIndependently(club, dominantFlex, asOfYear);
+      const finalScore = independentGrading.score;
+      
+      // Determine condition based on score thresholds
+      let condition = "Optimal Fit";
+      if (finalScore < 70) condition = "Replace Recommended";
+      else if (finalScore < 85) condition = "Minor Adjustment";
+      
+      // Generate rule-based recommendation text
+      let specificRecommendation = "";
+      let performanceImpact = "";
+      
+      if (independentGrading.issues.length > 0) {
+        specificRecommendation = independentGrading.issues[0];
+        performanceImpact = `Address: ${independentGrading.issues.join('; ')}`;
+      } else if (independentGrading.strengths.length > 0) {
+        specificRecommendation = "This club is well-suited to your bag setup.";
+        performanceImpact = independentGrading.strengths.join('; ');
+      } else {
+        specificRecommendation = "No significant issues detected.";
+        performanceImpact = "Performing as expected for your setup.";
+      }
+      
+      return {
+        club: club,
+        grading: {
+          grade: scoreToGrade(finalScore),
+          score: finalScore,
+          aiScore: null, // No AI score in streamlined mode
+          independentScore: independentGrading.score,
+          aiAnalysis: null, // No AI analysis in streamlined mode
+          specificRecommendation: specificRecommendation,
+          performanceImpact: performanceImpact,
+          condition: condition,
+          dataCompleteness: independentGrading.dataCompleteness,
+          issues: independentGrading.issues,
+          strengths: independentGrading.strengths
+        }
+      };
+    } catch (error) {
+      logger.error(`Error grading club ${club.id}:`, error);
+      return { club: club, error: error.message };
+    }
+  });
+}
+
+/**
+ * Convert final factor scores to the { factor_name: { score, grade } } response shape
+ */
+function formatComponentScores(finalScores) {
+  const componentScores = {};
+  FACTOR_KEYS.forEach(factor => {
+    componentScores[FACTOR_WEIGHT_KEYS[factor]] = {
+      score: finalScores[factor].score,
+      grade: scoreToGrade(finalScores[factor].score)
+    };
+  });
+  return componentScores;
+}
+
+/**
+ * Validate and normalize a set of grading weights
+ * 
+ * Accepts gradingWeights keys (loft_gapping, ...) or factor keys (loft, ...),
+ * as fractions (total 1) or percentages (total 100), and returns gradingWeights
+ * keys as fractions that sum to 1.
+ * Missing factors count as 0.
+ * 
+ * @param {Object} input - Weights to normalize
+ * @returns {Object} Normalized gradingWeights
+ * @throws {Error} If a factor is invalid, negative or the total is not 1 / 100
+ */
+function normalizeGradingWeights(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Weights must be an object');
+  }
+
+  const weights = {};
+  FACTOR_KEYS.forEach(factor => {
+    const weightKey = FACTOR_WEIGHT_KEYS[factor];
+    const raw = input[weightKey] ?? input[factor];
+    // Weight sets saved before a factor existed (e.g. swing_weight_progression) leave it out
+    const value = raw === undefined ? 0 : Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid weight for ${weightKey}`);
+    }
+    weights[weightKey] = value;
+  });
+
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  const isFraction = Math.abs(total - 1) <= 0.01;
+  const isPercent = Math.abs(total - 100) <= 1;
+  if (!isFraction && !isPercent) {
+    throw new Error(`Weights must total 100% (got ${Math.round(total > 2 ? total : total * 100)}%)`);
+  }
+
+  Object.keys(weights).forEach(key => {
+    weights[key] = Math.round((weights[key] / total) * 10000) / 10000;
+  });
+  return weights;
+}
+
+/**
+ * Grade a prepared bag
+ * 
+ * Overall score = 50% average club quality + 50% weighted consistency
+ * (consistency uses only scorable factors, weights re-normalized),
+ * minus bag composition penalties.
+ * 
+ * @param {Object} prepared - Output of prepareBag()
+ * @param {Object} weights - gradingWeights (age, weight_progression, ...)
+ * @param {Object} options - { scoreOverrides: { factor: { score, issues? } } } from Claude review
+ * @returns {Object} Factor scores, issues, club grades, overall score/grade and explainer
+ */
+function gradeBag(prepared, weights = DEFAULT_GRADING_WEIGHTS, options = {}) {
+  const { clubs, factorScores } = prepared;
+  const scoreOverrides = options.scoreOverrides || {};
+  
+  // Final scores (may be adjusted by Claude)
+  const finalScores = {};
+  FACTOR_KEYS.forEach(factor => {
+    const jsScore = factorScores[factor];
+    const override = scoreOverrides[factor];
+    finalScores[factor] = {
+      score: override && override.score !== undefined ? override.score : jsScore.score,
+      issues: override && override.issues !== undefined ? override.issues : jsScore.issues,
+      scorable: jsScore.scorable
+    };
+  });
+  
+  // Initial consistency score using FINAL scores (fed to replacement recommendations)
+  const initialConsistencyScore = Math.round(
+    FACTOR_KEYS.reduce((sum, factor) => sum + (finalScores[factor].score * (weights[FACTOR_WEIGHT_KEYS[factor]] || 0)), 0)
+  );
+  
+  // Compile all issues from FINAL scores
+  const allIssues = [];
+  FACTOR_KEYS.forEach(factor => allIssues.push(...finalScores[factor].issues));
+  
+  // Add notes about default values if any were used
+  if (factorScores.loft.defaultLoftsNote) {
+    allIssues.push(factorScores.loft.defaultLoftsNote);
+  }
+  if (factorScores.weight.defaultsNote) {
+    allIssues.push(factorScores.weight.defaultsNote);
+  }
+  if (factorScores.length.defaultsNote) {
+    allIssues.push(factorScores.length.defaultsNote);
+  }
+  if (factorScores.lie.defaultsNote) {
+    allIssues.push(factorScores.lie.defaultsNote);
+  }
+  if (factorScores.swingweight.scorable && factorScores.swingweight.defaultsNote) {
+    allIssues.push(factorScores.swingweight.defaultsNote);
+  }
+  
+  // Determine top priority fix using FINAL scores
+  const componentScores = FACTOR_KEYS.map(factor => ({
+    name: FACTOR_LABELS[factor],
+    score: finalScores[factor].score,
+    issues: finalScores[factor].issues
+  }));
+  
+  // Unscorable factors score 0 - don't let them pick the top priority fix
+  const scorableComponents = componentScores.filter((c, i) => finalScores[FACTOR_KEYS[i]].scorable !== false);
+  const lowestComponent = (scorableComponents.length > 0 ? scorableComponents : componentScores).reduce((min, curr) =>
+    curr.score < min.score ? curr : min
+  );
+  
+  const topPriorityFix = lowestComponent.issues.length > 0 ?
+    lowestComponent.issues[0] :
+    "Your bag setup is looking good! Consider minor optimizations.";
+  
+  // Bag composition and grip condition (grip is separate from grade)
+  const bagComposition = analyzeBagComposition(clubs);
+  const gripAssessment = analyzeGripCondition(clubs, prepared.context?.gripFit || null, {
+    roundsPerYear: prepared.context?.roundsPerYear ?? null,
+    asOfDate: prepared.context?.asOfDate || null
+  });
+  
+  // Individual club grading
+  const dominantFlex = getDominantFlex(clubs);
+  const clubGrades = gradeEachClub(clubs, dominantFlex, prepared.context?.asOfYear || null);
+  
+  const gradedClubs = clubGrades.filter(c => c.grading && c.grading.score !== undefined);
+  let averageClubQualityScore = 50; // Default if no scores available
+  if (gradedClubs.length > 0) {
+    const totalClubScore = gradedClubs.reduce((sum, c) => sum + (c.grading.score || 0), 0);
+    averageClubQualityScore = Math.round(totalClubScore / gradedClubs.length);
+  } else {
+    logger.warn(`No club scores available, using default: ${averageClubQualityScore}/100`);
+  }
+  
+  // Only include factors that have enough data to be scored
+  // Normalize weights based on what's actually scorable
+  const weightedFactors = FACTOR_KEYS.map(factor => ({
+    name: FACTOR_WEIGHT_KEYS[factor],
+    score: factorScores[factor],
+    weight: weights[FACTOR_WEIGHT_KEYS[factor]] || 0
+  }));
+  const scorableFactors = weightedFactors.filter(f => f.score.scorable !== false);
+  const unscoredFactors = weightedFactors.filter(f => f.score.scorable === false);
+  
+  let consistencyScore = 0;
+  if (scorableFactors.length > 0) {
+    const totalWeight = scorableFactors.reduce((sum, f) => sum + f.weight, 0);
+    consistencyScore = Math.round(
+      scorableFactors.reduce((sum, f) => sum + (f.score.score * (f.weight / totalWeight)), 0)
+    );
+  } else {
+    // If no factors are scorable, use club quality only
+    consistencyScore = averageClubQualityScore;
+    logger.warn('No consistency factors scorable - using club quality score only');
+  }
+  
+  // 50% club quality + 50% consistency
+  let overallScore = Math.round(
+    (averageClubQualityScore * 0.5) +
+    (consistencyScore * 0.5)
+  );
+  
+  // Apply bag composition penalties (missing driver, woods, etc.)
+  // NOTE: No putter penalty - we assume everyone has a putter
+  const totalBagPenalty = bagComposition.penalty;
+  bagComposition.issues.forEach(issue => allIssues.push(issue));
+  if (totalBagPenalty > 0) {
+    overallScore = Math.max(0, overallScore - totalBagPenalty);
+  }
+  
+  const overallGrade = scoreToGrade(overallScore);
+  
+  const gradeExplainer = generateGradeExplainer({
+    overallScore: overallScore,
+    overallGrade: overallGrade,
+    componentScores: finalScores,
+    bagComposition: bagComposition,
+    loftGapAnalysis: factorScores.loft.gapAnalysis || [],
+    swingWeightAnalysis: factorScores.swingweight.swingWeightAnalysis || [],
+    allIssues: allIssues
+  });
+  
+  return {
+    clubs: clubs,
+    defaultsUsed: prepared.defaultsUsed,
+    totalDefaultsUsed: prepared.totalDefaultsUsed,
+    factorScores: factorScores,
+    finalScores: finalScores,
+    initialConsistencyScore: initialConsistencyScore,
+    allIssues: allIssues,
+    componentScores: componentScores,
+    topPriorityFix: topPriorityFix,
+    bagComposition: bagComposition,
+    gripAssessment: gripAssessment,
+    dominantFlex: dominantFlex,
+    clubGrades: clubGrades,
+    averageClubQualityScore: averageClubQualityScore,
+    scorableFactors: scorableFactors.map(f => f.name),
+    unscoredFactors: unscoredFactors.map(f => f.name),
+    consistencyScore: consistencyScore,
+    totalBagPenalty: totalBagPenalty,
+    overallScore: overallScore,
+    overallGrade: overallGrade,
+    gradeExplainer: gradeExplainer
+  };
+}
+
+/**
+ * Convenience wrapper: prepareBag + gradeBag in one call
+ */
+function gradeClubs(rawClubs, weights = DEFAULT_GRADING_WEIGHTS, context = {}, options = {}) {
+  return gradeBag(prepareBag(rawClubs, context), weights, options);
+}
+
+// ==========================================
+// SCENARIO COMPARISON
+// ==========================================
+
+// component_scores key → camelCase key used by the scenario UI
+const SCENARIO_FACTOR_KEYS = {
+  age: 'age',
+  weight_progression: 'weightProgression',
+  loft_gapping: 'loftGapping',
+  flex_consistency: 'flexConsistency',
+  kickpoint_consistency: 'kickpointConsistency',
+  torque_consistency: 'torqueConsistency',
+  length_progression: 'lengthProgression',
+  lie_angle_progression: 'lieAngleProgression',
+  swing_weight_progression: 'swingWeightProgression'
+};
+
+/**
+ * Build the virtual bag for a what-if scenario
+ * 
+ * Swapped clubs keep their id and clubType unless the replacement overrides them,
+ * removed clubs are dropped and added clubs get a temporary id.
+ * 
+ * @param {Array} clubs - Current bag (raw club docs with id)
+ * @param {Array} swaps - [{ club_id, replacement }]
+ * @param {Array} additions - Club objects to add
+ * @param {Array} removals - Club ids to remove
+ * @returns {Array} Virtual clubs array
+ */
+function applySwapsToClubs(clubs, swaps = [], additions = [], removals = []) {
+  const virtualClubs = clubs
+    .filter(club => !removals.includes(club.id))
+    .map(club => ({ ...club }));
+  
+  swaps.forEach(swap => {
+    const index = virtualClubs.findIndex(c => c.id === swap.club_id);
+    if (index !== -1) {
+      const original = virtualClubs[index];
+      virtualClubs[index] = {
+        clubType: swap.replacement.clubType || original.clubType,
+        ...swap.replacement,
+        id: original.id
+      };
+    }
+  });
+  
+  additions.forEach((club, index) => {
+    virtualClubs.push({ ...club, id: club.id || `scenario-add-${index}` });
+  });
+  
+  return virtualClubs;
+}
+
+/**
+ * Summarize a graded bag for scenario comparison
+ * @param {Object} result - Output of gradeBag()/gradeClubs()
+ */
+function summarizeScenarioGrade(result) {
+  const componentScores = formatComponentScores(result.finalScores);
+  const factors = {};
+  Object.entries(SCENARIO_FACTOR_KEYS).forEach(([key, camelKey]) => {
+    factors[camelKey] = componentScores[key];
+  });
+  
+  return {
+    overall_score: result.overallScore,
+    overall_grade: result.overallGrade,
+    component_scores: componentScores,
+    factors: factors,
+    issues_found: result.allIssues,
+    top_priority_fix: result.topPriorityFix,
+    grade_explainer: result.gradeExplainer
+  };
+}
+
+/**
+ * Per-factor deltas between two summarized grades (±2 points counts as same)
+ */
+function calculateFactorChanges(current, projected) {
+  return Object.keys(SCENARIO_FACTOR_KEYS).map(factor => {
+    const fromScore = current.component_scores[factor]?.score || 0;
+    const toScore = projected.component_scores[factor]?.score || 0;
+    let status = 'same';
+    if (toScore > fromScore + 2) status = 'improved';
+    else if (toScore < fromScore - 2) status = 'declined';
+    
+    return {
+      factor,
+      from_score: fromScore,
+      to_score: toScore,
+      from_grade: current.component_scores[factor]?.grade || 'N/A',
+      to_grade: projected.component_scores[factor]?.grade || 'N/A',
+      status
+    };
+  });
+}
+
+/**
+ * Plain-language summary of a scenario's impact
+ */
+function generateScenarioSummary(currentResult, projectedResult, factorChanges) {
+  const scoreDiff = projectedResult.overall_score - currentResult.overall_score;
+  const improved = factorChanges.filter(c => c.status === 'improved');
+  const declined = factorChanges.filter(c => c.status === 'declined');
+  
+  let summary = '';
+  
+  if (scoreDiff > 5) {
+    summary += `Significant improvement (+${scoreDiff} points): ${currentResult.overall_grade} → ${projectedResult.overall_grade}. `;
+  } else if (scoreDiff > 0) {
+    summary += `Modest improvement (+${scoreDiff} points). `;
+  } else if (scoreDiff < -5) {
+    summary += `This would decrease your grade (${scoreDiff} points). Consider a different approach. `;
+  } else if (scoreDiff < 0) {
+    summary += `Slight decrease (${scoreDiff} points). `;
+  } else {
+    summary += `Minimal impact on overall grade. `;
+  }
+  
+  if (improved.length > 0) {
+    summary += `Improved: ${improved.map(f => f.factor.replace(/_/g, ' ')).join(', ')}. `;
+  }
+  if (declined.length > 0) {
+    summary += `Note: ${declined.map(f => f.factor.replace(/_/g, ' ')).join(', ')} would decline. `;
+  }
+  
+  return summary;
+}
+
+module.exports = {
+  ALGORITHM_VERSION,
+  DEFAULT_GRADING_WEIGHTS,
+  FACTOR_KEYS,
+  FACTOR_WEIGHT_KEYS,
+  FACTOR_LABELS,
+  setLogger,
+  prepareBag,
+  scoreFactors,
+  gradeBag,
+  gradeClubs,
+  formatComponentScores,
+  normalizeGradingWeights,
+  DEFAULT_LOFT_GAP_THRESHOLD_SETS,
+  LOFT_GAP_ZONES,
+  normalizeLoftGapThresholds,
+  selectLoftGapThresholdSet,
+  getDominantFlex,
+  gradeIndividualClubIndependently,
+  normalizeClubData,
+  normalizeFlexValue,
+  normalizeSwingWeight,
+  swingWeightToPoints,
+  normalizeShaftMaterial,
+  getShaftMaterial,
+  analyzeShaftMaterials,
+  enrichClubsWithAllDefaults,
+  getClubCategory,
+  isPutter,
+  scoreToGrade,
+  calculateAgeScore,
+  calculateWeightProgression,
+  calculateLoftGapping,
+  calculateFlexConsistency,
+  calculateKickpointConsistency,
+  calculateTorqueConsistency,
+  calculateBodyFitAdjustment,
+  buildStaticFitSpecSheet,
+  calculateLengthProgression,
+  calculateLieAngleProgression,
+  LIE_STRIKE_PATTERNS,
+  recommendDynamicLie,
+  calculateSwingWeightProgression,
+  analyzeBagComposition,
+  GRIP_SIZE_BUILDUP,
+  recommendGripSize,
+  DEFAULT_ROUNDS_PER_YEAR,
+  projectGripWear,
+  analyzeGripCondition,
+  generateGradeExplainer,
+  applySwapsToClubs,
+  summarizeScenarioGrade,
+  calculateFactorChanges,
+  generateScenarioSummary
+};
@@ -0,0 +1,136 @@
+/**
+ * FitMyGolfClubs Pro - Grip Fitting
+ *
+ * Grip fitting step from the Golfer Profile. Hand length, longest finger
+ * and glove size give a recommended grip size and tape build-up
+ * (recommendGripSize in gradingEngine.js), stored on the golfer:
+ *
+ *   users/{userId}.grip_fit = {
+ *     hand_length, finger_length, glove_size,
+ *     recommended_size, extra_wraps, tape_layers, source, fitted_at
+ *   }
+ *
+ * analyzeGripCondition checks each club's grip size against
+ * recommended_size instead of the bag's dominant size.
+ * - saveGripFit: Save/clear the grip fit for yourself or a client
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { recommendGripSize } = require("./gradingEngine");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+// Accepted measurement ranges (inches)
+const MEASUREMENT_LIMITS = {
+  handLength: [5, 11],
+  fingerLength: [2, 4.5]
+};
+
+const GLOVE_SIZES = ['S', 'M', 'ML', 'L', 'XL', 'XXL'];
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * @throws {Error} for out-of-range measurements or an unknown glove size
+ */
+function normalizeMeasurements(input = {}) {
+  const measurements = { handLength: null, fingerLength: null, gloveSize: null };
+
+  Object.entries(MEASUREMENT_LIMITS).forEach(([key, [min, max]]) => {
+    const raw = input?.[key];
+    if (raw === undefined || raw === null || raw === '') return;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid ${key} (must be ${min}-${max} inches)`);
+    }
+    measurements[key] = Math.round(value * 100) / 100;
+  });
+
+  if (input?.gloveSize) {
+    const gloveSize = String(input.gloveSize).toUpperCase().replace(/[^A-Z]/g, '');
+    if (!GLOVE_SIZES.includes(gloveSize)) {
+      throw new Error(`Invalid gloveSize (must be one of ${GLOVE_SIZES.join(', ')})`);
+    }
+    measurements.gloveSize = gloveSize;
+  }
+
+  return measurements;
+}
+
+// ==========================================
+// CLOUD FUNCTION: saveGripFit
+// ==========================================
+
+/**
+ * request.data:
+ * {
+ *   clientId: "client_uid",   // optional - omit to fit yourself
+ *   handLength: 7.5,          // inches, wrist crease to tip of middle finger
+ *   fingerLength: 3.0,        // inches, longest finger
+ *   gloveSize: "ML"           // S | M | ML | L | XL | XXL
+ * }
+ * No hand length or glove size clears the grip fit
+ */
+exports.saveGripFit = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const callerId = request.auth.uid;
+  const clientId = request.data?.clientId ? sanitizeText(request.data.clientId, 128) : callerId;
+
+  let measurements;
+  try {
+    measurements = normalizeMeasurements(request.data);
+  } catch (validationError) {
+    throw new HttpsError('invalid-argument', validationError.message);
+  }
+
+  const db = admin.firestore();
+  const clientRef = db.collection("users").doc(clientId);
+
+  if (clientId !== callerId) {
+    const clientDoc = await clientRef.get();
+    const clientData = clientDoc.exists ? clientDoc.data() : {};
+    if (!clientDoc.exists || (clientData.pro_id || clientData.proManagedInfo?.proUserId) !== callerId) {
+      throw new HttpsError('permission-denied', 'You do not manage this client');
+    }
+  }
+
+  const recommendation = recommendGripSize(measurements);
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+
+  const fit = recommendation ? {
+    hand_length: measurements.handLength,
+    finger_length: measurements.fingerLength,
+    glove_size: measurements.gloveSize,
+    recommended_size: recommendation.size,
+    extra_wraps: recommendation.extraWraps,
+    tape_layers: recommendation.tapeLayers,
+    source: recommendation.source
+  } : null;
+
+  await clientRef.update({
+    grip_fit: fit ? { ...fit, fitted_at: timestamp } : null,
+    updated_at: timestamp
+  });
+
+  logger.info(fit
+    ? `Grip fit for ${clientId}: ${fit.recommended_size} +${fit.extra_wraps} wraps (${fit.source})`
+    : `Cleared grip fit for ${clientId}`);
+
+  return {
+    success: true,
+    clientId,
+    gripFit: fit
+  };
+});
@@ -0,0 +1,301 @@
+/**
+ * FitMyGolfClubs Pro - Grip Wear Tracking
+ *
+ * Clubs carry a grip_installed_at date; how fast those grips wear depends on
+ * how much the golfer plays. Rounds per year come from the GHIN score history
+ * (getRecentScores) and are stored on the golfer:
+ *
+ *   users/{clientId}.rounds_estimate = { rounds_per_year, scores_counted, source, updated_at }
+ *
+ * projectGripWear (gradingEngine.js) turns install date + rounds into a
+ * projected condition. Once a week every pro's clients are projected and
+ * clients with worn grips get a reminder on the pro's dashboard:
+ *
+ *   users/{proId}/regripReminders/{clientId}
+ *
+ * - weeklyGripWearProjection: Scheduled projection + reminders
+ * - getRegripReminders: Open reminders for the pro dashboard
+ * - dismissRegripReminder: Dismiss, or mark the clubs as regripped
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { listClubs, updateClub } = require("./clubRepository");
+const { getRecentScores } = require("./ghinFunctions_v2");
+const { projectGripWear, isPutter, DEFAULT_ROUNDS_PER_YEAR } = require("./gradingEngine");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const SCORE_WINDOW_DAYS = 365;
+const SCORES_TO_FETCH = 100;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Projected conditions that put a club on a regrip reminder
+const REMINDER_CONDITIONS = ['worn', 'replace'];
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Rounds per year from GHIN scores (most recent first)
+ * 9-hole scores count as half a round. When the fetch was capped before
+ * reaching a year back, the rate over the fetched span is scaled up.
+ *
+ * @param {Array} scores - getRecentScores() result
+ * @param {Date} asOf - End of the window
+ * @returns {Object|null} { rounds_per_year, scores_counted } or null without dated scores
+ */
+function estimateRoundsPerYear(scores, asOf = new Date()) {
+  const windowStart = asOf.getTime() - SCORE_WINDOW_DAYS * MS_PER_DAY;
+
+  const rounds = (scores || [])
+    .map(score => ({
+      playedAt: new Date(score.played_at || score.PlayedAt || score.date).getTime(),
+      holes: parseInt(score.number_of_holes || score.NumberOfHoles, 10) || 18
+    }))
+    .filter(round => Number.isFinite(round.playedAt) && round.playedAt >= windowStart && round.playedAt <= asOf.getTime());
+
+  if (rounds.length === 0) return null;
+
+  const roundCount = rounds.reduce((sum, round) => sum + (round.holes <= 9 ? 0.5 : 1), 0);
+  const capped = (scores || []).length >= SCORES_TO_FETCH;
+  const earliest = Math.min(...rounds.map(round => round.playedAt));
+  const spanDays = capped ? Math.max(30, (asOf.getTime() - earliest) / MS_PER_DAY) : SCORE_WINDOW_DAYS;
+
+  return {
+    rounds_per_year: Math.round(roundCount * (SCORE_WINDOW_DAYS / spanDays)),
+    scores_counted: rounds.length
+  };
+}
+
+/**
+ * Refresh a client's GHIN rounds estimate (keeps the stored one if GHIN has nothing)
+ *
+ * @returns {Object} { roundsPerYear, source: 'ghin' | 'stored' | 'default' }
+ */
+async function refreshRoundsEstimate(clientDoc) {
+  const clientData = clientDoc.data();
+  const ghinNumber = clientData.ghin_number || clientData.ghinNumber;
+
+  if (ghinNumber) {
+    try {
+      const scores = await getRecentScores(String(ghinNumber).replace(/\D/g, ''), SCORES_TO_FETCH);
+      const estimate = estimateRoundsPerYear(scores);
+      if (estimate) {
+        await clientDoc.ref.update({
+          rounds_estimate: {
+            ...estimate,
+            source: 'ghin',
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+          }
+        });
+        return { roundsPerYear: estimate.rounds_per_year, source: 'ghin' };
+      }
+    } catch (error) {
+      logger.warn(`GHIN scores unavailable for ${clientDoc.id}:`, error.message);
+    }
+  }
+
+  if (clientData.rounds_estimate?.rounds_per_year > 0) {
+    return { roundsPerYear: clientData.rounds_estimate.rounds_per_year, source: 'stored' };
+  }
+  return { roundsPerYear: DEFAULT_ROUNDS_PER_YEAR, source: 'default' };
+}
+
+/**
+ * Project every club with a grip install date; returns the ones due for a regrip
+ */
+function findClubsDueForRegrip(clubs, roundsPerYear, asOfDate) {
+  return clubs
+    .filter(club => club.grip_installed_at && !isPutter(club))
+    .map(club => ({ club, wear: projectGripWear(club.grip_installed_at, { roundsPerYear, asOfDate }) }))
+    .filter(({ wear }) => wear && REMINDER_CONDITIONS.includes(wear.condition))
+    .map(({ club, wear }) => ({
+      clubId: club.id,
+      clubType: club.clubType || null,
+      installed_at: wear.installedAt,
+      rounds_since_install: wear.roundsSinceInstall,
+      months_since_install: wear.monthsSinceInstall,
+      wear_pct: wear.wearPct,
+      projected_condition: wear.condition,
+      due_date: wear.dueDate
+    }));
+}
+
+/**
+ * Create, update or clear a client's regrip reminder
+ * A dismissed reminder stays dismissed until more clubs come due.
+ */
+async function syncRegripReminder(db, proId, clientDoc, clubsDue, rounds) {
+  const reminderRef = db.collection("users").doc(proId).collection("regripReminders").doc(clientDoc.id);
+  const existing = await reminderRef.get();
+
+  if (clubsDue.length === 0) {
+    if (existing.exists) await reminderRef.delete();
+    return null;
+  }
+
+  const previous = existing.exists ? existing.data() : null;
+  const status = previous?.status === 'dismissed' && clubsDue.length <= (previous.clubs_due || 0)
+    ? 'dismissed'
+    : 'open';
+  const clientData = clientDoc.data();
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+
+  await reminderRef.set({
+    client_id: clientDoc.id,
+    client_name: clientData.display_name || clientData.name || null,
+    clubs: clubsDue,
+    clubs_due: clubsDue.length,
+    replace_now: clubsDue.filter(club => club.projected_condition === 'replace').length,
+    rounds_per_year: rounds.roundsPerYear,
+    rounds_source: rounds.source,
+    status: status,
+    ...(previous ? {} : { created_at: timestamp }),
+    updated_at: timestamp
+  }, { merge: true });
+
+  return status;
+}
+
+// ==========================================
+// SCHEDULED: weeklyGripWearProjection
+// ==========================================
+
+/**
+ * Runs Mondays at 7am ET (after the daily GHIN sync)
+ */
+exports.weeklyGripWearProjection = onSchedule({
+  schedule: "0 7 * * 1",
+  timeZone: "America/New_York",
+  memory: "512MiB",
+  timeoutSeconds: 540
+}, async () => {
+  logger.info("Starting weekly grip wear projection");
+
+  const db = admin.firestore();
+  const asOfDate = new Date();
+  let clientsProjected = 0;
+  let remindersOpen = 0;
+
+  try {
+    const prosSnapshot = await db.collection("users")
+      .where("account_type", "==", "professional")
+      .get();
+
+    for (const proDoc of prosSnapshot.docs) {
+      const clientsSnapshot = await db.collection("users")
+        .where("pro_id", "==", proDoc.id)
+        .get();
+
+      for (const clientDoc of clientsSnapshot.docs) {
+        try {
+          const clubs = await listClubs(db, clientDoc.id, { userData: clientDoc.data() });
+          if (!clubs.some(club => club.grip_installed_at)) continue;
+
+          const rounds = await refreshRoundsEstimate(clientDoc);
+          const clubsDue = findClubsDueForRegrip(clubs, rounds.roundsPerYear, asOfDate);
+          const status = await syncRegripReminder(db, proDoc.id, clientDoc, clubsDue, rounds);
+
+          clientsProjected++;
+          if (status === 'open') remindersOpen++;
+
+          // Rate limit: 500ms between GHIN calls
+          if (rounds.source === 'ghin') {
+            await new Promise(resolve => setTimeout(resolve, 500));
+          }
+        } catch (err) {
+          logger.error(`Grip wear projection failed for client ${clientDoc.id}:`, err.message);
+        }
+      }
+    }
+
+    logger.info(`Grip wear projection complete: ${clientsProjected} clients, ${remindersOpen} open reminders`);
+  } catch (error) {
+    logger.error("Grip wear projection error:", error);
+  }
+});
+
+// ==========================================
+// CLOUD FUNCTION: getRegripReminders
+// ==========================================
+
+exports.getRegripReminders = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const snapshot = await db.collection("users").doc(request.auth.uid)
+    .collection("regripReminders")
+    .where("status", "==", "open")
+    .get();
+
+  const reminders = snapshot.docs
+    .map(doc => {
+      const data = doc.data();
+      return {
+        ...data,
+        created_at: data.created_at?.toDate ? data.created_at.toDate().toISOString() : null,
+        updated_at: data.updated_at?.toDate ? data.updated_at.toDate().toISOString() : null
+      };
+    })
+    .sort((a, b) => (b.replace_now - a.replace_now) || (b.clubs_due - a.clubs_due));
+
+  return { reminders };
+});
+
+// ==========================================
+// CLOUD FUNCTION: dismissRegripReminder
+// ==========================================
+
+/**
+ * request.data: { clientId: "client_uid", regripped: true }
+ * regripped sets grip_installed_at to today on the reminder's clubs and
+ * clears the reminder; otherwise it is dismissed until more clubs come due
+ */
+exports.dismissRegripReminder = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const proId = request.auth.uid;
+  const clientId = sanitizeText(request.data?.clientId || '', 128);
+  if (!clientId) {
+    throw new HttpsError('invalid-argument', 'clientId required');
+  }
+
+  const db = admin.firestore();
+  const reminderRef = db.collection("users").doc(proId).collection("regripReminders").doc(clientId);
+  const reminderDoc = await reminderRef.get();
+  if (!reminderDoc.exists) {
+    throw new HttpsError('not-found', 'Regrip reminder not found');
+  }
+
+  if (request.data?.regripped === true) {
+    const today = new Date().toISOString().slice(0, 10);
+    for (const club of reminderDoc.data().clubs || []) {
+      await updateClub(db, clientId, club.clubId, { grip_installed_at: today, grip_condition: 'new' });
+    }
+    await reminderRef.delete();
+    logger.info(`Marked ${reminderDoc.data().clubs_due} clubs regripped for ${clientId}`);
+    return { success: true, clientId, regripped: true };
+  }
+
+  await reminderRef.update({
+    status: 'dismissed',
+    dismissed_at: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { success: true, clientId, regripped: false };
+});
+
+exports.estimateRoundsPerYear = estimateRoundsPerYear;
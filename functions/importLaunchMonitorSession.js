@@ -0,0 +1,596 @@
+/**
+ * FitMyGolfClubs Pro - Launch Monitor Session Import
+ *
+ * extractLaunchMonitorData reads one screenshot at a time. This imports the
+ * session files launch monitors export instead:
+ * - TrackMan, FlightScope/Mevo, Garmin R10, Foresight (GCQuad/GC3/FSX),
+ *   Rapsodo MLM2PRO CSV exports (comma, semicolon or tab separated)
+ * - JSON: an array of shots, { shots: [...] }, or TrackMan-style
+ *   { StrokeGroups: [{ Strokes: [{ Club, Measurement: {...} }] }] }
+ *
+ * Columns map to the VALIDATION_RANGES metric names (carry, spinRate,
+ * launchAngle, side, ...), metric units are converted to yds/ft/mph, and
+ * every shot runs through validateMetrics. Each shot is tagged with the bag
+ * club it was hit with (club column, clubMap override, or the clubId passed
+ * for single-club files) and written to:
+ *
+ *   users/{id}/testingSessions/{sessionId}                        - session summary
+ *   users/{id}/clubs/{clubId}/performanceData/{sessionId}.shots   - per-club shots
+ *
+ * which is where compareFittingSession reads them from.
+ * - importLaunchMonitorSession: Import a file for yourself or a client
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { listClubs, getClubRef } = require("./clubRepository");
+const {
+  validateMetrics,
+  DIRECTIONAL_METRICS,
+  METRIC_KINDS,
+  convertUnit
+} = require("./extractLaunchMonitorData");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const MAX_FILE_CHARS = 2 * 1024 * 1024;
+const MAX_SHOTS = 2000;
+const MAX_WARNINGS_RETURNED = 50;
+
+const IMPORT_FORMATS = ['trackman', 'flightscope', 'garmin', 'foresight', 'rapsodo', 'generic'];
+
+// Normalized column header -> metric name (VALIDATION_RANGES). Earlier aliases
+// win when a file has more than one column for the same metric.
+const COLUMN_ALIASES = {
+  ballSpeed: ['ball speed', 'ballspeed', 'ball spd', 'ball velocity'],
+  carry: ['carry', 'carry distance', 'carry dist', 'carry flat', 'carry yds'],
+  totalDistance: ['total', 'total distance', 'total dist', 'total flat', 'distance'],
+  launchAngle: ['launch angle', 'launch ang', 'vla', 'vertical launch', 'launch v', 'vert angle'],
+  launchDirection: ['launch direction', 'launch dir', 'hla', 'horizontal launch', 'launch h', 'side angle', 'horiz angle'],
+  spinRate: ['spin rate', 'total spin', 'back spin', 'backspin', 'spin'],
+  spinAxis: ['spin axis', 'axis', 'tilt'],
+  height: ['height', 'apex', 'max height', 'peak height', 'apex height'],
+  landingAngle: ['landing angle', 'land angle', 'descent angle', 'descent', 'land'],
+  hangTime: ['hang time', 'flight time', 'air time'],
+  side: ['side', 'offline', 'carry side', 'side carry', 'carry deviation distance', 'lateral'],
+  curve: ['curve'],
+  clubSpeed: ['club speed', 'clubhead speed', 'club head speed', 'swing speed', 'club spd'],
+  attackAngle: ['attack angle', 'angle of attack', 'aoa', 'attack ang'],
+  clubPath: ['club path', 'path', 'swing path'],
+  faceAngle: ['face angle', 'face ang', 'face to target', 'club face'],
+  faceToPath: ['face to path', 'ftp', 'face path'],
+  dynamicLoft: ['dynamic loft', 'dyn loft'],
+  spinLoft: ['spin loft'],
+  smashFactor: ['smash factor', 'smash', 'efficiency', 'smash fac'],
+  lowPoint: ['low point', 'low point distance', 'low pt']
+};
+
+const CLUB_COLUMNS = ['club', 'club type', 'club name', 'clubname', 'clubtype', 'club used'];
+
+// First-cell values of summary rows exports append after the shots
+const SUMMARY_ROW_PATTERN = /^(avg|average|mean|median|std|stdev|std dev|deviation|min|max|total|consistency)\b/i;
+
+// Keywords (file preamble/headers) that identify the exporting device
+const FORMAT_SIGNATURES = [
+  { format: 'trackman', keywords: ['trackman', 'dyn loft', 'dynamic loft', 'spin loft'] },
+  { format: 'garmin', keywords: ['garmin', 'approach r10', 'carry deviation distance'] },
+  { format: 'foresight', keywords: ['foresight', 'gcquad', 'gc3', 'fsx', 'face to target'] },
+  { format: 'rapsodo', keywords: ['rapsodo', 'mlm2pro', 'side carry'] },
+  { format: 'flightscope', keywords: ['flightscope', 'mevo', 'fs golf'] }
+];
+
+// ==========================================
+// PARSING HELPERS
+// ==========================================
+
+function normalizeHeader(header) {
+  return String(header || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')     // camelCase JSON keys
+    .toLowerCase()
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')         // units in brackets
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function extractUnit(text) {
+  const match = String(text || '').match(/[([]\s*([a-z/]+)\s*[)\]]/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Map headers to metrics: { columnIndex: metric }, plus the club column
+ */
+function mapColumns(headers) {
+  const columns = {};
+  const chosen = {};     // metric -> alias rank of the column that claimed it
+  let clubColumn = null;
+
+  headers.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    if (clubColumn === null && CLUB_COLUMNS.includes(normalized)) {
+      clubColumn = index;
+      return;
+    }
+    for (const [metric, aliases] of Object.entries(COLUMN_ALIASES)) {
+      const rank = aliases.indexOf(normalized);
+      if (rank === -1) continue;
+      if (chosen[metric] === undefined || rank < chosen[metric].rank) {
+        if (chosen[metric]) delete columns[chosen[metric].index];
+        chosen[metric] = { rank, index };
+        columns[index] = metric;
+      }
+      break;
+    }
+  });
+
+  return { columns, clubColumn };
+}
+
+function detectFormat(text) {
+  const lower = text.toLowerCase();
+  const match = FORMAT_SIGNATURES.find(signature => signature.keywords.some(k => lower.includes(k)));
+  return match ? match.format : 'generic';
+}
+
+/**
+ * Number from an export cell: "152.3", "L 5.2", "5.2R", "6,650" (thousands),
+ * "12,4" (semicolon files)
+ */
+function parseCell(value, metric, decimalComma) {
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+  let text = String(value ?? '').trim().replace(/^"|"$/g, '');
+  text = decimalComma ? text.replace(',', '.') : text.replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+
+  const match = text.match(/^([LR])?\s*(-?\d+(?:\.\d+)?)\s*([LR])?$/i);
+  if (!match) return null;
+
+  let number = parseFloat(match[2]);
+  const side = (match[1] || match[3] || '').toUpperCase();
+  if (side && DIRECTIONAL_METRICS.includes(metric)) {
+    number = side === 'L' ? -Math.abs(number) : Math.abs(number);
+  }
+  return number;
+}
+
+/**
+ * Split CSV text into rows (quoted fields, embedded delimiters)
+ */
+function parseDelimited(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const sample = lines.slice(0, 10).join('\n');
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, count: sample.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const rows = lines.map(line => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        if (quoted && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          quoted = !quoted;
+        }
+      } else if (char === delimiter && !quoted) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  });
+
+  return { rows, delimiter };
+}
+
+// ==========================================
+// PARSERS
+// ==========================================
+
+/**
+ * Parse a CSV export into shots
+ *
+ * @returns {Object} { shots: [{ clubLabel, metrics, row }], columns, format, warnings }
+ */
+function parseCsvExport(text) {
+  const { rows, delimiter } = parseDelimited(text);
+  const warnings = [];
+
+  // Header = first row with at least three recognisable metric columns (skips preambles)
+  const headerIndex = rows.findIndex(row => Object.keys(mapColumns(row).columns).length >= 3);
+  if (headerIndex === -1) {
+    throw new Error('No launch monitor columns found (expected headers like Ball Speed, Carry, Spin Rate)');
+  }
+
+  const headers = rows[headerIndex];
+  const { columns, clubColumn } = mapColumns(headers);
+
+  // Units: in the header ("Carry (m)") or in a units row right below it ("[m]", "mph")
+  const unitsRow = rows[headerIndex + 1] &&
+    rows[headerIndex + 1].every(cell => cell === '' || /^[[(]?[a-z/°%]+[\])]?$/i.test(cell))
+    ? rows[headerIndex + 1]
+    : null;
+  const units = headers.map((header, index) =>
+    extractUnit(header) || (unitsRow ? extractUnit(`[${unitsRow[index].replace(/[[\]()]/g, '')}]`) : null)
+  );
+
+  const decimalComma = delimiter === ';';
+  const shots = [];
+
+  rows.slice(headerIndex + (unitsRow ? 2 : 1)).forEach((row, i) => {
+    if (SUMMARY_ROW_PATTERN.test(row[0] || '') || (clubColumn !== null && SUMMARY_ROW_PATTERN.test(row[clubColumn] || ''))) {
+      return;
+    }
+
+    const metrics = {};
+    const unreadable = [];
+    Object.entries(columns).forEach(([index, metric]) => {
+      const value = parseCell(row[index], metric, decimalComma);
+      if (value !== null) metrics[metric] = convertUnit(value, metric, units[index]);
+      else if ((row[index] || '').trim() !== '') unreadable.push(`${headers[index]} "${row[index]}"`);
+    });
+
+    if (metrics.ballSpeed === undefined && metrics.carry === undefined) return;
+    const rowNumber = headerIndex + (unitsRow ? 3 : 2) + i;
+    if (unreadable.length > 0) {
+      warnings.push(`Row ${rowNumber}: could not read ${unreadable.join(', ')}`);
+    }
+    shots.push({
+      clubLabel: clubColumn !== null ? row[clubColumn] || null : null,
+      metrics,
+      row: rowNumber
+    });
+  });
+
+  const unmapped = headers.filter((header, index) => header && columns[index] === undefined && index !== clubColumn);
+  if (unmapped.length > 0) {
+    warnings.push(`Ignored columns: ${unmapped.slice(0, 15).join(', ')}${unmapped.length > 15 ? '...' : ''}`);
+  }
+
+  return {
+    shots,
+    columns: Object.fromEntries(Object.entries(columns).map(([index, metric]) => [headers[index], metric])),
+    format: detectFormat(rows.slice(0, headerIndex + 1).map(row => row.join(' ')).join(' ')),
+    warnings
+  };
+}
+
+/**
+ * Parse a JSON export into shots
+ */
+function parseJsonExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  // TrackMan-style stroke groups, or a flat array / { shots }
+  // TrackMan JSON measurements are SI (m/s, m)
+  let items;
+  let siUnits = false;
+  if (Array.isArray(data)) {
+    items = data;
+  } else if (Array.isArray(data?.StrokeGroups)) {
+    items = data.StrokeGroups.flatMap(group => (group.Strokes || []).map(stroke => ({ Club: group.Club, ...stroke })));
+    siUnits = true;
+  } else {
+    items = data?.shots || data?.Shots || data?.strokes || data?.Strokes || null;
+  }
+  if (!Array.isArray(items)) {
+    throw new Error('JSON must be an array of shots or contain shots / StrokeGroups');
+  }
+
+  const columnsSeen = {};
+  const shots = [];
+  const warnings = [];
+  items.forEach((item, i) => {
+    if (!item || typeof item !== 'object') return;
+    const fields = { ...item, ...(item.Measurement || item.measurement || {}) };
+
+    const keys = Object.keys(fields);
+    const { columns, clubColumn } = mapColumns(keys);
+    const metrics = {};
+    const unreadable = [];
+    Object.entries(columns).forEach(([index, metric]) => {
+      const key = keys[index];
+      const value = parseCell(fields[key], metric, false);
+      if (value !== null) {
+        const unit = extractUnit(key) || (siUnits ? (METRIC_KINDS[metric] === 'speed' ? 'm/s' : 'm') : null);
+        metrics[metric] = convertUnit(value, metric, unit);
+        columnsSeen[key] = metric;
+      } else if (fields[key] !== null && fields[key] !== undefined && String(fields[key]).trim() !== '') {
+        unreadable.push(`${key} "${fields[key]}"`);
+      }
+    });
+
+    if (metrics.ballSpeed === undefined && metrics.carry === undefined) return;
+    if (unreadable.length > 0) {
+      warnings.push(`Row ${i + 1}: could not read ${unreadable.join(', ')}`);
+    }
+    shots.push({
+      clubLabel: clubColumn !== null ? String(fields[keys[clubColumn]] || '') || null : null,
+      metrics,
+      row: i + 1
+    });
+  });
+
+  return {
+    shots,
+    columns: columnsSeen,
+    format: siUnits ? 'trackman' : detectFormat(text.slice(0, 2000)),
+    warnings
+  };
+}
+
+// ==========================================
+// CLUB MATCHING
+// ==========================================
+
+/**
+ * Comparable key for a club label: "7 Iron", "7i", "Iron 7", "7-Iron" -> "7i"
+ */
+function clubKey(label) {
+  const text = String(label || '').toLowerCase().replace(/[_.-]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  if (/\bdriver\b|^dr$|^1w$/.test(text)) return 'driver';
+  if (text.includes('putter')) return 'putter';
+  if (/pitching|^pw$|^p$/.test(text)) return 'pw';
+  if (/\bgap\b|approach wedge|^gw$|^aw$|^uw$/.test(text)) return 'gw';
+  if (/\bsand\b|^sw$/.test(text)) return 'sw';
+  if (/\blob\b|^lw$/.test(text)) return 'lw';
+
+  const numbered = (pattern, suffix) => {
+    const match = text.match(pattern);
+    return match ? `${match[1] || match[2]}${suffix}` : null;
+  };
+  return numbered(/(\d+)\s*(?:w|wood)\b|wood\s*(\d+)/, 'w') ||
+    numbered(/(\d+)\s*(?:h|hy|hyb|hybrid|rescue|ut|utility)\b|(?:hybrid|rescue)\s*(\d+)/, 'h') ||
+    numbered(/(\d+)\s*(?:i|iron)\b|iron\s*(\d+)/, 'i') ||
+    numbered(/\b(4[6-9]|5\d|6[0-4])\s*(?:°|deg|degree)?(?:\s*wedge)?\b|wedge\s*(\d{2})/, '') ||
+    text;
+}
+
+/**
+ * Resolve each shot's bag club
+ *
+ * @param {Array} shots - Parsed shots ({ clubLabel })
+ * @param {Array} clubs - Bag clubs (listClubs)
+ * @param {Object} options - { clubId, clubMap: { "7 Iron": "clubDocId" } }
+ */
+function assignClubs(shots, clubs, { clubId = null, clubMap = {} } = {}) {
+  const byKey = {};
+  clubs.forEach(club => {
+    const key = clubKey(club.clubType);
+    if (key && !byKey[key]) byKey[key] = club;
+    // Wedges are often logged by loft ("56°")
+    if (club.loft && /wedge/i.test(club.clubType || '')) {
+      const loftKey = String(Math.round(club.loft));
+      if (!byKey[loftKey]) byKey[loftKey] = club;
+    }
+  });
+  const fallback = clubId ? clubs.find(c => c.id === clubId) || null : null;
+
+  return shots.map(shot => {
+    const mapped = shot.clubLabel && clubMap[shot.clubLabel]
+      ? clubs.find(c => c.id === clubMap[shot.clubLabel]) || null
+      : null;
+    const club = mapped || (shot.clubLabel ? byKey[clubKey(shot.clubLabel)] : null) || (shot.clubLabel ? null : fallback);
+    return { ...shot, clubId: club ? club.id : null, clubType: club ? club.clubType : null };
+  });
+}
+
+function average(shots, metric) {
+  const values = shots.map(shot => shot[metric]).filter(v => typeof v === 'number');
+  return values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10 : null;
+}
+
+// ==========================================
+// CLOUD FUNCTION: importLaunchMonitorSession
+// ==========================================
+
+/**
+ * request.data:
+ * {
+ *   clientId: "client_uid",          // optional - omit for your own bag
+ *   fileName: "session.csv",
+ *   content: "<file text>",          // or contentBase64
+ *   format: "trackman",              // optional - detected from the file
+ *   sessionId: "session_123",        // optional - append to an existing session
+ *   sessionName: "Iron fitting",     // optional - for new sessions
+ *   clubId: "club_doc_id",           // optional - club for files without a club column
+ *   clubMap: { "7 Iron": "club_doc_id" }   // optional - overrides label matching
+ * }
+ */
+exports.importLaunchMonitorSession = onCall({ timeoutSeconds: 120, memory: "512MiB" }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const callerId = request.auth.uid;
+  const data = request.data || {};
+  const clientId = data.clientId ? sanitizeText(data.clientId, 128) : callerId;
+  const fileName = sanitizeText(data.fileName || 'import', 200);
+
+  let content = typeof data.content === 'string' ? data.content : null;
+  if (!content && typeof data.contentBase64 === 'string') {
+    content = Buffer.from(data.contentBase64.split('base64,').pop(), 'base64').toString('utf8');
+  }
+  if (!content || content.trim() === '') {
+    throw new HttpsError('invalid-argument', 'File content required');
+  }
+  if (content.length > MAX_FILE_CHARS) {
+    throw new HttpsError('invalid-argument', 'File too large (2 MB max)');
+  }
+  if (data.format && !IMPORT_FORMATS.includes(data.format)) {
+    throw new HttpsError('invalid-argument', `Invalid format (must be one of ${IMPORT_FORMATS.join(', ')})`);
+  }
+
+  const db = admin.firestore();
+  const clientDoc = await db.collection("users").doc(clientId).get();
+  if (!clientDoc.exists) {
+    throw new HttpsError('not-found', 'User not found');
+  }
+
+  const clientData = clientDoc.data();
+  if (clientId !== callerId && (clientData.pro_id || clientData.proManagedInfo?.proUserId) !== callerId) {
+    throw new HttpsError('permission-denied', 'You do not manage this client');
+  }
+
+  // Parse
+  const text = content.replace(/^﻿/, '').trim();
+  const isJson = text.startsWith('[') || text.startsWith('{');
+  let parsed;
+  try {
+    parsed = isJson ? parseJsonExport(text) : parseCsvExport(text);
+  } catch (error) {
+    throw new HttpsError('invalid-argument', error.message);
+  }
+  if (parsed.shots.length === 0) {
+    throw new HttpsError('invalid-argument', 'No shots found in file');
+  }
+  if (parsed.shots.length > MAX_SHOTS) {
+    throw new HttpsError('invalid-argument', `Too many shots (${MAX_SHOTS} max per import)`);
+  }
+  const format = data.format || parsed.format;
+
+  // Tag each shot with its bag club, then validate against that club type
+  const clubs = await listClubs(db, clientId, { userData: clientData });
+  const clubMap = data.clubMap && typeof data.clubMap === 'object' ? data.clubMap : {};
+  const tagged = assignClubs(parsed.shots, clubs, {
+    clubId: data.clubId ? sanitizeText(data.clubId, 128) : null,
+    clubMap
+  });
+
+  const warnings = [...parsed.warnings];
+  const importedAt = new Date().toISOString();
+  const shotsByClub = {};
+  const unassigned = [];
+
+  tagged.forEach((shot, i) => {
+    const { validatedMetrics, validationWarnings } = validateMetrics(shot.metrics, shot.clubType || shot.clubLabel);
+    validationWarnings.forEach(w => warnings.push(`Row ${shot.row}: ${w}`));
+
+    const record = {
+      shotNumber: i + 1,
+      ...validatedMetrics,
+      clubLabel: shot.clubLabel,
+      source: format
+    };
+    if (shot.clubId) {
+      (shotsByClub[shot.clubId] = shotsByClub[shot.clubId] || []).push(record);
+    } else {
+      unassigned.push(record);
+    }
+  });
+
+  if (unassigned.length > 0) {
+    const labels = [...new Set(unassigned.map(shot => shot.clubLabel || '(no club column)'))];
+    warnings.push(`${unassigned.length} shots not matched to a bag club: ${labels.join(', ')} - pass clubMap or clubId`);
+  }
+
+  // Session: append to the given one or start a new one
+  const sessionsRef = db.collection("users").doc(clientId).collection("testingSessions");
+  let sessionId = data.sessionId ? sanitizeText(data.sessionId, 100) : null;
+  let session = null;
+  if (sessionId) {
+    const sessionDoc = await sessionsRef.doc(sessionId).get();
+    if (!sessionDoc.exists) {
+      throw new HttpsError('not-found', 'Testing session not found');
+    }
+    session = sessionDoc.data();
+  } else {
+    sessionId = `session_${Date.now()}`;
+  }
+
+  // Per-club shots (appended to any already imported for this session)
+  const clubsTested = [...(session?.clubsTested || [])];
+  for (const [clubId, shots] of Object.entries(shotsByClub)) {
+    const club = clubs.find(c => c.id === clubId);
+    const perfRef = getClubRef(db, clientId, clubId).collection("performanceData").doc(sessionId);
+    const existing = await perfRef.get();
+    const allShots = [...(existing.exists ? existing.data().shots || [] : []), ...shots]
+      .map((shot, i) => ({ ...shot, shotNumber: i + 1 }));
+
+    await perfRef.set({
+      sessionId,
+      clubId,
+      clubType: club.clubType || null,
+      testDate: existing.exists ? existing.data().testDate : admin.firestore.FieldValue.serverTimestamp(),
+      shots: allShots,
+      source: { format, fileName, importedAt }
+    });
+
+    const summary = {
+      clubId,
+      clubType: club.clubType || null,
+      shotsHit: allShots.length,
+      avgCarry: average(allShots, 'carry'),
+      avgTotal: average(allShots, 'totalDistance'),
+      avgBallSpeed: average(allShots, 'ballSpeed')
+    };
+    const index = clubsTested.findIndex(c => c.clubId === clubId);
+    if (index >= 0) clubsTested[index] = summary;
+    else clubsTested.push(summary);
+  }
+
+  const importRecord = {
+    fileName,
+    format,
+    importedAt,
+    shots: parsed.shots.length,
+    unassigned: unassigned.length
+  };
+
+  await sessionsRef.doc(sessionId).set({
+    ...(session ? {} : {
+      sessionId,
+      sessionDate: admin.firestore.FieldValue.serverTimestamp(),
+      sessionName: sanitizeText(data.sessionName || '', 100) || `${fileName} import`,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    }),
+    clubsTested,
+    totalShots: clubsTested.reduce((sum, c) => sum + c.shotsHit, 0),
+    totalClubsTested: clubsTested.length,
+    unassignedShots: [...(session?.unassignedShots || []), ...unassigned],
+    imports: [...(session?.imports || []), importRecord],
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  logger.info(`Imported ${parsed.shots.length} ${format} shots for ${clientId} into ${sessionId} (${unassigned.length} unassigned)`);
+
+  return {
+    success: true,
+    clientId,
+    sessionId,
+    format,
+    shotsImported: parsed.shots.length - unassigned.length,
+    clubs: Object.entries(shotsByClub).map(([clubId, shots]) => ({
+      clubId,
+      clubType: clubs.find(c => c.id === clubId)?.clubType || null,
+      shots: shots.length
+    })),
+    unassigned: unassigned.length,
+    columns: parsed.columns,
+    warnings: warnings.slice(0, MAX_WARNINGS_RETURNED),
+    totalWarnings: warnings.length
+  };
+});
+
+exports.parseCsvExport = parseCsvExport;
+exports.parseJsonExport = parseJsonExport;
+exports.clubKey = clubKey;
@@ -1,5 +1,30 @@
 const {onRequest, onCall} = require("firebase-functions/v2/https");
 const {sanitizeUserId, sanitizeText} = require("./sanitization");
+const {
+  prepareBag,
+  gradeBag,
+  formatComponentScores,
+  gradeIndividualClubIndependently,
+  normalizeFlexValue,
+  scoreToGrade,
+  gradeClubs,
+  applySwapsToClubs,
+  summarizeScenarioGrade,
+  calculateFactorChanges,
+  generateScenarioSummary,
+  FACTOR_KEYS,
+  DEFAULT_GRADING_WEIGHTS,
+  ALGORITHM_VERSION
+} = require("./gradingEngine");
+const { resolveGradingWeights } = require("./weightProfiles");
+const { resolveLoftGapSets } = require("./loftGapThresholds");
+const { debitCredits, safeRefundCredits } = require("./creditLedger");
+const { listClubs, getClub, getClubRef, addClub, archiveClub, fillShaftMaterials } = require("./clubRepository");
+const { AI_STEPS, getAIProvider, parseAIJson } = require("./aiProvider");
+const { scoreFactorsForEngine } = require("./aiFactorScoring");
+const { registerBagGrader, gradeBagInProcess } = require("./bagGradeRunner");
+const { evaluateLaunchWindows } = require("./launchWindows");
+const { getClubSpecKey } = require("./specCatalogMatch");
 const functions = require("firebase-functions");
 const logger = require("firebase-functions/logger");
 const admin = require("firebase-admin");
@@ -53,6 +78,19 @@ const CLAUDE_API_URL = "https://api.anthropic.com/v1/messages";
 // Helper to get API key for axios calls (legacy functions)
 const getClaudeApiKey = () => getAnthropicKey();
 
+/**
+ * Launch window inputs from a saved test's club data (launch/spin or launchAngle/spinRate)
+ */
+function launchWindowMetrics(clubData) {
+  return {
+    clubSpeed: clubData.clubSpeed,
+    launchAngle: clubData.launch || clubData.launchAngle,
+    spinRate: clubData.spin || clubData.spinRate,
+    landingAngle: clubData.landingAngle,
+    height: clubData.height
+  };
+}
+
 /**
  * Get aggregated swing profile from user's saved tests
  * Creates a learning loop by analyzing actual performance data
@@ -97,6 +135,8 @@ async function getSwingProfile(db, userId) {
           ballSpeed: [],
           clubSpeed: [],
           carry: [],
+          landingAngle: [],
+          height: [],
           dates: [] // Track test dates
         };
       }
@@ -122,6 +162,8 @@ async function getSwingProfile(db, userId) {
       addMetric(m.ballSpeed, clubAData.ballSpeed);
       addMetric(m.clubSpeed, clubAData.clubSpeed);
       addMetric(m.carry, clubAData.carry);
+      addMetric(m.landingAngle, clubAData.landingAngle);
+      addMetric(m.height, clubAData.height);
       
       // Track test results for history
       if (test.winner && test.net_gains) {
@@ -131,7 +173,12 @@ async function getSwingProfile(db, userId) {
           testedClub: `${test.club_b?.brand || ''} ${test.club_b?.model || ''}`.trim(),
           winner: test.winner,
           carryGain: test.net_gains?.carry || 0,
-          date: testDate
+          date: testDate,
+          // In/out of optimal launch window for both clubs tested
+          windows: {
+            a: evaluateLaunchWindows(clubType, launchWindowMetrics(clubAData)),
+            b: evaluateLaunchWindows(clubType, launchWindowMetrics(test.club_b_data || {}))
+          }
         });
       }
     });
@@ -167,8 +214,17 @@ async function getSwingProfile(db, userId) {
         avgSpinRate: avg(metrics.spinRate),
         avgBallSpeed: avg(metrics.ballSpeed),
         avgClubSpeed: avg(metrics.clubSpeed),
-        avgCarry: avg(metrics.carry)
+        avgCarry: avg(metrics.carry),
+        avgLandingAngle: avg(metrics.landingAngle),
+        avgHeight: avg(metrics.height)
       };
+      swingProfile[clubType].launchWindows = evaluateLaunchWindows(clubType, {
+        clubSpeed: swingProfile[clubType].avgClubSpeed,
+        launchAngle: swingProfile[clubType].avgLaunchAngle,
+        spinRate: swingProfile[clubType].avgSpinRate,
+        landingAngle: swingProfile[clubType].avgLandingAngle,
+        height: swingProfile[clubType].avgHeight
+      });
       
       // Calculate progression (recent vs older) if enough data
       const progression = [];
@@ -307,6 +363,18 @@ function formatSwingProfileForPrompt(swingProfile) {
     if (data.avgAttackAngle) prompt += `| Attack Angle | ${data.avgAttackAngle}° |\n`;
     if (data.avgClubPath) prompt += `| Club Path | ${data.avgClubPath}° |\n`;
     if (data.avgFaceAngle) prompt += `| Face Angle | ${data.avgFaceAngle}° |\n`;
+    if (data.avgLandingAngle) prompt += `| Descent Angle | ${data.avgLandingAngle}° |\n`;
+    if (data.avgHeight) prompt += `| Peak Height | ${data.avgHeight} ft |\n`;
+    
+    // Optimal windows for this club at the golfer's speed
+    if (data.launchWindows) {
+      const windows = data.launchWindows;
+      prompt += `\n**Launch Windows** (${windows.speedBand} speed band${windows.speedMeasured ? '' : ', club speed not measured'}): `;
+      prompt += windows.inWindow ? 'all measured metrics in window\n' : `out of window on ${windows.outOfWindow.length} metric(s)\n`;
+      Object.values(windows.verdicts).forEach(verdict => {
+        prompt += `- ${verdict.status === 'in' ? '✅' : '⚠️'} ${verdict.label}\n`;
+      });
+    }
     
     if (data.insights && data.insights.length > 0) {
       prompt += `\n**Swing Pattern Insights:**\n`;
@@ -332,6 +400,12 @@ function formatSwingProfileForPrompt(swingProfile) {
       const result = test.winner === 'a' ? 'Current club won' : 
                      test.winner === 'b' ? `${test.testedClub} won (+${test.carryGain} yds)` : 'Tie';
       prompt += `- ${test.clubType}: ${test.myClub} vs ${test.testedClub} → ${result}\n`;
+      [['a', test.myClub], ['b', test.testedClub]].forEach(([side, name]) => {
+        const windows = test.windows?.[side];
+        if (windows && !windows.inWindow) {
+          prompt += `  - ${name || 'Club ' + side.toUpperCase()} out of window: ${windows.outOfWindow.map(metric => windows.verdicts[metric].label).join('; ')}\n`;
+        }
+      });
     });
     prompt += '\n';
   }
@@ -570,18 +644,8 @@ try {
 
     const analysisData = analysisDoc.data();
 
-    // Fetch user's clubs from Firestore
-    // Note: userId is stored as a Firestore Reference, not a string
-    const userRef = admin.firestore().collection("users").doc(userId);
-    const clubsSnapshot = await admin.firestore()
-        .collection("clubs")
-        .where("userId", "==", userRef)
-        .get();
-
-    const clubs = [];
-    clubsSnapshot.forEach((doc) => {
-      clubs.push({id: doc.id, ...doc.data()});
-    });
+    // Fetch user's clubs
+    const clubs = await listClubs(admin.firestore(), userId);
 
     // Fetch user profile for handicap info
     const userDoc = await admin.firestore()
@@ -673,11 +737,10 @@ try {
  */
 function buildClaudePrompt(analysisData, clubs, userData, swingProfile = null, aiInsights = null) {
   const clubsList = clubs.map((club) => {
-    const rawFlex = club.shaft?.flex || club.shaft_flex;
-    const normalizedFlex = rawFlex ? normalizeFlexValue(rawFlex) : 'N/A';
+    const normalizedFlex = club.shaft_flex ? normalizeFlexValue(club.shaft_flex) : 'N/A';
     return `- ${club.clubType}: ${club.brand} ${club.model}, ` +
-    `${club.shaft?.brand || 'Unknown'} ${club.shaft?.model || ''} (${normalizedFlex}), ` +
-    `${club.shaft?.weight || 'N/A'}g, ${club.length || 'N/A'}"`;
+    `${club.shaft_brand || 'Unknown'} ${club.shaft_model || ''} (${normalizedFlex}), ` +
+    `${club.shaft_weight || 'N/A'}g, ${club.length || 'N/A'}"`;
   }).join("\n");
 
   let prompt = `You are an expert golf club fitter analyzing a golfer's equipment. 
@@ -715,7 +778,7 @@ Focus on:
 2. The most important improvements to make
 3. Specific, actionable recommendations
 4. How these changes will help their game
-${swingProfile ? '5. Use the measured swing data to personalize recommendations (e.g., if high spin, suggest lower-spin options)' : ''}
+${swingProfile ? '5. Use the measured swing data to personalize recommendations (e.g., if high spin, suggest lower-spin options), citing the launch window numbers for any metric out of window' : ''}
 ${aiInsights && aiInsights.summaries?.length > 0 ? '6. Reference relevant insights from previous sessions to show continuity' : ''}
 
 Keep the tone professional but friendly and encouraging. Remember that golfers can be 
@@ -926,148 +989,14 @@ function calculateAverageShaftWeight(clubs) {
  */
 
 /**
- * Grade individual club independently (not based on overall bag score)
- * Returns a score from 0-100 based on the club's own merits
+ * Use AI to provide intelligent bag-level analysis and grading
  */
-function gradeIndividualClubIndependently(club, dominantFlex) {
-  let score = 100; // Start with perfect score
-  const issues = [];
-  const strengths = [];
-  const currentYear = new Date().getFullYear();
-
-  // 1. AGE ASSESSMENT (30% weight for individual club) - MUCH MORE LENIENT
-  if (club.year) {
-    const age = currentYear - club.year;
-    if (age <= 3) {
-      strengths.push(`Latest technology (${club.year})`);
-      // No penalty
-    } else if (age <= 6) {
-      score -= 3;
-      strengths.push(`Recent model (${age} years old)`);
-    } else if (age <= 9) {
-      score -= 8;
-      issues.push(`${age} years old - approaching replacement age`);
-    } else if (age <= 12) {
-      score -= 13;
-      issues.push(`${age} years old - outdated technology`);
-    } else {
-      score -= 18;
-      issues.push(`${age} years old - significantly outdated, replacement needed`);
-    }
-  } else {
-    score -= 5;
-    issues.push("Year unknown - cannot assess technology level");
-  }
-
-  // 2. SHAFT FLEX ASSESSMENT (20% weight) - MORE LENIENT
-  const isPutter = club.clubType && club.clubType.toLowerCase().includes('putter');
-  if (!isPutter) {
-    if (club.shaft?.flex || club.shaft_flex) {
-      const clubFlex = club.shaft?.flex || club.shaft_flex;
-      if (clubFlex === dominantFlex) {
-        strengths.push(`Proper flex (${clubFlex})`);
-      } else {
-        score -= 10;  // Reduced from -20
-        issues.push(`Flex mismatch: ${clubFlex} (bag standard: ${dominantFlex})`);
-      }
-    } else {
-      score -= 8;  // Reduced from -15
-      issues.push("Shaft flex data missing");
-    }
-  }
-
-  // 3. SHAFT WEIGHT ASSESSMENT (15% weight) - MORE LENIENT
-  if (club.shaft?.weight || club.shaft_weight) {
-    const weight = club.shaft?.weight || club.shaft_weight;
-    strengths.push(`Shaft weight: ${weight}g`);
-    // Weight appropriateness is relative to bag, but we note it
-  } else {
-    score -= 5;  // Reduced from -10
-    issues.push("Shaft weight data missing");
-  }
-
-  // 4. SHAFT SPECS COMPLETENESS (10% weight) - MORE LENIENT
-  const hasKickpoint = club.shaft?.kickpoint || club.shaft_kickpoint;
-  const hasTorque = club.shaft?.torque || club.shaft_torque;
-  
-  if (!hasKickpoint) {
-    score -= 3;  // Reduced from -5
-    issues.push("Kickpoint data missing");
-  } else {
-    strengths.push(`Kickpoint: ${hasKickpoint}`);
-  }
-  
-  if (!hasTorque) {
-    score -= 3;  // Reduced from -5
-    issues.push("Torque data missing");
-  } else {
-    strengths.push(`Torque: ${hasTorque}°`);
-  }
-
-  // 5. CLUB SPECS COMPLETENESS (15% weight) - MORE LENIENT
-  if (!club.loft) {
-    score -= 4;  // Reduced from -7
-    issues.push("Loft data missing");
-  } else {
-    strengths.push(`Loft: ${club.loft}°`);
-  }
-  
-  if (!club.length) {
-    score -= 3;  // Reduced from -5
-    issues.push("Length data missing");
-  } else {
-    strengths.push(`Length: ${club.length}"`);
-  }
-  
-  if (!club.lie_angle && !club.lie) {
-    score -= 2;  // Reduced from -3
-    issues.push("Lie angle data missing");
-  } else {
-    strengths.push(`Lie: ${club.lie_angle || club.lie}°`);
-  }
-
-  // 6. BRAND AND MODEL COMPLETENESS (10% weight) - MORE LENIENT
-  if (!club.brand || !club.model) {
-    score -= 5;  // Reduced from -10
-    issues.push("Brand or model information incomplete");
+async function generateAIBagAnalysis(clubs, componentScores, overallScore, overallGrade, allIssues, userContext, scoringContext = {}, aiProvider = getAIProvider()) {
+  if (!aiProvider.isAvailable()) {
+    logger.info(`AI bag analysis skipped: ${aiProvider.unavailableReason()}`);
+    return algorithmOnlyBagAnalysis(overallScore, overallGrade, allIssues, aiProvider.unavailableReason());
   }
 
-  // Ensure score stays within 0-100
-  score = Math.max(0, Math.min(100, Math.round(score)));
-
-  return {
-    score,
-    issues,
-    strengths,
-    dataCompleteness: calculateDataCompleteness(club)
-  };
-}
-
-/**
- * Calculate data completeness percentage for a club
- */
-function calculateDataCompleteness(club) {
-  const fields = [
-    club.year,
-    club.brand,
-    club.model,
-    club.loft,
-    club.length,
-    club.lie_angle || club.lie,
-    club.shaft?.flex || club.shaft_flex,
-    club.shaft?.weight || club.shaft_weight,
-    club.shaft?.kickpoint || club.shaft_kickpoint,
-    club.shaft?.torque || club.shaft_torque
-  ];
-  
-  const completedFields = fields.filter(f => f !== null && f !== undefined && f !== '').length;
-  return Math.round((completedFields / fields.length) * 100);
-}
-
-/**
- * Use AI to provide intelligent bag-level analysis and grading
- */
-async function generateAIBagAnalysis(clubs, componentScores, overallScore, overallGrade, allIssues, userContext, scoringContext = {}) {
   try {
     const clubsSummary = clubs.map(club => {
       const age = club.year ? new Date().getFullYear() - club.year : 'Unknown';
@@ -1087,7 +1016,8 @@ async function generateAIBagAnalysis(clubs, componentScores, overallScore, overa
       kickpoint: componentScores.find(c => c.name === 'kickpoint consistency')?.score || 0,
       torque: componentScores.find(c => c.name === 'torque consistency')?.score || 0,
       length: componentScores.find(c => c.name === 'length progression')?.score || 0,
-      lie: componentScores.find(c => c.name === 'lie angle progression')?.score || 0
+      lie: componentScores.find(c => c.name === 'lie angle progression')?.score || 0,
+      swingweight: componentScores.find(c => c.name === 'swing weight progression')?.score || 0
     };
 
     const prompt = `You are an expert golf club fitter analyzing a complete golf bag setup. Review the algorithm's per-factor scores and suggest adjustments based on your expert judgment.
@@ -1109,6 +1039,7 @@ ALGORITHM FACTOR SCORES (0-100):
 - Torque Consistency: ${rawScores.torque}
 - Length Progression: ${rawScores.length}
 - Lie Angle Progression: ${rawScores.lie}
+- Swing Weight Progression: ${rawScores.swingweight}
 
 DETECTED ISSUES:
 ${allIssues.length > 0 ? allIssues.map((issue, i) => `${i + 1}. ${issue}`).join('\n') : 'No major issues detected'}
@@ -1148,7 +1079,8 @@ Respond with ONLY valid JSON in this exact format:
     "kickpoint": <number -10 to +10>,
     "torque": <number -10 to +10>,
     "length": <number -10 to +10>,
-    "lie": <number -10 to +10>
+    "lie": <number -10 to +10>,
+    "swingweight": <number -10 to +10>
   },
   "adjustmentSummary": "<1-2 sentences explaining the most significant adjustments>",
   "overallAssessment": "<2-3 sentence summary of the bag's overall quality>",
@@ -1166,38 +1098,13 @@ Respond with ONLY valid JSON in this exact format:
   }
 }`;
 
-    const claudeResponse = await axios.post(
-      CLAUDE_API_URL,
-      {
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 2000,
-        messages: [
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-      },
-      {
-        headers: {
-          "x-api-key": getClaudeApiKey(),
-          "anthropic-version": "2023-06-01",
-          "content-type": "application/json",
-        },
-        timeout: 30000, // 30 second timeout
-      }
-    );
-
-    const responseText = claudeResponse.data.content[0].text;
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    
-    if (!jsonMatch) {
-      throw new Error("Could not parse AI bag analysis response");
-    }
-    
-    // Sanitize JSON: remove + signs before numbers (AI sometimes returns +5 instead of 5)
-    const sanitizedJson = jsonMatch[0].replace(/:\s*\+(\d)/g, ': $1');
-    const aiAnalysis = JSON.parse(sanitizedJson);
+    const responseText = await aiProvider.complete({
+      step: AI_STEPS.BAG_ANALYSIS,
+      prompt,
+      maxTokens: 2000,
+      timeout: 30000 // 30 second timeout
+    });
+    const aiAnalysis = parseAIJson(responseText);
     
     // Apply guardrails to factor adjustments
     const appliedAdjustments = applyAdjustmentGuardrails(rawScores, aiAnalysis.factorAdjustments || {});
@@ -1215,7 +1122,8 @@ Respond with ONLY valid JSON in this exact format:
       'kickpoint_consistency': 'kickpoint',
       'torque_consistency': 'torque',
       'length_progression': 'length',
-      'lie_angle_progression': 'lie'
+      'lie_angle_progression': 'lie',
+      'swing_weight_progression': 'swingweight'
     };
     
     // Use provided grading weights or fallback to defaults
@@ -1227,7 +1135,8 @@ Respond with ONLY valid JSON in this exact format:
       kickpoint_consistency: 0.10,
       torque_consistency: 0.05,
       length_progression: 0.10,
-      lie_angle_progression: 0.10
+      lie_angle_progression: 0.10,
+      swing_weight_progression: 0.05
     };
     
     // Get scorable factors (or assume all if not provided)
@@ -1280,31 +1189,40 @@ Respond with ONLY valid JSON in this exact format:
       keyWeaknesses: aiAnalysis.keyWeaknesses,
       priorityRecommendations: aiAnalysis.priorityRecommendations,
       bagPersonality: aiAnalysis.bagPersonality,
-      salesOpportunities: aiAnalysis.salesOpportunities || null
+      salesOpportunities: aiAnalysis.salesOpportunities || null,
+      aiSkipped: false,
+      aiSkippedReason: null
     };
 
   } catch (error) {
     logger.warn(`AI bag analysis failed: ${error.message}`);
-    
-    // Fallback to algorithm scores (no AI adjustment)
-    // User-friendly message that doesn't expose technical details
-    return {
-      aiAdjustedScore: overallScore,
-      aiGrade: overallGrade,
-      algorithmScore: overallScore,
-      aiAdjustmentTotal: 0,
-      factorAdjustments: [],
-      adjustmentSummary: "AI insights temporarily unavailable. Your grade is based on our equipment analysis algorithm.",
-      overallAssessment: "Your bag has been analyzed using our equipment grading algorithm. AI-powered insights will be available on your next analysis.",
-      keyStrengths: ["Equipment analyzed using proven grading methodology"],
-      keyWeaknesses: allIssues.slice(0, 3),
-      priorityRecommendations: allIssues.length > 0 ? ["Address the issues listed above for the biggest improvement"] : ["Your equipment setup looks solid!"],
-      bagPersonality: "Analysis complete - re-grade for AI-powered insights",
-      salesOpportunities: null
-    };
+    return algorithmOnlyBagAnalysis(overallScore, overallGrade, allIssues, `AI request failed: ${error.message}`);
   }
 }
 
+/**
+ * Fallback to algorithm scores (no AI adjustment) when AI is unavailable or fails
+ * User-friendly message that doesn't expose technical details
+ */
+function algorithmOnlyBagAnalysis(overallScore, overallGrade, allIssues, skippedReason) {
+  return {
+    aiAdjustedScore: overallScore,
+    aiGrade: overallGrade,
+    algorithmScore: overallScore,
+    aiAdjustmentTotal: 0,
+    factorAdjustments: [],
+    adjustmentSummary: "AI insights temporarily unavailable. Your grade is based on our equipment analysis algorithm.",
+    overallAssessment: "Your bag has been analyzed using our equipment grading algorithm. AI-powered insights will be available on your next analysis.",
+    keyStrengths: ["Equipment analyzed using proven grading methodology"],
+    keyWeaknesses: allIssues.slice(0, 3),
+    priorityRecommendations: allIssues.length > 0 ? ["Address the issues listed above for the biggest improvement"] : ["Your equipment setup looks solid!"],
+    bagPersonality: "Analysis complete - re-grade for AI-powered insights",
+    salesOpportunities: null,
+    aiSkipped: true,
+    aiSkippedReason: skippedReason
+  };
+}
+
 /**
  * Apply guardrails to AI factor adjustments
  * Rules:
@@ -1313,7 +1231,7 @@ Respond with ONLY valid JSON in this exact format:
  * - Floor: No factor below 60
  */
 function applyAdjustmentGuardrails(rawScores, aiAdjustments) {
-  const factors = ['age', 'weight', 'loft', 'flex', 'kickpoint', 'torque', 'length', 'lie'];
+  const factors = ['age', 'weight', 'loft', 'flex', 'kickpoint', 'torque', 'length', 'lie', 'swingweight'];
   const finalScores = {};
   const adjustmentDetails = [];
   
@@ -1470,8 +1388,9 @@ Respond ONLY with valid JSON. Be specific and actionable.`;
 /**
  * Cloud Function: initializeAlgorithmVersioning
  * 
- * ONE-TIME SETUP FUNCTION
- * Creates the algorithmVersions collection and seeds it with v2.0 (current algorithm)
+ * SETUP FUNCTION - call once per engine version
+ * Seeds algorithmVersions with the current ALGORITHM_VERSION (gradingEngine.js)
+ * and its default weights, and supersedes the previous default version
  * 
  * Call this function once after deployment via its URL:
  * https://us-central1-YOUR-PROJECT-ID.cloudfunctions.net/initializeAlgorithmVersioning
@@ -1494,43 +1413,35 @@ exports.initializeAlgorithmVersioning = onRequest(async (req, res) => {
     logger.info("Initializing algorithm versioning system...");
 
     const db = admin.firestore();
-    const versionRef = db.collection("algorithmVersions").doc("v2.0");
+    const versionNumber = ALGORITHM_VERSION.versionNumber;
+    const versionRef = db.collection("algorithmVersions").doc(`v${versionNumber}`);
 
-    // Check if v2.0 already exists
+    // Check if the current version already exists
     const existingVersion = await versionRef.get();
     
     if (existingVersion.exists) {
-      logger.info("Algorithm version v2.0 already exists");
+      logger.info(`Algorithm version v${versionNumber} already exists`);
       res.status(200).json({
         success: true,
         message: "Algorithm versioning already initialized",
-        versionNumber: "2.0",
+        versionNumber: versionNumber,
         status: existingVersion.data().status,
         note: "No changes made - version already exists"
       });
       return;
     }
 
-    // Create v2.0 with current 8-variable algorithm
-    const v2Config = {
-      versionNumber: "2.0",
+    // Seed the current engine version with its default weights
+    const versionConfig = {
+      versionNumber: versionNumber,
       deployedAt: admin.firestore.FieldValue.serverTimestamp(),
       deployedBy: "sean@fitmygolfclubs.com",
-      changelog: "Initial version with 8-variable grading system: age (20%), weight progression (15%), loft gapping (20%), flex consistency (10%), kickpoint consistency (10%), torque consistency (5%), length progression (10%), lie angle progression (10%)",
+      changelog: ALGORITHM_VERSION.changelog,
       status: "active",
       isDefault: true,
       
       config: {
-        gradingWeights: {
-          age: 0.20,
-          weight_progression: 0.20,
-          loft_gapping: 0.20,
-          flex_consistency: 0.05,
-          kickpoint_consistency: 0.10,
-          torque_consistency: 0.05,
-          length_progression: 0.10,
-          lie_angle_progression: 0.10
-        },
+        gradingWeights: { ...DEFAULT_GRADING_WEIGHTS },
         
         featureFlags: {
           performanceDataEnabled: true,
@@ -1554,22 +1465,30 @@ exports.initializeAlgorithmVersioning = onRequest(async (req, res) => {
       }
     };
 
-    await versionRef.set(v2Config);
+    // Earlier versions (e.g. v2.0, 8 factors) stay for replays but stop being the default
+    const previousDefaults = await db.collection("algorithmVersions")
+      .where("isDefault", "==", true)
+      .get();
+    const batch = db.batch();
+    previousDefaults.docs.forEach(doc => batch.update(doc.ref, { isDefault: false, status: "superseded" }));
+    batch.set(versionRef, versionConfig);
+    await batch.commit();
     
-    logger.info("✅ Successfully initialized algorithm versioning with v2.0");
+    logger.info(`✅ Successfully initialized algorithm versioning with v${versionNumber} (${previousDefaults.size} previous default(s) superseded)`);
 
     res.status(200).json({
       success: true,
       message: "Algorithm versioning initialized successfully!",
       versionCreated: {
-        versionNumber: "2.0",
+        versionNumber: versionNumber,
         status: "active",
         isDefault: true,
-        weights: v2Config.config.gradingWeights
+        weights: versionConfig.config.gradingWeights
       },
+      supersededVersions: previousDefaults.docs.map(doc => doc.data().versionNumber),
       nextSteps: [
         "1. Check Firebase Console: algorithmVersions collection",
-        "2. Verify v2.0 document was created",
+        `2. Verify v${versionNumber} document was created`,
         "3. Run a bag analysis to test version tracking",
         "4. New analyses will now include algorithmVersion metadata"
       ]
@@ -1585,285 +1504,124 @@ exports.initializeAlgorithmVersioning = onRequest(async (req, res) => {
 });
 
 
+
 /**
- * Claude Factor Review Function
+ * Load the favorite club and body fit baselines for a user
+ * Shared by gradeUserBag and runScenario so scenarios grade with the same context
  * 
- * Takes JS-calculated factor scores and raw data, asks Claude to review and adjust.
- * Adjustments are capped at ±15 points per factor.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - User ID
+ * @param {Object} profileData - users/{userId} document data
+ * @returns {Object} { favoriteClubSpecs, bodyFitSpecs } (either may be null)
  */
-async function claudeReviewFactorScores(clubs, jsScores, clubsRawData) {
-  const ADJUSTMENT_CAP = 15;
-  
-  try {
-    // Build club summary for context
-    const clubsSummary = clubs.map(club => {
-      const age = club.year ? new Date().getFullYear() - club.year : 'Unknown';
-      const rawFlex = club.shaft?.flex || club.shaft_flex;
-      const normalizedFlex = rawFlex ? normalizeFlexValue(rawFlex) : '?';
-      return `- ${club.clubType || club.club_type}: ${club.brand} ${club.model} (${club.year || 'Year unknown'})
-  Shaft: ${normalizedFlex} flex, ${club.shaft?.weight || club.shaft_weight || '?'}g, ${club.shaft?.kickpoint || club.shaft_kickpoint || '?'} kickpoint
-  Loft: ${club.loft || '?'}°, Length: ${club.length || '?'}", Lie: ${club.lie_angle || club.lie || '?'}°`;
-    }).join('\n');
-
-    const prompt = `You are an expert golf club fitter reviewing algorithm-generated factor scores for a golf bag.
-
-GOLF BAG (${clubs.length} clubs):
-${clubsSummary}
-
-JAVASCRIPT ALGORITHM SCORES (0-100 scale):
-1. Age Score: ${jsScores.age.score}/100
-   Issues: ${jsScores.age.issues.join('; ') || 'None'}
-
-2. Weight Progression: ${jsScores.weight.score}/100
-   Issues: ${jsScores.weight.issues.join('; ') || 'None'}
-
-3. Loft Gapping: ${jsScores.loft.score}/100
-   Issues: ${jsScores.loft.issues.join('; ') || 'None'}
-
-4. Flex Consistency: ${jsScores.flex.score}/100
-   Issues: ${jsScores.flex.issues.join('; ') || 'None'}
-
-5. Kickpoint Consistency: ${jsScores.kickpoint.score}/100
-   Issues: ${jsScores.kickpoint.issues.join('; ') || 'None'}
-
-6. Torque Consistency: ${jsScores.torque.score}/100
-   Issues: ${jsScores.torque.issues.join('; ') || 'None'}
-
-7. Length Progression: ${jsScores.length.score}/100
-   Issues: ${jsScores.length.issues.join('; ') || 'None'}
-
-8. Lie Angle Progression: ${jsScores.lie.score}/100
-   Issues: ${jsScores.lie.issues.join('; ') || 'None'}
-
-TASK:
-Review each factor score. If you believe the algorithm made an error or missed important context, provide an adjusted score. You may adjust UP or DOWN by a maximum of ${ADJUSTMENT_CAP} points per factor.
-
-Consider:
-- A 10-year-old putter is fine; a 10-year-old driver needs upgrading
-- Mixed flex woods/irons is common and acceptable
-- Brand variety doesn't necessarily indicate a problem
-- Missing data should lower confidence, not harshly penalize
-- WEIGHT: Woods use GRAPHITE shafts (55-70g), irons use STEEL shafts (90-130g). This 40-60g jump between graphite woods and steel irons is NORMAL - do NOT penalize cross-material weight differences
+async function loadBaselineSpecs(db, userId, profileData) {
+  const parseNumber = (val) => {
+    if (val === undefined || val === null || val === '') return null;
+    const n = Number(val);
+    return Number.isFinite(n) ? n : null;
+  };
 
-Respond ONLY with valid JSON in this exact format:
-{
-  "age": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
-  "weight": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
-  "loft": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
-  "flex": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
-  "kickpoint": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
-  "torque": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
-  "length": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"},
-  "lie": {"adjusted": true/false, "score": <number>, "reason": "<brief reason if adjusted>"}
-}`;
+  // ==========================================
+  // FAVORITE CLUB BASELINE (Patent Pending)
+  // ==========================================
+  let favoriteClubSpecs = null;
+  const useFavoriteBaseline = profileData?.use_favorite_baseline === true;
+  const favoriteClubId = profileData?.favorite_club_id || null;
 
-    const claudeResponse = await axios.post(
-      CLAUDE_API_URL,
-      {
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 1000,
-        messages: [{ role: "user", content: prompt }],
-      },
-      {
-        headers: {
-          "x-api-key": getClaudeApiKey(),
-          "anthropic-version": "2023-06-01",
-          "content-type": "application/json",
-        },
-      }
-    );
+  // DEBUG: Log baseline settings
+  logger.info(`BASELINE-CHECK-V1: use_favorite_baseline=${profileData?.use_favorite_baseline}, favorite_club_id=${favoriteClubId}`);
 
-    const responseText = claudeResponse.data.content[0].text;
-    
-    // Parse JSON from response
-    let claudeReview;
+  if (useFavoriteBaseline && favoriteClubId) {
     try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        // Sanitize JSON: remove + signs before numbers
-        const sanitizedJson = jsonMatch[0].replace(/:\s*\+(\d)/g, ': $1');
-        claudeReview = JSON.parse(sanitizedJson);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      logger.warn('Failed to parse Claude review response:', parseError.message);
-      return null;
-    }
-
-    // Apply adjustment caps and build result
-    const factors = ['age', 'weight', 'loft', 'flex', 'kickpoint', 'torque', 'length', 'lie'];
-    const result = {};
-
-    factors.forEach(factor => {
-      const jsScore = jsScores[factor].score;
-      const review = claudeReview[factor];
-      
-      if (review && review.adjusted) {
-        // Cap adjustment
-        let adjustedScore = review.score;
-        const diff = adjustedScore - jsScore;
-        
-        if (Math.abs(diff) > ADJUSTMENT_CAP) {
-          adjustedScore = jsScore + (diff > 0 ? ADJUSTMENT_CAP : -ADJUSTMENT_CAP);
-          logger.info(`Capped ${factor} adjustment: ${review.score} -> ${adjustedScore}`);
-        }
-        
-        result[factor] = {
-          jsScore: jsScore,
-          claudeScore: adjustedScore,
-          finalScore: adjustedScore,
-          adjusted: true,
-          reason: review.reason || 'No reason provided'
+      const fcData = await getClub(db, userId, favoriteClubId, { userData: profileData });
+
+      if (fcData) {
+        favoriteClubSpecs = {
+          id: favoriteClubId,
+          clubType: fcData.clubType || 'Unknown',
+          shaft_weight: parseNumber(fcData.shaft_weight),
+          shaft_flex: fcData.shaft_flex || null,
+          shaft_kickpoint: fcData.shaft_kickpoint || null,
+          shaft_material: fcData.shaft_material || null,
+          shaft_brand: fcData.shaft_brand || null,
+          shaft_model: fcData.shaft_model || null,
+          length: parseNumber(fcData.length)
         };
+        logger.info(`★ Favorite club baseline enabled: ${favoriteClubSpecs.clubType} (${favoriteClubSpecs.shaft_weight}g)`);
       } else {
-        result[factor] = {
-          jsScore: jsScore,
-          claudeScore: jsScore,
-          finalScore: jsScore,
-          adjusted: false,
-          reason: null
-        };
+        logger.warn(`⚠️ Favorite club ${favoriteClubId} not found - using zone averages`);
       }
-    });
-
-    return result;
+    } catch (fcErr) {
+      logger.error('Error fetching favorite club:', fcErr);
+    }
+  }
 
-  } catch (error) {
-    logger.error('Claude factor review failed:', error.message);
-    return null;
+  // ==========================================
+  // BODY FIT BASELINE EXTRACTION
+  // ==========================================
+  let bodyFitSpecs = null;
+  const useBodyFitBaseline = profileData?.use_body_baseline === true;
+  const heightInches = profileData?.height_inches || null;
+  const wristToFloor = profileData?.wrist_to_floor || null;
+
+  logger.info(`BODY-FIT-CHECK: use_body_baseline=${profileData?.use_body_baseline}, height_inches=${heightInches}, wtf=${wristToFloor}`);
+
+  if (useBodyFitBaseline && heightInches && wristToFloor) {
+    // Validate measurements are within reasonable range
+    if (heightInches >= 54 && heightInches <= 84 && wristToFloor >= 25 && wristToFloor <= 45) {
+      const feet = Math.floor(heightInches / 12);
+      const inches = heightInches % 12;
+      bodyFitSpecs = {
+        heightInches: heightInches,
+        heightDisplay: `${feet}'${inches}"`,
+        wristToFloor: wristToFloor
+      };
+      logger.info(`📏 Body fit baseline enabled: ${bodyFitSpecs.heightDisplay}, WTF: ${wristToFloor}"`);
+    } else {
+      logger.warn(`⚠️ Body measurements out of range - height: ${heightInches}", wtf: ${wristToFloor}"`);
+    }
   }
+
+  return { favoriteClubSpecs, bodyFitSpecs };
 }
 
 /**
- * Claude Full Factor Scoring Function
- * 
- * For 'claude' engine mode - Claude scores all factors from raw data.
+ * Latest real (non-scenario) bag_analysis for a user, or null
+ * Looks a few docs back since scenario runs are stored in the same collection
  */
-async function claudeScoreFactors(clubs) {
-  try {
-    const clubsSummary = clubs.map(club => {
-      const age = club.year ? new Date().getFullYear() - club.year : 'Unknown';
-      const rawFlex = club.shaft?.flex || club.shaft_flex;
-      const normalizedFlex = rawFlex ? normalizeFlexValue(rawFlex) : '?';
-      return `- ${club.clubType || club.club_type}: ${club.brand} ${club.model} (${club.year || 'Year unknown'})
-  Shaft: ${normalizedFlex} flex, ${club.shaft?.weight || club.shaft_weight || '?'}g, ${club.shaft?.kickpoint || club.shaft_kickpoint || '?'} kickpoint, ${club.shaft?.torque || club.shaft_torque || '?'} torque
-  Loft: ${club.loft || '?'}°, Length: ${club.length || '?'}", Lie: ${club.lie_angle || club.lie || '?'}°`;
-    }).join('\n');
-
-    const prompt = `You are an expert golf club fitter scoring a golf bag on 8 factors.
-
-GOLF BAG (${clubs.length} clubs):
-${clubsSummary}
-
-Score each factor from 0-100 and identify issues:
-
-1. AGE: Are the clubs modern or outdated? Consider that putters age well, drivers don't.
-2. WEIGHT PROGRESSION: Woods use GRAPHITE shafts (55-70g), irons use STEEL shafts (90-130g). This 40-60g material jump is NORMAL. Only penalize inconsistencies WITHIN same material type (e.g., one steel iron at 80g when others are 100g).
-3. LOFT GAPPING: Are there ~4° gaps between clubs? Any large gaps or redundant lofts?
-4. FLEX CONSISTENCY: Are shaft flex LABELS consistent? NOTE: Flex ratings have NO industry standard - a "Stiff" from one brand may differ from another. Only check for label consistency, not "correct" flex for swing speed.
-5. KICKPOINT CONSISTENCY: Are kickpoints aligned? (High = lower flight, Low = higher flight)
-6. TORQUE CONSISTENCY: Is torque similar across clubs? Lower torque = more control.
-7. LENGTH PROGRESSION: Do lengths decrease ~0.5" per club?
-8. LIE ANGLE: Are lie angles appropriate and progressing correctly?
-
-Respond ONLY with valid JSON:
-{
-  "age": {"score": <0-100>, "issues": ["issue1", "issue2"]},
-  "weight": {"score": <0-100>, "issues": []},
-  "loft": {"score": <0-100>, "issues": []},
-  "flex": {"score": <0-100>, "issues": []},
-  "kickpoint": {"score": <0-100>, "issues": []},
-  "torque": {"score": <0-100>, "issues": []},
-  "length": {"score": <0-100>, "issues": []},
-  "lie": {"score": <0-100>, "issues": []}
-}`;
-
-    const claudeResponse = await axios.post(
-      CLAUDE_API_URL,
-      {
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 1000,
-        messages: [{ role: "user", content: prompt }],
-      },
-      {
-        headers: {
-          "x-api-key": getClaudeApiKey(),
-          "anthropic-version": "2023-06-01",
-          "content-type": "application/json",
-        },
-      }
-    );
-
-    const responseText = claudeResponse.data.content[0].text;
-    
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      // Sanitize JSON: remove + signs before numbers
-      const sanitizedJson = jsonMatch[0].replace(/:\s*\+(\d)/g, ': $1');
-      return JSON.parse(sanitizedJson);
-    }
-    
-    return null;
-
-  } catch (error) {
-    logger.error('Claude full scoring failed:', error.message);
-    return null;
-  }
+async function getLatestBagAnalysis(db, userId) {
+  const analysisSnapshot = await db.collection("bag_analysis")
+    .where("user_id", "==", userId)
+    .orderBy("analyzed_at", "desc")
+    .limit(10)
+    .get();
+  const latest = analysisSnapshot.docs.find(doc => doc.data().is_scenario !== true);
+  return latest ? latest.data() : null;
 }
 
-
 /**
- * Cloud Function: gradeUserBag (UPDATED WITH ALGORITHM VERSIONING)
- * 
- * Calculates equipment grades for a user's golf bag based on:
- * 1. Age of clubs (20% weight)
- * 2. Shaft weight progression (15% weight)
- * 3. Loft gapping (20% weight)
- * 4. Shaft flex consistency (10% weight)
- * 5. Kickpoint consistency (10% weight)
- * 6. Shaft torque consistency (5% weight)
- * 7. Length progression (10% weight)
- * 8. Lie angle progression (10% weight)
- * 
- * NOW INCLUDES:
- * - Algorithm version tracking
- * - Input data snapshot for reprocessing
- * - Version metrics updates
- * - Config snapshot with each analysis
- * 
- * Expected request body:
- * {
- *   "userId": "user_id_here"
- * }
+ * Grade a user's bag - the gradeUserBag pipeline without the HTTP layer.
+ * gradeUserBag serves it over HTTP; other functions call it in-process
+ * through bagGradeRunner.gradeBagInProcess.
+ *
+ * @param {Object} requestBody - { userId, engine?, clubs?, isScenario?, scenarioName?, handicap?, ... }
+ * @param {Object} options - { actorId: account billed (null bills the golfer's pro), chargeCredits: false skips the debit }
+ * @returns {Object} { status, body } - HTTP status and JSON response body
  */
-exports.gradeUserBag = onRequest({
-  timeoutSeconds: 540,  // 9 minutes (maximum allowed)
-  memory: "1GiB",       // 1GB RAM for AI processing
-  cors: true            // Enable CORS automatically
-}, async (req, res) => {
-  // Set CORS headers
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type");
-
-  // Handle preflight requests
-  if (req.method === "OPTIONS") {
-    res.status(204).send("");
-    return;
-  }
+async function runGradeUserBag(requestBody, { actorId = null, chargeCredits = true } = {}) {
+  // Credit debit for this grade (refunded if grading fails)
+  let creditDebit = null;
 
   try {
     // SECURITY: Sanitize input
 let userId;
 try {
-  const rawUserId = req.body.userId;
+  const rawUserId = requestBody.userId;
   
   if (!rawUserId || typeof rawUserId !== 'string') {
-    res.status(400).json({
+    return { status: 400, body: {
       error: 'Invalid request: userId must be a string',
-    });
-    return;
+    } };
   }
   
   userId = sanitizeUserId(rawUserId);
@@ -1873,38 +1631,36 @@ try {
   
 } catch (sanitizeError) {
   logger.error('Sanitization error:', sanitizeError.message);
-  res.status(400).json({
+  return { status: 400, body: {
     error: 'Invalid userId format'
-  });
-  return;
+  } };
 }
 
     // Get grading engine mode (javascript, hybrid, or claude)
-    const engine = req.body.engine || 'javascript';
+    const engine = requestBody.engine || 'javascript';
     const validEngines = ['javascript', 'hybrid', 'claude'];
     if (!validEngines.includes(engine)) {
-      res.status(400).json({ error: 'Invalid engine mode. Use: javascript, hybrid, or claude' });
-      return;
+      return { status: 400, body: { error: 'Invalid engine mode. Use: javascript, hybrid, or claude' } };
     }
     logger.info(`Grading engine mode: ${engine}`);
 
     // ==========================================
     // SCENARIO MODE: Optional parameters for what-if analysis
     // ==========================================
-    const providedClubs = req.body.clubs;  // Optional: array of clubs with swaps applied
-    const isScenario = req.body.isScenario === true;
-    const scenarioName = req.body.scenarioName || `Scenario ${new Date().toLocaleDateString()}`;
+    const providedClubs = requestBody.clubs;  // Optional: array of clubs with swaps applied
+    const isScenario = requestBody.isScenario === true;
+    const scenarioName = requestBody.scenarioName || `Scenario ${new Date().toLocaleDateString()}`;
     
     if (isScenario) {
       logger.info(`SCENARIO MODE: ${scenarioName}`);
       if (!providedClubs || !Array.isArray(providedClubs) || providedClubs.length === 0) {
-        res.status(400).json({ error: 'Scenario mode requires clubs array' });
-        return;
+        return { status: 400, body: { error: 'Scenario mode requires clubs array' } };
       }
     }
 
     // OPTIONAL: User context (handicap, swing speed, technical preference)
     // Prefer Firestore user profile fields; fall back to request body if provided
+    let userProfileData = {};
     let userHandicap = null;
     let userSwingSpeed = null;
     let userTechnicalPreference = null;
@@ -1913,6 +1669,7 @@ try {
       const db = admin.firestore();
       const userProfile = await db.collection("users").doc(userId).get();
       const profileData = userProfile.exists ? userProfile.data() : {};
+      userProfileData = profileData;
 
       // Helper to read number safely
       const parseNumber = (val) => {
@@ -1927,137 +1684,45 @@ try {
       userTechnicalPreference = profileData?.technicalPreference ?? profileData?.TechnicalPreference ?? null;
 
       // ==========================================
-      // FAVORITE CLUB BASELINE (Patent Pending)
-      // ==========================================
-      var favoriteClubSpecs = null;
-      const useFavoriteBaseline = profileData?.use_favorite_baseline === true;
-      const favoriteClubId = profileData?.favorite_club_id || null;
-// DEBUG: Log baseline settings
-      logger.info(`BASELINE-CHECK-V1: use_favorite_baseline=${profileData?.use_favorite_baseline}, favorite_club_id=${favoriteClubId}`);
-      
-      // DEBUG: Log baseline settings
-      logger.info(`BASELINE-CHECK-V1: use_favorite_baseline=${profileData?.use_favorite_baseline}, favorite_club_id=${favoriteClubId}`);
-      
-      if (useFavoriteBaseline && favoriteClubId) {
-        try {
-          const favoriteClubDoc = await db.collection("users").doc(userId)
-            .collection("clubs").doc(favoriteClubId).get();
-          
-          if (favoriteClubDoc.exists) {
-            const fcData = favoriteClubDoc.data();
-            favoriteClubSpecs = {
-              id: favoriteClubId,
-              clubType: fcData.club_type || fcData.clubType || 'Unknown',
-              shaft_weight: parseNumber(fcData.shaft_weight),
-              shaft_flex: fcData.shaft_flex || null,
-              shaft_kickpoint: fcData.shaft_kickpoint || null,
-              length: parseNumber(fcData.length)
-            };
-            logger.info(`★ Favorite club baseline enabled: ${favoriteClubSpecs.clubType} (${favoriteClubSpecs.shaft_weight}g)`);
-          } else {
-            logger.warn(`⚠️ Favorite club ${favoriteClubId} not found - using zone averages`);
-          }
-        } catch (fcErr) {
-          logger.error('Error fetching favorite club:', fcErr);
-        }
-      }
-
-      // ==========================================
-      // BODY FIT BASELINE EXTRACTION
+      // FAVORITE CLUB + BODY FIT BASELINES (Patent Pending)
       // ==========================================
-      var bodyFitSpecs = null;
-      const useBodyFitBaseline = profileData?.use_body_baseline === true;
-      const heightInches = profileData?.height_inches || null;
-      const wristToFloor = profileData?.wrist_to_floor || null;
-
-      logger.info(`BODY-FIT-CHECK: use_body_baseline=${profileData?.use_body_baseline}, height_inches=${heightInches}, wtf=${wristToFloor}`);
-
-      if (useBodyFitBaseline && heightInches && wristToFloor) {
-        // Validate measurements are within reasonable range
-        if (heightInches >= 54 && heightInches <= 84 && wristToFloor >= 25 && wristToFloor <= 45) {
-          const feet = Math.floor(heightInches / 12);
-          const inches = heightInches % 12;
-          bodyFitSpecs = {
-            heightInches: heightInches,
-            heightDisplay: `${feet}'${inches}"`,
-            wristToFloor: wristToFloor
-          };
-          logger.info(`📏 Body fit baseline enabled: ${bodyFitSpecs.heightDisplay}, WTF: ${wristToFloor}"`);
-        } else {
-          logger.warn(`⚠️ Body measurements out of range - height: ${heightInches}", wtf: ${wristToFloor}"`);
-        }
-      }
+      var { favoriteClubSpecs, bodyFitSpecs } = await loadBaselineSpecs(db, userId, profileData);
 
       // Fallback to request body if not present in profile
-      if (userHandicap === null && req.body.handicap !== undefined) {
-        userHandicap = parseNumber(req.body.handicap);
-        if (req.body.handicap !== undefined && userHandicap === null) {
-          res.status(400).json({ error: 'Invalid handicap: must be a number' });
-          return;
+      if (userHandicap === null && requestBody.handicap !== undefined) {
+        userHandicap = parseNumber(requestBody.handicap);
+        if (requestBody.handicap !== undefined && userHandicap === null) {
+          return { status: 400, body: { error: 'Invalid handicap: must be a number' } };
         }
       }
-      if (!userSwingSpeed && req.body.swing_speed !== undefined) {
-        if (typeof req.body.swing_speed !== 'string') {
-          res.status(400).json({ error: 'Invalid swing_speed: must be a string' });
-          return;
+      if (!userSwingSpeed && requestBody.swing_speed !== undefined) {
+        if (typeof requestBody.swing_speed !== 'string') {
+          return { status: 400, body: { error: 'Invalid swing_speed: must be a string' } };
         }
-        userSwingSpeed = req.body.swing_speed;
+        userSwingSpeed = requestBody.swing_speed;
       }
-      if (!userTechnicalPreference && req.body.technicalPreference !== undefined) {
-        if (typeof req.body.technicalPreference !== 'string') {
-          res.status(400).json({ error: 'Invalid technicalPreference: must be a string' });
-          return;
+      if (!userTechnicalPreference && requestBody.technicalPreference !== undefined) {
+        if (typeof requestBody.technicalPreference !== 'string') {
+          return { status: 400, body: { error: 'Invalid technicalPreference: must be a string' } };
         }
-        userTechnicalPreference = req.body.technicalPreference;
+        userTechnicalPreference = requestBody.technicalPreference;
       }
     } catch (ctxErr) {
       logger.error('Context fetch/parse error:', ctxErr);
-      res.status(400).json({ error: 'Invalid user context fields' });
-      return;
+      return { status: 400, body: { error: 'Invalid user context fields' } };
     }
 
     const db = admin.firestore();
 
     // ==========================================
-    // NEW: FETCH ACTIVE ALGORITHM VERSION
+    // RESOLVE GRADING WEIGHTS
+    // Client weight profile → pro default profile → active algorithm version → defaults
     // ==========================================
-    let algorithmVersion = null;
-    let gradingWeights = null;
-    
-    try {
-      // Try to fetch the active version from Firestore
-      const versionsSnapshot = await db.collection("algorithmVersions")
-        .where("status", "==", "active")
-        .where("isDefault", "==", true)
-        .limit(1)
-        .get();
-
-      if (!versionsSnapshot.empty) {
-        const versionDoc = versionsSnapshot.docs[0];
-        algorithmVersion = versionDoc.data();
-        gradingWeights = algorithmVersion.config.gradingWeights;
-        logger.info(`Using algorithm version: ${algorithmVersion.versionNumber}`);
-      } else {
-        logger.warn("No active algorithm version found, using default weights");
-      }
-    } catch (versionError) {
-      logger.warn("Error fetching algorithm version, using default weights:", versionError.message);
-    }
+    const { algorithmVersion, gradingWeights, weightProfile } = await resolveGradingWeights(db, userId, userProfileData);
 
-    // Fallback to hardcoded weights if no version found (graceful degradation)
-    if (!gradingWeights) {
-      gradingWeights = {
-        age: 0.20,
-        weight_progression: 0.20,
-        loft_gapping: 0.20,
-        flex_consistency: 0.05,
-        kickpoint_consistency: 0.10,
-        torque_consistency: 0.05,
-        length_progression: 0.10,
-        lie_angle_progression: 0.10
-      };
-      logger.info("Using default hardcoded weights");
-    }
+    // Loft gap threshold sets (client override → pro custom sets → built-ins by swing speed/handicap)
+    const { loftGapSets, loftGapSetId } = await resolveLoftGapSets(db, userId, userProfileData);
+    const swingSpeedMph = Number.isFinite(parseFloat(userSwingSpeed)) ? parseFloat(userSwingSpeed) : null;
 
     // Fetch all clubs for this user
     // Pro stores clubs as subcollection: users/{userId}/clubs/{clubId}
@@ -2072,50 +1737,65 @@ try {
         ...club
       }));
     } else {
-      // NORMAL MODE: Fetch from Firestore
+      // NORMAL MODE: Fetch from the club repository (folds in legacy top-level clubs)
       logger.info('About to query clubs for userId: ' + userId);    
-      const clubsSnapshot = await db
-        .collection("users")
-        .doc(userId)
-        .collection("clubs")
-        .get();
-      logger.info('Query executed for userId: ' + userId);
-      logger.info('Clubs snapshot empty: ' + clubsSnapshot.empty);
-      logger.info('Clubs snapshot size: ' + clubsSnapshot.size);
+      rawClubs = await listClubs(db, userId, { userData: userProfileData });
+      logger.info('Clubs found: ' + rawClubs.length);
       
-      if (clubsSnapshot.empty) {
-        res.status(404).json({
+      // Shaft material drives the expected weight curve - fill it from shaftSpecDatabase
+      rawClubs = await fillShaftMaterials(db, userId, rawClubs);
+      
+      if (rawClubs.length === 0) {
+        return { status: 404, body: {
           error: "No clubs found for this user",
-        });
-        return;
+        } };
       }
-      
-      clubsSnapshot.forEach((doc) => {
-        rawClubs.push({id: doc.id, ...doc.data()});
-      });
     }
 
     // ==========================================
-    // NORMALIZE CLUB DATA TO STANDARD FORMAT
+    // DEBIT CREDITS (billed to the caller, or the client's pro when pro-managed)
+    // Skipped for regrades that are part of work already paid for
     // ==========================================
-    // Per FitMyGolfClubs_Master_Field_Reference.md:
-    // - clubType (not club_type)
-    // - shaft_weight, shaft_flex, shaft_kickpoint, shaft_torque (flat, not nested)
-    // - lie (not lie_angle)
-    const normalizedClubs = rawClubs.map(club => normalizeClubData(club));
-
-    logger.info(`Found ${normalizedClubs.length} clubs for user ${userId} (normalized to standard schema)`);
+    try {
+      creditDebit = chargeCredits ? await debitCredits(db, {
+        userId: userId,
+        action: isScenario ? 'scenario' : 'grade',
+        actorId: actorId,
+        metadata: { engine: engine, scenarioName: isScenario ? scenarioName : null }
+      }) : null;
+    } catch (creditError) {
+      if (creditError.code === 'resource-exhausted') {
+        return { status: 402, body: {
+          error: "Not enough credits",
+          details: creditError.message,
+        } };
+      }
+      throw creditError;
+    }
 
     // ==========================================
-    // ENRICH CLUBS WITH ALL DEFAULT VALUES WHERE MISSING
+    // NORMALIZE, ENRICH AND SCORE FACTORS (gradingEngine)
     // ==========================================
-    const enrichmentResult = enrichClubsWithAllDefaults(normalizedClubs);
-    const clubs = enrichmentResult.clubs;  // Already sorted driver → wedge
-    const defaultsUsed = enrichmentResult.defaultsUsed;
+    // prepareBag normalizes to the Master Field Reference schema, fills
+    // missing loft/weight/lie/length with defaults and sorts driver → wedge
+    const preparedBag = prepareBag(rawClubs, {
+      favoriteClubSpecs: favoriteClubSpecs,
+      bodyFitSpecs: bodyFitSpecs,
+      swingSpeed: swingSpeedMph,
+      handicap: userHandicap,
+      loftGapSets: loftGapSets,
+      loftGapSetId: loftGapSetId,
+      gripFit: userProfileData?.grip_fit || null,
+      roundsPerYear: userProfileData?.rounds_estimate?.rounds_per_year ?? null
+    });
+    const clubs = preparedBag.clubs;
+    const defaultsUsed = preparedBag.defaultsUsed;
+
+    logger.info(`Found ${clubs.length} clubs for user ${userId} (normalized to standard schema)`);
     
     // Log defaults applied
-    if (enrichmentResult.totalDefaultsUsed > 0) {
-      logger.info(`Default values applied: ${enrichmentResult.totalDefaultsUsed} total`);
+    if (preparedBag.totalDefaultsUsed > 0) {
+      logger.info(`Default values applied: ${preparedBag.totalDefaultsUsed} total`);
       if (defaultsUsed.loft.length > 0) {
         logger.info(`  → Loft defaults: ${defaultsUsed.loft.map(c => c.clubType).join(', ')}`);
       }
@@ -2129,64 +1809,14 @@ try {
         logger.info(`  → Length defaults: ${defaultsUsed.length.map(c => c.clubType).join(', ')}`);
       }
     }
-    
-    // For backward compatibility
-    const defaultLoftsUsed = defaultsUsed.loft;
-
-    // ==========================================
-    // BAG COMPOSITION ANALYSIS
-    // ==========================================
-    const bagComposition = analyzeBagComposition(clubs);
-    logger.info(`Bag composition: ${bagComposition.clubCount} clubs, ${bagComposition.gaps.length} gaps identified`);
-    if (bagComposition.penalty > 0) {
-      logger.info(`Bag composition penalty: ${bagComposition.penalty} points`);
-    }
-
-    // ==========================================
-    // GRIP CONDITION ASSESSMENT (Separate from grade)
-    // ==========================================
-    const gripAssessment = analyzeGripCondition(clubs);
-    if (gripAssessment.clubsNeedingRegrip > 0) {
-      logger.info(`Grip assessment: ${gripAssessment.clubsNeedingRegrip} clubs need regripping`);
-    }
-    if (gripAssessment.salesOpportunity) {
-      logger.info(`Grip sales opportunity: ${gripAssessment.salesOpportunity.priority} priority - $${gripAssessment.salesOpportunity.estimatedRevenue}`);
-    }
-
-    // ==========================================
-    // EXISTING GRADING LOGIC (UNCHANGED)
-    // ==========================================
-
-    // 1. AGE SCORE
-    const ageScore = calculateAgeScore(clubs);
-
-    // 2. WEIGHT PROGRESSION SCORE
-    const weightScore = calculateWeightProgression(clubs, favoriteClubSpecs);
-
-    // 3. LOFT GAPPING SCORE
-    const loftScore = calculateLoftGapping(clubs);
-
-    // 4. FLEX CONSISTENCY SCORE
-    const flexScore = calculateFlexConsistency(clubs);
-
-    // 5. KICKPOINT CONSISTENCY SCORE
-    const kickpointScore = calculateKickpointConsistency(clubs);
-
-    // 6. TORQUE CONSISTENCY SCORE
-    const torqueScore = calculateTorqueConsistency(clubs);
-
-    // 7. LENGTH PROGRESSION SCORE
-    const lengthScore = calculateLengthProgression(clubs, bodyFitSpecs);
-
-    // 8. LIE ANGLE PROGRESSION SCORE
-    const lieScore = calculateLieAngleProgression(clubs);
 
     // ==========================================
     // ENGINE-BASED SCORING (A/B Testing Support)
     // ==========================================
     
-    // Package JS scores for reference
-    const jsScores = {
+    // JS factor scores (always calculated)
+    const jsScores = preparedBag.factorScores;
+    const {
       age: ageScore,
       weight: weightScore,
       loft: loftScore,
@@ -2194,20 +1824,9 @@ try {
       kickpoint: kickpointScore,
       torque: torqueScore,
       length: lengthScore,
-      lie: lieScore
-    };
-    
-    // Final scores (may be adjusted by Claude)
-    let finalScores = {
-      age: { score: ageScore.score, issues: ageScore.issues, scorable: ageScore.scorable },
-      weight: { score: weightScore.score, issues: weightScore.issues, scorable: weightScore.scorable },
-      loft: { score: loftScore.score, issues: loftScore.issues, scorable: loftScore.scorable },
-      flex: { score: flexScore.score, issues: flexScore.issues, scorable: flexScore.scorable },
-      kickpoint: { score: kickpointScore.score, issues: kickpointScore.issues, scorable: kickpointScore.scorable },
-      torque: { score: torqueScore.score, issues: torqueScore.issues, scorable: torqueScore.scorable },
-      length: { score: lengthScore.score, issues: lengthScore.issues, scorable: lengthScore.scorable },
-      lie: { score: lieScore.score, issues: lieScore.issues, scorable: lieScore.scorable }
-    };
+      lie: lieScore,
+      swingweight: swingWeightScore
+    } = jsScores;
     
     // Track engine results for A/B testing
     let engineResults = {
@@ -2217,134 +1836,73 @@ try {
       finalScores: {}
     };
     
+    // AI steps fall back to the algorithm when the provider is unavailable
+    // (no API key, AI_PROVIDER=none) - the analysis is marked "AI skipped"
+    const aiProvider = getAIProvider();
+    const aiUnavailableReason = aiProvider.isAvailable() ? null : aiProvider.unavailableReason();
+    
     // Save JS scores for comparison
     Object.keys(jsScores).forEach(factor => {
       engineResults.jsScores[factor] = jsScores[factor].score;
     });
     
-    // Apply engine mode
-    if (engine === 'hybrid') {
-      logger.info('Running HYBRID mode: JS + Claude review');
-      
-      const claudeReview = await claudeReviewFactorScores(clubs, jsScores, null);
-      
-      if (claudeReview) {
-        engineResults.claudeReview = claudeReview;
-        
-        // Apply Claude's adjusted scores
-        Object.keys(claudeReview).forEach(factor => {
-          if (claudeReview[factor].adjusted) {
-            finalScores[factor].score = claudeReview[factor].finalScore;
-            logger.info(`${factor}: JS=${claudeReview[factor].jsScore} -> Claude=${claudeReview[factor].finalScore} (${claudeReview[factor].reason})`);
-          }
-        });
-      } else {
-        logger.warn('Claude review failed, using JS scores only');
-      }
-      
-    } else if (engine === 'claude') {
-      logger.info('Running CLAUDE mode: Full Claude scoring');
-      
-      const claudeScores = await claudeScoreFactors(clubs);
-      
-      if (claudeScores) {
-        engineResults.claudeReview = { fullClaude: true, scores: claudeScores };
-        
-        // Replace all scores with Claude's
-        Object.keys(claudeScores).forEach(factor => {
-          if (finalScores[factor] && claudeScores[factor]) {
-            finalScores[factor].score = claudeScores[factor].score;
-            finalScores[factor].issues = claudeScores[factor].issues || [];
-          }
-        });
-      } else {
-        logger.warn('Claude scoring failed, falling back to JS scores');
-      }
-      
-    } else {
-      logger.info('Running JAVASCRIPT mode: Pure algorithmic scoring');
-    }
+    // Apply engine mode - Claude adjustments are applied on top of JS scores by gradeBag
+    const engineScoring = await scoreFactorsForEngine(engine, clubs, jsScores, aiProvider);
+    const scoreOverrides = engineScoring.scoreOverrides;
+    const aiSkippedSteps = [...engineScoring.skippedSteps];
+    engineResults.claudeReview = engineScoring.claudeReview;
+
+    // ==========================================
+    // GRADE BAG (gradingEngine)
+    // ==========================================
+    const bagGrade = gradeBag(preparedBag, gradingWeights, { scoreOverrides: scoreOverrides });
+    const {
+      finalScores,
+      initialConsistencyScore,
+      allIssues,
+      componentScores,
+      topPriorityFix,
+      bagComposition,
+      gripAssessment,
+      dominantFlex,
+      averageClubQualityScore,
+      scorableFactors,
+      unscoredFactors,
+      consistencyScore,
+      totalBagPenalty,
+      overallScore,
+      overallGrade,
+      gradeExplainer
+    } = bagGrade;
     
     // Save final scores for comparison
     Object.keys(finalScores).forEach(factor => {
       engineResults.finalScores[factor] = finalScores[factor].score;
     });
 
-    // Calculate initial consistency score using FINAL scores
-    const initialConsistencyScore = Math.round(
-        (finalScores.age.score * gradingWeights.age) +
-        (finalScores.weight.score * gradingWeights.weight_progression) +
-        (finalScores.loft.score * gradingWeights.loft_gapping) +
-        (finalScores.flex.score * gradingWeights.flex_consistency) +
-        (finalScores.kickpoint.score * gradingWeights.kickpoint_consistency) +
-        (finalScores.torque.score * gradingWeights.torque_consistency) +
-        (finalScores.length.score * gradingWeights.length_progression) +
-        (finalScores.lie.score * gradingWeights.lie_angle_progression)
-    );
-
-    const initialConsistencyGrade = scoreToGrade(initialConsistencyScore);
-
-    // Compile all issues from FINAL scores
-    const allIssues = [
-      ...finalScores.age.issues,
-      ...finalScores.weight.issues,
-      ...finalScores.loft.issues,
-      ...finalScores.flex.issues,
-      ...finalScores.kickpoint.issues,
-      ...finalScores.torque.issues,
-      ...finalScores.length.issues,
-      ...finalScores.lie.issues,
-    ];
-    
-    // Add notes about default values if any were used
-    if (loftScore.defaultLoftsNote) {
-      allIssues.push(loftScore.defaultLoftsNote);
-    }
-    if (weightScore.defaultsNote) {
-      allIssues.push(weightScore.defaultsNote);
+    logger.info(`Bag composition: ${bagComposition.clubCount} clubs, ${bagComposition.gaps.length} gaps identified`);
+    if (totalBagPenalty > 0) {
+      logger.info(`Bag composition penalty applied: ${totalBagPenalty} points`);
+      logger.info(`  → Composition issues: ${bagComposition.gaps.join(', ') || 'none'}`);
     }
-    if (lengthScore.defaultsNote) {
-      allIssues.push(lengthScore.defaultsNote);
+    if (gripAssessment.clubsNeedingRegrip > 0) {
+      logger.info(`Grip assessment: ${gripAssessment.clubsNeedingRegrip} clubs need regripping`);
     }
-    if (lieScore.defaultsNote) {
-      allIssues.push(lieScore.defaultsNote);
+    if (gripAssessment.salesOpportunity) {
+      logger.info(`Grip sales opportunity: ${gripAssessment.salesOpportunity.priority} priority - $${gripAssessment.salesOpportunity.estimatedRevenue}`);
     }
-
-    // Determine top priority fix using FINAL scores
-    const componentScores = [
-      {name: "club age", score: finalScores.age.score, issues: finalScores.age.issues},
-      {name: "weight progression", score: finalScores.weight.score, issues: finalScores.weight.issues},
-      {name: "loft gapping", score: finalScores.loft.score, issues: finalScores.loft.issues},
-      {name: "flex consistency", score: finalScores.flex.score, issues: finalScores.flex.issues},
-      {name: "kickpoint consistency", score: finalScores.kickpoint.score, issues: finalScores.kickpoint.issues},
-      {name: "torque consistency", score: finalScores.torque.score, issues: finalScores.torque.issues},
-      {name: "length progression", score: finalScores.length.score, issues: finalScores.length.issues},
-      {name: "lie angle progression", score: finalScores.lie.score, issues: finalScores.lie.issues},
-    ];
-
-    const lowestComponent = componentScores.reduce((min, curr) =>
-      curr.score < min.score ? curr : min
-    );
-
-    const topPriorityFix = lowestComponent.issues.length > 0 ?
-      lowestComponent.issues[0] :
-      "Your bag setup is looking good! Consider minor optimizations.";
-
-    // ==========================================
-    // NEW: AI-ENHANCED INDIVIDUAL CLUB GRADING
-    // ==========================================
-    
-    // 1. Calculate Dominant Flex (for consistency checking)
-    const flexCounts = {};
-    clubs.forEach(c => {
-      const flex = c.shaft?.flex || c.shaft_flex;
-      if(flex) flexCounts[flex] = (flexCounts[flex] || 0) + 1;
-    });
-    const dominantFlex = Object.keys(flexCounts).length > 0 ? 
-      Object.keys(flexCounts).reduce((a, b) => flexCounts[a] >= flexCounts[b] ? a : b) : 
-      'R';
-
     logger.info(`Dominant flex in bag: ${dominantFlex}`);
+    logger.info(`Scorable factors: ${scorableFactors.length}/8`);
+    logger.info(`Unscored (insufficient data): ${unscoredFactors.join(', ') || 'none'}`);
+    logger.info(`Overall bag score: ${overallScore}/100 (${overallGrade})`);
+    logger.info(`  → Club Quality: ${averageClubQualityScore}/100 (50% weight)`);
+    logger.info(`  → Consistency: ${consistencyScore}/100 (50% weight)`);
+
+    if (gradeExplainer.top_impacts.length > 0) {
+      logger.info(`Grade explainer: ${gradeExplainer.summary}`);
+      logger.info(`  → Top issue: ${gradeExplainer.top_impacts[0]?.issue || 'None'}`);
+      logger.info(`  → Potential score without issues: ${gradeExplainer.potential_score}`);
+    }
 
     // ==========================================
     // NEW: GENERATE ANALYSIS ID EARLY (for linking recommendations)
@@ -2353,59 +1911,31 @@ try {
     const analysisId = analysisRef.id;
     logger.info(`Starting bag analysis with ID: ${analysisId}`);
 
-    // Note: initialConsistencyScore and initialConsistencyGrade are already calculated above
-
-    // 3. Process Individual Clubs with Rule-Based Grading (STREAMLINED - NO PER-CLUB AI)
-    // AI is reserved for bag-level analysis only, reducing API calls from 13 to 2
-    logger.info(`Processing ${clubs.length} clubs with rule-based grading...`);
+    // Individual clubs were graded rule-based by gradeBag (no per-club AI)
+    // AI is reserved for bag-level analysis and replacement recommendations
+    logger.info(`Processing ${clubs.length} graded clubs...`);
     
     // Process all clubs in parallel for much better performance
-    const clubProcessingPromises = clubs.map(async (club) => {
+    const clubProcessingPromises = bagGrade.clubGrades.map(async ({ club, grading, error }) => {
+        const clubRef = getClubRef(db, userId, club.id);
+        
+        if (error) {
+            return {
+                clubId: club.id,
+                clubType: club.clubType ?? null,
+                brand: club.brand ?? null,
+                model: club.model ?? null,
+                error: error,
+                clubRef: clubRef
+            };
+        }
+        
         try {
-            logger.info(`Grading ${club.clubType}: ${club.brand} ${club.model}...`);
-            
-            // Rule-based grading only (no AI call per club)
-            const independentGrading = gradeIndividualClubIndependently(club, dominantFlex);
-            
-            // Use rule-based score directly (no AI blending)
-            const finalScore = independentGrading.score;
-            const finalGrade = scoreToGrade(finalScore);
-            
-            // Determine condition based on score thresholds
-            let condition = "Optimal Fit";
-            if (finalScore < 70) condition = "Replace Recommended";
-            else if (finalScore < 85) condition = "Minor Adjustment";
-            
-            // Generate rule-based recommendation text
-            let specificRecommendation = "";
-            let performanceImpact = "";
-            
-            if (independentGrading.issues.length > 0) {
-                specificRecommendation = independentGrading.issues[0];
-                performanceImpact = `Address: ${independentGrading.issues.join('; ')}`;
-            } else if (independentGrading.strengths.length > 0) {
-                specificRecommendation = "This club is well-suited to your bag setup.";
-                performanceImpact = independentGrading.strengths.join('; ');
-            } else {
-                specificRecommendation = "No significant issues detected.";
-                performanceImpact = "Performing as expected for your setup.";
-            }
-            
-            logger.info(`  → Score: ${finalScore} (${finalGrade}) - ${condition}`);
+            logger.info(`  → ${club.clubType}: ${grading.score} (${grading.grade}) - ${grading.condition}`);
 
             // --- Prepare Grading Data ---
             const gradingData = {
-                grade: finalGrade,
-                score: finalScore,
-                aiScore: null, // No AI score in streamlined mode
-                independentScore: independentGrading.score,
-                aiAnalysis: null, // No AI analysis in streamlined mode
-                specificRecommendation: specificRecommendation,
-                performanceImpact: performanceImpact,
-                condition: condition,
-                dataCompleteness: independentGrading.dataCompleteness,
-                issues: independentGrading.issues,
-                strengths: independentGrading.strengths,
+                ...grading,
                 gradedAt: admin.firestore.FieldValue.serverTimestamp()
             };
 
@@ -2414,7 +1944,7 @@ try {
             
             // --- Handle Replace Recommendation (if needed) ---
             // Keep AI recommendation generation for replacements (valuable for sales)
-            if (condition === "Replace Recommended") {
+            if (grading.condition === "Replace Recommended") {
                 try {
                     logger.info(`  → Generating replacement recommendation...`);
                     
@@ -2432,7 +1962,7 @@ try {
                         }
                     );
                     
-                    recommendationRef = db.collection('clubs').doc(club.id).collection('replace_recommendations').doc();
+                    recommendationRef = clubRef.collection('replace_recommendations').doc();
                     
                     // Create recommended club with ALL grading fields populated
                     const recommendedClub = {
@@ -2502,7 +2032,7 @@ try {
                 model: club.model ?? null,
                 grading: gradingData,
                 recommendation: recommendationData,
-                clubRef: db.collection('users').doc(userId).collection('clubs').doc(club.id)
+                clubRef: clubRef
             };
             
         } catch (error) {
@@ -2514,7 +2044,7 @@ try {
                 brand: club.brand ?? null,
                 model: club.model ?? null,
                 error: error.message,
-                clubRef: db.collection('users').doc(userId).collection('clubs').doc(club.id)
+                clubRef: clubRef
             };
         }
     });
@@ -2566,139 +2096,6 @@ try {
     await batch.commit();
     logger.info(`Updated individual grading for ${clubs.length} clubs (processed in parallel)`);
 
-    // ==========================================
-    // NEW: CALCULATE AVERAGE INDIVIDUAL CLUB QUALITY SCORE
-    // ==========================================
-    const clubsWithScores = processedClubs.filter(c => c.grading && c.grading.score !== undefined);
-    let averageClubQualityScore = 0;
-    
-    if (clubsWithScores.length > 0) {
-      const totalClubScore = clubsWithScores.reduce((sum, club) => sum + (club.grading.score || 0), 0);
-      averageClubQualityScore = Math.round(totalClubScore / clubsWithScores.length);
-      logger.info(`Average individual club quality score: ${averageClubQualityScore}/100`);
-    } else {
-      // Fallback: use independent scores if available
-      const independentScores = clubs
-        .map(club => {
-          try {
-            const independentGrading = gradeIndividualClubIndependently(club, dominantFlex);
-            return independentGrading.score;
-          } catch (e) {
-            return null;
-          }
-        })
-        .filter(score => score !== null);
-      
-      if (independentScores.length > 0) {
-        averageClubQualityScore = Math.round(independentScores.reduce((a, b) => a + b, 0) / independentScores.length);
-        logger.info(`Using independent scores for average club quality: ${averageClubQualityScore}/100`);
-      } else {
-        averageClubQualityScore = 50; // Default if no scores available
-        logger.warn(`No club scores available, using default: ${averageClubQualityScore}/100`);
-      }
-    }
-
-    // ==========================================
-    // RE-CALCULATE OVERALL SCORE WITH CLUB QUALITY FACTOR
-    // ==========================================
-    // Only include factors that have enough data to be scored
-    // Normalize weights based on what's actually scorable
-    
-    const factorScores = [
-      { name: 'age', score: ageScore, weight: gradingWeights.age },
-      { name: 'weight_progression', score: weightScore, weight: gradingWeights.weight_progression },
-      { name: 'loft_gapping', score: loftScore, weight: gradingWeights.loft_gapping },
-      { name: 'flex_consistency', score: flexScore, weight: gradingWeights.flex_consistency },
-      { name: 'kickpoint_consistency', score: kickpointScore, weight: gradingWeights.kickpoint_consistency },
-      { name: 'torque_consistency', score: torqueScore, weight: gradingWeights.torque_consistency },
-      { name: 'length_progression', score: lengthScore, weight: gradingWeights.length_progression },
-      { name: 'lie_angle_progression', score: lieScore, weight: gradingWeights.lie_angle_progression }
-    ];
-    
-    // Filter to only scorable factors
-    const scorableFactors = factorScores.filter(f => f.score.scorable !== false);
-    const unscoredFactors = factorScores.filter(f => f.score.scorable === false);
-    
-    logger.info(`Scorable factors: ${scorableFactors.length}/8`);
-    logger.info(`Unscored (insufficient data): ${unscoredFactors.map(f => f.name).join(', ') || 'none'}`);
-    
-    // Calculate consistency score only from scorable factors
-    let consistencyScore = 0;
-    if (scorableFactors.length > 0) {
-      // Normalize weights to sum to 1.0 based on scorable factors only
-      const totalWeight = scorableFactors.reduce((sum, f) => sum + f.weight, 0);
-      
-      consistencyScore = Math.round(
-        scorableFactors.reduce((sum, f) => {
-          const normalizedWeight = f.weight / totalWeight;
-          return sum + (f.score.score * normalizedWeight);
-        }, 0)
-      );
-    } else {
-      // If no factors are scorable, use club quality only
-      consistencyScore = averageClubQualityScore;
-      logger.warn('No consistency factors scorable - using club quality score only');
-    }
-    
-    // New overall score: 50% club quality + 50% consistency
-    let overallScore = Math.round(
-        (averageClubQualityScore * 0.5) + 
-        (consistencyScore * 0.5)
-    );
-    
-    // Apply bag composition penalties (missing driver, woods, etc.)
-    // NOTE: Putter penalty removed - assume all golfers have a putter
-    let totalBagPenalty = bagComposition.penalty;
-    
-    // REMOVED: Putter penalty - we assume everyone has a putter
-    // if (!bagComposition.hasPutter) {
-    //   totalBagPenalty += 10;
-    //   allIssues.push("No putter in bag - 10 point penalty applied");
-    // }
-    
-    // Add all composition issues to allIssues
-    bagComposition.issues.forEach(issue => allIssues.push(issue));
-    
-    // Apply total penalty
-    if (totalBagPenalty > 0) {
-      overallScore = Math.max(0, overallScore - totalBagPenalty);
-      logger.info(`Bag composition penalty applied: ${totalBagPenalty} points`);
-      logger.info(`  → Composition issues: ${bagComposition.gaps.join(', ') || 'none'}`);
-    }
-    
-    const overallGrade = scoreToGrade(overallScore);
-    
-    logger.info(`Overall bag score recalculated: ${overallScore}/100 (${overallGrade})`);
-    logger.info(`  → Club Quality: ${averageClubQualityScore}/100 (50% weight)`);
-    logger.info(`  → Consistency: ${consistencyScore}/100 (50% weight)`);
-
-    // ==========================================
-    // GENERATE GRADE EXPLAINER - WHY THIS GRADE?
-    // ==========================================
-    const gradeExplainer = generateGradeExplainer({
-      overallScore: overallScore,
-      overallGrade: overallGrade,
-      componentScores: {
-        age: finalScores.age,
-        weight: finalScores.weight,
-        loft: finalScores.loft,
-        flex: finalScores.flex,
-        kickpoint: finalScores.kickpoint,
-        torque: finalScores.torque,
-        length: finalScores.length,
-        lie: finalScores.lie
-      },
-      bagComposition: bagComposition,
-      loftGapAnalysis: loftScore.gapAnalysis || [],
-      allIssues: allIssues
-    });
-    
-    if (gradeExplainer.top_impacts.length > 0) {
-      logger.info(`Grade explainer: ${gradeExplainer.summary}`);
-      logger.info(`  → Top issue: ${gradeExplainer.top_impacts[0]?.issue || 'None'}`);
-      logger.info(`  → Potential score without issues: ${gradeExplainer.potential_score}`);
-    }
-
     // ==========================================
     // GENERATE AI BAG ANALYSIS (with updated overall score)
     // ==========================================
@@ -2712,9 +2109,17 @@ try {
       clubQualityScore: averageClubQualityScore,
       bagPenalty: totalBagPenalty,
       gradingWeights: gradingWeights,
-      scorableFactors: scorableFactors.map(f => f.name)
-    });
+      scorableFactors: scorableFactors
+    }, aiProvider);
     logger.info(`AI Bag Analysis: ${aiBagAnalysis.aiGrade} (${aiBagAnalysis.aiAdjustedScore}/100)`);
+    if (aiBagAnalysis.aiSkipped) aiSkippedSteps.push(AI_STEPS.BAG_ANALYSIS);
+
+    const aiStatus = {
+      provider: aiProvider.name,
+      skipped: aiSkippedSteps.length > 0,
+      skippedSteps: aiSkippedSteps,
+      reason: aiSkippedSteps.length > 0 ? (aiUnavailableReason || aiBagAnalysis.aiSkippedReason || 'AI request failed') : null
+    };
 
     // ==========================================
     // NEW: PREPARE VERSION METADATA
@@ -2723,12 +2128,17 @@ try {
       versionNumber: algorithmVersion.versionNumber,
       deployedAt: algorithmVersion.deployedAt,
       changelog: algorithmVersion.changelog,
-      weightsUsed: gradingWeights
+      // Scoring code version - an older version doc can stay the default after an engine change
+      engineVersion: ALGORITHM_VERSION.versionNumber,
+      weightsUsed: gradingWeights,
+      weightProfile: weightProfile
     } : {
-      versionNumber: "default",
+      versionNumber: ALGORITHM_VERSION.versionNumber,
       deployedAt: null,
       changelog: "Using default hardcoded weights (version system not initialized)",
-      weightsUsed: gradingWeights
+      engineVersion: ALGORITHM_VERSION.versionNumber,
+      weightsUsed: gradingWeights,
+      weightProfile: weightProfile
     };
 
     // ==========================================
@@ -2740,16 +2150,41 @@ try {
       brand: club.brand ?? null,
       model: club.model ?? null,
       year: club.year ?? null,
-      shaft_weight: club.shaft?.weight ?? null,
-      shaft_flex: club.shaft?.flex ?? null,
-      shaft_kickpoint: club.shaft?.kickpoint ?? null,
-      shaft_torque: club.shaft?.torque ?? null,
+      shaft_weight: club.shaft_weight ?? club.shaft?.weight ?? null,
+      shaft_flex: club.shaft_flex ?? club.shaft?.flex ?? null,
+      shaft_kickpoint: club.shaft_kickpoint ?? club.shaft?.kickpoint ?? null,
+      shaft_torque: club.shaft_torque ?? club.shaft?.torque ?? null,
+      shaft_material: club.shaft_material ?? null,
+      shaft_brand: club.shaft_brand ?? null,
+      shaft_model: club.shaft_model ?? null,
       loft: club.loft ?? null,
       length: club.length ?? null,
-      lie_angle: club.lieAngle ?? null,
-      is_favorite: club.is_favorite ?? false
+      lie_angle: club.lie ?? club.lie_angle ?? null,
+      swing_weight: club.swing_weight ?? null,
+      total_weight: club.total_weight ?? null,
+      is_favorite: club.is_favorite ?? false,
+      // Which specs were filled from defaults (replays re-derive them)
+      loftIsDefault: club.loftIsDefault === true,
+      weightIsDefault: club.weightIsDefault === true,
+      lieIsDefault: club.lieIsDefault === true,
+      lengthIsDefault: club.lengthIsDefault === true,
+      swingWeightIsDefault: club.swingWeightIsDefault === true,
+      totalWeightIsDefault: club.totalWeightIsDefault === true
     }));
 
+    // Golfer context the factors were scored with (see analysisReplay.js)
+    const inputContextSnapshot = {
+      asOfYear: new Date().getFullYear(),
+      favoriteClubSpecs: favoriteClubSpecs || null,
+      bodyFitSpecs: bodyFitSpecs || null,
+      swingSpeed: swingSpeedMph,
+      handicap: userHandicap,
+      loftGapSets: loftGapSets,
+      loftGapSetId: loftGapSetId,
+      gripFit: userProfileData?.grip_fit || null,
+      roundsPerYear: userProfileData?.rounds_estimate?.rounds_per_year ?? null
+    };
+
     // ==========================================
     // SAVE ANALYSIS RESULT (WITH AI ENHANCEMENTS)
     // ==========================================
@@ -2757,6 +2192,8 @@ try {
       id: analysisId,
       user_id: userId,
       analyzed_at: admin.firestore.FieldValue.serverTimestamp(),
+      // What-if runs are kept out of grade history and "current grade" lookups
+      is_scenario: isScenario,
       clubs_analyzed: clubs.length,
       // Optional user context
       user_context: {
@@ -2785,14 +2222,14 @@ try {
         club_quality_weight: 0.5,
         consistency_weight: 0.5,
         factors_scored: scorableFactors.length,
-        factors_total: 8,
-        unscored_factors: unscoredFactors.map(f => f.name),
+        factors_total: FACTOR_KEYS.length,
+        unscored_factors: unscoredFactors,
         bag_composition_penalty: totalBagPenalty
       },
       
       // Default values applied (for data quality tracking)
       defaults_applied: {
-        total: enrichmentResult.totalDefaultsUsed,
+        total: preparedBag.totalDefaultsUsed,
         loft: {
           count: defaultsUsed.loft.length,
           clubs: defaultsUsed.loft,
@@ -2812,6 +2249,15 @@ try {
           count: defaultsUsed.length.length,
           clubs: defaultsUsed.length,
           note: lengthScore.defaultsNote || null
+        },
+        swing_weight: {
+          count: defaultsUsed.swingWeight.length,
+          clubs: defaultsUsed.swingWeight,
+          note: swingWeightScore.defaultsNote || null
+        },
+        total_weight: {
+          count: defaultsUsed.totalWeight.length,
+          clubs: defaultsUsed.totalWeight
         }
       },
       
@@ -2831,7 +2277,13 @@ try {
         total_clubs: gripAssessment.totalClubs,
         clubs_with_grip_data: gripAssessment.clubsWithGripData,
         clubs_needing_regrip: gripAssessment.clubsNeedingRegrip,
+        clubs_with_install_date: gripAssessment.clubsWithInstallDate,
+        rounds_per_year: gripAssessment.roundsPerYear,
+        next_regrip_due: gripAssessment.nextRegripDue,
         dominant_size: gripAssessment.dominantSize,
+        fitted_size: gripAssessment.fittedSize,
+        size_reference: gripAssessment.sizeReference,
+        grip_fit: gripAssessment.gripFit,
         dominant_brand: gripAssessment.dominantBrand,
         size_mismatches: gripAssessment.sizeMismatches,
         brand_variety: gripAssessment.brandVariety,
@@ -2897,6 +2349,9 @@ try {
       lie_angle_progression_score: finalScores.lie.score,
       lie_angle_progression_scorable: finalScores.lie.scorable !== false,
       lie_angle_progression_grade: finalScores.lie.scorable !== false ? scoreToGrade(finalScores.lie.score) : 'N/A',
+      swing_weight_progression_score: finalScores.swingweight.score,
+      swing_weight_progression_scorable: finalScores.swingweight.scorable !== false,
+      swing_weight_progression_grade: finalScores.swingweight.scorable !== false ? scoreToGrade(finalScores.swingweight.score) : 'N/A',
 
       
 issues_found: allIssues,
@@ -2906,6 +2361,7 @@ issues_found: allIssues,
           weight: favoriteClubSpecs.shaft_weight
         } : null,
         weight_suggestions: weightScore.suggestions || [],
+        weight_material_profile: weightScore.materialProfile || null,
         body_fit_baseline: bodyFitSpecs ? {
           heightDisplay: bodyFitSpecs.heightDisplay,
           wristToFloor: bodyFitSpecs.wristToFloor,
@@ -2913,14 +2369,25 @@ issues_found: allIssues,
         } : null,
         length_suggestions: lengthScore.suggestions || [],
         algorithm_version: versionMetadata.versionNumber,
+        weight_profile: weightProfile,
+        loft_gap_threshold_set: loftScore.thresholdSet || null,
       // NEW: Algorithm version tracking
       algorithmVersion: versionMetadata,
       
       // NEW: Input data snapshot for reprocessing
       inputDataSnapshot: inputDataSnapshot,
+      inputContextSnapshot: inputContextSnapshot,
       
       // NEW: Engine mode used
       engineUsed: engine,
+      // Factor scores the AI set (hybrid: adjusted factors only) - replays recompute the rest
+      ai_score_overrides: Object.fromEntries(
+        Object.entries(scoreOverrides).map(([factor, override]) => [factor, override.score])
+      ),
+      
+      // AI provider + which AI steps fell back to the algorithm ("AI skipped")
+      ai_skipped: aiStatus.skipped,
+      ai_status: aiStatus,
       
       // Individual clubs with grading data (for frontend persistence)
       clubs: processedClubs.map((club) => {
@@ -2962,21 +2429,23 @@ issues_found: allIssues,
     logger.info(`Analysis saved with ID: ${analysisId}`);
 
     // ==========================================
-    // UPDATE USER DOCUMENT WITH BAG GRADE
+    // UPDATE USER DOCUMENT WITH BAG GRADE (not for what-if scenarios)
     // ==========================================
-    try {
-      await db.collection("users").doc(userId).update({
-        bag_grade: aiBagAnalysis.aiGrade,           // Fixed: Use AI-adjusted grade (was: overallGrade)
-        bag_score: aiBagAnalysis.aiAdjustedScore,   // Fixed: Use AI-adjusted score (was: overallScore)
-        clubs_count: clubs.length,
-        clubs_in_bag: clubs.length,
-        last_graded_at: admin.firestore.FieldValue.serverTimestamp(),
-        last_analysis_id: analysisId
-      });
-      logger.info(`Updated user ${userId} with bag_grade: ${aiBagAnalysis.aiGrade}, clubs_count: ${clubs.length}`);
-    } catch (userUpdateError) {
-      logger.warn(`Could not update user document: ${userUpdateError.message}`);
-      // Don't fail the whole request if user update fails
+    if (!isScenario) {
+      try {
+        await db.collection("users").doc(userId).update({
+          bag_grade: aiBagAnalysis.aiGrade,           // Fixed: Use AI-adjusted grade (was: overallGrade)
+          bag_score: aiBagAnalysis.aiAdjustedScore,   // Fixed: Use AI-adjusted score (was: overallScore)
+          clubs_count: clubs.length,
+          clubs_in_bag: clubs.length,
+          last_graded_at: admin.firestore.FieldValue.serverTimestamp(),
+          last_analysis_id: analysisId
+        });
+        logger.info(`Updated user ${userId} with bag_grade: ${aiBagAnalysis.aiGrade}, clubs_count: ${clubs.length}`);
+      } catch (userUpdateError) {
+        logger.warn(`Could not update user document: ${userUpdateError.message}`);
+        // Don't fail the whole request if user update fails
+      }
     }
 
     // ==========================================
@@ -2994,6 +2463,7 @@ issues_found: allIssues,
         
         // Claude review results (if applicable)
         claudeReview: engineResults.claudeReview,
+        aiStatus: aiStatus,
         
         // Final scores used for grading
         finalScores: engineResults.finalScores,
@@ -3004,6 +2474,7 @@ issues_found: allIssues,
         
         // Weights used
         weightsUsed: gradingWeights,
+        weightProfile: weightProfile,
         
         // Club count for context
         clubCount: clubs.length
@@ -3039,16 +2510,7 @@ issues_found: allIssues,
     // ==========================================
     if (isScenario) {
       // Get current bag analysis for comparison
-      const currentAnalysisSnapshot = await db.collection("bag_analysis")
-        .where("user_id", "==", userId)
-        .orderBy("analyzed_at", "desc")
-        .limit(1)
-        .get();
-      
-      let currentAnalysis = null;
-      if (!currentAnalysisSnapshot.empty) {
-        currentAnalysis = currentAnalysisSnapshot.docs[0].data();
-      }
+      const currentAnalysis = await getLatestBagAnalysis(db, userId);
       
       const projectedScore = aiBagAnalysis.aiAdjustedScore;
       const projectedGrade = aiBagAnalysis.aiGrade;
@@ -3077,7 +2539,8 @@ issues_found: allIssues,
           kickpointConsistency: { score: kickpointScore.score, grade: kickpointScore.scorable !== false ? scoreToGrade(kickpointScore.score) : 'N/A' },
           torqueConsistency: { score: torqueScore.score, grade: torqueScore.scorable !== false ? scoreToGrade(torqueScore.score) : 'N/A' },
           lengthProgression: { score: lengthScore.score, grade: lengthScore.scorable !== false ? scoreToGrade(lengthScore.score) : 'N/A' },
-          lieAngleProgression: { score: lieScore.score, grade: lieScore.scorable !== false ? scoreToGrade(lieScore.score) : 'N/A' }
+          lieAngleProgression: { score: lieScore.score, grade: lieScore.scorable !== false ? scoreToGrade(lieScore.score) : 'N/A' },
+          swingWeightProgression: { score: swingWeightScore.score, grade: swingWeightScore.scorable !== false ? scoreToGrade(swingWeightScore.score) : 'N/A' }
         },
         
         // Improvement metrics
@@ -3096,7 +2559,8 @@ issues_found: allIssues,
           category: c.category
         })),
         
-        clubs_count: clubs.length
+        clubs_count: clubs.length,
+        weight_profile: weightProfile
       };
       
       // Save to scenarios subcollection (max 5)
@@ -3115,7 +2579,7 @@ issues_found: allIssues,
       logger.info(`Saved scenario ${newScenarioRef.id}`);
       
       // Return scenario-specific response with FULL analysis details
-      res.status(200).json({
+      return { status: 200, body: {
         success: true,
         isScenario: true,
         scenarioId: newScenarioRef.id,
@@ -3131,7 +2595,8 @@ issues_found: allIssues,
             kickpointConsistency: { score: currentAnalysis.kickpoint_consistency_score, grade: currentAnalysis.kickpoint_consistency_grade },
             torqueConsistency: { score: currentAnalysis.torque_consistency_score, grade: currentAnalysis.torque_consistency_grade },
             lengthProgression: { score: currentAnalysis.length_progression_score, grade: currentAnalysis.length_progression_grade },
-            lieAngleProgression: { score: currentAnalysis.lie_angle_progression_score, grade: currentAnalysis.lie_angle_progression_grade }
+            lieAngleProgression: { score: currentAnalysis.lie_angle_progression_score, grade: currentAnalysis.lie_angle_progression_grade },
+            swingWeightProgression: { score: currentAnalysis.swing_weight_progression_score ?? null, grade: currentAnalysis.swing_weight_progression_grade || 'N/A' }
           } : {},
           issues_found: currentAnalysis?.issues_found || [],
           top_priority_fix: currentAnalysis?.top_priority_fix || null
@@ -3148,7 +2613,8 @@ issues_found: allIssues,
             kickpointConsistency: { score: kickpointScore.score, grade: kickpointScore.scorable !== false ? scoreToGrade(kickpointScore.score) : 'N/A' },
             torqueConsistency: { score: torqueScore.score, grade: torqueScore.scorable !== false ? scoreToGrade(torqueScore.score) : 'N/A' },
             lengthProgression: { score: lengthScore.score, grade: lengthScore.scorable !== false ? scoreToGrade(lengthScore.score) : 'N/A' },
-            lieAngleProgression: { score: lieScore.score, grade: lieScore.scorable !== false ? scoreToGrade(lieScore.score) : 'N/A' }
+            lieAngleProgression: { score: lieScore.score, grade: lieScore.scorable !== false ? scoreToGrade(lieScore.score) : 'N/A' },
+            swingWeightProgression: { score: swingWeightScore.score, grade: swingWeightScore.scorable !== false ? scoreToGrade(swingWeightScore.score) : 'N/A' }
           },
           
           // Full analysis details for projected bag
@@ -3209,15 +2675,15 @@ issues_found: allIssues,
           improved: projectedScore > currentScore,
           score_diff: projectedScore - currentScore
         }
-      });
-      return;  // Exit early for scenario mode
+      } };
     }
 
     // Return the analysis result
-    res.status(200).json({
+    return { status: 200, body: {
       success: true,
       analysisId: analysisId,
       engineUsed: engine,  // Include engine mode in response
+      aiStatus: aiStatus,  // provider + skipped AI steps
       clubsCount: clubs.length,  // Include club count for UI update
       analysis: {
         // AI ADJUSTED SCORE (per-factor adjustments with guardrails)
@@ -3251,7 +2717,7 @@ issues_found: allIssues,
         
         // Default values applied (for data quality tracking)
         defaults_applied: {
-          total: enrichmentResult.totalDefaultsUsed,
+          total: preparedBag.totalDefaultsUsed,
           loft: {
             count: defaultsUsed.loft.length,
             clubs: defaultsUsed.loft,
@@ -3271,6 +2737,15 @@ issues_found: allIssues,
             count: defaultsUsed.length.length,
             clubs: defaultsUsed.length,
             note: lengthScore.defaultsNote || null
+          },
+          swing_weight: {
+            count: defaultsUsed.swingWeight.length,
+            clubs: defaultsUsed.swingWeight,
+            note: swingWeightScore.defaultsNote || null
+          },
+          total_weight: {
+            count: defaultsUsed.totalWeight.length,
+            clubs: defaultsUsed.totalWeight
           }
         },
         
@@ -3290,7 +2765,13 @@ issues_found: allIssues,
           total_clubs: gripAssessment.totalClubs,
           clubs_with_grip_data: gripAssessment.clubsWithGripData,
           clubs_needing_regrip: gripAssessment.clubsNeedingRegrip,
+          clubs_with_install_date: gripAssessment.clubsWithInstallDate,
+          rounds_per_year: gripAssessment.roundsPerYear,
+          next_regrip_due: gripAssessment.nextRegripDue,
           dominant_size: gripAssessment.dominantSize,
+          fitted_size: gripAssessment.fittedSize,
+          size_reference: gripAssessment.sizeReference,
+          grip_fit: gripAssessment.gripFit,
           dominant_brand: gripAssessment.dominantBrand,
           size_mismatches: gripAssessment.sizeMismatches,
           brand_variety: gripAssessment.brandVariety,
@@ -3332,16 +2813,7 @@ issues_found: allIssues,
         },
         
         // Component scores (using FINAL scores from selected engine)
-        component_scores: {
-          age: {score: finalScores.age.score, grade: scoreToGrade(finalScores.age.score)},
-          weight_progression: {score: finalScores.weight.score, grade: scoreToGrade(finalScores.weight.score)},
-          loft_gapping: {score: finalScores.loft.score, grade: scoreToGrade(finalScores.loft.score)},
-          flex_consistency: {score: finalScores.flex.score, grade: scoreToGrade(finalScores.flex.score)},
-          kickpoint_consistency: {score: finalScores.kickpoint.score, grade: scoreToGrade(finalScores.kickpoint.score)},
-          torque_consistency: {score: finalScores.torque.score, grade: scoreToGrade(finalScores.torque.score)},
-          length_progression: {score: finalScores.length.score, grade: scoreToGrade(finalScores.length.score)},
-          lie_angle_progression: {score: finalScores.lie.score, grade: scoreToGrade(finalScores.lie.score)},
-        },
+        component_scores: formatComponentScores(finalScores),
         issues_found: allIssues,
         top_priority_fix: topPriorityFix,
         favorite_club_baseline: favoriteClubSpecs ? {
@@ -3349,6 +2821,7 @@ issues_found: allIssues,
           weight: favoriteClubSpecs.shaft_weight
         } : null,
         weight_suggestions: weightScore.suggestions || [],
+        weight_material_profile: weightScore.materialProfile || null,
         body_fit_baseline: bodyFitSpecs ? {
           heightDisplay: bodyFitSpecs.heightDisplay,
           wristToFloor: bodyFitSpecs.wristToFloor,
@@ -3356,6 +2829,8 @@ issues_found: allIssues,
         } : null,
         length_suggestions: lengthScore.suggestions || [],
         algorithm_version: versionMetadata.versionNumber,
+        weight_profile: weightProfile,
+        loft_gap_threshold_set: loftScore.thresholdSet || null,
         
         // Individual clubs with AI-enhanced grading
         clubs: processedClubs.map((club) => {
@@ -3415,3009 +2890,91 @@ issues_found: allIssues,
           };
         })
       },
-    });
+    } };
   } catch (error) {
     logger.error("Error grading user bag:", error);
-    res.status(500).json({
+    await safeRefundCredits(admin.firestore(), creditDebit, `Grading failed: ${error.message}`);
+    return { status: 500, body: {
       error: "Failed to grade bag",
       details: error.message,
-    });
+    } };
   }
-});
-
-// ==========================================
-// HELPER FUNCTIONS (ALL UNCHANGED)
-// ==========================================
-
-// ==========================================
-// PUTTER FILTERING & CLUB CATEGORIZATION
-// ==========================================
-
-/**
- * Check if a club is a putter
- */
-function isPutter(club) {
-  if (!club || !club.clubType) return false;
-  const type = club.clubType.toLowerCase();
-  return type === 'putter' || type.includes('putter');
 }
 
+registerBagGrader(runGradeUserBag);
+
 /**
- * Get default/standard loft for a club type when actual data is missing
- * Returns: { loft: number, isDefault: true } or null if unknown
+ * Cloud Function: gradeUserBag (UPDATED WITH ALGORITHM VERSIONING)
+ * 
+ * Calculates equipment grades for a user's golf bag based on:
+ * 1. Age of clubs (20% weight)
+ * 2. Shaft weight progression (15% weight)
+ * 3. Loft gapping (20% weight)
+ * 4. Shaft flex consistency (10% weight)
+ * 5. Kickpoint consistency (10% weight)
+ * 6. Shaft torque consistency (5% weight)
+ * 7. Length progression (10% weight)
+ * 8. Lie angle progression (10% weight)
  * 
- * Standard lofts based on modern club manufacturing (2020+)
+ * NOW INCLUDES:
+ * - Algorithm version tracking
+ * - Input data snapshot for reprocessing
+ * - Version metrics updates
+ * - Config snapshot with each analysis
+ * 
+ * Expected request body:
+ * {
+ *   "userId": "user_id_here"
+ * }
+ * 
+ * Requires an "Authorization: Bearer <Firebase ID token>" header from the
+ * bag owner or their pro (401 / 403 otherwise).
  */
-function getDefaultLoft(clubType) {
-  if (!clubType) return null;
-  
-  const type = clubType.toLowerCase().trim();
-  
-  // Default lofts lookup table
-  const DEFAULT_LOFTS = {
-    // Driver
-    'driver': 10.5,
-    '1w': 10.5,
-    '1-wood': 10.5,
-    
-    // Fairway Woods
-    '2-wood': 12,
-    '2w': 12,
-    '3-wood': 15,
-    '3w': 15,
-    '4-wood': 17,
-    '4w': 17,
-    '5-wood': 18,
-    '5w': 18,
-    '7-wood': 21,
-    '7w': 21,
-    '9-wood': 24,
-    '9w': 24,
-    '11-wood': 27,
-    '11w': 27,
-    
-    // Hybrids
-    '1-hybrid': 14,
-    '1h': 14,
-    '2-hybrid': 17,
-    '2h': 17,
-    '3-hybrid': 19,
-    '3h': 19,
-    '4-hybrid': 22,
-    '4h': 22,
-    '5-hybrid': 25,
-    '5h': 25,
-    '6-hybrid': 28,
-    '6h': 28,
-    '7-hybrid': 31,
-    '7h': 31,
-    
-    // Irons (modern game-improvement lofts)
-    '1-iron': 16,
-    '1i': 16,
-    '2-iron': 18,
-    '2i': 18,
-    '3-iron': 21,
-    '3i': 21,
-    '4-iron': 24,
-    '4i': 24,
-    '5-iron': 27,
-    '5i': 27,
-    '6-iron': 30,
-    '6i': 30,
-    '7-iron': 33,
-    '7i': 33,
-    '8-iron': 37,
-    '8i': 37,
-    '9-iron': 41,
-    '9i': 41,
-    
-    // Wedges
-    'pw': 45,
-    'pitching wedge': 45,
-    'pitching': 45,
-    'gw': 50,
-    'gap wedge': 50,
-    'gap': 50,
-    'aw': 50,
-    'approach wedge': 50,
-    'approach': 50,
-    'sw': 56,
-    'sand wedge': 56,
-    'sand': 56,
-    'lw': 60,
-    'lob wedge': 60,
-    'lob': 60,
-    
-    // Degree notation wedges
-    '46°': 46,
-    '48°': 48,
-    '50°': 50,
-    '52°': 52,
-    '54°': 54,
-    '56°': 56,
-    '58°': 58,
-    '60°': 60,
-    '62°': 62,
-    '64°': 64
-  };
-  
-  // Direct match
-  if (DEFAULT_LOFTS[type]) {
-    return { loft: DEFAULT_LOFTS[type], isDefault: true };
-  }
-  
-  // Try variations
-  // Handle "X-iron" format
-  const ironMatch = type.match(/^(\d+)-?iron$/);
-  if (ironMatch) {
-    const ironNum = parseInt(ironMatch[1]);
-    const key = `${ironNum}-iron`;
-    if (DEFAULT_LOFTS[key]) {
-      return { loft: DEFAULT_LOFTS[key], isDefault: true };
-    }
-  }
-  
-  // Handle "Xi" format
-  const ironShortMatch = type.match(/^(\d+)i$/);
-  if (ironShortMatch) {
-    const ironNum = parseInt(ironShortMatch[1]);
-    const key = `${ironNum}i`;
-    if (DEFAULT_LOFTS[key]) {
-      return { loft: DEFAULT_LOFTS[key], isDefault: true };
-    }
-  }
-  
-  // Handle "X-wood" format
-  const woodMatch = type.match(/^(\d+)-?wood$/);
-  if (woodMatch) {
-    const woodNum = parseInt(woodMatch[1]);
-    const key = `${woodNum}-wood`;
-    if (DEFAULT_LOFTS[key]) {
-      return { loft: DEFAULT_LOFTS[key], isDefault: true };
-    }
-  }
-  
-  // Handle "Xw" format for woods
-  const woodShortMatch = type.match(/^(\d+)w$/);
-  if (woodShortMatch) {
-    const woodNum = parseInt(woodShortMatch[1]);
-    const key = `${woodNum}w`;
-    if (DEFAULT_LOFTS[key]) {
-      return { loft: DEFAULT_LOFTS[key], isDefault: true };
-    }
-  }
-  
-  // Handle "X-hybrid" or "Xh" format
-  const hybridMatch = type.match(/^(\d+)-?hybrid$/) || type.match(/^(\d+)h$/);
-  if (hybridMatch) {
-    const hybridNum = parseInt(hybridMatch[1]);
-    const key = `${hybridNum}h`;
-    if (DEFAULT_LOFTS[key]) {
-      return { loft: DEFAULT_LOFTS[key], isDefault: true };
-    }
-  }
-  
-  // Handle degree notation without ° symbol
-  const degreeMatch = type.match(/^(\d+)°?$/);
-  if (degreeMatch) {
-    const degrees = parseInt(degreeMatch[1]);
-    if (degrees >= 42 && degrees <= 72) {
-      return { loft: degrees, isDefault: false }; // Not a default, it's the actual value
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Enrich clubs with default lofts where missing
- * Returns clubs array with loft data filled in and tracking of defaults used
- */
-function enrichClubsWithDefaultLofts(clubs) {
-  const defaultsUsed = [];
-  
-  const enrichedClubs = clubs.map(club => {
-    // If club already has loft, keep it
-    if (club.loft) {
-      return { ...club, loftIsDefault: false };
-    }
-    
-    // Try to get default loft
-    const defaultLoft = getDefaultLoft(club.clubType);
-    if (defaultLoft) {
-      defaultsUsed.push({
-        clubType: club.clubType,
-        defaultLoft: defaultLoft.loft,
-        brand: club.brand,
-        model: club.model
-      });
-      return { 
-        ...club, 
-        loft: defaultLoft.loft, 
-        loftIsDefault: defaultLoft.isDefault 
-      };
-    }
-    
-    // No loft data available
-    return { ...club, loftIsDefault: false };
-  });
-  
-  return {
-    clubs: enrichedClubs,
-    defaultsUsed: defaultsUsed
-  };
-}
-
-/**
- * Get default/standard shaft weight for a club type when actual data is missing
- * Returns: { weight: number, isDefault: true } or null if unknown
- * 
- * Standard shaft weights based on typical stock shaft configurations
- */
-function getDefaultShaftWeight(clubType) {
-  if (!clubType) return null;
-  
-  const type = clubType.toLowerCase().trim();
-  
-  const DEFAULT_WEIGHTS = {
-    // Driver - lighter graphite shafts
-    'driver': 55,
-    '1w': 55,
-    '1-wood': 55,
-    
-    // Fairway Woods - slightly heavier than driver
-    '2-wood': 60,
-    '2w': 60,
-    '3-wood': 65,
-    '3w': 65,
-    '4-wood': 65,
-    '4w': 65,
-    '5-wood': 67,
-    '5w': 67,
-    '7-wood': 70,
-    '7w': 70,
-    '9-wood': 72,
-    '9w': 72,
-    '11-wood': 75,
-    '11w': 75,
-    
-    // Hybrids
-    '1-hybrid': 70,
-    '1h': 70,
-    '2-hybrid': 72,
-    '2h': 72,
-    '3-hybrid': 75,
-    '3h': 75,
-    '4-hybrid': 78,
-    '4h': 78,
-    '5-hybrid': 80,
-    '5h': 80,
-    '6-hybrid': 82,
-    '6h': 82,
-    '7-hybrid': 85,
-    '7h': 85,
-    
-    // Irons (steel shaft weights)
-    '1-iron': 110,
-    '1i': 110,
-    '2-iron': 112,
-    '2i': 112,
-    '3-iron': 115,
-    '3i': 115,
-    '4-iron': 118,
-    '4i': 118,
-    '5-iron': 120,
-    '5i': 120,
-    '6-iron': 122,
-    '6i': 122,
-    '7-iron': 125,
-    '7i': 125,
-    '8-iron': 127,
-    '8i': 127,
-    '9-iron': 130,
-    '9i': 130,
-    
-    // Wedges (steel shafts, slightly heavier)
-    'pw': 132,
-    'pitching wedge': 132,
-    'pitching': 132,
-    'gw': 130,
-    'gap wedge': 130,
-    'gap': 130,
-    'aw': 130,
-    'approach wedge': 130,
-    'approach': 130,
-    'sw': 130,
-    'sand wedge': 130,
-    'sand': 130,
-    'lw': 130,
-    'lob wedge': 130,
-    'lob': 130,
-    
-    // Degree notation wedges
-    '46°': 130,
-    '48°': 130,
-    '50°': 130,
-    '52°': 130,
-    '54°': 130,
-    '56°': 130,
-    '58°': 130,
-    '60°': 130,
-    '62°': 130,
-    '64°': 130
-  };
-  
-  // Direct match
-  if (DEFAULT_WEIGHTS[type]) {
-    return { weight: DEFAULT_WEIGHTS[type], isDefault: true };
-  }
-  
-  // Try variations for irons
-  const ironMatch = type.match(/^(\d+)-?iron$/);
-  if (ironMatch) {
-    const key = `${ironMatch[1]}-iron`;
-    if (DEFAULT_WEIGHTS[key]) {
-      return { weight: DEFAULT_WEIGHTS[key], isDefault: true };
-    }
-  }
-  
-  // Try variations for hybrids
-  const hybridMatch = type.match(/^(\d+)-?hybrid$/) || type.match(/^(\d+)h$/);
-  if (hybridMatch) {
-    const key = `${hybridMatch[1]}h`;
-    if (DEFAULT_WEIGHTS[key]) {
-      return { weight: DEFAULT_WEIGHTS[key], isDefault: true };
-    }
-  }
-  
-  // Try variations for woods
-  const woodMatch = type.match(/^(\d+)-?wood$/) || type.match(/^(\d+)w$/);
-  if (woodMatch) {
-    const key = `${woodMatch[1]}w`;
-    if (DEFAULT_WEIGHTS[key]) {
-      return { weight: DEFAULT_WEIGHTS[key], isDefault: true };
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Get default/standard lie angle for a club type when actual data is missing
- * Returns: { lie: number, isDefault: true } or null if unknown
- * 
- * Standard lie angles based on typical club manufacturing specs
- */
-function getDefaultLieAngle(clubType) {
-  if (!clubType) return null;
-  
-  const type = clubType.toLowerCase().trim();
-  
-  const DEFAULT_LIE_ANGLES = {
-    // Driver
-    'driver': 56,
-    '1w': 56,
-    '1-wood': 56,
-    
-    // Fairway Woods
-    '2-wood': 56.5,
-    '2w': 56.5,
-    '3-wood': 57,
-    '3w': 57,
-    '4-wood': 57.5,
-    '4w': 57.5,
-    '5-wood': 58,
-    '5w': 58,
-    '7-wood': 59,
-    '7w': 59,
-    '9-wood': 60,
-    '9w': 60,
-    '11-wood': 61,
-    '11w': 61,
-    
-    // Hybrids
-    '1-hybrid': 57,
-    '1h': 57,
-    '2-hybrid': 58,
-    '2h': 58,
-    '3-hybrid': 59,
-    '3h': 59,
-    '4-hybrid': 60,
-    '4h': 60,
-    '5-hybrid': 61,
-    '5h': 61,
-    '6-hybrid': 62,
-    '6h': 62,
-    '7-hybrid': 63,
-    '7h': 63,
-    
-    // Irons
-    '1-iron': 56,
-    '1i': 56,
-    '2-iron': 57,
-    '2i': 57,
-    '3-iron': 59,
-    '3i': 59,
-    '4-iron': 60,
-    '4i': 60,
-    '5-iron': 61,
-    '5i': 61,
-    '6-iron': 62,
-    '6i': 62,
-    '7-iron': 63,
-    '7i': 63,
-    '8-iron': 64,
-    '8i': 64,
-    '9-iron': 65,
-    '9i': 65,
-    
-    // Wedges
-    'pw': 65.5,
-    'pitching wedge': 65.5,
-    'pitching': 65.5,
-    'gw': 64,
-    'gap wedge': 64,
-    'gap': 64,
-    'aw': 64,
-    'approach wedge': 64,
-    'approach': 64,
-    'sw': 64,
-    'sand wedge': 64,
-    'sand': 64,
-    'lw': 64,
-    'lob wedge': 64,
-    'lob': 64,
-    
-    // Degree notation wedges
-    '46°': 64,
-    '48°': 64,
-    '50°': 64,
-    '52°': 64,
-    '54°': 64,
-    '56°': 64,
-    '58°': 64,
-    '60°': 64,
-    '62°': 64,
-    '64°': 64
-  };
-  
-  // Direct match
-  if (DEFAULT_LIE_ANGLES[type]) {
-    return { lie: DEFAULT_LIE_ANGLES[type], isDefault: true };
-  }
-  
-  // Try variations for irons
-  const ironMatch = type.match(/^(\d+)-?iron$/);
-  if (ironMatch) {
-    const key = `${ironMatch[1]}-iron`;
-    if (DEFAULT_LIE_ANGLES[key]) {
-      return { lie: DEFAULT_LIE_ANGLES[key], isDefault: true };
-    }
-  }
-  
-  // Try variations for hybrids
-  const hybridMatch = type.match(/^(\d+)-?hybrid$/) || type.match(/^(\d+)h$/);
-  if (hybridMatch) {
-    const key = `${hybridMatch[1]}h`;
-    if (DEFAULT_LIE_ANGLES[key]) {
-      return { lie: DEFAULT_LIE_ANGLES[key], isDefault: true };
-    }
-  }
-  
-  // Try variations for woods
-  const woodMatch = type.match(/^(\d+)-?wood$/) || type.match(/^(\d+)w$/);
-  if (woodMatch) {
-    const key = `${woodMatch[1]}w`;
-    if (DEFAULT_LIE_ANGLES[key]) {
-      return { lie: DEFAULT_LIE_ANGLES[key], isDefault: true };
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Get default/standard length for a club type when actual data is missing
- * Returns: { length: number, isDefault: true } or null if unknown
- * 
- * Standard lengths in inches based on typical club manufacturing specs
- */
-function getDefaultLength(clubType) {
-  if (!clubType) return null;
-  
-  const type = clubType.toLowerCase().trim();
-  
-  const DEFAULT_LENGTHS = {
-    // Driver
-    'driver': 45.5,
-    '1w': 45.5,
-    '1-wood': 45.5,
-    
-    // Fairway Woods
-    '2-wood': 43.5,
-    '2w': 43.5,
-    '3-wood': 43,
-    '3w': 43,
-    '4-wood': 42.5,
-    '4w': 42.5,
-    '5-wood': 42,
-    '5w': 42,
-    '7-wood': 41.5,
-    '7w': 41.5,
-    '9-wood': 41,
-    '9w': 41,
-    '11-wood': 40.5,
-    '11w': 40.5,
-    
-    // Hybrids
-    '1-hybrid': 41,
-    '1h': 41,
-    '2-hybrid': 40.5,
-    '2h': 40.5,
-    '3-hybrid': 40,
-    '3h': 40,
-    '4-hybrid': 39.5,
-    '4h': 39.5,
-    '5-hybrid': 39,
-    '5h': 39,
-    '6-hybrid': 38.5,
-    '6h': 38.5,
-    '7-hybrid': 38,
-    '7h': 38,
-    
-    // Irons
-    '1-iron': 40,
-    '1i': 40,
-    '2-iron': 39.5,
-    '2i': 39.5,
-    '3-iron': 39,
-    '3i': 39,
-    '4-iron': 38.5,
-    '4i': 38.5,
-    '5-iron': 38,
-    '5i': 38,
-    '6-iron': 37.5,
-    '6i': 37.5,
-    '7-iron': 37,
-    '7i': 37,
-    '8-iron': 36.5,
-    '8i': 36.5,
-    '9-iron': 36,
-    '9i': 36,
-    
-    // Wedges
-    'pw': 35.5,
-    'pitching wedge': 35.5,
-    'pitching': 35.5,
-    'gw': 35.5,
-    'gap wedge': 35.5,
-    'gap': 35.5,
-    'aw': 35.5,
-    'approach wedge': 35.5,
-    'approach': 35.5,
-    'sw': 35.25,
-    'sand wedge': 35.25,
-    'sand': 35.25,
-    'lw': 35,
-    'lob wedge': 35,
-    'lob': 35,
-    
-    // Degree notation wedges
-    '46°': 35.5,
-    '48°': 35.5,
-    '50°': 35.5,
-    '52°': 35.25,
-    '54°': 35.25,
-    '56°': 35.25,
-    '58°': 35,
-    '60°': 35,
-    '62°': 35,
-    '64°': 35
-  };
-  
-  // Direct match
-  if (DEFAULT_LENGTHS[type]) {
-    return { length: DEFAULT_LENGTHS[type], isDefault: true };
-  }
-  
-  // Try variations for irons
-  const ironMatch = type.match(/^(\d+)-?iron$/);
-  if (ironMatch) {
-    const key = `${ironMatch[1]}-iron`;
-    if (DEFAULT_LENGTHS[key]) {
-      return { length: DEFAULT_LENGTHS[key], isDefault: true };
-    }
-  }
-  
-  // Try variations for hybrids
-  const hybridMatch = type.match(/^(\d+)-?hybrid$/) || type.match(/^(\d+)h$/);
-  if (hybridMatch) {
-    const key = `${hybridMatch[1]}h`;
-    if (DEFAULT_LENGTHS[key]) {
-      return { length: DEFAULT_LENGTHS[key], isDefault: true };
-    }
-  }
-  
-  // Try variations for woods
-  const woodMatch = type.match(/^(\d+)-?wood$/) || type.match(/^(\d+)w$/);
-  if (woodMatch) {
-    const key = `${woodMatch[1]}w`;
-    if (DEFAULT_LENGTHS[key]) {
-      return { length: DEFAULT_LENGTHS[key], isDefault: true };
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Get club sort order for sorting from driver down to wedge
- * Lower number = appears first (driver)
- * Higher number = appears later (wedges)
- */
-function getClubSortOrder(club) {
-  if (!club || !club.clubType) return 999;
-  
-  const type = club.clubType.toLowerCase().trim();
-  
-  // If we have loft, use it for precise ordering
-  if (club.loft) {
-    return club.loft;
-  }
-  
-  // Fallback sort order by club type
-  const SORT_ORDER = {
-    'driver': 10,
-    '1w': 10,
-    '1-wood': 10,
-    '2-wood': 12,
-    '2w': 12,
-    '3-wood': 15,
-    '3w': 15,
-    '4-wood': 17,
-    '4w': 17,
-    '5-wood': 18,
-    '5w': 18,
-    '7-wood': 21,
-    '7w': 21,
-    '9-wood': 24,
-    '9w': 24,
-    '11-wood': 27,
-    '11w': 27,
-    '1-hybrid': 14,
-    '1h': 14,
-    '2-hybrid': 17,
-    '2h': 17,
-    '3-hybrid': 19,
-    '3h': 19,
-    '4-hybrid': 22,
-    '4h': 22,
-    '5-hybrid': 25,
-    '5h': 25,
-    '6-hybrid': 28,
-    '6h': 28,
-    '7-hybrid': 31,
-    '7h': 31,
-    '1-iron': 16,
-    '1i': 16,
-    '2-iron': 18,
-    '2i': 18,
-    '3-iron': 21,
-    '3i': 21,
-    '4-iron': 24,
-    '4i': 24,
-    '5-iron': 27,
-    '5i': 27,
-    '6-iron': 30,
-    '6i': 30,
-    '7-iron': 33,
-    '7i': 33,
-    '8-iron': 37,
-    '8i': 37,
-    '9-iron': 41,
-    '9i': 41,
-    'pw': 45,
-    'pitching wedge': 45,
-    'gw': 50,
-    'gap wedge': 50,
-    'aw': 50,
-    'approach wedge': 50,
-    'sw': 56,
-    'sand wedge': 56,
-    'lw': 60,
-    'lob wedge': 60,
-    'putter': 999
-  };
-  
-  if (SORT_ORDER[type]) {
-    return SORT_ORDER[type];
-  }
-  
-  // Handle degree notation
-  const degreeMatch = type.match(/^(\d+)°?$/);
-  if (degreeMatch) {
-    return parseInt(degreeMatch[1]);
-  }
-  
-  // Handle iron variations
-  const ironMatch = type.match(/^(\d+)-?iron$/);
-  if (ironMatch) {
-    const key = `${ironMatch[1]}-iron`;
-    if (SORT_ORDER[key]) return SORT_ORDER[key];
-  }
-  
-  return 999;
-}
-
-/**
- * Sort clubs from driver to wedge (by loft/sort order)
- */
-function sortClubsByLoft(clubs) {
-  return [...clubs].sort((a, b) => getClubSortOrder(a) - getClubSortOrder(b));
-}
-
-/**
- * Enrich clubs with all default values where missing
- * Returns clubs array with loft, weight, lie, and length data filled in
- */
-function enrichClubsWithAllDefaults(clubs) {
-  const defaultsUsed = {
-    loft: [],
-    weight: [],
-    lie: [],
-    length: []
-  };
-  
-  const enrichedClubs = clubs.map(club => {
-    const enriched = { ...club };
-    
-    // Loft defaults
-    if (!club.loft) {
-      const defaultLoft = getDefaultLoft(club.clubType);
-      if (defaultLoft) {
-        enriched.loft = defaultLoft.loft;
-        enriched.loftIsDefault = defaultLoft.isDefault;
-        if (defaultLoft.isDefault) {
-          defaultsUsed.loft.push({ clubType: club.clubType, value: defaultLoft.loft });
-        }
-      } else {
-        enriched.loftIsDefault = false;
-      }
-    } else {
-      enriched.loftIsDefault = false;
-    }
-    
-    // Shaft weight defaults
-    if (!club.shaft_weight) {
-      const defaultWeight = getDefaultShaftWeight(club.clubType);
-      if (defaultWeight) {
-        enriched.shaft_weight = defaultWeight.weight;
-        enriched.weightIsDefault = defaultWeight.isDefault;
-        if (defaultWeight.isDefault) {
-          defaultsUsed.weight.push({ clubType: club.clubType, value: defaultWeight.weight });
-        }
-      } else {
-        enriched.weightIsDefault = false;
-      }
-    } else {
-      enriched.weightIsDefault = false;
-    }
-    
-    // Lie angle defaults
-    if (!club.lie) {
-      const defaultLie = getDefaultLieAngle(club.clubType);
-      if (defaultLie) {
-        enriched.lie = defaultLie.lie;
-        enriched.lieIsDefault = defaultLie.isDefault;
-        if (defaultLie.isDefault) {
-          defaultsUsed.lie.push({ clubType: club.clubType, value: defaultLie.lie });
-        }
-      } else {
-        enriched.lieIsDefault = false;
-      }
-    } else {
-      enriched.lieIsDefault = false;
-    }
-    
-    // Length defaults
-    if (!club.length) {
-      const defaultLength = getDefaultLength(club.clubType);
-      if (defaultLength) {
-        enriched.length = defaultLength.length;
-        enriched.lengthIsDefault = defaultLength.isDefault;
-        if (defaultLength.isDefault) {
-          defaultsUsed.length.push({ clubType: club.clubType, value: defaultLength.length });
-        }
-      } else {
-        enriched.lengthIsDefault = false;
-      }
-    } else {
-      enriched.lengthIsDefault = false;
-    }
-    
-    return enriched;
-  });
-  
-  // Sort by loft order (driver to wedge)
-  const sortedClubs = sortClubsByLoft(enrichedClubs);
-  
-  return {
-    clubs: sortedClubs,
-    defaultsUsed: defaultsUsed,
-    totalDefaultsUsed: defaultsUsed.loft.length + defaultsUsed.weight.length + 
-                        defaultsUsed.lie.length + defaultsUsed.length.length
-  };
-}
-
-/**
- * Filter out putters from club array for factor grading
- * Putter is excluded from all 8 factor grades - only tracked for "has putter" check
- */
-function filterOutPutters(clubs) {
-  return clubs.filter(club => !isPutter(club));
-}
-
-/**
- * Check if bag has a putter
- */
-function hasPutter(clubs) {
-  return clubs.some(club => isPutter(club));
-}
-
-/**
- * Get club category for loft gap zone detection
- * Returns: 'driver', 'wood', 'hybrid', 'iron', 'wedge'
- */
-function getClubCategory(club) {
-  if (!club || !club.clubType) return 'unknown';
-  const type = club.clubType.toLowerCase();
-  
-  // Driver
-  if (type === 'driver' || type === '1w' || type === '1-wood') {
-    return 'driver';
-  }
-  
-  // Woods (3W, 5W, 7W, etc.)
-  if (type.match(/^\d+-?wood$/) || type.match(/^\d+w$/) || 
-      ['3-wood', '5-wood', '7-wood', '9-wood', '3w', '5w', '7w', '9w'].includes(type)) {
-    return 'wood';
-  }
-  
-  // Hybrids
-  if (type.includes('hybrid') || type.match(/^\d+h$/) || type.match(/^\d+-hybrid$/)) {
-    return 'hybrid';
-  }
-  
-  // Wedges (PW, GW, AW, SW, LW, or degree notation like 52°, 56°)
-  if (['pw', 'gw', 'aw', 'sw', 'lw'].includes(type) || type.match(/^\d+°$/)) {
-    // Check loft - wedges are typically 42°+
-    if (club.loft && club.loft >= 42) {
-      return 'wedge';
-    }
-    return 'wedge'; // Named wedges are wedges regardless of loft data
-  }
-  
-  // Irons (5i, 6-iron, etc.)
-  if (type.match(/^\d+i$/) || type.match(/^\d+-iron$/) || type.match(/^\d+ iron$/)) {
-    return 'iron';
-  }
-  
-  // Fallback based on loft if available
-  if (club.loft) {
-    if (club.loft < 14) return 'driver';
-    if (club.loft < 22) return 'wood';
-    if (club.loft < 28) return 'hybrid';
-    if (club.loft >= 42) return 'wedge';
-    return 'iron';
-  }
-  
-  return 'unknown';
-}
-
-// ==========================================
-// TIERED LOFT GAP THRESHOLDS (Per Spec)
-// ==========================================
-
-const LOFT_GAP_THRESHOLDS = {
-  WOODS_TOP: {      // Driver → 3W
-    overlap: 3,     // < 3° = overlap (too close)
-    optimalMin: 4,  // 4-6° = optimal
-    optimalMax: 6,
-    wide: 8,        // 6-8° = wide
-    majorVoid: 8    // > 8° = major void
-  },
-  WOODS_MID: {      // 3W → 5W
-    overlap: 2,
-    optimalMin: 3,
-    optimalMax: 5,
-    wide: 6,
-    majorVoid: 6
-  },
-  WOODS_LOW: {      // 5W/7W → Hybrid
-    overlap: 2,
-    optimalMin: 3,
-    optimalMax: 4,
-    wide: 6,
-    majorVoid: 6
-  },
-  HYBRID_IRON: {    // Hybrid → Long Iron
-    overlap: 2,
-    optimalMin: 3,
-    optimalMax: 5,
-    wide: 6,
-    majorVoid: 6
-  },
-  IRONS: {          // All iron-to-iron transitions
-    overlap: 2,
-    optimalMin: 3,
-    optimalMax: 4,
-    wide: 5,
-    majorVoid: 5
-  },
-  WEDGES: {         // PW → GW → SW → LW
-    overlap: 2,
-    optimalMin: 4,
-    optimalMax: 6,
-    wide: 8,
-    majorVoid: 8
-  }
-};
-
-const GAP_PENALTIES = {
-  overlap: -5,      // Redundant club (reduced from -10)
-  tight: -2,        // Minimal separation (reduced from -5)
-  optimal: 0,       // Perfect gapping
-  wide: -5,         // Distance void (reduced from -8)
-  majorVoid: -5     // Significant gap (reduced from -15, now same as wide)
-};
-
-/**
- * Determine which gap zone applies between two clubs
- * @param {Object} lowerLoftClub - Club with lower loft (e.g., Driver)
- * @param {Object} higherLoftClub - Club with higher loft (e.g., 3W)
- */
-function getGapZone(lowerLoftClub, higherLoftClub) {
-  const lowerCat = getClubCategory(lowerLoftClub);
-  const higherCat = getClubCategory(higherLoftClub);
-  
-  // Driver to any wood
-  if (lowerCat === 'driver' && higherCat === 'wood') {
-    return 'WOODS_TOP';
-  }
-  
-  // Driver to hybrid (skipped woods)
-  if (lowerCat === 'driver' && higherCat === 'hybrid') {
-    return 'WOODS_TOP'; // Use woods_top thresholds but will likely flag as void
-  }
-  
-  // Driver to iron (skipped woods and hybrids)
-  if (lowerCat === 'driver' && higherCat === 'iron') {
-    return 'WOODS_TOP'; // Will definitely flag as major void
-  }
-  
-  // Wood to wood (3W to 5W, 5W to 7W)
-  if (lowerCat === 'wood' && higherCat === 'wood') {
-    return 'WOODS_MID';
-  }
-  
-  // Wood to hybrid
-  if (lowerCat === 'wood' && higherCat === 'hybrid') {
-    return 'WOODS_LOW';
-  }
-  
-  // Wood to iron (skipped hybrids)
-  if (lowerCat === 'wood' && higherCat === 'iron') {
-    return 'HYBRID_IRON';
-  }
-  
-  // Hybrid to hybrid
-  if (lowerCat === 'hybrid' && higherCat === 'hybrid') {
-    return 'HYBRID_IRON';
-  }
-  
-  // Hybrid to iron
-  if (lowerCat === 'hybrid' && higherCat === 'iron') {
-    return 'HYBRID_IRON';
-  }
-  
-  // Iron to iron
-  if (lowerCat === 'iron' && higherCat === 'iron') {
-    return 'IRONS';
-  }
-  
-  // Iron to wedge (including PW)
-  if (lowerCat === 'iron' && higherCat === 'wedge') {
-    return 'WEDGES';
-  }
-  
-  // Wedge to wedge
-  if (lowerCat === 'wedge' && higherCat === 'wedge') {
-    return 'WEDGES';
-  }
-  
-  // Hybrid to wedge (unusual but possible)
-  if (lowerCat === 'hybrid' && higherCat === 'wedge') {
-    return 'WEDGES';
-  }
-  
-  // Default fallback
-  return 'IRONS';
-}
-
-/**
- * Score a gap based on its zone-specific thresholds
- */
-function scoreGap(gapDegrees, zone) {
-  const thresholds = LOFT_GAP_THRESHOLDS[zone];
-  
-  if (!thresholds) {
-    // Fallback to IRONS thresholds
-    return scoreGap(gapDegrees, 'IRONS');
-  }
-  
-  if (gapDegrees < thresholds.overlap) {
-    return { quality: 'overlap', penalty: GAP_PENALTIES.overlap };
-  }
-  if (gapDegrees < thresholds.optimalMin) {
-    return { quality: 'tight', penalty: GAP_PENALTIES.tight };
-  }
-  if (gapDegrees <= thresholds.optimalMax) {
-    return { quality: 'optimal', penalty: GAP_PENALTIES.optimal };
-  }
-  if (gapDegrees <= thresholds.wide) {
-    return { quality: 'wide', penalty: GAP_PENALTIES.wide };
-  }
-  return { quality: 'majorVoid', penalty: GAP_PENALTIES.majorVoid };
-}
-
-// ==========================================
-// BAG COMPOSITION ANALYZER
-// ==========================================
-
-/**
- * Analyze bag composition and identify missing clubs
- * Returns penalties for incomplete bags and recommendations
- * 
- * Expected 14-club bag:
- * - Driver (1)
- * - Fairway woods (1-2): 3W, 5W, 7W
- * - Hybrids (0-2): 3H, 4H, 5H
- * - Irons (5-8): typically 4i/5i through 9i
- * - Wedges (3-4): PW, GW, SW, LW
- * - Putter (1)
- */
-function analyzeBagComposition(clubs) {
-  const composition = {
-    driver: [],
-    woods: [],
-    hybrids: [],
-    irons: [],
-    wedges: [],
-    putter: []
-  };
-  
-  // Categorize each club
-  clubs.forEach(club => {
-    const category = getClubCategory(club);
-    const clubInfo = {
-      clubType: club.clubType,
-      loft: club.loft || null,
-      brand: club.brand,
-      model: club.model
-    };
-    
-    if (isPutter(club)) {
-      composition.putter.push(clubInfo);
-    } else if (category === 'driver') {
-      composition.driver.push(clubInfo);
-    } else if (category === 'wood') {
-      composition.woods.push(clubInfo);
-    } else if (category === 'hybrid') {
-      composition.hybrids.push(clubInfo);
-    } else if (category === 'iron') {
-      composition.irons.push(clubInfo);
-    } else if (category === 'wedge') {
-      composition.wedges.push(clubInfo);
-    }
-  });
-  
-  // Sort by loft where available
-  Object.keys(composition).forEach(key => {
-    composition[key].sort((a, b) => (a.loft || 0) - (b.loft || 0));
-  });
-  
-  // Analyze gaps and missing clubs
-  const gaps = [];
-  const recommendations = [];
-  let totalPenalty = 0;
-  const issues = [];
-  
-  // Check for driver
-  if (composition.driver.length === 0) {
-    gaps.push('No driver');
-    recommendations.push('Add a driver (9-12°) for tee shots');
-    totalPenalty += 10;
-    issues.push('Missing driver - 10 point penalty');
-  }
-  
-  // Check for putter (for informational purposes only - no penalty)
-  // We assume all golfers have a putter, so no penalty is applied
-  const hasPutterClub = composition.putter.length > 0;
-  // REMOVED: Gap and recommendation for missing putter
-  // if (!hasPutterClub) {
-  //   gaps.push('No putter');
-  //   recommendations.push('Add a putter to complete the bag');
-  // }
-  
-  // Check for long game coverage (woods OR hybrids)
-  const hasWoods = composition.woods.length > 0;
-  const hasHybrids = composition.hybrids.length > 0;
-  
-  if (!hasWoods && !hasHybrids) {
-    gaps.push('No fairway woods or hybrids');
-    recommendations.push('Add a 3-wood (15°) or 3-hybrid (19-21°) for long approach shots');
-    totalPenalty += 8;
-    issues.push('Missing fairway woods AND hybrids - 8 point penalty');
-  } else if (!hasWoods && hasHybrids) {
-    // Has hybrids but no woods - check if there's a big gap from driver
-    const lowestHybridLoft = composition.hybrids[0]?.loft;
-    const driverLoft = composition.driver[0]?.loft || 10.5;
-    
-    if (lowestHybridLoft && (lowestHybridLoft - driverLoft) > 10) {
-      gaps.push(`Large gap between driver (${driverLoft}°) and first hybrid (${lowestHybridLoft}°)`);
-      recommendations.push(`Consider adding a 3-wood or 5-wood (15-18°) to bridge the ${Math.round(lowestHybridLoft - driverLoft)}° gap`);
-      totalPenalty += 5;
-      issues.push(`${Math.round(lowestHybridLoft - driverLoft)}° gap from driver to hybrid - 5 point penalty`);
-    }
-  } else if (hasWoods && !hasHybrids) {
-    // Has woods but no hybrids - check gap from woods to irons
-    const highestWoodLoft = composition.woods[composition.woods.length - 1]?.loft;
-    const lowestIronLoft = composition.irons[0]?.loft;
-    
-    if (highestWoodLoft && lowestIronLoft && (lowestIronLoft - highestWoodLoft) > 6) {
-      gaps.push(`Large gap between ${composition.woods[composition.woods.length - 1].clubType} (${highestWoodLoft}°) and ${composition.irons[0].clubType} (${lowestIronLoft}°)`);
-      recommendations.push(`Consider adding a hybrid (${Math.round(highestWoodLoft + 3)}-${Math.round(lowestIronLoft - 2)}°) to bridge the gap`);
-      totalPenalty += 3;
-      issues.push(`${Math.round(lowestIronLoft - highestWoodLoft)}° gap from woods to irons - 3 point penalty`);
-    }
-  }
-  
-  // Check iron coverage
-  if (composition.irons.length < 4) {
-    gaps.push(`Only ${composition.irons.length} irons in bag`);
-    recommendations.push('Consider adding more irons for better distance coverage');
-    totalPenalty += 3;
-    issues.push(`Only ${composition.irons.length} irons - 3 point penalty`);
-  }
-  
-  // Check wedge coverage
-  if (composition.wedges.length < 2) {
-    gaps.push(`Only ${composition.wedges.length} wedge(s) in bag`);
-    recommendations.push('Add wedges (GW, SW, LW) for better short game coverage');
-    totalPenalty += 3;
-    issues.push(`Only ${composition.wedges.length} wedge(s) - 3 point penalty`);
-  }
-  
-  // Check for PW specifically (most important wedge)
-  const hasPW = composition.wedges.some(w => 
-    w.clubType?.toUpperCase() === 'PW' || 
-    (w.loft && w.loft >= 42 && w.loft <= 48)
-  );
-  if (!hasPW && composition.wedges.length > 0) {
-    gaps.push('No pitching wedge detected');
-    recommendations.push('Ensure you have a pitching wedge (42-48°) for approach shots');
-    // No additional penalty - covered by wedge count
-  }
-  
-  // Check total club count
-  const totalClubs = clubs.length;
-  if (totalClubs < 8) {
-    gaps.push(`Only ${totalClubs} clubs total`);
-    recommendations.push('Build out your bag to at least 10-12 clubs for better course coverage');
-    totalPenalty += 5;
-    issues.push(`Only ${totalClubs} clubs in bag - 5 point penalty`);
-  } else if (totalClubs < 10) {
-    gaps.push(`Only ${totalClubs} clubs total`);
-    recommendations.push('Consider adding more clubs to reach 12-14 for optimal coverage');
-    totalPenalty += 2;
-    issues.push(`Only ${totalClubs} clubs in bag - 2 point penalty`);
-  } else if (totalClubs > 14) {
-    gaps.push(`${totalClubs} clubs exceeds 14-club limit`);
-    recommendations.push('Remove clubs to comply with Rules of Golf 14-club limit');
-    // No score penalty - just a rules reminder
-  }
-  
-  return {
-    clubCount: totalClubs,
-    fullBag: totalClubs >= 12 && gaps.length === 0,
-    composition: {
-      driver: composition.driver.length,
-      woods: composition.woods.length,
-      hybrids: composition.hybrids.length,
-      irons: composition.irons.length,
-      wedges: composition.wedges.length,
-      putter: composition.putter.length
-    },
-    clubDetails: composition,
-    gaps: gaps,
-    recommendations: recommendations,
-    penalty: totalPenalty,
-    issues: issues,
-    hasPutter: hasPutterClub
-  };
-}
-
-// ==========================================
-// GRIP CONDITION ASSESSMENT
-// ==========================================
-
-/**
- * Analyze grip condition across the bag
- * This is a SEPARATE assessment - does not affect overall bag grade
- * Helps pros identify regripping opportunities
- * 
- * Grip data fields on club documents:
- * - grip_condition: 'new' | 'good' | 'worn' | 'replace'
- * - grip_size: 'undersized' | 'standard' | 'midsize' | 'oversize' | 'jumbo'
- * - grip_brand: string (e.g., 'Golf Pride', 'SuperStroke', 'Lamkin')
- * - grip_model: string (e.g., 'MCC Plus4', 'Z-Grip')
- */
-function analyzeGripCondition(clubs) {
-  const REGRIP_COST_PER_CLUB = 12; // Average cost including grip + labor
-  const PREMIUM_REGRIP_COST = 18;  // Premium grips
-  
-  // Grip brand recommendations by category
-  const GRIP_RECOMMENDATIONS = {
-    standard: [
-      { brand: 'Golf Pride', model: 'Tour Velvet', price: 6 },
-      { brand: 'Golf Pride', model: 'MCC Plus4', price: 9 },
-      { brand: 'Lamkin', model: 'Crossline', price: 5 }
-    ],
-    premium: [
-      { brand: 'Golf Pride', model: 'Z-Grip', price: 10 },
-      { brand: 'SuperStroke', model: 'S-Tech', price: 8 },
-      { brand: 'Lamkin', model: 'Sonar', price: 9 }
-    ],
-    oversize: [
-      { brand: 'Golf Pride', model: 'CP2 Wrap Jumbo', price: 8 },
-      { brand: 'SuperStroke', model: 'S-Tech Midsize', price: 9 },
-      { brand: 'Winn', model: 'Dri-Tac Oversize', price: 7 }
-    ],
-    putter: [
-      { brand: 'SuperStroke', model: 'Pistol GT Tour', price: 25 },
-      { brand: 'Golf Pride', model: 'Pro Only', price: 15 },
-      { brand: 'Lamkin', model: 'Sink Fit', price: 20 }
-    ]
-  };
-  
-  const clubsNeedingRegrip = [];
-  const clubsWithMismatchedSize = [];
-  const clubsWithMismatchedBrand = [];
-  const allGripData = [];
-  
-  // Track grip sizes and brands for consistency check
-  const gripSizes = {};
-  const gripBrands = {};
-  let clubsWithGripData = 0;
-  let clubsWithConditionData = 0;
-  
-  clubs.forEach(club => {
-    const gripInfo = {
-      clubType: club.clubType,
-      clubId: club.id,
-      condition: club.grip_condition || null,
-      size: club.grip_size || null,
-      brand: club.grip_brand || null,
-      model: club.grip_model || null,
-      needsRegrip: false,
-      mismatchReason: null
-    };
-    
-    // Track what data we have
-    if (gripInfo.condition || gripInfo.size || gripInfo.brand) {
-      clubsWithGripData++;
-    }
-    if (gripInfo.condition) {
-      clubsWithConditionData++;
-    }
-    
-    // Check condition - flag worn or replace
-    if (gripInfo.condition === 'worn' || gripInfo.condition === 'replace') {
-      gripInfo.needsRegrip = true;
-      gripInfo.mismatchReason = gripInfo.condition === 'replace' 
-        ? 'Needs immediate replacement' 
-        : 'Showing wear - recommend replacement soon';
-      clubsNeedingRegrip.push(gripInfo);
-    }
-    
-    // Track sizes for consistency (excluding putter)
-    if (gripInfo.size && !isPutter(club)) {
-      gripSizes[gripInfo.size] = (gripSizes[gripInfo.size] || 0) + 1;
-    }
-    
-    // Track brands for consistency (excluding putter)
-    if (gripInfo.brand && !isPutter(club)) {
-      gripBrands[gripInfo.brand] = (gripBrands[gripInfo.brand] || 0) + 1;
-    }
-    
-    allGripData.push(gripInfo);
-  });
-  
-  // Determine dominant size and brand (excluding putter)
-  const dominantSize = Object.entries(gripSizes).sort((a, b) => b[1] - a[1])[0];
-  const dominantBrand = Object.entries(gripBrands).sort((a, b) => b[1] - a[1])[0];
-  
-  // Check for size mismatches
-  if (dominantSize) {
-    allGripData.forEach(grip => {
-      const club = clubs.find(c => c.clubType === grip.clubType);
-      if (grip.size && grip.size !== dominantSize[0] && !isPutter(club)) {
-        grip.needsRegrip = true;
-        grip.mismatchReason = grip.mismatchReason 
-          ? `${grip.mismatchReason}; Size mismatch (${grip.size} vs ${dominantSize[0]} standard)`
-          : `Size mismatch (${grip.size} vs ${dominantSize[0]} standard)`;
-        if (!clubsNeedingRegrip.find(c => c.clubType === grip.clubType)) {
-          clubsNeedingRegrip.push(grip);
-        }
-        clubsWithMismatchedSize.push(grip);
-      }
-    });
-  }
-  
-  // Check for brand inconsistencies (informational only, not automatic regrip flag)
-  if (dominantBrand) {
-    allGripData.forEach(grip => {
-      const club = clubs.find(c => c.clubType === grip.clubType);
-      if (grip.brand && grip.brand !== dominantBrand[0] && !isPutter(club)) {
-        clubsWithMismatchedBrand.push(grip);
-      }
-    });
-  }
-  
-  // Calculate costs
-  const standardRegrip = clubsNeedingRegrip.length * REGRIP_COST_PER_CLUB;
-  const premiumRegrip = clubsNeedingRegrip.length * PREMIUM_REGRIP_COST;
-  const fullBagRegrip = clubs.length * REGRIP_COST_PER_CLUB;
-  const fullBagPremium = clubs.length * PREMIUM_REGRIP_COST;
-  
-  // Determine if bulk replace is recommended
-  const bulkReplaceRecommended = clubsNeedingRegrip.length >= Math.ceil(clubs.length * 0.5);
-  
-  // Build recommendations
-  const recommendations = [];
-  
-  if (clubsNeedingRegrip.length === 0 && clubsWithConditionData > 0) {
-    recommendations.push('All grips in good condition - no immediate action needed');
-  } else if (clubsNeedingRegrip.length > 0) {
-    if (bulkReplaceRecommended) {
-      recommendations.push(`Consider regripping entire bag for consistency ($${fullBagRegrip}-$${fullBagPremium})`);
-    } else {
-      recommendations.push(`${clubsNeedingRegrip.length} club(s) need regripping ($${standardRegrip}-$${premiumRegrip})`);
-    }
-  }
-  
-  if (clubsWithMismatchedSize.length > 0) {
-    recommendations.push(`${clubsWithMismatchedSize.length} club(s) have inconsistent grip sizes - standardize for better feel`);
-  }
-  
-  if (clubsWithMismatchedBrand.length > 2) {
-    recommendations.push(`Multiple grip brands detected - consider standardizing for consistent feel`);
-  }
-  
-  if (clubsWithGripData === 0) {
-    recommendations.push('No grip data available - add grip details for assessment');
-  }
-  
-  // Sales opportunity summary
-  let salesOpportunity = null;
-  if (clubsNeedingRegrip.length > 0 || bulkReplaceRecommended) {
-    salesOpportunity = {
-      priority: bulkReplaceRecommended ? 'high' : 'medium',
-      clubsAffected: bulkReplaceRecommended ? clubs.length : clubsNeedingRegrip.length,
-      estimatedRevenue: bulkReplaceRecommended ? fullBagRegrip : standardRegrip,
-      pitch: bulkReplaceRecommended 
-        ? `Full bag regrip opportunity - ${clubs.length} clubs @ $${REGRIP_COST_PER_CLUB}/club = $${fullBagRegrip}`
-        : `Partial regrip - ${clubsNeedingRegrip.length} clubs @ $${REGRIP_COST_PER_CLUB}/club = $${standardRegrip}`
-    };
-  }
-  
-  return {
-    // Summary stats
-    totalClubs: clubs.length,
-    clubsWithGripData: clubsWithGripData,
-    clubsNeedingRegrip: clubsNeedingRegrip.length,
-    
-    // Consistency analysis
-    dominantSize: dominantSize ? dominantSize[0] : null,
-    dominantBrand: dominantBrand ? dominantBrand[0] : null,
-    sizeMismatches: clubsWithMismatchedSize.length,
-    brandVariety: Object.keys(gripBrands).length,
-    
-    // Detailed club data
-    clubs: allGripData,
-    clubsToRegrip: clubsNeedingRegrip,
-    clubsWithSizeMismatch: clubsWithMismatchedSize,
-    clubsWithBrandMismatch: clubsWithMismatchedBrand,
-    
-    // Cost estimates
-    costEstimate: {
-      perClub: REGRIP_COST_PER_CLUB,
-      premiumPerClub: PREMIUM_REGRIP_COST,
-      neededClubsStandard: standardRegrip,
-      neededClubsPremium: premiumRegrip,
-      fullBagStandard: fullBagRegrip,
-      fullBagPremium: fullBagPremium
-    },
-    
-    // Recommendations
-    bulkReplaceRecommended: bulkReplaceRecommended,
-    recommendations: recommendations,
-    gripRecommendations: GRIP_RECOMMENDATIONS,
-    
-    // Pro sales opportunity
-    salesOpportunity: salesOpportunity
-  };
-}
-
-// ==========================================
-// GRADE EXPLAINER - WHY THIS GRADE?
-// ==========================================
-
-/**
- * Generate clear explanations for why a bag received its grade
- * Highlights the biggest factors impacting the score
- * 
- * @param {Object} params - All scoring data
- * @returns {Object} Grade explanation with ranked impacts
- */
-function generateGradeExplainer(params) {
-  const {
-    overallScore,
-    overallGrade,
-    componentScores,
-    bagComposition,
-    loftGapAnalysis,
-    allIssues
-  } = params;
-  
-  const impacts = [];
-  
-  // 1. Check bag composition penalties (EXCLUDING putter - we assume everyone has one)
-  if (bagComposition.penalty > 0) {
-    // REMOVED: Putter penalty from grade explainer
-    // We assume all golfers have a putter, no penalty needed
-    
-    // Other composition issues are in bagComposition.issues
-    bagComposition.issues.forEach(issue => {
-      if (!issue.includes('putter')) {
-        const penaltyMatch = issue.match(/(\d+) point penalty/);
-        const penalty = penaltyMatch ? parseInt(penaltyMatch[1]) : 0;
-        if (penalty > 0) {
-          impacts.push({
-            category: 'Bag Composition',
-            issue: issue.replace(/ - \d+ point penalty/, ''),
-            impact: -penalty,
-            explanation: issue,
-            fix: bagComposition.recommendations[0] || 'Complete your bag setup'
-          });
-        }
-      }
-    });
-  }
-  
-  // 2. Check loft gapping issues (biggest impact for F grades)
-  if (loftGapAnalysis && loftGapAnalysis.length > 0) {
-    loftGapAnalysis.forEach(gap => {
-      if (gap.quality === 'overlap') {
-        impacts.push({
-          category: 'Loft Gapping',
-          issue: `Duplicate lofts: ${gap.from} and ${gap.to} are both ${gap.fromLoft}°`,
-          impact: gap.penalty,
-          explanation: `Having two clubs at the same loft wastes a slot in your bag. The ${gap.from} and ${gap.to} have ${gap.gap}° difference - essentially the same club.`,
-          fix: `Replace one with a different loft (e.g., change to ${gap.fromLoft + 4}° or ${gap.fromLoft - 4}°)`
-        });
-      } else if (gap.quality === 'majorVoid') {
-        impacts.push({
-          category: 'Loft Gapping',
-          issue: `${gap.gap}° gap between ${gap.from} and ${gap.to}`,
-          impact: gap.penalty,
-          explanation: `A ${gap.gap}° gap creates a significant distance void. You'll have trouble covering distances between these clubs.`,
-          fix: `Add a club between ${gap.from} (${gap.fromLoft}°) and ${gap.to} (${gap.toLoft}°)`
-        });
-      } else if (gap.quality === 'wide') {
-        impacts.push({
-          category: 'Loft Gapping',
-          issue: `${gap.gap}° gap between ${gap.from} and ${gap.to}`,
-          impact: gap.penalty,
-          explanation: `A ${gap.gap}° gap is wider than optimal and may create distance coverage issues.`,
-          fix: `Consider adding a club to fill this gap`
-        });
-      }
-    });
-  }
-  
-  // 3. Check low-scoring factors
-  const factorNames = {
-    age: 'Club Age',
-    weight: 'Weight Progression',
-    loft: 'Loft Gapping',
-    flex: 'Flex Consistency',
-    kickpoint: 'Kickpoint Consistency',
-    torque: 'Torque Consistency',
-    length: 'Length Progression',
-    lie: 'Lie Angle Progression'
-  };
-  
-  Object.entries(componentScores).forEach(([key, data]) => {
-    if (data.score < 70 && data.scorable !== false) {
-      // This is a major problem factor
-      const factorName = factorNames[key] || key;
-      const impact = Math.round((data.score - 100) * 0.125); // Approximate impact based on weight
-      
-      // Find related issues
-      const relatedIssues = allIssues.filter(issue => {
-        const keywords = {
-          age: ['year old', 'years old', 'outdated'],
-          weight: ['weight', 'gram'],
-          loft: ['gap', 'overlap', 'gapping'],
-          flex: ['flex', 'stiff', 'regular'],
-          kickpoint: ['kickpoint'],
-          torque: ['torque'],
-          length: ['length', 'inch', '"'],
-          lie: ['lie']
-        };
-        return (keywords[key] || []).some(kw => issue.toLowerCase().includes(kw));
-      });
-      
-      if (!impacts.find(i => i.category === factorName)) {
-        impacts.push({
-          category: factorName,
-          issue: `Factor scored ${data.score}/100 (${data.grade || scoreToGrade(data.score)})`,
-          impact: impact,
-          explanation: relatedIssues[0] || `This factor is bringing down your overall grade`,
-          fix: relatedIssues.length > 0 ? 'Address the issues listed above' : 'Review club specifications'
-        });
-      }
-    }
-  });
-  
-  // Sort by impact (most negative first)
-  impacts.sort((a, b) => a.impact - b.impact);
-  
-  // Calculate what grade would be without biggest issues
-  const totalNegativeImpact = impacts.reduce((sum, i) => sum + Math.abs(i.impact), 0);
-  const potentialScore = Math.min(100, overallScore + totalNegativeImpact);
-  
-  // Generate summary
-  let summary = '';
-  if (impacts.length === 0) {
-    summary = 'Great job! No major issues detected in your bag.';
-  } else if (impacts.length === 1) {
-    summary = `Your grade is primarily affected by: ${impacts[0].issue}`;
-  } else {
-    summary = `Your grade is affected by ${impacts.length} major issues. The biggest impact is: ${impacts[0].issue}`;
-  }
-  
-  // Top 3 impacts for quick view
-  const topImpacts = impacts.slice(0, 3).map(i => ({
-    issue: i.issue,
-    impact: `${i.impact} points`,
-    fix: i.fix
-  }));
-  
-  return {
-    summary: summary,
-    current_score: overallScore,
-    current_grade: overallGrade,
-    potential_score: potentialScore,
-    potential_grade: scoreToGrade(potentialScore),
-    total_penalty_points: totalNegativeImpact,
-    top_impacts: topImpacts,
-    all_impacts: impacts,
-    fixable_issues: impacts.filter(i => i.fix).length
-  };
-}
-
-// ==========================================
-// FACTOR CALCULATION FUNCTIONS
-// ==========================================
-
-/**
- * Calculate age score based on club years
- * NOTE: Putters are excluded from age scoring
- */
-function calculateAgeScore(clubs) {
-  // Filter out putters - they age differently and don't affect swing consistency
-  const gradableClubs = filterOutPutters(clubs);
-  
-  const currentYear = new Date().getFullYear();
-  const issues = [];
-
-  let totalAgeScore = 0;
-  let clubsWithYearData = 0;
-
-  /**
-   * Age scoring tiers:
-   * - A (90-100): All clubs 1-2 years old
-   * - B+ (87-89): Mostly new (1-3 years with maybe one older)
-   * - B (83-86): Mix of modern equipment
-   * - C (70-79): Some dated equipment
-   * - D (60-69): Average over 10 years old
-   * - F (<60): Severely outdated bag
-   */
-  function getAgeScore(age) {
-    if (age <= 1) return 100;      // Brand new
-    if (age === 2) return 95;      // Nearly new
-    if (age === 3) return 88;      // Still modern
-    if (age === 4) return 78;      // Getting dated
-    if (age === 5) return 68;      // Dated
-    if (age === 6) return 55;      // Older
-    if (age === 7) return 42;      // Old
-    if (age === 8) return 30;      // Very old
-    if (age === 9) return 18;      // Should replace
-    return 8;                       // 10+ years - strongly recommend replacing
-  }
-
-  gradableClubs.forEach((club) => {
-    if (club.year) {
-      const age = currentYear - club.year;
-      clubsWithYearData++;
-
-      const clubScore = getAgeScore(age);
-      totalAgeScore += clubScore;
-
-      // Flag issues for clubs older than 5 years
-      if (age > 5) {
-        issues.push(`${club.clubType} (${club.brand} ${club.model}) is ${age} years old - consider updating`);
-      }
-    }
-  });
-
-  if (clubsWithYearData === 0) {
-    return {score: 0, scorable: false, issues: ["Unable to determine club ages - add year information"]};
-  }
-
-  const averageScore = Math.round(totalAgeScore / clubsWithYearData);
-
-  return {
-    score: averageScore,
-    scorable: true,
-    issues: issues,
-  };
-}
-
-/**
- * Calculate weight progression score
- * NOTE: Putters are excluded from weight progression scoring
- */
-function calculateWeightProgression(clubs, favoriteClubSpecs = null) {
-  const issues = [];
-  const suggestions = []; // Structured weight suggestions for frontend
-
-  // Filter out putters first, then filter for clubs with weight data
-  const clubsWithWeight = filterOutPutters(clubs)
-      .filter((c) => c.shaft_weight && c.loft)
-      .sort((a, b) => a.loft - b.loft);
-  
-  // Track clubs using defaults
-  const clubsUsingDefaults = clubsWithWeight.filter(c => c.weightIsDefault === true);
-
-  if (clubsWithWeight.length < 2) {
-    return {
-      score: 0,
-      scorable: false,
-      issues: ["Not enough clubs with weight data to assess progression"],
-      defaultsNote: null,
-      clubsUsingDefaults: 0
-    };
-  }
-  
-  // Add note about default weights if any were used
-  let defaultsNote = null;
-  if (clubsUsingDefaults.length > 0) {
-    const clubList = clubsUsingDefaults.map(c => `${c.clubType} (${c.shaft_weight}g)`).join(', ');
-    defaultsNote = `Standard weights used for ${clubsUsingDefaults.length} club(s): ${clubList}. For accurate analysis, enter actual shaft weights.`;
-  }
-
-  // ==========================================
-  // FAVORITE CLUB BASELINE INTERPOLATION (Patent Pending)
-  // ==========================================
-  
-  // Zone weight offsets - expected difference from a "normalized" baseline
-  const ZONE_WEIGHT_OFFSETS = {
-    'WOODS': -30,    // Graphite, longer clubs = lighter
-    'HYBRIDS': -20,  // Bridge between woods and irons
-    'IRONS': 0,      // Baseline zone (steel shafts)
-    'WEDGES': +15    // Heavier for control
-  };
-  
-  // Typical shaft material per zone (for cross-material detection)
-  const ZONE_TYPICAL_MATERIALS = {
-    'WOODS': 'GRAPHITE',
-    'HYBRIDS': 'GRAPHITE',
-    'IRONS': 'STEEL',
-    'WEDGES': 'STEEL'
-  };
-  
-  // Infer shaft material from weight and club type
-  function inferShaftMaterial(weight, clubType) {
-    const type = (clubType || '').toLowerCase();
-    
-    // Woods are almost always graphite
-    if (type === 'driver' || type.includes('wood') || /^\d+w$/i.test(type)) {
-      return 'GRAPHITE';
-    }
-    
-    // Hybrids - check weight (graphite typically <85g, steel 85g+)
-    if (type.includes('hybrid') || /^\d+h$/i.test(type)) {
-      return weight < 85 ? 'GRAPHITE' : 'STEEL';
-    }
-    
-    // Irons - most are steel, but graphite irons exist (<85g)
-    if (type.includes('iron') || /^\d+-iron$/i.test(type)) {
-      return weight < 85 ? 'GRAPHITE' : 'STEEL';
-    }
-    
-    // Wedges - almost always steel
-    return 'STEEL';
-  }
-  
-  // Helper to get zone from club type string
-  function getWeightZoneFromType(clubType) {
-    const ct = (clubType || '').toLowerCase();
-    if (ct === 'driver' || ct.includes('wood') || /^\d+w$/i.test(ct)) return 'WOODS';
-    if (ct.includes('hybrid') || /^\d+h$/i.test(ct)) return 'HYBRIDS';
-    if (['gw', 'aw', 'sw', 'lw', 'gap', 'sand', 'lob'].some(w => ct === w || ct.includes(w))) return 'WEDGES';
-    const degMatch = ct.match(/^(\d+)/);
-    if (degMatch && parseInt(degMatch[1], 10) >= 46) return 'WEDGES';
-    return 'IRONS';
-  }
-  
-  // Calculate expected weight for each zone based on favorite club
-  let expectedWeights = null;
-  let favoriteZone = null;
-  let favoriteMaterial = null;
-  
-  if (favoriteClubSpecs && favoriteClubSpecs.shaft_weight) {
-    const favoriteWeight = favoriteClubSpecs.shaft_weight;
-    favoriteZone = getWeightZoneFromType(favoriteClubSpecs.clubType);
-    favoriteMaterial = inferShaftMaterial(favoriteWeight, favoriteClubSpecs.clubType);
-    const favoriteOffset = ZONE_WEIGHT_OFFSETS[favoriteZone] || 0;
-    
-    // Normalize to "iron baseline" then calculate expected per zone
-    const normalizedBaseline = favoriteWeight - favoriteOffset;
-    
-    // Only apply baseline to zones with MATCHING material type
-    // This prevents comparing graphite woods against steel irons
-    expectedWeights = {};
-    
-    ['WOODS', 'HYBRIDS', 'IRONS', 'WEDGES'].forEach(zone => {
-      const zoneMaterial = ZONE_TYPICAL_MATERIALS[zone];
-      if (zoneMaterial === favoriteMaterial) {
-        // Same material - apply baseline comparison
-        expectedWeights[zone] = Math.round(normalizedBaseline + ZONE_WEIGHT_OFFSETS[zone]);
-      } else {
-        // Different material - skip baseline, will use zone average instead
-        expectedWeights[zone] = null;
-      }
-    });
-    
-    logger.info(`BASELINE-MATERIAL: Favorite ${favoriteClubSpecs.clubType} (${favoriteWeight}g) is ${favoriteMaterial}. Applying baseline to: ${Object.entries(expectedWeights).filter(([k,v]) => v !== null).map(([k,v]) => `${k}=${v}g`).join(', ')}`);
-  }
-
-  // ==========================================
-  // ZONE-BASED WEIGHT SCORING WITH OUTLIER EXCLUSION
-  // ==========================================
-  
-  // Helper to determine weight zone
-  function getWeightZone(club) {
-    const clubType = (club.clubType || club.club_type || '').toLowerCase();
-    
-    if (clubType === 'driver') return 'WOODS';
-    if (clubType.includes('wood') || /^\d+w$/i.test(clubType)) return 'WOODS';
-    if (clubType.includes('hybrid') || /^\d+h$/i.test(clubType)) return 'HYBRIDS';
-    
-    // PW stays with IRONS
-    if (clubType === 'pw' || clubType === 'pitching' || clubType === 'pitching wedge') return 'IRONS';
-    
-    // Irons
-    if (clubType.includes('iron') || /^\d+-iron$/i.test(clubType)) return 'IRONS';
-    
-    // Degree wedges (46°+)
-    const degMatch = clubType.match(/^(\d+)/);
-    if (degMatch) {
-      const num = parseInt(degMatch[1], 10);
-      if (num >= 46 && num <= 64) return 'WEDGES';
-    }
-    
-    // Named wedges
-    if (['gw', 'aw', 'sw', 'lw', 'gap', 'sand', 'lob'].some(w => clubType === w || clubType.includes(w))) {
-      return 'WEDGES';
-    }
-    
-    return 'IRONS';
-  }
-  
-  // Tiered thresholds per zone (deviation from average in grams)
-  const WEIGHT_THRESHOLDS = {
-    WOODS:   { A: 5, B: 10, C: 15 },
-    HYBRIDS: { A: 5, B: 8, C: 12 },
-    IRONS:   { A: 3, B: 6, C: 10 },
-    WEDGES:  { A: 8, B: 12, C: 18 }
-  };
-  
-  // Group clubs by zone
-  const zones = { WOODS: [], HYBRIDS: [], IRONS: [], WEDGES: [] };
-  clubsWithWeight.forEach(club => {
-    const zone = getWeightZone(club);
-    zones[zone].push({
-      name: club.clubType,
-      weight: club.shaft_weight,
-      isDefault: club.weightIsDefault || false
-    });
-  });
-  
-  // Score each zone with OUTLIER EXCLUSION
-  let totalPenalty = 0;
-  const zoneResults = {};
-  
-  function scoreZone(zoneClubs, zoneName) {
-    const thresholds = WEIGHT_THRESHOLDS[zoneName];
-    
-    // Single club zone
-    if (zoneClubs.length === 1) {
-      // If using favorite baseline, check single club against expected
-      if (expectedWeights && expectedWeights[zoneName]) {
-        const club = zoneClubs[0];
-        const expected = expectedWeights[zoneName];
-        const deviation = Math.abs(club.weight - expected);
-        const zoneIssues = [];
-        const zoneSuggestions = [];
-        let penalty = 0;
-        let grade = 'A';
-        
-        if (deviation > thresholds.A && !club.isDefault) {
-          const diff = club.weight - expected;
-          const diffStr = diff > 0 ? `+${diff}g` : `${diff}g`;
-          zoneIssues.push(`${club.name} (${club.weight}g) is ${diffStr} vs expected ${expected}g based on ★ ${favoriteClubSpecs.clubType}`);
-          
-          // Add structured suggestion
-          zoneSuggestions.push({
-            clubType: club.name,
-            currentWeight: club.weight,
-            idealWeight: expected,
-            isBaselineBased: true
-          });
-          
-          if (deviation > thresholds.C) {
-            penalty = 15;
-            grade = 'C';
-          } else if (deviation > thresholds.B) {
-            penalty = 8;
-            grade = 'B';
-          } else {
-            penalty = 3;
-            grade = 'B';
-          }
-        }
-        
-        return { 
-          penalty, 
-          issues: zoneIssues,
-          suggestions: zoneSuggestions,
-          grade, 
-          avgWeight: club.weight, 
-          expectedWeight: expected,
-          maxDeviation: Math.round(deviation),
-          outlierCount: deviation > thresholds.C ? 1 : 0
-        };
-      }
-      
-      return { 
-        penalty: 0, 
-        issues: [],
-        suggestions: [],
-        grade: 'A', 
-        avgWeight: zoneClubs[0].weight, 
-        maxDeviation: 0,
-        outlierCount: 0
-      };
-    }
-    
-    if (zoneClubs.length < 2) return { penalty: 0, issues: [], suggestions: [], grade: 'A', avgWeight: 0, maxDeviation: 0, outlierCount: 0 };
-    
-    const outlierThreshold = thresholds.C * 2;
-    
-    // Determine target weight: use expected (favorite baseline) or calculate from zone
-    let targetWeight;
-    let usingBaseline = false;
-    
-    if (expectedWeights && expectedWeights[zoneName]) {
-      targetWeight = expectedWeights[zoneName];
-      usingBaseline = true;
-    } else {
-      // Calculate from zone average (original logic)
-      const weights = zoneClubs.map(c => c.weight);
-      const initialAvg = weights.reduce((a, b) => a + b, 0) / weights.length;
-      
-      const normalClubs = zoneClubs.filter(club => {
-        const deviation = Math.abs(club.weight - initialAvg);
-        return deviation <= outlierThreshold;
-      });
-      
-      if (normalClubs.length >= 2) {
-        targetWeight = Math.round(normalClubs.reduce((sum, c) => sum + c.weight, 0) / normalClubs.length);
-      } else {
-        targetWeight = Math.round(initialAvg);
-      }
-    }
-    
-    // Score ALL clubs against target weight
-    const zoneIssues = [];
-    const zoneSuggestions = [];
-    let maxDeviation = 0;
-    let outlierCount = 0;
-    
-    zoneClubs.forEach(club => {
-      if (club.isDefault) return;
-      
-      // Skip the favorite club itself - it shouldn't have a suggestion
-      if (favoriteClubSpecs && club.name === favoriteClubSpecs.clubType) return;
-      
-      const deviation = Math.abs(club.weight - targetWeight);
-      maxDeviation = Math.max(maxDeviation, deviation);
-      
-      if (deviation > thresholds.A) {
-        if (usingBaseline) {
-          const diff = club.weight - targetWeight;
-          const diffStr = diff > 0 ? `+${diff}g` : `${diff}g`;
-          zoneIssues.push(`${club.name} (${club.weight}g) is ${diffStr} vs expected ${targetWeight}g based on ★ ${favoriteClubSpecs.clubType}`);
-          
-          // Add structured suggestion (baseline-based)
-          zoneSuggestions.push({
-            clubType: club.name,
-            currentWeight: club.weight,
-            idealWeight: targetWeight,
-            isBaselineBased: true
-          });
-        } else {
-          const zoneLabel = zoneName.toLowerCase();
-          zoneIssues.push(`${club.name} weight (${club.weight}g) varies from ${zoneLabel} average (${targetWeight}g)`);
-          
-          // Add structured suggestion (zone average-based)
-          zoneSuggestions.push({
-            clubType: club.name,
-            currentWeight: club.weight,
-            idealWeight: targetWeight,
-            isBaselineBased: false
-          });
-        }
-        
-        if (deviation > thresholds.C) {
-          outlierCount++;
-        }
-      }
-    });
-    
-    // Calculate penalty
-    let penalty = 0;
-    let grade = 'A';
-    
-    if (outlierCount > 0) {
-      penalty += outlierCount * 15;
-      grade = outlierCount >= 2 ? 'D' : 'C';
-    }
-    
-    if (maxDeviation > thresholds.C) {
-      penalty += 20;
-      grade = 'D';
-    } else if (maxDeviation > thresholds.B) {
-      penalty += 12;
-      if (grade === 'A') grade = 'C';
-    } else if (maxDeviation > thresholds.A) {
-      penalty += 5;
-      if (grade === 'A') grade = 'B';
-    }
-    
-    if (zoneName === 'IRONS' && penalty > 0) {
-      penalty = Math.round(penalty * 1.2);
-    }
-    
-    return { 
-      penalty, 
-      issues: zoneIssues,
-      suggestions: zoneSuggestions,
-      grade, 
-      avgWeight: targetWeight,
-      expectedWeight: usingBaseline ? targetWeight : null,
-      maxDeviation: Math.round(maxDeviation),
-      outlierCount 
-    };
-  }
-  
-  // Score each zone
-  Object.entries(zones).forEach(([zoneName, zoneClubs]) => {
-    const result = scoreZone(zoneClubs, zoneName);
-    zoneResults[zoneName] = result;
-    totalPenalty += result.penalty;
-    issues.push(...result.issues);
-    if (result.suggestions) {
-      suggestions.push(...result.suggestions);
-    }
-  });
-  
-  // ==========================================
-  // CROSS-ZONE PROGRESSION CHECKS
-  // ==========================================
-  const zoneOrder = ['WOODS', 'HYBRIDS', 'IRONS', 'WEDGES'];
-  const zoneAvg = {};
-  
-  zoneOrder.forEach(zone => {
-    if (zoneResults[zone] && zoneResults[zone].avgWeight > 0) {
-      zoneAvg[zone] = zoneResults[zone].avgWeight;
-    }
-  });
-  
-  // Check 1: Hybrids should be heavier than woods (soft warning)
-  if (zoneAvg.WOODS && zoneAvg.HYBRIDS) {
-    if (zoneAvg.HYBRIDS <= zoneAvg.WOODS) {
-      // Soft warning - no penalty, just note
-      issues.push(`Hybrids (${zoneAvg.HYBRIDS}g avg) should typically be 5-15g heavier than woods (${zoneAvg.WOODS}g avg) for optimal tempo transition`);
-    }
-  }
-  
-  // Check 2: Major reversals (weight DECREASES going to shorter clubs)
-  for (let i = 0; i < zoneOrder.length - 1; i++) {
-    const currentZone = zoneOrder[i];
-    const nextZone = zoneOrder[i + 1];
-    const currentAvg = zoneAvg[currentZone];
-    const nextAvg = zoneAvg[nextZone];
-    
-    if (currentAvg && nextAvg) {
-      // Penalize if weight DECREASES significantly
-      if (currentAvg > nextAvg + 20) {
-        totalPenalty += 8;
-        issues.push(`${currentZone} average (${currentAvg}g) is heavier than ${nextZone} (${nextAvg}g) - weight should increase toward shorter clubs`);
-      }
-    }
-  }
-  
-  const score = Math.max(0, 100 - totalPenalty);
-
-  return {
-    score: score,
-    scorable: true,
-    issues: issues,
-    suggestions: suggestions, // Structured weight suggestions for frontend
-    defaultsNote: defaultsNote,
-    clubsUsingDefaults: clubsUsingDefaults.length,
-    zoneAverages: zoneAvg,
-    zoneResults: zoneResults,
-    favoriteClubBaseline: favoriteClubSpecs ? {
-      enabled: true,
-      clubType: favoriteClubSpecs.clubType,
-      weight: favoriteClubSpecs.shaft_weight,
-      expectedWeights: expectedWeights
-    } : { enabled: false }
-  };
-}
-
-/**
- * Calculate loft gapping score - FULL BAG COVERAGE with tiered thresholds
- * Analyzes gaps from driver through wedges (excludes putter)
- * Uses zone-specific thresholds: woods gaps are naturally larger than iron gaps
- */
-function calculateLoftGapping(clubs) {
-  const issues = [];
-
-  // Filter out putters, then get all clubs with loft data sorted by loft
-  const clubsWithLoft = filterOutPutters(clubs)
-      .filter((c) => c.loft && c.clubType)
-      .sort((a, b) => a.loft - b.loft);
-  
-  // Track which clubs are using default lofts
-  const clubsUsingDefaults = clubsWithLoft.filter(c => c.loftIsDefault === true);
-  
-  if (clubsWithLoft.length < 2) {
-    return {
-      score: 0,
-      scorable: false,
-      issues: ["Not enough clubs with loft data to assess gapping"],
-      defaultLoftsNote: null
-    };
-  }
-  
-  // Add note about default lofts if any were used
-  let defaultLoftsNote = null;
-  if (clubsUsingDefaults.length > 0) {
-    const clubList = clubsUsingDefaults.map(c => `${c.clubType} (${c.loft}°)`).join(', ');
-    defaultLoftsNote = `Standard lofts used for ${clubsUsingDefaults.length} club(s): ${clubList}. For accurate analysis, enter actual club lofts.`;
-  }
-
-  let totalPenalty = 0;
-  const gapAnalysis = [];
-
-  for (let i = 1; i < clubsWithLoft.length; i++) {
-    const lowerLoftClub = clubsWithLoft[i - 1]; // e.g., Driver (10.5°)
-    const higherLoftClub = clubsWithLoft[i];     // e.g., 3-Wood (15°)
-
-    const gap = higherLoftClub.loft - lowerLoftClub.loft;
-    
-    // Determine the gap zone based on club categories
-    const zone = getGapZone(lowerLoftClub, higherLoftClub);
-    
-    // Score this gap using zone-specific thresholds
-    const gapResult = scoreGap(gap, zone);
-    
-    // Track if either club used default loft
-    const fromIsDefault = lowerLoftClub.loftIsDefault === true;
-    const toIsDefault = higherLoftClub.loftIsDefault === true;
-    
-    gapAnalysis.push({
-      from: lowerLoftClub.clubType,
-      fromLoft: lowerLoftClub.loft,
-      fromIsDefault: fromIsDefault,
-      to: higherLoftClub.clubType,
-      toLoft: higherLoftClub.loft,
-      toIsDefault: toIsDefault,
-      gap: gap,
-      zone: zone,
-      quality: gapResult.quality,
-      penalty: gapResult.penalty
-    });
-    
-    totalPenalty += gapResult.penalty;
-    
-    // Build issue string with default notation if applicable
-    const fromNote = fromIsDefault ? ' [std]' : '';
-    const toNote = toIsDefault ? ' [std]' : '';
-    
-    // Log issues for non-optimal gaps
-    if (gapResult.quality === 'overlap') {
-      issues.push(
-        `${gap}° overlap between ${lowerLoftClub.clubType}${fromNote} (${lowerLoftClub.loft}°) ` +
-        `and ${higherLoftClub.clubType}${toNote} (${higherLoftClub.loft}°) - clubs too similar`
-      );
-    } else if (gapResult.quality === 'majorVoid') {
-      issues.push(
-        `${gap}° gap between ${lowerLoftClub.clubType}${fromNote} (${lowerLoftClub.loft}°) ` +
-        `and ${higherLoftClub.clubType}${toNote} (${higherLoftClub.loft}°) - major distance void`
-      );
-    } else if (gapResult.quality === 'wide') {
-      issues.push(
-        `${gap}° gap between ${lowerLoftClub.clubType}${fromNote} (${lowerLoftClub.loft}°) ` +
-        `and ${higherLoftClub.clubType}${toNote} (${higherLoftClub.loft}°) - consider adding a club`
-      );
-    } else if (gapResult.quality === 'tight') {
-      issues.push(
-        `${gap}° gap between ${lowerLoftClub.clubType}${fromNote} (${lowerLoftClub.loft}°) ` +
-        `and ${higherLoftClub.clubType}${toNote} (${higherLoftClub.loft}°) - tight gapping`
-      );
-    }
-  }
-
-  // Calculate final score (start at 100, apply penalties)
-  const score = Math.max(0, Math.min(100, 100 + totalPenalty));
-
-  return {
-    score: score,
-    scorable: true,
-    issues: issues,
-    gapAnalysis: gapAnalysis,
-    defaultLoftsNote: defaultLoftsNote,
-    clubsUsingDefaults: clubsUsingDefaults.length
-  };
-}
-
-/**
- * Normalize flex value to standard format
- * Maps various flex notations to: Ladies, Senior, Regular, Stiff, X-Stiff
- */
-function normalizeFlexValue(flex) {
-  if (!flex) return null;
-  const f = flex.toLowerCase().trim();
-  // Filter out invalid flex values (e.g., "wedge" stored by mistake)
-  if (f === 'wedge' || f === 'putter' || f === 'n/a' || f === 'unknown' || f === 'none') return null;
-  if (f === 'l' || f === 'ladies' || f === 'lady') return 'Ladies';
-  if (f === 'a' || f === 'sr' || f === 'senior' || f === 'am') return 'Senior';
-  if (f === 'r' || f === 'regular' || f === 'reg' || f === 'm' || f === 'med' || f === 'medium') return 'Regular';
-  if (f === 's' || f === 'stiff' || f === 'firm') return 'Stiff';
-  if (f === 'x' || f === 'xs' || f === 'x-stiff' || f === 'xstiff' || f === 'extra stiff' || f === 'tour') return 'X-Stiff';
-  // Check for flex embedded in shaft code (e.g., "6S" = Stiff, "5R" = Regular)
-  if (/\d+s$/i.test(f) || /s\d*$/i.test(f)) return 'Stiff';
-  if (/\d+r$/i.test(f) || /r\d*$/i.test(f)) return 'Regular';
-  if (/\d+x$/i.test(f) || /x\d*$/i.test(f)) return 'X-Stiff';
-  if (/\d+a$/i.test(f) || /a\d*$/i.test(f)) return 'Senior';
-  if (/\d+l$/i.test(f) || /l\d*$/i.test(f)) return 'Ladies';
-  return flex; // Return original if no match
-}
-
-/**
- * Calculate flex consistency score
- * NOTE: Putters are excluded from flex consistency scoring
- * NOTE: Flex labels have NO industry standard - we only check for label consistency within the bag
- */
-function calculateFlexConsistency(clubs) {
-  const issues = [];
-  
-  // Filter out putters - they don't have meaningful flex data
-  const gradableClubs = filterOutPutters(clubs);
-
-  const flexCounts = {};
-  let totalWithFlex = 0;
-
-  // Data is normalized - use standard flat field names
-  // Also normalize flex values to group similar flexes (S, Stiff, 6S → Stiff)
-  gradableClubs.forEach((club) => {
-    if (club.shaft_flex) {
-      const normalizedFlex = normalizeFlexValue(club.shaft_flex);
-      flexCounts[normalizedFlex] = (flexCounts[normalizedFlex] || 0) + 1;
-      totalWithFlex++;
-    }
-  });
-
-  if (totalWithFlex === 0) {
-    return {
-      score: 0,
-      scorable: false,
-      issues: ["No flex data available - add shaft flex information"],
-    };
-  }
-
-  // Find dominant flex
-  const sorted = Object.entries(flexCounts).sort((a, b) => b[1] - a[1]);
-  const dominant = sorted[0];
-  
-  if (!dominant) {
-    return { score: 100, scorable: true, issues: [] };
-  }
-  
-  const matchCount = dominant[1];
-  const matchPercent = matchCount / totalWithFlex;
-  const mismatchCount = totalWithFlex - matchCount;
-  
-  // Percentage-based scoring matrix (flex labels are unreliable, so be lenient)
-  // 100% match → 100, 75-99% → 90, 50-74% → 75, <50% → 60
-  let score = 100;
-  let severity = 'none';
-  
-  if (matchPercent >= 1.0) {
-    score = 100;
-    severity = 'none';
-  } else if (matchPercent >= 0.75) {
-    score = 90;
-    severity = 'minor';
-  } else if (matchPercent >= 0.50) {
-    score = 75;
-    severity = 'moderate';
-  } else {
-    score = 60;
-    severity = 'significant';
-  }
-  
-  // Build issues list
-  if (mismatchCount > 0) {
-    const mismatchedFlexes = sorted.slice(1).map(([flex, count]) => `${count} ${flex}`);
-    issues.push(`Mixed flex labels: ${matchCount} ${dominant[0]}, ${mismatchedFlexes.join(', ')} - consider standardizing`);
-  }
-
-  return {
-    score, 
-    scorable: true, 
-    dominantFlex: dominant[0],
-    matchPercent,
-    matchCount,
-    total: totalWithFlex,
-    issues 
-  };
-}
-
-/**
- * Calculate kickpoint consistency score
- * NOTE: Putters are excluded from kickpoint consistency scoring
- */
-function calculateKickpointConsistency(clubs) {
-  const issues = [];
-  
-  // Filter out putters - they don't have meaningful kickpoint data
-  const gradableClubs = filterOutPutters(clubs);
-
-  // Zone-based kickpoint evaluation
-  // Kickpoint should be consistent WITHIN each club category, but can differ BETWEEN categories
-  const zones = {
-    WOODS: [],
-    HYBRIDS: [],
-    IRONS: [],
-    WEDGES: []
-  };
-  
-  // Helper to determine zone
-  function getKickpointZone(club) {
-    const clubType = (club.clubType || club.club_type || '').toLowerCase();
-    const loft = club.loft || 0;
-    
-    // Woods
-    if (clubType === 'driver' || clubType.includes('wood')) {
-      return 'WOODS';
-    }
-    
-    // Hybrids (including numbered format like "2h", "3h", etc.)
-    if (clubType.includes('hybrid') || /^\d+h$/i.test(clubType)) {
-      return 'HYBRIDS';
-    }
-    
-    // PW stays with IRONS (check before wedges!)
-    if (clubType === 'pw' || clubType === 'pitching' || clubType === 'pitching wedge') {
-      return 'IRONS';
-    }
-    
-    // Irons (3i-9i)
-    if (clubType.includes('iron') || /^\d+-iron$/i.test(clubType)) {
-      return 'IRONS';
-    }
-    
-    // Degree wedges - check if starts with 2 digits (46-64) regardless of suffix
-    const degMatch = clubType.match(/^(\d+)/);
-    if (degMatch) {
-      const num = parseInt(degMatch[1], 10);
-      if (num >= 46 && num <= 64) return 'WEDGES';  // 46° through 64° are wedges
-    }
-    
-    // Named wedges: GW/AW/SW/LW
-    if (['gw', 'aw', 'sw', 'lw', 'gap', 'sand', 'lob'].some(w => clubType === w || clubType.includes(w))) {
-      return 'WEDGES';
-    }
-    
-    // Fallback to loft check
-    if (loft >= 48) {
-      return 'WEDGES';
-    }
-    
-    // Default to irons
-    return 'IRONS';
-  }
-  
-  // Normalize kickpoint value
-  function normalizeKickpoint(kickpoint) {
-    if (!kickpoint) return null;
-    const kp = kickpoint.toLowerCase().trim();
-    if (kp.includes('low')) return 'low';
-    if (kp.includes('high')) return 'high';
-    return 'mid'; // Default to mid
-  }
-  
-  // Group clubs by zone
-  let totalWithKickpoint = 0;
-  gradableClubs.forEach(club => {
-    if (club.shaft_kickpoint) {
-      const zone = getKickpointZone(club);
-      const normalized = normalizeKickpoint(club.shaft_kickpoint);
-      if (normalized) {
-        zones[zone].push({
-          name: club.clubType || club.club_type,
-          kickpoint: normalized,
-          original: club.shaft_kickpoint
-        });
-        totalWithKickpoint++;
-      }
-    }
-  });
-  
-  if (totalWithKickpoint === 0) {
-    return {
-      score: 0,
-      scorable: false,
-      issues: ["No kickpoint data available"],
-    };
-  }
-  
-  // Score each zone independently
-  let totalPenalty = 0;
-  
-  function scoreZone(zoneClubs, zoneName) {
-    if (zoneClubs.length < 2) return { penalty: 0, issues: [] }; // Need 2+ clubs to evaluate
-    
-    const kickpoints = zoneClubs.map(c => c.kickpoint);
-    const counts = {};
-    
-    kickpoints.forEach(kp => {
-      counts[kp] = (counts[kp] || 0) + 1;
-    });
-    
-    const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
-    const dominantKickpoint = sorted[0][0];
-    const dominantCount = sorted[0][1];
-    const deviations = zoneClubs.length - dominantCount;
-    
-    const zoneIssues = [];
-    let penalty = 0;
-    
-    // Find which clubs deviate
-    zoneClubs.forEach(club => {
-      if (club.kickpoint !== dominantKickpoint) {
-        const zoneLabel = zoneName === 'IRONS' ? 'other irons' : 
-                          zoneName === 'WOODS' ? 'other woods' :
-                          zoneName === 'HYBRIDS' ? 'other hybrids' : 'other wedges';
-        zoneIssues.push(`${club.name} kickpoint (${club.kickpoint}) doesn't match ${zoneLabel} (${dominantKickpoint}) - may cause inconsistent ball flight`);
-      }
-    });
-    
-    // Apply penalties based on deviation count
-    if (deviations === 0) {
-      penalty = 0;
-    } else if (deviations === 1) {
-      penalty = 5;
-    } else if (deviations === 2) {
-      penalty = 10;
-    } else {
-      penalty = 15;
-    }
-    
-    // Extra penalty for woods (tempo setters)
-    if (zoneName === 'WOODS' && deviations > 0) {
-      penalty = Math.round(penalty * 1.25);
-    }
-    
-    return { penalty, issues: zoneIssues };
-  }
-  
-  // Score each zone
-  Object.entries(zones).forEach(([zoneName, zoneClubs]) => {
-    const result = scoreZone(zoneClubs, zoneName);
-    totalPenalty += result.penalty;
-    issues.push(...result.issues);
-  });
-  
-  // If no issues within zones but multiple kickpoints across bag, don't penalize
-  // This is the key change - different kickpoints between zones is NORMAL
-  
-  const score = Math.max(0, 100 - totalPenalty);
-  
-  // Add summary issue if there are problems
-  if (issues.length > 0 && issues.length <= 2) {
-    // Don't add extra summary for small issues
-  } else if (issues.length > 2) {
-    issues.unshift(`Mixed kickpoint profiles within club categories`);
-  }
-  
-  return { score, scorable: true, issues };
-}
-
-/**
- * Calculate torque consistency score
- * NOTE: Putters are excluded from torque consistency scoring
- */
-function calculateTorqueConsistency(clubs) {
-  const issues = [];
-
-  // Filter out putters, then get torque values
-  // Data is normalized - use standard flat field names
-  const torqueValues = filterOutPutters(clubs)
-      .filter((c) => c.shaft_torque !== null && c.shaft_torque !== undefined)
-      .map((c) => c.shaft_torque);
-
-  if (torqueValues.length === 0) {
-    return {
-      score: 0,
-      scorable: false,
-      issues: ["No torque data available"],
-    };
-  }
-
-  const avgTorque = torqueValues.reduce((a, b) => a + b, 0) / torqueValues.length;
-  const maxDeviation = Math.max(...torqueValues.map((t) => Math.abs(t - avgTorque)));
-
-  let score = 100;
-
-  if (maxDeviation > 4.5) {  // Extremely lenient
-    score -= 8;              // Extremely lenient
-    issues.push(`Torque varies by ${maxDeviation.toFixed(1)}° - consider more consistency`);
-  } else if (maxDeviation > 3.8) {  // Extremely lenient
-    score -= 4;              // Extremely lenient
-  }
-
-  return {score: Math.max(0, score), scorable: true, issues: issues};
-}
-
-/**
- * Calculate length progression score
- * NOTE: Putters are excluded from length progression scoring
- */
-function calculateLengthProgression(clubs, bodyFitSpecs = null) {
-  const issues = [];
-  const suggestions = []; // Structured length suggestions for frontend
-
-  // ==========================================
-  // BODY FIT BASELINE CONSTANTS
-  // ==========================================
-  
-  // WTF-based length adjustments from standard
-  const WTF_ADJUSTMENTS = {
-    'UNDER_29': -1.5,
-    '29_30': -1.0,
-    '30_31': -0.75,
-    '31_32': -0.5,
-    '32_33': -0.25,
-    '33_35': 0,        // Standard range
-    '35_36': 0.25,
-    '36_37': 0.5,
-    '37_38': 0.75,
-    '38_39': 1.0,
-    'OVER_39': 1.5
-  };
-
-  // Height modifiers (added to WTF adjustment)
-  const HEIGHT_MODIFIERS = {
-    'UNDER_64': -0.25,   // Under 5'4"
-    '64_67': 0,          // 5'4" to 5'7"
-    '67_72': 0,          // 5'7" to 6'0" - standard
-    '72_75': 0.25,       // 6'0" to 6'3"
-    'OVER_75': 0.5       // Over 6'3"
-  };
-
-  // Standard club lengths (baseline)
-  const BODY_FIT_STANDARD_LENGTHS = {
-    'driver': 45.0,
-    '3-wood': 43.0, '3w': 43.0,
-    '5-wood': 42.0, '5w': 42.0,
-    '7-wood': 41.0, '7w': 41.0,
-    '2h': 40.5, '2-hybrid': 40.5,
-    '3h': 40.5, '3-hybrid': 40.5,
-    '4h': 40.0, '4-hybrid': 40.0,
-    '5h': 39.5, '5-hybrid': 39.5,
-    '6h': 39.0, '6-hybrid': 39.0,
-    '3-iron': 39.0,
-    '4-iron': 38.5,
-    '5-iron': 38.0,
-    '6-iron': 37.5,
-    '7-iron': 37.0,
-    '8-iron': 36.5,
-    '9-iron': 36.0,
-    'pw': 35.5, 'pitching wedge': 35.5,
-    'gw': 35.25, 'gap wedge': 35.25, 'aw': 35.25,
-    'sw': 35.25, 'sand wedge': 35.25,
-    'lw': 35.0, 'lob wedge': 35.0,
-    // Degree wedges
-    '46°': 35.5, '48°': 35.5,   // PW range
-    '50°': 35.25, '52°': 35.25, // GW range
-    '54°': 35.25, '56°': 35.25, // SW range  
-    '58°': 35.0, '60°': 35.0, '64°': 35.0  // LW range
-  };
-
-  // Body fit thresholds - more lenient since body fit is a suggestion, not requirement
-  const BODY_FIT_THRESHOLDS = {
-    A: 0.5,    // Perfect - within tolerance
-    B: 0.75,   // Minor issue
-    C: 1.0,    // Moderate issue  
-    D: 1.5     // Severe issue
-  };
-
-  // Helper: Get WTF adjustment
-  function getWTFAdjustment(wtf) {
-    if (wtf < 29) return WTF_ADJUSTMENTS['UNDER_29'];
-    if (wtf < 30) return WTF_ADJUSTMENTS['29_30'];
-    if (wtf < 31) return WTF_ADJUSTMENTS['30_31'];
-    if (wtf < 32) return WTF_ADJUSTMENTS['31_32'];
-    if (wtf < 33) return WTF_ADJUSTMENTS['32_33'];
-    if (wtf < 35) return WTF_ADJUSTMENTS['33_35'];
-    if (wtf < 36) return WTF_ADJUSTMENTS['35_36'];
-    if (wtf < 37) return WTF_ADJUSTMENTS['36_37'];
-    if (wtf < 38) return WTF_ADJUSTMENTS['37_38'];
-    if (wtf < 39) return WTF_ADJUSTMENTS['38_39'];
-    return WTF_ADJUSTMENTS['OVER_39'];
-  }
-
-  // Helper: Get height modifier
-  function getHeightModifier(heightInches) {
-    if (heightInches < 64) return HEIGHT_MODIFIERS['UNDER_64'];
-    if (heightInches < 67) return HEIGHT_MODIFIERS['64_67'];
-    if (heightInches < 72) return HEIGHT_MODIFIERS['67_72'];
-    if (heightInches < 75) return HEIGHT_MODIFIERS['72_75'];
-    return HEIGHT_MODIFIERS['OVER_75'];
-  }
-
-  // Helper: Calculate body fit adjustment
-  function calculateBodyFitAdjustment(heightInches, wristToFloor) {
-    const wtfAdjustment = getWTFAdjustment(wristToFloor);
-    const heightModifier = getHeightModifier(heightInches);
-    const rawAdjustment = wtfAdjustment + heightModifier;
-    // Round to nearest 0.25"
-    return Math.round(rawAdjustment * 4) / 4;
-  }
-
-  // Helper: Get ideal length for a club type
-  function getIdealLength(clubType, adjustment) {
-    const normalizedType = (clubType || '').toLowerCase().replace(/\s+/g, '-');
-    const standardLength = BODY_FIT_STANDARD_LENGTHS[normalizedType];
-    if (!standardLength) return null;
-    return standardLength + adjustment;
-  }
-
-  // Calculate body fit adjustment if enabled
-  let bodyFitAdjustment = null;
-  if (bodyFitSpecs && bodyFitSpecs.heightInches && bodyFitSpecs.wristToFloor) {
-    bodyFitAdjustment = calculateBodyFitAdjustment(
-      bodyFitSpecs.heightInches,
-      bodyFitSpecs.wristToFloor
-    );
-    logger.info(`BODY-FIT: Height ${bodyFitSpecs.heightDisplay}, WTF ${bodyFitSpecs.wristToFloor}" → Adjustment: ${bodyFitAdjustment > 0 ? '+' : ''}${bodyFitAdjustment}"`);
-  }
-
-  // Filter out putters, then filter for clubs with length data (including defaults)
-  const clubsWithLength = filterOutPutters(clubs)
-      .filter((c) => c.length && c.loft)
-      .sort((a, b) => a.loft - b.loft);
-  
-  // Track clubs using defaults
-  const clubsUsingDefaults = clubsWithLength.filter(c => c.lengthIsDefault === true);
-
-  if (clubsWithLength.length < 2) {
-    return {
-      score: 0,
-      scorable: false,
-      issues: ["Not enough clubs with length data"],
-      defaultsNote: null,
-      clubsUsingDefaults: 0
-    };
-  }
-  
-  // Add note about default lengths if any were used
-  let defaultsNote = null;
-  if (clubsUsingDefaults.length > 0) {
-    const clubList = clubsUsingDefaults.map(c => `${c.clubType} (${c.length}")`).join(', ');
-    defaultsNote = `Standard lengths used for ${clubsUsingDefaults.length} club(s): ${clubList}. For accurate analysis, enter actual club lengths.`;
-  }
-
-  // Length gap thresholds by zone
-  const LENGTH_GAP_THRESHOLDS = {
-    DRIVER_TO_WOOD: { idealGap: 2.25, tolerance: 0.5, wideGap: 3.0 },
-    DRIVER_TO_HYBRID: { idealGap: 4.5, tolerance: 1.0, wideGap: 6.0 }, // No fairway wood in bag
-    WOODS: { idealGap: 0.5, tolerance: 0.25, wideGap: 1.0 },
-    HYBRIDS: { idealGap: 0.5, tolerance: 0.25, wideGap: 1.0 },
-    WOOD_TO_HYBRID: { idealGap: 1.0, tolerance: 0.5, wideGap: 1.5 },
-    HYBRID_TO_IRON: { idealGap: 0.75, tolerance: 0.5, wideGap: 1.5 },
-    IRONS: { idealGap: 0.5, tolerance: 0.25, wideGap: 0.75 },
-    IRON_TO_WEDGE: { idealGap: 0.25, tolerance: 0.25, wideGap: 0.5 },
-    WEDGES: { idealGap: 0.0, tolerance: 0.25, wideGap: 0.5 }
-  };
-
-  // Penalty values
-  const LENGTH_PENALTIES = {
-    perfect: 0,
-    acceptable: 3,
-    wide: 8,
-    reverse: 15
-  };
-
-  // Helper to determine club type
-  function getClubCategory(club) {
-    const type = (club.clubType || '').toLowerCase();
-    if (type === 'driver') return 'driver';
-    if (type.includes('wood')) return 'wood';
-    if (type.includes('hybrid') || /^\d+h$/i.test(type)) return 'hybrid';
-    if (club.loft >= 46) return 'wedge';
-    if (type.includes('iron') || /^\d+-iron$/i.test(type)) return 'iron';
-    // Check for wedge by name
-    if (['pw', 'gw', 'aw', 'sw', 'lw'].includes(type) || type.includes('°')) return 'wedge';
-    return 'iron'; // default
-  }
-
-  // Get zone for transition
-  function getLengthZone(prevClub, currClub) {
-    const prevCat = getClubCategory(prevClub);
-    const currCat = getClubCategory(currClub);
-    
-    // Driver transitions
-    if (prevCat === 'driver' && currCat === 'wood') return 'DRIVER_TO_WOOD';
-    if (prevCat === 'driver' && currCat === 'hybrid') return 'DRIVER_TO_HYBRID';
-    if (prevCat === 'driver' && currCat === 'iron') return 'DRIVER_TO_HYBRID'; // Treat same as hybrid
-    
-    // Wood transitions
-    if (prevCat === 'wood' && currCat === 'wood') return 'WOODS';
-    if (prevCat === 'wood' && currCat === 'hybrid') return 'WOOD_TO_HYBRID';
-    if (prevCat === 'wood' && currCat === 'iron') return 'WOOD_TO_HYBRID';
-    
-    // Hybrid transitions
-    if (prevCat === 'hybrid' && currCat === 'hybrid') return 'HYBRIDS';
-    if (prevCat === 'hybrid' && currCat === 'iron') return 'HYBRID_TO_IRON';
-    
-    // Iron transitions
-    if (prevCat === 'iron' && currCat === 'iron') return 'IRONS';
-    if (prevCat === 'iron' && currCat === 'wedge') return 'IRON_TO_WEDGE';
-    
-    // Wedge transitions
-    if (prevCat === 'wedge' && currCat === 'wedge') return 'WEDGES';
-    
-    return 'IRONS'; // default
-  }
-
-  // Standard lengths for comparison (Men's Steel)
-  const STANDARD_LENGTHS = {
-    'driver': 45.0, '3-wood': 42.5, '4-wood': 42.0, '5-wood': 41.5,
-    '7-wood': 41.0, '9-wood': 40.5, '2h': 40.5, '3h': 40.0, '4h': 39.5,
-    '5h': 39.0, '6h': 38.5, '2-hybrid': 40.5, '3-hybrid': 40.0, 
-    '4-hybrid': 39.5, '5-hybrid': 39.0, '6-hybrid': 38.5,
-    '3-iron': 38.5, '4-iron': 38.0, '5-iron': 37.5, '6-iron': 37.0,
-    '7-iron': 36.5, '8-iron': 36.0, '9-iron': 35.5, 
-    'pw': 35.5, 'aw': 35.25, 'gw': 35.25, 'sw': 35.0, 'lw': 35.0
-  };
-
-  // Check if a club's length is standard (within 0.25" tolerance)
-  function isStandardLength(club) {
-    if (club.lengthIsDefault === true) return true;
-    if (!club.length) return true; // No data = assume standard
-    
-    const clubType = (club.clubType || '').toLowerCase().replace(/\s+/g, '-');
-    const standardLength = STANDARD_LENGTHS[clubType];
-    
-    if (!standardLength) return false; // Unknown club type
-    
-    // If within 0.5" of standard, treat as standard
-    return Math.abs(club.length - standardLength) <= 0.5;
-  }
-
-  let totalPenalty = 0;
-  let scoredTransitions = 0;
-
-  for (let i = 1; i < clubsWithLength.length; i++) {
-    const prevClub = clubsWithLength[i - 1]; // Lower loft (should be longer)
-    const currClub = clubsWithLength[i];     // Higher loft (should be shorter)
-
-    // Skip scoring if BOTH clubs are using standard lengths
-    // Standard lengths are assumed correct - only score user-customized data
-    if (isStandardLength(prevClub) && isStandardLength(currClub)) {
-      continue;
-    }
-    
-    scoredTransitions++;
-
-    // Note: prevClub has LOWER loft, so should be LONGER
-    // lengthDiff = prevClub.length - currClub.length (should be positive)
-    const lengthDiff = prevClub.length - currClub.length;
-    
-    // Build note with default notation if applicable
-    const prevNote = prevClub.lengthIsDefault ? ' [std]' : '';
-    const currNote = currClub.lengthIsDefault ? ' [std]' : '';
-
-    const zone = getLengthZone(prevClub, currClub);
-    const thresholds = LENGTH_GAP_THRESHOLDS[zone];
-
-    // CRITICAL: Check for reverse progression (shorter-lofted club is shorter)
-    if (lengthDiff < -0.25) {
-      totalPenalty += LENGTH_PENALTIES.reverse;
-      issues.push(
-        `${currClub.clubType}${currNote} (${currClub.length}") is longer than ${prevClub.clubType}${prevNote} (${prevClub.length}") - reverse progression`
-      );
-      continue;
-    }
-
-    // Calculate deviation from ideal
-    const deviation = Math.abs(lengthDiff - thresholds.idealGap);
-
-    if (deviation <= thresholds.tolerance) {
-      // Perfect - no penalty
-      continue;
-    }
-
-    if (lengthDiff > thresholds.wideGap) {
-      // Wide gap
-      totalPenalty += LENGTH_PENALTIES.wide;
-      issues.push(
-        `${lengthDiff.toFixed(2)}" gap between ${prevClub.clubType}${prevNote} and ${currClub.clubType}${currNote} (expected ~${thresholds.idealGap}")`
-      );
-    } else {
-      // Acceptable but not perfect
-      totalPenalty += LENGTH_PENALTIES.acceptable;
-      issues.push(
-        `${lengthDiff.toFixed(2)}" gap between ${prevClub.clubType}${prevNote} and ${currClub.clubType}${currNote} (expected ~${thresholds.idealGap}")`
-      );
-    }
-  }
+exports.gradeUserBag = onRequest({
+  timeoutSeconds: 540,  // 9 minutes (maximum allowed)
+  memory: "1GiB",       // 1GB RAM for AI processing
+  cors: true            // Enable CORS automatically
+}, async (req, res) => {
+  // Set CORS headers
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
 
-  let score = 100 - totalPenalty;
-  
-  // If no transitions were scored (all defaults), give perfect score
-  if (scoredTransitions === 0 && clubsWithLength.length >= 2) {
-    score = 100;
+  // Handle preflight requests
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
   }
 
-  // ==========================================
-  // BODY FIT BASELINE COMPARISON
-  // ==========================================
-  let bodyFitPenalty = 0;
-  
-  if (bodyFitAdjustment !== null) {
-    clubsWithLength.forEach(club => {
-      // Skip clubs using default lengths
-      if (club.lengthIsDefault === true) return;
-      
-      const idealLength = getIdealLength(club.clubType, bodyFitAdjustment);
-      if (!idealLength) return; // Unknown club type
-      
-      const deviation = Math.abs(club.length - idealLength);
-      
-      if (deviation > BODY_FIT_THRESHOLDS.A) {
-        const diff = club.length - idealLength;
-        const direction = diff > 0 ? 'longer' : 'shorter';
-        const absDiff = Math.abs(diff).toFixed(2);
-        
-        // Add structured suggestion
-        suggestions.push({
-          clubType: club.clubType,
-          currentLength: club.length,
-          idealLength: Math.round(idealLength * 4) / 4, // Round to 0.25
-          adjustment: Math.round(diff * 4) / 4,
-          isBodyFitBased: true
-        });
-        
-        // Add to issues
-        issues.push(`${club.clubType} (${club.length}") is ${absDiff}" ${direction} than ideal ${idealLength.toFixed(2)}" for your body`);
-        
-        // Apply penalty based on deviation - lower penalties since body fit is advisory
-        if (deviation >= BODY_FIT_THRESHOLDS.D) {
-          bodyFitPenalty += 4;
-        } else if (deviation >= BODY_FIT_THRESHOLDS.C) {
-          bodyFitPenalty += 2;
-        } else if (deviation >= BODY_FIT_THRESHOLDS.B) {
-          bodyFitPenalty += 1;
-        }
-      }
-    });
-    
-    // Cap body fit penalty at 15 points - it's advisory, shouldn't tank the grade
-    bodyFitPenalty = Math.min(bodyFitPenalty, 15);
-    
-    score = Math.max(0, score - bodyFitPenalty);
-    
-    if (suggestions.length > 0) {
-      logger.info(`BODY-FIT: Found ${suggestions.length} length issues, penalty: ${bodyFitPenalty}`);
-    }
+  // SECURITY: Callers send their Firebase ID token; the grade is billed to them
+  const authHeader = req.headers.authorization || "";
+  const idToken = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+  if (!idToken) {
+    res.status(401).json({ error: 'Authentication required' });
+    return;
   }
 
-  return {
-    score: Math.max(0, score),
-    scorable: true,
-    issues: issues,
-    suggestions: suggestions,
-    defaultsNote: defaultsNote,
-    clubsUsingDefaults: clubsUsingDefaults.length,
-    bodyFitBaseline: bodyFitSpecs ? {
-      enabled: true,
-      heightDisplay: bodyFitSpecs.heightDisplay,
-      wristToFloor: bodyFitSpecs.wristToFloor,
-      adjustment: bodyFitAdjustment
-    } : { enabled: false }
-  };
-}
-
-/**
- * Calculate lie angle progression score
- * NOTE: Putters are excluded from lie angle progression scoring
- */
-function calculateLieAngleProgression(clubs) {
-  const issues = [];
-
-  // Filter out putters, then filter for clubs with lie angle data (including defaults)
-  // Note: 'lie' is the normalized field name per Master Field Reference
-  const clubsWithLie = filterOutPutters(clubs)
-      .filter((c) => (c.lie || c.lie_angle) && c.loft)
-      .map(c => ({
-        ...c,
-        lie: c.lie || c.lie_angle  // Normalize to 'lie' field
-      }))
-      .sort((a, b) => a.loft - b.loft);
-  
-  // Track clubs using defaults
-  const clubsUsingDefaults = clubsWithLie.filter(c => c.lieIsDefault === true);
-
-  if (clubsWithLie.length < 2) {
-    return {
-      score: 0,
-      scorable: false,
-      issues: ["Not enough clubs with lie angle data"],
-      defaultsNote: null,
-      clubsUsingDefaults: 0
-    };
-  }
-  
-  // Add note about default lie angles if any were used
-  let defaultsNote = null;
-  if (clubsUsingDefaults.length > 0) {
-    const clubList = clubsUsingDefaults.map(c => `${c.clubType} (${c.lie}°)`).join(', ');
-    defaultsNote = `Standard lie angles used for ${clubsUsingDefaults.length} club(s): ${clubList}. For accurate analysis, enter actual lie angles.`;
+  let callerId;
+  try {
+    callerId = (await admin.auth().verifyIdToken(idToken)).uid;
+  } catch (tokenError) {
+    logger.warn('gradeUserBag token verification failed:', tokenError.message);
+    res.status(401).json({ error: 'Invalid or expired token' });
+    return;
   }
 
-  let progressionIssues = 0;
-
-  for (let i = 1; i < clubsWithLie.length; i++) {
-    const prevClub = clubsWithLie[i - 1];
-    const currClub = clubsWithLie[i];
-
-    const lieDiff = currClub.lie - prevClub.lie;
-    
-    // Build note with default notation if applicable
-    const prevNote = prevClub.lieIsDefault ? ' [std]' : '';
-    const currNote = currClub.lieIsDefault ? ' [std]' : '';
-
-    // Expect ~1° increments between clubs (extremely lenient tolerance)
-    if (Math.abs(lieDiff - 1) > 1.5) {  // Extremely lenient
-      progressionIssues++;
-      issues.push(
-          `${lieDiff.toFixed(1)}° lie difference between ${prevClub.clubType}${prevNote} and ${currClub.clubType}${currNote}`
-      );
-    }
+  // Only the bag owner or the client's pro can grade it
+  try {
+    await assertCanManageBag(admin.firestore(), { uid: callerId }, req.body?.userId);
+  } catch (accessError) {
+    const accessStatus = accessError.code === 'permission-denied' ? 403 : 400;
+    res.status(accessStatus).json({ error: accessError.message });
+    return;
   }
 
-  let score = 100 - (progressionIssues * 5);  // Extremely lenient
-
-  return {
-    score: Math.max(0, score),
-    scorable: true,
-    issues: issues,
-    defaultsNote: defaultsNote,
-    clubsUsingDefaults: clubsUsingDefaults.length
-  };
-}
-
-/**
- * Convert numerical score to letter grade
- */
-/**
- * Normalize club data to standard format per Master Field Reference
- * Handles both nested (shaft.weight) and flat (shaft_weight) structures
- * Ensures consistent field names for all scoring functions
- * 
- * STANDARD FIELDS (per FitMyGolfClubs_Master_Field_Reference.md):
- * - clubType (not club_type)
- * - shaft_weight, shaft_flex, shaft_kickpoint, shaft_torque (flat)
- * - lie (not lie_angle)
- * - brand, model, year, loft, length
- */
-function normalizeClubData(club) {
-  // Get lie value from any possible source
-  const lieValue = club.lie || club.lie_angle || null;
-  
-  return {
-    // Preserve original data
-    ...club,
-    
-    // Club identification - normalize to standard
-    clubType: club.clubType || club.club_type || null,
-    brand: club.brand || club.identification?.brand || null,
-    model: club.model || club.identification?.model || null,
-    year: club.year || club.identification?.year || null,
-    
-    // Club specs
-    loft: club.loft || null,
-    length: club.length || null,
-    lie: lieValue,          // Standard name per Master Field Reference
-    lie_angle: lieValue,    // Alternate name (for backward compatibility)
-    
-    // Shaft data - normalize nested to flat (standard format)
-    shaft_weight: club.shaft?.weight || club.shaft_weight || null,
-    shaft_flex: club.shaft?.flex || club.shaft_flex || null,
-    shaft_kickpoint: club.shaft?.kickpoint || club.shaft_kickpoint || null,
-    shaft_torque: club.shaft?.torque || club.shaft_torque || null,
-    shaft_brand: club.shaft?.brand || club.shaft_brand || null,
-    shaft_model: club.shaft?.model || club.shaft_model || null,
-    
-    // Flags
-    is_favorite: club.is_favorite || false,
-    status: club.status || 'active'
-  };
-}
-
-/**
- * Convert numerical score to letter grade
- */
-function scoreToGrade(score) {
-  if (score >= 90) return "A";
-  if (score >= 80) return "B";
-  if (score >= 70) return "C";
-  if (score >= 60) return "D";
-  return "F";
-}
+  const { status, body } = await runGradeUserBag(req.body || {}, { actorId: callerId });
+  res.status(status).json(body);
+});
 
 // ==========================================
 // EXISTING FUNCTIONS (UNCHANGED)
@@ -6662,8 +3219,7 @@ exports.populateSwingDataStructure = onRequest(async (req, res) => {
     };
     
     // Create performance data document under club
-    await db.collection('users').doc(testUserId)
-      .collection('clubs').doc(testClubId)
+    await getClubRef(db, testUserId, testClubId)
       .collection('performanceData').doc(sessionId)
       .set(performanceData);
     
@@ -6726,6 +3282,74 @@ exports.processClubPhotos = require('./processClubPhotos').processClubPhotos;
 exports.getReplacementSuggestion = require('./getReplacementSuggestion').getReplacementSuggestion; 
 exports.updateBagAfterTest = require('./updateBagAfterTest').updateBagAfterTest; 
 exports.undoBagChange = require('./undoBagChange').undoBagChange;
+
+// Factor weight profiles (per pro, optional per-client override)
+const weightProfiles = require('./weightProfiles');
+exports.saveWeightProfile = weightProfiles.saveWeightProfile;
+exports.getWeightProfiles = weightProfiles.getWeightProfiles;
+exports.deleteWeightProfile = weightProfiles.deleteWeightProfile;
+exports.setClientWeightProfile = weightProfiles.setClientWeightProfile;
+
+// Loft gap threshold sets (per pro, optional per-client override)
+const loftGapThresholds = require('./loftGapThresholds');
+exports.saveLoftGapSet = loftGapThresholds.saveLoftGapSet;
+exports.getLoftGapSets = loftGapThresholds.getLoftGapSets;
+exports.deleteLoftGapSet = loftGapThresholds.deleteLoftGapSet;
+exports.setClientLoftGapSet = loftGapThresholds.setClientLoftGapSet;
+
+// Grip fitting (Golfer Profile hand measurements → fitted grip size)
+const gripFitting = require('./gripFitting');
+exports.saveGripFit = gripFitting.saveGripFit;
+
+// Grip wear projection from install dates + GHIN rounds, regrip reminders for pros
+const gripWear = require('./gripWear');
+exports.weeklyGripWearProjection = gripWear.weeklyGripWearProjection;
+exports.getRegripReminders = gripWear.getRegripReminders;
+exports.dismissRegripReminder = gripWear.dismissRegripReminder;
+
+// Static fitting report (height + wrist-to-floor → per-club length, lie and grip spec sheet)
+const staticFitting = require('./staticFitting');
+exports.getStaticFitReport = staticFitting.getStaticFitReport;
+
+// Dynamic lie fitting (launch data + lie board strike patterns → per-iron lie advice)
+const dynamicLie = require('./dynamicLie');
+exports.getDynamicLieRecommendations = dynamicLie.getDynamicLieRecommendations;
+exports.recordLieStrikePattern = dynamicLie.recordLieStrikePattern;
+
+// Launch monitor session import (TrackMan/FlightScope/Garmin/Foresight/Rapsodo CSV + JSON → testing sessions)
+exports.importLaunchMonitorSession = require('./importLaunchMonitorSession').importLaunchMonitorSession;
+
+// Photo-extracted specs → clubHeadSpecs / shaftSpecDatabase candidates for ClubSelector
+exports.matchClubPhotoSpecs = require('./specCatalogMatch').matchClubPhotoSpecs;
+
+// Review queue for low-confidence photo extractions; corrections stored as labelled examples
+const extractionReview = require('./extractionReview');
+exports.getExtractionReviews = extractionReview.getExtractionReviews;
+exports.resolveExtractionReview = extractionReview.resolveExtractionReview;
+exports.getExtractionAccuracy = extractionReview.getExtractionAccuracy;
+
+// Whole-bag photo onboarding (inventory → per-club extraction → draft bag for BagOnboarding)
+exports.processBagPhotos = require('./processBagPhotos').processBagPhotos;
+
+// Credit ledger (balances, debits, transaction history; refunds happen server-side)
+const creditLedger = require('./creditLedger');
+exports.getCreditBalance = creditLedger.getCreditBalance;
+exports.useCredit = creditLedger.useCredit;
+
+// Club repository: fold legacy top-level clubs into users/{userId}/clubs
+exports.migrateClubStorage = require('./clubRepository').migrateClubStorage;
+
+// Grade history (Progress tab trend charts)
+exports.getGradeHistory = require('./gradeHistory').getGradeHistory;
+
+// Replay stored analyses under another algorithm version / weight set
+exports.replayAnalyses = require('./analysisReplay').replayAnalyses;
+
+// Batch regrade of every client of a pro (background job with live per-client status)
+const batchRegrade = require('./batchRegrade');
+exports.startBatchRegrade = batchRegrade.startBatchRegrade;
+exports.cancelBatchRegrade = batchRegrade.cancelBatchRegrade;
+exports.processRegradeRun = batchRegrade.processRegradeRun;
 // GHIN Functions
 const ghinFunctions = require('./ghinFunctions_v2');
 exports.lookupGhinNumber = ghinFunctions.lookupGhinNumber;
@@ -6854,28 +3478,251 @@ exports.checkGhinDuplicate = onCall(async (request) => {
 // SCENARIO FUNCTIONS
 // ============================================
 
+const MAX_SCENARIO_CHANGES = 7;
+
+/**
+ * Scenarios change a bag and spend credits: only the golfer or their pro
+ * @returns {string} the sanitized userId
+ */
+async function assertCanManageBag(db, auth, rawUserId) {
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  let userId;
+  try {
+    userId = sanitizeUserId(rawUserId);
+  } catch (sanitizeError) {
+    throw new functions.https.HttpsError('invalid-argument', 'Valid userId required');
+  }
+
+  if (userId !== auth.uid) {
+    const userDoc = await db.collection("users").doc(userId).get();
+    const userData = userDoc.data();
+    const proId = userData?.pro_id || userData?.proManagedInfo?.proUserId;
+    if (!userDoc.exists || proId !== auth.uid) {
+      throw new functions.https.HttpsError('permission-denied', 'You do not manage this client');
+    }
+  }
+
+  return userId;
+}
+
+/**
+ * Validate scenario changes from a callable request
+ * @returns {Object} { swaps, additions, removals }
+ */
+function parseScenarioChanges(data) {
+  const swaps = data.swaps || [];
+  const additions = data.additions || [];
+  const removals = data.removals || [];
+
+  if (!Array.isArray(swaps) || !Array.isArray(additions) || !Array.isArray(removals)) {
+    throw new functions.https.HttpsError('invalid-argument', 'swaps, additions and removals must be arrays');
+  }
+
+  swaps.forEach((swap, i) => {
+    if (!swap || !swap.club_id || !swap.replacement || typeof swap.replacement !== 'object') {
+      throw new functions.https.HttpsError('invalid-argument', `Swap ${i + 1}: club_id and replacement required`);
+    }
+  });
+
+  const totalChanges = swaps.length + additions.length + removals.length;
+  if (totalChanges > MAX_SCENARIO_CHANGES) {
+    throw new functions.https.HttpsError('invalid-argument', `Maximum ${MAX_SCENARIO_CHANGES} changes per scenario`);
+  }
+
+  return { swaps, additions, removals, totalChanges };
+}
+
+/**
+ * Build the Firestore doc for a swapped-in club
+ * Inherits clubType/category from the club it replaces and fills missing
+ * loft/lie/length from clubHeadSpecs and shaft specs from shaftSpecDatabase.
+ * 
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} original - Club being replaced (null for additions)
+ * @param {Object} replacement - Replacement club (flat fields or ClubSelector result)
+ * @returns {Object} Club document data
+ */
+async function buildScenarioClubDoc(db, original, replacement) {
+  const clubType = replacement.clubType || replacement.club_type || original?.clubType || null;
+  const clubDoc = {
+    clubType: clubType,
+    category: replacement.category || original?.category || null,
+    brand: replacement.brand || null,
+    model: replacement.model || null,
+    year: replacement.year || null,
+    clubHeadSpecId: replacement.clubHeadSpecId || null,
+    loft: replacement.loft ?? replacement.specs?.loft ?? null,
+    lie: replacement.lie ?? replacement.lie_angle ?? replacement.specs?.lie ?? null,
+    length: replacement.length ?? replacement.specs?.length ?? null,
+    shaft_brand: replacement.shaft_brand || replacement.shaftBrand || null,
+    shaft_model: replacement.shaft_model || replacement.shaftModel || null,
+    shaft_weight: replacement.shaft_weight ?? replacement.shaftSpecs?.weight ?? null,
+    shaft_flex: replacement.shaft_flex || replacement.shaftSpecs?.flex || null,
+    shaft_kickpoint: replacement.shaft_kickpoint || replacement.shaftSpecs?.kickPoint || null,
+    shaft_torque: replacement.shaft_torque ?? replacement.shaftSpecs?.torque ?? null,
+    shaft_material: replacement.shaft_material || replacement.shaftSpecs?.material || null,
+    shaftId: replacement.shaftId || null
+  };
+
+  // Fill head specs from the catalog
+  if (clubDoc.clubHeadSpecId && (clubDoc.loft === null || clubDoc.lie === null || clubDoc.length === null)) {
+    try {
+      const specDoc = await db.collection('clubHeadSpecs').doc(clubDoc.clubHeadSpecId).get();
+      const headSpecs = specDoc.exists ? specDoc.data().clubs?.[getClubSpecKey(clubType)] : null;
+      if (headSpecs) {
+        if (clubDoc.loft === null) clubDoc.loft = headSpecs.loft ?? null;
+        if (clubDoc.lie === null) clubDoc.lie = headSpecs.lie ?? null;
+        if (clubDoc.length === null) clubDoc.length = headSpecs.length ?? null;
+      }
+    } catch (specError) {
+      logger.warn(`Could not load clubHeadSpecs/${clubDoc.clubHeadSpecId}:`, specError.message);
+    }
+  }
+
+  // Fill shaft specs from the catalog
+  if (clubDoc.shaftId) {
+    try {
+      const shaftDoc = await db.collection('shaftSpecDatabase').doc(clubDoc.shaftId).get();
+      if (shaftDoc.exists) {
+        const shaft = shaftDoc.data();
+        clubDoc.shaft_brand = clubDoc.shaft_brand || shaft.brand || null;
+        clubDoc.shaft_model = clubDoc.shaft_model || shaft.model || null;
+        clubDoc.shaft_weight = clubDoc.shaft_weight ?? shaft.weight ?? null;
+        clubDoc.shaft_flex = clubDoc.shaft_flex || shaft.flex || null;
+        clubDoc.shaft_kickpoint = clubDoc.shaft_kickpoint || shaft.kickPoint || shaft.kickpoint || null;
+        clubDoc.shaft_torque = clubDoc.shaft_torque ?? shaft.torque ?? null;
+        clubDoc.shaft_material = clubDoc.shaft_material || shaft.material || null;
+      }
+    } catch (shaftError) {
+      logger.warn(`Could not load shaftSpecDatabase/${clubDoc.shaftId}:`, shaftError.message);
+    }
+  }
+
+  return clubDoc;
+}
+
+/**
+ * Summary of a club for bagChangeHistory.clubsAdded / clubsRemoved
+ */
+function summarizeClubForHistory(clubId, club) {
+  return {
+    clubId: clubId,
+    brand: club.brand || null,
+    model: club.model || null,
+    type: club.clubType || null,
+    year: club.year || null,
+    finalGrade: club.finalGrade || club.grading?.grade || null,
+    timeInBag: club.timeInBag || null
+  };
+}
+
 /**
  * runScenario - Run a what-if scenario analysis
- * Takes modified clubs and returns projected grade
+ * Grades the current bag and the virtual bag side by side (JS engine, no AI)
+ * and returns per-factor deltas.
+ * 
+ * request.data:
+ * {
+ *   userId: "user_id_here",
+ *   swaps: [{ club_id, replacement }],   // replacement = flat club fields
+ *   additions: [club],                    // optional
+ *   removals: ["clubId"],                 // optional
+ *   clubs: [club],                        // optional: full virtual bag instead of changes
+ *   scenarioName: "Driver upgrade"
+ * }
  */
-exports.runScenario = onCall(async (request) => {
-  const { userId, clubs, scenarioName } = request.data;
-  
-  if (!userId || !clubs || !Array.isArray(clubs)) {
-    throw new functions.https.HttpsError('invalid-argument', 'userId and clubs array required');
+exports.runScenario = onCall({
+  timeoutSeconds: 60,
+  memory: "512MiB"
+}, async (request) => {
+  const { clubs: providedClubs, scenarioName } = request.data || {};
+  const db = admin.firestore();
+  const userId = await assertCanManageBag(db, request.auth, request.data?.userId);
+
+  const { swaps, additions, removals, totalChanges } = parseScenarioChanges(request.data);
+  const hasProvidedClubs = Array.isArray(providedClubs) && providedClubs.length > 0;
+
+  if (totalChanges === 0 && !hasProvidedClubs) {
+    throw new functions.https.HttpsError('invalid-argument', 'swaps, additions, removals or clubs array required');
   }
-  
-  logger.info(`Running scenario "${scenarioName || 'Unnamed'}" for user ${userId}`);
-  
-  // Call gradeUserBag in scenario mode via internal logic
-  // For now, return the clubs for client-side processing
-  // Full implementation would call gradeUserBag with isScenario: true
-  
+
+  const name = sanitizeText(scenarioName || '', 100) || `Scenario ${new Date().toLocaleDateString()}`;
+  logger.info(`Running scenario "${name}" for user ${userId} (${totalChanges} change(s))`);
+
+  const currentClubs = await listClubs(db, userId);
+  if (currentClubs.length === 0) {
+    throw new functions.https.HttpsError('not-found', 'No clubs found for this user');
+  }
+
+  const missing = [...swaps.map(s => s.club_id), ...removals].filter(id => !currentClubs.some(c => c.id === id));
+  if (missing.length > 0) {
+    throw new functions.https.HttpsError('not-found', `Club(s) not found in bag: ${missing.join(', ')}`);
+  }
+
+  const virtualClubs = hasProvidedClubs && totalChanges === 0
+    ? providedClubs.map((club, index) => ({ id: club.id || `scenario-club-${index}`, ...club }))
+    : applySwapsToClubs(currentClubs, swaps, additions, removals);
+
+  if (virtualClubs.length === 0) {
+    throw new functions.https.HttpsError('invalid-argument', 'Scenario leaves no clubs in the bag');
+  }
+
+  const creditDebit = await debitCredits(db, {
+    userId: userId,
+    action: 'scenario',
+    actorId: request.auth.uid,
+    metadata: { scenarioName: name }
+  });
+
+  // Grade both bags with the same weights and baselines gradeUserBag uses
+  let current, projected, weightProfile;
+  try {
+    const profileDoc = await db.collection("users").doc(userId).get();
+    const profileData = profileDoc.exists ? profileDoc.data() : {};
+    const baselineSpecs = await loadBaselineSpecs(db, userId, profileData);
+    const gradingContext = {
+      ...baselineSpecs,
+      ...(await resolveLoftGapSets(db, userId, profileData)),
+      swingSpeed: Number.isFinite(parseFloat(profileData.swing_speed)) ? parseFloat(profileData.swing_speed) : null,
+      handicap: Number.isFinite(parseFloat(profileData.handicap ?? profileData.Handicap)) ? parseFloat(profileData.handicap ?? profileData.Handicap) : null
+    };
+    const resolved = await resolveGradingWeights(db, userId, profileData);
+    weightProfile = resolved.weightProfile;
+
+    current = summarizeScenarioGrade(gradeClubs(currentClubs, resolved.gradingWeights, gradingContext));
+    projected = summarizeScenarioGrade(gradeClubs(virtualClubs, resolved.gradingWeights, gradingContext));
+  } catch (error) {
+    logger.error("Error grading scenario:", error);
+    await safeRefundCredits(db, creditDebit, `Scenario failed: ${error.message}`);
+    throw new functions.https.HttpsError('internal', 'Failed to grade scenario');
+  }
+
+  const factorChanges = calculateFactorChanges(current, projected);
+  const aiSummary = generateScenarioSummary(current, projected, factorChanges);
+  const scoreDiff = projected.overall_score - current.overall_score;
+
+  logger.info(`Scenario complete: ${current.overall_grade} (${current.overall_score}) → ${projected.overall_grade} (${projected.overall_score})`);
+
   return {
     success: true,
-    scenarioName: scenarioName || `Scenario ${new Date().toLocaleDateString()}`,
-    clubsCount: clubs.length,
-    message: "Use gradeUserBag with isScenario: true for full analysis"
+    isScenario: true,
+    scenarioName: name,
+    current: current,
+    projected: projected,
+    factor_changes: factorChanges,
+    ai_summary: aiSummary,
+    improvement: {
+      improved: scoreDiff > 0,
+      score_diff: scoreDiff
+    },
+    weight_profile: weightProfile,
+    swaps_applied: swaps.length,
+    clubs_added: additions.length,
+    clubs_removed: removals.length,
+    clubsCount: virtualClubs.length
   };
 });
 
@@ -6958,33 +3805,174 @@ exports.deleteSavedScenario = onCall(async (request) => {
 });
 
 /**
- * applyScenario - Apply a saved scenario to the user's bag
+ * applyScenario - Apply a scenario to the user's bag
+ * 
+ * 1. Archives swapped-out and removed clubs to users/{userId}/archivedClubs
+ * 2. Writes swapped-in and added clubs with full specs to users/{userId}/clubs
+ * 3. Records a bagChangeHistory entry that undoBagChange can reverse (7 days)
+ * 4. Regrades the bag in-process (no grade credit on top of the scenario)
+ * 
+ * request.data:
+ * {
+ *   userId: "user_id_here",
+ *   swaps: [{ club_id, replacement }],   // or scenarioId of a saved scenario with swaps
+ *   additions: [club],
+ *   removals: ["clubId"],
+ *   scenarioId: "scenario_id"            // optional
+ * }
  */
-exports.applyScenario = onCall(async (request) => {
-  const { userId, scenarioId } = request.data;
-  
-  if (!userId || !scenarioId) {
-    throw new functions.https.HttpsError('invalid-argument', 'userId and scenarioId required');
-  }
-  
+exports.applyScenario = onCall({
+  timeoutSeconds: 300,
+  memory: "512MiB"
+}, async (request) => {
   const db = admin.firestore();
-  
-  // Get the scenario
-  const scenarioDoc = await db.collection("users").doc(userId).collection("scenarios").doc(scenarioId).get();
-  
-  if (!scenarioDoc.exists) {
-    throw new functions.https.HttpsError('not-found', 'Scenario not found');
+  const userId = await assertCanManageBag(db, request.auth, request.data?.userId);
+
+  const scenarioId = request.data?.scenarioId || null;
+  const userRef = db.collection("users").doc(userId);
+
+  // Changes come from the request, or from the saved scenario
+  let changeSource = request.data || {};
+  let scenario = null;
+  if (scenarioId) {
+    const scenarioDoc = await userRef.collection("scenarios").doc(scenarioId).get();
+    if (!scenarioDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Scenario not found');
+    }
+    scenario = scenarioDoc.data();
+    if (!changeSource.swaps && !changeSource.additions && !changeSource.removals) {
+      changeSource = scenario;
+    }
   }
-  
-  const scenario = scenarioDoc.data();
-  
-  // Apply scenario clubs to user's bag
-  // This would replace/update clubs in the user's bag
-  // Implementation depends on scenario structure
-  
+
+  const { swaps, additions, removals, totalChanges } = parseScenarioChanges(changeSource);
+  if (totalChanges === 0) {
+    throw new functions.https.HttpsError('failed-precondition', 'Scenario has no swaps, additions or removals to apply');
+  }
+
+  // Verify clubs exist
+  const outgoing = {};
+  for (const clubId of [...swaps.map(s => s.club_id), ...removals]) {
+    const club = await getClub(db, userId, clubId);
+    if (!club) {
+      throw new functions.https.HttpsError('not-found', `Club ${clubId} not found`);
+    }
+    outgoing[clubId] = club;
+  }
+
+  logger.info(`Applying scenario for user ${userId}: ${swaps.length} swap(s), ${additions.length} add(s), ${removals.length} removal(s)`);
+
+  // Grade before the change (latest stored analysis)
+  let beforeGrade = null;
+  try {
+    const analysis = await getLatestBagAnalysis(db, userId);
+    if (analysis) {
+      beforeGrade = { overallScore: analysis.overall_score, letterGrade: analysis.overall_grade };
+    }
+  } catch (analysisError) {
+    logger.warn('Could not load current bag analysis:', analysisError.message);
+  }
+
+  // Build incoming club docs before writing anything
+  const incoming = [];
+  for (const swap of swaps) {
+    incoming.push({
+      replaces: swap.club_id,
+      data: await buildScenarioClubDoc(db, outgoing[swap.club_id], swap.replacement)
+    });
+  }
+  for (const club of additions) {
+    incoming.push({ replaces: null, data: await buildScenarioClubDoc(db, null, club) });
+  }
+
+  const changeId = `change_${Date.now()}`;
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+  const undoExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+  const batch = db.batch();
+
+  // Archive swapped-out and removed clubs
+  const clubsRemoved = [];
+  Object.entries(outgoing).forEach(([clubId, club]) => {
+    const replacedBy = incoming.find(c => c.replaces === clubId);
+    const archived = archiveClub(batch, db, userId, club, {
+      archivedReason: replacedBy ? 'scenario_swap' : 'scenario_removed',
+      changeHistoryId: changeId,
+      canRestore: true
+    });
+    clubsRemoved.push(summarizeClubForHistory(clubId, archived));
+  });
+
+  // Add swapped-in and new clubs
+  const clubsAdded = [];
+  incoming.forEach(({ replaces, data }) => {
+    const newClubId = addClub(batch, db, userId, {
+      ...data,
+      source: 'scenario',
+      scenarioId: scenarioId,
+      replacedClubId: replaces,
+      addedToBagAt: timestamp,
+      created_at: timestamp
+    });
+    clubsAdded.push(summarizeClubForHistory(newClubId, data));
+  });
+
+  batch.set(userRef.collection("bagChangeHistory").doc(changeId), {
+    changeId: changeId,
+    userId: userId,
+    timestamp: timestamp,
+    changeType: 'scenario_applied',
+    triggeredBy: 'scenario',
+    scenarioId: scenarioId,
+    scenarioName: scenario?.name || null,
+    clubStorage: 'user_subcollection',  // undoBagChange: clubs live in users/{userId}/clubs
+    clubsAdded: clubsAdded,
+    clubsRemoved: clubsRemoved,
+    gradeImpact: {
+      beforeBagGrade: beforeGrade?.overallScore ?? null,
+      afterBagGrade: null,
+      improvement: null,
+      beforeLetterGrade: beforeGrade?.letterGrade ?? null,
+      afterLetterGrade: null
+    },
+    canUndo: true,
+    undoExpiresAt: admin.firestore.Timestamp.fromDate(undoExpiresAt),
+    undone: false,
+    undoneAt: null
+  });
+
+  await batch.commit();
+  logger.info(`Scenario applied: ${clubsRemoved.length} archived, ${clubsAdded.length} added (${changeId})`);
+
+  // Regrade - the bag change stands even if grading fails
+  let afterGrade = null;
+  try {
+    const result = await gradeBagInProcess(userId, { actorId: request.auth.uid, chargeCredits: false });
+    const analysis = result.analysis || {};
+    afterGrade = { overallScore: analysis.overall_score, letterGrade: analysis.overall_grade };
+
+    const improvement = beforeGrade?.overallScore != null && afterGrade.overallScore != null
+      ? afterGrade.overallScore - beforeGrade.overallScore
+      : null;
+    await userRef.collection("bagChangeHistory").doc(changeId).update({
+      'gradeImpact.afterBagGrade': afterGrade.overallScore ?? null,
+      'gradeImpact.afterLetterGrade': afterGrade.letterGrade ?? null,
+      'gradeImpact.improvement': improvement
+    });
+  } catch (gradeError) {
+    logger.error('Regrade after applying scenario failed:', gradeError.message);
+  }
+
   return {
     success: true,
-    applied: scenario.name || scenarioId
+    applied: scenario?.name || scenarioId || 'scenario',
+    changeId: changeId,
+    clubsAdded: clubsAdded.length,
+    clubsRemoved: clubsRemoved.length,
+    previousGrade: beforeGrade,
+    newGrade: afterGrade,
+    canUndo: true,
+    undoExpiresAt: undoExpiresAt.toISOString(),
+    next_step: afterGrade ? null : 'regrade'
   };
 });
 
@@ -7051,17 +4039,20 @@ exports.generatePersonalizedRecommendation = onCall({
     }
   }
   
+  const creditDebit = await debitCredits(db, {
+    userId: targetUserId,
+    action: 'recommendation',
+    actorId: auth.uid,
+    metadata: { analysisType: analysisType || 'general' }
+  });
+  
   try {
     // Fetch profile
     const profileDoc = await db.doc(`users/${targetUserId}`).get();
     const profile = profileDoc.exists ? profileDoc.data() : {};
     
     // Fetch bag data
-    const userRef = db.collection("users").doc(targetUserId);
-    const bagSnapshot = await db.collection('clubs')
-      .where('userId', '==', userRef)
-      .get();
-    const bagData = bagSnapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    const bagData = await listClubs(db, targetUserId, { userData: profile });
     
     // Fetch swing profile from test data (learning loop)
     const swingProfile = await getSwingProfile(db, targetUserId);
@@ -7138,6 +4129,7 @@ exports.generatePersonalizedRecommendation = onCall({
     
   } catch (error) {
     logger.error('Personalized AI error:', error);
+    await safeRefundCredits(db, creditDebit, `Recommendation failed: ${error.message}`);
     
     if (error.code && error.code.startsWith('functions/')) {
       throw error;
@@ -7403,16 +4395,13 @@ Note: Lessons may help more than new clubs here`
   // FAVORITE CLUB BASELINE (PATENT PENDING)
   // ==========================================================================
   if (profile.enableFavoriteClubGrading && profile.favoriteClub) {
-    const favClub = bagData.find(c => 
-      c.clubType === profile.favoriteClub || 
-      c.club_type === profile.favoriteClub
-    );
+    const favClub = bagData.find(c => c.clubType === profile.favoriteClub);
     
     if (favClub) {
-      const shaftWeight = favClub.shaft?.weight || favClub.shaftWeight || 'Unknown';
-      const flex = favClub.shaft?.flex || favClub.shaft_flex || favClub.flex || 'Unknown';
+      const shaftWeight = favClub.shaft_weight || 'Unknown';
+      const flex = favClub.shaft_flex || favClub.flex || 'Unknown';
       const length = favClub.length || 'Unknown';
-      const make = favClub.brand || favClub.make || '';
+      const make = favClub.brand || '';
       const model = favClub.model || '';
       
       prompt += `
@@ -7462,11 +4451,11 @@ Use standard fitting guidelines instead.
     for (const [category, clubs] of Object.entries(categories)) {
       prompt += `**${category}:**\n`;
       clubs.forEach(club => {
-        const type = club.clubType || club.club_type || 'Unknown';
-        const make = club.brand || club.make || '';
+        const type = club.clubType || 'Unknown';
+        const make = club.brand || '';
         const model = club.model || '';
-        const shaft = club.shaft?.model || club.shaftModel || '';
-        const flex = club.shaft?.flex || club.shaft_flex || club.flex || '';
+        const shaft = club.shaft_model || '';
+        const flex = club.shaft_flex || club.flex || '';
         const loft = club.loft ? `${club.loft}°` : '';
         
         prompt += `- ${type}: ${make} ${model}`;
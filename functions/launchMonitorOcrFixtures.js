@@ -0,0 +1,266 @@
+/**
+ * FitMyGolfClubs Pro - Launch Monitor OCR Fixtures
+ *
+ * Labelled screen text for the extractLaunchMonitorData parsers, one sample
+ * per device layout. `text` is what the launch_monitor_ocr vision task
+ * returns for the screen; `expected` was read off the screen by hand
+ * (L values negative, heights in ft, distances in yds).
+ *
+ * `npm test` (checkLaunchMonitorOcr.js) replays every sample through
+ * parseLaunchMonitorText(sample.text) and asserts detectedDevice, layout, shot
+ * count and metrics against sample.expected. To run one end to end, put its
+ * text under "launch_monitor_ocr" in the VISION_FIXTURES_FILE used by the
+ * fixture vision provider.
+ *
+ * Date: January 2026
+ */
+
+const LAUNCH_MONITOR_OCR_SAMPLES = [
+  {
+    id: 'trackman-avg-row',
+    description: 'TrackMan shot analysis, AVG row only',
+    text: [
+      "TRACKMAN",
+      "SHOT ANALYSIS",
+      "ORDER CARRY TOTAL SPIN RATE CLUB SPEED BALL SPEED SMASH FAC. CLUB PATH FACE ANG. ATTACK ANG. HEIGHT LAUNCH ANG.",
+      "AVG 168.2 176.5 6412 84.1 116.3 1.38 1.2 -0.8 -3.9 88 17.6"
+    ].join("\n"),
+    expected: {
+      detectedDevice: 'trackman',
+      layout: 'single',
+      shotCount: 0,
+      metrics: {
+        carry: 168.2, totalDistance: 176.5, spinRate: 6412, clubSpeed: 84.1, ballSpeed: 116.3,
+        smashFactor: 1.38, clubPath: 1.2, faceAngle: -0.8, attackAngle: -3.9, height: 88, launchAngle: 17.6
+      }
+    }
+  },
+
+  {
+    id: 'foresight-gcquad-tiles',
+    description: 'Foresight GCQuad (FSX Pro) single shot - label above value, L/R prefixes, peak height in yards',
+    text: [
+      "FORESIGHT SPORTS",
+      "GCQuad",
+      "BALL SPEED",
+      "132.4 mph",
+      "LAUNCH ANGLE",
+      "14.2°",
+      "SIDE ANGLE",
+      "L1.3°",
+      "BACK SPIN",
+      "2847 rpm",
+      "SIDE SPIN",
+      "R312 rpm",
+      "SPIN AXIS",
+      "R6.2°",
+      "CARRY",
+      "218.6 yds",
+      "TOTAL",
+      "238.1 yds",
+      "OFFLINE",
+      "R8.4 yds",
+      "PEAK HEIGHT",
+      "31.2",
+      "DESCENT ANGLE",
+      "41.5°",
+      "CLUB SPEED",
+      "90.3 mph",
+      "SMASH FACTOR",
+      "1.47",
+      "ANGLE OF ATTACK",
+      "-1.2°",
+      "CLUB PATH",
+      "R2.1°",
+      "FACE TO PATH",
+      "L0.8°",
+      "FACE TO TARGET",
+      "R1.3°",
+      "DYNAMIC LOFT",
+      "15.9°"
+    ].join("\n"),
+    expected: {
+      detectedDevice: 'foresight',
+      layout: 'single',
+      shotCount: 0,
+      metrics: {
+        ballSpeed: 132.4, launchAngle: 14.2, launchDirection: -1.3, spinRate: 2847, spinAxis: 6.2,
+        carry: 218.6, totalDistance: 238.1, side: 8.4, height: 93.6, landingAngle: 41.5,
+        clubSpeed: 90.3, smashFactor: 1.47, attackAngle: -1.2, clubPath: 2.1, faceToPath: -0.8,
+        faceAngle: 1.3, dynamicLoft: 15.9
+      }
+    }
+  },
+
+  {
+    id: 'foresight-gc3-ball-only',
+    description: 'Foresight GC3 without HMT (FSX 2020) - value on the label line, ball data only',
+    text: [
+      "GC3",
+      "FSX 2020",
+      "BALL SPEED 128.9 MPH",
+      "LAUNCH ANGLE 12.4°",
+      "SIDE ANGLE R0.6°",
+      "BACK SPIN 3120 RPM",
+      "SIDE SPIN L205 RPM",
+      "SPIN AXIS L3.8°",
+      "CARRY 205.3 YDS",
+      "TOTAL 224.0 YDS",
+      "OFFLINE L4.1 YDS",
+      "PEAK HEIGHT 27.0 YDS",
+      "DESCENT ANGLE 38.9°"
+    ].join("\n"),
+    expected: {
+      detectedDevice: 'foresight',
+      layout: 'single',
+      shotCount: 0,
+      metrics: {
+        ballSpeed: 128.9, launchAngle: 12.4, launchDirection: 0.6, spinRate: 3120, spinAxis: -3.8,
+        carry: 205.3, totalDistance: 224, side: -4.1, height: 81, landingAngle: 38.9
+      }
+    }
+  },
+
+  {
+    id: 'rapsodo-mlm2pro-tiles',
+    description: 'Rapsodo MLM2PRO single shot - label, value and unit on separate lines, "2.1 R" directions',
+    text: [
+      "RAPSODO",
+      "MLM2PRO",
+      "7 Iron",
+      "Carry Distance",
+      "165.3",
+      "yds",
+      "Total Distance",
+      "174.8",
+      "yds",
+      "Ball Speed",
+      "112.6",
+      "mph",
+      "Club Speed",
+      "82.4",
+      "mph",
+      "Smash Factor",
+      "1.37",
+      "Launch Angle",
+      "17.9",
+      "°",
+      "Launch Direction",
+      "2.1 R",
+      "Spin Rate",
+      "6215",
+      "rpm",
+      "Spin Axis",
+      "4.3 L",
+      "Apex",
+      "84.6",
+      "ft",
+      "Side Carry",
+      "6.8 L",
+      "Descent Angle",
+      "45.2"
+    ].join("\n"),
+    expected: {
+      detectedDevice: 'rapsodo',
+      layout: 'single',
+      shotCount: 0,
+      metrics: {
+        carry: 165.3, totalDistance: 174.8, ballSpeed: 112.6, clubSpeed: 82.4, smashFactor: 1.37,
+        launchAngle: 17.9, launchDirection: 2.1, spinRate: 6215, spinAxis: -4.3, height: 84.6,
+        side: -6.8, landingAngle: 45.2
+      }
+    }
+  },
+
+  {
+    id: 'trackman-shot-table',
+    description: 'TrackMan multi-shot table with AVG row',
+    text: [
+      "TRACKMAN",
+      "SHOT ANALYSIS",
+      "ORDER CARRY TOTAL SPIN RATE CLUB SPEED BALL SPEED SMASH FAC. CLUB PATH FACE ANG. ATTACK ANG. HEIGHT LAUNCH ANG.",
+      "1 201.4 224.8 2910 88.1 128.6 1.46 2.8 2.1 3.0 78 15.2",
+      "2 204.9 228.3 2765 88.9 130.0 1.46 3.4 2.9 3.6 81 15.9",
+      "3 201.2 224.9 2875 88.2 128.7 1.46 2.8 2.2 3.3 78 15.4",
+      "AVG 202.5 226.0 2850 88.4 129.1 1.46 3.0 2.4 3.3 79 15.5"
+    ].join("\n"),
+    expected: {
+      detectedDevice: 'trackman',
+      layout: 'table',
+      shotCount: 3,
+      metrics: {
+        carry: 202.5, totalDistance: 226, spinRate: 2850, clubSpeed: 88.4, ballSpeed: 129.1,
+        smashFactor: 1.46, clubPath: 3, faceAngle: 2.4, attackAngle: 3.3, height: 79, launchAngle: 15.5
+      }
+    }
+  },
+
+  {
+    id: 'foresight-shot-table',
+    description: 'Foresight GCQuad session table - club column, side spin column, Average row, peak height in yards',
+    text: [
+      "FORESIGHT SPORTS GCQuad",
+      "Session 7 Iron",
+      "Shot Club Ball Speed Launch Angle Side Angle Back Spin Side Spin Carry Total Offline Peak Height",
+      "1 7i 118.2 17.1 L1.2 6512 R210 168.4 176.2 R3.1 30.2",
+      "2 7i 119.0 16.8 R0.4 6388 L150 170.1 178.0 L1.8 29.8",
+      "3 7i 117.5 17.6 L0.3 6620 R95 166.9 174.7 R0.6 30.9",
+      "Average 118.2 17.2 L0.4 6507 R52 168.5 176.3 R0.6 30.3"
+    ].join("\n"),
+    expected: {
+      detectedDevice: 'foresight',
+      layout: 'table',
+      shotCount: 3,
+      metrics: {
+        ballSpeed: 118.2, launchAngle: 17.2, launchDirection: -0.4, spinRate: 6507,
+        carry: 168.5, totalDistance: 176.3, side: 0.6, height: 90.9
+      }
+    }
+  },
+
+  {
+    id: 'rapsodo-shot-table',
+    description: 'Rapsodo MLM2PRO session list - no average row, "1.4 R" cells, apex unit in the header',
+    text: [
+      "RAPSODO MLM2PRO",
+      "Session Shots - 7 Iron",
+      "Shot Carry Total Ball Speed Club Speed Smash Factor Launch Angle Launch Direction Spin Rate Spin Axis Apex (ft) Side Carry",
+      "1 164.2 173.5 111.9 82.0 1.36 18.1 1.4 R 6302 3.2 L 83.1 5.6 L",
+      "2 166.8 176.1 113.0 82.6 1.37 17.6 0.8 L 6155 1.1 R 85.0 2.3 R",
+      "3 162.5 171.9 111.2 81.7 1.36 18.4 2.2 R 6390 4.0 L 81.8 7.9 L",
+      "4 165.9 175.1 112.7 82.3 1.38 17.9 0.2 R 6240 0.5 L 84.5 1.2 L"
+    ].join("\n"),
+    expected: {
+      detectedDevice: 'rapsodo',
+      layout: 'table',
+      shotCount: 4,
+      metrics: {
+        carry: 164.85, totalDistance: 174.15, ballSpeed: 112.2, clubSpeed: 82.15, smashFactor: 1.37,
+        launchAngle: 18, launchDirection: 0.75, spinRate: 6271.75, spinAxis: -1.65, height: 83.6,
+        side: -3.1
+      }
+    }
+  },
+
+  {
+    id: 'generic-shot-table',
+    description: 'Unbranded range table - club names instead of shot numbers, units row under the header',
+    text: [
+      "Range Session",
+      "Club Carry Total Ball Speed Launch Spin",
+      "yds yds mph deg rpm",
+      "7 Iron 158 167 109 18.2 6650",
+      "7 Iron 161 170 111 17.8 6480"
+    ].join("\n"),
+    expected: {
+      detectedDevice: 'unknown',
+      layout: 'table',
+      shotCount: 2,
+      metrics: {
+        carry: 159.5, totalDistance: 168.5, ballSpeed: 110, launchAngle: 18, spinRate: 6565
+      }
+    }
+  }
+];
+
+module.exports = { LAUNCH_MONITOR_OCR_SAMPLES };
@@ -0,0 +1,187 @@
+/**
+ * FitMyGolfClubs Pro - Optimal Launch Windows
+ *
+ * VALIDATION_RANGES (extractLaunchMonitorData.js) only rejects impossible
+ * OCR values. This is the fitting target: the launch, spin, descent angle
+ * and peak height a club should produce for the golfer's club speed, so a
+ * tested club can be called in or out of window.
+ *
+ * Windows are keyed by club category and club speed band (slow / moderate /
+ * fast, thresholds per category). Used by getSwingProfile (index.js) and
+ * compareFittingSession to label tested clubs and give the AI prompt
+ * concrete numbers, and as the default spin_window objective target in
+ * shotComparison.js.
+ *
+ * Date: January 2026
+ */
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+// Club speed (mph) upper bounds of the slow and moderate bands
+const SPEED_BANDS = {
+  driver: [85, 100],
+  wood: [80, 95],
+  hybrid: [75, 90],
+  long_iron: [75, 88],
+  mid_iron: [72, 85],
+  short_iron: [70, 82],
+  wedge: [66, 78]
+};
+
+// Used when no club speed has been measured
+const DEFAULT_SPEED_BAND = 'moderate';
+
+// launchAngle (°), spinRate (rpm), landingAngle (° descent), height (ft apex)
+const LAUNCH_WINDOWS = {
+  driver: {
+    slow: { launchAngle: [14, 18], spinRate: [2600, 3200], landingAngle: [36, 42], height: [60, 90] },
+    moderate: { launchAngle: [12, 16], spinRate: [2200, 2800], landingAngle: [35, 40], height: [80, 105] },
+    fast: { launchAngle: [10, 14], spinRate: [1900, 2500], landingAngle: [34, 39], height: [90, 115] }
+  },
+  wood: {
+    slow: { launchAngle: [12, 16], spinRate: [3400, 4200], landingAngle: [40, 46], height: [60, 85] },
+    moderate: { launchAngle: [11, 14], spinRate: [3200, 4000], landingAngle: [41, 46], height: [75, 100] },
+    fast: { launchAngle: [9.5, 12.5], spinRate: [3000, 3800], landingAngle: [42, 47], height: [85, 105] }
+  },
+  hybrid: {
+    slow: { launchAngle: [13, 17], spinRate: [3800, 4800], landingAngle: [42, 48], height: [60, 85] },
+    moderate: { launchAngle: [12, 15], spinRate: [4000, 5000], landingAngle: [44, 49], height: [75, 95] },
+    fast: { launchAngle: [10, 14], spinRate: [4000, 5000], landingAngle: [45, 50], height: [85, 105] }
+  },
+  long_iron: {
+    slow: { launchAngle: [13, 17], spinRate: [3800, 5000], landingAngle: [40, 46], height: [55, 80] },
+    moderate: { launchAngle: [11, 15], spinRate: [4200, 5500], landingAngle: [43, 48], height: [70, 95] },
+    fast: { launchAngle: [10, 13], spinRate: [4500, 5800], landingAngle: [45, 50], height: [80, 100] }
+  },
+  mid_iron: {
+    slow: { launchAngle: [17, 21], spinRate: [5000, 6500], landingAngle: [43, 49], height: [60, 80] },
+    moderate: { launchAngle: [15, 19], spinRate: [5800, 7200], landingAngle: [45, 51], height: [75, 95] },
+    fast: { launchAngle: [14, 18], spinRate: [6300, 7600], landingAngle: [47, 53], height: [85, 105] }
+  },
+  short_iron: {
+    slow: { launchAngle: [20, 25], spinRate: [6500, 8000], landingAngle: [45, 51], height: [60, 80] },
+    moderate: { launchAngle: [19, 23], spinRate: [7500, 9000], landingAngle: [47, 53], height: [75, 95] },
+    fast: { launchAngle: [18, 22], spinRate: [8000, 9500], landingAngle: [49, 55], height: [85, 105] }
+  },
+  wedge: {
+    slow: { launchAngle: [26, 34], spinRate: [7000, 9500], landingAngle: [47, 55], height: [55, 80] },
+    moderate: { launchAngle: [24, 32], spinRate: [8000, 10500], landingAngle: [48, 56], height: [65, 90] },
+    fast: { launchAngle: [23, 30], spinRate: [9000, 11000], landingAngle: [50, 57], height: [75, 100] }
+  }
+};
+
+const WINDOW_METRICS = {
+  launchAngle: { label: 'Launch', unit: '°' },
+  spinRate: { label: 'Spin', unit: ' rpm' },
+  landingAngle: { label: 'Descent', unit: '°' },
+  height: { label: 'Peak height', unit: ' ft' }
+};
+
+// ==========================================
+// LOOKUP
+// ==========================================
+
+/**
+ * Window category for a club type ("Driver", "3-Wood", "4-Hybrid", "7-Iron", "PW", "56°")
+ */
+function getClubCategory(clubType) {
+  const type = String(clubType || '').toLowerCase();
+  if (!type) return null;
+  if (type.includes('driver')) return 'driver';
+  if (type.includes('wood')) return 'wood';
+  if (type.includes('hybrid') || type.includes('rescue')) return 'hybrid';
+  if (type.includes('wedge') || /^(pw|gw|aw|sw|lw)$/.test(type) || type.includes('°')) return 'wedge';
+
+  const ironNumber = parseInt(type, 10);
+  if (ironNumber >= 2 && ironNumber <= 5) return 'long_iron';
+  if (ironNumber === 6 || ironNumber === 7) return 'mid_iron';
+  if (ironNumber === 8 || ironNumber === 9) return 'short_iron';
+  return null;
+}
+
+function getSpeedBand(category, clubSpeed) {
+  const speed = parseFloat(clubSpeed);
+  if (!SPEED_BANDS[category] || !(speed > 0)) return DEFAULT_SPEED_BAND;
+  const [slowMax, moderateMax] = SPEED_BANDS[category];
+  return speed < slowMax ? 'slow' : speed < moderateMax ? 'moderate' : 'fast';
+}
+
+/**
+ * Target windows for a club type at a club speed
+ *
+ * @returns {Object|null} { category, speedBand, speedMeasured, windows: { launchAngle: { min, max }, ... } }
+ */
+function getLaunchWindows(clubType, clubSpeed = null) {
+  const category = getClubCategory(clubType);
+  if (!category) return null;
+
+  const speedBand = getSpeedBand(category, clubSpeed);
+  const windows = {};
+  for (const [metric, [min, max]] of Object.entries(LAUNCH_WINDOWS[category][speedBand])) {
+    windows[metric] = { min, max };
+  }
+  return { category, speedBand, speedMeasured: parseFloat(clubSpeed) > 0, windows };
+}
+
+// ==========================================
+// VERDICTS
+// ==========================================
+
+/**
+ * Label measured averages in/out of the club's windows
+ *
+ * @param {string} clubType - "7-Iron", "Driver", ...
+ * @param {Object} metrics - { clubSpeed, launchAngle, spinRate, landingAngle, height } (missing ones skipped)
+ * @returns {Object|null} {
+ *   category, speedBand, speedMeasured,
+ *   verdicts: { spinRate: { value, min, max, status: 'in'|'low'|'high', label } },
+ *   inWindow: true | false, outOfWindow: ['spinRate'], summary: "Spin 3100 rpm high (1900-2500 rpm); ..."
+ * }
+ * Null when the club type has no windows or no windowed metric was measured.
+ */
+function evaluateLaunchWindows(clubType, metrics = {}) {
+  const target = getLaunchWindows(clubType, metrics.clubSpeed);
+  if (!target) return null;
+
+  const verdicts = {};
+  for (const [metric, window] of Object.entries(target.windows)) {
+    const value = parseFloat(metrics[metric]);
+    if (isNaN(value)) continue;
+
+    const status = value < window.min ? 'low' : value > window.max ? 'high' : 'in';
+    const { label, unit } = WINDOW_METRICS[metric];
+    const shown = metric === 'spinRate' ? Math.round(value) : Math.round(value * 10) / 10;
+    verdicts[metric] = {
+      value: shown,
+      min: window.min,
+      max: window.max,
+      status,
+      label: `${label} ${shown}${unit} ${status === 'in' ? 'in window' : status} (${window.min}-${window.max}${unit})`
+    };
+  }
+
+  const measured = Object.keys(verdicts);
+  if (measured.length === 0) return null;
+
+  const outOfWindow = measured.filter(metric => verdicts[metric].status !== 'in');
+  return {
+    category: target.category,
+    speedBand: target.speedBand,
+    speedMeasured: target.speedMeasured,
+    verdicts,
+    inWindow: outOfWindow.length === 0,
+    outOfWindow,
+    summary: measured.map(metric => verdicts[metric].label).join('; ')
+  };
+}
+
+module.exports = {
+  LAUNCH_WINDOWS,
+  SPEED_BANDS,
+  getClubCategory,
+  getSpeedBand,
+  getLaunchWindows,
+  evaluateLaunchWindows
+};
@@ -0,0 +1,278 @@
+/**
+ * FitMyGolfClubs Pro - Loft Gap Threshold Sets
+ *
+ * Loft gapping is scored against zone thresholds (WOODS_TOP ... WEDGES).
+ * Which thresholds apply depends on the golfer: slow swingers need wider
+ * gaps in the long clubs, tour players want tighter wedge spacing.
+ *
+ * calculateLoftGapping picks a set automatically from the golfer's swing
+ * speed and handicap (see selectLoftGapThresholdSet in gradingEngine.js):
+ * client override → pro custom sets (by priority) → built-in sets → standard
+ *
+ * Pros keep custom sets in users/{proId}/loftGapSets. Saving a set with a
+ * built-in id ('tour', 'slow_swing', 'standard') replaces that built-in.
+ * - saveLoftGapSet: Create/update a set
+ * - getLoftGapSets: Custom + built-in sets
+ * - deleteLoftGapSet: Delete a custom set (a replaced built-in comes back)
+ * - setClientLoftGapSet: Assign/clear a client's override
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const {
+  DEFAULT_LOFT_GAP_THRESHOLD_SETS,
+  LOFT_GAP_ZONES,
+  normalizeLoftGapThresholds
+} = require("./gradingEngine");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const MAX_LOFT_GAP_SETS = 10;
+
+// Accepted criteria ranges (driver swing speed mph, handicap index)
+const CRITERIA_LIMITS = {
+  swingSpeedMin: [40, 160],
+  swingSpeedMax: [40, 160],
+  handicapMin: [-10, 54],
+  handicapMax: [-10, 54]
+};
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Get the pro that owns loft gap sets for a user (the user itself if not pro-managed)
+ */
+function getLoftGapSetOwnerId(userId, profileData) {
+  return profileData?.pro_id || profileData?.proManagedInfo?.proUserId || userId;
+}
+
+/**
+ * @throws {Error} for out-of-range or inverted bounds
+ */
+function normalizeCriteria(input = {}) {
+  const criteria = {};
+  Object.entries(CRITERIA_LIMITS).forEach(([key, [min, max]]) => {
+    const raw = input?.[key];
+    if (raw === undefined || raw === null || raw === '') return;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid ${key} (must be ${min}-${max})`);
+    }
+    criteria[key] = value;
+  });
+
+  if (criteria.swingSpeedMin != null && criteria.swingSpeedMax != null && criteria.swingSpeedMin >= criteria.swingSpeedMax) {
+    throw new Error('Swing speed min must be below max');
+  }
+  if (criteria.handicapMin != null && criteria.handicapMax != null && criteria.handicapMin > criteria.handicapMax) {
+    throw new Error('Handicap min must not exceed max');
+  }
+  return criteria;
+}
+
+/**
+ * Load the sets and override calculateLoftGapping needs for a user
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - User whose bag is being graded
+ * @param {Object} profileData - users/{userId} document data
+ * @returns {Object} { loftGapSets, loftGapSetId } (merged into the prepareBag context)
+ */
+async function resolveLoftGapSets(db, userId, profileData = {}) {
+  const ownerId = getLoftGapSetOwnerId(userId, profileData);
+  let loftGapSets = [];
+
+  try {
+    const snapshot = await db.collection("users").doc(ownerId)
+      .collection("loftGapSets").orderBy("priority", "asc").get();
+    loftGapSets = snapshot.docs.map(doc => ({
+      id: doc.id,
+      name: doc.data().name,
+      criteria: doc.data().criteria || {},
+      thresholds: doc.data().thresholds || {}
+    }));
+  } catch (error) {
+    logger.warn(`Could not load loft gap sets for ${ownerId}, using built-in sets:`, error.message);
+  }
+
+  return {
+    loftGapSets,
+    loftGapSetId: profileData?.loft_gap_set_id || null
+  };
+}
+
+// ==========================================
+// CLOUD FUNCTION: saveLoftGapSet
+// ==========================================
+
+/**
+ * request.data:
+ * {
+ *   setId: "abc" | "tour",   // optional - omit to create; a built-in id replaces it
+ *   name: "Seniors",
+ *   criteria: { swingSpeedMax: 80, handicapMin: 15 },
+ *   thresholds: { WOODS_TOP: { overlap, optimalMin, optimalMax, wide }, ... },  // missing zones use standard
+ *   priority: 1              // lower is checked first
+ * }
+ */
+exports.saveLoftGapSet = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const proId = request.auth.uid;
+  const setId = request.data?.setId ? sanitizeText(request.data.setId, 128) : null;
+  const name = sanitizeText(request.data?.name || '', 60);
+  const priority = Number.isFinite(Number(request.data?.priority)) ? Number(request.data.priority) : 100;
+
+  if (!name) {
+    throw new HttpsError('invalid-argument', 'Set name required');
+  }
+
+  let criteria, thresholds;
+  try {
+    criteria = normalizeCriteria(request.data?.criteria);
+    thresholds = normalizeLoftGapThresholds(request.data?.thresholds || {});
+  } catch (validationError) {
+    throw new HttpsError('invalid-argument', validationError.message);
+  }
+
+  const db = admin.firestore();
+  const setsRef = db.collection("users").doc(proId).collection("loftGapSets");
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+  const data = { name, criteria, thresholds, priority, updated_at: timestamp };
+
+  let setRef;
+  if (setId) {
+    setRef = setsRef.doc(setId);
+    const existing = await setRef.get();
+    const isBuiltIn = DEFAULT_LOFT_GAP_THRESHOLD_SETS.some(set => set.id === setId);
+    if (!existing.exists && !isBuiltIn) {
+      throw new HttpsError('not-found', 'Loft gap set not found');
+    }
+    await setRef.set(existing.exists ? { ...existing.data(), ...data } : { ...data, created_at: timestamp });
+  } else {
+    const existingSets = await setsRef.get();
+    if (existingSets.size >= MAX_LOFT_GAP_SETS) {
+      throw new HttpsError('resource-exhausted', `Maximum ${MAX_LOFT_GAP_SETS} loft gap sets allowed`);
+    }
+    setRef = await setsRef.add({ ...data, created_at: timestamp });
+  }
+
+  logger.info(`Saved loft gap set "${name}" (${setRef.id}) for ${proId}`);
+
+  return { success: true, setId: setRef.id, criteria, thresholds };
+});
+
+// ==========================================
+// CLOUD FUNCTION: getLoftGapSets
+// ==========================================
+
+/**
+ * Returns the pro's custom sets plus the built-ins they haven't replaced,
+ * in the order calculateLoftGapping checks them
+ */
+exports.getLoftGapSets = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const snapshot = await db.collection("users").doc(request.auth.uid)
+    .collection("loftGapSets").orderBy("priority", "asc").get();
+
+  const customSets = snapshot.docs.map(doc => ({
+    id: doc.id,
+    name: doc.data().name,
+    criteria: doc.data().criteria || {},
+    thresholds: normalizeLoftGapThresholds(doc.data().thresholds || {}),
+    priority: doc.data().priority ?? null,
+    custom: true,
+    replacesBuiltIn: DEFAULT_LOFT_GAP_THRESHOLD_SETS.some(set => set.id === doc.id)
+  }));
+  const customIds = new Set(customSets.map(set => set.id));
+  const builtInSets = DEFAULT_LOFT_GAP_THRESHOLD_SETS
+    .filter(set => !customIds.has(set.id))
+    .map(set => ({ ...set, priority: null, custom: false, replacesBuiltIn: false }));
+
+  return {
+    sets: [...customSets, ...builtInSets],
+    zones: LOFT_GAP_ZONES,
+    max_allowed: MAX_LOFT_GAP_SETS
+  };
+});
+
+// ==========================================
+// CLOUD FUNCTION: deleteLoftGapSet
+// ==========================================
+
+exports.deleteLoftGapSet = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const setId = sanitizeText(request.data?.setId || '', 128);
+  if (!setId) {
+    throw new HttpsError('invalid-argument', 'setId required');
+  }
+
+  // Clients still pointing at this set fall back to automatic selection when graded
+  const db = admin.firestore();
+  await db.collection("users").doc(request.auth.uid).collection("loftGapSets").doc(setId).delete();
+
+  return { success: true };
+});
+
+// ==========================================
+// CLOUD FUNCTION: setClientLoftGapSet
+// ==========================================
+
+/**
+ * request.data: { clientId: "client_uid", setId: "abc" | "tour" | null }
+ * null clears the override so the set is picked from swing speed / handicap
+ */
+exports.setClientLoftGapSet = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const proId = request.auth.uid;
+  const clientId = sanitizeText(request.data?.clientId || '', 128);
+  const setId = request.data?.setId ? sanitizeText(request.data.setId, 128) : null;
+
+  if (!clientId) {
+    throw new HttpsError('invalid-argument', 'clientId required');
+  }
+
+  const db = admin.firestore();
+  const clientRef = db.collection("users").doc(clientId);
+  const clientDoc = await clientRef.get();
+
+  if (!clientDoc.exists || getLoftGapSetOwnerId(clientId, clientDoc.data()) !== proId) {
+    throw new HttpsError('permission-denied', 'You do not manage this client');
+  }
+
+  if (setId && !DEFAULT_LOFT_GAP_THRESHOLD_SETS.some(set => set.id === setId)) {
+    const setDoc = await db.collection("users").doc(proId).collection("loftGapSets").doc(setId).get();
+    if (!setDoc.exists) {
+      throw new HttpsError('not-found', 'Loft gap set not found');
+    }
+  }
+
+  await clientRef.update({
+    loft_gap_set_id: setId,
+    updated_at: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { success: true, clientId, setId };
+});
+
+exports.resolveLoftGapSets = resolveLoftGapSets;
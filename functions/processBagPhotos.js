@@ -0,0 +1,361 @@
+/**
+ * FitMyGolfClubs Pro - Whole-Bag Photo Onboarding
+ *
+ * processClubPhotos reads one club from up to four photos. Here the golfer
+ * photographs the whole bag (heads and shafts, several clubs per photo):
+ *
+ * 1. Inventory - one vision pass (bag_inventory task) lists every club it can see, which photos
+ *    show its head and shaft, and what is stamped on it ("7", "P", "3H", "56.10")
+ * 2. Club type - inferred from the stamp + head shape (resolveClubType)
+ * 3. Extraction - the shared primary → backup pipeline runs per club in
+ *    parallel, told which club in the photos to read
+ * 4. Catalog match - each club matched to clubHeadSpecs / shaftSpecDatabase
+ *
+ * The result is a draft bag in BagOnboarding's clubsData shape. Nothing is
+ * saved here - the golfer confirms it in BagOnboarding's summary step.
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { extractClubSpecs, downloadAndEncode } = require("./processClubPhotos");
+const { resolveClubType, matchExtractedSpecs } = require("./specCatalogMatch");
+const { needsExtractionReview } = require("./extractionReview");
+const { runWithConcurrency } = require("./batchRegrade");
+const { VISION_TASKS, runVisionTask, parseVisionJson } = require("./visionProviders");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const MAX_BAG_PHOTOS = 16;
+const MAX_CLUBS = 18;
+const EXTRACTION_CONCURRENCY = 4;
+
+// Same bar ClubSelector uses before applying a catalog match
+const CONFIDENT_MATCH_SCORE = 0.75;
+
+const HEAD_SHAPES = ['driver', 'fairway', 'hybrid', 'iron', 'wedge', 'putter'];
+
+// ==========================================
+// INVENTORY (which clubs are in which photos)
+// ==========================================
+
+function buildInventoryPrompt(photoKinds) {
+  const photoList = photoKinds.map((kind, i) => `Photo ${i + 1}: ${kind} photo`).join('\n');
+
+  return `You are a golf equipment expert looking at photos of a golfer's whole bag.
+
+${photoList}
+
+TASK:
+List every distinct club you can see. The same club usually appears in a head photo AND a shaft photo - list it once.
+Use the number or loft stamped on the sole/toe to tell clubs apart ("7", "P", "3H", "56.10", "10.5°").
+
+RESPOND WITH VALID JSON ONLY (no markdown, no extra text):
+{
+  "clubs": [
+    {
+      "head_shape": "driver | fairway | hybrid | iron | wedge | putter",
+      "stamp": "number/letters stamped on the head, or null",
+      "loft_stamp": "loft in degrees if stamped, or null",
+      "brand_hint": "brand if visible, or null",
+      "head_photos": [1],
+      "shaft_photos": [3],
+      "position": "where to find it, e.g. 'photo 1, third head from the left'",
+      "confidence": 0.9
+    }
+  ],
+  "notes": "Anything that made clubs hard to tell apart"
+}
+
+Photo numbers start at 1. Leave shaft_photos empty if you cannot tell which shaft belongs to the club.`;
+}
+
+async function runInventory(encodedPhotos, photoKinds) {
+  return runVisionTask(VISION_TASKS.BAG_INVENTORY, {
+    prompt: buildInventoryPrompt(photoKinds),
+    images: encodedPhotos,
+    maxTokens: 2000
+  }, { parse: parseVisionJson });
+}
+
+/**
+ * Photo numbers from the model → valid 0-based indexes
+ */
+function photoIndexes(numbers, photoCount) {
+  return [...new Set((Array.isArray(numbers) ? numbers : [])
+    .map(n => parseInt(n, 10) - 1)
+    .filter(i => i >= 0 && i < photoCount))];
+}
+
+// ==========================================
+// CLUB TYPE FROM STAMPS
+// ==========================================
+
+/**
+ * Split a head stamp into number / loft for resolveClubType
+ * "7" → number 7, "P" → PW, "3H" → number 3, "56.10" / "56-10" → loft 56 (bounce 10), "10.5°" → loft 10.5
+ */
+function parseStamp(stamp, loftStamp) {
+  const text = String(stamp || '').trim().toUpperCase().replace(/\s+/g, '');
+  const loft = parseFloat(loftStamp) || null;
+
+  const wedgeGrind = text.match(/^(\d{2})[.-](\d{1,2})[A-Z]?$/);
+  if (wedgeGrind) return { loft: loft || parseInt(wedgeGrind[1], 10), bounce: parseInt(wedgeGrind[2], 10), number: null };
+
+  const degrees = text.match(/^(\d{1,2}(?:\.\d)?)°$/);
+  if (degrees) return { loft: loft || parseFloat(degrees[1]), number: null };
+
+  const numbered = text.match(/^(\d{1,2})(?:H|W|I|IRON|WOOD|HYBRID)?$/);
+  if (numbered) return { loft, number: numbered[1] };
+
+  return { loft, number: text || null };
+}
+
+/**
+ * BagOnboarding category for a resolved club type
+ */
+function getOnboardingCategory(clubType) {
+  const type = String(clubType || '').toLowerCase();
+  if (!type || type === 'putter') return null;
+  if (type === 'driver' || type.includes('wood')) return 'woods';
+  if (type.includes('hybrid')) return 'hybrids';
+  if (type.includes('iron') || type === 'pw') return 'irons';
+  if (type.includes('°') || ['gw', 'aw', 'sw', 'lw'].includes(type)) return 'wedges';
+  return null;
+}
+
+/**
+ * Club type from the inventory stamp, falling back to what extraction read
+ */
+function inferClubType(headShape, stamp, extractedSpecs = null) {
+  let clubType = resolveClubType(headShape, stamp);
+  if (!clubType && extractedSpecs) {
+    clubType = resolveClubType(headShape, extractedSpecs);
+  }
+  return clubType;
+}
+
+// ==========================================
+// DRAFT CLUBS
+// ==========================================
+
+/**
+ * Turn an extraction + catalog match into a BagOnboarding club entry
+ * Confident catalog matches fill brand/model/specs from the catalog; otherwise
+ * the raw extracted text is used and the club is left unlinked.
+ */
+function buildDraftClub(clubType, extraction, catalogMatch, photoUrls) {
+  const specs = extraction.specs || {};
+  const bestHead = catalogMatch?.heads?.[0] || null;
+  const head = bestHead && bestHead.score >= CONFIDENT_MATCH_SCORE ? bestHead : null;
+
+  let shaft = null;
+  if (head && catalogMatch.bestMatch?.useStockShaft && head.stockShaft) {
+    shaft = head.stockShaft;
+  } else if (catalogMatch?.shafts?.[0]?.score >= CONFIDENT_MATCH_SCORE) {
+    shaft = catalogMatch.shafts[0];
+  }
+
+  return {
+    category: getOnboardingCategory(clubType),
+    clubType,
+    clubHeadSpecId: head ? head.clubHeadSpecId : null,
+    brand: head ? head.brand : specs.brand || null,
+    model: head ? head.model : specs.model || null,
+    year: head ? head.year : parseInt(specs.year, 10) || null,
+    specs: {
+      loft: head?.specs?.loft ?? (parseFloat(specs.loft) || null),
+      lie: head?.specs?.lie ?? (parseFloat(specs.lie) || null),
+      length: head?.specs?.length ?? null
+    },
+    shaftId: shaft ? shaft.shaftId : null,
+    shaftBrand: shaft ? shaft.brand : specs.shaft_brand || null,
+    shaftModel: shaft ? shaft.model : specs.shaft_model || null,
+    shaftSpecs: {
+      weight: shaft?.weight || parseFloat(specs.shaft_weight) || null,
+      flex: shaft?.flex || specs.shaft_flex || null,
+      kickPoint: shaft?.kickPoint || specs.shaft_kickpoint || null,
+      torque: parseFloat(specs.shaft_torque) || null
+    },
+    isManualShaft: !shaft,
+    photoDraft: {
+      overallConfidence: Math.round(extraction.overallConfidence * 100) / 100,
+      source: extraction.source,
+      needsReview: needsExtractionReview(extraction.overallConfidence, extraction.backupFailed),
+      catalogScore: bestHead ? bestHead.score : null,
+      catalogMatch: catalogMatch || null,
+      extractedSpecs: specs,
+      confidence: extraction.confidence || {},
+      photos: photoUrls
+    }
+  };
+}
+
+// ==========================================
+// CLOUD FUNCTION: processBagPhotos
+// ==========================================
+
+/**
+ * request.data:
+ * {
+ *   clientId: "client_uid",          // optional - omit for your own bag
+ *   photos: {
+ *     heads: ["https://firebasestorage...", ...],    // at least one
+ *     shafts: ["https://firebasestorage...", ...]
+ *   }
+ * }
+ */
+exports.processBagPhotos = onCall({ timeoutSeconds: 300, memory: "1GiB" }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const startTime = Date.now();
+  const callerId = request.auth.uid;
+  const data = request.data || {};
+  const clientId = data.clientId ? sanitizeText(data.clientId, 128) : callerId;
+
+  const isStorageUrl = url => typeof url === 'string' && url.includes('/o/');
+  const headUrls = (Array.isArray(data.photos?.heads) ? data.photos.heads : []).filter(isStorageUrl);
+  const shaftUrls = (Array.isArray(data.photos?.shafts) ? data.photos.shafts : []).filter(isStorageUrl);
+  if (headUrls.length === 0) {
+    throw new HttpsError('invalid-argument', 'At least one head photo required');
+  }
+  if (headUrls.length + shaftUrls.length > MAX_BAG_PHOTOS) {
+    throw new HttpsError('invalid-argument', `At most ${MAX_BAG_PHOTOS} photos per bag`);
+  }
+
+  const db = admin.firestore();
+  const clientDoc = await db.collection("users").doc(clientId).get();
+  if (!clientDoc.exists) {
+    throw new HttpsError('not-found', 'User not found');
+  }
+  const clientData = clientDoc.data();
+  if (clientId !== callerId && (clientData.pro_id || clientData.proManagedInfo?.proUserId) !== callerId) {
+    throw new HttpsError('permission-denied', 'You do not manage this client');
+  }
+
+  const photoUrls = [...headUrls, ...shaftUrls];
+  const photoKinds = [...headUrls.map(() => 'head'), ...shaftUrls.map(() => 'shaft')];
+  const encodedPhotos = await Promise.all(photoUrls.map(url => downloadAndEncode(url)));
+
+  // 1. INVENTORY
+  let inventory;
+  const apiCalls = {};
+  const visionUsage = { costUsd: 0, latencyMs: 0 };
+  try {
+    const run = await runInventory(encodedPhotos, photoKinds);
+    inventory = run.result;
+    apiCalls[run.provider] = 1;
+    visionUsage.costUsd = run.costUsd;
+    visionUsage.latencyMs = run.latencyMs;
+  } catch (error) {
+    logger.error('Bag inventory failed:', error);
+    throw new HttpsError('internal', 'Could not identify the clubs in these photos');
+  }
+
+  const warnings = [];
+  const found = (Array.isArray(inventory?.clubs) ? inventory.clubs : [])
+    .filter(club => HEAD_SHAPES.includes(club?.head_shape))
+    .slice(0, MAX_CLUBS);
+  if (found.length === 0) {
+    throw new HttpsError('failed-precondition', 'No clubs found in these photos - make sure club heads are in frame');
+  }
+  if (inventory.notes) warnings.push(sanitizeText(inventory.notes, 300));
+
+  // 2-4. CLUB TYPE, EXTRACTION, CATALOG MATCH (per club, in parallel)
+  const results = [];
+
+  await runWithConcurrency(found.map((club, index) => ({ club, index })), EXTRACTION_CONCURRENCY, async ({ club, index }) => {
+    const stamp = parseStamp(club.stamp, club.loft_stamp);
+    const indexes = [...photoIndexes(club.head_photos, photoUrls.length), ...photoIndexes(club.shaft_photos, photoUrls.length)];
+    const clubPhotos = indexes.length ? indexes : headUrls.map((url, i) => i);
+    const focus = [
+      `${club.head_shape}${club.stamp ? ` stamped "${club.stamp}"` : ''}`,
+      club.position ? `Location: ${club.position}` : null,
+      club.brand_hint ? `Brand appears to be ${club.brand_hint}` : null
+    ].filter(Boolean).join('\n');
+
+    const extraction = await extractClubSpecs(clubPhotos.map(i => encodedPhotos[i]), club.head_shape, focus);
+    if (!extraction) {
+      results.push({ index, failed: true, club });
+      return;
+    }
+    Object.entries(extraction.apiCalls).forEach(([provider, calls]) => {
+      apiCalls[provider] = (apiCalls[provider] || 0) + calls;
+    });
+    visionUsage.costUsd = Math.round((visionUsage.costUsd + extraction.visionUsage.costUsd) * 100000) / 100000;
+    visionUsage.latencyMs += extraction.visionUsage.latencyMs;
+
+    const clubType = inferClubType(club.head_shape, stamp, extraction.specs);
+    let catalogMatch = null;
+    try {
+      catalogMatch = await matchExtractedSpecs(db, extraction.specs, { clubType: clubType || club.head_shape });
+    } catch (error) {
+      logger.warn(`Catalog match failed for bag club ${index + 1}:`, error.message);
+    }
+
+    results.push({
+      index,
+      club,
+      clubType,
+      draft: buildDraftClub(clubType, extraction, catalogMatch, clubPhotos.map(i => photoUrls[i]))
+    });
+  });
+
+  // Inventory order (left to right, photo by photo) rather than finish order
+  results.sort((a, b) => a.index - b.index);
+
+  const clubs = [];
+  const unplaced = [];
+  results.forEach(result => {
+    if (result.failed) {
+      warnings.push(`Could not read the ${result.club.head_shape}${result.club.stamp ? ` stamped "${result.club.stamp}"` : ''}`);
+      return;
+    }
+    if (result.club.head_shape === 'putter') {
+      warnings.push('Putter found - add putters from the bag screen');
+      return;
+    }
+    if (!result.draft.category) {
+      unplaced.push({ headShape: result.club.head_shape, position: result.club.position || null, ...result.draft });
+      return;
+    }
+
+    // The same club seen twice: keep the clearer read
+    const duplicate = clubs.findIndex(c => c.clubType === result.clubType);
+    if (duplicate >= 0) {
+      warnings.push(`Found two ${result.clubType}s - kept the clearer one`);
+      if (result.draft.photoDraft.overallConfidence > clubs[duplicate].photoDraft.overallConfidence) {
+        clubs[duplicate] = result.draft;
+      }
+      return;
+    }
+    clubs.push(result.draft);
+  });
+
+  const processingTimeMs = Date.now() - startTime;
+  logger.info(`Bag photos for ${clientId}: ${found.length} found, ${clubs.length} drafted, ${unplaced.length} unplaced in ${processingTimeMs}ms`);
+
+  return {
+    success: true,
+    clientId,
+    clubsFound: found.length,
+    clubs,
+    unplaced,
+    warnings,
+    photosProcessed: photoUrls.length,
+    processingTimeMs,
+    apiCalls,
+    visionUsage
+  };
+});
+
+exports.parseStamp = parseStamp;
+exports.inferClubType = inferClubType;
+exports.getOnboardingCategory = getOnboardingCategory;
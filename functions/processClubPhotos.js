@@ -7,16 +7,24 @@
  * 
  * Cost: ~$0.004 per club average
  * Speed: 3-5 seconds (Gemini) or 5-8 seconds (with Claude backup)
+ *
+ * Both tiers run as vision tasks (visionProviders.js: club_specs and
+ * club_specs_backup), so either can be pointed at another provider.
+ *
+ * Extracted specs are then matched against the clubHeadSpecs /
+ * shaftSpecDatabase catalogs (specCatalogMatch.js) so ClubSelector can open
+ * pre-filled on the best match.
+ *
+ * Low-confidence extractions (or ones where the backup read also failed)
+ * are queued for review by the golfer's pro (extractionReview.js).
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const Anthropic = require('@anthropic-ai/sdk');
-
-// Initialize APIs
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+const { updateClub } = require('./clubRepository');
+const { matchExtractedSpecs } = require('./specCatalogMatch');
+const { needsExtractionReview, queueExtractionReview } = require('./extractionReview');
+const { VISION_TASKS, runVisionTask, parseVisionJson } = require('./visionProviders');
 
 exports.processClubPhotos = functions
   .runWith({ 
@@ -76,65 +84,50 @@ exports.processClubPhotos = functions
         photoUrls.map(url => downloadAndEncode(url))
       );
       
-      // 5. CALL GEMINI (PRIMARY)
-      let geminiResult;
-      let geminiCalls = 0;
+      // 5-7. GEMINI, CLAUDE BACKUP IF NEEDED, OVERALL CONFIDENCE
+      const extraction = await extractClubSpecs(encodedPhotos, clubType);
+      if (!extraction) {
+        throw new functions.https.HttpsError(
+          'internal',
+          'Failed to extract club specifications from photos'
+        );
+      }
+      const { specs: finalSpecs, confidence: finalConfidence, overallConfidence, source, backupFailed, apiCalls } = extraction;
       
+      // 8. MATCH AGAINST THE SPEC CATALOG (best effort - raw specs still saved)
+      let catalogMatch = null;
       try {
-        geminiResult = await callGeminiAPI(encodedPhotos, clubType);
-        geminiCalls = 1;
-        console.log('Gemini extraction successful');
+        catalogMatch = await matchExtractedSpecs(admin.firestore(), finalSpecs, { clubType });
+        console.log(`Catalog match: ${catalogMatch.heads.length} heads, best ${catalogMatch.bestMatch?.score ?? 'none'}`);
       } catch (error) {
-        console.error('Gemini API failed:', error);
-        geminiResult = null;
+        console.error('Catalog match failed:', error);
       }
       
-      // 6. DETERMINE IF CLAUDE BACKUP NEEDED
-      const needsClaudeBackup = shouldTriggerClaudeBackup(geminiResult, clubType);
-      
-      let finalSpecs, finalConfidence, source, claudeCalls = 0;
-      
-      if (needsClaudeBackup && geminiResult) {
-        console.log('Triggering Claude backup - low confidence or missing specs');
+      // 9. QUEUE FOR REVIEW (best effort - never blocks the save)
+      let review = null;
+      if (needsExtractionReview(overallConfidence, backupFailed)) {
         try {
-          const claudeResult = await callClaudeAPI(
-            encodedPhotos,
+          review = await queueExtractionReview(admin.firestore(), {
+            userId: userId || context.auth.uid,
+            clubId,
             clubType,
-            geminiResult.specs,
-            geminiResult.confidence
-          );
-          finalSpecs = claudeResult.specs;
-          finalConfidence = claudeResult.confidence;
-          source = 'claude_backup';
-          claudeCalls = 1;
+            photos,
+            specs: finalSpecs,
+            confidence: finalConfidence,
+            overallConfidence,
+            source,
+            backupFailed
+          });
         } catch (error) {
-          console.error('Claude backup also failed:', error);
-          // Use Gemini results as fallback
-          finalSpecs = geminiResult.specs;
-          finalConfidence = geminiResult.confidence;
-          source = 'gemini';
+          console.error('Queueing extraction review failed:', error);
         }
-      } else if (geminiResult) {
-        // Gemini was good enough
-        finalSpecs = geminiResult.specs;
-        finalConfidence = geminiResult.confidence;
-        source = 'gemini';
-      } else {
-        // Both failed - return error
-        throw new functions.https.HttpsError(
-          'internal',
-          'Failed to extract club specifications from photos'
-        );
       }
       
-      // 7. CALCULATE OVERALL CONFIDENCE
-      const overallConfidence = calculateOverallConfidence(finalConfidence);
-      
       const processingTime = Date.now() - startTime;
       
-      // 8. SAVE TO FIRESTORE
+      // 10. SAVE TO FIRESTORE
       if (clubId) {
-        await admin.firestore().collection('clubs').doc(clubId).update({
+        await updateClub(admin.firestore(), userId || context.auth.uid, clubId, {
           extractedSpecs: finalSpecs,
           extractionConfidence: finalConfidence,
           extractionSource: source,
@@ -142,26 +135,27 @@ exports.processClubPhotos = functions
           photosProcessed: photosProcessed,
           processingTimeMs: processingTime,
           overallConfidence: overallConfidence,
-          apiCalls: {
-            gemini: geminiCalls,
-            claude: claudeCalls
-          }
+          catalogMatch: catalogMatch ? { ...catalogMatch, matchedAt: new Date().toISOString() } : null,
+          extractionReview: review ? { status: 'pending', review_id: review.reviewId } : null,
+          apiCalls,
+          visionUsage: extraction.visionUsage
         });
       }
       
-      // 9. RETURN RESULT
+      // 11. RETURN RESULT
       return {
         success: true,
         specs: finalSpecs,
         confidence: finalConfidence,
         overallConfidence,
+        catalogMatches: catalogMatch,
+        reviewQueued: !!review,
+        reviewId: review?.reviewId || null,
         source,
         photosProcessed,
         processingTimeMs: processingTime,
-        apiCalls: {
-          gemini: geminiCalls,
-          claude: claudeCalls
-        }
+        apiCalls,
+        visionUsage: extraction.visionUsage
       };
       
     } catch (error) {
@@ -173,6 +167,95 @@ exports.processClubPhotos = functions
     }
   });
 
+// ==========================================
+// EXTRACTION PIPELINE
+// ==========================================
+
+/**
+ * Primary read first, backup read when it struggles
+ * Shared with processBagPhotos, which passes a focus description so each
+ * call only reads one club out of whole-bag photos.
+ *
+ * @param {string[]} encodedPhotos - base64 JPEGs
+ * @param {string} clubType - driver | fairway | hybrid | iron | wedge | putter
+ * @param {string} focus - optional "which club in these photos" description
+ * @returns {Object|null} { specs, confidence, overallConfidence, source, backupFailed, apiCalls, visionUsage }
+ *   null when both tiers failed. source is the provider name ("gemini") or "<provider>_backup".
+ */
+async function extractClubSpecs(encodedPhotos, clubType, focus = null) {
+  const apiCalls = {};
+  const visionUsage = { costUsd: 0, latencyMs: 0 };
+  const account = (attempts) => attempts.filter(a => !a.skipped).forEach(a => {
+    apiCalls[a.provider] = (apiCalls[a.provider] || 0) + 1;
+    visionUsage.costUsd = Math.round((visionUsage.costUsd + a.costUsd) * 100000) / 100000;
+    visionUsage.latencyMs += a.latencyMs;
+  });
+  
+  // PRIMARY READ
+  let primaryResult = null;
+  let primaryProvider = null;
+  
+  try {
+    const run = await runVisionTask(VISION_TASKS.CLUB_SPECS, {
+      prompt: buildExtractionPrompt(clubType, encodedPhotos.length, focus),
+      images: encodedPhotos
+    }, { parse: parseSpecsResponse });
+    account(run.attempts);
+    primaryResult = run.result;
+    primaryProvider = run.provider;
+    console.log(`Primary extraction successful (${primaryProvider})`);
+  } catch (error) {
+    account(error.attempts || []);
+    console.error('Primary extraction failed:', error.message);
+  }
+  
+  // DETERMINE IF BACKUP NEEDED
+  const needsBackup = shouldTriggerBackup(primaryResult, clubType);
+  
+  let finalSpecs, finalConfidence, source;
+  let backupFailed = false;
+  
+  if (needsBackup && primaryResult) {
+    console.log('Triggering backup read - low confidence or missing specs');
+    try {
+      const run = await runVisionTask(VISION_TASKS.CLUB_SPECS_BACKUP, {
+        prompt: buildBackupPrompt(clubType, primaryResult.specs, primaryResult.confidence, encodedPhotos.length, focus),
+        images: encodedPhotos
+      }, { parse: parseSpecsResponse });
+      account(run.attempts);
+      finalSpecs = run.result.specs;
+      finalConfidence = run.result.confidence;
+      source = `${run.provider}_backup`;
+    } catch (error) {
+      account(error.attempts || []);
+      console.error('Backup read also failed:', error.message);
+      // Use the primary read as fallback
+      finalSpecs = primaryResult.specs;
+      finalConfidence = primaryResult.confidence;
+      source = primaryProvider;
+      backupFailed = true;
+    }
+  } else if (primaryResult) {
+    // Primary read was good enough
+    finalSpecs = primaryResult.specs;
+    finalConfidence = primaryResult.confidence;
+    source = primaryProvider;
+  } else {
+    // Both failed
+    return null;
+  }
+  
+  return {
+    specs: finalSpecs,
+    confidence: finalConfidence,
+    overallConfidence: calculateOverallConfidence(finalConfidence),
+    source,
+    backupFailed,
+    apiCalls,
+    visionUsage
+  };
+}
+
 // ==========================================
 // HELPER FUNCTIONS
 // ==========================================
@@ -197,43 +280,13 @@ async function downloadAndEncode(storageUrl) {
 }
 
 /**
- * Call Gemini API for primary extraction
- */
-async function callGeminiAPI(encodedPhotos, clubType) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-  
-  const prompt = buildGeminiPrompt(clubType, encodedPhotos.length);
-  
-  // Build content array
-  const content = [prompt];
-  for (const photoBase64 of encodedPhotos) {
-    content.push({
-      inlineData: {
-        mimeType: 'image/jpeg',
-        data: photoBase64
-      }
-    });
-  }
-  
-  const result = await model.generateContent(content);
-  const response = await result.response;
-  const text = response.text();
-  
-  // Parse JSON
-  const cleaned = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-  const parsed = JSON.parse(cleaned);
-  
-  return parsed;
-}
-
-/**
- * Build Gemini prompt
+ * Build primary extraction prompt
  */
-function buildGeminiPrompt(clubType, photoCount) {
+function buildExtractionPrompt(clubType, photoCount, focus = null) {
   const criticalSpecs = getCriticalSpecs(clubType);
   
   return `You are a golf equipment expert analyzing ${photoCount} photo(s) of a ${clubType}.
-
+${buildFocusSection(focus)}
 CRITICAL SPECIFICATIONS REQUIRED:
 ${criticalSpecs}
 
@@ -245,6 +298,7 @@ RESPOND WITH VALID JSON ONLY (no markdown, no extra text):
   "specs": {
     "brand": "value or null",
     "model": "value or null",
+    "year": "model year if printed or known, or null",
     "loft": "value or null",
     "adjustability": "yes/no or null",
     "shaft_brand": "value or null",
@@ -277,62 +331,22 @@ BE ACCURATE. If you cannot see a specification, mark it as null with low confide
 }
 
 /**
- * Call Claude API as backup
- */
-async function callClaudeAPI(encodedPhotos, clubType, geminiSpecs, geminiConfidence) {
-  const prompt = buildClaudePrompt(clubType, geminiSpecs, geminiConfidence, encodedPhotos.length);
-  
-  // Build content array
-  const content = [];
-  
-  // Add all photos first
-  for (const photoBase64 of encodedPhotos) {
-    content.push({
-      type: 'image',
-      source: {
-        type: 'base64',
-        media_type: 'image/jpeg',
-        data: photoBase64
-      }
-    });
-  }
-  
-  // Add text prompt
-  content.push({
-    type: 'text',
-    text: prompt
-  });
-  
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 1000,
-    messages: [{ role: 'user', content: content }]
-  });
-  
-  const responseText = message.content[0].text;
-  const cleaned = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-  const parsed = JSON.parse(cleaned);
-  
-  return parsed;
-}
-
-/**
- * Build Claude backup prompt
+ * Build backup prompt
  */
-function buildClaudePrompt(clubType, geminiSpecs, geminiConfidence, photoCount) {
+function buildBackupPrompt(clubType, primarySpecs, primaryConfidence, photoCount, focus = null) {
   const criticalSpecs = getCriticalSpecs(clubType);
   
   return `You are reviewing golf club photo analysis that needs verification. A primary AI attempted extraction but confidence was low or specs were missing.
 
 CLUB TYPE: ${clubType}
 PHOTOS: ${photoCount} images attached
-
+${buildFocusSection(focus)}
 CRITICAL SPECS NEEDED:
 ${criticalSpecs}
 
-PREVIOUS EXTRACTION (Gemini):
-Specs: ${JSON.stringify(geminiSpecs, null, 2)}
-Confidence: ${JSON.stringify(geminiConfidence, null, 2)}
+PREVIOUS EXTRACTION (primary read):
+Specs: ${JSON.stringify(primarySpecs, null, 2)}
+Confidence: ${JSON.stringify(primaryConfidence, null, 2)}
 
 YOUR TASK:
 1. Verify or correct the existing specs
@@ -364,6 +378,29 @@ CONFIDENCE GUIDELINES:
 USE YOUR GOLF KNOWLEDGE to fill gaps when reasonable.`;
 }
 
+/**
+ * Model text → { specs, confidence }; a reply without specs counts as a failed read
+ */
+function parseSpecsResponse(text) {
+  const parsed = parseVisionJson(text);
+  if (!parsed || typeof parsed.specs !== 'object' || parsed.specs === null) {
+    throw new Error('Response has no specs');
+  }
+  parsed.confidence = parsed.confidence || {};
+  return parsed;
+}
+
+/**
+ * Whole-bag photos show several clubs - say which one to read
+ */
+function buildFocusSection(focus) {
+  if (!focus) return '';
+  return `
+THESE PHOTOS SHOW SEVERAL CLUBS. Read ONLY this club and ignore the others:
+${focus}
+`;
+}
+
 /**
  * Get critical specs for each club type
  */
@@ -381,13 +418,13 @@ function getCriticalSpecs(clubType) {
 }
 
 /**
- * Determine if Claude backup is needed
+ * Determine if a backup read is needed
  */
-function shouldTriggerClaudeBackup(geminiResult, clubType) {
-  if (!geminiResult) return true;
+function shouldTriggerBackup(primaryResult, clubType) {
+  if (!primaryResult) return true;
   
   // Calculate overall confidence
-  const overallConfidence = calculateOverallConfidence(geminiResult.confidence);
+  const overallConfidence = calculateOverallConfidence(primaryResult.confidence);
   
   if (overallConfidence < 0.60) {
     console.log(`Low overall confidence: ${overallConfidence}`);
@@ -399,13 +436,13 @@ function shouldTriggerClaudeBackup(geminiResult, clubType) {
   const missingSpecs = [];
   
   for (const field of criticalFields) {
-    if (!geminiResult.specs[field]) {
+    if (!primaryResult.specs[field]) {
       missingSpecs.push(field);
     }
   }
   
   // Special case for hybrids - need loft OR number
-  if (clubType === 'hybrid' && !geminiResult.specs.loft && !geminiResult.specs.number) {
+  if (clubType === 'hybrid' && !primaryResult.specs.loft && !primaryResult.specs.number) {
     missingSpecs.push('loft_or_number');
   }
   
@@ -443,3 +480,6 @@ function calculateOverallConfidence(confidenceScores) {
   const sum = values.reduce((a, b) => a + b, 0);
   return sum / values.length;
 }
+
+exports.extractClubSpecs = extractClubSpecs;
+exports.downloadAndEncode = downloadAndEncode;
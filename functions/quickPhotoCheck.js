@@ -4,13 +4,13 @@
  * 
  * CORRECTED VERSION - clubId is OPTIONAL
  * Called BEFORE club document is created
+ *
+ * Runs as the photo_quality vision task (visionProviders.js)
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-const genAI = new GoogleGenerativeAI(functions.config().gemini.api_key);
+const { VISION_TASKS, runVisionTask, parseVisionJson } = require('./visionProviders');
 
 exports.quickPhotoCheck = functions
   .runWith({ 
@@ -59,8 +59,8 @@ exports.quickPhotoCheck = functions
         photoUrls.map(url => downloadAndEncode(url))
       );
       
-      // 3. CALL GEMINI FOR QUICK CHECK
-      const feedback = await callGeminiQuickCheck(
+      // 3. RUN THE QUICK CHECK
+      const { feedback, provider } = await runQuickCheck(
         encodedPhotos,
         photoUrls.length,
         clubType
@@ -96,7 +96,8 @@ exports.quickPhotoCheck = functions
             headPhotoQuality: feedback.headPhoto.quality,
             shaftPhotoQuality: feedback.shaftPhoto.quality,
             photoCount: photoUrls.length,
-            processingTimeMs: processingTime
+            processingTimeMs: processingTime,
+            provider
           });
         } catch (error) {
           console.error('Analytics logging failed (non-critical):', error);
@@ -146,40 +147,25 @@ async function downloadAndEncode(storageUrl) {
   }
 }
 
-// HELPER: Call Gemini API for quick quality check
-async function callGeminiQuickCheck(encodedPhotos, photoCount, clubType) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-  
-  const prompt = buildQuickCheckPrompt(clubType, photoCount);
-  
-  // Build content array with prompt + all photos
-  const content = [prompt];
-  for (const photoBase64 of encodedPhotos) {
-    content.push({
-      inlineData: {
-        mimeType: 'image/jpeg',
-        data: photoBase64
+// HELPER: Run the quick quality check vision task
+async function runQuickCheck(encodedPhotos, photoCount, clubType) {
+  const run = await runVisionTask(VISION_TASKS.PHOTO_QUALITY, {
+    prompt: buildQuickCheckPrompt(clubType, photoCount),
+    images: encodedPhotos
+  }, {
+    parse: (text) => {
+      const parsed = parseVisionJson(text);
+      if (!parsed.headPhoto || !parsed.shaftPhoto) {
+        throw new Error('Invalid quick check response');
       }
-    });
-  }
-  
-  const result = await model.generateContent(content);
-  const response = await result.response;
-  const text = response.text();
-  
-  // Parse JSON response
-  const cleaned = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      return parsed;
+    }
+  });
   
-  try {
-    const parsed = JSON.parse(cleaned);
-    return parsed;
-  } catch (error) {
-    console.error('Failed to parse Gemini response:', text);
-    throw new Error('Invalid JSON response from Gemini');
-  }
+  return { feedback: run.result, provider: run.provider };
 }
 
-// HELPER: Build Gemini prompt for quality check
+// HELPER: Build prompt for quality check
 function buildQuickCheckPrompt(clubType, photoCount) {
   const criticalSpecs = getCriticalSpecs(clubType);
   
@@ -15,6 +15,16 @@ const { onRequest } = require("firebase-functions/v2/https");
 const logger = require("firebase-functions/logger");
 const admin = require("firebase-admin");
 const { sanitizeUserId, sanitizeText } = require("./sanitization");
+const {
+  DEFAULT_GRADING_WEIGHTS,
+  gradeClubs,
+  formatComponentScores,
+  applySwapsToClubs,
+  calculateFactorChanges,
+  generateScenarioSummary
+} = require("./gradingEngine");
+const { resolveGradingWeights } = require("./weightProfiles");
+const { listClubs, getClub, getClubRef } = require("./clubRepository");
 
 // ==========================================
 // CONSTANTS
@@ -24,442 +34,25 @@ const MAX_SWAPS = 7;
 const MAX_SAVED_SCENARIOS = 5;
 const CREDIT_COST = 1;
 
-const DEFAULT_WEIGHTS = {
-  age: 0.20,
-  weight_progression: 0.20,
-  loft_gapping: 0.20,
-  flex_consistency: 0.05,
-  kickpoint_consistency: 0.10,
-  torque_consistency: 0.05,
-  length_progression: 0.10,
-  lie_angle_progression: 0.10
-};
-
-const CLUB_ORDER = {
-  'driver': 1,
-  '3wood': 2, '3-wood': 2,
-  '5wood': 3, '5-wood': 3,
-  '7wood': 4, '7-wood': 4,
-  '2hybrid': 5, '2-hybrid': 5,
-  '3hybrid': 6, '3-hybrid': 6,
-  '4hybrid': 7, '4-hybrid': 7,
-  '5hybrid': 8, '5-hybrid': 8,
-  '6hybrid': 9, '6-hybrid': 9,
-  '2iron': 10, '2-iron': 10,
-  '3iron': 11, '3-iron': 11,
-  '4iron': 12, '4-iron': 12,
-  '5iron': 13, '5-iron': 13,
-  '6iron': 14, '6-iron': 14,
-  '7iron': 15, '7-iron': 15,
-  '8iron': 16, '8-iron': 16,
-  '9iron': 17, '9-iron': 17,
-  'pw': 18, 'pitching wedge': 18,
-  'gw': 19, 'gap wedge': 19, 'aw': 19,
-  'sw': 20, 'sand wedge': 20,
-  'lw': 21, 'lob wedge': 21,
-  'putter': 22
-};
-
-// ==========================================
-// HELPER FUNCTIONS
-// ==========================================
-
-function normalizeClubData(club) {
-  const lieValue = club.lie || club.lie_angle || null;
-  return {
-    ...club,
-    clubType: club.clubType || club.club_type || null,
-    brand: club.brand || club.identification?.brand || null,
-    model: club.model || club.identification?.model || null,
-    year: club.year || club.identification?.year || null,
-    loft: club.loft || null,
-    length: club.length || null,
-    lie: lieValue,
-    shaft_weight: club.shaft?.weight || club.shaft_weight || null,
-    shaft_flex: club.shaft?.flex || club.shaft_flex || null,
-    shaft_kickpoint: club.shaft?.kickpoint || club.shaft_kickpoint || null,
-    shaft_torque: club.shaft?.torque || club.shaft_torque || null,
-    shaft_brand: club.shaft?.brand || club.shaft_brand || null,
-    shaft_model: club.shaft?.model || club.shaft_model || null,
-    is_favorite: club.is_favorite || false,
-    status: club.status || 'active'
-  };
-}
-
-function sortClubsByType(clubs) {
-  return [...clubs].sort((a, b) => {
-    const aType = (a.clubType || '').toLowerCase().replace(/[\s-]/g, '');
-    const bType = (b.clubType || '').toLowerCase().replace(/[\s-]/g, '');
-    return (CLUB_ORDER[aType] || 99) - (CLUB_ORDER[bType] || 99);
-  });
-}
-
-function scoreToGrade(score) {
-  if (score >= 97) return "A+";
-  if (score >= 93) return "A";
-  if (score >= 90) return "A-";
-  if (score >= 87) return "B+";
-  if (score >= 83) return "B";
-  if (score >= 80) return "B-";
-  if (score >= 77) return "C+";
-  if (score >= 73) return "C";
-  if (score >= 70) return "C-";
-  if (score >= 67) return "D+";
-  if (score >= 65) return "D";
-  return "F";
-}
-
-function normalizeFlexValue(flex) {
-  if (!flex) return null;
-  const f = String(flex).toLowerCase().trim();
-  if (f.includes('x') && f.includes('stiff')) return 'X';
-  if (f === 'x' || f === 'extra stiff') return 'X';
-  if (f === 's' || f === 'stiff') return 'S';
-  if (f === 'r' || f === 'regular') return 'R';
-  if (f === 'a' || f === 'senior') return 'A';
-  if (f === 'l' || f === 'ladies') return 'L';
-  return f.toUpperCase();
-}
-
-function normalizeKickpoint(kp) {
-  if (!kp) return null;
-  const k = String(kp).toLowerCase().trim();
-  if (k.includes('low')) return 'low';
-  if (k.includes('mid')) return 'mid';
-  if (k.includes('high')) return 'high';
-  return k;
-}
-
-// ==========================================
-// SCORING FUNCTIONS
-// ==========================================
-
-function calculateAgeScore(clubs) {
-  const currentYear = new Date().getFullYear();
-  let totalScore = 0;
-  let clubsWithYear = 0;
-  const issues = [];
-  
-  clubs.forEach(club => {
-    const year = club.year;
-    if (year && !isNaN(year)) {
-      clubsWithYear++;
-      const age = currentYear - year;
-      let clubScore = Math.max(50, 100 - (age * 5));
-      totalScore += clubScore;
-      if (age > 7) {
-        issues.push(`${club.clubType}: ${age} years old - consider updating`);
-      }
-    }
-  });
-  
-  return {
-    score: clubsWithYear > 0 ? Math.round(totalScore / clubsWithYear) : 75,
-    issues,
-    scorable: clubsWithYear > 0
-  };
-}
-
-function calculateWeightProgression(clubs, favoriteClubSpecs = null) {
-  const clubsWithWeight = clubs.filter(c => c.shaft_weight && c.shaft_weight > 0);
-  const issues = [];
-  
-  if (clubsWithWeight.length < 2) {
-    return { score: 75, issues: [], scorable: false };
-  }
-  
-  const sorted = sortClubsByType(clubsWithWeight);
-  let totalPenalty = 0;
-  
-  for (let i = 1; i < sorted.length; i++) {
-    const prevWeight = sorted[i - 1].shaft_weight;
-    const currWeight = sorted[i].shaft_weight;
-    const gap = currWeight - prevWeight;
-    
-    if (gap < -5) {
-      totalPenalty += Math.abs(gap) * 2;
-      issues.push(`${sorted[i].clubType} shaft (${currWeight}g) lighter than ${sorted[i-1].clubType} (${prevWeight}g)`);
-    } else if (gap > 25) {
-      totalPenalty += (gap - 15);
-      issues.push(`Large weight gap: ${sorted[i-1].clubType} to ${sorted[i].clubType}`);
-    }
-  }
-  
-  return {
-    score: Math.round(Math.max(0, Math.min(100, 100 - totalPenalty))),
-    issues,
-    scorable: true
-  };
-}
-
-function calculateLoftGapping(clubs) {
-  const clubsWithLoft = clubs.filter(c => c.loft && c.loft > 0);
-  const issues = [];
-  
-  if (clubsWithLoft.length < 2) {
-    return { score: 75, issues: [], scorable: false };
-  }
-  
-  const sorted = [...clubsWithLoft].sort((a, b) => a.loft - b.loft);
-  let totalPenalty = 0;
-  
-  for (let i = 1; i < sorted.length; i++) {
-    const gap = sorted[i].loft - sorted[i - 1].loft;
-    if (gap < 2) {
-      totalPenalty += 2;
-    } else if (gap > 6) {
-      totalPenalty += (gap - 4) * 3;
-      issues.push(`Large loft gap: ${sorted[i-1].clubType} (${sorted[i-1].loft}°) to ${sorted[i].clubType} (${sorted[i].loft}°)`);
-    }
-  }
-  
-  return {
-    score: Math.round(Math.max(0, Math.min(100, 100 - totalPenalty))),
-    issues,
-    scorable: true
-  };
-}
-
-function calculateFlexConsistency(clubs) {
-  const flexMap = {};
-  const issues = [];
-  
-  clubs.forEach(club => {
-    const flex = normalizeFlexValue(club.shaft_flex);
-    if (flex) flexMap[flex] = (flexMap[flex] || 0) + 1;
-  });
-  
-  const flexTypes = Object.keys(flexMap);
-  if (flexTypes.length === 0) return { score: 75, issues: [], scorable: false };
-  if (flexTypes.length === 1) return { score: 100, issues: [], scorable: true };
-  
-  let maxCount = Math.max(...Object.values(flexMap));
-  const totalClubs = Object.values(flexMap).reduce((a, b) => a + b, 0);
-  const penalty = (totalClubs - maxCount) * 15;
-  
-  if (flexTypes.length > 1) {
-    issues.push(`Mixed flex: ${flexTypes.length} different flex ratings in bag`);
-  }
-  
-  return {
-    score: Math.round(Math.max(0, 100 - penalty)),
-    issues,
-    scorable: true
-  };
-}
-
-function calculateKickpointConsistency(clubs) {
-  const kpMap = {};
-  const issues = [];
-  
-  clubs.forEach(club => {
-    const kp = normalizeKickpoint(club.shaft_kickpoint);
-    if (kp) kpMap[kp] = (kpMap[kp] || 0) + 1;
-  });
-  
-  const kpTypes = Object.keys(kpMap);
-  if (kpTypes.length === 0) return { score: 75, issues: [], scorable: false };
-  if (kpTypes.length === 1) return { score: 100, issues: [], scorable: true };
-  
-  const penalty = (kpTypes.length - 1) * 20;
-  if (kpTypes.length > 1) issues.push(`Mixed kickpoints: ${kpTypes.join(', ')}`);
-  
-  return {
-    score: Math.round(Math.max(0, 100 - penalty)),
-    issues,
-    scorable: true
-  };
-}
-
-function calculateTorqueConsistency(clubs) {
-  const torqueValues = clubs.filter(c => c.shaft_torque > 0).map(c => c.shaft_torque);
-  
-  if (torqueValues.length < 2) return { score: 75, issues: [], scorable: false };
-  
-  const avg = torqueValues.reduce((a, b) => a + b, 0) / torqueValues.length;
-  const variance = torqueValues.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / torqueValues.length;
-  const stdDev = Math.sqrt(variance);
-  
-  const issues = [];
-  if (stdDev > 1) issues.push(`Torque variation: ${stdDev.toFixed(1)}° std dev`);
-  
-  return {
-    score: Math.round(Math.max(0, Math.min(100, 100 - stdDev * 10))),
-    issues,
-    scorable: true
-  };
-}
-
-function calculateLengthProgression(clubs) {
-  const clubsWithLength = clubs.filter(c => c.length && c.length > 0);
-  const issues = [];
-  
-  if (clubsWithLength.length < 2) return { score: 75, issues: [], scorable: false };
-  
-  const sorted = sortClubsByType(clubsWithLength);
-  let totalPenalty = 0;
-  
-  for (let i = 1; i < sorted.length; i++) {
-    const diff = sorted[i - 1].length - sorted[i].length;
-    if (diff < -0.5) {
-      totalPenalty += Math.abs(diff) * 15;
-      issues.push(`${sorted[i].clubType} longer than ${sorted[i-1].clubType}`);
-    } else if (diff > 1.5) {
-      totalPenalty += (diff - 0.5) * 5;
-    }
-  }
-  
-  return {
-    score: Math.round(Math.max(0, Math.min(100, 100 - totalPenalty))),
-    issues,
-    scorable: true
-  };
-}
-
-function calculateLieAngleProgression(clubs) {
-  const clubsWithLie = clubs.filter(c => c.lie && c.lie > 0);
-  const issues = [];
-  
-  if (clubsWithLie.length < 2) return { score: 75, issues: [], scorable: false };
-  
-  const sorted = sortClubsByType(clubsWithLie);
-  let totalPenalty = 0;
-  
-  for (let i = 1; i < sorted.length; i++) {
-    const diff = sorted[i].lie - sorted[i - 1].lie;
-    if (diff < -1) {
-      totalPenalty += Math.abs(diff) * 5;
-      issues.push(`Lie angle drops: ${sorted[i-1].clubType} to ${sorted[i].clubType}`);
-    }
-  }
-  
-  return {
-    score: Math.round(Math.max(0, Math.min(100, 100 - totalPenalty))),
-    issues,
-    scorable: true
-  };
-}
-
 // ==========================================
 // CORE GRADING FUNCTION
 // ==========================================
 
-function gradeClubsArray(clubs, weights = DEFAULT_WEIGHTS) {
-  const normalizedClubs = clubs.map(club => normalizeClubData(club));
-  const sortedClubs = sortClubsByType(normalizedClubs);
-  
-  const scores = {
-    age: calculateAgeScore(sortedClubs),
-    weight: calculateWeightProgression(sortedClubs),
-    loft: calculateLoftGapping(sortedClubs),
-    flex: calculateFlexConsistency(sortedClubs),
-    kickpoint: calculateKickpointConsistency(sortedClubs),
-    torque: calculateTorqueConsistency(sortedClubs),
-    length: calculateLengthProgression(sortedClubs),
-    lie: calculateLieAngleProgression(sortedClubs)
-  };
-  
-  const overallScore = Math.round(
-    (scores.age.score * weights.age) +
-    (scores.weight.score * weights.weight_progression) +
-    (scores.loft.score * weights.loft_gapping) +
-    (scores.flex.score * weights.flex_consistency) +
-    (scores.kickpoint.score * weights.kickpoint_consistency) +
-    (scores.torque.score * weights.torque_consistency) +
-    (scores.length.score * weights.length_progression) +
-    (scores.lie.score * weights.lie_angle_progression)
-  );
+/**
+ * Grade a clubs array with the shared grading engine (same pipeline as gradeUserBag)
+ */
+function gradeClubsArray(clubs, weights = DEFAULT_GRADING_WEIGHTS) {
+  const result = gradeClubs(clubs, weights);
   
   return {
-    overall_score: overallScore,
-    overall_grade: scoreToGrade(overallScore),
-    component_scores: {
-      age: { score: scores.age.score, grade: scoreToGrade(scores.age.score) },
-      weight_progression: { score: scores.weight.score, grade: scoreToGrade(scores.weight.score) },
-      loft_gapping: { score: scores.loft.score, grade: scoreToGrade(scores.loft.score) },
-      flex_consistency: { score: scores.flex.score, grade: scoreToGrade(scores.flex.score) },
-      kickpoint_consistency: { score: scores.kickpoint.score, grade: scoreToGrade(scores.kickpoint.score) },
-      torque_consistency: { score: scores.torque.score, grade: scoreToGrade(scores.torque.score) },
-      length_progression: { score: scores.length.score, grade: scoreToGrade(scores.length.score) },
-      lie_angle_progression: { score: scores.lie.score, grade: scoreToGrade(scores.lie.score) }
-    },
-    issues: [
-      ...scores.age.issues, ...scores.weight.issues, ...scores.loft.issues,
-      ...scores.flex.issues, ...scores.kickpoint.issues, ...scores.torque.issues,
-      ...scores.length.issues, ...scores.lie.issues
-    ]
+    overall_score: result.overallScore,
+    overall_grade: result.overallGrade,
+    component_scores: formatComponentScores(result.finalScores),
+    issues: result.allIssues,
+    grade_explainer: result.gradeExplainer
   };
 }
 
-function applySwapsToClubs(clubs, swaps) {
-  const virtualClubs = clubs.map(club => ({ ...club }));
-  
-  swaps.forEach(swap => {
-    const index = virtualClubs.findIndex(c => c.id === swap.club_id);
-    if (index !== -1) {
-      const original = virtualClubs[index];
-      virtualClubs[index] = {
-        id: original.id,
-        clubType: swap.replacement.clubType || original.clubType,
-        ...swap.replacement
-      };
-    }
-  });
-  
-  return virtualClubs;
-}
-
-function calculateFactorChanges(current, projected) {
-  const factors = ['age', 'weight_progression', 'loft_gapping', 'flex_consistency',
-    'kickpoint_consistency', 'torque_consistency', 'length_progression', 'lie_angle_progression'];
-  
-  return factors.map(factor => {
-    const fromScore = current.component_scores[factor]?.score || 0;
-    const toScore = projected.component_scores[factor]?.score || 0;
-    let status = 'same';
-    if (toScore > fromScore + 2) status = 'improved';
-    else if (toScore < fromScore - 2) status = 'declined';
-    
-    return {
-      factor,
-      from_score: fromScore,
-      to_score: toScore,
-      from_grade: current.component_scores[factor]?.grade || 'N/A',
-      to_grade: projected.component_scores[factor]?.grade || 'N/A',
-      status
-    };
-  });
-}
-
-function generateScenarioSummary(currentResult, projectedResult, factorChanges) {
-  const scoreDiff = projectedResult.overall_score - currentResult.overall_score;
-  const improved = factorChanges.filter(c => c.status === 'improved');
-  const declined = factorChanges.filter(c => c.status === 'declined');
-  
-  let summary = '';
-  
-  if (scoreDiff > 5) {
-    summary += `Significant improvement (+${scoreDiff} points): ${currentResult.overall_grade} → ${projectedResult.overall_grade}. `;
-  } else if (scoreDiff > 0) {
-    summary += `Modest improvement (+${scoreDiff} points). `;
-  } else if (scoreDiff < -5) {
-    summary += `This would decrease your grade (${scoreDiff} points). Consider a different approach. `;
-  } else if (scoreDiff < 0) {
-    summary += `Slight decrease (${scoreDiff} points). `;
-  } else {
-    summary += `Minimal impact on overall grade. `;
-  }
-  
-  if (improved.length > 0) {
-    summary += `Improved: ${improved.map(f => f.factor.replace(/_/g, ' ')).join(', ')}. `;
-  }
-  if (declined.length > 0) {
-    summary += `Note: ${declined.map(f => f.factor.replace(/_/g, ' ')).join(', ')} would decline. `;
-  }
-  
-  return summary;
-}
-
 // ==========================================
 // CLOUD FUNCTION: runScenario
 // ==========================================
@@ -509,16 +102,13 @@ exports.runScenario = onRequest({
     logger.info(`Running scenario for user ${userId} with ${swaps.length} swap(s)`);
     
     const db = admin.firestore();
-    const clubsSnapshot = await db.collection("users").doc(userId).collection("clubs").get();
+    const clubs = await listClubs(db, userId);
     
-    if (clubsSnapshot.empty) {
+    if (clubs.length === 0) {
       res.status(404).json({ error: 'No clubs found for this user' });
       return;
     }
     
-    const clubs = [];
-    clubsSnapshot.forEach(doc => clubs.push({ id: doc.id, ...doc.data() }));
-    
     // Validate swap club_ids exist
     for (const swap of swaps) {
       if (!clubs.some(c => c.id === swap.club_id)) {
@@ -527,15 +117,9 @@ exports.runScenario = onRequest({
       }
     }
     
-    // Fetch grading weights
-    let gradingWeights = DEFAULT_WEIGHTS;
-    try {
-      const versionsSnapshot = await db.collection("algorithmVersions")
-        .where("status", "==", "active").where("isDefault", "==", true).limit(1).get();
-      if (!versionsSnapshot.empty) {
-        gradingWeights = versionsSnapshot.docs[0].data().config?.gradingWeights || DEFAULT_WEIGHTS;
-      }
-    } catch (e) { logger.warn('Using default weights'); }
+    // Fetch grading weights (client/pro weight profile, else active algorithm version)
+    const profileDoc = await db.collection("users").doc(userId).get();
+    const { gradingWeights, weightProfile } = await resolveGradingWeights(db, userId, profileDoc.exists ? profileDoc.data() : {});
     
     // Grade current and virtual bags
     const currentResult = gradeClubsArray(clubs, gradingWeights);
@@ -562,6 +146,7 @@ exports.runScenario = onRequest({
       },
       factor_changes: factorChanges,
       ai_summary: aiSummary,
+      weight_profile: weightProfile,
       swaps_applied: swaps.length
     });
     
@@ -775,12 +360,10 @@ exports.applyScenario = onRequest({
     }
     
     const db = admin.firestore();
-    const clubsRef = db.collection("users").doc(userId).collection("clubs");
     
     // Verify clubs exist
     for (const swap of swaps) {
-      const clubDoc = await clubsRef.doc(swap.club_id).get();
-      if (!clubDoc.exists) {
+      if (!(await getClub(db, userId, swap.club_id))) {
         res.status(404).json({ error: `Club ${swap.club_id} not found` });
         return;
       }
@@ -792,7 +375,7 @@ exports.applyScenario = onRequest({
     const updateResults = [];
     
     for (const swap of swaps) {
-      const clubRef = clubsRef.doc(swap.club_id);
+      const clubRef = getClubRef(db, userId, swap.club_id);
       const updateData = { updated_at: timestamp, scenario_applied_at: timestamp };
       
       const fieldMap = {
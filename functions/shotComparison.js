@@ -0,0 +1,451 @@
+/**
+ * FitMyGolfClubs Pro - Shot Comparison Engine
+ *
+ * Pure statistics for club-vs-club testing. No Firestore access - callers
+ * load the shots and persist the result.
+ *
+ * - Carry, ball speed and spin-window miss: Welch's t-test (unequal variances)
+ * - Dispersion (offline SD, carry SD without side data): bootstrap interval
+ *   on the difference in standard deviation
+ *
+ * Clubs are ranked on a configurable objective (distance, consistency,
+ * spin_window). The leader is only called the winner when it separates from
+ * the runner-up at the chosen significance level; otherwise the verdict says
+ * there aren't enough shots to tell the clubs apart.
+ *
+ * Date: January 2026
+ */
+
+const { getLaunchWindows } = require("./launchWindows");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const MIN_SHOTS_PER_CLUB = 3;
+const DEFAULT_ALPHA = 0.05;
+const BOOTSTRAP_RESAMPLES = 2000;
+const BOOTSTRAP_SEED = 20260101;     // Fixed seed so the same shots always give the same verdict
+const MAX_SHOTS_NEEDED = 50;         // Beyond this the clubs are effectively the same
+
+// Shot field names vary by source (testing session seed data, launch monitor exports)
+const SHOT_FIELDS = {
+  carry: ['carryDistance', 'carry'],
+  total: ['totalDistance', 'total'],
+  ballSpeed: ['ballSpeed'],
+  clubSpeed: ['clubHeadSpeed', 'clubheadSpeed', 'clubSpeed'],
+  launch: ['launchAngle', 'launch'],
+  spin: ['spinRate', 'spin'],
+  descent: ['landingAngle', 'descentAngle'],
+  height: ['height', 'apex', 'peakHeight'],
+  offline: ['side', 'offline', 'curve']
+};
+
+const OBJECTIVES = {
+  distance: { metric: 'carry', better: 'higher', label: 'carry distance', unit: 'yds', comparative: 'longer than' },
+  consistency: { metric: 'dispersion', better: 'lower', label: 'dispersion', unit: 'yds', comparative: 'tighter than' },
+  spin_window: { metric: 'spinWindow', better: 'lower', label: 'spin window', unit: 'rpm', comparative: 'closer to the window than' }
+};
+
+// ==========================================
+// DISTRIBUTIONS
+// ==========================================
+
+// Lanczos approximation
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let series = 1.000000000190015;
+  coefficients.forEach(c => { series += c / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+function betaContinuedFraction(a, b, x) {
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const FLOOR = 1e-300;
+
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - qab * x / qap;
+  if (Math.abs(d) < FLOOR) d = FLOOR;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FLOOR) d = FLOOR;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FLOOR) c = FLOOR;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FLOOR) d = FLOOR;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FLOOR) c = FLOOR;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+}
+
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Two-sided p-value for Student's t
+ */
+function studentTPValue(t, df) {
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Critical t for a two-sided interval (bisection on the p-value)
+ */
+function studentTCritical(df, alpha) {
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTPValue(mid, df) > alpha) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Deterministic PRNG for the bootstrap (mulberry32)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ==========================================
+// DESCRIPTIVE STATS
+// ==========================================
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Sample standard deviation (n - 1)
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+function readShotValue(shot, metric) {
+  for (const field of SHOT_FIELDS[metric]) {
+    const value = shot[field];
+    if (typeof value === 'number' && !isNaN(value)) return value;
+  }
+  return null;
+}
+
+function metricValues(shots, metric) {
+  return shots.map(shot => readShotValue(shot, metric)).filter(v => v !== null);
+}
+
+function describe(values) {
+  return values.length === 0 ? null : { n: values.length, mean: mean(values), sd: stdDev(values) };
+}
+
+/**
+ * Spin window for a club type at the golfer's club speed (launchWindows.js)
+ */
+function getSpinWindow(clubType, clubSpeed = null) {
+  return getLaunchWindows(clubType, clubSpeed)?.windows.spinRate || null;
+}
+
+/**
+ * rpm outside the window per shot (0 inside it)
+ */
+function spinWindowMisses(shots, window) {
+  return metricValues(shots, 'spin').map(spin =>
+    spin < window.min ? window.min - spin : spin > window.max ? spin - window.max : 0
+  );
+}
+
+/**
+ * Per-metric summary for one club's shots
+ */
+function summarizeClubShots(shots, { spinWindow = null, dispersionMetric = 'offline' } = {}) {
+  const summary = {
+    shotCount: shots.length,
+    carry: describe(metricValues(shots, 'carry')),
+    total: describe(metricValues(shots, 'total')),
+    ballSpeed: describe(metricValues(shots, 'ballSpeed')),
+    clubSpeed: describe(metricValues(shots, 'clubSpeed')),
+    launch: describe(metricValues(shots, 'launch')),
+    spin: describe(metricValues(shots, 'spin')),
+    descent: describe(metricValues(shots, 'descent')),
+    height: describe(metricValues(shots, 'height')),
+    offline: describe(metricValues(shots, 'offline')),
+    spinWindow: spinWindow ? describe(spinWindowMisses(shots, spinWindow)) : null
+  };
+  summary.dispersion = summary[dispersionMetric]
+    ? { n: summary[dispersionMetric].n, value: summary[dispersionMetric].sd, basis: dispersionMetric }
+    : null;
+  return summary;
+}
+
+// ==========================================
+// TESTS
+// ==========================================
+
+/**
+ * Welch's t-test on the difference in means (a - b)
+ */
+function welchTest(a, b, alpha = DEFAULT_ALPHA) {
+  const varianceA = a.sd ** 2 / a.n;
+  const varianceB = b.sd ** 2 / b.n;
+  const standardError = Math.sqrt(varianceA + varianceB);
+  const diff = a.mean - b.mean;
+
+  if (standardError === 0) {
+    return { method: 'welch', diff, standardError: 0, t: null, df: null, pValue: diff === 0 ? 1 : 0, ci: [diff, diff] };
+  }
+
+  const df = (varianceA + varianceB) ** 2 /
+    (varianceA ** 2 / (a.n - 1) + varianceB ** 2 / (b.n - 1));
+  const t = diff / standardError;
+  const margin = studentTCritical(df, alpha) * standardError;
+
+  return {
+    method: 'welch',
+    diff,
+    standardError,
+    t,
+    df,
+    pValue: studentTPValue(Math.abs(t), df),
+    ci: [diff - margin, diff + margin]
+  };
+}
+
+/**
+ * Bootstrap interval on SD(a) - SD(b)
+ */
+function bootstrapSpreadTest(valuesA, valuesB, alpha = DEFAULT_ALPHA) {
+  const random = seededRandom(BOOTSTRAP_SEED);
+  const resample = values => values.map(() => values[Math.floor(random() * values.length)]);
+
+  const diffs = [];
+  for (let i = 0; i < BOOTSTRAP_RESAMPLES; i++) {
+    diffs.push(stdDev(resample(valuesA)) - stdDev(resample(valuesB)));
+  }
+  diffs.sort((x, y) => x - y);
+
+  const lowIndex = Math.floor(BOOTSTRAP_RESAMPLES * alpha / 2);
+  const highIndex = Math.ceil(BOOTSTRAP_RESAMPLES * (1 - alpha / 2)) - 1;
+  const below = diffs.filter(d => d <= 0).length / BOOTSTRAP_RESAMPLES;
+  const above = diffs.filter(d => d >= 0).length / BOOTSTRAP_RESAMPLES;
+
+  return {
+    method: 'bootstrap',
+    diff: stdDev(valuesA) - stdDev(valuesB),
+    pValue: Math.min(1, 2 * Math.min(below, above)),
+    ci: [diffs[lowIndex], diffs[highIndex]]
+  };
+}
+
+/**
+ * Leader vs another club on one metric
+ */
+function testMetric(metric, leader, other, alpha) {
+  if (metric === 'dispersion') {
+    const basis = leader.summary.dispersion?.basis;
+    const valuesA = basis ? metricValues(leader.shots, basis) : [];
+    const valuesB = basis ? metricValues(other.shots, basis) : [];
+    if (valuesA.length < MIN_SHOTS_PER_CLUB || valuesB.length < MIN_SHOTS_PER_CLUB) return null;
+    return { ...bootstrapSpreadTest(valuesA, valuesB, alpha), basis };
+  }
+
+  const a = leader.summary[metric];
+  const b = other.summary[metric];
+  if (!a || !b || a.n < MIN_SHOTS_PER_CLUB || b.n < MIN_SHOTS_PER_CLUB) return null;
+  return welchTest(a, b, alpha);
+}
+
+/**
+ * Shots per club needed to detect this difference (two-sided alpha 0.05, 80% power)
+ */
+function estimateShotsNeeded(diff, sdA, sdB) {
+  if (!diff) return null;
+  const pooledVariance = (sdA ** 2 + sdB ** 2) / 2;
+  return Math.ceil(2 * (1.96 + 0.84) ** 2 * pooledVariance / diff ** 2);
+}
+
+function formatValue(value, unit) {
+  return `${Math.abs(value).toFixed(unit === 'rpm' ? 0 : 1)} ${unit}`;
+}
+
+function formatPValue(pValue) {
+  return pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`;
+}
+
+// ==========================================
+// COMPARISON
+// ==========================================
+
+/**
+ * Rank clubs on an objective and decide whether the leader is a real winner
+ *
+ * @param {Array} clubs - [{ clubId, label, shots }]
+ * @param {Object} options - { objective, clubType, spinWindow: { min, max }, alpha }
+ * @returns {Object} {
+ *   objective, alpha, verdict: 'clear_winner'|'inconclusive'|'insufficient_shots',
+ *   winnerClubId, message, shotsNeeded, spinWindow, dispersionBasis,
+ *   ranking: [{ clubId, label, rank, estimate, shots }],
+ *   summaries: { [clubId]: summary },
+ *   tests: { carry: [], ballSpeed: [], dispersion: [], spinWindow: [] }   // leader vs each other club
+ * }
+ */
+function compareClubShots(clubs, options = {}) {
+  const objectiveKey = options.objective || 'distance';
+  const objective = OBJECTIVES[objectiveKey];
+  if (!objective) {
+    throw new Error(`Unknown objective: ${objectiveKey}`);
+  }
+  const alpha = options.alpha || DEFAULT_ALPHA;
+  const spinWindow = options.spinWindow ||
+    getSpinWindow(options.clubType, mean(clubs.flatMap(club => metricValues(club.shots, 'clubSpeed'))));
+
+  // Side data from every club, otherwise fall back to carry spread
+  const dispersionMetric = clubs.every(club => metricValues(club.shots, 'offline').length >= MIN_SHOTS_PER_CLUB)
+    ? 'offline'
+    : 'carry';
+
+  const entries = clubs.map(club => ({
+    ...club,
+    summary: summarizeClubShots(club.shots, { spinWindow, dispersionMetric })
+  }));
+
+  const objectiveValue = entry => objective.metric === 'dispersion'
+    ? entry.summary.dispersion?.value ?? null
+    : entry.summary[objective.metric]?.mean ?? null;
+
+  const ranked = entries
+    .filter(entry => objectiveValue(entry) !== null)
+    .sort((x, y) => objective.better === 'higher'
+      ? objectiveValue(y) - objectiveValue(x)
+      : objectiveValue(x) - objectiveValue(y));
+
+  const result = {
+    objective: objectiveKey,
+    alpha,
+    spinWindow,
+    dispersionBasis: dispersionMetric,
+    ranking: ranked.map((entry, i) => ({
+      clubId: entry.clubId,
+      label: entry.label,
+      rank: i + 1,
+      estimate: objectiveValue(entry),
+      shots: entry.summary.shotCount
+    })),
+    summaries: Object.fromEntries(entries.map(entry => [entry.clubId, entry.summary])),
+    tests: { carry: [], ballSpeed: [], dispersion: [], spinWindow: [] },
+    winnerClubId: null,
+    shotsNeeded: null
+  };
+
+  if (objectiveKey === 'spin_window' && !spinWindow) {
+    return {
+      ...result,
+      verdict: 'insufficient_shots',
+      message: `No spin window for ${options.clubType || 'this club type'} - pass spinWindow { min, max }`
+    };
+  }
+
+  const shortClubs = entries.filter(entry => entry.summary.shotCount < MIN_SHOTS_PER_CLUB ||
+    (objective.metric === 'dispersion' ? entry.summary.dispersion : entry.summary[objective.metric])?.n < MIN_SHOTS_PER_CLUB);
+  if (ranked.length < 2 || shortClubs.length > 0 || ranked.length < entries.length) {
+    const short = shortClubs.map(entry => `${entry.label} has ${entry.summary.shotCount}`).join(', ');
+    return {
+      ...result,
+      verdict: 'insufficient_shots',
+      message: `Not enough shots to separate these clubs - hit at least ${MIN_SHOTS_PER_CLUB} with each` +
+        (short ? ` (${short})` : '')
+    };
+  }
+
+  const [leader, runnerUp] = ranked;
+  ranked.slice(1).forEach(other => {
+    Object.keys(result.tests).forEach(metric => {
+      const test = testMetric(metric, leader, other, alpha);
+      if (test) {
+        result.tests[metric].push({
+          clubId: leader.clubId,
+          versus: other.clubId,
+          ...test,
+          significant: test.pValue < alpha
+        });
+      }
+    });
+  });
+
+  const decidingTest = result.tests[objective.metric].find(test => test.versus === runnerUp.clubId);
+  const gap = objectiveValue(leader) - objectiveValue(runnerUp);
+
+  if (decidingTest?.significant) {
+    return {
+      ...result,
+      verdict: 'clear_winner',
+      winnerClubId: leader.clubId,
+      message: `${leader.label} wins on ${objective.label}: ${formatValue(gap, objective.unit)} ` +
+        `${objective.comparative} ${runnerUp.label} (${formatPValue(decidingTest.pValue)})`
+    };
+  }
+
+  const sdOf = entry => objective.metric === 'dispersion'
+    ? null
+    : entry.summary[objective.metric].sd;
+  const shotsNeeded = objective.metric === 'dispersion' ? null : estimateShotsNeeded(gap, sdOf(leader), sdOf(runnerUp));
+
+  return {
+    ...result,
+    verdict: 'inconclusive',
+    shotsNeeded,
+    message: `Not enough shots to separate these clubs on ${objective.label} ` +
+      `(${formatValue(gap, objective.unit)} apart, ${decidingTest ? formatPValue(decidingTest.pValue) : 'untested'})` +
+      (shotsNeeded === null ? '' : shotsNeeded > MAX_SHOTS_NEEDED
+        ? ' - at this gap they perform the same'
+        : ` - about ${shotsNeeded} shots each would settle it`)
+  };
+}
+
+module.exports = {
+  OBJECTIVES,
+  MIN_SHOTS_PER_CLUB,
+  getSpinWindow,
+  summarizeClubShots,
+  welchTest,
+  bootstrapSpreadTest,
+  studentTPValue,
+  compareClubShots
+};
@@ -0,0 +1,426 @@
+/**
+ * FitMyGolfClubs Pro - Photo Spec Catalog Matching
+ *
+ * processClubPhotos stores whatever the vision model read off the club
+ * (brand "TITLEIST", model "T200 '23", shaft "Tensei AV Blue 65 S") as raw
+ * extractedSpecs. This fuzzy-matches that text against the clubHeadSpecs and
+ * shaftSpecDatabase catalogs ClubSelector uses, so the club opens pre-filled
+ * with catalog loft, lie, length and stock shaft instead of being retyped.
+ *
+ * Candidates are stored on the club doc:
+ *
+ *   users/{id}/clubs/{clubId}.catalogMatch = { heads: [...], shafts: [...], bestMatch, matchedAt }
+ *
+ * - matchClubPhotoSpecs: Candidates for a club's extractedSpecs (or specs passed in)
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { getClub, updateClub } = require("./clubRepository");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const CATALOG_CACHE_MS = 10 * 60 * 1000;
+const DEFAULT_CANDIDATES = 3;
+const MAX_CANDIDATES = 10;
+const MIN_MATCH_SCORE = 0.4;
+
+// Component weights; components that can't be compared (no year read) drop out
+const HEAD_WEIGHTS = { brand: 0.35, model: 0.45, year: 0.1, clubType: 0.1 };
+const SHAFT_WEIGHTS = { brand: 0.3, model: 0.45, flex: 0.15, weight: 0.1 };
+
+// Spellings the vision models return that normalization alone doesn't fix
+const BRAND_ALIASES = {
+  tm: 'taylormade',
+  callawaygolf: 'callaway',
+  pinggolf: 'ping',
+  cobragolf: 'cobra',
+  clevelandgolf: 'cleveland',
+  ustmamiya: 'ust',
+  nipponshaft: 'nippon',
+  mitsubishichemical: 'mitsubishi',
+  mitsubishirayon: 'mitsubishi'
+};
+
+// Photo processing uses categories; the catalog is keyed by club type
+const FAIRWAY_NUMBER_BY_LOFT = [[16, 3], [19, 5], [22, 7], [99, 9]];
+const HYBRID_NUMBER_BY_LOFT = [[19, 2], [21, 3], [24, 4], [27, 5], [30, 6], [99, 7]];
+
+// ==========================================
+// CATALOG
+// ==========================================
+
+let catalogCache = null;
+let catalogLoadedAt = 0;
+
+/**
+ * clubHeadSpecs + shaftSpecDatabase, cached per instance
+ */
+async function loadSpecCatalog(db) {
+  if (catalogCache && Date.now() - catalogLoadedAt < CATALOG_CACHE_MS) {
+    return catalogCache;
+  }
+
+  const [headsSnapshot, shaftsSnapshot] = await Promise.all([
+    db.collection('clubHeadSpecs').get(),
+    db.collection('shaftSpecDatabase').get()
+  ]);
+
+  catalogCache = {
+    heads: headsSnapshot.docs.map(doc => ({ docId: doc.id, ...doc.data() })),
+    shafts: shaftsSnapshot.docs.map(doc => ({ docId: doc.id, ...doc.data() }))
+  };
+  catalogLoadedAt = Date.now();
+  return catalogCache;
+}
+
+/**
+ * Convert a club type to the clubHeadSpecs.clubs key ("7-Iron" → "7i", "3-Wood" → "3W")
+ * Mirrors getClubKey() in club-selector.js
+ */
+function getClubSpecKey(clubType) {
+  if (!clubType) return null;
+  const t = clubType.toLowerCase();
+
+  if (t === 'driver') return 'Driver';
+  if (t.includes('wood') || t.includes('hybrid') || t.includes('iron')) {
+    const num = t.match(/\d+/);
+    if (!num) return t;
+    if (t.includes('wood')) return num[0] + 'W';
+    if (t.includes('hybrid')) return num[0] + 'H';
+    return num[0] + 'i';
+  }
+  if (['pw', 'gw', 'aw', 'sw', 'lw'].includes(t)) return t.toUpperCase();
+
+  return clubType;
+}
+
+/**
+ * Club type from a photo category plus the number/loft read off the head
+ * ("iron" + "7" → "7-Iron", "wedge" + 56° → "56°", "fairway" + 15° → "3-Wood",
+ * "hybrid" + 22° → "4-Hybrid")
+ * Club types that are already specific pass through.
+ */
+function resolveClubType(clubType, specs = {}) {
+  const type = String(clubType || '').toLowerCase();
+  const number = String(specs.number || '').trim().toUpperCase();
+  const numeric = parseInt(number, 10);
+  const loft = parseFloat(specs.loft);
+
+  switch (type) {
+    case 'driver':
+      return 'Driver';
+    case 'putter':
+      return 'Putter';
+    case 'fairway': {
+      const woodNumber = numeric || (loft ? FAIRWAY_NUMBER_BY_LOFT.find(([maxLoft]) => loft < maxLoft)[1] : null);
+      return woodNumber ? `${woodNumber}-Wood` : null;
+    }
+    case 'hybrid': {
+      const hybridNumber = numeric || (loft ? HYBRID_NUMBER_BY_LOFT.find(([maxLoft]) => loft < maxLoft)[1] : null);
+      return hybridNumber ? `${hybridNumber}-Hybrid` : null;
+    }
+    case 'iron':
+      if (/^(P|PW)$/.test(number)) return 'PW';
+      return numeric >= 2 && numeric <= 9 ? `${numeric}-Iron` : null;
+    case 'wedge':
+      if (/^(PW|GW|AW|SW|LW)$/.test(number)) return number;
+      if (loft || numeric >= 44) return `${Math.round(loft || numeric)}°`;
+      return null;
+    default:
+      return clubType || null;
+  }
+}
+
+// ==========================================
+// SIMILARITY
+// ==========================================
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function tokens(text) {
+  return normalize(text).split(' ').filter(Boolean);
+}
+
+function normalizeBrand(brand) {
+  const compact = normalize(brand).replace(/ /g, '');
+  return BRAND_ALIASES[compact] || compact;
+}
+
+// Dice coefficient on character bigrams
+function bigramSimilarity(a, b) {
+  const x = normalize(a).replace(/ /g, '');
+  const y = normalize(b).replace(/ /g, '');
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const gram = x.slice(i, i + 2);
+    bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const gram = y.slice(i, i + 2);
+    if (bigrams.get(gram) > 0) {
+      bigrams.set(gram, bigrams.get(gram) - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (x.length + y.length - 2);
+}
+
+function brandSimilarity(extracted, catalog) {
+  const a = normalizeBrand(extracted);
+  const b = normalizeBrand(catalog);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  // "Mitsubishi" vs "Mitsubishi Chemical", "Vokey" vs "Titleist Vokey"
+  if (Math.min(a.length, b.length) >= 3 && (a.includes(b) || b.includes(a))) return 0.9;
+  return bigramSimilarity(a, b);
+}
+
+/**
+ * Model similarity: the better of character similarity and the share of the
+ * catalog model's words found in what was read ("T200" in "T200 23")
+ */
+function modelSimilarity(extracted, catalog) {
+  const catalogTokens = tokens(catalog);
+  if (catalogTokens.length === 0 || !normalize(extracted)) return 0;
+
+  const extractedTokens = new Set(tokens(extracted));
+  const coverage = catalogTokens.filter(token => extractedTokens.has(token)).length / catalogTokens.length;
+  // Every catalog word found inside a longer reading is strong but not certain
+  const coverageScore = coverage === 1 && extractedTokens.size > catalogTokens.length ? 0.95 : coverage;
+  return Math.max(bigramSimilarity(extracted, catalog), coverageScore);
+}
+
+// "2023", "'23" (and a bare "23" in the year field) → 2023
+function parseYear(value, allowBareTwoDigit = false) {
+  const text = String(value || '');
+  const match = text.match(/\b((?:19|20)\d{2})\b/) ||
+    text.match(/['’](\d{2})\b/) ||
+    (allowBareTwoDigit ? text.match(/^\s*(\d{2})\s*$/) : null);
+  if (!match) return null;
+  const year = parseInt(match[1].length === 2 ? '20' + match[1] : match[1], 10);
+  return year >= 1990 && year <= 2040 ? year : null;
+}
+
+function normalizeFlex(flex) {
+  const text = normalize(flex).replace(/ /g, '');
+  const flexes = { stiff: 'S', regular: 'R', senior: 'A', ladies: 'L', xstiff: 'X', extrastiff: 'X', tourx: 'TX' };
+  return flexes[text] || text.toUpperCase() || null;
+}
+
+// Weighted mean over the components that could be compared
+function weightedScore(components, weights) {
+  let total = 0;
+  let weightSum = 0;
+  for (const [name, value] of Object.entries(components)) {
+    if (value === null) continue;
+    total += value * weights[name];
+    weightSum += weights[name];
+  }
+  return weightSum > 0 ? Math.round(total / weightSum * 100) / 100 : 0;
+}
+
+// ==========================================
+// MATCHING
+// ==========================================
+
+/**
+ * Rank catalog club heads and shafts against photo-extracted specs
+ *
+ * @param {Object} specs - extractedSpecs (brand, model, year, number, loft, shaft_brand, shaft_model, shaft_flex, shaft_weight)
+ * @param {Object} catalog - loadSpecCatalog() result
+ * @param {Object} options - { clubType: "7-Iron" | photo category, limit }
+ * @returns {Object} {
+ *   clubType,
+ *   heads: [{ clubHeadSpecId, brand, model, year, type, score, components, specs: { loft, lie, length }, stockShaft }],
+ *   shafts: [{ shaftId, brand, model, flex, weight, kickPoint, score, components }],
+ *   bestMatch: { clubHeadSpecId, shaftId, useStockShaft, score } | null
+ * }
+ */
+function matchSpecsToCatalog(specs, catalog, { clubType = null, limit = DEFAULT_CANDIDATES } = {}) {
+  const resolvedType = resolveClubType(clubType, specs);
+  const clubKey = getClubSpecKey(resolvedType);
+  const year = parseYear(specs.year, true) || parseYear(specs.model);
+  const shaftById = Object.fromEntries(catalog.shafts.map(shaft => [shaft.docId, shaft]));
+
+  const heads = [];
+  if (specs.brand || specs.model) {
+    catalog.heads.forEach(head => {
+      const components = {
+        brand: specs.brand ? brandSimilarity(specs.brand, head.brand) : null,
+        model: specs.model ? modelSimilarity(specs.model, head.model) : null,
+        year: year && head.year ? Math.max(0, 1 - Math.abs(year - head.year) / 2) : null,
+        clubType: clubKey && head.clubs ? (head.clubs[clubKey] ? 1 : 0) : null
+      };
+      // A different brand is a different club, however close the model name
+      if (components.brand !== null && components.brand < 0.6) return;
+
+      const score = weightedScore(components, HEAD_WEIGHTS);
+      if (score < MIN_MATCH_SCORE) return;
+
+      const clubSpecs = clubKey ? head.clubs?.[clubKey] : null;
+      const stockRef = (head.stockShaftRefs || []).find(ref => ref.isDefault) || (head.stockShaftRefs || [])[0];
+      const stockShaft = stockRef ? shaftById[stockRef.shaftId] : null;
+      heads.push({
+        clubHeadSpecId: head.docId,
+        brand: head.brand || null,
+        model: head.model || null,
+        year: head.year || null,
+        type: head.type || null,
+        score,
+        components,
+        specs: clubSpecs ? { loft: clubSpecs.loft ?? null, lie: clubSpecs.lie ?? null, length: clubSpecs.length ?? null } : null,
+        stockShaft: stockShaft ? {
+          shaftId: stockShaft.docId,
+          brand: stockShaft.brand || null,
+          model: stockShaft.model || null,
+          flex: stockShaft.flex || null,
+          weight: stockShaft.weight || null
+        } : null
+      });
+    });
+  }
+
+  const shafts = [];
+  if (specs.shaft_brand || specs.shaft_model) {
+    const flex = specs.shaft_flex ? normalizeFlex(specs.shaft_flex) : null;
+    const weight = parseFloat(specs.shaft_weight) || parseFloat(String(specs.shaft_model || '').match(/\b([4-9]\d|1[0-3]\d)\b/)?.[1]) || null;
+
+    catalog.shafts.forEach(shaft => {
+      const components = {
+        brand: specs.shaft_brand ? brandSimilarity(specs.shaft_brand, shaft.brand) : null,
+        model: specs.shaft_model ? modelSimilarity(specs.shaft_model, shaft.model) : null,
+        flex: flex && shaft.flex ? (normalizeFlex(shaft.flex) === flex ? 1 : 0) : null,
+        weight: weight && shaft.weight ? Math.max(0, 1 - Math.abs(weight - shaft.weight) / 15) : null
+      };
+      if (components.brand !== null && components.brand < 0.6) return;
+
+      const score = weightedScore(components, SHAFT_WEIGHTS);
+      if (score < MIN_MATCH_SCORE) return;
+
+      shafts.push({
+        shaftId: shaft.docId,
+        brand: shaft.brand || null,
+        model: shaft.model || null,
+        flex: shaft.flex || null,
+        weight: shaft.weight || null,
+        kickPoint: shaft.kickPoint || null,
+        score,
+        components
+      });
+    });
+  }
+
+  const byScore = (a, b) => b.score - a.score || (b.year || 0) - (a.year || 0);
+  heads.sort(byScore);
+  shafts.sort(byScore);
+  const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_CANDIDATES, 1), MAX_CANDIDATES);
+
+  // Best head; its stock shaft unless a different shaft was clearly read
+  const bestHead = heads[0] || null;
+  const bestShaft = shafts[0] || null;
+  const useStockShaft = !bestShaft || bestShaft.shaftId === bestHead?.stockShaft?.shaftId;
+
+  return {
+    clubType: resolvedType,
+    heads: heads.slice(0, count),
+    shafts: shafts.slice(0, count),
+    bestMatch: bestHead ? {
+      clubHeadSpecId: bestHead.clubHeadSpecId,
+      shaftId: useStockShaft ? bestHead.stockShaft?.shaftId || null : bestShaft.shaftId,
+      useStockShaft,
+      score: bestHead.score
+    } : null
+  };
+}
+
+/**
+ * Load the catalog and match - used by processClubPhotos and matchClubPhotoSpecs
+ */
+async function matchExtractedSpecs(db, specs, options = {}) {
+  const catalog = await loadSpecCatalog(db);
+  return matchSpecsToCatalog(specs || {}, catalog, options);
+}
+
+// ==========================================
+// CLOUD FUNCTION: matchClubPhotoSpecs
+// ==========================================
+
+/**
+ * request.data:
+ * {
+ *   clientId: "client_uid",     // optional - omit for your own bag
+ *   clubId: "club_doc_id",      // match the club's stored extractedSpecs (result saved as catalogMatch)
+ *   specs: { brand, model, ... },   // or match specs directly
+ *   clubType: "7-Iron",         // optional with clubId
+ *   limit: 3
+ * }
+ */
+exports.matchClubPhotoSpecs = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const callerId = request.auth.uid;
+  const data = request.data || {};
+  const clubId = data.clubId ? sanitizeText(data.clubId, 128) : null;
+  if (!clubId && (!data.specs || typeof data.specs !== 'object')) {
+    throw new HttpsError('invalid-argument', 'clubId or specs required');
+  }
+
+  const db = admin.firestore();
+  const clientId = data.clientId ? sanitizeText(data.clientId, 128) : callerId;
+  const clientDoc = await db.collection("users").doc(clientId).get();
+  if (!clientDoc.exists) {
+    throw new HttpsError('not-found', 'User not found');
+  }
+
+  const clientData = clientDoc.data();
+  if (clientId !== callerId && (clientData.pro_id || clientData.proManagedInfo?.proUserId) !== callerId) {
+    throw new HttpsError('permission-denied', 'You do not manage this client');
+  }
+
+  let specs = data.specs;
+  let clubType = data.clubType ? sanitizeText(data.clubType, 50) : null;
+  if (clubId) {
+    const club = await getClub(db, clientId, clubId, { userData: clientData });
+    if (!club) {
+      throw new HttpsError('not-found', 'Club not found');
+    }
+    if (!club.extractedSpecs) {
+      throw new HttpsError('failed-precondition', 'Club has no photo-extracted specs');
+    }
+    specs = club.extractedSpecs;
+    clubType = clubType || club.clubType || null;
+  }
+
+  const matches = await matchExtractedSpecs(db, specs, { clubType, limit: data.limit });
+
+  if (clubId) {
+    await updateClub(db, clientId, clubId, {
+      catalogMatch: { ...matches, matchedAt: new Date().toISOString() }
+    });
+  }
+
+  logger.info(`Catalog match for ${clientId}${clubId ? '/' + clubId : ''}: ${matches.heads.length} heads, ${matches.shafts.length} shafts, best ${matches.bestMatch?.score ?? 'none'}`);
+
+  return { success: true, clientId, clubId, ...matches };
+});
+
+exports.getClubSpecKey = getClubSpecKey;
+exports.resolveClubType = resolveClubType;
+exports.matchSpecsToCatalog = matchSpecsToCatalog;
+exports.matchExtractedSpecs = matchExtractedSpecs;
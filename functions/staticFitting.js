@@ -0,0 +1,82 @@
+/**
+ * FitMyGolfClubs Pro - Static Fitting Report
+ *
+ * Standalone static fit from the Golfer Profile measurements (height_inches,
+ * wrist_to_floor) and grip fit. Returns a spec sheet per club - recommended
+ * length, lie starting point and grip size - alongside the clubs' current
+ * specs, flagging where they deviate (buildStaticFitSpecSheet in gradingEngine.js).
+ *
+ * Unlike body fit grading this does not need use_body_baseline turned on and
+ * does not touch the bag grade.
+ * - getStaticFitReport: Spec sheet for yourself or a client
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { listClubs } = require("./clubRepository");
+const { normalizeClubData, buildStaticFitSpecSheet } = require("./gradingEngine");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+// Same accepted ranges as the body fit baseline (inches)
+const HEIGHT_RANGE = [54, 84];
+const WRIST_TO_FLOOR_RANGE = [25, 45];
+
+// ==========================================
+// CLOUD FUNCTION: getStaticFitReport
+// ==========================================
+
+/**
+ * request.data: { clientId: "client_uid" }   // optional - omit for your own bag
+ */
+exports.getStaticFitReport = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const callerId = request.auth.uid;
+  const clientId = request.data?.clientId ? sanitizeText(request.data.clientId, 128) : callerId;
+
+  const db = admin.firestore();
+  const clientDoc = await db.collection("users").doc(clientId).get();
+  if (!clientDoc.exists) {
+    throw new HttpsError('not-found', 'User not found');
+  }
+
+  const clientData = clientDoc.data();
+  if (clientId !== callerId && (clientData.pro_id || clientData.proManagedInfo?.proUserId) !== callerId) {
+    throw new HttpsError('permission-denied', 'You do not manage this client');
+  }
+
+  const heightInches = Number(clientData.height_inches);
+  const wristToFloor = Number(clientData.wrist_to_floor);
+  if (!heightInches || !wristToFloor) {
+    throw new HttpsError('failed-precondition', 'Height and wrist-to-floor are required for a static fit');
+  }
+  if (heightInches < HEIGHT_RANGE[0] || heightInches > HEIGHT_RANGE[1] ||
+      wristToFloor < WRIST_TO_FLOOR_RANGE[0] || wristToFloor > WRIST_TO_FLOOR_RANGE[1]) {
+    throw new HttpsError('failed-precondition', 'Height or wrist-to-floor is out of range - check the Golfer Profile');
+  }
+
+  const clubs = await listClubs(db, clientId, { userData: clientData });
+  const specSheet = buildStaticFitSpecSheet(clubs.map(club => normalizeClubData(club)), {
+    heightInches,
+    wristToFloor,
+    gripFit: clientData.grip_fit || null
+  });
+
+  logger.info(`Static fit for ${clientId}: ${specSheet.lengthAdjustment}" length, ${specSheet.lieAdjustment}° lie, ${specSheet.deviations} clubs off spec`);
+
+  return {
+    success: true,
+    clientId,
+    clientName: clientData.display_name || clientData.name || null,
+    ...specSheet
+  };
+});
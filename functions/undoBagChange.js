@@ -12,8 +12,8 @@
  * 
  * Input:
  * {
- *   userId: "user_xyz",
- *   changeId: "change_abc123"
+ *   changeId: "change_abc123",
+ *   clientId: "user_xyz"        // optional - a pro undoing a change on a client's bag
  * }
  * 
  * Output:
@@ -27,7 +27,8 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const axios = require('axios');
+const { gradeBagInProcess } = require('./bagGradeRunner');
+const { ensureClubsMigrated, getClub, archiveClub, restoreClub } = require('./clubRepository');
 
 // Note: admin.initializeApp() is called in index.js
 
@@ -40,8 +41,22 @@ exports.undoBagChange = functions.https.onCall(async (data, context) => {
     );
   }
 
-  const userId = context.auth.uid;
   const db = admin.firestore();
+  let userId = context.auth.uid;
+
+  // Pros can undo changes they applied to a client's bag
+  if (data.clientId && data.clientId !== context.auth.uid) {
+    const clientDoc = await db.collection('users').doc(String(data.clientId)).get();
+    const clientData = clientDoc.data();
+    const proId = clientData?.pro_id || clientData?.proManagedInfo?.proUserId;
+    if (!clientDoc.exists || proId !== context.auth.uid) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'You do not manage this client'
+      );
+    }
+    userId = clientDoc.id;
+  }
 
   // 2. Validate required fields
   const { changeId } = data;
@@ -94,71 +109,42 @@ exports.undoBagChange = functions.https.onCall(async (data, context) => {
 
     console.log('Validation passed. Proceeding with undo...');
 
-    // 5. Restore archived clubs (clubs that were removed)
+    // 5-6. Restore removed clubs and archive added clubs
     const clubsToRestore = changeData.clubsRemoved || [];
-    
+    const clubsToArchive = changeData.clubsAdded || [];
+
+    // Changes recorded against the legacy top-level clubs collection refer to
+    // clubs that have since been folded into users/{userId}/clubs (same ids)
+    if (changeData.clubStorage !== 'user_subcollection') {
+      await ensureClubsMigrated(db, userId);
+    }
+
+    const batch = db.batch();
+
     for (const clubSummary of clubsToRestore) {
-      const clubId = clubSummary.clubId;
-      
-      // Get archived club data
-      const archivedDoc = await db.collection('users').doc(userId)
-        .collection('archivedClubs').doc(clubId).get();
-      
-      if (archivedDoc.exists) {
-        const archivedData = archivedDoc.data();
-        
-        // Restore club to active status
-        await db.collection('clubs').doc(clubId).update({
-          status: 'active',
-          archivedAt: null,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        console.log(`Restored club: ${clubId}`);
+      if (await restoreClub(batch, db, userId, clubSummary.clubId)) {
+        console.log(`Restored club: ${clubSummary.clubId}`);
       }
     }
 
-    // 6. Archive newly added clubs (clubs that were added in the original change)
-    const clubsToArchive = changeData.clubsAdded || [];
-    
     for (const clubSummary of clubsToArchive) {
-      const clubId = clubSummary.clubId;
-      
-      // Get current club data
-      const clubDoc = await db.collection('clubs').doc(clubId).get();
-      
-      if (clubDoc.exists) {
-        const clubData = clubDoc.data();
-        
-        // Calculate time in bag
-        const addedAt = clubData.addedToBagAt || clubData.createdAt;
-        const timeInBag = calculateTimeInBag(addedAt);
-        
-        // Move to archived
-        await db.collection('users').doc(userId)
-          .collection('archivedClubs').doc(clubId).set({
-            ...clubData,
-            archivedAt: admin.firestore.FieldValue.serverTimestamp(),
-            archivedReason: 'undone_change',
-            changeHistoryId: changeId,
-            timeInBag: timeInBag,
-            canRestore: false
-          });
-        
-        // Update original club status
-        await db.collection('clubs').doc(clubId).update({
-          status: 'archived',
-          archivedAt: admin.firestore.FieldValue.serverTimestamp()
+      const club = await getClub(db, userId, clubSummary.clubId);
+      if (club) {
+        archiveClub(batch, db, userId, club, {
+          archivedReason: 'undone_change',
+          changeHistoryId: changeId,
+          canRestore: false
         });
-        
-        console.log(`Archived club: ${clubId}`);
+        console.log(`Archived club: ${clubSummary.clubId}`);
       }
     }
 
+    await batch.commit();
+
     console.log('Clubs restored and archived. Triggering regrade...');
 
     // 7. Trigger bag re-grade
-    const restoredGrade = await callGradeUserBag(userId);
+    const restoredGrade = await callGradeUserBag(userId, context.auth.uid);
     
     console.log(`Restored grade: ${restoredGrade.letterGrade} (${restoredGrade.overallScore})`);
 
@@ -204,43 +190,20 @@ exports.undoBagChange = functions.https.onCall(async (data, context) => {
 // ============================================
 
 /**
- * Calls the gradeUserBag function to get bag analysis
+ * Regrade the bag in-process (part of this change - no extra credit)
+ * @returns {Object} { overallScore, letterGrade, analysisId, analysis }
  */
-async function callGradeUserBag(userId) {
+async function callGradeUserBag(userId, actorId) {
   try {
-    const FUNCTION_URL = 'https://gradeuserbag-o4ujhnliya-uc.a.run.app';
-    
-    const response = await axios.post(FUNCTION_URL, {
-      userId: userId
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-
-    return response.data;
+    const result = await gradeBagInProcess(userId, { actorId: actorId, chargeCredits: false });
+    return {
+      overallScore: result.analysis?.overall_score ?? null,
+      letterGrade: result.analysis?.overall_grade || null,
+      analysisId: result.analysisId || null,
+      analysis: result.analysis || null
+    };
   } catch (error) {
-    console.error('Error calling gradeUserBag:', error);
+    console.error('Error grading bag:', error);
     throw new Error('Failed to grade bag');
   }
 }
-
-/**
- * Calculate time a club has been in the bag
- */
-function calculateTimeInBag(addedDate) {
-  if (!addedDate) return 'Unknown';
-  
-  const now = new Date();
-  const added = addedDate.toDate ? addedDate.toDate() : new Date(addedDate);
-  const diffTime = Math.abs(now - added);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  
-  const months = Math.floor(diffDays / 30);
-  const days = diffDays % 30;
-  
-  if (months === 0) {
-    return `${days} days`;
-  }
-  return `${months} months ${days} days`;
-}
@@ -39,7 +39,8 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const axios = require('axios');
+const { gradeBagInProcess } = require('./bagGradeRunner');
+const { listClubs, getClub, addClub, archiveClub } = require('./clubRepository');
 
 // Note: admin.initializeApp() is called in index.js
 
@@ -75,18 +76,10 @@ exports.updateBagAfterTest = functions.https.onCall(async (data, context) => {
   try {
     // 3. Get current bag state and grade BEFORE changes
     console.log('Getting current bag state...');
-    const currentBagSnapshot = await db.collection('clubs')
-      .where('userId', '==', userId)
-      .where('status', '==', 'active')
-      .get();
-
-    const currentClubs = [];
-    currentBagSnapshot.forEach(doc => {
-      currentClubs.push({ id: doc.id, ...doc.data() });
-    });
+    const currentClubs = await listClubs(db, userId);
 
     // Get current grade by calling gradeUserBag
-    const currentGradeResponse = await callGradeUserBag(userId);
+    const currentGradeResponse = await callGradeUserBag(userId, context.auth.uid);
     const currentBagGrade = currentGradeResponse;
 
     console.log(`Current bag grade: ${currentBagGrade.letterGrade} (${currentBagGrade.overallScore})`);
@@ -112,107 +105,72 @@ exports.updateBagAfterTest = functions.https.onCall(async (data, context) => {
       clubsToRemove = [losingClubId];
       
       // Get winning club data to clone
-      const winningClubDoc = await db.collection('clubs').doc(winningClubId).get();
-      if (!winningClubDoc.exists) {
+      const winningClub = await getClub(db, userId, winningClubId, { includeLegacy: true });
+      if (!winningClub) {
         throw new functions.https.HttpsError('not-found', 'Winning club not found');
       }
       
-      clubsToAdd = [winningClubDoc.data()];
+      clubsToAdd = [winningClub];
       
     } else if (replacementType === 'set_replacement') {
       // Set replacement - need to determine full set
-      clubsToRemove = await determineSetToRemove(db, userId, setConfig, losingClubId);
-      clubsToAdd = await generateSetClubs(setConfig, winningClubId, db);
+      clubsToRemove = determineSetToRemove(currentClubs, setConfig, losingClubId);
+      clubsToAdd = await generateSetClubs(setConfig, winningClubId, db, userId);
     }
 
     console.log(`Removing ${clubsToRemove.length} clubs, adding ${clubsToAdd.length} clubs`);
 
-    // 6. Archive clubs being removed (move to archivedClubs)
+    // 6-7. Archive clubs being removed and add new clubs (users/{userId}/clubs)
+    const changeId = `change_${Date.now()}`;
+    const batch = db.batch();
+
+    const removedClubSummaries = [];
     for (const clubId of clubsToRemove) {
-      const clubDoc = await db.collection('clubs').doc(clubId).get();
-      if (clubDoc.exists) {
-        const clubData = clubDoc.data();
-        
-        // Calculate time in bag
-        const addedAt = clubData.addedToBagAt || clubData.createdAt;
-        const timeInBag = calculateTimeInBag(addedAt);
-        
-        // Create archived club document
-        await db.collection('users').doc(userId)
-          .collection('archivedClubs').doc(clubId).set({
-            ...clubData,
-            archivedAt: admin.firestore.FieldValue.serverTimestamp(),
-            archivedReason: 'replaced_in_testing',
-            replacedBy: winningClubId,
-            changeHistoryId: null, // Will update after creating history doc
-            finalGrade: clubData.finalGrade || null,
-            timeInBag: timeInBag,
-            canRestore: true
-          });
-
-        // Update original club status to archived
-        await db.collection('clubs').doc(clubId).update({
-          status: 'archived',
-          archivedAt: admin.firestore.FieldValue.serverTimestamp()
+      const club = currentClubs.find(c => c.id === clubId);
+      if (club) {
+        const archived = archiveClub(batch, db, userId, club, {
+          archivedReason: 'replaced_in_testing',
+          replacedBy: winningClubId,
+          changeHistoryId: changeId,
+          canRestore: true
+        });
+        removedClubSummaries.push({
+          clubId: clubId,
+          brand: club.brand || null,
+          model: club.model || null,
+          type: club.clubType || null,
+          year: club.year || null,
+          finalGrade: archived.finalGrade,
+          timeInBag: archived.timeInBag
         });
       }
     }
 
-    console.log('Clubs archived successfully');
-
-    // 7. Add new clubs to bag
-    const addedClubIds = [];
-    for (const newClubData of clubsToAdd) {
-      const newClubRef = await db.collection('clubs').add({
-        userId: userId,
-        ...newClubData,
-        status: 'active',
-        addedToBagAt: admin.firestore.FieldValue.serverTimestamp(),
-        source: 'performance_test',
-        testSessionId: sessionId,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-      addedClubIds.push(newClubRef.id);
-    }
+    const addedClubIds = clubsToAdd.map(newClubData => addClub(batch, db, userId, {
+      ...newClubData,
+      addedToBagAt: admin.firestore.FieldValue.serverTimestamp(),
+      source: 'performance_test',
+      testSessionId: sessionId,
+      created_at: admin.firestore.FieldValue.serverTimestamp()
+    }));
 
-    console.log(`Added ${addedClubIds.length} new clubs`);
+    await batch.commit();
+    console.log(`Archived ${removedClubSummaries.length} clubs, added ${addedClubIds.length} new clubs`);
 
     // 8. Trigger bag re-grade
     console.log('Triggering bag regrade...');
-    const newBagGrade = await callGradeUserBag(userId);
+    const newBagGrade = await callGradeUserBag(userId, context.auth.uid);
     console.log(`New bag grade: ${newBagGrade.letterGrade} (${newBagGrade.overallScore})`);
 
     // 9. Create change history document
-    const changeId = `change_${Date.now()}`;
     const undoExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
-    // Get club summaries for history
-    const removedClubSummaries = await Promise.all(
-      clubsToRemove.map(async (clubId) => {
-        const archivedDoc = await db.collection('users').doc(userId)
-          .collection('archivedClubs').doc(clubId).get();
-        if (archivedDoc.exists) {
-          const data = archivedDoc.data();
-          return {
-            clubId: clubId,
-            brand: data.identification?.brand || data.brand,
-            model: data.identification?.model || data.model,
-            type: data.identification?.clubType || data.club_type,
-            year: data.identification?.year || data.year_purchased,
-            finalGrade: data.finalGrade,
-            timeInBag: data.timeInBag
-          };
-        }
-        return null;
-      })
-    );
-
     const addedClubSummaries = clubsToAdd.map((club, index) => ({
       clubId: addedClubIds[index],
-      brand: club.identification?.brand || club.brand,
-      model: club.identification?.model || club.model,
-      type: club.identification?.clubType || club.club_type,
-      year: club.identification?.year || club.year_purchased,
+      brand: club.brand || null,
+      model: club.model || null,
+      type: club.clubType || null,
+      year: club.year || null,
       finalGrade: null // Will be updated after first grading
     }));
 
@@ -230,8 +188,9 @@ exports.updateBagAfterTest = functions.https.onCall(async (data, context) => {
         testSessionId: sessionId,
         isSetReplacement: (replacementType === 'set_replacement'),
         setType: setConfig?.setType || null,
+        clubStorage: 'user_subcollection',
         clubsAdded: addedClubSummaries,
-        clubsRemoved: removedClubSummaries.filter(c => c !== null),
+        clubsRemoved: removedClubSummaries,
         gradeImpact: {
           beforeBagGrade: currentBagGrade.overallScore,
           afterBagGrade: newBagGrade.overallScore,
@@ -247,14 +206,6 @@ exports.updateBagAfterTest = functions.https.onCall(async (data, context) => {
         undoneAt: null
       });
 
-    // Update archived clubs with changeHistoryId
-    for (const clubId of clubsToRemove) {
-      await db.collection('users').doc(userId)
-        .collection('archivedClubs').doc(clubId).update({
-          changeHistoryId: changeId
-        });
-    }
-
     console.log(`Change history created: ${changeId}`);
 
     // 10. Return results
@@ -262,8 +213,8 @@ exports.updateBagAfterTest = functions.https.onCall(async (data, context) => {
       success: true,
       newGrade: newBagGrade,
       changeId: changeId,
-      clubsAdded: clubsToAdd.length,
-      clubsRemoved: clubsToRemove.length,
+      clubsAdded: addedClubIds.length,
+      clubsRemoved: removedClubSummaries.length,
       improvement: newBagGrade.overallScore - currentBagGrade.overallScore,
       improvementLetter: `${currentBagGrade.letterGrade} → ${newBagGrade.letterGrade}`
     };
@@ -282,48 +233,24 @@ exports.updateBagAfterTest = functions.https.onCall(async (data, context) => {
 // ============================================
 
 /**
- * Calls the gradeUserBag function to get bag analysis
+ * Regrade the bag in-process (part of this change - no extra credit)
+ * @returns {Object} { overallScore, letterGrade, analysisId, analysis }
  */
-async function callGradeUserBag(userId) {
+async function callGradeUserBag(userId, actorId) {
   try {
-    // Call the existing gradeUserBag Cloud Function
-    const FUNCTION_URL = 'https://gradeuserbag-o4ujhnliya-uc.a.run.app';
-    
-    const response = await axios.post(FUNCTION_URL, {
-      userId: userId
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-
-    return response.data;
+    const result = await gradeBagInProcess(userId, { actorId: actorId, chargeCredits: false });
+    return {
+      overallScore: result.analysis?.overall_score ?? null,
+      letterGrade: result.analysis?.overall_grade || null,
+      analysisId: result.analysisId || null,
+      analysis: result.analysis || null
+    };
   } catch (error) {
-    console.error('Error calling gradeUserBag:', error);
+    console.error('Error grading bag:', error);
     throw new Error('Failed to grade bag');
   }
 }
 
-/**
- * Calculate time a club has been in the bag
- */
-function calculateTimeInBag(addedDate) {
-  if (!addedDate) return 'Unknown';
-  
-  const now = new Date();
-  const added = addedDate.toDate ? addedDate.toDate() : new Date(addedDate);
-  const diffTime = Math.abs(now - added);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  
-  const months = Math.floor(diffDays / 30);
-  const days = diffDays % 30;
-  
-  if (months === 0) {
-    return `${days} days`;
-  }
-  return `${months} months ${days} days`;
-}
-
 /**
  * Calculate category-level impacts between two bag grades
  */
@@ -358,89 +285,48 @@ function calculateCategoryImpacts(beforeGrade, afterGrade) {
 /**
  * Determine which clubs in a set should be removed
  */
-async function determineSetToRemove(db, userId, setConfig, losingClubId) {
-  const clubsToRemove = [];
-  
-  // Get the losing club to understand the set
-  const losingClubDoc = await db.collection('clubs').doc(losingClubId).get();
-  if (!losingClubDoc.exists) {
+function determineSetToRemove(currentClubs, setConfig, losingClubId) {
+  // The losing club must be in the bag to replace its set
+  if (!currentClubs.some(club => club.id === losingClubId)) {
     throw new Error('Losing club not found');
   }
   
-  const losingClubData = losingClubDoc.data();
-  const losingClubType = losingClubData.identification?.clubType || losingClubData.club_type;
-  
   if (setConfig.setType === 'irons') {
     // For irons, remove all irons in the specified range
     const startNum = getIronNumber(setConfig.startClub);
     const endNum = getIronNumber(setConfig.endClub);
     
-    // Get all user's clubs
-    const userClubsSnapshot = await db.collection('clubs')
-      .where('userId', '==', userId)
-      .where('status', '==', 'active')
-      .get();
-    
-    userClubsSnapshot.forEach(doc => {
-      const clubData = doc.data();
-      const clubType = clubData.identification?.clubType || clubData.club_type;
-      const ironNum = getIronNumber(clubType);
-      
-      if (ironNum && ironNum >= startNum && ironNum <= endNum) {
-        clubsToRemove.push(doc.id);
-      }
-    });
+    return currentClubs
+      .filter(club => {
+        const ironNum = getIronNumber(club.clubType || '');
+        return ironNum && ironNum >= startNum && ironNum <= endNum;
+      })
+      .map(club => club.id);
     
   } else if (setConfig.setType === 'wedges') {
     // For wedges, remove all wedges
-    const userClubsSnapshot = await db.collection('clubs')
-      .where('userId', '==', userId)
-      .where('status', '==', 'active')
-      .get();
-    
-    userClubsSnapshot.forEach(doc => {
-      const clubData = doc.data();
-      const clubType = clubData.identification?.clubType || clubData.club_type;
-      
-      if (isWedge(clubType)) {
-        clubsToRemove.push(doc.id);
-      }
-    });
+    return currentClubs.filter(club => isWedge(club.clubType || '')).map(club => club.id);
     
   } else if (setConfig.setType === 'woods') {
     // For woods, remove all woods
-    const userClubsSnapshot = await db.collection('clubs')
-      .where('userId', '==', userId)
-      .where('status', '==', 'active')
-      .get();
-    
-    userClubsSnapshot.forEach(doc => {
-      const clubData = doc.data();
-      const clubType = clubData.identification?.clubType || clubData.club_type;
-      
-      if (isWood(clubType)) {
-        clubsToRemove.push(doc.id);
-      }
-    });
+    return currentClubs.filter(club => isWood(club.clubType || '')).map(club => club.id);
   }
   
-  return clubsToRemove;
+  return [];
 }
 
 /**
  * Generate club data for a full set
  */
-async function generateSetClubs(setConfig, winningClubId, db) {
+async function generateSetClubs(setConfig, winningClubId, db, userId) {
   const generatedClubs = [];
   
   // Get winning club as template
-  const winningClubDoc = await db.collection('clubs').doc(winningClubId).get();
-  if (!winningClubDoc.exists) {
+  const templateClub = await getClub(db, userId, winningClubId, { includeLegacy: true });
+  if (!templateClub) {
     throw new Error('Winning club not found');
   }
   
-  const templateClub = winningClubDoc.data();
-  
   if (setConfig.setType === 'irons') {
     // Generate iron set
     const startNum = getIronNumber(setConfig.startClub);
@@ -451,14 +337,10 @@ async function generateSetClubs(setConfig, winningClubId, db) {
       const specs = getStandardIronSpecs(ironNum);
       
       generatedClubs.push({
-        identification: {
-          clubType: clubType,
-          brand: setConfig.brand,
-          model: setConfig.model,
-          year: setConfig.year,
-          aiConfidence: 1.0,
-          userConfirmed: true
-        },
+        clubType: clubType,
+        brand: setConfig.brand,
+        model: setConfig.model,
+        year: setConfig.year,
         loft: specs.loft,
         lie: specs.lie,
         length: specs.length,
@@ -467,11 +349,7 @@ async function generateSetClubs(setConfig, winningClubId, db) {
         shaft_brand: templateClub.shaft_brand || setConfig.brand,
         shaft_model: templateClub.shaft_model || 'Stock',
         shaft_kickpoint: templateClub.shaft_kickpoint || 'mid',
-        shaft_torque: templateClub.shaft_torque || 3.5,
-        club_type: clubType,
-        brand: setConfig.brand,
-        model: setConfig.model,
-        year_purchased: setConfig.year
+        shaft_torque: templateClub.shaft_torque || 3.5
       });
     }
     
@@ -486,25 +364,17 @@ async function generateSetClubs(setConfig, winningClubId, db) {
     
     for (const wedge of wedgeTypes) {
       generatedClubs.push({
-        identification: {
-          clubType: wedge.type,
-          brand: setConfig.brand,
-          model: setConfig.model,
-          year: setConfig.year,
-          aiConfidence: 1.0,
-          userConfirmed: true
-        },
+        clubType: wedge.type,
+        brand: setConfig.brand,
+        model: setConfig.model,
+        year: setConfig.year,
         loft: wedge.loft,
         lie: wedge.lie,
         length: 35.5,
         shaft_weight: 120,
         shaft_flex: templateClub.shaft_flex || 'W',
         shaft_brand: templateClub.shaft_brand || setConfig.brand,
-        shaft_model: templateClub.shaft_model || 'Stock',
-        club_type: wedge.type,
-        brand: setConfig.brand,
-        model: setConfig.model,
-        year_purchased: setConfig.year
+        shaft_model: templateClub.shaft_model || 'Stock'
       });
     }
   }
@@ -0,0 +1,103 @@
+/**
+ * FitMyGolfClubs Pro - Built-in Vision Fixtures
+ *
+ * Stub responses for the fixture vision provider (VISION_PROVIDER=fixture),
+ * one per vision task, in the shape each prompt asks the model for. OCR
+ * tasks return the raw screen text the parsers in extractLaunchMonitorData
+ * expect from Cloud Vision.
+ *
+ * Date: January 2026
+ */
+
+const DEFAULT_VISION_FIXTURES = {
+  club_specs: {
+    specs: {
+      brand: "Titleist",
+      model: "T200",
+      year: "2023",
+      loft: null,
+      adjustability: "no",
+      shaft_brand: "True Temper",
+      shaft_model: "AMT Black",
+      shaft_flex: "S",
+      shaft_weight: "105",
+      bounce: null,
+      number: "7",
+      lie: null,
+      shaft_torque: null,
+      shaft_kickpoint: null
+    },
+    confidence: {
+      brand: 0.95,
+      model: 0.9,
+      number: 0.95,
+      shaft_brand: 0.85,
+      shaft_model: 0.8,
+      shaft_flex: 0.8,
+      shaft_weight: 0.7
+    },
+    notes: "Fixture response"
+  },
+
+  club_specs_backup: {
+    specs: {
+      brand: "Titleist",
+      model: "T200",
+      year: "2023",
+      loft: "30",
+      shaft_brand: "True Temper",
+      shaft_model: "AMT Black",
+      shaft_flex: "S",
+      shaft_weight: "105",
+      number: "7"
+    },
+    confidence: {
+      brand: 0.95,
+      model: 0.9,
+      loft: 0.6,
+      number: 0.95,
+      shaft_brand: 0.9,
+      shaft_model: 0.85,
+      shaft_flex: 0.85,
+      shaft_weight: 0.75
+    },
+    corrections: [],
+    notes: "Fixture backup response"
+  },
+
+  photo_quality: {
+    headPhoto: {
+      quality: 0.85,
+      canReadBrand: true,
+      canReadModel: true,
+      canReadLoft: true,
+      issues: [],
+      suggestions: []
+    },
+    shaftPhoto: {
+      quality: 0.7,
+      canReadBrand: true,
+      canReadFlex: true,
+      canReadWeight: false,
+      issues: ["weight_not_visible"],
+      suggestions: ["Rotate the shaft so the weight band faces the camera"]
+    }
+  },
+
+  bag_inventory: {
+    clubs: [
+      { head_shape: "driver", stamp: "10.5°", loft_stamp: "10.5", brand_hint: "Titleist", head_photos: [1], shaft_photos: [], position: "photo 1, left", confidence: 0.9 },
+      { head_shape: "iron", stamp: "7", loft_stamp: null, brand_hint: "Titleist", head_photos: [1], shaft_photos: [], position: "photo 1, right", confidence: 0.85 }
+    ],
+    notes: "Fixture response"
+  },
+
+  launch_monitor_ocr: [
+    "TRACKMAN",
+    "SHOT ANALYSIS",
+    "ORDER CARRY TOTAL SPIN RATE CLUB SPEED BALL SPEED SMASH FAC. CLUB PATH FACE ANG. ATTACK ANG. HEIGHT LAUNCH ANG.",
+    "AVG 168.2 176.5 6412 84.1 116.3 1.38 1.2 -0.8 -3.9 88 17.6"
+  ].join("\n")
+};
+
+module.exports = { DEFAULT_VISION_FIXTURES };
@@ -0,0 +1,466 @@
+/**
+ * FitMyGolfClubs Pro - Vision Providers
+ *
+ * processClubPhotos, quickPhotoCheck, processBagPhotos and
+ * extractLaunchMonitorData run their model calls as vision tasks instead of
+ * calling Gemini, Claude or Cloud Vision directly. Each task has a provider
+ * fallback order; the next provider is tried when one is unavailable or
+ * fails.
+ *
+ * Retarget without code edits:
+ * - VISION_PROVIDER=fixture|none forces every task onto one provider
+ * - VISION_PROVIDERS_<TASK>=claude,gemini sets a task's order (e.g. VISION_PROVIDERS_CLUB_SPECS)
+ * - VISION_GEMINI_MODEL / VISION_CLAUDE_MODEL override the model
+ * - VISION_FIXTURES_FILE: recorded responses for the fixture provider
+ *
+ * Providers share one shape:
+ *   { name, capabilities, isAvailable(), unavailableReason(), estimateCost(imageCount),
+ *     generateJson({ prompt, images, maxTokens }) → text,
+ *     detectText({ image }) → { fullText, blocks } }
+ *
+ * Every call is costed and timed; totals go to visionUsage/{YYYY-MM-DD} per
+ * provider and per task.
+ *
+ * Date: January 2026
+ */
+
+const fs = require("fs");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const { hashPrompt } = require("./aiProvider");
+const { DEFAULT_VISION_FIXTURES } = require("./visionFixtures");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const VISION_TASKS = {
+  CLUB_SPECS: 'club_specs',
+  CLUB_SPECS_BACKUP: 'club_specs_backup',
+  PHOTO_QUALITY: 'photo_quality',
+  BAG_INVENTORY: 'bag_inventory',
+  LAUNCH_MONITOR_OCR: 'launch_monitor_ocr'
+};
+
+// JSON tasks return model text; OCR tasks return { fullText, blocks }
+const TASK_KINDS = {
+  club_specs: 'json',
+  club_specs_backup: 'json',
+  photo_quality: 'json',
+  bag_inventory: 'json',
+  launch_monitor_ocr: 'text'
+};
+
+const DEFAULT_PROVIDER_ORDER = {
+  club_specs: ['gemini'],
+  club_specs_backup: ['claude'],
+  photo_quality: ['gemini'],
+  bag_inventory: ['gemini'],
+  launch_monitor_ocr: ['cloud_vision', 'gemini']
+};
+
+// Estimated USD per call: base + per image (list prices, typical prompt sizes)
+const PROVIDER_COSTS = {
+  gemini: { perCall: 0.0004, perImage: 0.0003 },
+  claude: { perCall: 0.006, perImage: 0.0048 },
+  cloud_vision: { perCall: 0.0015, perImage: 0 },
+  fixture: { perCall: 0, perImage: 0 },
+  none: { perCall: 0, perImage: 0 }
+};
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash-exp';
+const DEFAULT_CLAUDE_MODEL = 'claude-sonnet-4-20250514';
+
+// ==========================================
+// KEYS
+// ==========================================
+
+/**
+ * Environment variable first, then legacy functions.config() (gemini.api_key etc.)
+ */
+function readKey(envNames, configPath) {
+  for (const name of envNames) {
+    if (process.env[name]) return process.env[name];
+  }
+  try {
+    const config = require("firebase-functions").config();
+    return configPath.reduce((value, key) => value?.[key], config) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function estimateCost(providerName, imageCount) {
+  const cost = PROVIDER_COSTS[providerName] || PROVIDER_COSTS.none;
+  return Math.round((cost.perCall + cost.perImage * imageCount) * 100000) / 100000;
+}
+
+// ==========================================
+// GEMINI PROVIDER
+// ==========================================
+
+function createGeminiProvider() {
+  const apiKey = readKey(['GEMINI_API_KEY'], ['gemini', 'api_key']);
+  let client = null;
+
+  async function generate(prompt, images) {
+    if (!client) {
+      const { GoogleGenerativeAI } = require('@google/generative-ai');
+      client = new GoogleGenerativeAI(apiKey);
+    }
+    const model = client.getGenerativeModel({ model: process.env.VISION_GEMINI_MODEL || DEFAULT_GEMINI_MODEL });
+
+    const content = [prompt];
+    for (const photoBase64 of images) {
+      content.push({ inlineData: { mimeType: 'image/jpeg', data: photoBase64 } });
+    }
+    const result = await model.generateContent(content);
+    const response = await result.response;
+    return response.text();
+  }
+
+  return {
+    name: 'gemini',
+    capabilities: ['json', 'text'],
+    isAvailable: () => !!apiKey,
+    unavailableReason: () => (apiKey ? null : 'GEMINI_API_KEY is not set'),
+    estimateCost: (imageCount) => estimateCost('gemini', imageCount),
+
+    generateJson: ({ prompt, images = [] }) => generate(prompt, images),
+
+    async detectText({ image }) {
+      if (!image.base64) {
+        throw new Error('Gemini OCR needs image content, not a URL');
+      }
+      const fullText = await generate(
+        'Transcribe ALL text visible on this screen exactly as shown, one row or label per line, keeping numbers and signs. Plain text only.',
+        [image.base64]
+      );
+      return { fullText: fullText.trim(), blocks: [] };
+    }
+  };
+}
+
+// ==========================================
+// CLAUDE PROVIDER
+// ==========================================
+
+function createClaudeProvider() {
+  const apiKey = readKey(['ANTHROPIC_API_KEY', 'CLAUDE_API_KEY'], ['claude', 'api_key']);
+  let client = null;
+
+  return {
+    name: 'claude',
+    capabilities: ['json'],
+    isAvailable: () => !!apiKey,
+    unavailableReason: () => (apiKey ? null : 'ANTHROPIC_API_KEY is not set'),
+    estimateCost: (imageCount) => estimateCost('claude', imageCount),
+
+    async generateJson({ prompt, images = [], maxTokens = 1000 }) {
+      if (!client) {
+        const Anthropic = require('@anthropic-ai/sdk');
+        client = new Anthropic({ apiKey });
+      }
+
+      // Photos first, then the prompt
+      const content = images.map(photoBase64 => ({
+        type: 'image',
+        source: { type: 'base64', media_type: 'image/jpeg', data: photoBase64 }
+      }));
+      content.push({ type: 'text', text: prompt });
+
+      const message = await client.messages.create({
+        model: process.env.VISION_CLAUDE_MODEL || DEFAULT_CLAUDE_MODEL,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content }]
+      });
+      return message.content[0].text;
+    },
+
+    async detectText() {
+      throw new Error('Claude provider does not do OCR');
+    }
+  };
+}
+
+// ==========================================
+// CLOUD VISION PROVIDER
+// ==========================================
+
+function createCloudVisionProvider() {
+  let client = null;
+
+  return {
+    name: 'cloud_vision',
+    capabilities: ['text'],
+    // Application default credentials - no key to check
+    isAvailable: () => true,
+    unavailableReason: () => null,
+    estimateCost: (imageCount) => estimateCost('cloud_vision', imageCount),
+
+    async generateJson() {
+      throw new Error('Cloud Vision provider only does OCR');
+    },
+
+    async detectText({ image }) {
+      if (!client) {
+        const vision = require('@google-cloud/vision');
+        client = new vision.ImageAnnotatorClient();
+      }
+      const request = image.base64
+        ? { image: { content: Buffer.from(image.base64, 'base64') } }
+        : { image: { source: { imageUri: image.uri } } };
+
+      const [result] = await client.textDetection(request);
+      if (!result.textAnnotations || result.textAnnotations.length === 0) {
+        return { fullText: '', blocks: [] };
+      }
+      return {
+        fullText: result.textAnnotations[0].description,
+        blocks: result.textAnnotations.slice(1)
+      };
+    }
+  };
+}
+
+// ==========================================
+// FIXTURE PROVIDER
+// ==========================================
+
+let recordedFixtures = null;
+
+/**
+ * Recorded responses file: { "<task>": ..., "<task>:<hash>": ... }
+ * The hash is hashPrompt() of the prompt (JSON tasks) or of the image
+ * base64/URL (OCR tasks); a hash-specific entry wins over the task-wide one
+ */
+function loadRecordedFixtures() {
+  const fixturePath = process.env.VISION_FIXTURES_FILE;
+  if (!fixturePath) return {};
+  if (recordedFixtures && recordedFixtures.path === fixturePath) return recordedFixtures.responses;
+
+  let responses = {};
+  try {
+    responses = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+  } catch (error) {
+    logger.warn(`Could not read vision fixtures from ${fixturePath}:`, error.message);
+  }
+  recordedFixtures = { path: fixturePath, responses };
+  return responses;
+}
+
+function createFixtureProvider() {
+  function lookup(task, key) {
+    const recorded = loadRecordedFixtures();
+    const response = recorded[`${task}:${hashPrompt(key || '')}`] ?? recorded[task] ?? DEFAULT_VISION_FIXTURES[task];
+    if (response === undefined) {
+      throw new Error(`No vision fixture recorded for task "${task}"`);
+    }
+    return response;
+  }
+
+  return {
+    name: 'fixture',
+    capabilities: ['json', 'text'],
+    isAvailable: () => true,
+    unavailableReason: () => null,
+    estimateCost: () => 0,
+
+    async generateJson({ task, prompt }) {
+      const response = lookup(task, prompt);
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    },
+
+    async detectText({ task, image }) {
+      const response = lookup(task, image.base64 || image.uri);
+      return typeof response === 'string' ? { fullText: response, blocks: [] } : response;
+    }
+  };
+}
+
+// ==========================================
+// NO-OP PROVIDER
+// ==========================================
+
+function createNoneProvider() {
+  return {
+    name: 'none',
+    capabilities: [],
+    isAvailable: () => false,
+    unavailableReason: () => 'Vision disabled (VISION_PROVIDER=none)',
+    estimateCost: () => 0,
+    async generateJson() {
+      throw new Error('Vision provider is disabled');
+    },
+    async detectText() {
+      throw new Error('Vision provider is disabled');
+    }
+  };
+}
+
+// ==========================================
+// PROVIDER SELECTION
+// ==========================================
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  claude: createClaudeProvider,
+  cloud_vision: createCloudVisionProvider,
+  fixture: createFixtureProvider,
+  none: createNoneProvider
+};
+
+const providerCache = {};
+
+function getVisionProvider(name) {
+  if (!PROVIDER_FACTORIES[name]) return null;
+  if (!providerCache[name]) providerCache[name] = PROVIDER_FACTORIES[name]();
+  return providerCache[name];
+}
+
+/**
+ * Provider names to try for a task, in order
+ * VISION_PROVIDER wins, then VISION_PROVIDERS_<TASK>, then the default order
+ */
+function getProviderOrder(task) {
+  const forced = (process.env.VISION_PROVIDER || '').trim().toLowerCase();
+  if (forced) return [forced];
+
+  const configured = process.env[`VISION_PROVIDERS_${task.toUpperCase()}`];
+  if (configured) {
+    return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  }
+  return DEFAULT_PROVIDER_ORDER[task] || [];
+}
+
+// ==========================================
+// USAGE ACCOUNTING
+// ==========================================
+
+const sessionUsage = {};
+
+/**
+ * Add one call to the in-process totals and the daily visionUsage doc
+ * Fixture/none calls stay in-process only
+ */
+async function recordUsage(task, attempt) {
+  const totals = sessionUsage[attempt.provider] = sessionUsage[attempt.provider] ||
+    { calls: 0, failures: 0, costUsd: 0, latencyMs: 0 };
+  totals.calls++;
+  if (!attempt.ok) totals.failures++;
+  totals.costUsd = Math.round((totals.costUsd + attempt.costUsd) * 100000) / 100000;
+  totals.latencyMs += attempt.latencyMs;
+
+  if (['fixture', 'none'].includes(attempt.provider) || process.env.VISION_USAGE_LOGGING === 'off') return;
+
+  const increment = admin.firestore.FieldValue.increment;
+  const counters = {
+    calls: increment(1),
+    failures: increment(attempt.ok ? 0 : 1),
+    cost_usd: increment(attempt.costUsd),
+    latency_ms: increment(attempt.latencyMs)
+  };
+  try {
+    await admin.firestore().collection("visionUsage").doc(new Date().toISOString().slice(0, 10)).set({
+      providers: { [attempt.provider]: counters },
+      tasks: { [task]: { ...counters, [`via_${attempt.provider}`]: increment(1) } },
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    logger.warn('Vision usage logging failed (non-critical):', error.message);
+  }
+}
+
+/**
+ * Totals for this instance since cold start: { gemini: { calls, failures, costUsd, latencyMs } }
+ */
+function getSessionUsage() {
+  return JSON.parse(JSON.stringify(sessionUsage));
+}
+
+// ==========================================
+// RUN A TASK
+// ==========================================
+
+/**
+ * Run a vision task through its provider order
+ *
+ * @param {string} task - VISION_TASKS value
+ * @param {Object} request - JSON tasks: { prompt, images: [base64], maxTokens }
+ *                           OCR tasks: { image: { base64 } | { uri } }
+ * @param {Object} options - { parse } applied to each provider's output; a parse
+ *                           error counts as that provider failing
+ * @returns {Object} { result, provider, costUsd, latencyMs, attempts: [{ provider, ok, skipped, error, costUsd, latencyMs }] }
+ *   result is the model text (JSON tasks) or { fullText, blocks } (OCR tasks), after parse
+ * @throws when every provider is unavailable or failed
+ */
+async function runVisionTask(task, request, { parse = null } = {}) {
+  const kind = TASK_KINDS[task];
+  if (!kind) {
+    throw new Error(`Unknown vision task "${task}"`);
+  }
+
+  const imageCount = kind === 'text' ? 1 : (request.images || []).length;
+  const attempts = [];
+
+  for (const name of getProviderOrder(task)) {
+    const provider = getVisionProvider(name);
+    if (!provider || !provider.capabilities.includes(kind) || !provider.isAvailable()) {
+      attempts.push({
+        provider: name,
+        ok: false,
+        skipped: true,
+        error: !provider ? 'unknown provider' : !provider.capabilities.includes(kind) ? `no ${kind} support` : provider.unavailableReason()
+      });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const output = kind === 'text'
+        ? await provider.detectText({ task, ...request })
+        : await provider.generateJson({ task, ...request });
+      const result = parse ? parse(output) : output;
+      const attempt = { provider: name, ok: true, costUsd: provider.estimateCost(imageCount), latencyMs: Date.now() - startedAt };
+      attempts.push(attempt);
+      await recordUsage(task, attempt);
+
+      return {
+        result,
+        provider: name,
+        costUsd: attempts.reduce((sum, a) => sum + (a.costUsd || 0), 0),
+        latencyMs: attempts.reduce((sum, a) => sum + (a.latencyMs || 0), 0),
+        attempts
+      };
+    } catch (error) {
+      // A failed call is still billed
+      const attempt = { provider: name, ok: false, error: error.message, costUsd: provider.estimateCost(imageCount), latencyMs: Date.now() - startedAt };
+      attempts.push(attempt);
+      await recordUsage(task, attempt);
+      logger.warn(`Vision task ${task} failed on ${name}:`, error.message);
+    }
+  }
+
+  const error = new Error(`No vision provider succeeded for ${task}: ${attempts.map(a => `${a.provider} (${a.error})`).join(', ') || 'none configured'}`);
+  error.attempts = attempts;
+  throw error;
+}
+
+/**
+ * Pull the JSON object out of a model response (strips ```json fences)
+ */
+function parseVisionJson(text) {
+  const cleaned = String(text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  return JSON.parse(cleaned);
+}
+
+module.exports = {
+  VISION_TASKS,
+  DEFAULT_PROVIDER_ORDER,
+  PROVIDER_COSTS,
+  getVisionProvider,
+  getProviderOrder,
+  getSessionUsage,
+  runVisionTask,
+  parseVisionJson
+};
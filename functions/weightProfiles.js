@@ -0,0 +1,314 @@
+/**
+ * FitMyGolfClubs Pro - Factor Weight Profiles
+ *
+ * Pros save named weight profiles (users/{proId}/weightProfiles), pick one as
+ * their default, and optionally assign a different profile to a client.
+ * - saveWeightProfile: Create/update a profile (optionally set as default)
+ * - getWeightProfiles: List a pro's profiles
+ * - deleteWeightProfile: Delete a profile
+ * - setClientWeightProfile: Assign/clear a client's profile override
+ *
+ * resolveGradingWeights() picks the weights gradeUserBag and scenarios grade with:
+ * client override → pro default → active algorithm version → DEFAULT_GRADING_WEIGHTS
+ *
+ * Date: January 2026
+ */
+
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const admin = require("firebase-admin");
+const { sanitizeText } = require("./sanitization");
+const { DEFAULT_GRADING_WEIGHTS, normalizeGradingWeights } = require("./gradingEngine");
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const MAX_WEIGHT_PROFILES = 10;
+
+// ==========================================
+// WEIGHT RESOLUTION
+// ==========================================
+
+/**
+ * Get grading weights from the active default algorithm version
+ * Falls back to DEFAULT_GRADING_WEIGHTS if none is found
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Object} { gradingWeights, algorithmVersion }
+ */
+async function getActiveGradingWeights(db) {
+  try {
+    const versionsSnapshot = await db.collection("algorithmVersions")
+      .where("status", "==", "active")
+      .where("isDefault", "==", true)
+      .limit(1)
+      .get();
+
+    if (!versionsSnapshot.empty) {
+      const algorithmVersion = versionsSnapshot.docs[0].data();
+      logger.info(`Using algorithm version: ${algorithmVersion.versionNumber}`);
+      return {
+        gradingWeights: algorithmVersion.config?.gradingWeights || DEFAULT_GRADING_WEIGHTS,
+        algorithmVersion
+      };
+    }
+    logger.warn("No active algorithm version found, using default weights");
+  } catch (versionError) {
+    logger.warn("Error fetching algorithm version, using default weights:", versionError.message);
+  }
+  return { gradingWeights: DEFAULT_GRADING_WEIGHTS, algorithmVersion: null };
+}
+
+/**
+ * Get the pro that owns weight profiles for a user (the user itself if not pro-managed)
+ */
+function getWeightProfileOwnerId(userId, profileData) {
+  return profileData?.pro_id || profileData?.proManagedInfo?.proUserId || userId;
+}
+
+/**
+ * Resolve the grading weights for a user
+ *
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - User whose bag is being graded
+ * @param {Object} profileData - users/{userId} document data
+ * @returns {Object} { gradingWeights, algorithmVersion, weightProfile: { id, name, source, ownerId } }
+ */
+async function resolveGradingWeights(db, userId, profileData = {}) {
+  const { gradingWeights, algorithmVersion } = await getActiveGradingWeights(db);
+  const ownerId = getWeightProfileOwnerId(userId, profileData);
+
+  try {
+    // Client override first; an override pointing at a deleted profile falls through to the default
+    const candidates = [];
+    if (profileData?.weight_profile_id) {
+      candidates.push({ profileId: profileData.weight_profile_id, source: 'client_override' });
+    }
+    const ownerData = ownerId === userId
+      ? profileData
+      : (await db.collection("users").doc(ownerId).get()).data();
+    if (ownerData?.default_weight_profile_id) {
+      candidates.push({
+        profileId: ownerData.default_weight_profile_id,
+        source: ownerId === userId ? 'user_default' : 'pro_default'
+      });
+    }
+
+    for (const { profileId, source } of candidates) {
+      const profileDoc = await db.collection("users").doc(ownerId)
+        .collection("weightProfiles").doc(profileId).get();
+
+      if (profileDoc.exists) {
+        const profile = profileDoc.data();
+        logger.info(`Using weight profile "${profile.name}" (${source})`);
+        return {
+          gradingWeights: normalizeGradingWeights(profile.weights),
+          algorithmVersion,
+          weightProfile: { id: profileId, name: profile.name, source, ownerId }
+        };
+      }
+      logger.warn(`Weight profile ${profileId} (${source}) not found for ${ownerId}`);
+    }
+  } catch (profileError) {
+    logger.warn("Error resolving weight profile, using algorithm weights:", profileError.message);
+  }
+
+  return {
+    gradingWeights,
+    algorithmVersion,
+    weightProfile: algorithmVersion ? {
+      id: null,
+      name: `Algorithm v${algorithmVersion.versionNumber}`,
+      source: 'algorithm_version',
+      ownerId: null
+    } : {
+      id: null,
+      name: 'Default',
+      source: 'default',
+      ownerId: null
+    }
+  };
+}
+
+// ==========================================
+// CLOUD FUNCTION: saveWeightProfile
+// ==========================================
+
+/**
+ * request.data:
+ * {
+ *   profileId: "abc",        // optional - omit to create
+ *   name: "Senior Players",
+ *   weights: { loft: 20, age: 20, ... } or { loft_gapping: 0.2, ... },
+ *   setAsDefault: true
+ * }
+ */
+exports.saveWeightProfile = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const proId = request.auth.uid;
+  const { profileId, weights, setAsDefault } = request.data || {};
+  const name = sanitizeText(request.data?.name || '', 60);
+
+  if (!name) {
+    throw new HttpsError('invalid-argument', 'Profile name required');
+  }
+
+  let normalizedWeights;
+  try {
+    normalizedWeights = normalizeGradingWeights(weights);
+  } catch (weightError) {
+    throw new HttpsError('invalid-argument', weightError.message);
+  }
+
+  const db = admin.firestore();
+  const proRef = db.collection("users").doc(proId);
+  const profilesRef = proRef.collection("weightProfiles");
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+
+  let profileRef;
+  if (profileId) {
+    profileRef = profilesRef.doc(sanitizeText(profileId, 128));
+    const existing = await profileRef.get();
+    if (!existing.exists) {
+      throw new HttpsError('not-found', 'Weight profile not found');
+    }
+    await profileRef.update({ name, weights: normalizedWeights, updated_at: timestamp });
+  } else {
+    const existingProfiles = await profilesRef.get();
+    if (existingProfiles.size >= MAX_WEIGHT_PROFILES) {
+      throw new HttpsError('resource-exhausted', `Maximum ${MAX_WEIGHT_PROFILES} weight profiles allowed`);
+    }
+    profileRef = await profilesRef.add({
+      name,
+      weights: normalizedWeights,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+  }
+
+  const proDoc = await proRef.get();
+  const isDefault = setAsDefault === true || !proDoc.data()?.default_weight_profile_id;
+  if (isDefault) {
+    await proRef.update({ default_weight_profile_id: profileRef.id });
+  }
+
+  logger.info(`Saved weight profile "${name}" (${profileRef.id}) for ${proId}${isDefault ? ' [default]' : ''}`);
+
+  return {
+    success: true,
+    profileId: profileRef.id,
+    weights: normalizedWeights,
+    isDefault: isDefault
+  };
+});
+
+// ==========================================
+// CLOUD FUNCTION: getWeightProfiles
+// ==========================================
+
+exports.getWeightProfiles = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const proRef = db.collection("users").doc(request.auth.uid);
+  const [proDoc, snapshot] = await Promise.all([
+    proRef.get(),
+    proRef.collection("weightProfiles").orderBy("created_at", "asc").get()
+  ]);
+  const defaultProfileId = proDoc.data()?.default_weight_profile_id || null;
+
+  const profiles = snapshot.docs.map(doc => ({
+    id: doc.id,
+    name: doc.data().name,
+    weights: doc.data().weights,
+    isDefault: doc.id === defaultProfileId
+  }));
+
+  return {
+    profiles,
+    defaultProfileId,
+    defaultWeights: DEFAULT_GRADING_WEIGHTS,
+    max_allowed: MAX_WEIGHT_PROFILES
+  };
+});
+
+// ==========================================
+// CLOUD FUNCTION: deleteWeightProfile
+// ==========================================
+
+exports.deleteWeightProfile = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const profileId = sanitizeText(request.data?.profileId || '', 128);
+  if (!profileId) {
+    throw new HttpsError('invalid-argument', 'profileId required');
+  }
+
+  const db = admin.firestore();
+  const proRef = db.collection("users").doc(request.auth.uid);
+  await proRef.collection("weightProfiles").doc(profileId).delete();
+
+  // Clients still pointing at this profile fall back to the pro default when graded
+  const proDoc = await proRef.get();
+  if (proDoc.data()?.default_weight_profile_id === profileId) {
+    await proRef.update({ default_weight_profile_id: null });
+  }
+
+  return { success: true };
+});
+
+// ==========================================
+// CLOUD FUNCTION: setClientWeightProfile
+// ==========================================
+
+/**
+ * request.data: { clientId: "client_uid", profileId: "abc" | null }
+ * null clears the override so the client uses the pro default
+ */
+exports.setClientWeightProfile = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const proId = request.auth.uid;
+  const clientId = sanitizeText(request.data?.clientId || '', 128);
+  const profileId = request.data?.profileId ? sanitizeText(request.data.profileId, 128) : null;
+
+  if (!clientId) {
+    throw new HttpsError('invalid-argument', 'clientId required');
+  }
+
+  const db = admin.firestore();
+  const clientRef = db.collection("users").doc(clientId);
+  const clientDoc = await clientRef.get();
+
+  if (!clientDoc.exists || getWeightProfileOwnerId(clientId, clientDoc.data()) !== proId) {
+    throw new HttpsError('permission-denied', 'You do not manage this client');
+  }
+
+  if (profileId) {
+    const profileDoc = await db.collection("users").doc(proId)
+      .collection("weightProfiles").doc(profileId).get();
+    if (!profileDoc.exists) {
+      throw new HttpsError('not-found', 'Weight profile not found');
+    }
+  }
+
+  await clientRef.update({
+    weight_profile_id: profileId,
+    updated_at: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { success: true, clientId, profileId };
+});
+
+exports.resolveGradingWeights = resolveGradingWeights;
+exports.getActiveGradingWeights = getActiveGradingWeights;
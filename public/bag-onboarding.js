@@ -4,6 +4,9 @@
  * 
  * Uses ClubSelector internally for individual club selection.
  * Handles batch entry with "same set" and "same shaft" shortcuts.
+ * Or photograph the whole bag: processBagPhotos reads every club and the
+ * draft bag opens straight in the summary step for confirmation. Clubs read
+ * with low confidence must be confirmed (or removed) before the bag saves.
  * 
  * Usage:
  *   BagOnboarding.init(db);
@@ -69,6 +72,8 @@ const BagOnboarding = (function() {
   };
 
   const categoryOrder = ['woods', 'hybrids', 'irons', 'wedges'];
+  const MAX_BAG_PHOTOS = 16;
+  const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
   const categoryLabels = {
     woods: { title: 'Woods', icon: '🪵', desc: 'Driver and fairway woods' },
     hybrids: { title: 'Hybrids', icon: '⚡', desc: 'Hybrid/rescue clubs' },
@@ -81,7 +86,7 @@ const BagOnboarding = (function() {
     userId: null,
     currentCategory: null,
     currentCategoryIndex: 0,
-    currentStep: 'select-clubs', // 'select-clubs' | 'same-set' | 'enter-set' | 'same-shaft' | 'enter-shaft' | 'enter-individual' | 'review'
+    currentStep: 'select-clubs', // 'select-clubs' | 'photo-upload' | 'same-set' | 'enter-set' | 'same-shaft' | 'enter-shaft' | 'enter-individual' | 'review'
     
     // Selected clubs per category
     selectedClubs: {
@@ -103,6 +108,11 @@ const BagOnboarding = (function() {
     // Current club being entered (when entering individually)
     currentClubIndex: 0,
     
+    // Whole-bag photo mode
+    bagPhotos: { heads: [], shafts: [] },  // File objects waiting to upload
+    photoResult: null,                      // { warnings, unplaced } from processBagPhotos
+    photoError: null,
+    
     // Callbacks
     onComplete: null,
     onCancel: null,
@@ -506,6 +516,48 @@ const BagOnboarding = (function() {
           font-style: italic;
           padding: 10px 0;
         }
+
+        /* Whole-Bag Photos */
+        .bo-photo-start { margin-bottom: 16px; }
+        .bo-photo-processing {
+          text-align: center;
+          padding: 40px 20px;
+        }
+        .bo-photo-error {
+          background: rgba(255, 100, 100, 0.1);
+          border: 1px solid rgba(255, 100, 100, 0.3);
+          border-radius: 10px;
+          padding: 12px 14px;
+          font-size: 13px;
+          color: #ff6464;
+          margin-bottom: 16px;
+        }
+        .bo-photo-notes {
+          font-size: 12px;
+          color: #aaa;
+          line-height: 1.6;
+          margin-bottom: 16px;
+        }
+        .bo-photo-badge {
+          display: inline-block;
+          margin-left: 6px;
+          padding: 1px 7px;
+          border-radius: 10px;
+          font-size: 10px;
+          font-weight: 600;
+          background: rgba(0, 212, 255, 0.1);
+          color: #00d4ff;
+          vertical-align: middle;
+        }
+        .bo-photo-badge.low {
+          background: rgba(255, 152, 0, 0.15);
+          color: #ff9800;
+        }
+        .bo-photo-badge.confirmed {
+          background: rgba(0, 200, 100, 0.1);
+          color: #00c864;
+        }
+        .bo-club-item.bo-photo-low { border: 1px solid rgba(255, 152, 0, 0.4); }
       </style>
     `;
 
@@ -553,6 +605,9 @@ const BagOnboarding = (function() {
       sameShaftAnswer: null,
       setShaftSpec: null,
       currentClubIndex: 0,
+      bagPhotos: { heads: [], shafts: [] },
+      photoResult: null,
+      photoError: null,
       onComplete: options.onComplete || null,
       onCancel: options.onCancel || null,
       onProgress: options.onProgress || null
@@ -715,6 +770,9 @@ const BagOnboarding = (function() {
       case 'select-clubs':
         renderClubSelection();
         break;
+      case 'photo-upload':
+        renderPhotoUpload();
+        break;
       case 'same-set':
         renderSameSetQuestion();
         break;
@@ -753,6 +811,11 @@ const BagOnboarding = (function() {
       <div class="bo-info">
         Select the ${categoryLabels[state.currentCategory].title.toLowerCase()} in your bag
       </div>
+      ${state.currentCategoryIndex === 0 && state.clubsData.length === 0 ? `
+        <button class="bo-set-entry-btn bo-photo-start" onclick="BagOnboarding.startPhotoOnboarding()">
+          📷 Photograph the whole bag instead
+        </button>
+      ` : ''}
       <div class="bo-club-grid ${isWoods ? 'woods-grid' : ''}">
     `;
     
@@ -795,6 +858,250 @@ const BagOnboarding = (function() {
     renderClubSelection();
   }
 
+  // ============================================
+  // STEP: WHOLE-BAG PHOTOS
+  // ============================================
+
+  function startPhotoOnboarding() {
+    state.currentStep = 'photo-upload';
+    state.photoError = null;
+    renderPhotoUpload();
+    updateBackButton();
+  }
+
+  function cancelPhotoOnboarding() {
+    state.currentStep = 'select-clubs';
+    state.bagPhotos = { heads: [], shafts: [] };
+    renderCurrentStep();
+  }
+
+  function renderPhotoUpload() {
+    const content = document.getElementById('bo-content');
+    const { heads, shafts } = state.bagPhotos;
+    
+    document.getElementById('bo-title').textContent = 'Photograph Your Bag';
+    document.getElementById('bo-subtitle').textContent = 'We\'ll read every club and build a draft bag';
+    
+    const photoCard = (kind, title, desc) => `
+      <div class="bo-set-entry">
+        <div class="bo-set-entry-title">${title}</div>
+        <div class="bo-set-entry-desc">${desc}</div>
+        <label class="bo-set-entry-btn ${state.bagPhotos[kind].length ? 'filled' : ''}" style="display: block; text-align: center;">
+          ${state.bagPhotos[kind].length ? `✓ ${state.bagPhotos[kind].length} photo${state.bagPhotos[kind].length > 1 ? 's' : ''} — tap to add more` : '+ Add photos'}
+          <input type="file" accept="image/*" multiple style="display: none;"
+                 onchange="BagOnboarding.addBagPhotos('${kind}', this.files)">
+        </label>
+        ${state.bagPhotos[kind].length ? `<button class="bo-club-item-edit" style="margin-top: 8px;" onclick="BagOnboarding.clearBagPhotos('${kind}')">Clear</button>` : ''}
+      </div>
+    `;
+    
+    content.innerHTML = `
+      <div class="bo-info">
+        Lay the clubs side by side with the soles facing the camera so the numbers and lofts are readable.
+        Up to ${MAX_BAG_PHOTOS} photos in total.
+      </div>
+      ${state.photoError ? `<div class="bo-photo-error">${state.photoError}</div>` : ''}
+      ${photoCard('heads', 'Club Heads', 'Several heads per photo is fine')}
+      ${photoCard('shafts', 'Shaft Labels', 'Optional - shaft bands and labels, in the same order as the heads')}
+      <button class="bo-btn bo-btn-primary" style="width: 100%;" ${heads.length ? '' : 'disabled'}
+              onclick="BagOnboarding.readBagPhotos()">
+        Read My Bag (${heads.length + shafts.length} photo${heads.length + shafts.length === 1 ? '' : 's'})
+      </button>
+      <button class="bo-club-item-edit" style="display: block; margin: 14px auto 0;" onclick="BagOnboarding.cancelPhotoOnboarding()">
+        Enter clubs manually instead
+      </button>
+    `;
+    
+    document.getElementById('bo-skip').style.display = 'none';
+    document.getElementById('bo-next').disabled = true;
+    document.getElementById('bo-next').textContent = 'Continue';
+  }
+
+  function addBagPhotos(kind, fileList) {
+    const files = Array.from(fileList || []);
+    const images = files.filter(file => file.type.startsWith('image/') && file.size <= MAX_PHOTO_BYTES);
+    const room = MAX_BAG_PHOTOS - state.bagPhotos.heads.length - state.bagPhotos.shafts.length;
+    
+    state.photoError = null;
+    if (images.length < files.length) {
+      state.photoError = 'Some files were skipped - photos must be images under 10MB';
+    }
+    if (images.length > room) {
+      state.photoError = `Only ${MAX_BAG_PHOTOS} photos per bag - extra photos were skipped`;
+    }
+    
+    state.bagPhotos[kind].push(...images.slice(0, Math.max(room, 0)));
+    renderPhotoUpload();
+  }
+
+  function clearBagPhotos(kind) {
+    state.bagPhotos[kind] = [];
+    renderPhotoUpload();
+  }
+
+  async function uploadBagPhoto(file, kind, index, batchId) {
+    const ref = firebase.storage().ref().child(`bag-photos/${state.userId}/${batchId}_${kind}_${index}.jpg`);
+    await ref.put(file);
+    return ref.getDownloadURL();
+  }
+
+  /**
+   * Upload the photos, run processBagPhotos and open the draft in the summary
+   */
+  async function readBagPhotos() {
+    const content = document.getElementById('bo-content');
+    const total = state.bagPhotos.heads.length + state.bagPhotos.shafts.length;
+    
+    content.innerHTML = `
+      <div class="bo-photo-processing">
+        <div style="font-size: 40px; margin-bottom: 12px;">📷</div>
+        <div class="bo-set-entry-title" id="bo-photo-status">Uploading ${total} photos...</div>
+        <div class="bo-set-entry-desc">Reading every club can take up to a minute</div>
+      </div>
+    `;
+    
+    try {
+      const batchId = Date.now();
+      const [heads, shafts] = await Promise.all([
+        Promise.all(state.bagPhotos.heads.map((file, i) => uploadBagPhoto(file, 'head', i, batchId))),
+        Promise.all(state.bagPhotos.shafts.map((file, i) => uploadBagPhoto(file, 'shaft', i, batchId)))
+      ]);
+      
+      document.getElementById('bo-photo-status').textContent = 'Identifying your clubs...';
+      const processBagPhotos = firebase.functions().httpsCallable('processBagPhotos');
+      const result = await processBagPhotos({ clientId: state.userId, photos: { heads, shafts } });
+      
+      applyBagDraft(result.data);
+    } catch (error) {
+      console.error('❌ Bag photo processing failed:', error);
+      state.photoError = error.message || 'Could not read the photos - try again or enter clubs manually';
+      renderPhotoUpload();
+    }
+  }
+
+  /**
+   * Load the draft bag and jump to the summary for confirmation
+   */
+  function applyBagDraft(draft) {
+    state.clubsData = draft.clubs || [];
+    state.selectedClubs = { woods: [], hybrids: [], irons: [], wedges: [] };
+    state.clubsData.forEach(club => {
+      if (state.selectedClubs[club.category] && !state.selectedClubs[club.category].includes(club.clubType)) {
+        state.selectedClubs[club.category].push(club.clubType);
+      }
+    });
+    state.photoResult = { warnings: draft.warnings || [], unplaced: draft.unplaced || [] };
+    state.bagPhotos = { heads: [], shafts: [] };
+    
+    state.currentCategoryIndex = categoryOrder.length;
+    state.currentStep = 'summary';
+    renderSummary();
+    updateBackButton();
+    
+    console.log(`📷 Draft bag: ${state.clubsData.length} clubs, ${state.photoResult.unplaced.length} unplaced`);
+  }
+
+  /**
+   * Low-confidence photo clubs still waiting for Confirm (or removal)
+   */
+  function countUnconfirmedDrafts() {
+    return state.clubsData.filter(c => c.photoDraft?.needsReview && !c.photoDraft.confirmed).length;
+  }
+
+  function renderPhotoResultNotes() {
+    const { warnings, unplaced } = state.photoResult;
+    const needsCheck = countUnconfirmedDrafts();
+    
+    let html = `
+      <div class="bo-info">
+        Read from your photos — tap <strong>Confirm</strong> on anything that looks wrong.
+        ${needsCheck ? `<br><span style="color: #ff9800;">${needsCheck} club${needsCheck > 1 ? 's' : ''} read with low confidence — confirm or remove ${needsCheck > 1 ? 'them' : 'it'} to save.</span>` : ''}
+      </div>
+    `;
+    
+    if (unplaced.length || warnings.length) {
+      html += '<div class="bo-photo-notes">';
+      unplaced.forEach(club => {
+        html += `<div>⚠️ Couldn't tell which ${club.headShape} this is${club.brand ? ` (${club.brand} ${club.model || ''})` : ''}${club.position ? ` — ${club.position}` : ''}. Go back to add it by category.</div>`;
+      });
+      warnings.forEach(warning => {
+        html += `<div>ℹ️ ${warning}</div>`;
+      });
+      html += '</div>';
+    }
+    
+    return html;
+  }
+
+  function renderDraftClubItem(club, index) {
+    const draft = club.photoDraft;
+    const confidence = Math.round(draft.overallConfidence * 100);
+    const badge = draft.confirmed
+      ? '<span class="bo-photo-badge confirmed">✓ Confirmed</span>'
+      : `<span class="bo-photo-badge ${draft.needsReview ? 'low' : ''}">${confidence}%${draft.needsReview ? ' · check' : ''}</span>`;
+    
+    return `
+      <div class="bo-club-item ${draft.needsReview && !draft.confirmed ? 'bo-photo-low' : ''}">
+        <div class="bo-club-item-type">${club.clubType}</div>
+        <div class="bo-club-item-info">
+          <div class="bo-club-item-name">${club.brand || 'Unknown brand'} ${club.model || ''} ${badge}</div>
+          <div class="bo-club-item-shaft">
+            ${club.shaftBrand || ''} ${club.shaftModel || ''}${club.shaftSpecs?.flex ? ` (${club.shaftSpecs.flex})` : ''}
+            ${!club.clubHeadSpecId && !draft.confirmed ? ' · not matched to catalog' : ''}
+          </div>
+        </div>
+        <button class="bo-club-item-edit" onclick="BagOnboarding.editDraftClub(${index})">Confirm</button>
+        <button class="bo-club-item-edit" style="color: #888;" onclick="BagOnboarding.removeDraftClub(${index})">×</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Open ClubSelector pre-filled with the club's catalog candidates
+   */
+  function editDraftClub(index) {
+    const club = state.clubsData[index];
+    if (!club) return;
+    
+    ClubSelector.open({
+      mode: 'known-type',
+      clubType: club.clubType,
+      category: club.category,
+      title: `Confirm ${club.clubType}`,
+      catalogMatches: club.photoDraft?.catalogMatch || null,
+      onSelect: (result) => {
+        state.clubsData[index] = {
+          category: club.category,
+          clubType: club.clubType,
+          clubHeadSpecId: result.clubHeadSpecId,
+          brand: result.brand,
+          model: result.model,
+          year: result.year,
+          specs: result.specs,
+          shaftId: result.shaftId,
+          shaftBrand: result.shaftBrand,
+          shaftModel: result.shaftModel,
+          shaftSpecs: result.shaftSpecs,
+          isManualShaft: result.isManualShaft,
+          photoDraft: { ...club.photoDraft, confirmed: true }
+        };
+        renderSummary();
+      }
+    });
+  }
+
+  function removeDraftClub(index) {
+    const club = state.clubsData[index];
+    if (!club) return;
+    
+    state.clubsData.splice(index, 1);
+    const selected = state.selectedClubs[club.category] || [];
+    if (selected.includes(club.clubType)) {
+      selected.splice(selected.indexOf(club.clubType), 1);
+    }
+    renderSummary();
+  }
+
   // ============================================
   // STEP: SAME SET QUESTION
   // ============================================
@@ -1271,7 +1578,7 @@ const BagOnboarding = (function() {
     document.getElementById('bo-subtitle').textContent = `${state.clubsData.length} clubs entered`;
     document.getElementById('bo-progress-bar').style.width = '100%';
     
-    let html = '';
+    let html = state.photoResult ? renderPhotoResultNotes() : '';
     
     categoryOrder.forEach(cat => {
       const clubs = state.clubsData.filter(c => c.category === cat);
@@ -1285,7 +1592,7 @@ const BagOnboarding = (function() {
       } else {
         html += '<div class="bo-club-list">';
         clubs.forEach(club => {
-          html += `
+          html += club.photoDraft ? renderDraftClubItem(club, state.clubsData.indexOf(club)) : `
             <div class="bo-club-item">
               <div class="bo-club-item-type">${club.clubType}</div>
               <div class="bo-club-item-info">
@@ -1304,9 +1611,10 @@ const BagOnboarding = (function() {
     content.innerHTML = html;
     
     // Update buttons
+    const unconfirmed = countUnconfirmedDrafts();
     document.getElementById('bo-skip').style.display = 'none';
-    document.getElementById('bo-next').disabled = state.clubsData.length === 0;
-    document.getElementById('bo-next').textContent = 'Save Bag';
+    document.getElementById('bo-next').disabled = state.clubsData.length === 0 || unconfirmed > 0;
+    document.getElementById('bo-next').textContent = unconfirmed > 0 ? `Confirm ${unconfirmed} club${unconfirmed > 1 ? 's' : ''} to save` : 'Save Bag';
     document.getElementById('bo-next').className = 'bo-btn bo-btn-green';
     
     // Change next handler for save
@@ -1314,6 +1622,11 @@ const BagOnboarding = (function() {
   }
 
   function finishOnboarding() {
+    if (countUnconfirmedDrafts() > 0) {
+      renderSummary();
+      return;
+    }
+    
     document.getElementById('bag-onboarding-modal').classList.remove('active');
     
     console.log('✅ BagOnboarding complete:', state.clubsData);
@@ -1339,7 +1652,14 @@ const BagOnboarding = (function() {
     openShaftSelector,
     enterClub,
     editClub,
-    enterShaftForClub
+    enterShaftForClub,
+    startPhotoOnboarding,
+    cancelPhotoOnboarding,
+    addBagPhotos,
+    clearBagPhotos,
+    readBagPhotos,
+    editDraftClub,
+    removeDraftClub
   };
 
 })();
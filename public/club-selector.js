@@ -5,6 +5,7 @@
  * Usage:
  *   ClubSelector.init(db);  // Initialize with Firestore instance
  *   ClubSelector.open({ mode: 'known-type', clubType: '7-Iron', onSelect: callback });
+ *   ClubSelector.open({ mode: 'known-type', clubType: '7-Iron', catalogMatches, onSelect });  // pre-filled from photo
  */
 
 const ClubSelector = (function() {
@@ -43,7 +44,8 @@ const ClubSelector = (function() {
     specs: {},            // Auto-filled specs from database
     onSelect: null,       // Callback when selection complete
     onCancel: null,       // Callback when cancelled
-    userClubs: null       // User's existing clubs (for pick-existing mode)
+    userClubs: null,      // User's existing clubs (for pick-existing mode)
+    catalogMatches: null  // Photo spec catalog candidates (matchClubPhotoSpecs)
   };
 
   // ============================================
@@ -142,6 +144,9 @@ const ClubSelector = (function() {
               <span class="cs-step" data-step="shaft">Shaft</span>
             </div>
             
+            <!-- Photo catalog match (shown when opened with catalogMatches) -->
+            <div class="cs-photo-match" id="cs-photo-match" style="display: none;"></div>
+            
             <!-- Pick Existing Mode -->
             <div class="cs-section" id="cs-existing-section" style="display: none;">
               <label class="cs-label">Select from Your Bag</label>
@@ -303,6 +308,17 @@ const ClubSelector = (function() {
                 </div>
               </div>
             </div>
+            
+            <!-- Club Weight (optional, shown with shaft) -->
+            <div class="cs-section" id="cs-weight-section" style="display: none;">
+              <label class="cs-label">Club Weight (optional)</label>
+              <div class="cs-manual-row">
+                <input type="text" class="cs-input cs-input-half" id="cs-swing-weight" placeholder="Swing weight (e.g. D2)" maxlength="6">
+                <input type="number" class="cs-input cs-input-half" id="cs-total-weight" placeholder="Total weight (g)" min="200" max="600">
+              </div>
+              <label class="cs-label" style="margin-top: 10px;">Grip Installed (optional)</label>
+              <input type="date" class="cs-input" id="cs-grip-installed">
+            </div>
           </div>
           
           <div class="cs-modal-footer">
@@ -614,6 +630,51 @@ const ClubSelector = (function() {
           color: #aaa;
         }
 
+        /* Photo Catalog Match */
+        .cs-photo-match {
+          margin-bottom: 16px;
+          padding: 12px;
+          background: rgba(0, 212, 255, 0.08);
+          border: 1px solid rgba(0, 212, 255, 0.3);
+          border-radius: 8px;
+        }
+        .cs-photo-match.low {
+          background: rgba(255, 170, 0, 0.08);
+          border-color: rgba(255, 170, 0, 0.4);
+        }
+        .cs-photo-match-title {
+          font-size: 11px;
+          color: #00d4ff;
+          text-transform: uppercase;
+          margin-bottom: 4px;
+        }
+        .cs-photo-match.low .cs-photo-match-title {
+          color: #ffaa00;
+        }
+        .cs-photo-match-name {
+          font-size: 14px;
+          color: #fff;
+        }
+        .cs-photo-match-alts {
+          margin-top: 8px;
+          font-size: 12px;
+          color: #888;
+        }
+        .cs-photo-match-alt {
+          margin: 4px 6px 0 0;
+          padding: 4px 8px;
+          background: rgba(255,255,255,0.05);
+          border: 1px solid rgba(255,255,255,0.15);
+          border-radius: 6px;
+          color: #ccc;
+          font-size: 12px;
+          cursor: pointer;
+        }
+        .cs-photo-match-alt:hover {
+          border-color: #00d4ff;
+          color: #fff;
+        }
+
         /* Footer */
         .cs-modal-footer {
           display: flex;
@@ -746,6 +807,9 @@ const ClubSelector = (function() {
         .cs-input-third {
           flex: 1;
         }
+        .cs-input-error {
+          border-color: #ff6464 !important;
+        }
       </style>
     `;
 
@@ -1226,6 +1290,7 @@ const ClubSelector = (function() {
 
     // Show shaft section
     document.getElementById('cs-shaft-section').style.display = 'block';
+    document.getElementById('cs-weight-section').style.display = 'block';
     
     // Reset shaft selection
     document.getElementById('cs-shaft-stock-btn').classList.remove('active');
@@ -1332,7 +1397,8 @@ const ClubSelector = (function() {
       weight: shaft.weight,
       flex: shaft.flex,
       kickPoint: shaft.kickPoint,
-      torque: shaft.torque
+      torque: shaft.torque,
+      material: shaft.material || null
     };
 
     // Show stock shaft info
@@ -1541,7 +1607,8 @@ const ClubSelector = (function() {
       weight: shaft.weight,
       flex: shaft.flex,
       kickPoint: shaft.kickPoint,
-      torque: shaft.torque
+      torque: shaft.torque,
+      material: shaft.material || null
     };
 
     // Update UI
@@ -1640,6 +1707,77 @@ const ClubSelector = (function() {
     });
   }
 
+  // ============================================
+  // PHOTO CATALOG MATCH
+  // ============================================
+
+  // Below this the banner asks the user to check brand and model
+  const CONFIDENT_MATCH_SCORE = 0.75;
+
+  /**
+   * Pre-fill from photo catalog candidates (processClubPhotos / matchClubPhotoSpecs):
+   * the head with its catalog loft/lie/length, then the aftermarket shaft read
+   * from the photo or the head's stock shaft
+   * @param {number} index - Head candidate to apply (0 = best match)
+   */
+  function applyCatalogMatch(index = 0) {
+    const matches = state.catalogMatches;
+    const candidate = matches?.heads?.[index];
+    const spec = candidate ? clubHeadSpecsCache[candidate.clubHeadSpecId] : null;
+    if (!spec) return false;
+
+    // Full onboarding: use the club type read from the photo
+    if (!state.clubType && matches.clubType) {
+      selectCategory(getCategoryForClubType(matches.clubType));
+      selectClubType(matches.clubType);
+    }
+
+    selectBrand(spec.brand);
+    selectModel(candidate.clubHeadSpecId);
+
+    const shaftMatch = matches.shafts?.[0];
+    const isAftermarket = shaftMatch && shaftSpecsCache[shaftMatch.shaftId] &&
+      shaftMatch.shaftId !== candidate.stockShaft?.shaftId;
+    if (isAftermarket) {
+      selectShaftType('custom');
+      selectShaftBrand(shaftSpecsCache[shaftMatch.shaftId].brand);
+      selectShaftModel(shaftMatch.shaftId);
+    } else {
+      selectShaftType('stock');
+    }
+
+    renderCatalogMatchBanner(index);
+    console.log('📸 Catalog match applied:', candidate.clubHeadSpecId, candidate.score);
+    return true;
+  }
+
+  function renderCatalogMatchBanner(activeIndex) {
+    const banner = document.getElementById('cs-photo-match');
+    const heads = state.catalogMatches?.heads || [];
+    const active = heads[activeIndex];
+    const label = h => `${h.brand} ${h.model}${h.year ? ' (' + h.year + ')' : ''}`;
+    const alternatives = heads
+      .map((h, i) => ({ h, i }))
+      .filter(({ h, i }) => i !== activeIndex && clubHeadSpecsCache[h.clubHeadSpecId]);
+
+    banner.classList.toggle('low', active.score < CONFIDENT_MATCH_SCORE);
+    banner.innerHTML = `
+      <div class="cs-photo-match-title">
+        📸 From photo · ${Math.round(active.score * 100)}% match${active.score < CONFIDENT_MATCH_SCORE ? ' - check brand and model' : ''}
+      </div>
+      <div class="cs-photo-match-name">${label(active)}</div>
+      ${alternatives.length > 0 ? `
+        <div class="cs-photo-match-alts">
+          Not it?
+          ${alternatives.map(({ h, i }) => `
+            <button class="cs-photo-match-alt" onclick="ClubSelector.applyCatalogMatch(${i})">${label(h)} · ${Math.round(h.score * 100)}%</button>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+    banner.style.display = 'block';
+  }
+
   // ============================================
   // HELPERS
   // ============================================
@@ -1689,6 +1827,7 @@ const ClubSelector = (function() {
    * @param {string} options.category - Pre-set category
    * @param {string} options.title - Custom modal title
    * @param {Array} options.userClubs - User's existing clubs (for pick-existing mode)
+   * @param {Object} options.catalogMatches - Photo catalog candidates; opens pre-filled on the best match
    * @param {Function} options.onSelect - Callback with selected club data
    * @param {Function} options.onCancel - Callback when cancelled
    */
@@ -1715,7 +1854,8 @@ const ClubSelector = (function() {
       onSelect: options.onSelect || null,
       onCancel: options.onCancel || null,
       userClubs: options.userClubs || null,
-      selectedExistingClub: null
+      selectedExistingClub: null,
+      catalogMatches: options.catalogMatches || null
     };
 
     // Reset all UI sections
@@ -1726,9 +1866,18 @@ const ClubSelector = (function() {
     document.getElementById('cs-brand-section').style.display = 'none';
     document.getElementById('cs-model-section').style.display = 'none';
     document.getElementById('cs-shaft-section').style.display = 'none';
+    document.getElementById('cs-weight-section').style.display = 'none';
     document.getElementById('cs-specs-preview').style.display = 'none';
+    document.getElementById('cs-photo-match').style.display = 'none';
     document.getElementById('cs-confirm').disabled = true;
     
+    // Club weights are kept when editing (not in the clubHeadSpecs database)
+    const prefillSpecs = options.prefill?.specs || {};
+    document.getElementById('cs-swing-weight').value = prefillSpecs.swing_weight || '';
+    document.getElementById('cs-total-weight').value = prefillSpecs.total_weight || '';
+    document.getElementById('cs-grip-installed').value = prefillSpecs.grip_installed_at || '';
+    document.getElementById('cs-swing-weight').classList.remove('cs-input-error');
+    
     // Reset inputs
     document.getElementById('cs-brand-input').value = '';
     document.getElementById('cs-model-input').value = '';
@@ -1750,6 +1899,11 @@ const ClubSelector = (function() {
     // Configure based on mode
     configureForMode(state.mode, options);
 
+    // Photo-extracted specs: open on the best catalog match
+    if (state.catalogMatches && (state.mode === 'known-type' || state.mode === 'full-onboarding')) {
+      applyCatalogMatch(0);
+    }
+
     // Show modal
     document.getElementById('club-selector-modal').classList.add('active');
 
@@ -1825,6 +1979,26 @@ const ClubSelector = (function() {
     console.log('📁 ClubSelector closed');
   }
 
+  /**
+   * Read the optional swing weight / total weight / grip install date inputs
+   * Returns null if the swing weight isn't a valid label (A0-G9.5)
+   */
+  function readClubWeights() {
+    const swingInput = document.getElementById('cs-swing-weight');
+    const raw = swingInput.value.trim().toUpperCase().replace(/[\s-]/g, '');
+    const totalWeight = parseFloat(document.getElementById('cs-total-weight').value);
+
+    const validSwingWeight = !raw || /^[A-G]\d(\.\d)?$/.test(raw);
+    swingInput.classList.toggle('cs-input-error', !validSwingWeight);
+    if (!validSwingWeight) return null;
+
+    return {
+      swing_weight: raw || null,
+      total_weight: Number.isFinite(totalWeight) && totalWeight > 0 ? totalWeight : null,
+      grip_installed_at: document.getElementById('cs-grip-installed').value || null
+    };
+  }
+
   /**
    * Confirm selection and return data
    */
@@ -1857,6 +2031,13 @@ const ClubSelector = (function() {
         return;
       }
 
+      const clubWeights = readClubWeights();
+      if (!clubWeights) {
+        console.warn('Invalid swing weight');
+        document.getElementById('cs-swing-weight').focus();
+        return;
+      }
+
       const spec = clubHeadSpecsCache[state.clubHeadSpecId];
       const shaftSpec = state.shaftId ? shaftSpecsCache[state.shaftId] : null;
       
@@ -1870,7 +2051,7 @@ const ClubSelector = (function() {
         type: spec?.type || null,
         category: state.category,
         clubType: state.clubType,
-        specs: state.specs,
+        specs: { ...state.specs, ...clubWeights },
         
         // Shaft data
         shaftId: state.shaftId,
@@ -1931,7 +2112,9 @@ const ClubSelector = (function() {
     selectShaftType,
     selectShaftBrand,
     selectShaftModel,
-    toggleManualEntry
+    toggleManualEntry,
+    // Photo catalog match
+    applyCatalogMatch
   };
 
 })();
@@ -58,6 +58,17 @@ auth.onAuthStateChanged(async (user) => {
     // If Pro, fetch their clients
     if (currentUserData && currentUserData.account_type === 'professional') {
       await fetchClients(user.uid);
+      
+      // Resume live status for a batch regrade still in progress
+      if (currentUserData.active_regrade_job_id) {
+        watchRegradeJob(currentUserData.active_regrade_job_id);
+      }
+      
+      // Regrip reminders from the weekly grip wear projection
+      loadRegripReminders();
+      
+      // Low-confidence photo extractions waiting for review
+      loadExtractionReviews();
     }
     
     // Initialize grading engine preference
@@ -65,6 +76,11 @@ auth.onAuthStateChanged(async (user) => {
       loadGradingEnginePreference();
     }
     
+    // Load credit balance from the server-side ledger
+    if (typeof loadCreditBalance === 'function') {
+      loadCreditBalance();
+    }
+    
     // Hide login modal if open
     closeModal('login-modal');
   } else {
@@ -710,7 +726,8 @@ async function fetchLastAnalysis(analysisId) {
       'kickpoint_consistency': 'kickpoint',
       'length_progression': 'length',
       'lie_angle_progression': 'lie',
-      'torque_consistency': 'torque'
+      'torque_consistency': 'torque',
+      'swing_weight_progression': 'swingweight'
     };
     
     // Update each factor score from stored analysis
@@ -770,7 +787,8 @@ async function fetchLastAnalysis(analysisId) {
         kickpoint_consistency: { score: analysis.kickpoint_consistency_score, grade: analysis.kickpoint_consistency_grade },
         length_progression: { score: analysis.length_progression_score, grade: analysis.length_progression_grade },
         lie_angle_progression: { score: analysis.lie_angle_progression_score, grade: analysis.lie_angle_progression_grade },
-        torque_consistency: { score: analysis.torque_consistency_score, grade: analysis.torque_consistency_grade }
+        torque_consistency: { score: analysis.torque_consistency_score, grade: analysis.torque_consistency_grade },
+        swing_weight_progression: { score: analysis.swing_weight_progression_score, grade: analysis.swing_weight_progression_grade }
       },
       issues_found: analysis.issues_found || [],
       top_priority_fix: analysis.top_priority_fix,
@@ -780,6 +798,7 @@ async function fetchLastAnalysis(analysisId) {
       grip_assessment: analysis.grip_assessment || null,
       favorite_club_baseline: analysis.favorite_club_baseline || null,
       weight_suggestions: analysis.weight_suggestions || [],
+      weight_material_profile: analysis.weight_material_profile || null,
       body_fit_baseline: analysis.body_fit_baseline || null,
       length_suggestions: analysis.length_suggestions || []
     };
@@ -1397,6 +1416,8 @@ function getIssueBadgeText(issue) {
       return `📐 ${shortDesc || 'Lie Angle'}`;
     case 'torque':
       return `🌀 ${shortDesc || 'Torque Issue'}`;
+    case 'swingweight':
+      return `🏋️ ${shortDesc || 'Swing Weight'}`;
     case 'defaults':
       return `📝 ${shortDesc || 'Needs specs'}`;
     default:
@@ -1590,12 +1611,16 @@ function addBagForClient(clientId) {
             loft: club.loft || club.specs?.loft || null,
             lie: club.lie || club.specs?.lie || null,
             length: club.length || club.specs?.length || null,
+            swing_weight: club.swing_weight || club.specs?.swing_weight || null,
+            total_weight: club.total_weight || club.specs?.total_weight || null,
+            grip_installed_at: club.grip_installed_at || club.specs?.grip_installed_at || null,
             shaft_brand: club.shaftBrand || club.shaft_brand || null,
             shaft_model: club.shaftModel || club.shaft_model || null,
             shaft_weight: club.shaftWeight || club.shaft_weight || club.shaftSpecs?.weight || null,
             shaft_flex: club.shaftFlex || club.shaft_flex || club.shaftSpecs?.flex || null,
             shaft_kickpoint: club.shaftKickpoint || club.shaft_kickpoint || club.shaftSpecs?.kickPoint || null,
             shaft_torque: club.shaftTorque || club.shaft_torque || club.shaftSpecs?.torque || null,
+            shaft_material: club.shaft_material || club.shaftSpecs?.material || null,
             shaftId: club.shaftId || null,
             created_at: firebase.firestore.FieldValue.serverTimestamp()
           };
@@ -1637,9 +1662,10 @@ function addBagForClient(clientId) {
             }
           }
           
+          const idToken = await firebase.auth().currentUser.getIdToken();
           const gradeResponse = await fetch('https://gradeuserbag-lui6djrjya-uc.a.run.app', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}` },
             body: JSON.stringify({ userId: clientId, engine: 'fast' })
           });
           
@@ -1860,6 +1886,9 @@ function openAddClubModal() {
   document.getElementById('shaft-brand').value = '';
   document.getElementById('shaft-model-input').value = '';
   document.getElementById('club-shaft').value = '';
+  document.getElementById('club-swing-weight').value = '';
+  document.getElementById('club-total-weight').value = '';
+  document.getElementById('club-grip-installed').value = '';
   
   // Hide dependent rows
   document.getElementById('club-type-row').style.display = 'none';
@@ -1867,6 +1896,7 @@ function openAddClubModal() {
   document.getElementById('club-model-row').style.display = 'none';
   document.getElementById('club-shaft-brand-row').style.display = 'none';
   document.getElementById('club-shaft-row').style.display = 'none';
+  document.getElementById('club-weight-row').style.display = 'none';
   document.getElementById('club-specs-preview').style.display = 'none';
   
   // Load brands data
@@ -1981,6 +2011,12 @@ async function editClub(clubId) {
     
     document.getElementById('club-shaft-row').style.display = 'block';
     
+    // Club weights are entered by hand (not in clubHeadSpecs)
+    document.getElementById('club-swing-weight').value = currentClubData.swing_weight || '';
+    document.getElementById('club-total-weight').value = currentClubData.total_weight || '';
+    document.getElementById('club-grip-installed').value = currentClubData.grip_installed_at || '';
+    document.getElementById('club-weight-row').style.display = 'block';
+    
     // Show modal
     document.getElementById('club-modal').style.display = 'flex';
     
@@ -2328,8 +2364,9 @@ function selectModel(modelId, displayName) {
     }
   }
   
-  // Show shaft brand field
+  // Show shaft brand and club weight fields
   document.getElementById('club-shaft-brand-row').style.display = 'block';
+  document.getElementById('club-weight-row').style.display = 'block';
   document.getElementById('shaft-brand-input').focus();
 }
 
@@ -2495,6 +2532,15 @@ async function saveClubToFirestore() {
     return;
   }
   
+  // Optional club weights - swing weight as a label like D2 / C9.5
+  const swingWeight = document.getElementById('club-swing-weight').value.trim().toUpperCase().replace(/[\s-]/g, '');
+  const totalWeight = parseFloat(document.getElementById('club-total-weight').value);
+  if (swingWeight && !/^[A-G]\d(\.\d)?$/.test(swingWeight)) {
+    showToast('Swing weight should look like D2 or C9.5', 'error');
+    document.getElementById('club-swing-weight').focus();
+    return;
+  }
+  
   // Look up spec data from cached specs
   const spec = clubHeadSpecsCache ? clubHeadSpecsCache[modelId] : null;
   if (!spec) {
@@ -2541,6 +2587,9 @@ async function saveClubToFirestore() {
     loft: clubSpecData.loft || null,
     lie: clubSpecData.lie || null,  // Standard: lie (not lie_angle)
     length: clubSpecData.length || null,
+    swing_weight: swingWeight || null,
+    total_weight: Number.isFinite(totalWeight) && totalWeight > 0 ? totalWeight : null,
+    grip_installed_at: document.getElementById('club-grip-installed').value || null,
     
     // Reference IDs (for editing/updates)
     clubHeadSpecId: modelId,
@@ -2553,6 +2602,7 @@ async function saveClubToFirestore() {
     shaft_weight: shaftData?.weight || null,
     shaft_torque: shaftData?.torque || null,
     shaft_kickpoint: shaftData?.kickPoint || shaftData?.kickpoint || null,
+    shaft_material: shaftData?.material || null,
     
     updated_at: firebase.firestore.FieldValue.serverTimestamp()
   };
@@ -3060,10 +3110,14 @@ async function confirmRegrade() {
     console.log('📡 Calling gradeUserBag at:', functionUrl);
     console.log('🧠 Engine mode:', engine);
     
+    // gradeUserBag bills the signed-in caller, identified by their ID token
+    const idToken = await firebase.auth().currentUser.getIdToken();
+    
     let response = await fetch(functionUrl, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${idToken}`
       },
       body: JSON.stringify({
         userId: window.currentClient.id,
@@ -3078,12 +3132,17 @@ async function confirmRegrade() {
     const result = await response.json();
     console.log('✅ Bag graded:', result);
     console.log('🧠 Engine used:', result.engineUsed || engine);
+    if (result.aiStatus?.skipped) {
+      console.warn('⚠️ AI skipped:', result.aiStatus.reason, result.aiStatus.skippedSteps);
+    }
     
     // Update the grade display with real data
     updateGradeDisplay(result);
     
-    // Deduct 1 credit from pro account (TODO: implement credit system)
-    console.log('💳 1 credit used for grading');
+    // gradeUserBag debits 1 credit from the pro account - refresh the balance
+    if (typeof loadCreditBalance === 'function') {
+      loadCreditBalance();
+    }
     
     // Close grading modal and stop animation
     stopGradingAnimation();
@@ -3101,7 +3160,9 @@ async function confirmRegrade() {
     document.getElementById('grading-modal').style.display = 'none';
     
     // Show helpful error message
-    if (error.message.includes('404')) {
+    if (error.message.includes('402')) {
+      showToast('Not enough credits to regrade this bag', 'error');
+    } else if (error.message.includes('404')) {
       showToast('Grading function not deployed yet', 'error');
     } else {
       showToast('Error grading bag: ' + error.message, 'error');
@@ -3139,7 +3200,8 @@ function updateGradeDisplay(result) {
     'kickpoint_consistency': 'kickpoint',
     'length_progression': 'length',
     'lie_angle_progression': 'lie',
-    'torque_consistency': 'torque'
+    'torque_consistency': 'torque',
+    'swing_weight_progression': 'swingweight'
   };
   
   // Update each factor score
@@ -3394,6 +3456,419 @@ function scoreToLetterGrade(score) {
   return 'F';
 }
 
+// ============================================
+// BATCH REGRADE (all clients of the pro)
+// ============================================
+let regradeJobUnsubscribers = [];
+
+const regradeStatusLabels = {
+  queued: '⏳ Queued',
+  running: '🔄 Grading...',
+  failed: '⚠️ Failed',
+  no_credits: '⚠️ No credits',
+  no_clubs: '— No bag',
+  skipped: '— Skipped'
+};
+
+/**
+ * Start a background regrade of every client (startBatchRegrade)
+ */
+async function startBatchRegrade() {
+  if (!clientsData.length) {
+    showToast('No clients to regrade', 'error');
+    return;
+  }
+  if (!confirm(`Regrade all ${clientsData.length} clients?\n\nEach regrade uses 1 credit. You can keep working while it runs.`)) {
+    return;
+  }
+  
+  const engine = typeof currentGradingEngine !== 'undefined' ? currentGradingEngine : 'javascript';
+  
+  try {
+    const startRegrade = firebase.functions().httpsCallable('startBatchRegrade');
+    const result = await startRegrade({ engine: engine });
+    console.log('🔄 Batch regrade started:', result.data);
+    watchRegradeJob(result.data.jobId);
+  } catch (error) {
+    console.error('❌ Failed to start batch regrade:', error);
+    showToast('Could not start batch regrade: ' + error.message, 'error');
+  }
+}
+
+async function cancelBatchRegrade(jobId) {
+  try {
+    const cancelRegrade = firebase.functions().httpsCallable('cancelBatchRegrade');
+    await cancelRegrade({ jobId: jobId });
+    showToast('Stopping batch regrade after the clients in progress', 'info');
+  } catch (error) {
+    console.error('❌ Failed to cancel batch regrade:', error);
+    showToast('Could not cancel batch regrade: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Listen to a regrade job and its per-client status docs
+ */
+function watchRegradeJob(jobId) {
+  regradeJobUnsubscribers.forEach(unsubscribe => unsubscribe());
+  
+  const jobRef = db.collection('regradeJobs').doc(jobId);
+  
+  regradeJobUnsubscribers = [
+    jobRef.onSnapshot(doc => {
+      if (doc.exists) renderRegradeJobBanner(jobId, doc.data());
+    }, error => console.error('❌ Regrade job listener error:', error)),
+    
+    jobRef.collection('clients').onSnapshot(snapshot => {
+      snapshot.docChanges().forEach(change => updateClientRegradeStatus(change.doc.data()));
+    }, error => console.error('❌ Regrade client listener error:', error))
+  ];
+}
+
+/**
+ * Show a client's regrade status on its grade badge; done clients get the new grade
+ */
+function updateClientRegradeStatus(clientStatus) {
+  const { clientId, status, afterGrade, scoreChange } = clientStatus;
+  const badge = document.querySelector(`[data-grade-badge="${clientId}"]`);
+  
+  if (status === 'done') {
+    const client = clientsData.find(c => c.id === clientId);
+    if (client) client.bag_grade = afterGrade;
+    if (badge) {
+      badge.textContent = afterGrade || '—';
+      badge.className = 'badge ' + getGradeClass(afterGrade);
+      badge.title = scoreChange ? `${scoreChange > 0 ? '+' : ''}${scoreChange} pts from batch regrade` : '';
+    }
+    return;
+  }
+  
+  if (badge && regradeStatusLabels[status]) {
+    badge.textContent = regradeStatusLabels[status];
+    badge.className = 'badge ' + (status === 'failed' || status === 'no_credits' ? 'badge-red' : 'badge-muted');
+  }
+}
+
+function renderRegradeJobBanner(jobId, job) {
+  const banner = document.getElementById('regrade-job-banner');
+  if (!banner) return;
+  
+  const isActive = job.status === 'queued' || job.status === 'running';
+  banner.style.display = 'block';
+  
+  if (isActive) {
+    const percent = job.total ? Math.round((job.completed / job.total) * 100) : 0;
+    banner.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+        <span style="font-weight: 600;">🔄 Regrading clients... ${job.completed}/${job.total}</span>
+        <button class="table-btn secondary" onclick="cancelBatchRegrade('${jobId}')" ${job.cancelRequested ? 'disabled' : ''}>
+          ${job.cancelRequested ? 'Stopping...' : 'Stop'}
+        </button>
+      </div>
+      <div style="height: 6px; background: var(--bg-main); border-radius: 3px; overflow: hidden;">
+        <div style="width: ${percent}%; height: 100%; background: var(--cyan); transition: width 0.3s;"></div>
+      </div>
+      ${job.failed ? `<div style="margin-top: 6px; font-size: 12px; color: var(--red);">${job.failed} failed</div>` : ''}
+    `;
+    return;
+  }
+  
+  const summary = job.summary || {};
+  const headline = {
+    complete: '✅ Batch regrade complete',
+    cancelled: '⏹ Batch regrade stopped',
+    out_of_credits: '⚠️ Batch regrade stopped - out of credits',
+    stalled: '⚠️ Batch regrade stalled and was closed'
+  }[job.status] || 'Batch regrade finished';
+  
+  const movers = (summary.movers || []).slice(0, 8).map(m => `
+    <div style="display: flex; justify-content: space-between; padding: 3px 0; font-size: 12px;">
+      <span>${m.name || 'Client'}</span>
+      <span>${m.beforeGrade || '—'} → ${m.afterGrade}
+        <span style="color: ${m.scoreChange > 0 ? 'var(--green)' : 'var(--red)'};">(${m.scoreChange > 0 ? '+' : ''}${m.scoreChange})</span>
+      </span>
+    </div>
+  `).join('');
+  
+  banner.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+      <span style="font-weight: 600;">${headline}</span>
+      <button onclick="document.getElementById('regrade-job-banner').style.display='none'" style="background: none; border: none; color: var(--text-muted); cursor: pointer;">✕</button>
+    </div>
+    <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 6px;">
+      ${summary.regraded || 0} regraded • 
+      <span style="color: var(--green);">${summary.improved || 0} up</span> • 
+      <span style="color: var(--red);">${summary.declined || 0} down</span> • 
+      ${summary.unchanged || 0} unchanged
+      ${summary.failed ? ` • ${summary.failed} failed` : ''}${summary.skipped ? ` • ${summary.skipped} skipped` : ''}
+    </div>
+    ${movers}
+  `;
+  
+  // Final grades are in - stop listening and refresh the balance
+  regradeJobUnsubscribers.forEach(unsubscribe => unsubscribe());
+  regradeJobUnsubscribers = [];
+  if (typeof loadCreditBalance === 'function') {
+    loadCreditBalance();
+  }
+}
+
+// ============================================
+// REGRIP REMINDERS (weekly grip wear projection)
+// ============================================
+
+/**
+ * Load open regrip reminders into the client list panel
+ */
+async function loadRegripReminders() {
+  const panel = document.getElementById('regrip-reminders-panel');
+  if (!panel) return;
+  
+  try {
+    const getReminders = firebase.functions().httpsCallable('getRegripReminders');
+    const result = await getReminders({});
+    renderRegripReminders(result.data.reminders || []);
+  } catch (error) {
+    console.error('❌ Error loading regrip reminders:', error);
+  }
+}
+
+function renderRegripReminders(reminders) {
+  const panel = document.getElementById('regrip-reminders-panel');
+  if (!panel) return;
+  
+  if (!reminders.length) {
+    panel.style.display = 'none';
+    return;
+  }
+  
+  const rows = reminders.map(reminder => {
+    const clubs = (reminder.clubs || []).map(club => club.clubType).filter(Boolean).join(', ');
+    const rounds = reminder.rounds_source === 'ghin'
+      ? `${reminder.rounds_per_year} rounds/yr (GHIN)`
+      : `~${reminder.rounds_per_year} rounds/yr (est.)`;
+    return `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 8px 0; border-top: 1px solid var(--border-light);">
+        <div style="min-width: 0;">
+          <div style="font-size: 13px; font-weight: 600; cursor: pointer;" onclick="viewClient('${reminder.client_id}')">${reminder.client_name || 'Client'}</div>
+          <div style="font-size: 11px; color: var(--text-secondary);">
+            ${reminder.clubs_due} grip${reminder.clubs_due > 1 ? 's' : ''} due${reminder.replace_now ? ` • <span style="color: var(--red);">${reminder.replace_now} worn out</span>` : ''} • ${rounds}
+          </div>
+          <div style="font-size: 11px; color: var(--text-muted); white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${clubs}</div>
+        </div>
+        <div style="display: flex; gap: 6px; flex-shrink: 0;">
+          <button class="table-btn" onclick="resolveRegripReminder('${reminder.client_id}', true)">✓ Regripped</button>
+          <button class="table-btn secondary" onclick="resolveRegripReminder('${reminder.client_id}', false)">Dismiss</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  panel.style.display = 'block';
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+      <span style="font-weight: 600;">🧤 Regrip Reminders (${reminders.length})</span>
+      <span style="font-size: 11px; color: var(--text-muted);">Projected from grip install dates and rounds played</span>
+    </div>
+    ${rows}
+  `;
+}
+
+/**
+ * Dismiss a reminder, or record that the clubs were regripped today
+ */
+async function resolveRegripReminder(clientId, regripped) {
+  try {
+    const dismissReminder = firebase.functions().httpsCallable('dismissRegripReminder');
+    await dismissReminder({ clientId: clientId, regripped: regripped });
+    showToast(regripped ? 'Grip install dates updated' : 'Reminder dismissed', 'success');
+    loadRegripReminders();
+  } catch (error) {
+    console.error('❌ Error updating regrip reminder:', error);
+    showToast('Could not update reminder: ' + error.message, 'error');
+  }
+}
+
+// ============================================
+// PHOTO EXTRACTION REVIEW (low-confidence processClubPhotos results)
+// ============================================
+
+let extractionReviews = [];
+let activeExtractionReview = null;
+
+/**
+ * Load open extraction reviews into the client list panel
+ */
+async function loadExtractionReviews() {
+  const panel = document.getElementById('extraction-reviews-panel');
+  if (!panel) return;
+  
+  try {
+    const getReviews = firebase.functions().httpsCallable('getExtractionReviews');
+    const result = await getReviews({});
+    extractionReviews = result.data.reviews || [];
+    renderExtractionReviews();
+  } catch (error) {
+    console.error('❌ Error loading extraction reviews:', error);
+  }
+}
+
+function renderExtractionReviews() {
+  const panel = document.getElementById('extraction-reviews-panel');
+  if (!panel) return;
+  
+  if (!extractionReviews.length) {
+    panel.style.display = 'none';
+    return;
+  }
+  
+  const rows = extractionReviews.map(review => {
+    const reasons = (review.reasons || []).map(reason =>
+      reason === 'backup_failed' ? '<span style="color: var(--red);">backup read failed</span>' : 'low confidence'
+    ).join(' • ');
+    return `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 8px 0; border-top: 1px solid var(--border-light);">
+        <div style="min-width: 0;">
+          <div style="font-size: 13px; font-weight: 600;">${escapeHtml(review.client_name || 'Client')} — ${escapeHtml(review.club_type || 'Club')}</div>
+          <div style="font-size: 11px; color: var(--text-secondary);">
+            ${Math.round(review.overall_confidence * 100)}% confidence • ${review.low_fields} field${review.low_fields === 1 ? '' : 's'} to check • ${reasons}
+          </div>
+        </div>
+        <button class="table-btn" style="flex-shrink: 0;" onclick="openExtractionReview('${review.review_id}')">Review</button>
+      </div>
+    `;
+  }).join('');
+  
+  panel.style.display = 'block';
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+      <span style="font-weight: 600;">📷 Photo Extractions to Review (${extractionReviews.length})</span>
+      <span style="font-size: 11px; color: var(--text-muted);">Corrections are kept to measure extraction accuracy</span>
+    </div>
+    ${rows}
+  `;
+}
+
+function extractionConfidenceClass(confidence) {
+  if (confidence === null || confidence === undefined) return 'low';
+  return confidence >= 0.85 ? 'high' : confidence >= 0.7 ? 'medium' : 'low';
+}
+
+/**
+ * Show the photos next to each extracted field with its confidence
+ */
+function openExtractionReview(reviewId) {
+  activeExtractionReview = extractionReviews.find(review => review.review_id === reviewId);
+  if (!activeExtractionReview) return;
+  
+  const review = activeExtractionReview;
+  const photoUrls = Object.values(review.photos || {})
+    .filter(url => typeof url === 'string' && url.startsWith('https://'));
+  
+  // Least confident fields first so the pro starts where the model struggled
+  const fields = [...(review.fields || [])].sort((a, b) => (a.confidence ?? -1) - (b.confidence ?? -1));
+  const rows = fields.map(field => `
+    <tr class="${field.low ? 'low-confidence' : ''}" data-field="${field.field}">
+      <td style="font-weight: 600;">${escapeHtml(field.field)}</td>
+      <td><input type="text"></td>
+      <td><span class="extraction-confidence ${extractionConfidenceClass(field.confidence)}">${field.confidence === null ? '—' : Math.round(field.confidence * 100) + '%'}</span></td>
+      <td>
+        <select class="extraction-action">
+          <option value="accept">Accept</option>
+          <option value="correct">Correct</option>
+          <option value="reject">Reject</option>
+        </select>
+      </td>
+    </tr>
+  `).join('');
+  
+  document.getElementById('extraction-review-body').innerHTML = `
+    <div style="font-size: 13px; margin-bottom: 10px;">
+      <strong>${escapeHtml(review.client_name || 'Client')}</strong> — ${escapeHtml(review.club_type || 'Club')}
+      <span style="color: var(--text-muted);">• ${Math.round(review.overall_confidence * 100)}% overall • read by ${escapeHtml(review.source || 'unknown')}</span>
+    </div>
+    <div class="extraction-review-photos">${photoUrls.length ? '' : '<span style="color: var(--text-muted);">No photos stored</span>'}</div>
+    <table class="extraction-review-table">
+      <thead><tr><th>Field</th><th>Extracted value</th><th>Confidence</th><th>Decision</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  
+  // Photo URLs and values set as properties so quotes in them can't break the markup
+  const photoContainer = document.querySelector('#extraction-review-body .extraction-review-photos');
+  photoUrls.forEach(url => {
+    const link = document.createElement('a');
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    const img = document.createElement('img');
+    img.src = url;
+    img.alt = 'Club photo';
+    link.appendChild(img);
+    photoContainer.appendChild(link);
+  });
+  
+  document.querySelectorAll('#extraction-review-body tr[data-field]').forEach(row => {
+    const field = fields.find(f => f.field === row.dataset.field);
+    const input = row.querySelector('input');
+    const action = row.querySelector('.extraction-action');
+    const original = field.value === null || field.value === undefined ? '' : String(field.value);
+    input.value = original;
+    input.dataset.original = original;
+    
+    // Editing the value makes it a correction; restoring it goes back to accept
+    input.addEventListener('input', () => {
+      action.value = input.value.trim() === original ? 'accept' : 'correct';
+      row.classList.remove('rejected');
+    });
+    action.addEventListener('change', () => {
+      row.classList.toggle('rejected', action.value === 'reject');
+      if (action.value === 'accept') input.value = original;
+    });
+  });
+  
+  openModal('extraction-review-modal');
+}
+
+/**
+ * Send accept / correct / reject decisions for every field
+ */
+async function submitExtractionReview() {
+  if (!activeExtractionReview) return;
+  
+  const decisions = {};
+  let missingCorrection = null;
+  document.querySelectorAll('#extraction-review-body tr[data-field]').forEach(row => {
+    const action = row.querySelector('.extraction-action').value;
+    const value = row.querySelector('input').value.trim();
+    if (action === 'correct' && !value) missingCorrection = row.dataset.field;
+    decisions[row.dataset.field] = action === 'correct' ? { action, value } : { action };
+  });
+  
+  if (missingCorrection) {
+    showToast(`Enter the correct value for ${missingCorrection} or reject it`, 'error');
+    return;
+  }
+  
+  const button = document.getElementById('extraction-review-submit-btn');
+  button.disabled = true;
+  
+  try {
+    const resolveReview = firebase.functions().httpsCallable('resolveExtractionReview');
+    const result = await resolveReview({ reviewId: activeExtractionReview.review_id, decisions: decisions });
+    const counts = result.data.decisions;
+    showToast(`Review saved: ${counts.accept} accepted, ${counts.correct} corrected, ${counts.reject} rejected`, 'success');
+    closeModal('extraction-review-modal');
+    activeExtractionReview = null;
+    loadExtractionReviews();
+  } catch (error) {
+    console.error('❌ Error saving extraction review:', error);
+    showToast('Could not save review: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
 // ============================================
 // GRADING ANIMATION
 // ============================================
@@ -3507,13 +3982,26 @@ async function openProfileModal(clientId) {
     // Populate favorite club dropdown
     await populateFavoriteClubDropdown(clientId);
     
+    // Populate grading weight profile dropdown
+    await populateWeightProfileDropdown(client);
+    
+    // Populate loft gap threshold set dropdown
+    await populateLoftGapSetDropdown(client);
+    
     // Capture original baseline values for regrade detection
     originalBaselineValues = {
+      weight_profile_id: client.weight_profile_id || null,
+      loft_gap_set_id: client.loft_gap_set_id || null,
       favorite_club_id: client.favorite_club_id || null,
       use_favorite_baseline: client.use_favorite_baseline || false,
       height_inches: client.height_inches || null,
       wrist_to_floor: client.wrist_to_floor || null,
-      use_body_baseline: client.use_body_baseline || false
+      use_body_baseline: client.use_body_baseline || false,
+      grip_fit: {
+        handLength: client.grip_fit?.hand_length || null,
+        fingerLength: client.grip_fit?.finger_length || null,
+        gloveSize: client.grip_fit?.glove_size || null
+      }
     };
     console.log('📌 Captured original baseline values:', originalBaselineValues);
     
@@ -3591,6 +4079,12 @@ function populateProfileForm(client) {
   // Body Fit Baseline
   setChecked('profile-use-body-baseline', client.use_body_baseline);
   
+  // Grip Fitting
+  setVal('profile-hand-length', client.grip_fit?.hand_length);
+  setVal('profile-finger-length', client.grip_fit?.finger_length);
+  setVal('profile-glove-size', client.grip_fit?.glove_size);
+  renderGripFitResult(client.grip_fit);
+  
   // Preferences
   setVal('profile-ball-flight', client.ball_flight || 'none');
   setVal('profile-primary-goal', client.primary_goal);
@@ -3666,6 +4160,177 @@ async function populateFavoriteClubDropdown(clientId) {
   }
 }
 
+/**
+ * Populate grading weight profile dropdown with the pro's saved profiles
+ */
+async function populateWeightProfileDropdown(client) {
+  const select = document.getElementById('profile-weight-profile');
+  if (!select) return;
+  select.innerHTML = '<option value="">Use my default profile</option>';
+  
+  try {
+    const getProfiles = firebase.functions().httpsCallable('getWeightProfiles');
+    const result = await getProfiles({});
+    
+    result.data.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name + (profile.isDefault ? ' (default)' : '');
+      select.appendChild(option);
+    });
+    
+    select.value = client.weight_profile_id || '';
+    
+  } catch (error) {
+    console.error('❌ Error loading weight profiles:', error);
+  }
+}
+
+/**
+ * Populate loft gap threshold set dropdown with the pro's custom and built-in sets
+ */
+async function populateLoftGapSetDropdown(client) {
+  const select = document.getElementById('profile-loft-gap-set');
+  if (!select) return;
+  select.innerHTML = '<option value="">Automatic (swing speed &amp; handicap)</option>';
+  
+  try {
+    const getSets = firebase.functions().httpsCallable('getLoftGapSets');
+    const result = await getSets({});
+    
+    result.data.sets.forEach(set => {
+      const option = document.createElement('option');
+      option.value = set.id;
+      option.textContent = set.name + (set.custom ? '' : ' (built-in)');
+      select.appendChild(option);
+    });
+    
+    select.value = client.loft_gap_set_id || '';
+    
+  } catch (error) {
+    console.error('❌ Error loading loft gap sets:', error);
+  }
+}
+
+/**
+ * Show the fitted grip size under the grip fitting inputs
+ */
+function renderGripFitResult(gripFit) {
+  const el = document.getElementById('profile-grip-fit-result');
+  if (!el) return;
+  
+  if (!gripFit || !gripFit.recommended_size) {
+    el.textContent = '—';
+    return;
+  }
+  
+  const size = gripFit.recommended_size.charAt(0).toUpperCase() + gripFit.recommended_size.slice(1);
+  const wraps = gripFit.extra_wraps > 0 ? ` + ${gripFit.extra_wraps} wrap${gripFit.extra_wraps > 1 ? 's' : ''}` : '';
+  el.innerHTML = `<strong>${size}${wraps}</strong>
+    <div style="font-size: 11px; color: var(--text-secondary);">${gripFit.tape_layers} tape layer${gripFit.tape_layers > 1 ? 's' : ''}</div>`;
+}
+
+/**
+ * Grip fitting inputs as sent to saveGripFit
+ */
+function readGripFitInputs() {
+  return {
+    handLength: parseFloat(document.getElementById('profile-hand-length')?.value) || null,
+    fingerLength: parseFloat(document.getElementById('profile-finger-length')?.value) || null,
+    gloveSize: document.getElementById('profile-glove-size')?.value || null
+  };
+}
+
+/**
+ * Open the printable static fit card for the client in the profile modal
+ */
+async function openStaticFitCard() {
+  const card = document.getElementById('static-fit-card');
+  if (!card || !currentProfileClientId) return;
+
+  card.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--text-secondary);">Building spec sheet...</div>';
+  document.getElementById('static-fit-print-btn').disabled = true;
+  openModal('static-fit-modal');
+
+  try {
+    const getStaticFitReport = firebase.functions().httpsCallable('getStaticFitReport');
+    const result = await getStaticFitReport({ clientId: currentProfileClientId });
+    renderStaticFitCard(result.data);
+    document.getElementById('static-fit-print-btn').disabled = false;
+  } catch (error) {
+    console.error('❌ Error loading static fit report:', error);
+    card.innerHTML = `<div style="padding: 20px; text-align: center; color: var(--red);">${error.message}</div>`;
+  }
+}
+
+function renderStaticFitCard(report) {
+  const card = document.getElementById('static-fit-card');
+  if (!card) return;
+
+  const signed = (value, unit) => value > 0 ? `+${value}${unit}` : `${value}${unit}`;
+  const capitalize = (text) => text ? text.charAt(0).toUpperCase() + text.slice(1) : '—';
+  const cell = (spec, format) => {
+    const current = spec.current !== null && spec.current !== undefined ? format(spec.current) : '—';
+    const diff = spec.difference ? ` <span style="font-size: 10px;">(${signed(spec.difference, '')})</span>` : '';
+    return `<td${spec.deviates ? ' class="static-fit-deviates"' : ''}>${current}${spec.deviates ? diff : ''}</td>`;
+  };
+
+  const gripLabel = report.grip
+    ? `${capitalize(report.grip.size)}${report.grip.extraWraps ? ` + ${report.grip.extraWraps} wrap${report.grip.extraWraps > 1 ? 's' : ''}` : ''}`
+    : 'Not fitted';
+
+  const rows = report.clubs.map(club => `
+    <tr>
+      <td><strong>${club.clubType}</strong>${club.deviates ? ' <span style="color: var(--red);">⚠</span>' : ''}</td>
+      <td>${club.length.recommended !== null ? club.length.recommended + '"' : '—'}</td>
+      ${cell(club.length, value => value + '"')}
+      <td>${club.lie.recommended !== null ? club.lie.recommended + '°' : '—'}</td>
+      ${cell(club.lie, value => value + '°')}
+      <td>${capitalize(club.grip.recommended)}</td>
+      <td${club.grip.deviates ? ' class="static-fit-deviates"' : ''}>${capitalize(club.grip.current)}</td>
+    </tr>
+  `).join('');
+
+  const notes = (report.notes || []).map(note => `<div>• ${note}</div>`).join('');
+
+  card.innerHTML = `
+    <div class="static-fit-header">
+      <div>
+        <div style="font-size: 16px; font-weight: 600;">${report.clientName || 'Golfer'}</div>
+        <div style="font-size: 12px; color: var(--text-secondary);">Static fit • ${new Date().toLocaleDateString()}</div>
+      </div>
+      <div style="text-align: right; font-size: 12px;">
+        <div>Height <strong>${report.heightDisplay}</strong> • Wrist-to-floor <strong>${report.wristToFloor}"</strong></div>
+        <div>Length <strong>${signed(report.lengthAdjustment, '"')}</strong> • Lie <strong>${report.lieAdjustment ? `${Math.abs(report.lieAdjustment)}° ${report.lieDirection}` : 'standard'}</strong> • Grip <strong>${gripLabel}</strong></div>
+      </div>
+    </div>
+    <table class="static-fit-table">
+      <thead>
+        <tr>
+          <th>Club</th>
+          <th>Length</th><th>Current</th>
+          <th>Lie</th><th>Current</th>
+          <th>Grip</th><th>Current</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div style="font-size: 11px; color: var(--text-secondary); margin-top: 10px;">
+      ${report.deviations} club${report.deviations === 1 ? '' : 's'} off spec. Lie is a starting point for irons and wedges - confirm with a dynamic lie test.
+      ${notes}
+    </div>
+  `;
+}
+
+/**
+ * Print only the fit card (see @media print in styles.css)
+ */
+function printStaticFitCard() {
+  document.body.classList.add('printing-static-fit');
+  window.print();
+  document.body.classList.remove('printing-static-fit');
+}
+
 /**
  * Switch between profile tabs
  */
@@ -3827,6 +4492,33 @@ async function saveProfile() {
     // Save to Firebase
     await db.collection('users').doc(currentProfileClientId).update(profileData);
     
+    // Weight profile override is validated server-side (pro must own the profile)
+    const newWeightProfileId = document.getElementById('profile-weight-profile')?.value || null;
+    if (originalBaselineValues && newWeightProfileId !== originalBaselineValues.weight_profile_id) {
+      const setClientWeightProfile = firebase.functions().httpsCallable('setClientWeightProfile');
+      await setClientWeightProfile({ clientId: currentProfileClientId, profileId: newWeightProfileId });
+      profileData.weight_profile_id = newWeightProfileId;
+    }
+    
+    // Loft gap set override is validated server-side the same way
+    const newLoftGapSetId = document.getElementById('profile-loft-gap-set')?.value || null;
+    if (originalBaselineValues && newLoftGapSetId !== originalBaselineValues.loft_gap_set_id) {
+      const setClientLoftGapSet = firebase.functions().httpsCallable('setClientLoftGapSet');
+      await setClientLoftGapSet({ clientId: currentProfileClientId, setId: newLoftGapSetId });
+      profileData.loft_gap_set_id = newLoftGapSetId;
+    }
+    
+    // Grip size recommendation is computed server-side from the measurements
+    const newGripFit = readGripFitInputs();
+    const gripFitChanged = originalBaselineValues &&
+      JSON.stringify(newGripFit) !== JSON.stringify(originalBaselineValues.grip_fit);
+    if (gripFitChanged) {
+      const saveGripFit = firebase.functions().httpsCallable('saveGripFit');
+      const gripFitResult = await saveGripFit({ clientId: currentProfileClientId, ...newGripFit });
+      profileData.grip_fit = gripFitResult.data.gripFit;
+      renderGripFitResult(profileData.grip_fit);
+    }
+    
     // Update local clientsData
     const clientIndex = clientsData.findIndex(c => c.id === currentProfileClientId);
     if (clientIndex !== -1) {
@@ -3870,11 +4562,14 @@ async function saveProfile() {
     });
     
     const baselineChanged = originalBaselineValues && (
+      newWeightProfileId !== originalBaselineValues.weight_profile_id ||
+      newLoftGapSetId !== originalBaselineValues.loft_gap_set_id ||
       newFavoriteClubId !== originalBaselineValues.favorite_club_id ||
       newUseFavoriteBaseline !== originalBaselineValues.use_favorite_baseline ||
       newTotalHeightInches !== originalBaselineValues.height_inches ||
       newWristToFloor !== originalBaselineValues.wrist_to_floor ||
-      newUseBodyBaseline !== originalBaselineValues.use_body_baseline
+      newUseBodyBaseline !== originalBaselineValues.use_body_baseline ||
+      gripFitChanged
     );
     
     console.log('🔍 Baseline changed:', baselineChanged);
@@ -4159,10 +4854,14 @@ async function openSwapModal(clubId) {
           loft: result.specs?.loft || club.loft,
           lie: result.specs?.lie || club.lie,
           length: result.specs?.length || club.length,
+          swing_weight: result.specs?.swing_weight || club.swing_weight,
+          total_weight: result.specs?.total_weight || club.total_weight,
+          grip_installed_at: result.specs?.grip_installed_at || club.grip_installed_at || null,
           shaft_brand: result.shaftBrand,
           shaft_model: result.shaftModel,
           shaft_weight: result.shaftSpecs?.weight,
           shaft_flex: result.shaftSpecs?.flex,
+          shaft_material: result.shaftSpecs?.material || null,
           shaftId: result.shaftId
         };
         
@@ -4557,13 +5256,13 @@ function confirmSwap() {
     const stockId = document.getElementById('swap-stock-info').dataset.shaftId;
     if (stockId && shaftSpecsCache[stockId]) {
       const s = shaftSpecsCache[stockId];
-      shaftData = { shaft_brand: s.brand, shaft_model: s.model, shaft_weight: s.weight, shaft_flex: s.flex, shaftId: stockId };
+      shaftData = { shaft_brand: s.brand, shaft_model: s.model, shaft_weight: s.weight, shaft_flex: s.flex, shaft_material: s.material || null, shaftId: stockId };
     }
   } else {
     const shaftId = document.getElementById('swap-shaft-model').value;
     if (shaftId && shaftSpecsCache[shaftId]) {
       const s = shaftSpecsCache[shaftId];
-      shaftData = { shaft_brand: s.brand, shaft_model: s.model, shaft_weight: s.weight, shaft_flex: s.flex, shaftId: shaftId };
+      shaftData = { shaft_brand: s.brand, shaft_model: s.model, shaft_weight: s.weight, shaft_flex: s.flex, shaft_material: s.material || null, shaftId: shaftId };
     }
   }
   
@@ -4640,10 +5339,14 @@ function addScenarioClub() {
           loft: result.specs?.loft,
           lie: result.specs?.lie,
           length: result.specs?.length,
+          swing_weight: result.specs?.swing_weight,
+          total_weight: result.specs?.total_weight,
+          grip_installed_at: result.specs?.grip_installed_at || null,
           shaft_brand: result.shaftBrand,
           shaft_model: result.shaftModel,
           shaft_weight: result.shaftSpecs?.weight,
           shaft_flex: result.shaftSpecs?.flex,
+          shaft_material: result.shaftSpecs?.material || null,
           shaftId: result.shaftId
         };
         
@@ -4704,7 +5407,7 @@ function resetScenario() {
 }
 
 /**
- * Run scenario analysis - calls gradeUserBag with scenario mode
+ * Run scenario analysis - calls the runScenario callable (grades current and virtual bag side by side)
  */
 async function runScenarioAnalysis() {
   const userId = window.currentClient?.id;
@@ -4728,49 +5431,27 @@ async function runScenarioAnalysis() {
   btn.textContent = 'Analyzing...';
   
   try {
-    // Build temp bag: original clubs with swaps applied, removals excluded, adds included
-    let tempBag = (window.currentClientClubs || [])
-      .filter(club => !pendingRemovals.has(club.id))  // Exclude removed
-      .map(club => {
-        if (pendingSwaps[club.id]) {
-          return pendingSwaps[club.id].replacement;
-        }
-        return club;
-      });
-    
-    // Add new clubs
-    tempBag = tempBag.concat(pendingAdds);
-    
     // Build scenario name
     const parts = [];
     if (swapCount > 0) parts.push(`${swapCount} swap`);
     if (addCount > 0) parts.push(`${addCount} add`);
     if (removeCount > 0) parts.push(`${removeCount} remove`);
     
-    console.log('🔄 Running scenario with temp bag:', tempBag);
-    
-    // Call gradeUserBag with scenario mode (same function, different params)
-    const functionUrl = 'https://gradeuserbag-lui6djrjya-uc.a.run.app';
-    
-    const response = await fetch(functionUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        userId: userId,
-        clubs: tempBag,
-        isScenario: true,
-        scenarioName: `Scenario - ${parts.join(', ')}`
-      })
+    // Server applies the same changes applyScenario would to a virtual copy of the bag
+    const runScenario = firebase.functions().httpsCallable('runScenario');
+    const result = await runScenario({
+      userId: userId,
+      swaps: Object.entries(pendingSwaps).map(([clubId, swap]) => ({
+        club_id: clubId,
+        replacement: swap.replacement
+      })),
+      additions: pendingAdds,
+      removals: Array.from(pendingRemovals),
+      scenarioName: `Scenario - ${parts.join(', ')}`
     });
+    console.log('✅ Scenario graded:', result.data);
     
-    if (!response.ok) {
-      throw new Error(`HTTP error: ${response.status}`);
-    }
-    
-    const result = await response.json();
-    console.log('✅ Scenario graded:', result);
-    
-    displayScenarioResults(result);
+    displayScenarioResults(result.data);
     
   } catch (error) {
     console.error('❌ Scenario failed:', error);
@@ -4836,7 +5517,8 @@ function displayScenarioResults(result) {
     kickpointConsistency: 'Kickpoint Consistency',
     torqueConsistency: 'Torque Consistency',
     lengthProgression: 'Length Progression',
-    lieAngleProgression: 'Lie Angle Progression'
+    lieAngleProgression: 'Lie Angle Progression',
+    swingWeightProgression: 'Swing Weight Progression'
   };
   
   Object.entries(factorNames).forEach(([key, label]) => {
@@ -4870,34 +5552,34 @@ function displayScenarioResults(result) {
  * Apply scenario changes to actual bag
  */
 async function applyScenarioToBag() {
-  if (Object.keys(pendingSwaps).length === 0) return;
+  const totalChanges = Object.keys(pendingSwaps).length + pendingAdds.length + pendingRemovals.size;
+  if (totalChanges === 0) return;
   
   const userId = window.currentClient?.id;
   if (!userId) return;
   
   try {
-    // Update each swapped club in Firestore
-    for (const [clubId, swap] of Object.entries(pendingSwaps)) {
-      const clubRef = db.collection('users').doc(userId).collection('clubs').doc(clubId);
-      await clubRef.update({
-        brand: swap.replacement.brand,
-        model: swap.replacement.model,
-        year: swap.replacement.year,
-        clubHeadSpecId: swap.replacement.clubHeadSpecId,
-        loft: swap.replacement.loft,
-        lie: swap.replacement.lie,
-        length: swap.replacement.length,
-        shaft_brand: swap.replacement.shaft_brand,
-        shaft_model: swap.replacement.shaft_model,
-        shaft_weight: swap.replacement.shaft_weight,
-        shaft_flex: swap.replacement.shaft_flex,
-        shaftId: swap.replacement.shaftId,
-        updated_at: firebase.firestore.FieldValue.serverTimestamp()
-      });
-    }
+    // Server archives swapped-out clubs, writes replacements, logs undoable history and regrades
+    const applyScenario = firebase.functions().httpsCallable('applyScenario');
+    const result = await applyScenario({
+      userId: userId,
+      swaps: Object.entries(pendingSwaps).map(([clubId, swap]) => ({
+        club_id: clubId,
+        replacement: swap.replacement
+      })),
+      additions: pendingAdds,
+      removals: Array.from(pendingRemovals)
+    });
     
-    showToast('Changes applied to bag!', 'success');
+    console.log('✅ Scenario applied:', result.data);
+    const newGrade = result.data.newGrade?.letterGrade;
+    const undoAction = result.data.canUndo
+      ? { label: 'Undo', onClick: () => undoBagChange(userId, result.data.changeId) }
+      : null;
+    showToast(newGrade ? `Changes applied to bag! New grade: ${newGrade}` : 'Changes applied to bag!', 'success', undoAction);
     pendingSwaps = {};
+    pendingAdds = [];
+    pendingRemovals.clear();
     
     // Refresh the bag
     if (typeof loadClientData === 'function') {
@@ -4915,6 +5597,30 @@ async function applyScenarioToBag() {
   }
 }
 
+/**
+ * Undo an applied scenario (restores archived clubs, archives added ones, regrades)
+ */
+async function undoBagChange(userId, changeId) {
+  try {
+    const undo = firebase.functions().httpsCallable('undoBagChange');
+    const result = await undo({
+      changeId: changeId,
+      clientId: userId !== currentUser?.uid ? userId : undefined
+    });
+    
+    console.log('✅ Bag change undone:', result.data);
+    const restoredGrade = result.data.restoredGrade?.letterGrade;
+    showToast(restoredGrade ? `Bag restored! Grade: ${restoredGrade}` : 'Bag restored to previous state', 'success');
+    
+    if (typeof loadClientData === 'function') {
+      await loadClientData(userId);
+    }
+  } catch (error) {
+    console.error('❌ Failed to undo changes:', error);
+    showToast('Failed to undo: ' + error.message, 'error');
+  }
+}
+
 /**
  * Entry point from club card scenario button
  */
@@ -4970,7 +5676,7 @@ function formatFactorName(factor) {
  * @param {string} message - Message to display
  * @param {string} type - 'success', 'error', or 'info'
  */
-function showToast(message, type = 'info') {
+function showToast(message, type = 'info', action = null) {
   // Remove existing toast if any
   const existingToast = document.getElementById('toast-notification');
   if (existingToast) existingToast.remove();
@@ -5007,6 +5713,19 @@ function showToast(message, type = 'info') {
   }
   
   toast.textContent = message;
+  
+  // Optional action button ({ label, onClick }), e.g. Undo after applying a scenario
+  if (action) {
+    const actionBtn = document.createElement('button');
+    actionBtn.textContent = action.label;
+    actionBtn.style.cssText = 'margin-left: 12px; background: none; border: 1px solid white; border-radius: 6px; color: white; padding: 2px 10px; cursor: pointer; font-weight: 600;';
+    actionBtn.onclick = () => {
+      toast.remove();
+      action.onClick();
+    };
+    toast.appendChild(actionBtn);
+  }
+  
   document.body.appendChild(toast);
   
   // Fade in
@@ -5014,11 +5733,11 @@ function showToast(message, type = 'info') {
     toast.style.opacity = '1';
   });
   
-  // Auto remove after 3 seconds
+  // Auto remove after 3 seconds (10 when there is an action to take)
   setTimeout(() => {
     toast.style.opacity = '0';
     setTimeout(() => toast.remove(), 300);
-  }, 3000);
+  }, action ? 10000 : 3000);
 }
 
 // Log ready state
@@ -5299,6 +6018,7 @@ async function applySavedScenario(scenarioId) {
             shaft_model: swap.replacement.shaft_model || '',
             shaft_weight: swap.replacement.shaft_weight || null,
             shaft_flex: swap.replacement.shaft_flex || '',
+            shaft_material: swap.replacement.shaft_material || null,
             updated_at: firebase.firestore.FieldValue.serverTimestamp()
           });
         }
@@ -152,6 +152,8 @@
       clubType: clubData.clubType || clubData.club_type,
       category: clubData.category,
       title: `Edit ${clubData.clubType || clubData.club_type}`,
+      // Club added from photos but never matched to the catalog
+      catalogMatches: clubData.clubHeadSpecId ? null : clubData.catalogMatch || null,
       prefill: {
         brand: clubData.brand,
         model: clubData.model,
@@ -163,12 +165,16 @@
           weight: clubData.shaft_weight,
           flex: clubData.shaft_flex,
           kickPoint: clubData.shaft_kickpoint,
-          torque: clubData.shaft_torque
+          torque: clubData.shaft_torque,
+          material: clubData.shaft_material
         },
         specs: {
           loft: clubData.loft,
           lie: clubData.lie,
-          length: clubData.length
+          length: clubData.length,
+          swing_weight: clubData.swing_weight,
+          total_weight: clubData.total_weight,
+          grip_installed_at: clubData.grip_installed_at
         }
       },
       onSelect: async (result) => {
@@ -363,6 +369,9 @@
       loft: club.specs?.loft || null,
       lie: club.specs?.lie || null,
       length: club.specs?.length || null,
+      swing_weight: club.specs?.swing_weight || null,
+      total_weight: club.specs?.total_weight || null,
+      grip_installed_at: club.specs?.grip_installed_at || null,
       
       // Shaft
       shaft_brand: club.shaftBrand || '',
@@ -371,6 +380,7 @@
       shaft_flex: club.shaftSpecs?.flex || null,
       shaft_kickpoint: club.shaftSpecs?.kickPoint || null,
       shaft_torque: club.shaftSpecs?.torque || null,
+      shaft_material: club.shaftSpecs?.material || null,
       isManualShaft: club.isManualShaft || false,
       
       // Metadata
@@ -404,6 +414,9 @@
       loft: result.specs?.loft || null,
       lie: result.specs?.lie || null,
       length: result.specs?.length || null,
+      swing_weight: result.specs?.swing_weight || null,
+      total_weight: result.specs?.total_weight || null,
+      grip_installed_at: result.specs?.grip_installed_at || null,
       
       // Shaft
       shaft_brand: result.shaftBrand || '',
@@ -412,6 +425,7 @@
       shaft_flex: result.shaftSpecs?.flex || null,
       shaft_kickpoint: result.shaftSpecs?.kickPoint || null,
       shaft_torque: result.shaftSpecs?.torque || null,
+      shaft_material: result.shaftSpecs?.material || null,
       isManualShaft: result.isManualShaft || false,
       
       // Metadata
@@ -11,6 +11,7 @@
  * - Firestore persistence (users/{id}/tests subcollection)
  * - Teaser grade preview (free) with upsell
  * - "Add Winner to Scenario" flow
+ * - Multi-shot statistics (mean/SD, dispersion, outlier rejection) behind the winner call
  * 
  * Usage:
  *   TestingTab.init(db, userId);
@@ -40,12 +41,29 @@ const TestingTab = (function() {
     clubB: null,          // Comparison club
     clubAData: {},        // Performance metrics
     clubBData: {},        // Performance metrics
+    clubAShots: [],       // Individual shots (each a metrics object) - the one shot list
+    clubBShots: [],       // index.html's capture form reads/writes through addShot/getShots
     goals: [],
     winner: null,
+    comparison: null,     // compareShotSets() result
     aiAnalysis: null,
     netGains: {}
   };
 
+  // Metrics averaged across a club's shots
+  const SHOT_METRICS = [
+    'ballSpeed', 'carry', 'launch', 'spin', 'clubSpeed', 'totalDistance', 'attackAngle',
+    'smashFactor', 'clubPath', 'faceAngle', 'height', 'launchDirection', 'side', 'curve'
+  ];
+
+  // Mishits show up as outliers in these; one flag drops the whole shot
+  const OUTLIER_METRICS = ['carry', 'ballSpeed'];
+  const OUTLIER_Z_SCORE = 3.5;        // Modified z-score (median absolute deviation)
+  const MIN_SHOTS_FOR_OUTLIERS = 4;
+
+  const CARRY_TIE_YARDS = 2;          // Carry gap below this is never a win
+  const CONSISTENCY_RATIO = 0.7;      // Tighter club wins a carry tie when its SD is ≤70% of the other's
+
   // ============================================
   // INITIALIZATION
   // ============================================
@@ -471,12 +489,213 @@ const TestingTab = (function() {
     document.getElementById('photo-capture-zone-b').style.display = 'none';
   }
 
+  // ============================================
+  // SHOT CAPTURE
+  // ============================================
+
+  function shotList(club) {
+    return club === 'b' ? currentTest.clubBShots : currentTest.clubAShots;
+  }
+
+  /**
+   * Add one shot (metrics object) for club 'a' or 'b'
+   */
+  function addShot(club, shot) {
+    shotList(club).push(shot);
+    currentTest.comparison = null;
+  }
+
+  function removeShot(club, index) {
+    shotList(club).splice(index, 1);
+    currentTest.comparison = null;
+  }
+
+  function getShots(club) {
+    return shotList(club);
+  }
+
+  function clearShots() {
+    currentTest.clubAShots = [];
+    currentTest.clubBShots = [];
+    currentTest.comparison = null;
+  }
+
   function hasValidData() {
-    const aValid = currentTest.clubAData?.ballSpeed && currentTest.clubAData?.carry;
-    const bValid = currentTest.clubBData?.ballSpeed && currentTest.clubBData?.carry;
+    const aValid = currentTest.clubAShots.length > 0 || (currentTest.clubAData?.ballSpeed && currentTest.clubAData?.carry);
+    const bValid = currentTest.clubBShots.length > 0 || (currentTest.clubBData?.ballSpeed && currentTest.clubBData?.carry);
     return aValid && bValid;
   }
 
+  // ============================================
+  // SHOT STATISTICS
+  // ============================================
+
+  function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  // Sample standard deviation (n - 1)
+  function stdDev(values) {
+    if (values.length < 2) return 0;
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+  }
+
+  // Standard normal CDF (Abramowitz & Stegun 7.1.26)
+  function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  function metricValues(shots, metric) {
+    return shots.map(shot => shot[metric]).filter(v => typeof v === 'number' && !isNaN(v));
+  }
+
+  /**
+   * Indexes of mishit shots (carry or ball speed far from the rest)
+   */
+  function findOutliers(shots) {
+    const outliers = new Set();
+    if (shots.length < MIN_SHOTS_FOR_OUTLIERS) return outliers;
+
+    OUTLIER_METRICS.forEach(metric => {
+      const values = metricValues(shots, metric);
+      if (values.length < MIN_SHOTS_FOR_OUTLIERS) return;
+
+      const med = median(values);
+      const mad = median(values.map(v => Math.abs(v - med)));
+      if (mad === 0) return;
+
+      shots.forEach((shot, i) => {
+        if (typeof shot[metric] !== 'number') return;
+        if (Math.abs(0.6745 * (shot[metric] - med) / mad) > OUTLIER_Z_SCORE) outliers.add(i);
+      });
+    });
+
+    return outliers;
+  }
+
+  /**
+   * Per-metric mean/SD for one club's shots after outlier rejection
+   * @param {Array} shots - Metrics objects, one per shot
+   * @returns {Object} { total, kept, rejected, metrics: { carry: { n, mean, sd, min, max } }, means, dispersion }
+   */
+  function summarizeShots(shots) {
+    const valid = (shots || []).filter(shot => shot && shot.ballSpeed && shot.carry);
+    const outliers = findOutliers(valid);
+    const kept = valid.filter((_, i) => !outliers.has(i));
+
+    const metrics = {};
+    const means = {};
+    SHOT_METRICS.forEach(metric => {
+      const values = metricValues(kept, metric);
+      if (values.length === 0) return;
+      metrics[metric] = {
+        n: values.length,
+        mean: mean(values),
+        sd: stdDev(values),
+        min: Math.min(...values),
+        max: Math.max(...values)
+      };
+      means[metric] = metrics[metric].mean;
+    });
+
+    return {
+      total: valid.length,
+      kept: kept.length,
+      rejected: [...outliers],
+      metrics,
+      means,
+      dispersion: {
+        carry: metrics.carry && metrics.carry.n > 1 ? metrics.carry.sd : null,
+        offline: metrics.side && metrics.side.n > 1 ? metrics.side.sd : null,
+        startLine: metrics.launchDirection && metrics.launchDirection.n > 1 ? metrics.launchDirection.sd : null
+      }
+    };
+  }
+
+  /**
+   * Pick a winner from two sets of shots
+   *
+   * Carry decides when the gap is more than CARRY_TIE_YARDS and at least one
+   * standard error; two standard errors is high confidence. Otherwise the
+   * tighter-dispersing club wins on consistency, else it's a tie.
+   *
+   * @returns {Object} { a, b, winner: 'a'|'b'|'tie', reason, confidence: 'high'|'medium'|'low',
+   *                     carryDiff, standardError, probability, message }
+   */
+  function compareShotSets(shotsA, shotsB) {
+    const a = summarizeShots(shotsA);
+    const b = summarizeShots(shotsB);
+    const carryDiff = (b.means.carry || 0) - (a.means.carry || 0);
+    const result = { a, b, carryDiff, standardError: null, probability: null };
+
+    // One shot per club - no spread to judge, fall back to the yardage threshold
+    if (a.kept < 2 || b.kept < 2) {
+      const winner = carryDiff > CARRY_TIE_YARDS ? 'b' : carryDiff < -CARRY_TIE_YARDS ? 'a' : 'tie';
+      return {
+        ...result,
+        winner,
+        reason: 'single_shot',
+        confidence: 'low',
+        message: 'Based on a single shot - hit 3 or more with each club for a confident call'
+      };
+    }
+
+    const standardError = Math.sqrt(
+      a.metrics.carry.sd ** 2 / a.metrics.carry.n + b.metrics.carry.sd ** 2 / b.metrics.carry.n
+    );
+    const separation = standardError > 0 ? Math.abs(carryDiff) / standardError : Infinity;
+    result.standardError = standardError;
+    result.probability = standardError > 0 ? normalCdf(separation) : 1;
+
+    if (Math.abs(carryDiff) > CARRY_TIE_YARDS && separation >= 1) {
+      const winner = carryDiff > 0 ? 'b' : 'a';
+      return {
+        ...result,
+        winner,
+        reason: 'carry',
+        confidence: separation >= 2 ? 'high' : 'medium',
+        message: `${Math.min(99, Math.round(result.probability * 100))}% likely Club ${winner.toUpperCase()} carries farther ` +
+          `(${Math.abs(carryDiff).toFixed(1)} ± ${standardError.toFixed(1)} yds over ${a.kept} vs ${b.kept} shots)`
+      };
+    }
+
+    // Carry too close - prefer the club that scatters less (offline if both have it)
+    const spreadKey = a.dispersion.offline !== null && b.dispersion.offline !== null ? 'offline' : 'carry';
+    const spreadA = a.dispersion[spreadKey];
+    const spreadB = b.dispersion[spreadKey];
+    if (a.kept >= 3 && b.kept >= 3 && spreadA !== null && spreadB !== null && Math.max(spreadA, spreadB) > 0 &&
+        Math.min(spreadA, spreadB) / Math.max(spreadA, spreadB) <= CONSISTENCY_RATIO) {
+      const winner = spreadB < spreadA ? 'b' : 'a';
+      return {
+        ...result,
+        winner,
+        reason: 'consistency',
+        confidence: a.kept >= 5 && b.kept >= 5 ? 'medium' : 'low',
+        message: `Carry is a wash - Club ${winner.toUpperCase()} is tighter ` +
+          `(${spreadKey} SD ${Math.min(spreadA, spreadB).toFixed(1)} vs ${Math.max(spreadA, spreadB).toFixed(1)} yds)`
+      };
+    }
+
+    return {
+      ...result,
+      winner: 'tie',
+      reason: 'too_close',
+      confidence: a.kept >= 5 && b.kept >= 5 ? 'medium' : 'low',
+      message: `${Math.abs(carryDiff).toFixed(1)} yds apart with ± ${standardError.toFixed(1)} yds of noise - ` +
+        (a.kept >= 5 && b.kept >= 5 ? 'these clubs perform the same' : 'hit more shots to separate them')
+    };
+  }
+
   // ============================================
   // COMPARISON & RESULTS (Step 4-5)
   // ============================================
@@ -487,30 +706,37 @@ const TestingTab = (function() {
       return;
     }
     
+    if (!checkCredits()) {
+      showToast('Not enough credits to run a performance test', 'error');
+      return;
+    }
+    if (!(await deductCredit())) return;
+    
     calculateResults();
     displayResults();
     goToStep(5);
   }
 
+  /**
+   * Compare the captured shots (or the single-shot data when none were added)
+   * @returns {Object} compareShotSets() result
+   */
   function calculateResults() {
-    const dataA = currentTest.clubAData;
-    const dataB = currentTest.clubBData;
-    
-    const carryDiff = (dataB.carry || 0) - (dataA.carry || 0);
+    const shotsA = currentTest.clubAShots.length > 0 ? currentTest.clubAShots : [currentTest.clubAData];
+    const shotsB = currentTest.clubBShots.length > 0 ? currentTest.clubBShots : [currentTest.clubBData];
+    const comparison = compareShotSets(shotsA, shotsB);
+    const dataA = comparison.a.means;
+    const dataB = comparison.b.means;
     
-    if (carryDiff > 2) {
-      currentTest.winner = 'b';
-    } else if (carryDiff < -2) {
-      currentTest.winner = 'a';
-    } else {
-      currentTest.winner = 'tie';
-    }
+    currentTest.comparison = comparison;
+    currentTest.winner = comparison.winner;
     
     currentTest.netGains = {
-      carry: carryDiff,
+      carry: comparison.carryDiff,
       ballSpeed: (dataB.ballSpeed || 0) - (dataA.ballSpeed || 0),
       spin: (dataB.spin || 0) - (dataA.spin || 0)
     };
+    return comparison;
   }
 
   function displayResults() {
@@ -562,14 +788,20 @@ const TestingTab = (function() {
     if (!test) return;
     
     // Populate currentTest from saved data
+    const clubAShots = Array.isArray(test.club_a_shots) ? test.club_a_shots : [];
+    const clubBShots = Array.isArray(test.club_b_shots) ? test.club_b_shots : [];
     currentTest = {
       step: 5,
       clubA: test.club_a,
       clubB: test.club_b,
       clubAData: test.club_a_data || {},
       clubBData: test.club_b_data || {},
+      clubAShots,
+      clubBShots,
       goals: test.goals || [],
       winner: test.winner,
+      // Tests saved before multi-shot capture have no shots - no comparison to show
+      comparison: clubAShots.length > 0 && clubBShots.length > 0 ? compareShotSets(clubAShots, clubBShots) : null,
       aiAnalysis: test.ai_summary,
       netGains: test.net_gains || {}
     };
@@ -580,6 +812,7 @@ const TestingTab = (function() {
       perfTestState.compareClub = test.club_b;
       perfTestState.clubAData = test.club_a_data || {};
       perfTestState.clubBData = test.club_b_data || {};
+      perfTestState.comparison = currentTest.comparison;
       perfTestState.goals = test.goals || [];
       perfTestState.isComplete = true;
     }
@@ -654,13 +887,34 @@ const TestingTab = (function() {
     return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
   }
 
+  /**
+   * Quick client-side check against the payer's cached balance (creditState in index.html)
+   * The server-side ledger has the final say in deductCredit()
+   */
   function checkCredits() {
-    // TODO: Implement credit checking
-    return true;
+    if (typeof getPayerCredits !== 'function') return true;
+    return getPayerCredits().available > 0;
   }
 
-  function deductCredit() {
-    // TODO: Implement credit deduction
+  /**
+   * Debit 1 credit for a performance test via the useCredit Cloud Function
+   * @returns {boolean} true if the credit was debited
+   */
+  async function deductCredit() {
+    try {
+      const useCredit = firebase.functions().httpsCallable('useCredit');
+      await useCredit({ userId: userId, action: 'performance_test' });
+      if (typeof loadCreditBalance === 'function') {
+        loadCreditBalance();
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ Credit debit failed:', error);
+      showToast(error.code === 'functions/resource-exhausted'
+        ? 'Not enough credits to run a performance test'
+        : 'Could not use credit: ' + error.message, 'error');
+      return false;
+    }
   }
 
   function showToast(message, type = 'info') {
@@ -766,8 +1020,11 @@ const TestingTab = (function() {
       clubB: null,
       clubAData: {},
       clubBData: {},
+      clubAShots: [],
+      clubBShots: [],
       goals: [],
       winner: null,
+      comparison: null,
       aiAnalysis: null,
       netGains: {}
     };
@@ -803,6 +1060,11 @@ const TestingTab = (function() {
     showManualEntryA,
     showManualEntryB,
     runComparison,
+    calculateResults,
+    addShot,
+    removeShot,
+    getShots,
+    clearShots,
     saveTest,
     deleteTest,
     loadTest,
@@ -810,6 +1072,8 @@ const TestingTab = (function() {
     addToScenarioFull,
     reset,
     refreshTests,  // NEW: Added for external refresh calls
+    summarizeShots,
+    compareShotSets,
     startTestForClub: (clubId) => {
       reset();
       const element = document.querySelector(`[data-club-id="${clubId}"]`);